@@ -1,6 +1,6 @@
 /**
  * Database Initializer - Production Ready
- * Handles database schema creation, initialization, and connection management
+ * Handles database initialization, schema migrations, and connection management
  * Features: Connection pooling, proper locking, error recovery, and production hardening
  */
 
@@ -8,6 +8,7 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { runMigrations, getMigrationStatus } = require('./migration-runner');
 
 // Database configuration - Use Railway's persistent directory
 const DB_DIR = process.env.RAILWAY_PERSISTENT_DIR || path.join(__dirname, 'db');
@@ -97,352 +98,27 @@ function closeDatabaseConnection() {
 }
 
 /**
- * Execute SQL with proper error handling and retry logic
+ * Bring the schema up to date by applying pending migrations.
+ * Set DB_MIGRATE_ON_STARTUP=false to run them separately (npm run migrate) before starting.
  */
-async function executeSQL(db, sql, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            return await new Promise((resolve, reject) => {
-                db.run(sql, function(err) {
-                    if (err) {
-                        if (err.code === 'SQLITE_BUSY' && attempt < retries) {
-                            logger.warn(`Database busy, retrying (${attempt}/${retries})...`);
-                            setTimeout(() => reject(err), 1000 * attempt);
-                        } else {
-                            reject(err);
-                        }
-                    } else {
-                        resolve(this);
-                    }
-                });
-            });
-        } catch (error) {
-            if (attempt === retries) {
-                throw error;
-            }
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+async function migrateDatabaseSchema(db) {
+    if (process.env.DB_MIGRATE_ON_STARTUP === 'false') {
+        const { pending } = await getMigrationStatus(db);
+        if (pending.length > 0) {
+            logger.warn(`${pending.length} database migration(s) pending - run npm run migrate`);
         }
+        return;
     }
-}
-
-/**
- * Create complete database schema with production hardening
- */
-async function createDatabaseSchema(db) {
-    logger.info('🗄️ Creating database schema...');
-    
-    const schema = [
-        // Users table
-        `CREATE TABLE IF NOT EXISTS users (
-            id TEXT PRIMARY KEY,
-            email TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            first_name TEXT NOT NULL,
-            last_name TEXT NOT NULL,
-            phone TEXT,
-            timezone TEXT DEFAULT 'UTC',
-            language TEXT DEFAULT 'en',
-            tenant_id TEXT NOT NULL,
-            organization_role TEXT DEFAULT 'user',
-            custom_permissions TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            last_login DATETIME,
-            is_active BOOLEAN DEFAULT 1
-        )`,
-
-        // Companies table
-        `CREATE TABLE IF NOT EXISTS companies (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            type TEXT,
-            dot_number TEXT,
-            mc_number TEXT,
-            color TEXT DEFAULT '#3B82F6',
-            tenant_id TEXT NOT NULL,
-            user_id TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            is_active BOOLEAN DEFAULT 1,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-
-        // User company preferences
-        `CREATE TABLE IF NOT EXISTS user_company_preferences (
-            id TEXT PRIMARY KEY,
-            user_id TEXT NOT NULL,
-            active_company_id TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            FOREIGN KEY (active_company_id) REFERENCES companies(id) ON DELETE SET NULL
-        )`,
-
-        // GPS Providers table
-        `CREATE TABLE IF NOT EXISTS gps_providers (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            type TEXT NOT NULL,
-            status TEXT,
-            last_sync DATETIME,
-            trailer_count INTEGER,
-            error_message TEXT,
-            description TEXT,
-            credentials_encrypted TEXT,
-            company_id TEXT NOT NULL,
-            tenant_id TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            is_active BOOLEAN DEFAULT 1,
-            FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
-        )`,
-
-        // Persistent trailers table
-        `CREATE TABLE IF NOT EXISTS persistent_trailers (
-            id TEXT PRIMARY KEY,
-            company_id TEXT NOT NULL,
-            external_id TEXT,
-            provider_id TEXT,
-            tenant_id TEXT,
-            unit_number TEXT,
-            vin TEXT,
-            dot_number TEXT,
-            year INTEGER,
-            make TEXT,
-            model TEXT,
-            plate TEXT,
-            status TEXT,
-            gps_enabled BOOLEAN,
-            gps_status TEXT,
-            last_latitude REAL,
-            last_longitude REAL,
-            last_address TEXT,
-            last_gps_update DATETIME,
-            last_sync DATETIME,
-            manual_location_override BOOLEAN,
-            manual_location_notes TEXT,
-            location_source TEXT NOT NULL DEFAULT 'gps',
-            location_updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-            last_annual_inspection DATE,
-            next_annual_inspection_due DATE,
-            last_midtrip_inspection DATE,
-            next_midtrip_inspection_due DATE,
-            last_brake_inspection DATE,
-            next_brake_inspection_due DATE,
-            tire_status TEXT,
-            last_tire_service DATE,
-            is_active BOOLEAN DEFAULT 1,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE SET NULL,
-            UNIQUE(tenant_id, external_id)
-        )`,
-
-        // Trailer inspections table
-        `CREATE TABLE IF NOT EXISTS trailer_inspections (
-            id TEXT PRIMARY KEY,
-            trailer_id TEXT NOT NULL,
-            inspection_type TEXT NOT NULL,
-            inspection_date DATE NOT NULL,
-            expiry_date DATE,
-            inspector TEXT,
-            status TEXT DEFAULT 'pending',
-            notes TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
-        )`,
 
-        // Tire records table
-        `CREATE TABLE IF NOT EXISTS tire_records (
-            id TEXT PRIMARY KEY,
-            trailer_id TEXT NOT NULL,
-            tire_position TEXT NOT NULL,
-            service_date DATE NOT NULL,
-            service_type TEXT NOT NULL,
-            notes TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
-        )`,
-
-        // Maintenance alerts table
-        `CREATE TABLE IF NOT EXISTS maintenance_alerts (
-            id TEXT PRIMARY KEY,
-            trailer_id TEXT NOT NULL,
-            type TEXT NOT NULL,
-            severity TEXT NOT NULL,
-            title TEXT NOT NULL,
-            description TEXT NOT NULL,
-            due_date DATE,
-            is_resolved BOOLEAN DEFAULT 0,
-            resolution_notes TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            resolved_at DATETIME,
-            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
-        )`,
-
-        // System notes table
-        `CREATE TABLE IF NOT EXISTS system_notes (
-            id TEXT PRIMARY KEY,
-            title TEXT,
-            content TEXT NOT NULL,
-            category TEXT DEFAULT 'general',
-            entity_type TEXT,
-            entity_id TEXT,
-            trailer_id TEXT,
-            tenant_id TEXT NOT NULL,
-            created_by TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE,
-            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-
-        // Password reset tokens table
-        `CREATE TABLE IF NOT EXISTS password_reset_tokens (
-            id TEXT PRIMARY KEY,
-            user_id TEXT NOT NULL,
-            token TEXT NOT NULL,
-            expires_at DATETIME NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-
-        // Custom roles table
-        `CREATE TABLE IF NOT EXISTS custom_roles (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            display_name TEXT NOT NULL,
-            description TEXT,
-            permissions_json TEXT NOT NULL,
-            tenant_id TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(name, tenant_id)
-        )`,
-
-        // Custom role permissions override table
-        `CREATE TABLE IF NOT EXISTS custom_role_permissions (
-            id TEXT PRIMARY KEY,
-            role_name TEXT NOT NULL,
-            permissions_json TEXT NOT NULL,
-            tenant_id TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(role_name, tenant_id)
-        )`,
-
-        // Tenants table (referenced by stats manager)
-        `CREATE TABLE IF NOT EXISTS tenants (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            status TEXT DEFAULT 'active',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-
-        // Trailer custom locations table
-        `CREATE TABLE IF NOT EXISTS trailer_custom_locations (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            type TEXT NOT NULL,
-            address TEXT,
-            lat REAL NOT NULL,
-            lng REAL NOT NULL,
-            color TEXT DEFAULT '#3B82F6',
-            icon_name TEXT,
-            is_shared BOOLEAN DEFAULT 0,
-            notes TEXT,
-            tenant_id TEXT NOT NULL,
-            created_by TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-
-        // Trailer custom companies table
-        `CREATE TABLE IF NOT EXISTS trailer_custom_companies (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            type TEXT,
-            dot_number TEXT,
-            mc_number TEXT,
-            color TEXT DEFAULT '#3B82F6',
-            tenant_id TEXT NOT NULL,
-            created_by_user_id TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE CASCADE
-        )`,
-
-        // Maintenance preferences table
-        `CREATE TABLE IF NOT EXISTS maintenance_preferences (
-            id TEXT PRIMARY KEY,
-            tenant_id TEXT NOT NULL,
-            annual_inspection_interval INTEGER DEFAULT 12,
-            midtrip_inspection_interval INTEGER DEFAULT 6,
-            brake_inspection_interval INTEGER DEFAULT 12,
-            annual_alert_threshold INTEGER DEFAULT 30,
-            midtrip_alert_threshold INTEGER DEFAULT 14,
-            brake_alert_threshold INTEGER DEFAULT 30,
-            enable_maintenance_alerts BOOLEAN DEFAULT 1,
-            enable_email_notifications BOOLEAN DEFAULT 1,
-            enable_push_notifications BOOLEAN DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(tenant_id)
-        )`,
-
-        // System refresh log table
-        `CREATE TABLE IF NOT EXISTS system_refresh_log (
-            id TEXT PRIMARY KEY,
-            user_id TEXT,
-            tenant_id TEXT NOT NULL,
-            operation_type TEXT NOT NULL,
-            provider_id TEXT,
-            trigger_type TEXT NOT NULL,
-            status TEXT NOT NULL,
-            trailers_processed INTEGER DEFAULT 0,
-            trailers_updated INTEGER DEFAULT 0,
-            error_message TEXT,
-            duration_ms INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
-            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE SET NULL
-        )`,
-
-        // Create indexes for better performance
-        `CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`,
-        `CREATE INDEX IF NOT EXISTS idx_users_tenant_id ON users(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_companies_tenant_id ON companies(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_trailers_company_id ON persistent_trailers(company_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_trailers_tenant_id ON persistent_trailers(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_trailers_status ON persistent_trailers(status)`,
-        `CREATE INDEX IF NOT EXISTS idx_notes_trailer_id ON system_notes(trailer_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_notes_tenant_id ON system_notes(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_notes_entity_type ON system_notes(entity_type)`,
-        `CREATE INDEX IF NOT EXISTS idx_notes_entity_id ON system_notes(entity_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_custom_roles_tenant_id ON custom_roles(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_token ON password_reset_tokens(token)`,
-        `CREATE INDEX IF NOT EXISTS idx_refresh_log_tenant_id ON system_refresh_log(tenant_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_refresh_log_created_at ON system_refresh_log(created_at)`,
-        `CREATE INDEX IF NOT EXISTS idx_trailer_inspections_trailer_id ON trailer_inspections(trailer_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_tire_records_trailer_id ON tire_records(trailer_id)`,
-        `CREATE INDEX IF NOT EXISTS idx_maintenance_alerts_trailer_id ON maintenance_alerts(trailer_id)`,
-        `CREATE UNIQUE INDEX IF NOT EXISTS idx_persistent_trailers_tenant_external ON persistent_trailers(tenant_id, external_id) WHERE tenant_id IS NOT NULL AND external_id IS NOT NULL`
-    ];
+    logger.info('🗄️ Applying database migrations...');
 
     try {
-        for (const sql of schema) {
-            await executeSQL(db, sql);
-        }
-        
-        logger.info('✅ Database schema created successfully');
+        const applied = await runMigrations(db);
+        logger.info(applied.length > 0
+            ? `✅ Applied ${applied.length} database migration(s)`
+            : '✅ Database schema is up to date');
     } catch (error) {
-        logger.error('❌ Schema creation failed:', error);
+        logger.error('❌ Database migration failed:', error);
         throw error;
     }
 }
@@ -462,7 +138,7 @@ async function initializeDatabase() {
     initPromise = new Promise(async (resolve, reject) => {
         try {
             const db = getDatabaseConnection();
-            await createDatabaseSchema(db);
+            await migrateDatabaseSchema(db);
             isInitializing = false;
             resolve(db);
         } catch (error) {
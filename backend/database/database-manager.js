@@ -20,6 +20,19 @@ const TrailerCustomLocationManager = require('./managers/trailer-custom-location
 const StatsManager = require('./managers/stats-manager');
 const PermissionsManager = require('./managers/permissions-manager'); // Keep class for static methods
 const MaintenancePreferencesManager = require('./managers/maintenance-preferences-manager');
+const GeofenceManager = require('./managers/geofence-manager');
+const GeocodeCacheManager = require('./managers/geocode-cache-manager');
+const SyncScheduleManager = require('./managers/sync-schedule-manager');
+const ProviderHealthManager = require('./managers/provider-health-manager');
+const RefreshLogManager = require('./managers/refresh-log-manager');
+const TrailerIdentityManager = require('./managers/trailer-identity-manager');
+const LocationRulesManager = require('./managers/location-rules-manager');
+const TelemetryManager = require('./managers/telemetry-manager');
+const ReeferExcursionManager = require('./managers/reefer-excursion-manager');
+const DeviceHealthManager = require('./managers/device-health-manager');
+const InspectionTypeManager = require('./managers/inspection-type-manager');
+const PmScheduleManager = require('./managers/pm-schedule-manager');
+const WorkOrderManager = require('./managers/work-order-manager');
 
 // Import database utilities
 const { getDatabaseConnection, closeDatabaseConnection, DB_PATH } = require('./database-initializer');
@@ -40,7 +53,9 @@ function getManager(name) {
                 managers[name] = new UserManager(db);
                 break;
             case 'trailerManager':
-                managers[name] = new TrailerManager(db);
+                const trailerManager = new TrailerManager(db);
+                trailerManager.setDependencies(getManager('geofenceManager'), getManager('locationRulesManager'));
+                managers[name] = trailerManager;
                 break;
             case 'companyManager':
                 managers[name] = new CompanyManager(db);
@@ -76,6 +91,45 @@ function getManager(name) {
             case 'permissionsManager':
                 managers[name] = new PermissionsManager(db);
                 break;
+            case 'geofenceManager':
+                managers[name] = new GeofenceManager(db);
+                break;
+            case 'geocodeCacheManager':
+                managers[name] = new GeocodeCacheManager(db);
+                break;
+            case 'syncScheduleManager':
+                managers[name] = new SyncScheduleManager(db);
+                break;
+            case 'providerHealthManager':
+                managers[name] = new ProviderHealthManager(db);
+                break;
+            case 'refreshLogManager':
+                managers[name] = new RefreshLogManager(db);
+                break;
+            case 'trailerIdentityManager':
+                managers[name] = new TrailerIdentityManager(db);
+                break;
+            case 'locationRulesManager':
+                managers[name] = new LocationRulesManager(db);
+                break;
+            case 'telemetryManager':
+                managers[name] = new TelemetryManager(db);
+                break;
+            case 'reeferExcursionManager':
+                managers[name] = new ReeferExcursionManager(db);
+                break;
+            case 'deviceHealthManager':
+                managers[name] = new DeviceHealthManager(db);
+                break;
+            case 'inspectionTypeManager':
+                managers[name] = new InspectionTypeManager(db);
+                break;
+            case 'pmScheduleManager':
+                managers[name] = new PmScheduleManager(db);
+                break;
+            case 'workOrderManager':
+                managers[name] = new WorkOrderManager(db);
+                break;
             default:
                 throw new Error(`Unknown manager: ${name}`);
         }
@@ -109,6 +163,19 @@ module.exports = {
     get statsManager() { return getManager('statsManager'); },
     get maintenancePreferencesManager() { return getManager('maintenancePreferencesManager'); },
     get permissionsManager() { return getManager('permissionsManager'); },
+    get geofenceManager() { return getManager('geofenceManager'); },
+    get geocodeCacheManager() { return getManager('geocodeCacheManager'); },
+    get syncScheduleManager() { return getManager('syncScheduleManager'); },
+    get providerHealthManager() { return getManager('providerHealthManager'); },
+    get refreshLogManager() { return getManager('refreshLogManager'); },
+    get trailerIdentityManager() { return getManager('trailerIdentityManager'); },
+    get locationRulesManager() { return getManager('locationRulesManager'); },
+    get telemetryManager() { return getManager('telemetryManager'); },
+    get reeferExcursionManager() { return getManager('reeferExcursionManager'); },
+    get deviceHealthManager() { return getManager('deviceHealthManager'); },
+    get inspectionTypeManager() { return getManager('inspectionTypeManager'); },
+    get pmScheduleManager() { return getManager('pmScheduleManager'); },
+    get workOrderManager() { return getManager('workOrderManager'); },
     
     // Static permission manager
     PermissionsManager,
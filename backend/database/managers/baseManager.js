@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const {
     generateId,
     getCurrentTimestamp,
@@ -15,6 +16,12 @@ const {
     buildLimitClause
 } = require('../utils/db-helpers');
 
+// The transaction the current call chain runs in, { db, savepoints }. Every manager shares one connection,
+// so this is what tells a nested transact call apart from one made by another request.
+const transactionContext = new AsyncLocalStorage();
+// Per connection, settles once the transactions opened or waiting so far have finished
+const transactionQueues = new WeakMap();
+
 /**
  * Base class for database managers to reduce boilerplate
  */
@@ -34,6 +41,7 @@ class BaseManager {
      * @param {boolean} first - Return first result only
      */
     async execute(query, params = [], { camelCase = false, first = false } = {}) {
+        await this.waitForTransactions();
         try {
             if (camelCase) {
                 return first 
@@ -56,6 +64,7 @@ class BaseManager {
      * @returns {Promise<Object>} Result with changes, lastID, etc.
      */
     async executeSingle(query, params = []) {
+        await this.waitForTransactions();
         try {
             return await executeSingleQuery(this.db, query, params);
         } catch (error) {
@@ -65,17 +74,83 @@ class BaseManager {
     }
 
     /**
-     * Execute in transaction with error handling
+     * Whether the current call chain runs inside a transaction on this connection
+     * @returns {boolean}
+     */
+    inTransaction() {
+        return transactionContext.getStore()?.db === this.db;
+    }
+
+    /**
+     * Wait until no other call chain has a transaction open on this connection, so a query made outside
+     * a transaction neither reads its uncommitted rows nor lands in it
+     */
+    async waitForTransactions() {
+        const queue = transactionQueues.get(this.db);
+        if (queue && !this.inTransaction()) {
+            await queue;
+        }
+    }
+
+    /**
+     * Execute in transaction with error handling. A transaction opened inside another one in the same call
+     * chain runs as a savepoint of it, so a service can run several manager calls as one transaction;
+     * transactions from other call chains wait until it has finished.
      * @param {Function} transactionFn - Function to execute in transaction
      */
     async transact(transactionFn) {
+        const current = transactionContext.getStore();
+        if (current?.db === this.db) {
+            return this.transactSavepoint(current, transactionFn);
+        }
+
+        const previous = transactionQueues.get(this.db) || Promise.resolve();
+        let finish;
+        const finished = new Promise(resolve => { finish = resolve; });
+        const queue = previous.then(() => finished);
+        transactionQueues.set(this.db, queue);
+        await previous;
+
         try {
             await beginTransaction(this.db);
-            const result = await transactionFn(this.db);
-            await commitTransaction(this.db);
-            return result;
+            try {
+                const result = await transactionContext.run({ db: this.db, savepoints: 0 }, () => transactionFn(this.db));
+                await commitTransaction(this.db);
+                return result;
+            } catch (error) {
+                await rollbackTransaction(this.db);
+                throw error;
+            }
+        } catch (error) {
+            console.error('Transaction error:', error);
+            throw new Error(`Transaction failed: ${error.message}`);
+        } finally {
+            if (transactionQueues.get(this.db) === queue) {
+                transactionQueues.delete(this.db);
+            }
+            finish();
+        }
+    }
+
+    /**
+     * Run a transaction nested in the current one as a savepoint
+     * @param {Object} current - The open transaction, { db, savepoints }
+     * @param {Function} transactionFn - Function to execute in the savepoint
+     */
+    async transactSavepoint(current, transactionFn) {
+        const savepoint = `transact_${++current.savepoints}`;
+        try {
+            await executeSingleQuery(this.db, `SAVEPOINT ${savepoint}`);
+            try {
+                const result = await transactionFn(this.db);
+                await executeSingleQuery(this.db, `RELEASE ${savepoint}`);
+                return result;
+            } catch (error) {
+                await executeSingleQuery(this.db, `ROLLBACK TO ${savepoint}`);
+                await executeSingleQuery(this.db, `RELEASE ${savepoint}`);
+                throw error;
+            }
         } catch (error) {
-            await rollbackTransaction(this.db);
             console.error('Transaction error:', error);
             throw new Error(`Transaction failed: ${error.message}`);
         }
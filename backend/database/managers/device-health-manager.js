@@ -0,0 +1,79 @@
+/**
+ * Device Health Manager
+ * Reads the reporting and battery data of each trailer's GPS tracker and the open device health alerts
+ */
+
+const { TELEMETRY_METRICS, RECONCILIATION, DEVICE_HEALTH } = require('../../utils/constants');
+const BaseManager = require('./baseManager');
+
+class DeviceHealthManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get the tracker data of a tenant's provider-reported trailers. The stale and disconnect thresholds
+     * are the trailer's provider's, falling back to the RECONCILIATION defaults.
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { trailerId }
+     * @returns {Promise<Array>} Trailers (camelCase) with lastPingAt, minutesSincePing, pingIntervalMinutes,
+     *   batteryVoltage, batteryRecordedAt, staleAfterHours and disconnectAfterHours
+     */
+    async getDevices(tenantId, { trailerId } = {}) {
+        const params = [
+            RECONCILIATION.DEFAULT_STALE_AFTER_HOURS,
+            RECONCILIATION.DEFAULT_DISCONNECT_AFTER_HOURS,
+            TELEMETRY_METRICS.BATTERY_VOLTAGE,
+            tenantId
+        ];
+        let trailerFilter = '';
+        if (trailerId) {
+            trailerFilter = 'AND t.id = ?';
+            params.push(trailerId);
+        }
+
+        return this.execute(`
+            SELECT t.id AS trailer_id, t.unit_number, t.company_id, t.gps_status, t.provider_id,
+                   gp.name AS provider_name, t.last_ping_at, t.ping_interval_minutes,
+                   (julianday('now') - julianday(t.last_ping_at)) * 1440 AS minutes_since_ping,
+                   COALESCE(gp.stale_after_hours, ?) AS stale_after_hours,
+                   COALESCE(gp.disconnect_after_hours, ?) AS disconnect_after_hours,
+                   battery.value AS battery_voltage, battery.recorded_at AS battery_recorded_at
+            FROM persistent_trailers t
+            LEFT JOIN companies c ON c.id = t.company_id
+            LEFT JOIN gps_providers gp ON gp.id = t.provider_id
+            LEFT JOIN trailer_telemetry battery ON battery.id = (
+                SELECT id FROM trailer_telemetry
+                WHERE trailer_id = t.id AND metric = ? AND value IS NOT NULL
+                ORDER BY recorded_at DESC
+                LIMIT 1
+            )
+            WHERE COALESCE(t.tenant_id, c.tenant_id) = ?
+              AND t.provider_id IS NOT NULL
+              AND t.archived_at IS NULL
+              AND t.merged_into_id IS NULL
+              AND COALESCE(t.is_active, 1) = 1
+              ${trailerFilter}
+            ORDER BY t.unit_number
+        `, params, { camelCase: true });
+    }
+
+    /**
+     * Get the unresolved device health alerts of a tenant's trailers
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Array>} Alerts (camelCase) with id, trailerId, type and severity
+     */
+    async getOpenDeviceAlerts(tenantId) {
+        return this.execute(`
+            SELECT a.id, a.trailer_id, a.type, a.severity
+            FROM maintenance_alerts a
+            JOIN persistent_trailers t ON t.id = a.trailer_id
+            LEFT JOIN companies c ON c.id = t.company_id
+            WHERE COALESCE(t.tenant_id, c.tenant_id) = ?
+              AND a.type LIKE ?
+              AND COALESCE(a.is_resolved, 0) = 0
+        `, [tenantId, `${DEVICE_HEALTH.ALERT_TYPE_PREFIX}%`], { camelCase: true });
+    }
+}
+
+module.exports = DeviceHealthManager;
@@ -0,0 +1,149 @@
+/**
+ * Geocode Cache Manager
+ * Stores reverse geocoding results keyed by rounded coordinates so repeated positions skip paid lookups
+ */
+
+const { getCurrentTimestamp } = require('../utils/db-helpers');
+const { safeJSONParse, safeJSONStringify } = require('../utils/database-utilities');
+const BaseManager = require('./baseManager');
+
+class GeocodeCacheManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get an unexpired cache entry
+     * @param {string} cacheKey - Rounded "lat,lng" key
+     * @returns {Promise<Object|null>} { formatted_address, place_id, components, source } or null
+     */
+    async getEntry(cacheKey) {
+        const entry = await this.execute(`
+            SELECT formatted_address, place_id, components, source
+            FROM geocode_cache
+            WHERE cache_key = ? AND expires_at > ?
+        `, [cacheKey, getCurrentTimestamp()], { first: true });
+
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            ...entry,
+            components: safeJSONParse(entry.components, [])
+        };
+    }
+
+    /**
+     * Insert or replace a cache entry
+     * @param {string} cacheKey - Rounded "lat,lng" key
+     * @param {Object} position - Rounded { latitude, longitude }
+     * @param {Object} result - Geocoder result { formatted_address, place_id, components, source }
+     * @param {number} ttlMs - Time to live in milliseconds
+     */
+    async setEntry(cacheKey, { latitude, longitude }, result, ttlMs) {
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO geocode_cache (
+                cache_key, latitude, longitude, formatted_address, place_id, components,
+                source, hit_count, expires_at, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+            ON CONFLICT(cache_key) DO UPDATE SET
+                formatted_address = excluded.formatted_address,
+                place_id = excluded.place_id,
+                components = excluded.components,
+                source = excluded.source,
+                expires_at = excluded.expires_at,
+                created_at = excluded.created_at
+        `, [
+            cacheKey, latitude, longitude, result.formatted_address, result.place_id || null,
+            safeJSONStringify(result.components || [], '[]'), result.source,
+            new Date(Date.now() + ttlMs).toISOString(), now
+        ]);
+    }
+
+    /**
+     * Count a cache hit on an entry
+     * @param {string} cacheKey - Rounded "lat,lng" key
+     */
+    async recordHit(cacheKey) {
+        await this.executeSingle(`
+            UPDATE geocode_cache SET hit_count = hit_count + 1, last_hit_at = ? WHERE cache_key = ?
+        `, [getCurrentTimestamp(), cacheKey]);
+    }
+
+    /**
+     * Delete expired entries
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async purgeExpired() {
+        const result = await this.executeSingle(
+            'DELETE FROM geocode_cache WHERE expires_at <= ?',
+            [getCurrentTimestamp()]
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Get keys of all unexpired entries
+     * @returns {Promise<Set<string>>} Cache keys
+     */
+    async getValidKeys() {
+        const rows = await this.execute(
+            'SELECT cache_key FROM geocode_cache WHERE expires_at > ?',
+            [getCurrentTimestamp()]
+        );
+        return new Set(rows.map(row => row.cache_key));
+    }
+
+    /**
+     * Get distinct current trailer and custom location positions, rounded to the cache precision
+     * @param {number} precision - Decimal places used for cache keys
+     * @returns {Promise<Array>} Positions { latitude, longitude }
+     */
+    async getKnownPositions(precision) {
+        return this.execute(`
+            SELECT DISTINCT ROUND(last_latitude, ?) AS latitude, ROUND(last_longitude, ?) AS longitude
+            FROM persistent_trailers
+            WHERE last_latitude IS NOT NULL AND last_longitude IS NOT NULL
+              AND NOT (last_latitude = 0 AND last_longitude = 0)
+            UNION
+            SELECT DISTINCT ROUND(lat, ?) AS latitude, ROUND(lng, ?) AS longitude
+            FROM trailer_custom_locations
+            WHERE lat IS NOT NULL AND lng IS NOT NULL
+        `, [precision, precision, precision, precision]);
+    }
+
+    /**
+     * Get cache size and usage statistics
+     * @returns {Promise<Object>} Entry counts, hits and per-backend breakdown
+     */
+    async getStats() {
+        const now = getCurrentTimestamp();
+        const [totals, bySource] = await Promise.all([
+            this.execute(`
+                SELECT COUNT(*) AS entries,
+                       COALESCE(SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END), 0) AS expired,
+                       COALESCE(SUM(hit_count), 0) AS total_hits,
+                       MIN(created_at) AS oldest_entry
+                FROM geocode_cache
+            `, [now], { first: true }),
+            this.execute(`
+                SELECT source, COUNT(*) AS entries, COALESCE(SUM(hit_count), 0) AS hits
+                FROM geocode_cache
+                GROUP BY source
+            `)
+        ]);
+
+        return {
+            entries: totals.entries,
+            expired: totals.expired,
+            totalHits: totals.total_hits,
+            oldestEntry: totals.oldest_entry,
+            bySource
+        };
+    }
+}
+
+module.exports = GeocodeCacheManager;
@@ -0,0 +1,338 @@
+/**
+ * Geofence Manager
+ * Evaluates trailer positions against custom location geofences and records arrival/departure events
+ */
+
+const { generateId, getCurrentTimestamp, formatDateForDB } = require('../utils/db-helpers');
+const { isInsideGeofence, safeJSONParse } = require('../utils/database-utilities');
+const { GEOFENCE_EVENT_TYPES, DETENTION } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+class GeofenceManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get every custom location in a tenant that has a geofence
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Array>} Locations (camelCase) with geofencePolygon parsed
+     */
+    async getTenantGeofences(tenantId) {
+        const locations = await this.execute(`
+            SELECT id, name, lat, lng, geofence_type, geofence_radius_m, geofence_polygon
+            FROM trailer_custom_locations
+            WHERE tenant_id = ? AND geofence_type IS NOT NULL
+        `, [tenantId], { camelCase: true });
+
+        return locations.map(location => ({
+            ...location,
+            geofencePolygon: location.geofencePolygon ? safeJSONParse(location.geofencePolygon, null) : null
+        }));
+    }
+
+    /**
+     * Get arrivals without a matching departure (trailers currently inside a geofence)
+     * @param {string} trailerId - Trailer ID
+     * @returns {Promise<Array>} Open arrival events
+     */
+    async getOpenArrivals(trailerId) {
+        return this.execute(`
+            SELECT a.* FROM geofence_events a
+            WHERE a.trailer_id = ? AND a.event_type = ?
+              AND NOT EXISTS (SELECT 1 FROM geofence_events d WHERE d.arrival_event_id = a.id)
+        `, [trailerId, GEOFENCE_EVENT_TYPES.ARRIVAL], { camelCase: true });
+    }
+
+    /**
+     * Compare a new trailer position with the tenant's geofences and record arrivals and departures
+     * @param {Object} trailer - Trailer row (camelCase) the position belongs to
+     * @param {Object} position - New position
+     * @param {number} position.latitude - Latitude
+     * @param {number} position.longitude - Longitude
+     * @param {string} position.occurredAt - ISO time of the position
+     * @returns {Promise<Array>} Recorded events
+     */
+    async evaluatePosition(trailer, { latitude, longitude, occurredAt }) {
+        if (!trailer?.tenantId) {
+            return [];
+        }
+
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+        const occurredTime = Date.parse(occurredAt);
+        const occurredAtISO = isNaN(occurredTime) ? getCurrentTimestamp() : new Date(occurredTime).toISOString();
+
+        const [geofences, openArrivals] = await Promise.all([
+            this.getTenantGeofences(trailer.tenantId),
+            this.getOpenArrivals(trailer.id)
+        ]);
+        const openByLocation = new Map(openArrivals.map(arrival => [arrival.locationId, arrival]));
+
+        const events = [];
+        for (const geofence of geofences) {
+            const inside = isInsideGeofence(geofence, lat, lng);
+            const openArrival = openByLocation.get(geofence.id);
+
+            if (inside && !openArrival) {
+                events.push(await this.recordEvent(trailer, geofence, {
+                    eventType: GEOFENCE_EVENT_TYPES.ARRIVAL,
+                    occurredAt: occurredAtISO,
+                    latitude: lat,
+                    longitude: lng
+                }));
+            } else if (!inside && openArrival) {
+                const dwellMs = Date.parse(occurredAtISO) - Date.parse(openArrival.occurredAt);
+                events.push(await this.recordEvent(trailer, geofence, {
+                    eventType: GEOFENCE_EVENT_TYPES.DEPARTURE,
+                    occurredAt: occurredAtISO,
+                    latitude: lat,
+                    longitude: lng,
+                    arrivalEventId: openArrival.id,
+                    dwellSeconds: Math.max(0, Math.round(dwellMs / 1000))
+                }));
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Insert a geofence event
+     * @param {Object} trailer - Trailer row (camelCase)
+     * @param {Object} geofence - Custom location with a geofence
+     * @param {Object} event - Event fields
+     * @returns {Promise<Object>} Recorded event
+     */
+    async recordEvent(trailer, geofence, { eventType, occurredAt, latitude, longitude, arrivalEventId = null, dwellSeconds = null }) {
+        const id = generateId('geofence_event');
+
+        await this.executeSingle(`
+            INSERT INTO geofence_events (
+                id, tenant_id, trailer_id, location_id, event_type, occurred_at,
+                latitude, longitude, arrival_event_id, dwell_seconds, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, trailer.tenantId, trailer.id, geofence.id, eventType, occurredAt,
+            latitude, longitude, arrivalEventId, dwellSeconds, getCurrentTimestamp()
+        ]);
+
+        return {
+            id,
+            trailerId: trailer.id,
+            unitNumber: trailer.unitNumber,
+            locationId: geofence.id,
+            locationName: geofence.name,
+            eventType,
+            occurredAt,
+            arrivalEventId,
+            dwellSeconds
+        };
+    }
+
+    /**
+     * Get geofence events for a tenant, newest first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - Query options
+     * @param {string} options.trailerId - Only include events for this trailer
+     * @param {string} options.locationId - Only include events for this custom location
+     * @param {string} options.eventType - Only include 'arrival' or 'departure' events
+     * @param {string} options.from - Only include events at or after this ISO timestamp
+     * @param {string} options.to - Only include events at or before this ISO timestamp
+     * @param {number} options.limit - Number of events per page
+     * @param {number} options.offset - Number of events to skip
+     * @param {number} options.page - Page number (alternative to offset)
+     * @returns {Promise<Object>} Paginated response with events and pagination metadata
+     */
+    async getEvents(tenantId, { trailerId, locationId, eventType, from, to, ...pagination } = {}) {
+        try {
+            if (!tenantId) {
+                throw new Error('Tenant ID is required');
+            }
+
+            const defaultSettings = getDefaultPaginationForType('geofenceEvents');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = ['e.tenant_id = ?'];
+            const params = [tenantId];
+
+            if (trailerId) {
+                conditions.push('e.trailer_id = ?');
+                params.push(trailerId);
+            }
+            if (locationId) {
+                conditions.push('e.location_id = ?');
+                params.push(locationId);
+            }
+            if (eventType) {
+                conditions.push('e.event_type = ?');
+                params.push(eventType);
+            }
+            if (from) {
+                conditions.push('e.occurred_at >= ?');
+                params.push(formatDateForDB(from));
+            }
+            if (to) {
+                conditions.push('e.occurred_at <= ?');
+                params.push(formatDateForDB(to));
+            }
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const countQuery = `SELECT COUNT(*) as total FROM geofence_events e ${whereClause}`;
+            const dataQuery = `
+                SELECT e.id, e.trailer_id, t.unit_number, e.location_id, l.name AS location_name,
+                       e.event_type, e.occurred_at, e.latitude, e.longitude, e.arrival_event_id, e.dwell_seconds
+                FROM geofence_events e
+                LEFT JOIN persistent_trailers t ON t.id = e.trailer_id
+                LEFT JOIN trailer_custom_locations l ON l.id = e.location_id
+                ${whereClause}
+                ORDER BY e.occurred_at DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            const [totalResult, events] = await Promise.all([
+                this.execute(countQuery, params, { first: true }),
+                this.execute(dataQuery, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            return createPaginatedResponse(events, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching geofence events:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get dwell time and detention for trailer visits to geofenced locations, longest dwell first
+     * A visit runs from a geofence arrival to its departure (or now, while the trailer is still inside).
+     * Detention starts once dwell exceeds the location threshold, falling back to the trailer's
+     * custom company (customer) threshold and then DETENTION.DEFAULT_THRESHOLD_MINUTES.
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - Query options
+     * @param {string} options.status - 'current' for trailers still on site (default), 'completed' for departed visits
+     * @param {string} options.customCompanyId - Only include trailers assigned to this custom company
+     * @param {string} options.locationType - Only include locations of this type
+     * @param {string} options.locationId - Only include visits to this custom location
+     * @param {string} options.trailerId - Only include visits by this trailer
+     * @param {string} options.from - Only include visits that arrived (current) or departed (completed) at or after this ISO timestamp
+     * @param {string} options.to - Only include visits that arrived (current) or departed (completed) at or before this ISO timestamp
+     * @param {boolean} options.detentionOnly - Only include visits that are in detention
+     * @param {number} options.limit - Number of visits per page
+     * @param {number} options.offset - Number of visits to skip
+     * @param {number} options.page - Page number (alternative to offset)
+     * @returns {Promise<Object>} Paginated response with visits, pagination metadata and a detention summary
+     */
+    async getDwell(tenantId, {
+        status = 'current', customCompanyId, locationType, locationId, trailerId, from, to, detentionOnly, ...pagination
+    } = {}) {
+        try {
+            if (!tenantId) {
+                throw new Error('Tenant ID is required');
+            }
+
+            const defaultSettings = getDefaultPaginationForType('dwell');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+            const completed = status === 'completed';
+            const boundaryColumn = completed ? 'd.occurred_at' : 'a.occurred_at';
+
+            const conditions = ['a.tenant_id = ?', 'a.event_type = ?', completed ? 'd.id IS NOT NULL' : 'd.id IS NULL'];
+            const params = [tenantId, GEOFENCE_EVENT_TYPES.ARRIVAL];
+
+            if (customCompanyId) {
+                conditions.push('t.company_id = ?');
+                params.push(customCompanyId);
+            }
+            if (locationType) {
+                conditions.push('l.type = ?');
+                params.push(locationType);
+            }
+            if (locationId) {
+                conditions.push('a.location_id = ?');
+                params.push(locationId);
+            }
+            if (trailerId) {
+                conditions.push('a.trailer_id = ?');
+                params.push(trailerId);
+            }
+            if (from) {
+                conditions.push(`${boundaryColumn} >= ?`);
+                params.push(formatDateForDB(from));
+            }
+            if (to) {
+                conditions.push(`${boundaryColumn} <= ?`);
+                params.push(formatDateForDB(to));
+            }
+
+            // Dwell and threshold are computed in SQL so detention filtering and paging stay in the database
+            const visitsQuery = `
+                SELECT a.id AS arrival_event_id, d.id AS departure_event_id,
+                       a.trailer_id, t.unit_number, t.company_id,
+                       COALESCE(c.name, cc.name) AS company_name,
+                       a.location_id, l.name AS location_name, l.type AS location_type,
+                       a.occurred_at AS arrived_at, d.occurred_at AS departed_at,
+                       COALESCE(d.dwell_seconds, CAST((julianday(?) - julianday(a.occurred_at)) * 86400 AS INTEGER)) AS dwell_seconds,
+                       COALESCE(l.detention_threshold_minutes, cc.detention_threshold_minutes, ?) AS threshold_minutes,
+                       CASE
+                           WHEN l.detention_threshold_minutes IS NOT NULL THEN 'location'
+                           WHEN cc.detention_threshold_minutes IS NOT NULL THEN 'customer'
+                           ELSE 'default'
+                       END AS threshold_source
+                FROM geofence_events a
+                JOIN persistent_trailers t ON t.id = a.trailer_id
+                JOIN trailer_custom_locations l ON l.id = a.location_id
+                LEFT JOIN companies c ON c.id = t.company_id
+                LEFT JOIN trailer_custom_companies cc ON cc.id = t.company_id
+                LEFT JOIN geofence_events d ON d.arrival_event_id = a.id
+                WHERE ${conditions.join(' AND ')}
+            `;
+            const visitsParams = [getCurrentTimestamp(), DETENTION.DEFAULT_THRESHOLD_MINUTES, ...params];
+            const detentionFilter = detentionOnly ? 'WHERE v.dwell_seconds > v.threshold_minutes * 60' : '';
+
+            const summaryQuery = `
+                SELECT COUNT(*) AS total,
+                       COALESCE(SUM(CASE WHEN v.dwell_seconds > v.threshold_minutes * 60 THEN 1 ELSE 0 END), 0) AS in_detention,
+                       COALESCE(SUM(MAX(v.dwell_seconds - v.threshold_minutes * 60, 0)), 0) AS detention_seconds
+                FROM (${visitsQuery}) v
+                ${detentionFilter}
+            `;
+            const dataQuery = `
+                SELECT v.* FROM (${visitsQuery}) v
+                ${detentionFilter}
+                ORDER BY v.dwell_seconds DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            const [summary, visits] = await Promise.all([
+                this.execute(summaryQuery, visitsParams, { first: true }),
+                this.execute(dataQuery, [...visitsParams, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            const data = visits.map(visit => {
+                const detentionSeconds = Math.max(0, visit.dwellSeconds - visit.thresholdMinutes * 60);
+                return {
+                    ...visit,
+                    dwellMinutes: Math.max(0, Math.floor(visit.dwellSeconds / 60)),
+                    inDetention: detentionSeconds > 0,
+                    detentionMinutes: Math.floor(detentionSeconds / 60)
+                };
+            });
+
+            return {
+                ...createPaginatedResponse(data, normalizedPagination, summary.total),
+                summary: {
+                    status: completed ? 'completed' : 'current',
+                    visits: summary.total,
+                    inDetention: summary.in_detention,
+                    detentionMinutes: Math.floor(summary.detention_seconds / 60)
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error calculating dwell:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = GeofenceManager;
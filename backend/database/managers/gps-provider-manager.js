@@ -12,7 +12,7 @@ const { getDefaultPaginationForType, normalizePagination, buildPaginationClause,
 const EncryptionUtil = require('../../utils/encryption');
 const logger = require('../../utils/logger');
 
-const { GPS_PROVIDER_TYPES } = require('../../utils/constants');
+const providerRegistry = require('../../services/gps-providers');
 const BaseManager = require('./baseManager');
 
 class GPSProviderManager extends BaseManager {
@@ -30,13 +30,16 @@ class GPSProviderManager extends BaseManager {
             }
 
             const defaultTenantId = process.env.DEFAULT_TENANT_ID || 'default';
-            const { name, type, credentials, company_id, tenant_id = defaultTenantId } = providerData;
+            const {
+                name, type, credentials, company_id, tenant_id = defaultTenantId,
+                stale_after_hours = null, disconnect_after_hours = null, archive_after_days = null
+            } = providerData;
             
             if (!name) {
                 throw new Error('Provider name is required');
             }
             
-            if (!type || !Object.values(GPS_PROVIDER_TYPES).includes(type)) {
+            if (!type || !providerRegistry.isRegistered(type)) {
                 throw new Error('Valid provider type is required');
             }
 
@@ -45,17 +48,26 @@ class GPSProviderManager extends BaseManager {
             // Use the provided company_id if available, otherwise use the default companyId
             const targetCompanyId = company_id || companyId;
             
-            logger.logCredentials('Adding', type, !!credentials, credentials ? Object.keys(credentials) : []);
+            const preparedCredentials = providerRegistry.getProvider(type).constructor.prepareCredentials(credentials || {});
+            const hasCredentials = Object.keys(preparedCredentials).length > 0;
             
-            const encryptedCredentials = credentials ? EncryptionUtil.encrypt(JSON.stringify(credentials)) : null;
+            logger.logCredentials('Adding', type, hasCredentials, Object.keys(preparedCredentials));
+            
+            const encryptedCredentials = hasCredentials ? EncryptionUtil.encrypt(JSON.stringify(preparedCredentials)) : null;
             logger.logEncryption('Credentials encrypted', !!encryptedCredentials, encryptedCredentials ? encryptedCredentials.length : 0);
 
             const query = `
-                INSERT INTO gps_providers (id, tenant_id, company_id, name, type, credentials_encrypted)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO gps_providers (
+                    id, tenant_id, company_id, name, type, credentials_encrypted,
+                    stale_after_hours, disconnect_after_hours, archive_after_days
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            const params = [providerId, tenant_id, targetCompanyId, name, type, encryptedCredentials];
+            const params = [
+                providerId, tenant_id, targetCompanyId, name, type, encryptedCredentials,
+                stale_after_hours, disconnect_after_hours, archive_after_days
+            ];
             const result = await executeSingleQuery(tx, query, params);
             
             return { id: providerId, name, type, changes: result.changes };
@@ -76,7 +88,9 @@ class GPSProviderManager extends BaseManager {
 
             const query = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.credentials_encrypted, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE gp.company_id = ? AND gp.tenant_id = ?
@@ -124,7 +138,9 @@ class GPSProviderManager extends BaseManager {
             // Build data query with pagination
             const dataQuery = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.credentials_encrypted, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE gp.name = ? AND gp.tenant_id = ?
@@ -177,7 +193,9 @@ class GPSProviderManager extends BaseManager {
             // Build data query with pagination
             const dataQuery = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.credentials_encrypted, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE gp.tenant_id = ?
@@ -230,7 +248,9 @@ class GPSProviderManager extends BaseManager {
             // Build data query with pagination
             const dataQuery = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.credentials_encrypted, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE c.user_id = ? OR gp.tenant_id = (SELECT tenant_id FROM users WHERE id = ?)
@@ -316,14 +336,31 @@ class GPSProviderManager extends BaseManager {
             }
 
             const { name, type, credentials } = updates;
+            const thresholds = ['stale_after_hours', 'disconnect_after_hours', 'archive_after_days'];
             
-            if (type && !Object.values(GPS_PROVIDER_TYPES).includes(type)) {
+            if (type && !providerRegistry.isRegistered(type)) {
                 throw new Error('Invalid provider type');
             }
             
-            logger.logCredentials('Updating', type || 'unknown', !!credentials, credentials ? Object.keys(credentials) : []);
+            // Let the provider prepare credentials (e.g. keep generated secrets); empty credentials leave the stored ones untouched
+            let preparedCredentials = null;
+            if (credentials) {
+                const existingProvider = await this.getProviderById(providerId);
+                const providerType = type || existingProvider?.type;
+                preparedCredentials = credentials;
+                if (providerRegistry.isRegistered(providerType)) {
+                    const existingCredentials = existingProvider ? await this.getProviderCredentials(providerId) : null;
+                    preparedCredentials = providerRegistry.getProvider(providerType).constructor
+                        .prepareCredentials(credentials, existingCredentials);
+                }
+                if (Object.keys(preparedCredentials).length === 0) {
+                    preparedCredentials = null;
+                }
+            }
+            
+            logger.logCredentials('Updating', type || 'unknown', !!preparedCredentials, preparedCredentials ? Object.keys(preparedCredentials) : []);
             
-            const encryptedCredentials = credentials ? EncryptionUtil.encrypt(JSON.stringify(credentials)) : null;
+            const encryptedCredentials = preparedCredentials ? EncryptionUtil.encrypt(JSON.stringify(preparedCredentials)) : null;
             
             logger.logEncryption('Credentials encrypted', !!encryptedCredentials, encryptedCredentials ? encryptedCredentials.length : 0);
 
@@ -343,8 +380,17 @@ class GPSProviderManager extends BaseManager {
                 params.push(type);
             }
             
-            if (encryptedCredentials !== undefined) {
-                query += ', credentials_encrypted = ?';
+            // Reconciliation thresholds - null restores the default
+            for (const field of thresholds) {
+                if (updates[field] !== undefined) {
+                    query += `, ${field} = ?`;
+                    params.push(updates[field]);
+                }
+            }
+            
+            if (encryptedCredentials) {
+                // New credentials may point at a different account, so the next sync starts over
+                query += ', credentials_encrypted = ?, sync_cursor = NULL, last_full_sync = NULL';
                 params.push(encryptedCredentials);
             }
             
@@ -494,6 +540,56 @@ class GPSProviderManager extends BaseManager {
         }
     }
 
+    /**
+     * Get the delta sync state of a provider
+     * Read straight from the table because provider lists are cached.
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Object>} { syncCursor, lastFullSync }
+     */
+    async getSyncState(providerId) {
+        try {
+            const row = await executeQueryFirst(this.db,
+                'SELECT sync_cursor, last_full_sync FROM gps_providers WHERE id = ?',
+                [providerId]
+            );
+            return {
+                syncCursor: row?.sync_cursor || null,
+                lastFullSync: row?.last_full_sync || null
+            };
+        } catch (error) {
+            console.error('❌ Error getting provider sync state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the cursor returned by a provider fetch
+     * @param {string} providerId - Provider ID
+     * @param {string|null} cursor - Cursor for the next delta fetch
+     * @param {boolean} fullSync - Whether the fetch covered the whole fleet
+     * @returns {Promise<Object>} Update result
+     */
+    async updateSyncState(providerId, cursor, fullSync = false) {
+        try {
+            let query = 'UPDATE gps_providers SET sync_cursor = ?';
+            const params = [cursor];
+
+            if (fullSync) {
+                query += ', last_full_sync = ?';
+                params.push(getCurrentTimestamp());
+            }
+
+            query += ' WHERE id = ?';
+            params.push(providerId);
+
+            const result = await executeSingleQuery(this.db, query, params);
+            return { changes: result.changes };
+        } catch (error) {
+            console.error('❌ Error updating provider sync state:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get provider credentials (decrypted)
      */
@@ -528,7 +624,9 @@ class GPSProviderManager extends BaseManager {
         try {
             const query = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE gp.status = 'connected'
@@ -542,18 +640,47 @@ class GPSProviderManager extends BaseManager {
         }
     }
 
+    /**
+     * Get all of a tenant's providers with their encrypted credentials, for scheduled refreshes
+     */
+    async getAllTenantProviders(tenant_id) {
+        try {
+            if (!tenant_id) {
+                throw new Error('Tenant ID is required');
+            }
+
+            const query = `
+                SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.credentials_encrypted, gp.created_at,
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
+                FROM gps_providers gp
+                LEFT JOIN companies c ON gp.company_id = c.id
+                WHERE gp.tenant_id = ?
+                ORDER BY gp.created_at ASC
+            `;
+
+            return await executeQuery(this.db, query, [tenant_id]);
+        } catch (error) {
+            console.error('❌ Error fetching tenant providers:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get providers by type
      */
     async getProvidersByType(type, tenant_id = null) {
         try {
-            if (!type || !Object.values(GPS_PROVIDER_TYPES).includes(type)) {
+            if (!type || !providerRegistry.isRegistered(type)) {
                 throw new Error('Valid provider type is required');
             }
 
             let query = `
                 SELECT gp.id, gp.name, gp.type, gp.status, gp.last_sync, gp.trailer_count, gp.error_message, gp.created_at,
-                       gp.company_id, gp.tenant_id, c.name as company_name
+                       gp.company_id, gp.tenant_id, c.name as company_name,
+                       gp.health_status, gp.consecutive_failures, gp.last_success_at, gp.last_failure_at, gp.circuit_state, gp.circuit_opened_at,
+                       gp.stale_after_hours, gp.disconnect_after_hours, gp.archive_after_days
                 FROM gps_providers gp
                 LEFT JOIN companies c ON gp.company_id = c.id
                 WHERE gp.type = ?
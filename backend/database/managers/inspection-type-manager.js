@@ -0,0 +1,242 @@
+/**
+ * Inspection Type Manager
+ * Stores each tenant's catalog of inspection types with their intervals, alert thresholds and the
+ * trailer types they apply to
+ */
+
+const { generateId, getCurrentTimestamp } = require('../utils/db-helpers');
+const { BUILT_IN_INSPECTION_TYPES } = require('../../utils/constants');
+const BaseManager = require('./baseManager');
+
+const TYPE_COLUMNS = `
+    id, code, name, description, interval_days, alert_threshold_days, trailer_types,
+    is_built_in, is_active, created_at, updated_at
+`;
+
+/**
+ * Convert a row to an inspection type, parsing its trailer types
+ * @param {Object} row - inspection_types row (camelCase)
+ * @returns {Object|null} Inspection type
+ */
+function toInspectionType(row) {
+    if (!row) {
+        return null;
+    }
+
+    let trailerTypes = null;
+    try {
+        trailerTypes = row.trailerTypes ? JSON.parse(row.trailerTypes) : null;
+    } catch (error) {
+        console.error(`Invalid trailer types on inspection type ${row.id}:`, error);
+    }
+
+    return {
+        ...row,
+        trailerTypes,
+        isBuiltIn: Boolean(row.isBuiltIn),
+        isActive: Boolean(row.isActive)
+    };
+}
+
+class InspectionTypeManager extends BaseManager {
+    /**
+     * Create a tenant's built-in inspection types if they are missing, taking their intervals and
+     * thresholds from the tenant's maintenance preferences. Checked against the table on every call, so
+     * a restored backup, a tenant cleanup or a rolled-back transaction is seeded again.
+     * @param {string} tenantId - Tenant ID
+     */
+    async ensureBuiltInTypes(tenantId) {
+        const existing = await this.execute(
+            'SELECT code FROM inspection_types WHERE tenant_id = ? AND is_built_in = 1',
+            [tenantId]
+        );
+        if (existing.length >= BUILT_IN_INSPECTION_TYPES.length) {
+            return;
+        }
+
+        const preferences = await this.execute(
+            'SELECT * FROM maintenance_preferences WHERE tenant_id = ?',
+            [tenantId],
+            { first: true }
+        );
+        const now = getCurrentTimestamp();
+
+        for (const type of BUILT_IN_INSPECTION_TYPES) {
+            await this.executeSingle(`
+                INSERT OR IGNORE INTO inspection_types (
+                    id, tenant_id, code, name, interval_days, alert_threshold_days, is_built_in, is_active, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, 1, 1, ?, ?)
+            `, [
+                generateId('inspection_type'), tenantId, type.code, type.name,
+                preferences?.[`${type.code}_inspection_interval`] || type.intervalDays,
+                preferences?.[`${type.code}_alert_threshold`] ?? type.alertThresholdDays,
+                now, now
+            ]);
+        }
+    }
+
+    /**
+     * Get a tenant's inspection types, built-in types first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { activeOnly }
+     * @returns {Promise<Array>} Inspection types (camelCase)
+     */
+    async getTypes(tenantId, { activeOnly = false } = {}) {
+        await this.ensureBuiltInTypes(tenantId);
+
+        const rows = await this.execute(`
+            SELECT ${TYPE_COLUMNS}
+            FROM inspection_types
+            WHERE tenant_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+            ORDER BY is_built_in DESC, name
+        `, [tenantId], { camelCase: true });
+
+        return rows.map(toInspectionType);
+    }
+
+    /**
+     * Get one of a tenant's inspection types
+     * @param {string} typeId - Inspection type ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Inspection type (camelCase)
+     */
+    async getType(typeId, tenantId) {
+        const row = await this.execute(`
+            SELECT ${TYPE_COLUMNS}
+            FROM inspection_types
+            WHERE id = ? AND tenant_id = ?
+        `, [typeId, tenantId], { camelCase: true, first: true });
+
+        return toInspectionType(row);
+    }
+
+    /**
+     * Get one of a tenant's inspection types by its code
+     * @param {string} tenantId - Tenant ID
+     * @param {string} code - Inspection type code
+     * @returns {Promise<Object|null>} Inspection type (camelCase)
+     */
+    async getTypeByCode(tenantId, code) {
+        const row = await this.execute(`
+            SELECT ${TYPE_COLUMNS}
+            FROM inspection_types
+            WHERE tenant_id = ? AND code = ?
+        `, [tenantId, code], { camelCase: true, first: true });
+
+        return toInspectionType(row);
+    }
+
+    /**
+     * Add an inspection type to a tenant's catalog
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} type - { code, name, description, intervalDays, alertThresholdDays, trailerTypes, isActive }
+     * @returns {Promise<Object>} Created inspection type
+     */
+    async createType(tenantId, type) {
+        const id = generateId('inspection_type');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO inspection_types (
+                id, tenant_id, code, name, description, interval_days, alert_threshold_days, trailer_types,
+                is_built_in, is_active, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+        `, [
+            id, tenantId, type.code, type.name, type.description || null, type.intervalDays, type.alertThresholdDays,
+            type.trailerTypes && type.trailerTypes.length > 0 ? JSON.stringify(type.trailerTypes) : null,
+            type.isActive === false ? 0 : 1, now, now
+        ]);
+
+        return this.getType(id, tenantId);
+    }
+
+    /**
+     * Replace an inspection type. The code of a type cannot change, since inspections are recorded against it.
+     * @param {string} typeId - Inspection type ID
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} type - { name, description, intervalDays, alertThresholdDays, trailerTypes, isActive }
+     * @returns {Promise<Object|null>} Updated inspection type, null when not found
+     */
+    async updateType(typeId, tenantId, type) {
+        const result = await this.executeSingle(`
+            UPDATE inspection_types
+            SET name = ?, description = ?, interval_days = ?, alert_threshold_days = ?, trailer_types = ?,
+                is_active = ?, updated_at = ?
+            WHERE id = ? AND tenant_id = ?
+        `, [
+            type.name, type.description || null, type.intervalDays, type.alertThresholdDays,
+            type.trailerTypes && type.trailerTypes.length > 0 ? JSON.stringify(type.trailerTypes) : null,
+            type.isActive === false ? 0 : 1, getCurrentTimestamp(), typeId, tenantId
+        ]);
+
+        return result.changes > 0 ? this.getType(typeId, tenantId) : null;
+    }
+
+    /**
+     * Delete an inspection type that is not built in. Inspections recorded against it are kept.
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteType(typeId, tenantId) {
+        const result = await this.executeSingle(
+            'DELETE FROM inspection_types WHERE id = ? AND tenant_id = ? AND is_built_in = 0',
+            [typeId, tenantId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Copy the built-in intervals and thresholds saved in maintenance preferences to the catalog
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} preferences - Maintenance preferences (snake_case)
+     */
+    async syncBuiltInTypes(tenantId, preferences) {
+        await this.ensureBuiltInTypes(tenantId);
+
+        for (const { code } of BUILT_IN_INSPECTION_TYPES) {
+            const intervalDays = preferences[`${code}_inspection_interval`];
+            const alertThresholdDays = preferences[`${code}_alert_threshold`];
+            if (intervalDays === undefined || alertThresholdDays === undefined) {
+                continue;
+            }
+
+            await this.executeSingle(`
+                UPDATE inspection_types SET interval_days = ?, alert_threshold_days = ?, updated_at = ?
+                WHERE tenant_id = ? AND code = ? AND is_built_in = 1
+            `, [intervalDays, alertThresholdDays, getCurrentTimestamp(), tenantId, code]);
+        }
+    }
+
+    /**
+     * Get the inspections recorded for a trailer, newest first
+     * @param {string} trailerId - Trailer ID
+     * @returns {Promise<Array>} Inspections with type, date and expiry_date
+     */
+    async getTrailerInspectionRecords(trailerId) {
+        return this.execute(`
+            SELECT inspection_type AS type, inspection_date AS date, expiry_date
+            FROM trailer_inspections
+            WHERE trailer_id = ?
+            ORDER BY inspection_date DESC
+        `, [trailerId]);
+    }
+
+    /**
+     * Get the inspections recorded for a set of trailers, newest first
+     * @param {Array<string>} trailerIds - Trailer IDs
+     * @returns {Promise<Array>} Inspections with trailer_id, type, date and expiry_date
+     */
+    async getInspectionRecordsForTrailers(trailerIds) {
+        if (trailerIds.length === 0) {
+            return [];
+        }
+
+        return this.execute(`
+            SELECT trailer_id, inspection_type AS type, inspection_date AS date, expiry_date
+            FROM trailer_inspections
+            WHERE trailer_id IN (${trailerIds.map(() => '?').join(', ')})
+            ORDER BY inspection_date DESC
+        `, trailerIds);
+    }
+}
+
+module.exports = InspectionTypeManager;
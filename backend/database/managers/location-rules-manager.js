@@ -0,0 +1,82 @@
+/**
+ * Location Rules Manager
+ * Persists each tenant's location precedence rules - when GPS may replace a manual location
+ * and which GPS provider wins on a trailer reported by several
+ */
+
+const { generateId, getCurrentTimestamp } = require('../utils/db-helpers');
+const { LOCATION_PRECEDENCE, CACHE_KEYS, CACHE_TTL } = require('../../utils/constants');
+const BaseManager = require('./baseManager');
+const cacheService = require('../../services/cache-service');
+
+class LocationRulesManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get a tenant's location precedence rules, with defaults for anything not set
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object>} { manualExpiryHours, gpsOverrideMiles, providerPriority, priorityFallbackMinutes, isDefault, updatedBy, updatedAt }
+     */
+    async getRules(tenantId) {
+        const cached = cacheService.get(CACHE_KEYS.LOCATION_RULES, tenantId);
+        if (cached) {
+            return cached;
+        }
+
+        const row = await this.execute(`
+            SELECT manual_expiry_hours, gps_override_miles, provider_priority, priority_fallback_minutes,
+                   updated_by, updated_at
+            FROM location_precedence_rules
+            WHERE tenant_id = ?
+        `, [tenantId], { first: true });
+
+        const rules = {
+            tenantId,
+            manualExpiryHours: row?.manual_expiry_hours ?? LOCATION_PRECEDENCE.DEFAULT_MANUAL_EXPIRY_HOURS,
+            gpsOverrideMiles: row?.gps_override_miles ?? LOCATION_PRECEDENCE.DEFAULT_GPS_OVERRIDE_MILES,
+            providerPriority: row ? JSON.parse(row.provider_priority) : [],
+            priorityFallbackMinutes: row?.priority_fallback_minutes ?? LOCATION_PRECEDENCE.DEFAULT_PRIORITY_FALLBACK_MINUTES,
+            isDefault: !row,
+            updatedBy: row?.updated_by || null,
+            updatedAt: row?.updated_at || null
+        };
+
+        cacheService.set(CACHE_KEYS.LOCATION_RULES, rules, tenantId, CACHE_TTL.LOCATION_RULES);
+        return rules;
+    }
+
+    /**
+     * Create or replace a tenant's location precedence rules
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} rules - { manualExpiryHours, gpsOverrideMiles, providerPriority, priorityFallbackMinutes }
+     * @param {string} userId - User saving the rules
+     * @returns {Promise<Object>} Saved rules
+     */
+    async saveRules(tenantId, rules, userId) {
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO location_precedence_rules (
+                id, tenant_id, manual_expiry_hours, gps_override_miles, provider_priority,
+                priority_fallback_minutes, updated_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(tenant_id) DO UPDATE SET
+                manual_expiry_hours = excluded.manual_expiry_hours,
+                gps_override_miles = excluded.gps_override_miles,
+                provider_priority = excluded.provider_priority,
+                priority_fallback_minutes = excluded.priority_fallback_minutes,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, [
+            generateId('locrule_'), tenantId, rules.manualExpiryHours, rules.gpsOverrideMiles,
+            JSON.stringify(rules.providerPriority || []), rules.priorityFallbackMinutes, userId, now, now
+        ]);
+
+        cacheService.delete(CACHE_KEYS.LOCATION_RULES, tenantId);
+        return this.getRules(tenantId);
+    }
+}
+
+module.exports = LocationRulesManager;
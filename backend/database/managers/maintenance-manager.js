@@ -13,6 +13,24 @@ const {
 const { MAINTENANCE_SEVERITY } = require('../../utils/constants');
 const BaseManager = require('./baseManager');
 
+/**
+ * Build the company and trailer conditions on persistent_trailers t for a tenant query
+ * @returns {Object} { filters, params } where params starts with the tenant ID
+ */
+function buildTrailerFilters(tenantId, { companyId, trailerId } = {}) {
+    const params = [tenantId];
+    let filters = '';
+    if (companyId) {
+        filters += ' AND t.company_id = ?';
+        params.push(companyId);
+    }
+    if (trailerId) {
+        filters += ' AND t.id = ?';
+        params.push(trailerId);
+    }
+    return { filters, params };
+}
+
 class MaintenanceManager extends BaseManager {
     constructor(db) {
         super(db); // Call the parent constructor
@@ -66,7 +84,8 @@ class MaintenanceManager extends BaseManager {
 
     async createMaintenanceAlert(trailerId, alertData) {
         try {
-            const { alert_type, severity = 'info', title, description, due_date } = alertData;
+            // The column is `type`; the API and older callers send `alert_type`
+            const { alert_type = alertData.type, severity = 'info', title, description, due_date } = alertData;
             
             if (!alert_type || !title) {
                 throw new Error('Alert type and title are required');
@@ -81,9 +100,9 @@ class MaintenanceManager extends BaseManager {
 
             const result = await this.executeSingle(
                 `INSERT INTO maintenance_alerts (
-                    id, trailer_id, alert_type, severity, title, description, due_date, created_at
+                    id, trailer_id, type, severity, title, description, due_date, created_at
                 ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [alertId, trailerId, alert_type, severity, title, description, due_date, timestamp]
+                [alertId, trailerId, alert_type, severity, title, description || '', due_date || null, timestamp]
             );
             
             return { id: alertId, changes: result.changes };
@@ -162,7 +181,7 @@ class MaintenanceManager extends BaseManager {
             query += ` WHERE id = ?`;
             params.push(alertId);
             
-            const result = await this.executeSingleQuery(query, params);
+            const result = await this.executeSingle(query, params);
             return { changes: result.changes };
         } catch (error) {
             console.error('Error updating maintenance alert:', error);
@@ -191,7 +210,7 @@ class MaintenanceManager extends BaseManager {
             query += ` WHERE id = ?`;
             params.push(alertId);
             
-            const result = await this.executeSingleQuery(query, params);
+            const result = await this.executeSingle(query, params);
             return { changes: result.changes };
         } catch (error) {
             console.error('Error resolving maintenance alert:', error);
@@ -199,131 +218,51 @@ class MaintenanceManager extends BaseManager {
         }
     }
 
-    async checkAndCreateAlerts(trailerId) {
-        try {
-            // Get trailer maintenance data
-            const trailer = await this.execute(
-                `SELECT 
-                    id, unit_number,
-                    last_annual_inspection,
-                    next_annual_inspection_due,
-                    last_midtrip_inspection,
-                    next_midtrip_inspection_due,
-                    tire_status,
-                    last_tire_service
-                FROM persistent_trailers 
-                WHERE id = ?`,
-                [trailerId],
-                { first: true }
-            );
-
-            if (!trailer) {
-                console.log(`Trailer ${trailerId} not found`);
-                return;
-            }
-
-            const now = new Date();
-            const alerts = [];
-
-            // Check annual inspection
-            if (trailer.next_annual_inspection_due) {
-                const dueDate = new Date(trailer.next_annual_inspection_due);
-                const daysUntilDue = Math.ceil((dueDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-                
-                if (daysUntilDue < 0) {
-                    alerts.push({
-                        type: 'annual_inspection',
-                        severity: 'critical',
-                        title: 'Annual Inspection Overdue',
-                        description: `Annual inspection is overdue by ${Math.abs(daysUntilDue)} days`,
-                        due_date: trailer.next_annual_inspection_due
-                    });
-                } else if (daysUntilDue <= 30) {
-                    alerts.push({
-                        type: 'annual_inspection',
-                        severity: 'warning',
-                        title: 'Annual Inspection Due Soon',
-                        description: `Annual inspection is due in ${daysUntilDue} days`,
-                        due_date: trailer.next_annual_inspection_due
-                    });
-                }
-            } else if (trailer.last_annual_inspection) {
-                // Fallback: check if last inspection was more than 365 days ago
-                const lastInspection = new Date(trailer.last_annual_inspection);
-                const daysSince = Math.floor((now.getTime() - lastInspection.getTime()) / (1000 * 60 * 60 * 24));
-                
-                if (daysSince > 365) {
-                    alerts.push({
-                        type: 'annual_inspection',
-                        severity: 'critical',
-                        title: 'Annual Inspection Overdue',
-                        description: `Annual inspection is overdue by ${daysSince - 365} days`,
-                        due_date: null
-                    });
-                }
-            }
-
-            // Check midtrip inspection
-            if (trailer.next_midtrip_inspection_due) {
-                const dueDate = new Date(trailer.next_midtrip_inspection_due);
-                const daysUntilDue = Math.ceil((dueDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-                
-                if (daysUntilDue < 0) {
-                    alerts.push({
-                        type: 'midtrip_inspection',
-                        severity: 'critical',
-                        title: 'Midtrip Inspection Overdue',
-                        description: `Midtrip inspection is overdue by ${Math.abs(daysUntilDue)} days`,
-                        due_date: trailer.next_midtrip_inspection_due
-                    });
-                } else if (daysUntilDue <= 7) {
-                    alerts.push({
-                        type: 'midtrip_inspection',
-                        severity: 'warning',
-                        title: 'Midtrip Inspection Due Soon',
-                        description: `Midtrip inspection is due in ${daysUntilDue} days`,
-                        due_date: trailer.next_midtrip_inspection_due
-                    });
-                }
-            }
-
-            // Check tire status
-            if (trailer.tire_status === 'poor') {
-                alerts.push({
-                    type: 'tire_status',
-                    severity: 'critical',
-                    title: 'Tire Status Alert',
-                    description: 'Tires need immediate attention',
-                    due_date: null
-                });
-            } else if (trailer.tire_status === 'fair') {
-                alerts.push({
-                    type: 'tire_status',
-                    severity: 'warning',
-                    title: 'Tire Status Warning',
-                    description: 'Tires should be inspected soon',
-                    due_date: null
-                });
-            }
-
-            // Create alerts in database
-            for (const alert of alerts) {
-                try {
-                    await this.createMaintenanceAlert(trailerId, {
-                        ...alert,
-                        created_by: 'system'
-                    });
-                } catch (error) {
-                    console.error(`Error creating maintenance alert for trailer ${trailerId}:`, error);
-                }
-            }
+    /**
+     * Get the data the maintenance alert rules read for a tenant's active trailers
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { companyId, trailerId }
+     * @returns {Promise<Array>} Trailers (snake_case) with their type, inspection dates, tire status and meters
+     */
+    async getTrailersForAlertCheck(tenantId, { companyId, trailerId } = {}) {
+        const { filters, params } = buildTrailerFilters(tenantId, { companyId, trailerId });
+
+        return this.execute(`
+            SELECT t.id, t.unit_number, t.trailer_type,
+                   t.last_annual_inspection, t.next_annual_inspection_due,
+                   t.last_midtrip_inspection, t.next_midtrip_inspection_due,
+                   t.last_brake_inspection, t.next_brake_inspection_due,
+                   t.tire_status, t.gps_miles, t.odometer_miles, t.odometer_gps_miles, t.engine_hours
+            FROM persistent_trailers t
+            LEFT JOIN companies c ON c.id = t.company_id
+            WHERE COALESCE(t.tenant_id, c.tenant_id) = ?
+              AND COALESCE(t.is_active, 1) = 1
+              AND t.archived_at IS NULL
+              AND t.merged_into_id IS NULL
+              ${filters}
+            ORDER BY t.unit_number
+        `, params);
+    }
 
-            console.log(`Created ${alerts.length} maintenance alerts for trailer ${trailer.unit_number}`);
-            return alerts.length;
-        } catch (error) {
-            console.error('Error checking and creating maintenance alerts:', error);
-            throw error;
-        }
+    /**
+     * Get the unresolved alerts of a tenant's trailers, oldest first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { companyId, trailerId }
+     * @returns {Promise<Array>} Alerts (snake_case)
+     */
+    async getOpenTrailerAlerts(tenantId, { companyId, trailerId } = {}) {
+        const { filters, params } = buildTrailerFilters(tenantId, { companyId, trailerId });
+
+        return this.execute(`
+            SELECT a.id, a.trailer_id, a.type, a.severity, a.title, a.description, a.due_date, a.work_order_id
+            FROM maintenance_alerts a
+            JOIN persistent_trailers t ON t.id = a.trailer_id
+            LEFT JOIN companies c ON c.id = t.company_id
+            WHERE COALESCE(t.tenant_id, c.tenant_id) = ?
+              AND COALESCE(a.is_resolved, 0) = 0
+              ${filters}
+            ORDER BY a.created_at, a.id
+        `, params);
     }
 
     async deleteMaintenanceAlert(alertId) {
@@ -332,7 +271,7 @@ class MaintenanceManager extends BaseManager {
                 throw new Error('Alert ID is required');
             }
             
-            const result = await this.executeSingleQuery(
+            const result = await this.executeSingle(
                 `DELETE FROM maintenance_alerts WHERE id = ?`, 
                 [alertId]
             );
@@ -488,7 +427,7 @@ class MaintenanceManager extends BaseManager {
             query += ` WHERE id = ?`;
             params.push(inspectionId);
             
-            const result = await this.executeSingleQuery(query, params);
+            const result = await this.executeSingle(query, params);
             return { changes: result.changes };
         } catch (error) {
             console.error('Error updating inspection:', error);
@@ -502,7 +441,7 @@ class MaintenanceManager extends BaseManager {
                 throw new Error('Inspection ID is required');
             }
             
-            const result = await this.executeSingleQuery(
+            const result = await this.executeSingle(
                 `DELETE FROM trailer_inspections WHERE id = ?`, 
                 [inspectionId]
             );
@@ -653,7 +592,7 @@ class MaintenanceManager extends BaseManager {
             query += ` WHERE id = ?`;
             params.push(tireRecordId);
             
-            const result = await this.executeSingleQuery(query, params);
+            const result = await this.executeSingle(query, params);
             return { changes: result.changes };
         } catch (error) {
             console.error('Error updating tire record:', error);
@@ -667,7 +606,7 @@ class MaintenanceManager extends BaseManager {
                 throw new Error('Tire record ID is required');
             }
             
-            const result = await this.executeSingleQuery(
+            const result = await this.executeSingle(
                 `DELETE FROM tire_records WHERE id = ?`, 
                 [tireRecordId]
             );
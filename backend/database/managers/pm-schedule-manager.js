@@ -0,0 +1,249 @@
+/**
+ * PM Schedule Manager
+ * Stores each tenant's mileage and engine-hour preventive maintenance schedules and the services
+ * recorded against them
+ */
+
+const { generateId, getCurrentTimestamp } = require('../utils/db-helpers');
+const BaseManager = require('./baseManager');
+
+const SCHEDULE_COLUMNS = `
+    id, code, name, meter, interval_value, due_soon_threshold, tasks, trailer_types,
+    is_active, created_at, updated_at
+`;
+
+/**
+ * Parse a JSON array column
+ * @returns {Array|null} Array, null when empty or invalid
+ */
+function parseList(value, label) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        console.error(`Invalid ${label}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Store a list as a JSON array column, NULL when empty
+ */
+function toListColumn(list) {
+    return Array.isArray(list) && list.length > 0 ? JSON.stringify(list) : null;
+}
+
+/**
+ * Convert a row to a schedule, parsing its tasks and trailer types
+ * @param {Object} row - pm_schedules row (camelCase)
+ * @returns {Object|null} Schedule
+ */
+function toSchedule(row) {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        ...row,
+        tasks: parseList(row.tasks, `tasks on PM schedule ${row.id}`) || [],
+        trailerTypes: parseList(row.trailerTypes, `trailer types on PM schedule ${row.id}`),
+        isActive: Boolean(row.isActive)
+    };
+}
+
+/**
+ * Convert a row to a service record, parsing its tasks
+ * @param {Object} row - pm_service_records row (camelCase)
+ * @returns {Object} Service record
+ */
+function toServiceRecord(row) {
+    return { ...row, tasks: parseList(row.tasks, `tasks on PM service ${row.id}`) || [] };
+}
+
+class PmScheduleManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get a tenant's PM schedules
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { activeOnly }
+     * @returns {Promise<Array>} Schedules (camelCase)
+     */
+    async getSchedules(tenantId, { activeOnly = false } = {}) {
+        const rows = await this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM pm_schedules
+            WHERE tenant_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+            ORDER BY name
+        `, [tenantId], { camelCase: true });
+
+        return rows.map(toSchedule);
+    }
+
+    /**
+     * Get one of a tenant's PM schedules
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Schedule (camelCase)
+     */
+    async getSchedule(scheduleId, tenantId) {
+        const row = await this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM pm_schedules
+            WHERE id = ? AND tenant_id = ?
+        `, [scheduleId, tenantId], { camelCase: true, first: true });
+
+        return toSchedule(row);
+    }
+
+    /**
+     * Get one of a tenant's PM schedules by its code
+     * @param {string} tenantId - Tenant ID
+     * @param {string} code - Schedule code
+     * @returns {Promise<Object|null>} Schedule (camelCase)
+     */
+    async getScheduleByCode(tenantId, code) {
+        const row = await this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM pm_schedules
+            WHERE tenant_id = ? AND code = ?
+        `, [tenantId, code], { camelCase: true, first: true });
+
+        return toSchedule(row);
+    }
+
+    /**
+     * Add a PM schedule
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} schedule - { code, name, meter, intervalValue, dueSoonThreshold, tasks, trailerTypes, isActive }
+     * @returns {Promise<Object>} Created schedule
+     */
+    async createSchedule(tenantId, schedule) {
+        const id = generateId('pm_schedule');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO pm_schedules (
+                id, tenant_id, code, name, meter, interval_value, due_soon_threshold, tasks, trailer_types,
+                is_active, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, tenantId, schedule.code, schedule.name, schedule.meter, schedule.intervalValue, schedule.dueSoonThreshold,
+            toListColumn(schedule.tasks), toListColumn(schedule.trailerTypes), schedule.isActive === false ? 0 : 1, now, now
+        ]);
+
+        return this.getSchedule(id, tenantId);
+    }
+
+    /**
+     * Replace a PM schedule. The code and meter cannot change, since alerts and service readings are kept against them.
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} schedule - { name, intervalValue, dueSoonThreshold, tasks, trailerTypes, isActive }
+     * @returns {Promise<Object|null>} Updated schedule, null when not found
+     */
+    async updateSchedule(scheduleId, tenantId, schedule) {
+        const result = await this.executeSingle(`
+            UPDATE pm_schedules
+            SET name = ?, interval_value = ?, due_soon_threshold = ?, tasks = ?, trailer_types = ?,
+                is_active = ?, updated_at = ?
+            WHERE id = ? AND tenant_id = ?
+        `, [
+            schedule.name, schedule.intervalValue, schedule.dueSoonThreshold,
+            toListColumn(schedule.tasks), toListColumn(schedule.trailerTypes),
+            schedule.isActive === false ? 0 : 1, getCurrentTimestamp(), scheduleId, tenantId
+        ]);
+
+        return result.changes > 0 ? this.getSchedule(scheduleId, tenantId) : null;
+    }
+
+    /**
+     * Delete a PM schedule and the services recorded against it
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteSchedule(scheduleId, tenantId) {
+        await this.executeSingle('DELETE FROM pm_service_records WHERE schedule_id = ? AND tenant_id = ?', [scheduleId, tenantId]);
+        const result = await this.executeSingle('DELETE FROM pm_schedules WHERE id = ? AND tenant_id = ?', [scheduleId, tenantId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Record a service done on a trailer under a PM schedule
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} record - { scheduleId, trailerId, meterReading, performedAt, tasks, notes, createdBy }
+     * @returns {Promise<Object>} Created service record
+     */
+    async recordService(tenantId, record) {
+        const id = generateId('pm_service');
+
+        await this.executeSingle(`
+            INSERT INTO pm_service_records (
+                id, tenant_id, schedule_id, trailer_id, meter_reading, performed_at, tasks, notes, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, tenantId, record.scheduleId, record.trailerId, record.meterReading, record.performedAt,
+            toListColumn(record.tasks), record.notes || null, record.createdBy || null, getCurrentTimestamp()
+        ]);
+
+        const [created] = await this.getServiceRecords(record.trailerId, { id });
+        return created;
+    }
+
+    /**
+     * Get the services recorded on a trailer, newest first
+     * @param {string} trailerId - Trailer ID
+     * @param {Object} filters - { scheduleId, id }
+     * @returns {Promise<Array>} Service records (camelCase) with the schedule's name and meter
+     */
+    async getServiceRecords(trailerId, { scheduleId, id } = {}) {
+        const params = [trailerId];
+        let filters = '';
+        if (scheduleId) {
+            filters += ' AND r.schedule_id = ?';
+            params.push(scheduleId);
+        }
+        if (id) {
+            filters += ' AND r.id = ?';
+            params.push(id);
+        }
+
+        const rows = await this.execute(`
+            SELECT r.id, r.schedule_id, r.trailer_id, r.meter_reading, r.performed_at, r.tasks, r.notes,
+                   r.created_by, r.created_at, s.name AS schedule_name, s.meter
+            FROM pm_service_records r
+            JOIN pm_schedules s ON s.id = r.schedule_id
+            WHERE r.trailer_id = ? ${filters}
+            ORDER BY r.performed_at DESC, r.created_at DESC
+        `, params, { camelCase: true });
+
+        return rows.map(toServiceRecord);
+    }
+
+    /**
+     * Get the latest service recorded under each PM schedule on a set of trailers
+     * @param {Array<string>} trailerIds - Trailer IDs
+     * @returns {Promise<Array>} Service records (camelCase), one per trailer and schedule serviced
+     */
+    async getLastServices(trailerIds) {
+        if (trailerIds.length === 0) {
+            return [];
+        }
+
+        const rows = await this.execute(`
+            SELECT id, schedule_id, trailer_id, meter_reading, performed_at, tasks, notes, created_by, created_at
+            FROM (
+                SELECT r.*, ROW_NUMBER() OVER (
+                    PARTITION BY r.trailer_id, r.schedule_id ORDER BY r.performed_at DESC, r.created_at DESC
+                ) AS position
+                FROM pm_service_records r
+                WHERE r.trailer_id IN (${trailerIds.map(() => '?').join(', ')})
+            )
+            WHERE position = 1
+        `, trailerIds, { camelCase: true });
+
+        return rows.map(toServiceRecord);
+    }
+}
+
+module.exports = PmScheduleManager;
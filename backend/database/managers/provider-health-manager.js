@@ -0,0 +1,196 @@
+/**
+ * Provider Health Manager
+ * Logs every fetch from a GPS provider and keeps the provider's health and circuit breaker state
+ */
+
+const { generateId } = require('../utils/db-helpers');
+const { PROVIDER_HEALTH } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} percentile - 0-100
+ * @returns {number|null} Value, null for no values
+ */
+function percentileOf(sorted, percentile) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+class ProviderHealthManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Log a fetch attempt
+     * @param {Object} provider - Provider row (id, tenant_id)
+     * @param {Object} check - { triggerType, success, latencyMs, errorType, errorMessage, recordsCount }
+     */
+    async recordCheck(provider, check) {
+        await this.executeSingle(`
+            INSERT INTO provider_health_checks (
+                id, provider_id, tenant_id, trigger_type, success, latency_ms,
+                error_type, error_message, records_count, checked_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            generateId('chk_'), provider.id, provider.tenant_id, check.triggerType, check.success ? 1 : 0,
+            check.latencyMs ?? null, check.errorType || null, check.errorMessage || null,
+            check.recordsCount ?? null, new Date().toISOString()
+        ]);
+    }
+
+    /**
+     * Get a provider's health and circuit breaker state
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Object|null>} State (camelCase)
+     */
+    async getHealthState(providerId) {
+        return this.execute(`
+            SELECT id, tenant_id, name, health_status, consecutive_failures, consecutive_auth_failures,
+                   last_success_at, last_failure_at, circuit_state, circuit_opened_at, error_message
+            FROM gps_providers
+            WHERE id = ?
+        `, [providerId], { camelCase: true, first: true });
+    }
+
+    /**
+     * Update a provider's health and circuit breaker state
+     * @param {string} providerId - Provider ID
+     * @param {Object} state - Any of healthStatus, consecutiveFailures, consecutiveAuthFailures,
+     *   lastSuccessAt, lastFailureAt, circuitState, circuitOpenedAt
+     */
+    async updateHealthState(providerId, state) {
+        const columns = {
+            healthStatus: 'health_status',
+            consecutiveFailures: 'consecutive_failures',
+            consecutiveAuthFailures: 'consecutive_auth_failures',
+            lastSuccessAt: 'last_success_at',
+            lastFailureAt: 'last_failure_at',
+            circuitState: 'circuit_state',
+            circuitOpenedAt: 'circuit_opened_at'
+        };
+        const fields = Object.keys(state).filter(key => columns[key]);
+        if (fields.length === 0) {
+            return;
+        }
+
+        await this.executeSingle(
+            `UPDATE gps_providers SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(key => state[key]), providerId]
+        );
+    }
+
+    /**
+     * Success rate, latency percentiles and error breakdown over a window
+     * @param {string} providerId - Provider ID
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<Object>} Metrics
+     */
+    async getMetrics(providerId, windowMs = PROVIDER_HEALTH.METRICS_WINDOW) {
+        const since = new Date(Date.now() - windowMs).toISOString();
+        const checks = await this.execute(`
+            SELECT success, latency_ms, error_type
+            FROM provider_health_checks
+            WHERE provider_id = ? AND checked_at >= ?
+        `, [providerId, since]);
+
+        const successes = checks.filter(check => check.success).length;
+        const latencies = checks
+            .filter(check => check.success && check.latency_ms !== null)
+            .map(check => check.latency_ms)
+            .sort((a, b) => a - b);
+        const errorTypes = {};
+        checks.filter(check => !check.success).forEach(check => {
+            const type = check.error_type || 'unknown';
+            errorTypes[type] = (errorTypes[type] || 0) + 1;
+        });
+
+        return {
+            since,
+            checks: checks.length,
+            successes,
+            failures: checks.length - successes,
+            successRate: checks.length > 0 ? Math.round((successes / checks.length) * 1000) / 10 : null,
+            latencyMs: {
+                p50: percentileOf(latencies, 50),
+                p95: percentileOf(latencies, 95),
+                p99: percentileOf(latencies, 99),
+                max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+            },
+            errorTypes
+        };
+    }
+
+    /**
+     * Hourly success/failure counts and average latency
+     * @param {string} providerId - Provider ID
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<Array>} { hour, successes, failures, avgLatencyMs } oldest first, hours without checks omitted
+     */
+    async getTimeline(providerId, windowMs = PROVIDER_HEALTH.METRICS_WINDOW) {
+        const since = new Date(Date.now() - windowMs).toISOString();
+        const rows = await this.execute(`
+            SELECT strftime('%Y-%m-%dT%H:00:00Z', checked_at) AS hour,
+                   SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) AS successes,
+                   SUM(CASE WHEN success = 1 THEN 0 ELSE 1 END) AS failures,
+                   AVG(CASE WHEN success = 1 THEN latency_ms END) AS avg_latency_ms
+            FROM provider_health_checks
+            WHERE provider_id = ? AND checked_at >= ?
+            GROUP BY hour
+            ORDER BY hour ASC
+        `, [providerId, since]);
+
+        return rows.map(row => ({
+            hour: row.hour,
+            successes: row.successes,
+            failures: row.failures,
+            avgLatencyMs: row.avg_latency_ms !== null ? Math.round(row.avg_latency_ms) : null
+        }));
+    }
+
+    /**
+     * Get a provider's fetch attempts, newest first
+     * @param {string} providerId - Provider ID
+     * @param {Object} pagination - { limit, offset, page }
+     * @returns {Promise<Object>} Paginated response with checks and pagination metadata
+     */
+    async getChecks(providerId, pagination = {}) {
+        const defaultSettings = getDefaultPaginationForType('providerHealthChecks');
+        const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+        const [totalResult, checks] = await Promise.all([
+            this.execute('SELECT COUNT(*) as total FROM provider_health_checks WHERE provider_id = ?', [providerId], { first: true }),
+            this.execute(`
+                SELECT id, trigger_type, success, latency_ms, error_type, error_message, records_count, checked_at
+                FROM provider_health_checks
+                WHERE provider_id = ?
+                ORDER BY checked_at DESC
+                LIMIT ? OFFSET ?
+            `, [providerId, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+        ]);
+
+        return createPaginatedResponse(
+            checks.map(check => ({ ...check, success: !!check.success })),
+            normalizedPagination,
+            totalResult.total
+        );
+    }
+
+    /**
+     * Delete fetch attempts older than the retention window
+     * @returns {Promise<number>} Number of deleted checks
+     */
+    async purgeOldChecks() {
+        const cutoff = new Date(Date.now() - PROVIDER_HEALTH.CHECK_RETENTION).toISOString();
+        const result = await this.executeSingle('DELETE FROM provider_health_checks WHERE checked_at < ?', [cutoff]);
+        return result.changes || 0;
+    }
+}
+
+module.exports = ProviderHealthManager;
@@ -0,0 +1,284 @@
+/**
+ * Reefer Excursion Manager
+ * Stores reefer temperature ranges for trailers and loads, and the excursions recorded when a
+ * temperature leaves its range
+ */
+
+const { generateId, getCurrentTimestamp, formatDateForDB } = require('../utils/db-helpers');
+const { REEFER_EXCURSION_STATUS } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+const RANGE_COLUMNS = `
+    r.id, r.trailer_id, pt.unit_number, r.load_reference, r.metric, r.min_temp_c, r.max_temp_c,
+    r.alert_after_minutes, r.starts_at, r.ends_at, r.created_by, r.created_at, r.updated_at
+`;
+
+const EXCURSION_COLUMNS = `
+    e.id, e.trailer_id, pt.unit_number, e.range_id, e.load_reference, e.metric, e.min_temp_c, e.max_temp_c,
+    e.started_at, e.last_reading_at, e.ended_at, e.peak_temp_c, e.readings_count, e.severity, e.alert_id,
+    e.status, e.created_at, e.updated_at
+`;
+
+class ReeferExcursionManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    // ============================================================================
+    // TEMPERATURE RANGES
+    // ============================================================================
+
+    /**
+     * Get a tenant's temperature ranges, loads first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { trailerId }
+     * @returns {Promise<Array>} Ranges (camelCase)
+     */
+    async getRanges(tenantId, { trailerId } = {}) {
+        const params = [tenantId];
+        let trailerFilter = '';
+        if (trailerId) {
+            trailerFilter = 'AND r.trailer_id = ?';
+            params.push(trailerId);
+        }
+
+        return this.execute(`
+            SELECT ${RANGE_COLUMNS}
+            FROM reefer_temperature_ranges r
+            JOIN persistent_trailers pt ON pt.id = r.trailer_id
+            WHERE r.tenant_id = ? ${trailerFilter}
+            ORDER BY pt.unit_number, r.load_reference IS NULL, r.starts_at DESC
+        `, params, { camelCase: true });
+    }
+
+    /**
+     * Get one of a tenant's temperature ranges
+     * @param {string} rangeId - Range ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Range (camelCase)
+     */
+    async getRange(rangeId, tenantId) {
+        return this.execute(`
+            SELECT ${RANGE_COLUMNS}
+            FROM reefer_temperature_ranges r
+            JOIN persistent_trailers pt ON pt.id = r.trailer_id
+            WHERE r.id = ? AND r.tenant_id = ?
+        `, [rangeId, tenantId], { camelCase: true, first: true });
+    }
+
+    /**
+     * Create a temperature range for a trailer, or for a load while it is on the trailer
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} range - { trailerId, loadReference, metric, minTempC, maxTempC, alertAfterMinutes, startsAt, endsAt }
+     * @param {string} userId - User creating the range
+     * @returns {Promise<Object>} Created range
+     */
+    async createRange(tenantId, range, userId) {
+        const id = generateId('reefer_range');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO reefer_temperature_ranges (
+                id, tenant_id, trailer_id, load_reference, metric, min_temp_c, max_temp_c,
+                alert_after_minutes, starts_at, ends_at, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, tenantId, range.trailerId, range.loadReference || null, range.metric, range.minTempC, range.maxTempC,
+            range.alertAfterMinutes, formatDateForDB(range.startsAt), formatDateForDB(range.endsAt), userId, now, now
+        ]);
+
+        return this.getRange(id, tenantId);
+    }
+
+    /**
+     * Replace a temperature range. Excursions already recorded keep the range they were checked against.
+     * @param {string} rangeId - Range ID
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} range - Same fields as createRange
+     * @returns {Promise<Object|null>} Updated range, null when not found
+     */
+    async updateRange(rangeId, tenantId, range) {
+        const result = await this.executeSingle(`
+            UPDATE reefer_temperature_ranges
+            SET trailer_id = ?, load_reference = ?, metric = ?, min_temp_c = ?, max_temp_c = ?,
+                alert_after_minutes = ?, starts_at = ?, ends_at = ?, updated_at = ?
+            WHERE id = ? AND tenant_id = ?
+        `, [
+            range.trailerId, range.loadReference || null, range.metric, range.minTempC, range.maxTempC,
+            range.alertAfterMinutes, formatDateForDB(range.startsAt), formatDateForDB(range.endsAt),
+            getCurrentTimestamp(), rangeId, tenantId
+        ]);
+
+        return result.changes > 0 ? this.getRange(rangeId, tenantId) : null;
+    }
+
+    /**
+     * Delete a temperature range
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteRange(rangeId, tenantId) {
+        const result = await this.executeSingle(
+            'DELETE FROM reefer_temperature_ranges WHERE id = ? AND tenant_id = ?',
+            [rangeId, tenantId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Get the range a trailer's temperature is checked against at a time. A load range covering the time
+     * takes precedence over the trailer's standing range.
+     * @param {string} trailerId - Trailer ID
+     * @param {string} time - ISO time of the reading
+     * @returns {Promise<Object|null>} Range (camelCase) with the trailer's unit number
+     */
+    async getActiveRange(trailerId, time) {
+        return this.execute(`
+            SELECT ${RANGE_COLUMNS}
+            FROM reefer_temperature_ranges r
+            JOIN persistent_trailers pt ON pt.id = r.trailer_id
+            WHERE r.trailer_id = ?
+              AND (r.starts_at IS NULL OR r.starts_at <= ?)
+              AND (r.ends_at IS NULL OR r.ends_at >= ?)
+            ORDER BY r.load_reference IS NULL, r.starts_at DESC
+            LIMIT 1
+        `, [trailerId, time, time], { camelCase: true, first: true });
+    }
+
+    // ============================================================================
+    // EXCURSIONS
+    // ============================================================================
+
+    /**
+     * Get a trailer's excursion that has not returned to range yet
+     * @param {string} trailerId - Trailer ID
+     * @returns {Promise<Object|null>} Excursion (camelCase)
+     */
+    async getOpenExcursion(trailerId) {
+        return this.execute(`
+            SELECT ${EXCURSION_COLUMNS}
+            FROM reefer_excursions e
+            JOIN persistent_trailers pt ON pt.id = e.trailer_id
+            WHERE e.trailer_id = ? AND e.status = ?
+            ORDER BY e.started_at DESC
+            LIMIT 1
+        `, [trailerId, REEFER_EXCURSION_STATUS.OPEN], { camelCase: true, first: true });
+    }
+
+    /**
+     * Start an excursion at its first reading outside the range
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Object} range - Active range (camelCase)
+     * @param {Object} reading - { value, recordedAt }
+     * @returns {Promise<Object>} Created excursion
+     */
+    async createExcursion(trailer, range, reading) {
+        const id = generateId('excursion');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO reefer_excursions (
+                id, tenant_id, trailer_id, range_id, load_reference, metric, min_temp_c, max_temp_c,
+                started_at, last_reading_at, peak_temp_c, readings_count, status, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+        `, [
+            id, trailer.tenantId, trailer.id, range.id, range.loadReference, range.metric, range.minTempC, range.maxTempC,
+            reading.recordedAt, reading.recordedAt, reading.value, REEFER_EXCURSION_STATUS.OPEN, now, now
+        ]);
+
+        return this.getExcursion(id, trailer.tenantId);
+    }
+
+    /**
+     * Update an excursion's progress, severity, alert or end
+     * @param {string} excursionId - Excursion ID
+     * @param {Object} updates - Any of { lastReadingAt, peakTempC, readingsCount, severity, alertId, endedAt, status }
+     */
+    async updateExcursion(excursionId, updates) {
+        const columns = {
+            lastReadingAt: 'last_reading_at',
+            peakTempC: 'peak_temp_c',
+            readingsCount: 'readings_count',
+            severity: 'severity',
+            alertId: 'alert_id',
+            endedAt: 'ended_at',
+            status: 'status'
+        };
+        const fields = Object.keys(updates).filter(field => columns[field]);
+        if (fields.length === 0) {
+            return;
+        }
+
+        await this.executeSingle(`
+            UPDATE reefer_excursions
+            SET ${fields.map(field => `${columns[field]} = ?`).join(', ')}, updated_at = ?
+            WHERE id = ?
+        `, [...fields.map(field => updates[field]), getCurrentTimestamp(), excursionId]);
+    }
+
+    /**
+     * Get one of a tenant's excursions
+     * @param {string} excursionId - Excursion ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Excursion (camelCase)
+     */
+    async getExcursion(excursionId, tenantId) {
+        return this.execute(`
+            SELECT ${EXCURSION_COLUMNS}
+            FROM reefer_excursions e
+            JOIN persistent_trailers pt ON pt.id = e.trailer_id
+            WHERE e.id = ? AND e.tenant_id = ?
+        `, [excursionId, tenantId], { camelCase: true, first: true });
+    }
+
+    /**
+     * Get a tenant's excursions, newest first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { trailerId, status, alertedOnly, from, to, limit, offset, page }
+     * @returns {Promise<Object>} Paginated response with excursions (camelCase)
+     */
+    async getExcursions(tenantId, { trailerId, status, alertedOnly, from, to, ...pagination } = {}) {
+        const normalizedPagination = normalizePagination({ ...getDefaultPaginationForType('reeferExcursions'), ...pagination });
+
+        const conditions = ['e.tenant_id = ?'];
+        const params = [tenantId];
+
+        if (trailerId) {
+            conditions.push('e.trailer_id = ?');
+            params.push(trailerId);
+        }
+        if (status) {
+            conditions.push('e.status = ?');
+            params.push(status);
+        }
+        if (alertedOnly) {
+            conditions.push('e.severity IS NOT NULL');
+        }
+        if (from) {
+            conditions.push('COALESCE(e.ended_at, e.last_reading_at) >= ?');
+            params.push(formatDateForDB(from));
+        }
+        if (to) {
+            conditions.push('e.started_at <= ?');
+            params.push(formatDateForDB(to));
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const [totalResult, excursions] = await Promise.all([
+            this.execute(`SELECT COUNT(*) AS total FROM reefer_excursions e ${whereClause}`, params, { first: true }),
+            this.execute(`
+                SELECT ${EXCURSION_COLUMNS}
+                FROM reefer_excursions e
+                JOIN persistent_trailers pt ON pt.id = e.trailer_id
+                ${whereClause}
+                ORDER BY e.started_at DESC
+                LIMIT ? OFFSET ?
+            `, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+        ]);
+
+        return createPaginatedResponse(excursions, normalizedPagination, totalResult.total);
+    }
+}
+
+module.exports = ReeferExcursionManager;
@@ -0,0 +1,167 @@
+/**
+ * Refresh Log Manager
+ * Records every provider sync and location refresh in system_refresh_log, with the trailers
+ * each run did not update and why, and the trailers its reconciliation marked stale, disconnected or archived
+ */
+
+const { generateId, formatDateForDB } = require('../utils/db-helpers');
+const { REFRESH_LOG } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+const RUN_COLUMNS = `
+    l.id, l.tenant_id, l.user_id, l.provider_id, gp.name AS provider_name, l.operation_type, l.trigger_type,
+    l.status, l.trailers_processed, l.trailers_created, l.trailers_updated, l.trailers_skipped,
+    l.trailers_failed, l.trailers_stale, l.trailers_disconnected, l.trailers_archived, l.trailers_reconnected,
+    l.error_message, l.duration_ms, l.job_run_id, l.created_at
+`;
+
+class RefreshLogManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Record a finished run
+     * @param {Object} run - { tenantId, userId, providerId, operationType, triggerType, status, startedAt,
+     *   durationMs, trailersProcessed, trailersCreated, trailersUpdated, trailersSkipped, trailersFailed,
+     *   trailersStale, trailersDisconnected, trailersArchived, trailersReconnected, errorMessage, jobRunId, items }
+     *   where items are { trailerId, deviceId, outcome, message }
+     * @returns {Promise<string>} Log ID
+     */
+    async logRun(run) {
+        const id = generateId('rlog_');
+
+        await this.executeSingle(`
+            INSERT INTO system_refresh_log (
+                id, user_id, tenant_id, operation_type, provider_id, trigger_type, status,
+                trailers_processed, trailers_created, trailers_updated, trailers_skipped, trailers_failed,
+                trailers_stale, trailers_disconnected, trailers_archived, trailers_reconnected,
+                error_message, duration_ms, job_run_id, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, run.userId || null, run.tenantId, run.operationType, run.providerId || null, run.triggerType, run.status,
+            run.trailersProcessed || 0, run.trailersCreated || 0, run.trailersUpdated || 0,
+            run.trailersSkipped || 0, run.trailersFailed || 0,
+            run.trailersStale || 0, run.trailersDisconnected || 0, run.trailersArchived || 0, run.trailersReconnected || 0,
+            run.errorMessage || null,
+            run.durationMs ?? null, run.jobRunId || null, formatDateForDB(run.startedAt) || new Date().toISOString()
+        ]);
+
+        const items = (run.items || []).slice(0, REFRESH_LOG.MAX_ITEMS_PER_RUN);
+        if (items.length > 0) {
+            await this.executeSingle(
+                `INSERT INTO system_refresh_log_items (id, log_id, trailer_id, device_id, outcome, message)
+                 VALUES ${items.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+                items.flatMap(item => [
+                    generateId('rli_'), id, item.trailerId || null, item.deviceId || null, item.outcome, item.message || null
+                ])
+            );
+        }
+
+        return id;
+    }
+
+    /**
+     * Get run records, newest first
+     * Filtering by trailerId or deviceId returns only runs that did not update that trailer,
+     * with its outcome and message.
+     * @param {Object} filters - { tenantId, providerId, operationType, triggerType, status, trailerId, deviceId,
+     *   jobRunId, from, to } plus pagination options
+     * @returns {Promise<Object>} Paginated response with runs and pagination metadata
+     */
+    async getHistory({ tenantId, providerId, operationType, triggerType, status, trailerId, deviceId, jobRunId, from, to, ...pagination } = {}) {
+        try {
+            const defaultSettings = getDefaultPaginationForType('refreshLog');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = [];
+            const params = [];
+            const filters = [
+                ['l.tenant_id = ?', tenantId],
+                ['l.provider_id = ?', providerId],
+                ['l.operation_type = ?', operationType],
+                ['l.trigger_type = ?', triggerType],
+                ['l.status = ?', status],
+                ['l.job_run_id = ?', jobRunId],
+                ['i.trailer_id = ?', trailerId],
+                ['i.device_id = ?', deviceId],
+                ['l.created_at >= ?', from && formatDateForDB(from)],
+                ['l.created_at <= ?', to && formatDateForDB(to)]
+            ];
+            for (const [condition, value] of filters) {
+                if (value) {
+                    conditions.push(condition);
+                    params.push(value);
+                }
+            }
+
+            const byTrailer = !!(trailerId || deviceId);
+            const itemJoin = byTrailer ? 'JOIN system_refresh_log_items i ON i.log_id = l.id' : '';
+            const itemColumns = byTrailer ? ', i.outcome AS trailer_outcome, i.message AS trailer_message' : '';
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countQuery = `SELECT COUNT(*) as total FROM system_refresh_log l ${itemJoin} ${whereClause}`;
+            const dataQuery = `
+                SELECT ${RUN_COLUMNS}${itemColumns}
+                FROM system_refresh_log l
+                LEFT JOIN gps_providers gp ON gp.id = l.provider_id
+                ${itemJoin}
+                ${whereClause}
+                ORDER BY l.created_at DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            const [totalResult, runs] = await Promise.all([
+                this.execute(countQuery, params, { first: true }),
+                this.execute(dataQuery, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            return createPaginatedResponse(runs, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching refresh history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a run record with the trailers it did not update
+     * @param {string} logId - Log ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Run with items, null when not found in the tenant
+     */
+    async getRun(logId, tenantId) {
+        const run = await this.execute(`
+            SELECT ${RUN_COLUMNS}
+            FROM system_refresh_log l
+            LEFT JOIN gps_providers gp ON gp.id = l.provider_id
+            WHERE l.id = ? AND l.tenant_id = ?
+        `, [logId, tenantId], { camelCase: true, first: true });
+
+        if (!run) {
+            return null;
+        }
+
+        run.items = await this.execute(`
+            SELECT i.id, i.trailer_id, t.unit_number, i.device_id, i.outcome, i.message
+            FROM system_refresh_log_items i
+            LEFT JOIN persistent_trailers t ON t.id = i.trailer_id
+            WHERE i.log_id = ?
+            ORDER BY i.outcome, t.unit_number, i.device_id
+        `, [logId], { camelCase: true });
+
+        return run;
+    }
+
+    /**
+     * Delete run records older than the retention window
+     * @returns {Promise<number>} Number of deleted runs
+     */
+    async purgeOldLogs() {
+        const cutoff = new Date(Date.now() - REFRESH_LOG.RETENTION).toISOString();
+        const result = await this.executeSingle('DELETE FROM system_refresh_log WHERE created_at < ?', [cutoff]);
+        return result.changes || 0;
+    }
+}
+
+module.exports = RefreshLogManager;
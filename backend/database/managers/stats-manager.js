@@ -9,9 +9,40 @@ const {
     executeQuery, executeSingleQuery, executeQueryFirst, executeQueryCamelCase, executeQueryFirstCamelCase, executeInTransaction,
     buildWhereClause, buildOrderByClause, buildLimitClause
 } = require('../utils/db-helpers');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const { WORK_ORDER_STATUS, WORK_ORDER_LINE_TYPES } = require('../../utils/constants');
 const BaseManager = require('./baseManager');
 const PermissionsManager = require('./permissions-manager');
 
+// The parts and labor cost of each of a tenant's completed work orders, the entries of the maintenance cost ledger
+const WORK_ORDER_COSTS = `
+    SELECT w.id, w.number, w.trailer_id, w.title, w.vendor_location_id, w.completed_at,
+           COALESCE(SUM(CASE WHEN li.line_type = '${WORK_ORDER_LINE_TYPES.PART}' THEN li.quantity * li.unit_cost END), 0) AS parts_cost,
+           COALESCE(SUM(CASE WHEN li.line_type = '${WORK_ORDER_LINE_TYPES.LABOR}' THEN li.quantity * li.unit_cost END), 0) AS labor_cost
+    FROM work_orders w
+    LEFT JOIN work_order_line_items li ON li.work_order_id = w.id
+    WHERE w.tenant_id = ? AND w.status = '${WORK_ORDER_STATUS.COMPLETED}'
+    GROUP BY w.id
+`;
+
+/**
+ * Build the trailer filters of a maintenance cost query. Archived trailers and trailers merged into another are left out.
+ * @returns {Object} { filters, params } to append to a WHERE clause on persistent_trailers t
+ */
+function buildCostFilters({ companyId, trailerId } = {}) {
+    let filters = ' AND t.archived_at IS NULL AND t.merged_into_id IS NULL';
+    const params = [];
+    if (companyId) {
+        filters += ' AND t.company_id = ?';
+        params.push(companyId);
+    }
+    if (trailerId) {
+        filters += ' AND t.id = ?';
+        params.push(trailerId);
+    }
+    return { filters, params };
+}
+
 class StatsManager extends BaseManager {
     constructor(db) {
         super(db); // Call the parent constructor
@@ -239,18 +270,28 @@ class StatsManager extends BaseManager {
             
             const trailers = await executeQuery(this.db, `
                 SELECT 
+                    pt.id,
+                    pt.trailer_type,
+                    pt.last_annual_inspection,
                     pt.next_annual_inspection_due,
+                    pt.last_midtrip_inspection,
                     pt.next_midtrip_inspection_due,
+                    pt.last_brake_inspection,
                     pt.next_brake_inspection_due,
-                    pt.tire_status
+                    pt.tire_status,
+                    pt.gps_miles,
+                    pt.odometer_miles,
+                    pt.odometer_gps_miles,
+                    pt.engine_hours
                 FROM persistent_trailers pt
                 WHERE pt.company_id = ?
             `, [companyId]);
 
+            const alertContext = await MaintenanceService.loadAlertContext(tenant_id, trailers.map(trailer => trailer.id));
             let totalAlerts = 0;
             for (const trailer of trailers) {
                 try {
-                    const alerts = await MaintenanceService.calculateTrailerMaintenanceAlerts(trailer, tenant_id);
+                    const alerts = await MaintenanceService.calculateTrailerMaintenanceAlerts(trailer, tenant_id, alertContext);
                     totalAlerts += Array.isArray(alerts) ? alerts.length : (alerts?.alerts?.length || 0);
                 } catch (e) {
                     console.warn(`Error calculating maintenance alerts for trailer in company ${companyId}:`, e.message);
@@ -431,6 +472,117 @@ class StatsManager extends BaseManager {
         }
     }
 
+    // ============================================================================
+    // MAINTENANCE COSTS
+    // ============================================================================
+
+    /**
+     * Get each of a tenant's trailers with its maintenance cost, over its lifetime and within a period
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { companyId, trailerId }
+     * @param {Object} period - { start, end } ISO dates, end exclusive
+     * @returns {Promise<Array>} Trailers (camelCase) with their meter columns, lifetimeCost, lifetimeWorkOrders,
+     *   partsCost, laborCost and workOrders within the period
+     */
+    async getTrailerMaintenanceCosts(tenantId, filters, { start, end }) {
+        try {
+            const { filters: costFilters, params } = buildCostFilters(filters);
+
+            return await executeQueryCamelCase(this.db, `
+                WITH work_order_costs AS (${WORK_ORDER_COSTS})
+                SELECT t.id AS trailer_id, t.unit_number, t.company_id, COALESCE(c.name, cc.name) AS company_name,
+                       t.created_at, t.gps_miles, t.odometer_miles, t.odometer_gps_miles,
+                       COUNT(wc.id) AS lifetime_work_orders,
+                       COALESCE(SUM(wc.parts_cost + wc.labor_cost), 0) AS lifetime_cost,
+                       COUNT(CASE WHEN wc.completed_at >= ? AND wc.completed_at < ? THEN wc.id END) AS work_orders,
+                       COALESCE(SUM(CASE WHEN wc.completed_at >= ? AND wc.completed_at < ? THEN wc.parts_cost END), 0) AS parts_cost,
+                       COALESCE(SUM(CASE WHEN wc.completed_at >= ? AND wc.completed_at < ? THEN wc.labor_cost END), 0) AS labor_cost
+                FROM persistent_trailers t
+                LEFT JOIN companies c ON c.id = t.company_id
+                LEFT JOIN trailer_custom_companies cc ON cc.id = t.company_id
+                LEFT JOIN work_order_costs wc ON wc.trailer_id = t.id
+                WHERE COALESCE(t.tenant_id, c.tenant_id, cc.tenant_id) = ? ${costFilters}
+                GROUP BY t.id
+                ORDER BY lifetime_cost DESC, t.unit_number
+            `, [tenantId, start, end, start, end, start, end, tenantId, ...params]);
+        } catch (error) {
+            console.error('Error getting trailer maintenance costs:', error);
+            throw new Error('Failed to retrieve trailer maintenance costs');
+        }
+    }
+
+    /**
+     * Get a tenant's maintenance cost for each month of a period with costs
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { companyId, trailerId }
+     * @param {Object} period - { start, end } ISO dates, end exclusive
+     * @returns {Promise<Array>} [{ month: 'YYYY-MM', workOrders, partsCost, laborCost }], oldest first
+     */
+    async getMonthlyMaintenanceCosts(tenantId, filters, { start, end }) {
+        try {
+            const { filters: costFilters, params } = buildCostFilters(filters);
+
+            return await executeQueryCamelCase(this.db, `
+                WITH work_order_costs AS (${WORK_ORDER_COSTS})
+                SELECT substr(wc.completed_at, 1, 7) AS month, COUNT(*) AS work_orders,
+                       SUM(wc.parts_cost) AS parts_cost, SUM(wc.labor_cost) AS labor_cost
+                FROM work_order_costs wc
+                JOIN persistent_trailers t ON t.id = wc.trailer_id
+                WHERE wc.completed_at >= ? AND wc.completed_at < ? ${costFilters}
+                GROUP BY month
+                ORDER BY month
+            `, [tenantId, start, end, ...params]);
+        } catch (error) {
+            console.error('Error getting monthly maintenance costs:', error);
+            throw new Error('Failed to retrieve monthly maintenance costs');
+        }
+    }
+
+    /**
+     * Get the maintenance cost ledger: a tenant's completed work orders within a period and their cost, newest first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { companyId, trailerId, start, end, limit, offset, page }
+     * @returns {Promise<Object>} Paginated response with entries (camelCase)
+     */
+    async getMaintenanceCostLedger(tenantId, { companyId, trailerId, start, end, ...pagination } = {}) {
+        try {
+            const normalizedPagination = normalizePagination({ ...getDefaultPaginationForType('stats'), ...pagination });
+            const { filters: costFilters, params } = buildCostFilters({ companyId, trailerId });
+            const fromClause = `
+                FROM work_order_costs wc
+                JOIN persistent_trailers t ON t.id = wc.trailer_id
+                WHERE wc.completed_at >= ? AND wc.completed_at < ? ${costFilters}
+            `;
+            const queryParams = [tenantId, start, end, ...params];
+
+            const [totalResult, entries] = await Promise.all([
+                executeQueryFirst(this.db, `
+                    WITH work_order_costs AS (${WORK_ORDER_COSTS})
+                    SELECT COUNT(*) AS total ${fromClause}
+                `, queryParams),
+                executeQueryCamelCase(this.db, `
+                    WITH work_order_costs AS (${WORK_ORDER_COSTS})
+                    SELECT wc.id AS work_order_id, wc.number, wc.title, wc.completed_at, wc.trailer_id, t.unit_number,
+                           t.company_id, COALESCE(c.name, cc.name) AS company_name, v.name AS vendor_name,
+                           wc.parts_cost, wc.labor_cost, wc.parts_cost + wc.labor_cost AS total_cost
+                    FROM work_order_costs wc
+                    JOIN persistent_trailers t ON t.id = wc.trailer_id
+                    LEFT JOIN companies c ON c.id = t.company_id
+                    LEFT JOIN trailer_custom_companies cc ON cc.id = t.company_id
+                    LEFT JOIN trailer_custom_locations v ON v.id = wc.vendor_location_id
+                    WHERE wc.completed_at >= ? AND wc.completed_at < ? ${costFilters}
+                    ORDER BY wc.completed_at DESC, wc.number DESC
+                    LIMIT ? OFFSET ?
+                `, [...queryParams, normalizedPagination.limit, normalizedPagination.offset])
+            ]);
+
+            return createPaginatedResponse(entries, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('Error getting maintenance cost ledger:', error);
+            throw new Error('Failed to retrieve maintenance cost ledger');
+        }
+    }
+
     // ============================================================================
     // TENANT MANAGEMENT
     // ============================================================================
@@ -0,0 +1,369 @@
+/**
+ * Sync Schedule Manager
+ * Persists per-tenant and per-provider background job schedules and their run history
+ */
+
+const { generateId, getCurrentTimestamp, formatDateForDB } = require('../utils/db-helpers');
+const { SYNC_JOB_TYPES, SYNC_JOB_STATUS, SYNC_SCHEDULER } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+const SCHEDULE_COLUMNS = `
+    s.id, s.tenant_id, s.provider_id, gp.name AS provider_name, gp.type AS provider_type,
+    s.job_type, s.interval_minutes, s.quiet_hours_start, s.quiet_hours_end, s.timezone,
+    s.is_enabled, s.next_run_at, s.last_run_at, s.last_status, s.created_at, s.updated_at
+`;
+
+class SyncScheduleManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Create default tenant-level schedules for tenants that do not have one for a job type.
+     * Covers every tenant with active users or GPS providers.
+     * @returns {Promise<number>} Number of schedules created
+     */
+    async ensureTenantSchedules() {
+        let created = 0;
+
+        for (const jobType of Object.values(SYNC_JOB_TYPES)) {
+            const tenants = await this.execute(`
+                SELECT tenant_id FROM (
+                    SELECT tenant_id FROM users WHERE is_active = 1 AND tenant_id IS NOT NULL
+                    UNION
+                    SELECT tenant_id FROM gps_providers WHERE tenant_id IS NOT NULL
+                ) t
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM sync_schedules s
+                    WHERE s.tenant_id = t.tenant_id AND s.provider_id IS NULL AND s.job_type = ?
+                )
+            `, [jobType]);
+
+            for (const { tenant_id: tenantId } of tenants) {
+                await this.createSchedule(tenantId, null, jobType, {
+                    intervalMinutes: SYNC_SCHEDULER.DEFAULT_INTERVAL_MINUTES[jobType]
+                });
+                created++;
+            }
+        }
+
+        return created;
+    }
+
+    /**
+     * Create a schedule, first run one interval from now
+     * @param {string} tenantId - Tenant ID
+     * @param {string|null} providerId - Provider ID for a provider override, null for the tenant schedule
+     * @param {string} jobType - SYNC_JOB_TYPES value
+     * @param {Object} settings - { intervalMinutes, quietHoursStart, quietHoursEnd, timezone, isEnabled }
+     * @returns {Promise<Object>} Created schedule
+     */
+    async createSchedule(tenantId, providerId, jobType, settings) {
+        const id = generateId('sched_');
+        const now = getCurrentTimestamp();
+        const nextRunAt = new Date(Date.now() + settings.intervalMinutes * 60 * 1000).toISOString();
+
+        await this.executeSingle(`
+            INSERT INTO sync_schedules (
+                id, tenant_id, provider_id, job_type, interval_minutes, quiet_hours_start, quiet_hours_end,
+                timezone, is_enabled, next_run_at, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, tenantId, providerId, jobType, settings.intervalMinutes,
+            settings.quietHoursStart || null, settings.quietHoursEnd || null, settings.timezone || 'UTC',
+            settings.isEnabled === false ? 0 : 1, nextRunAt, now, now
+        ]);
+
+        return this.getSchedule(id, tenantId);
+    }
+
+    /**
+     * Get a schedule
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} tenantId - Tenant ID the schedule must belong to
+     * @returns {Promise<Object|null>} Schedule (camelCase)
+     */
+    async getSchedule(scheduleId, tenantId) {
+        return this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM sync_schedules s
+            LEFT JOIN gps_providers gp ON gp.id = s.provider_id
+            WHERE s.id = ? AND s.tenant_id = ?
+        `, [scheduleId, tenantId], { camelCase: true, first: true });
+    }
+
+    /**
+     * Find the schedule for a tenant/provider/job type
+     * @returns {Promise<Object|null>} Schedule (camelCase)
+     */
+    async findSchedule(tenantId, providerId, jobType) {
+        return this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM sync_schedules s
+            LEFT JOIN gps_providers gp ON gp.id = s.provider_id
+            WHERE s.tenant_id = ? AND COALESCE(s.provider_id, '') = ? AND s.job_type = ?
+        `, [tenantId, providerId || '', jobType], { camelCase: true, first: true });
+    }
+
+    /**
+     * Get all schedules of a tenant, tenant-level schedules first
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Array>} Schedules (camelCase)
+     */
+    async getTenantSchedules(tenantId) {
+        return this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM sync_schedules s
+            LEFT JOIN gps_providers gp ON gp.id = s.provider_id
+            WHERE s.tenant_id = ?
+            ORDER BY s.provider_id IS NOT NULL, s.job_type, gp.name
+        `, [tenantId], { camelCase: true });
+    }
+
+    /**
+     * Get every schedule with tenant names (super admin overview)
+     * @returns {Promise<Array>} Schedules (camelCase)
+     */
+    async getAllSchedules() {
+        return this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}, tn.name AS tenant_name
+            FROM sync_schedules s
+            LEFT JOIN gps_providers gp ON gp.id = s.provider_id
+            LEFT JOIN tenants tn ON tn.id = s.tenant_id
+            ORDER BY s.next_run_at ASC
+        `, [], { camelCase: true });
+    }
+
+    /**
+     * Get enabled schedules due to run
+     * @param {string} now - ISO timestamp
+     * @returns {Promise<Array>} Schedules (camelCase), most overdue first
+     */
+    async getDueSchedules(now) {
+        return this.execute(`
+            SELECT ${SCHEDULE_COLUMNS}
+            FROM sync_schedules s
+            LEFT JOIN gps_providers gp ON gp.id = s.provider_id
+            WHERE s.is_enabled = 1 AND s.next_run_at <= ?
+            ORDER BY s.next_run_at ASC
+        `, [now], { camelCase: true });
+    }
+
+    /**
+     * Get IDs of providers in a tenant that have their own schedule for a job type
+     * (those are left out of the tenant-level job)
+     * @returns {Promise<Set<string>>} Provider IDs
+     */
+    async getOverriddenProviderIds(tenantId, jobType) {
+        const rows = await this.execute(`
+            SELECT provider_id FROM sync_schedules
+            WHERE tenant_id = ? AND job_type = ? AND provider_id IS NOT NULL
+        `, [tenantId, jobType]);
+        return new Set(rows.map(row => row.provider_id));
+    }
+
+    /**
+     * Update schedule settings. Changing the interval or re-enabling reschedules the next run.
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} settings - { intervalMinutes, quietHoursStart, quietHoursEnd, timezone, isEnabled }
+     * @returns {Promise<Object|null>} Updated schedule
+     */
+    async updateSchedule(scheduleId, tenantId, settings) {
+        const existing = await this.getSchedule(scheduleId, tenantId);
+        if (!existing) {
+            return null;
+        }
+
+        const fields = [];
+        const params = [];
+        const setField = (column, value) => {
+            fields.push(`${column} = ?`);
+            params.push(value);
+        };
+
+        if (settings.intervalMinutes !== undefined) setField('interval_minutes', settings.intervalMinutes);
+        if (settings.quietHoursStart !== undefined) setField('quiet_hours_start', settings.quietHoursStart || null);
+        if (settings.quietHoursEnd !== undefined) setField('quiet_hours_end', settings.quietHoursEnd || null);
+        if (settings.timezone !== undefined) setField('timezone', settings.timezone || 'UTC');
+        if (settings.isEnabled !== undefined) setField('is_enabled', settings.isEnabled ? 1 : 0);
+
+        const intervalChanged = settings.intervalMinutes !== undefined && settings.intervalMinutes !== existing.intervalMinutes;
+        const reEnabled = settings.isEnabled === true && !existing.isEnabled;
+        if (intervalChanged || reEnabled) {
+            const intervalMinutes = settings.intervalMinutes ?? existing.intervalMinutes;
+            setField('next_run_at', new Date(Date.now() + intervalMinutes * 60 * 1000).toISOString());
+        }
+
+        if (fields.length === 0) {
+            return existing;
+        }
+
+        setField('updated_at', getCurrentTimestamp());
+        await this.executeSingle(
+            `UPDATE sync_schedules SET ${fields.join(', ')} WHERE id = ? AND tenant_id = ?`,
+            [...params, scheduleId, tenantId]
+        );
+
+        return this.getSchedule(scheduleId, tenantId);
+    }
+
+    /**
+     * Delete a provider override (tenant-level schedules can only be disabled)
+     * @returns {Promise<boolean>} True when a schedule was deleted
+     */
+    async deleteProviderSchedule(scheduleId, tenantId) {
+        const result = await this.executeSingle(
+            'DELETE FROM sync_schedules WHERE id = ? AND tenant_id = ? AND provider_id IS NOT NULL',
+            [scheduleId, tenantId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Move a schedule's next run without running it (quiet hours)
+     */
+    async deferSchedule(scheduleId, nextRunAt) {
+        await this.executeSingle(
+            'UPDATE sync_schedules SET next_run_at = ? WHERE id = ?',
+            [nextRunAt, scheduleId]
+        );
+    }
+
+    /**
+     * Record the outcome of a run on its schedule and set the next run
+     */
+    async completeScheduleRun(scheduleId, { lastRunAt, lastStatus, nextRunAt }) {
+        await this.executeSingle(
+            'UPDATE sync_schedules SET last_run_at = ?, last_status = ?, next_run_at = ? WHERE id = ?',
+            [lastRunAt, lastStatus, nextRunAt, scheduleId]
+        );
+    }
+
+    /**
+     * Record the start of a job run
+     * @param {Object} run - { scheduleId, tenantId, providerId, jobType, triggerType, scheduledFor }
+     * @returns {Promise<string>} Run ID
+     */
+    async startRun({ scheduleId, tenantId, providerId, jobType, triggerType, scheduledFor }) {
+        const id = generateId('run_');
+
+        await this.executeSingle(`
+            INSERT INTO sync_job_runs (
+                id, schedule_id, tenant_id, provider_id, job_type, trigger_type, status, scheduled_for, started_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, scheduleId || null, tenantId, providerId || null, jobType, triggerType,
+            SYNC_JOB_STATUS.RUNNING, scheduledFor || null, getCurrentTimestamp()
+        ]);
+
+        return id;
+    }
+
+    /**
+     * Record the end of a job run
+     * @param {string} runId - Run ID
+     * @param {Object} result - { status, durationMs, providersProcessed, trailersProcessed, locationsUpdated, errorMessage }
+     */
+    async finishRun(runId, result) {
+        await this.executeSingle(`
+            UPDATE sync_job_runs
+            SET status = ?, finished_at = ?, duration_ms = ?, providers_processed = ?,
+                trailers_processed = ?, locations_updated = ?, error_message = ?
+            WHERE id = ?
+        `, [
+            result.status, getCurrentTimestamp(), result.durationMs,
+            result.providersProcessed || 0, result.trailersProcessed || 0, result.locationsUpdated || 0,
+            result.errorMessage || null, runId
+        ]);
+    }
+
+    /**
+     * Mark runs left 'running' by a previous process as interrupted
+     * @returns {Promise<number>} Number of runs marked
+     */
+    async markInterruptedRuns() {
+        const result = await this.executeSingle(
+            'UPDATE sync_job_runs SET status = ?, finished_at = ? WHERE status = ?',
+            [SYNC_JOB_STATUS.INTERRUPTED, getCurrentTimestamp(), SYNC_JOB_STATUS.RUNNING]
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Get job run history with filters and pagination
+     * @param {Object} options - Filters and pagination
+     * @param {string} options.tenantId - Only include runs of this tenant (omit for all tenants)
+     * @param {string} options.scheduleId - Only include runs of this schedule
+     * @param {string} options.providerId - Only include runs of this provider override
+     * @param {string} options.jobType - Only include this job type
+     * @param {string} options.status - Only include this status
+     * @param {string} options.from - Only include runs started at or after this ISO timestamp
+     * @param {string} options.to - Only include runs started at or before this ISO timestamp
+     * @returns {Promise<Object>} Paginated response with runs and pagination metadata
+     */
+    async getRuns({ tenantId, scheduleId, providerId, jobType, status, from, to, ...pagination } = {}) {
+        try {
+            const defaultSettings = getDefaultPaginationForType('syncJobRuns');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = [];
+            const params = [];
+            const filters = [
+                ['r.tenant_id = ?', tenantId],
+                ['r.schedule_id = ?', scheduleId],
+                ['r.provider_id = ?', providerId],
+                ['r.job_type = ?', jobType],
+                ['r.status = ?', status],
+                ['r.started_at >= ?', from && formatDateForDB(from)],
+                ['r.started_at <= ?', to && formatDateForDB(to)]
+            ];
+            for (const [condition, value] of filters) {
+                if (value) {
+                    conditions.push(condition);
+                    params.push(value);
+                }
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countQuery = `SELECT COUNT(*) as total FROM sync_job_runs r ${whereClause}`;
+            const dataQuery = `
+                SELECT r.id, r.schedule_id, r.tenant_id, r.provider_id, gp.name AS provider_name, r.job_type,
+                       r.trigger_type, r.status, r.scheduled_for, r.started_at, r.finished_at, r.duration_ms,
+                       r.providers_processed, r.trailers_processed, r.locations_updated, r.error_message
+                FROM sync_job_runs r
+                LEFT JOIN gps_providers gp ON gp.id = r.provider_id
+                ${whereClause}
+                ORDER BY r.started_at DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            const [totalResult, runs] = await Promise.all([
+                this.execute(countQuery, params, { first: true }),
+                this.execute(dataQuery, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            return createPaginatedResponse(runs, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching sync job runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete run history older than the retention window
+     * @returns {Promise<number>} Number of deleted runs
+     */
+    async purgeOldRuns() {
+        const cutoff = new Date(Date.now() - SYNC_SCHEDULER.RUN_HISTORY_RETENTION).toISOString();
+        const result = await this.executeSingle(
+            'DELETE FROM sync_job_runs WHERE started_at < ? AND status != ?',
+            [cutoff, SYNC_JOB_STATUS.RUNNING]
+        );
+        return result.changes || 0;
+    }
+}
+
+module.exports = SyncScheduleManager;
@@ -0,0 +1,131 @@
+/**
+ * Telemetry Manager
+ * Stores trailer sensor readings (door, cargo, reefer, battery) as a time series
+ */
+
+const { generateId, formatDateForDB } = require('../utils/db-helpers');
+const { TELEMETRY } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+class TelemetryManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Store sensor readings for a trailer. Polls repeat the last reading until the sensor reports again,
+     * so a reading already stored for the same metric and time is skipped.
+     * @param {Object} trailer - { id, tenantId }
+     * @param {string|null} providerId - Provider that reported the readings
+     * @param {Array} readings - [{ metric, value, textValue, recordedAt }]
+     * @returns {Promise<Array>} The readings stored
+     */
+    async recordReadings(trailer, providerId, readings) {
+        const stored = [];
+
+        for (const reading of readings) {
+            const result = await this.executeSingle(`
+                INSERT INTO trailer_telemetry (
+                    id, tenant_id, trailer_id, provider_id, metric, value, text_value, recorded_at, created_at
+                )
+                SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM trailer_telemetry
+                    WHERE trailer_id = ? AND metric = ? AND recorded_at = ?
+                )
+            `, [
+                generateId('tlm'), trailer.tenantId || null, trailer.id, providerId || null, reading.metric,
+                reading.value ?? null, reading.textValue ?? null, reading.recordedAt, new Date().toISOString(),
+                trailer.id, reading.metric, reading.recordedAt
+            ]);
+            if (result.changes > 0) {
+                stored.push(reading);
+            }
+        }
+
+        return stored;
+    }
+
+    /**
+     * Get a trailer's sensor readings, newest first
+     * @param {string} trailerId - Trailer ID
+     * @param {Object} options - { metric, from, to, limit, offset, page }
+     * @returns {Promise<Object>} Paginated response with readings (camelCase)
+     */
+    async getTelemetry(trailerId, { metric, from, to, ...pagination } = {}) {
+        const normalizedPagination = normalizePagination({ ...getDefaultPaginationForType('telemetry'), ...pagination });
+
+        const conditions = ['trailer_id = ?'];
+        const params = [trailerId];
+
+        if (metric) {
+            conditions.push('metric = ?');
+            params.push(metric);
+        }
+        if (from) {
+            conditions.push('recorded_at >= ?');
+            params.push(formatDateForDB(from));
+        }
+        if (to) {
+            conditions.push('recorded_at <= ?');
+            params.push(formatDateForDB(to));
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const [totalResult, readings] = await Promise.all([
+            this.execute(`SELECT COUNT(*) AS total FROM trailer_telemetry ${whereClause}`, params, { first: true }),
+            this.execute(`
+                SELECT id, metric, value, text_value, provider_id, recorded_at
+                FROM trailer_telemetry
+                ${whereClause}
+                ORDER BY recorded_at DESC
+                LIMIT ? OFFSET ?
+            `, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+        ]);
+
+        return createPaginatedResponse(readings, normalizedPagination, totalResult.total);
+    }
+
+    /**
+     * Get the latest reading of each metric a trailer reports
+     * @param {string} trailerId - Trailer ID
+     * @returns {Promise<Array>} Readings (camelCase), one per metric
+     */
+    async getLatestTelemetry(trailerId) {
+        return this.execute(`
+            SELECT t.metric, t.value, t.text_value, t.provider_id, t.recorded_at
+            FROM trailer_telemetry t
+            WHERE t.trailer_id = ?
+              AND t.recorded_at = (
+                  SELECT MAX(recorded_at) FROM trailer_telemetry
+                  WHERE trailer_id = t.trailer_id AND metric = t.metric
+              )
+            GROUP BY t.metric
+            ORDER BY t.metric
+        `, [trailerId], { camelCase: true });
+    }
+
+    /**
+     * Delete readings older than the retention window. Readings during an alerted reefer excursion
+     * are kept as evidence for as long as the excursion.
+     * @returns {Promise<number>} Number of deleted readings
+     */
+    async purgeOldTelemetry() {
+        const cutoff = new Date(Date.now() - TELEMETRY.RETENTION).toISOString();
+        const result = await this.executeSingle(`
+            DELETE FROM trailer_telemetry
+            WHERE recorded_at < ?
+              AND NOT EXISTS (
+                  SELECT 1 FROM reefer_excursions e
+                  WHERE e.trailer_id = trailer_telemetry.trailer_id
+                    AND e.alert_id IS NOT NULL
+                    AND trailer_telemetry.recorded_at BETWEEN e.started_at AND COALESCE(e.ended_at, e.last_reading_at)
+              )
+        `, [cutoff]);
+        return result.changes || 0;
+    }
+}
+
+module.exports = TelemetryManager;
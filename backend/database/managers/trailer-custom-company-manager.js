@@ -64,7 +64,7 @@ class TrailerCustomCompanyManager extends BaseManager {
             }
             
             const companies = await executeQuery(this.db, `
-                SELECT id, name, tenant_id, created_at, created_by_user_id
+                SELECT id, name, tenant_id, detention_threshold_minutes, created_at, created_by_user_id
                 FROM trailer_custom_companies 
                 WHERE tenant_id = ?
                 ORDER BY created_at ASC
@@ -120,7 +120,7 @@ class TrailerCustomCompanyManager extends BaseManager {
             }
             
             const company = await executeQueryFirst(this.db, `
-                SELECT id, name, tenant_id, created_at, created_by_user_id
+                SELECT id, name, tenant_id, detention_threshold_minutes, created_at, created_by_user_id
                 FROM trailer_custom_companies 
                 WHERE id = ? AND tenant_id = ?
             `, [customCompanyId, tenant_id]);
@@ -143,7 +143,7 @@ class TrailerCustomCompanyManager extends BaseManager {
             }
             
             const company = await executeQueryFirst(this.db, `
-                SELECT id, name, tenant_id, created_at, created_by_user_id
+                SELECT id, name, tenant_id, detention_threshold_minutes, created_at, created_by_user_id
                 FROM trailer_custom_companies 
                 WHERE id = ? AND tenant_id = ?
             `, [customCompanyId, tenant_id]);
@@ -165,7 +165,7 @@ class TrailerCustomCompanyManager extends BaseManager {
                 throw new Error('Tenant ID is required');
             }
             
-            const { name } = updates;
+            const { name, detention_threshold_minutes } = updates;
             
             if (name !== undefined && name.trim().length === 0) {
                 throw new Error('Company name cannot be empty');
@@ -180,10 +180,18 @@ class TrailerCustomCompanyManager extends BaseManager {
                 params.push(name);
             }
             
+            if (detention_threshold_minutes !== undefined) {
+                setClauses.push('detention_threshold_minutes = ?');
+                params.push(detention_threshold_minutes);
+            }
+            
             if (setClauses.length === 0) {
                 throw new Error('No valid updates provided');
             }
             
+            setClauses.push('updated_at = ?');
+            params.push(getCurrentTimestamp());
+            
             query += setClauses.join(', ');
             query += ` WHERE id = ? AND tenant_id = ?`;
             params.push(customCompanyId, tenant_id);
@@ -199,7 +207,7 @@ class TrailerCustomCompanyManager extends BaseManager {
     async getAllCustomCompanies() {
         try {
             const companies = await executeQuery(this.db, `
-                SELECT id, name, tenant_id, created_at, created_by_user_id
+                SELECT id, name, tenant_id, detention_threshold_minutes, created_at, created_by_user_id
                 FROM trailer_custom_companies 
                 ORDER BY created_at DESC
             `);
@@ -218,7 +226,7 @@ class TrailerCustomCompanyManager extends BaseManager {
             }
             
             const companies = await executeQuery(this.db, `
-                SELECT id, name, tenant_id, created_at, created_by_user_id
+                SELECT id, name, tenant_id, detention_threshold_minutes, created_at, created_by_user_id
                 FROM trailer_custom_companies 
                 WHERE created_by_user_id = ?
                 ORDER BY created_at DESC
@@ -11,6 +11,7 @@ const {
     buildWhereClause, buildOrderByClause, buildLimitClause
 } = require('../utils/db-helpers');
 
+const { safeJSONParse } = require('../utils/database-utilities');
 const { LOCATION_TYPES } = require('../../utils/constants');
 const BaseManager = require('./baseManager');
 
@@ -30,7 +31,8 @@ class TrailerCustomLocationManager extends BaseManager {
                 throw new Error('User ID is required');
             }
             
-            const { name, type, address, lat, lng, color = '#2563eb', icon_name = 'map-pin', is_shared = false } = locationData;
+            const { name, type, address, lat, lng, color = '#2563eb', icon_name = 'map-pin', is_shared = false, detention_threshold_minutes = null } = locationData;
+            const geofence = this.buildGeofenceColumns(locationData);
             
             if (!name || name.trim().length === 0) {
                 throw new Error('Location name is required');
@@ -49,9 +51,15 @@ class TrailerCustomLocationManager extends BaseManager {
 
             const result = await executeSingleQuery(this.db, `
                 INSERT INTO trailer_custom_locations (
-                    id, name, type, address, lat, lng, color, icon_name, is_shared, tenant_id, created_by, created_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [locationId, name, type, address || '', lat, lng, color, icon_name, is_shared ? 1 : 0, tenantId, userId, timestamp]);
+                    id, name, type, address, lat, lng, color, icon_name, is_shared,
+                    geofence_type, geofence_radius_m, geofence_polygon, detention_threshold_minutes,
+                    tenant_id, created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                locationId, name, type, address || '', lat, lng, color, icon_name, is_shared ? 1 : 0,
+                geofence.geofence_type ?? null, geofence.geofence_radius_m ?? null, geofence.geofence_polygon ?? null,
+                detention_threshold_minutes, tenantId, userId, timestamp
+            ]);
             
             return { id: locationId, changes: result.changes };
         } catch (error) {
@@ -79,7 +87,8 @@ class TrailerCustomLocationManager extends BaseManager {
             
             query += ` ORDER BY created_at DESC`;
             
-            return await executeQueryCamelCase(this.db, query, params);
+            const locations = await executeQueryCamelCase(this.db, query, params);
+            return locations.map(location => this.parseGeofence(location));
         } catch (error) {
             console.error('Error fetching custom locations:', error);
             throw new Error('Failed to retrieve custom locations');
@@ -96,7 +105,7 @@ class TrailerCustomLocationManager extends BaseManager {
                 throw new Error('User ID is required');
             }
             
-            const { name, type, address, lat, lng, color, icon_name, is_shared } = updates;
+            const { name, type, address, lat, lng, color, icon_name, is_shared, detention_threshold_minutes } = updates;
             
             if (name !== undefined && name.trim().length === 0) {
                 throw new Error('Location name cannot be empty');
@@ -143,6 +152,14 @@ class TrailerCustomLocationManager extends BaseManager {
                 setClauses.push('is_shared = ?');
                 params.push(is_shared ? 1 : 0);
             }
+            if (detention_threshold_minutes !== undefined) {
+                setClauses.push('detention_threshold_minutes = ?');
+                params.push(detention_threshold_minutes);
+            }
+            for (const [column, value] of Object.entries(this.buildGeofenceColumns(updates))) {
+                setClauses.push(`${column} = ?`);
+                params.push(value);
+            }
             
             if (setClauses.length === 0) {
                 throw new Error('No valid updates provided');
@@ -168,6 +185,46 @@ class TrailerCustomLocationManager extends BaseManager {
         }
     }
 
+    /**
+     * Parse the stored geofence polygon of a location row
+     * @param {Object} location - Location row (camelCase)
+     * @returns {Object} Location with geofencePolygon as an array of { lat, lng }
+     */
+    parseGeofence(location) {
+        return {
+            ...location,
+            geofencePolygon: location.geofencePolygon ? safeJSONParse(location.geofencePolygon, null) : null
+        };
+    }
+
+    /**
+     * Map validated geofence fields onto their columns
+     * Only fields present in the input are returned; removing the geofence type clears the shape.
+     * @param {Object} data - Location data with optional geofence_type, geofence_radius_m and geofence_polygon
+     * @returns {Object} Column values keyed by column name
+     */
+    buildGeofenceColumns(data) {
+        const { geofence_type, geofence_radius_m, geofence_polygon } = data;
+        const columns = {};
+
+        if (geofence_type !== undefined) {
+            columns.geofence_type = geofence_type || null;
+            if (!geofence_type) {
+                columns.geofence_radius_m = null;
+                columns.geofence_polygon = null;
+                return columns;
+            }
+        }
+        if (geofence_radius_m !== undefined) {
+            columns.geofence_radius_m = geofence_radius_m;
+        }
+        if (geofence_polygon !== undefined) {
+            columns.geofence_polygon = geofence_polygon ? JSON.stringify(geofence_polygon) : null;
+        }
+
+        return columns;
+    }
+
     async deleteLocation(locationId, userId) {
         try {
             if (!locationId) {
@@ -199,10 +256,11 @@ class TrailerCustomLocationManager extends BaseManager {
                 throw new Error('User ID is required');
             }
             
-            return await executeQueryFirstCamelCase(this.db, `
+            const location = await executeQueryFirstCamelCase(this.db, `
                 SELECT * FROM trailer_custom_locations 
                 WHERE id = ? AND (is_shared = 1 OR created_by = ?)
             `, [locationId, userId]);
+            return location ? this.parseGeofence(location) : location;
         } catch (error) {
             console.error('Error fetching custom location:', error);
             throw new Error('Failed to retrieve custom location');
@@ -215,12 +273,13 @@ class TrailerCustomLocationManager extends BaseManager {
                 throw new Error('User ID is required');
             }
             
-            return await executeQueryCamelCase(this.db, `
+            const locations = await executeQueryCamelCase(this.db, `
                 SELECT cl.*
                 FROM trailer_custom_locations cl
                 WHERE cl.created_by = ?
                 ORDER BY cl.created_at DESC
             `, [userId]);
+            return locations.map(location => this.parseGeofence(location));
         } catch (error) {
             console.error('Error fetching user locations:', error);
             throw new Error('Failed to retrieve user locations');
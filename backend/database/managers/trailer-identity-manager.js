@@ -0,0 +1,536 @@
+/**
+ * Trailer Identity Manager
+ * Links provider devices to trailers, queues devices that could belong to more than one trailer for review,
+ * and merges duplicate trailers in a way that can be undone
+ */
+
+const { generateId } = require('../utils/db-helpers');
+const { IDENTITY_REVIEW_STATUS } = require('../../utils/constants');
+const { normalizePagination, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const BaseManager = require('./baseManager');
+
+// Records that follow a trailer when it is merged, by the columns that point at it
+const MERGE_TABLES = [
+    { table: 'trailer_device_links', columns: ['trailer_id'] },
+    { table: 'trailer_location_history', columns: ['trailer_id'] },
+    { table: 'trailer_inspections', columns: ['trailer_id'] },
+    { table: 'tire_records', columns: ['trailer_id'] },
+    { table: 'maintenance_alerts', columns: ['trailer_id'] },
+    { table: 'system_notes', columns: ['trailer_id', 'entity_id'] },
+    { table: 'geofence_events', columns: ['trailer_id'] },
+    { table: 'trailer_telemetry', columns: ['trailer_id'] },
+    { table: 'reefer_temperature_ranges', columns: ['trailer_id'] },
+    { table: 'reefer_excursions', columns: ['trailer_id'] }
+];
+
+// Blank target fields filled from the merged trailer
+const MERGE_FILL_FIELDS = ['vin', 'plate', 'make', 'model', 'year'];
+
+// Rows moved per statement, well under SQLite's bound parameter limit
+const MOVE_BATCH_SIZE = 500;
+
+// Compares identifiers without case, spaces or dashes
+const normalizedColumn = (column) => `UPPER(REPLACE(REPLACE(${column}, ' ', ''), '-', ''))`;
+
+const CANDIDATE_COLUMNS = `
+    t.id, t.unit_number, t.vin, t.plate, t.external_id, t.provider_id, gp.name AS provider_name,
+    t.company_id, t.gps_status, t.last_ping_at, t.archived_at,
+    (SELECT COUNT(*) FROM trailer_device_links l WHERE l.trailer_id = t.id) AS device_count
+`;
+
+class TrailerIdentityManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    // ============================================================================
+    // DEVICE LINKS
+    // ============================================================================
+
+    /**
+     * Get the trailer a provider device is linked to
+     * @param {string} providerId - Provider ID
+     * @param {string} deviceId - Provider device ID
+     * @returns {Promise<Object|null>} Link { id, trailerId, matchRule }
+     */
+    async getDeviceLink(providerId, deviceId) {
+        return await this.execute(
+            'SELECT id, trailer_id, match_rule FROM trailer_device_links WHERE provider_id = ? AND device_id = ?',
+            [providerId, deviceId],
+            { camelCase: true, first: true }
+        );
+    }
+
+    /**
+     * Link a provider device to a trailer, moving the link if the device was linked elsewhere
+     * @param {Object} link - { tenantId, trailerId, providerId, deviceId, matchRule }
+     */
+    async linkDevice({ tenantId, trailerId, providerId, deviceId, matchRule }) {
+        await this.executeSingle(`
+            INSERT INTO trailer_device_links (id, tenant_id, trailer_id, provider_id, device_id, match_rule)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(provider_id, device_id) DO UPDATE SET
+                trailer_id = excluded.trailer_id,
+                match_rule = excluded.match_rule,
+                last_seen_at = CURRENT_TIMESTAMP
+        `, [generateId('tdl_'), tenantId, trailerId, providerId, deviceId, matchRule]);
+    }
+
+    /**
+     * Record that a linked device reported again
+     * @param {string} linkId - Link ID
+     */
+    async touchDeviceLink(linkId) {
+        await this.executeSingle('UPDATE trailer_device_links SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [linkId]);
+    }
+
+    /**
+     * Get the provider devices linked to a trailer
+     * @param {string} trailerId - Trailer ID
+     * @returns {Promise<Array>} Links with provider names, most recently seen first
+     */
+    async getTrailerLinks(trailerId) {
+        return await this.execute(`
+            SELECT l.id, l.provider_id, gp.name AS provider_name, gp.type AS provider_type, l.device_id,
+                   l.match_rule, l.first_seen_at, l.last_seen_at
+            FROM trailer_device_links l
+            LEFT JOIN gps_providers gp ON gp.id = l.provider_id
+            WHERE l.trailer_id = ?
+            ORDER BY l.last_seen_at DESC
+        `, [trailerId], { camelCase: true });
+    }
+
+    /**
+     * Get a trailer row as stored, for merging
+     * @param {string} trailerId - Trailer ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Trailer row with snake_case columns, null when not found in the tenant
+     */
+    async getTrailerRow(trailerId, tenantId) {
+        return await this.execute(
+            'SELECT * FROM persistent_trailers WHERE id = ? AND tenant_id = ?',
+            [trailerId, tenantId],
+            { first: true }
+        );
+    }
+
+    // ============================================================================
+    // CANDIDATE LOOKUPS - merged trailers never match
+    // ============================================================================
+
+    /**
+     * Find trailers created for a device before links existed, by their external ID
+     * @param {string} tenantId - Tenant ID
+     * @param {string} providerId - Provider ID; trailers of other providers are not matched
+     * @param {Array<string>} externalIds - Device identifiers the provider reports
+     * @returns {Promise<Array>} Candidate trailers
+     */
+    async findByExternalId(tenantId, providerId, externalIds) {
+        return await this.execute(`
+            SELECT ${CANDIDATE_COLUMNS}
+            FROM persistent_trailers t
+            LEFT JOIN gps_providers gp ON gp.id = t.provider_id
+            WHERE t.tenant_id = ? AND t.merged_into_id IS NULL
+              AND (t.provider_id = ? OR t.provider_id IS NULL)
+              AND t.external_id IN (${externalIds.map(() => '?').join(', ')})
+        `, [tenantId, providerId, ...externalIds], { camelCase: true });
+    }
+
+    /**
+     * Find trailers by a normalized identifier column
+     * @param {string} tenantId - Tenant ID
+     * @param {string} column - 'vin', 'plate' or 'unit_number'
+     * @param {string} value - Normalized value
+     * @returns {Promise<Array>} Candidate trailers
+     */
+    async findByIdentifier(tenantId, column, value) {
+        return await this.execute(`
+            SELECT ${CANDIDATE_COLUMNS}
+            FROM persistent_trailers t
+            LEFT JOIN gps_providers gp ON gp.id = t.provider_id
+            WHERE t.tenant_id = ? AND t.merged_into_id IS NULL AND ${normalizedColumn(`t.${column}`)} = ?
+        `, [tenantId, value], { camelCase: true });
+    }
+
+    /**
+     * Get candidate trailers by ID
+     * @param {string} tenantId - Tenant ID
+     * @param {Array<string>} trailerIds - Trailer IDs
+     * @returns {Promise<Array>} Trailers that still exist and are not merged
+     */
+    async getCandidates(tenantId, trailerIds) {
+        if (trailerIds.length === 0) {
+            return [];
+        }
+
+        return await this.execute(`
+            SELECT ${CANDIDATE_COLUMNS}
+            FROM persistent_trailers t
+            LEFT JOIN gps_providers gp ON gp.id = t.provider_id
+            WHERE t.tenant_id = ? AND t.merged_into_id IS NULL AND t.id IN (${trailerIds.map(() => '?').join(', ')})
+            ORDER BY t.unit_number
+        `, [tenantId, ...trailerIds], { camelCase: true });
+    }
+
+    /**
+     * Get groups of trailers sharing a normalized unit number within a tenant
+     * @returns {Promise<Array>} Groups { tenantId, unitNumber, trailers } of two or more trailers, each with its
+     *   candidate columns and created_at
+     */
+    async getDuplicateUnitGroups() {
+        const rows = await this.execute(`
+            SELECT ${CANDIDATE_COLUMNS}, t.tenant_id, t.created_at, ${normalizedColumn('t.unit_number')} AS normalized_unit
+            FROM persistent_trailers t
+            LEFT JOIN gps_providers gp ON gp.id = t.provider_id
+            WHERE t.merged_into_id IS NULL AND (t.tenant_id, ${normalizedColumn('t.unit_number')}) IN (
+                SELECT tenant_id, ${normalizedColumn('unit_number')} FROM persistent_trailers
+                WHERE merged_into_id IS NULL AND unit_number IS NOT NULL
+                GROUP BY tenant_id, ${normalizedColumn('unit_number')} HAVING COUNT(*) > 1
+            )
+            ORDER BY t.tenant_id, normalized_unit, t.created_at
+        `, [], { camelCase: true });
+
+        const groups = new Map();
+        for (const { normalizedUnit, ...trailer } of rows) {
+            const key = `${trailer.tenantId}:${normalizedUnit}`;
+            if (!groups.has(key)) {
+                groups.set(key, { tenantId: trailer.tenantId, unitNumber: trailer.unitNumber, trailers: [] });
+            }
+            groups.get(key).trailers.push(trailer);
+        }
+        return [...groups.values()];
+    }
+
+    // ============================================================================
+    // REVIEW QUEUE
+    // ============================================================================
+
+    /**
+     * Queue a device for review, refreshing its data while the review is pending
+     * Resolved reviews are left alone - a dismissed device stays dismissed.
+     * @param {Object} review - { tenantId, providerId, deviceId, device, candidateIds, reason }
+     */
+    async queueReview({ tenantId, providerId, deviceId, device, candidateIds, reason }) {
+        await this.executeSingle(`
+            INSERT INTO trailer_identity_reviews (
+                id, tenant_id, provider_id, device_id, unit_number, vin, plate, device_data, candidate_ids, reason
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(provider_id, device_id) DO UPDATE SET
+                unit_number = excluded.unit_number,
+                vin = excluded.vin,
+                plate = excluded.plate,
+                device_data = excluded.device_data,
+                candidate_ids = excluded.candidate_ids,
+                reason = excluded.reason,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE trailer_identity_reviews.status = ?
+        `, [
+            generateId('tir_'), tenantId, providerId, deviceId, device.unit_number || null, device.vin || null,
+            device.plate || null, JSON.stringify(device), JSON.stringify(candidateIds), reason,
+            IDENTITY_REVIEW_STATUS.PENDING
+        ]);
+    }
+
+    /**
+     * Get the review of a device
+     * @param {string} providerId - Provider ID
+     * @param {string} deviceId - Provider device ID
+     * @returns {Promise<Object|null>} { id, status }, null when the device was never queued
+     */
+    async getDeviceReview(providerId, deviceId) {
+        return await this.execute(
+            'SELECT id, status FROM trailer_identity_reviews WHERE provider_id = ? AND device_id = ?',
+            [providerId, deviceId],
+            { first: true }
+        );
+    }
+
+    /**
+     * Get reviews with their candidate trailers, newest first
+     * @param {Object} filters - { tenantId, status, providerId } plus pagination options
+     * @returns {Promise<Object>} Paginated response with reviews and pagination metadata
+     */
+    async getReviews({ tenantId, status, providerId, ...pagination } = {}) {
+        try {
+            const defaultSettings = getDefaultPaginationForType('identityReviews');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = ['r.tenant_id = ?'];
+            const params = [tenantId];
+            if (status) {
+                conditions.push('r.status = ?');
+                params.push(status);
+            }
+            if (providerId) {
+                conditions.push('r.provider_id = ?');
+                params.push(providerId);
+            }
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const [totalResult, rows] = await Promise.all([
+                this.execute(`SELECT COUNT(*) as total FROM trailer_identity_reviews r ${whereClause}`, params, { first: true }),
+                this.execute(`
+                    SELECT r.*, gp.name AS provider_name
+                    FROM trailer_identity_reviews r
+                    LEFT JOIN gps_providers gp ON gp.id = r.provider_id
+                    ${whereClause}
+                    ORDER BY r.updated_at DESC
+                    LIMIT ? OFFSET ?
+                `, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            const reviews = [];
+            for (const row of rows) {
+                reviews.push(await this.withCandidates(row));
+            }
+
+            return createPaginatedResponse(reviews, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching identity reviews:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a review with its device data and candidate trailers
+     * @param {string} reviewId - Review ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Review, null when not found in the tenant
+     */
+    async getReview(reviewId, tenantId) {
+        const row = await this.execute(`
+            SELECT r.*, gp.name AS provider_name
+            FROM trailer_identity_reviews r
+            LEFT JOIN gps_providers gp ON gp.id = r.provider_id
+            WHERE r.id = ? AND r.tenant_id = ?
+        `, [reviewId, tenantId], { camelCase: true, first: true });
+
+        return row ? await this.withCandidates(row) : null;
+    }
+
+    /**
+     * Parse a review row's JSON columns and attach its candidate trailers
+     * @param {Object} row - Review row
+     * @returns {Promise<Object>} Review
+     */
+    async withCandidates(row) {
+        const { deviceData, candidateIds, ...review } = row;
+        const ids = JSON.parse(candidateIds);
+        return {
+            ...review,
+            device: JSON.parse(deviceData),
+            candidateIds: ids,
+            candidates: await this.getCandidates(review.tenantId, ids)
+        };
+    }
+
+    /**
+     * Resolve a review
+     * @param {string} reviewId - Review ID
+     * @param {string} status - IDENTITY_REVIEW_STATUS.LINKED, CREATED or DISMISSED
+     * @param {string|null} trailerId - Trailer the device was linked to or created as
+     * @param {string} userId - Reviewer
+     */
+    async resolveReview(reviewId, status, trailerId, userId) {
+        await this.executeSingle(`
+            UPDATE trailer_identity_reviews
+            SET status = ?, resolved_trailer_id = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, trailerId, userId, reviewId]);
+    }
+
+    // ============================================================================
+    // MERGES
+    // ============================================================================
+
+    /**
+     * Merge a source trailer into a target
+     * The source's devices, history, inspections, tires, alerts, notes and geofence events move to the target,
+     * blank target fields are filled from the source, and the source is archived as merged. The moved row IDs
+     * are recorded so unmergeTrailers can put back exactly what moved.
+     * @param {Object} target - Trailer row that remains
+     * @param {Object} source - Trailer row merged into the target
+     * @param {string} userId - User performing the merge
+     * @returns {Promise<string>} Merge ID
+     */
+    async mergeTrailers(target, source, userId) {
+        return this.transact(async () => {
+            const movedRecords = {};
+            for (const { table, columns } of MERGE_TABLES) {
+                const rows = await this.execute(
+                    `SELECT id FROM ${table} WHERE ${columns.map(column => `${column} = ?`).join(' OR ')}`,
+                    columns.map(() => source.id)
+                );
+                if (rows.length > 0) {
+                    movedRecords[table] = rows.map(row => row.id);
+                    await this.moveRecords(table, columns, movedRecords[table], source.id, target.id);
+                }
+            }
+
+            const filledFields = {};
+            for (const field of MERGE_FILL_FIELDS) {
+                if ((target[field] === null || target[field] === '') && source[field] !== null && source[field] !== '') {
+                    filledFields[field] = source[field];
+                }
+            }
+
+            const fills = Object.keys(filledFields);
+            await this.executeSingle(`
+                UPDATE persistent_trailers
+                SET ${fills.map(field => `${field} = ?, `).join('')}
+                    last_ping_at = MAX(COALESCE(last_ping_at, ''), COALESCE(?, '')),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...fills.map(field => filledFields[field]), source.last_ping_at, target.id]);
+
+            await this.executeSingle(`
+                UPDATE persistent_trailers
+                SET merged_into_id = ?, archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [target.id, source.id]);
+
+            const mergeId = generateId('tmg_');
+            await this.executeSingle(`
+                INSERT INTO trailer_merges (
+                    id, tenant_id, target_trailer_id, source_trailer_id, moved_records, filled_fields,
+                    source_archived_at, merged_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                mergeId, target.tenant_id, target.id, source.id, JSON.stringify(movedRecords),
+                JSON.stringify(filledFields), source.archived_at || null, userId
+            ]);
+
+            return mergeId;
+        });
+    }
+
+    /**
+     * Undo a merge
+     * Moves back the recorded rows that still belong to the target, clears filled fields the target still
+     * holds unchanged and restores the source.
+     * @param {Object} merge - Merge from getMerge
+     * @param {string} userId - User undoing the merge
+     */
+    async unmergeTrailers(merge, userId) {
+        await this.transact(async () => {
+            for (const { table, columns } of MERGE_TABLES) {
+                const ids = merge.movedRecords[table] || [];
+                if (ids.length > 0) {
+                    await this.moveRecords(table, columns, ids, merge.targetTrailerId, merge.sourceTrailerId);
+                }
+            }
+
+            for (const [field, value] of Object.entries(merge.filledFields)) {
+                await this.executeSingle(
+                    `UPDATE persistent_trailers SET ${field} = NULL WHERE id = ? AND ${field} = ?`,
+                    [merge.targetTrailerId, value]
+                );
+            }
+
+            await this.executeSingle(`
+                UPDATE persistent_trailers
+                SET merged_into_id = NULL, archived_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [merge.sourceArchivedAt, merge.sourceTrailerId]);
+
+            await this.executeSingle(
+                'UPDATE trailer_merges SET unmerged_by = ?, unmerged_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [userId, merge.id]
+            );
+        });
+    }
+
+    /**
+     * Point recorded rows from one trailer to another
+     * @param {string} table - One of the MERGE_TABLES
+     * @param {Array<string>} columns - Columns that reference the trailer
+     * @param {Array<string>} ids - Row IDs to move
+     * @param {string} fromId - Trailer the rows point at now
+     * @param {string} toId - Trailer they should point at
+     */
+    async moveRecords(table, columns, ids, fromId, toId) {
+        const assignments = columns.map(column => `${column} = CASE WHEN ${column} = ? THEN ? ELSE ${column} END`);
+        for (let i = 0; i < ids.length; i += MOVE_BATCH_SIZE) {
+            const batch = ids.slice(i, i + MOVE_BATCH_SIZE);
+            await this.executeSingle(
+                `UPDATE ${table} SET ${assignments.join(', ')} WHERE id IN (${batch.map(() => '?').join(', ')})`,
+                [...columns.flatMap(() => [fromId, toId]), ...batch]
+            );
+        }
+    }
+
+    /**
+     * Get a merge with its recorded changes
+     * @param {string} mergeId - Merge ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Merge, null when not found in the tenant
+     */
+    async getMerge(mergeId, tenantId) {
+        const merge = await this.execute(
+            'SELECT * FROM trailer_merges WHERE id = ? AND tenant_id = ?',
+            [mergeId, tenantId],
+            { camelCase: true, first: true }
+        );
+
+        if (!merge) {
+            return null;
+        }
+
+        return {
+            ...merge,
+            movedRecords: JSON.parse(merge.movedRecords),
+            filledFields: JSON.parse(merge.filledFields)
+        };
+    }
+
+    /**
+     * Get merges, newest first, with the number of records each moved
+     * @param {Object} filters - { tenantId, trailerId } plus pagination options; trailerId matches either side
+     * @returns {Promise<Object>} Paginated response with merges and pagination metadata
+     */
+    async getMerges({ tenantId, trailerId, ...pagination } = {}) {
+        try {
+            const defaultSettings = getDefaultPaginationForType('trailerMerges');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = ['m.tenant_id = ?'];
+            const params = [tenantId];
+            if (trailerId) {
+                conditions.push('(m.target_trailer_id = ? OR m.source_trailer_id = ?)');
+                params.push(trailerId, trailerId);
+            }
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const [totalResult, rows] = await Promise.all([
+                this.execute(`SELECT COUNT(*) as total FROM trailer_merges m ${whereClause}`, params, { first: true }),
+                this.execute(`
+                    SELECT m.id, m.target_trailer_id, target.unit_number AS target_unit_number,
+                           m.source_trailer_id, source.unit_number AS source_unit_number,
+                           m.moved_records, m.filled_fields, m.merged_by, m.merged_at, m.unmerged_by, m.unmerged_at
+                    FROM trailer_merges m
+                    LEFT JOIN persistent_trailers target ON target.id = m.target_trailer_id
+                    LEFT JOIN persistent_trailers source ON source.id = m.source_trailer_id
+                    ${whereClause}
+                    ORDER BY m.merged_at DESC
+                    LIMIT ? OFFSET ?
+                `, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            const merges = rows.map(({ movedRecords, filledFields, ...merge }) => ({
+                ...merge,
+                movedCounts: Object.fromEntries(
+                    Object.entries(JSON.parse(movedRecords)).map(([table, ids]) => [table, ids.length])
+                ),
+                filledFields: JSON.parse(filledFields)
+            }));
+
+            return createPaginatedResponse(merges, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching trailer merges:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TrailerIdentityManager;
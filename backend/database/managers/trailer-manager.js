@@ -10,17 +10,30 @@ const {
     buildWhereClause, buildOrderByClause, buildLimitClause
 } = require('../utils/db-helpers');
 
-const { TRAILER_STATUS, GPS_STATUS, CACHE_KEYS } = require('../../utils/constants');
+const { TRAILER_STATUS, GPS_STATUS, CACHE_KEYS, TIME_CONSTANTS, DEVICE_HEALTH, PM_SCHEDULES } = require('../../utils/constants');
 const BaseManager = require('./baseManager');
 const { normalizePagination, buildPaginationClause, createPaginatedResponse, getDefaultPaginationForType } = require('../../utils/pagination');
+const { calculateDistance } = require('../utils/database-utilities');
 const cacheService = require('../../services/cache-service');
 const logger = require('../../utils/logger');
 
+const KM_PER_MILE = 1.609344;
+
 class TrailerManager extends BaseManager {
     constructor(db) {
         super(db);
     }
 
+    /**
+     * Set manager dependencies
+     * @param {GeofenceManager} geofenceManager - Evaluates accepted positions against geofences
+     * @param {LocationRulesManager} locationRulesManager - Tenant rules deciding which location source wins
+     */
+    setDependencies(geofenceManager, locationRulesManager) {
+        this.geofenceManager = geofenceManager;
+        this.locationRulesManager = locationRulesManager;
+    }
+
     /**
      * Get enhanced trailer data with maintenance information (unified method)
      * @param {string} filterType - 'company' or 'tenant'
@@ -118,6 +131,14 @@ class TrailerManager extends BaseManager {
                 params.push(sanitizedFilters.gpsStatus);
             }
 
+            // Archived trailers stopped reporting long ago - hidden unless asked for
+            if (!sanitizedFilters.includeArchived) {
+                query += ` AND pt.archived_at IS NULL`;
+            }
+
+            // Trailers merged into another are shown through the trailer they were merged into
+            query += ` AND pt.merged_into_id IS NULL`;
+
             // Add sorting with allowed fields whitelist
             const allowedSortFields = [
                 'unit_number','make','model','year','status','gps_status','last_gps_update','created_at','updated_at'
@@ -139,6 +160,15 @@ class TrailerManager extends BaseManager {
             params.push(normalizedPagination.limit, normalizedPagination.offset);
 
             const rows = await this.execute(query, params, { camelCase: true });
+
+            // The tenant's alert rules and the listed trailers' last PM services are loaded once for the page, not per trailer
+            const MaintenanceService = require('../../services/maintenance');
+            let alertContext = null;
+            try {
+                alertContext = await MaintenanceService.loadAlertContext(tenantId, rows.map(row => row.id));
+            } catch (error) {
+                console.warn('Could not load maintenance alert rules:', error.message);
+            }
             
             const trailers = await Promise.all(rows.map(async row => {
                 // Parse maintenance data
@@ -159,11 +189,12 @@ class TrailerManager extends BaseManager {
                 
                 // Calculate maintenance alerts based on inspection dates
                 let maintenanceAlerts = [];
-                try {
-                    const MaintenanceService = require('../../services/maintenance');
-                    maintenanceAlerts = await MaintenanceService.calculateTrailerMaintenanceAlerts(row, tenantId);
-                } catch (error) {
-                    console.warn('Could not load maintenance service:', error.message);
+                if (alertContext) {
+                    try {
+                        maintenanceAlerts = await MaintenanceService.calculateTrailerMaintenanceAlerts({ ...row, inspections }, tenantId, alertContext);
+                    } catch (error) {
+                        console.warn('Could not calculate maintenance alerts:', error.message);
+                    }
                 }
 
                 return {
@@ -306,7 +337,7 @@ class TrailerManager extends BaseManager {
 
             const query = `
                 SELECT * FROM persistent_trailers 
-                WHERE (unit_number = ? OR vin = ? OR external_id = ?) AND company_id = ?
+                WHERE (unit_number = ? OR vin = ? OR external_id = ?) AND company_id = ? AND merged_into_id IS NULL
             `;
             
             return await this.execute(query, [deviceId, deviceId, deviceId, companyId], { camelCase: true, first: true });
@@ -354,7 +385,9 @@ class TrailerManager extends BaseManager {
                     longitude: last_longitude || longitude,
                     address: last_address || address,
                     source: 'gps',
-                    occurredAtUTC: new Date().toISOString()
+                    providerId: trailerData.provider_id || null,
+                    // The time of the fix, so delayed or batched reports keep their place in history
+                    occurredAtUTC: this.getPingTime(trailerData.lastUpdate || trailerData.last_gps_update)
                 });
             }
 
@@ -421,6 +454,7 @@ class TrailerManager extends BaseManager {
                 last_longitude: trailerData.longitude,
                 last_address: trailerData.address,
                 last_gps_update: trailerData.lastUpdate ? formatDateForDB(trailerData.lastUpdate) : getCurrentTimestamp(),
+                last_ping_at: trailerData.provider_id ? this.getPingTime(trailerData.lastUpdate) : null,
                 last_sync: getCurrentTimestamp(),
                 manual_location_override: trailerData.manual_location_override || false,
                 manual_location_notes: trailerData.manual_location_notes || null,
@@ -434,6 +468,11 @@ class TrailerManager extends BaseManager {
                 last_tire_service: trailerData.last_tire_service || null
             };
 
+            // The first position is held from the time of its fix, as applyLocationUpdate does
+            entityData.location_source = entityData.manual_location_override ? 'manual' : 'gps';
+            entityData.location_provider_id = entityData.location_source === 'gps' ? entityData.provider_id : null;
+            entityData.location_updated_at = entityData.last_gps_update;
+
             // Debug logging for address issues
             if (trailerData.provider_id === 'Spireon') {
                 logger.debug('Creating Spireon trailer', {
@@ -446,6 +485,43 @@ class TrailerManager extends BaseManager {
             }
 
             const trailerId = await this.createEntity('persistent_trailers', entityData);
+            const hasPosition = entityData.last_latitude != null && entityData.last_longitude != null;
+
+            // The first fix starts the breadcrumb trail - history must never block creating the trailer
+            if (hasPosition) {
+                const source = entityData.location_source;
+                try {
+                    await this.recordLocationHistory(
+                        { id: trailerId, tenantId: entityData.tenant_id, providerId: entityData.provider_id },
+                        {
+                            latitude: entityData.last_latitude,
+                            longitude: entityData.last_longitude,
+                            address: entityData.last_address,
+                            source,
+                            notes: source === 'manual' ? entityData.manual_location_notes : null,
+                            recordedAt: entityData.last_gps_update
+                        }
+                    );
+                } catch (historyError) {
+                    logger.error(`Failed to record location history for trailer ${trailerId}:`, historyError);
+                }
+            }
+
+            // A trailer first seen inside a geofence has arrived there
+            if (this.geofenceManager && hasPosition) {
+                try {
+                    await this.geofenceManager.evaluatePosition(
+                        { id: trailerId, tenantId: entityData.tenant_id, unitNumber },
+                        {
+                            latitude: entityData.last_latitude,
+                            longitude: entityData.last_longitude,
+                            occurredAt: entityData.last_gps_update
+                        }
+                    );
+                } catch (geofenceError) {
+                    logger.error(`Failed to evaluate geofences for trailer ${trailerId}:`, geofenceError);
+                }
+            }
 
             logger.info(`Trailer created: ${trailerId}`);
             return { id: trailerId };
@@ -483,7 +559,7 @@ class TrailerManager extends BaseManager {
 
             const allowedUpdates = {};
             const allowedFields = [
-                'unit_number', 'make', 'model', 'year', 'vin', 'status',
+                'unit_number', 'make', 'model', 'year', 'vin', 'status', 'trailer_type',
                 'last_annual_inspection', 'next_annual_inspection_due',
                 'last_midtrip_inspection', 'next_midtrip_inspection_due',
                 'last_brake_inspection', 'next_brake_inspection_due',
@@ -544,6 +620,186 @@ class TrailerManager extends BaseManager {
         }
     }
 
+    /**
+     * Mark trailer as connected
+     */
+    async markTrailerAsConnected(trailerId) {
+        try {
+            if (!trailerId) {
+                throw new Error('Trailer ID is required');
+            }
+
+            const query = `
+                UPDATE persistent_trailers SET
+                    gps_status = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            
+            const result = await this.executeSingle(query, [GPS_STATUS.CONNECTED, trailerId]);
+            return { changes: result.changes };
+        } catch (error) {
+            console.error('❌ Error marking trailer as connected:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a provider reported a trailer
+     * The ping time only moves forward; an archived trailer that reports again is restored.
+     * Reconciliation derives the GPS status from it.
+     * @param {string} trailerId - Trailer ID
+     * @param {string} providerId - Provider that reported the trailer
+     * @param {Date|string} reportedAt - Report time from the provider, defaults to now
+     */
+    async recordPing(trailerId, providerId, reportedAt) {
+        try {
+            if (!trailerId) {
+                throw new Error('Trailer ID is required');
+            }
+
+            // A newer ping folds its gap from the previous one into the running average reporting interval;
+            // SET expressions read the row's values from before the update
+            const weight = DEVICE_HEALTH.PING_INTERVAL_WEIGHT;
+            const query = `
+                UPDATE persistent_trailers SET
+                    ping_interval_minutes = CASE
+                        WHEN last_ping_at IS NOT NULL AND ? > last_ping_at THEN COALESCE(
+                            ping_interval_minutes * ${1 - weight} + (julianday(?) - julianday(last_ping_at)) * 1440 * ${weight},
+                            (julianday(?) - julianday(last_ping_at)) * 1440
+                        )
+                        ELSE ping_interval_minutes
+                    END,
+                    last_ping_at = MAX(COALESCE(last_ping_at, ''), ?),
+                    provider_id = ?,
+                    archived_at = NULL
+                WHERE id = ?
+            `;
+
+            const pingTime = this.getPingTime(reportedAt);
+            const result = await this.executeSingle(query, [pingTime, pingTime, pingTime, pingTime, providerId, trailerId]);
+            return { changes: result.changes };
+        } catch (error) {
+            console.error('❌ Error recording trailer ping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an odometer or engine hour reading, from a provider or a service. Each meter only takes a
+     * reading at least as new as the one it holds. An odometer reading also notes the GPS miles at that
+     * point, so GPS distance travelled afterwards carries the odometer forward.
+     * @param {string} trailerId - Trailer ID
+     * @param {Object} readings - { odometerMiles, engineHours, recordedAt }
+     * @returns {Promise<Object>} { changes }
+     */
+    async recordMeterReadings(trailerId, { odometerMiles = null, engineHours = null, recordedAt }) {
+        const readingTime = this.getPingTime(recordedAt);
+        let changes = 0;
+
+        if (odometerMiles !== null && odometerMiles !== undefined) {
+            const result = await this.executeSingle(`
+                UPDATE persistent_trailers
+                SET odometer_miles = ?, odometer_gps_miles = COALESCE(gps_miles, 0), odometer_recorded_at = ?
+                WHERE id = ? AND (odometer_recorded_at IS NULL OR odometer_recorded_at <= ?)
+            `, [odometerMiles, readingTime, trailerId, readingTime]);
+            changes += result.changes;
+        }
+
+        if (engineHours !== null && engineHours !== undefined) {
+            const result = await this.executeSingle(`
+                UPDATE persistent_trailers
+                SET engine_hours = ?, engine_hours_recorded_at = ?
+                WHERE id = ? AND (engine_hours_recorded_at IS NULL OR engine_hours_recorded_at <= ?)
+            `, [engineHours, readingTime, trailerId, readingTime]);
+            changes += result.changes;
+        }
+
+        return { changes };
+    }
+
+    /**
+     * Miles between a trailer's current GPS position and a newer one. Distance from a manual pin, or
+     * implying an average speed above PM_SCHEDULES.MAX_GPS_SPEED_MPH (a position jump), is not counted.
+     * @param {Object} currentTrailer - Trailer row (camelCase)
+     * @param {Object} position - { latitude, longitude, occurredAt }
+     * @returns {number} Miles travelled
+     */
+    getGpsMilesTravelled(currentTrailer, { latitude, longitude, occurredAt }) {
+        const coordinates = [currentTrailer.lastLatitude, currentTrailer.lastLongitude, latitude, longitude].map(parseFloat);
+        if (currentTrailer.locationSource !== 'gps' || coordinates.some(isNaN)) {
+            return 0;
+        }
+
+        const hours = (Date.parse(occurredAt) - Date.parse(currentTrailer.locationUpdatedAt)) / TIME_CONSTANTS.HOUR;
+        if (!(hours > 0)) {
+            return 0;
+        }
+
+        const miles = calculateDistance(...coordinates) / KM_PER_MILE;
+        return miles / hours <= PM_SCHEDULES.MAX_GPS_SPEED_MPH ? miles : 0;
+    }
+
+    /**
+     * Normalize a provider report time, clamping future times (device clock drift) to now
+     * @param {Date|string} reportedAt - Report time from the provider
+     * @returns {string} ISO timestamp
+     */
+    getPingTime(reportedAt) {
+        const time = reportedAt ? new Date(reportedAt).getTime() : NaN;
+        return new Date(isNaN(time) ? Date.now() : Math.min(time, Date.now())).toISOString();
+    }
+
+    /**
+     * Get a provider's unarchived trailers with the hours since each last reported
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Array>} Trailers with id, unitNumber, externalId, companyId, gpsStatus and hoursSincePing
+     */
+    async getTrailersForReconciliation(providerId) {
+        try {
+            const query = `
+                SELECT id, unit_number, external_id, company_id, gps_status,
+                       (julianday('now') - julianday(COALESCE(last_ping_at, last_gps_update, created_at))) * 24 AS hours_since_ping
+                FROM persistent_trailers
+                WHERE provider_id = ? AND archived_at IS NULL AND merged_into_id IS NULL
+            `;
+
+            return await this.execute(query, [providerId], { camelCase: true });
+        } catch (error) {
+            console.error('❌ Error fetching trailers for reconciliation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the GPS status of several trailers, archiving them when requested
+     * @param {Array<string>} trailerIds - Trailer IDs
+     * @param {string} gpsStatus - One of GPS_STATUS
+     * @param {boolean} archive - Also mark the trailers archived
+     * @returns {Promise<number>} Number of updated trailers
+     */
+    async setReconciledStatus(trailerIds, gpsStatus, archive = false) {
+        if (trailerIds.length === 0) {
+            return 0;
+        }
+
+        try {
+            const query = `
+                UPDATE persistent_trailers SET
+                    gps_status = ?,
+                    ${archive ? 'archived_at = CURRENT_TIMESTAMP,' : ''}
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (${trailerIds.map(() => '?').join(', ')})
+            `;
+
+            const result = await this.executeSingle(query, [gpsStatus, ...trailerIds]);
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Error updating reconciled trailers:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get trailer by external ID (from GPS provider)
      */
@@ -599,7 +855,7 @@ class TrailerManager extends BaseManager {
 
             let query = `
                 SELECT * FROM persistent_trailers 
-                WHERE unit_number = ? AND tenant_id = ?
+                WHERE unit_number = ? AND tenant_id = ? AND merged_into_id IS NULL
             `;
             let params = [unitNumber, tenantId];
 
@@ -714,6 +970,10 @@ class TrailerManager extends BaseManager {
             }
         }
         
+        if (filters.includeArchived === true || filters.includeArchived === 'true') {
+            sanitized.includeArchived = true;
+        }
+        
         // Validate sort parameters
         if (filters.sortBy && typeof filters.sortBy === 'string') {
             const allowedSortFields = [
@@ -765,11 +1025,12 @@ class TrailerManager extends BaseManager {
      * @param {number} locationData.longitude - Longitude
      * @param {string} locationData.address - Address
      * @param {string} locationData.source - 'gps' or 'manual'
+     * @param {string} locationData.providerId - Provider reporting a GPS position
      * @param {string} locationData.occurredAtUTC - ISO 8601 UTC timestamp
      * @param {string} locationData.notes - Notes (for manual updates)
      * @returns {Promise<Object>} Update result
      */
-    async applyLocationUpdate(trailerId, { latitude, longitude, address, source = 'gps', occurredAtUTC, notes = null }) {
+    async applyLocationUpdate(trailerId, { latitude, longitude, address, source = 'gps', providerId = null, occurredAtUTC, notes = null }) {
         try {
             // Get current trailer data
             const currentTrailer = await this.getTrailerById(trailerId);
@@ -779,8 +1040,8 @@ class TrailerManager extends BaseManager {
 
             // 2. System caches locations and ignores if no update
             // Check if coordinates have actually changed (coordinate caching)
-            const currentLat = parseFloat(currentTrailer.last_latitude) || 0;
-            const currentLng = parseFloat(currentTrailer.last_longitude) || 0;
+            const currentLat = parseFloat(currentTrailer.lastLatitude) || 0;
+            const currentLng = parseFloat(currentTrailer.lastLongitude) || 0;
             const newLat = parseFloat(latitude) || 0;
             const newLng = parseFloat(longitude) || 0;
             
@@ -789,19 +1050,24 @@ class TrailerManager extends BaseManager {
             const lngChanged = Math.abs(currentLng - newLng) > 0.00001;
             const coordinatesChanged = latChanged || lngChanged;
             
-            // Check if update should proceed based on conflict resolution rules
-            const shouldUpdate = this.shouldUpdateLocation(currentTrailer, source, occurredAtUTC);
+            // Check if update should proceed based on the tenant's location precedence rules
+            const rules = this.locationRulesManager
+                ? await this.locationRulesManager.getRules(currentTrailer.tenantId)
+                : null;
+            const precedence = this.shouldUpdateLocation(currentTrailer, {
+                source, providerId, latitude, longitude, occurredAtUTC
+            }, rules);
             
-            if (!shouldUpdate) {
+            if (!precedence.allowed) {
                 return { 
                     changes: 0,
                     skipped: true,
-                    message: 'Location update skipped (conflict resolution)'
+                    message: `Location update skipped (${precedence.reason})`
                 };
             }
             
-            // Skip if coordinates haven't changed (caching logic)
-            if (!coordinatesChanged && source === 'gps') {
+            // Skip if coordinates haven't changed (caching logic) - GPS at a manual pin still takes over from it
+            if (!coordinatesChanged && source === 'gps' && currentTrailer.locationSource !== 'manual') {
                 return { 
                     changes: 0,
                     skipped: true,
@@ -844,6 +1110,7 @@ class TrailerManager extends BaseManager {
                 last_longitude: longitude,
                 last_address: finalAddress,
                 location_source: source,
+                location_provider_id: source === 'gps' ? providerId : null,
                 location_updated_at: occurredAtUTC || new Date().toISOString(),
                 updated_at: new Date().toISOString()
             };
@@ -852,8 +1119,14 @@ class TrailerManager extends BaseManager {
             if (source === 'gps') {
                 updateData.last_gps_update = occurredAtUTC || new Date().toISOString();
                 updateData.last_sync = new Date().toISOString();
+                const milesTravelled = this.getGpsMilesTravelled(currentTrailer, {
+                    latitude, longitude, occurredAt: updateData.location_updated_at
+                });
+                if (milesTravelled > 0) {
+                    updateData.gps_miles = (parseFloat(currentTrailer.gpsMiles) || 0) + milesTravelled;
+                }
                 // Clear manual override if we're replacing a manual location
-                if (currentTrailer.location_source === 'manual') {
+                if (currentTrailer.locationSource === 'manual') {
                     updateData.manual_location_override = 0;
                     updateData.manual_location_notes = null;
                 }
@@ -864,6 +1137,34 @@ class TrailerManager extends BaseManager {
 
             // Execute update
             const result = await this.updateEntity('persistent_trailers', trailerId, updateData);
+
+            // Keep the breadcrumb trail - history must never block the live update
+            try {
+                await this.recordLocationHistory(currentTrailer, {
+                    latitude,
+                    longitude,
+                    address: finalAddress,
+                    source,
+                    providerId,
+                    notes,
+                    recordedAt: updateData.location_updated_at
+                });
+            } catch (historyError) {
+                logger.error(`Failed to record location history for trailer ${trailerId}:`, historyError);
+            }
+
+            // Arrivals and departures follow the accepted position - like history, never block the update
+            if (this.geofenceManager) {
+                try {
+                    await this.geofenceManager.evaluatePosition(currentTrailer, {
+                        latitude,
+                        longitude,
+                        occurredAt: updateData.location_updated_at
+                    });
+                } catch (geofenceError) {
+                    logger.error(`Failed to evaluate geofences for trailer ${trailerId}:`, geofenceError);
+                }
+            }
             
             // Invalidate cache
             if (currentTrailer.companyId) {
@@ -872,7 +1173,9 @@ class TrailerManager extends BaseManager {
             
             return { 
                 changes: result.changes,
-                message: `Location updated successfully (${source} source)`
+                message: precedence.reason
+                    ? `Location updated successfully (${source} source, ${precedence.reason})`
+                    : `Location updated successfully (${source} source)`
             };
         } catch (error) {
             throw error;
@@ -880,40 +1183,169 @@ class TrailerManager extends BaseManager {
     }
 
     /**
-     * Determine if location update should proceed based on conflict resolution rules
-     * @param {Object} currentTrailer - Current trailer data
-     * @param {string} newSource - New location source ('gps' or 'manual')
-     * @param {string} newTimestamp - New location timestamp (ISO 8601 UTC)
-     * @returns {boolean} Whether update should proceed
+     * Append an accepted location update to the trailer's location history
+     * @param {Object} trailer - Trailer row (camelCase) the update was applied to
+     * @param {Object} entry - Location entry
+     * @param {number} entry.latitude - Latitude
+     * @param {number} entry.longitude - Longitude
+     * @param {string} entry.address - Resolved address
+     * @param {string} entry.source - 'gps' or 'manual'
+     * @param {string} entry.providerId - Provider that reported a GPS position, defaults to the trailer's provider
+     * @param {string} entry.notes - Notes (for manual updates)
+     * @param {string} entry.recordedAt - ISO 8601 UTC timestamp of the position
+     * @returns {Promise<string>} History entry ID
      */
-    shouldUpdateLocation(currentTrailer, newSource, newTimestamp) {
-        const currentSource = currentTrailer.location_source || 'gps';
-        const currentTimestamp = currentTrailer.location_updated_at;
-        
-        // Manual overrides always win unless explicitly cleared
-        if (currentSource === 'manual' && newSource === 'gps') {
-            return false; // GPS cannot override manual
-        }
-        
-        // If both are GPS, compare timestamps
-        if (currentSource === 'gps' && newSource === 'gps') {
-            if (!newTimestamp || !currentTimestamp) {
-                return true; // If we can't compare timestamps, allow update
+    async recordLocationHistory(trailer, { latitude, longitude, address, source = 'gps', providerId = null, notes = null, recordedAt }) {
+        const id = generateId('trailer_location_history');
+        // Normalize to ISO so range queries compare consistently as strings
+        const recordedTime = Date.parse(recordedAt);
+        const recordedAtISO = isNaN(recordedTime) ? getCurrentTimestamp() : new Date(recordedTime).toISOString();
+        const query = `
+            INSERT INTO trailer_location_history (
+                id, trailer_id, tenant_id, latitude, longitude, address,
+                source, provider_id, notes, recorded_at, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await this.executeSingle(query, [
+            id,
+            trailer.id,
+            trailer.tenantId || null,
+            latitude,
+            longitude,
+            address || null,
+            source,
+            source === 'gps' ? (providerId || trailer.providerId || null) : null,
+            notes,
+            recordedAtISO,
+            getCurrentTimestamp()
+        ]);
+
+        return id;
+    }
+
+    /**
+     * Get location history for a trailer, newest first
+     * @param {string} trailerId - Trailer ID
+     * @param {Object} options - Query options
+     * @param {string} options.from - Only include positions recorded at or after this ISO timestamp
+     * @param {string} options.to - Only include positions recorded at or before this ISO timestamp
+     * @param {string} options.source - Only include 'gps' or 'manual' positions
+     * @param {number} options.limit - Number of entries per page
+     * @param {number} options.offset - Number of entries to skip
+     * @param {number} options.page - Page number (alternative to offset)
+     * @returns {Promise<Object>} Paginated response with history entries and pagination metadata
+     */
+    async getTrailerLocationHistory(trailerId, { from, to, source, ...pagination } = {}) {
+        try {
+            if (!trailerId) {
+                throw new Error('Trailer ID is required');
+            }
+
+            const defaultSettings = getDefaultPaginationForType('locationHistory');
+            const normalizedPagination = normalizePagination({ ...defaultSettings, ...pagination });
+
+            const conditions = ['trailer_id = ?'];
+            const params = [trailerId];
+
+            if (from) {
+                conditions.push('recorded_at >= ?');
+                params.push(formatDateForDB(from));
+            }
+            if (to) {
+                conditions.push('recorded_at <= ?');
+                params.push(formatDateForDB(to));
+            }
+            if (source) {
+                conditions.push('source = ?');
+                params.push(source);
             }
-            return new Date(newTimestamp) > new Date(currentTimestamp);
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const countQuery = `SELECT COUNT(*) as total FROM trailer_location_history ${whereClause}`;
+            const dataQuery = `
+                SELECT id, trailer_id, latitude, longitude, address, source, provider_id, notes, recorded_at
+                FROM trailer_location_history
+                ${whereClause}
+                ORDER BY recorded_at DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            const [totalResult, entries] = await Promise.all([
+                this.execute(countQuery, params, { first: true }),
+                this.execute(dataQuery, [...params, normalizedPagination.limit, normalizedPagination.offset], { camelCase: true })
+            ]);
+
+            return createPaginatedResponse(entries, normalizedPagination, totalResult.total);
+        } catch (error) {
+            console.error('❌ Error fetching trailer location history:', error);
+            throw error;
         }
-        
-        // Manual can always override GPS
-        if (currentSource === 'gps' && newSource === 'manual') {
-            return true;
+    }
+
+    /**
+     * Determine if a location update should proceed based on the tenant's precedence rules.
+     * Manual locations always apply. GPS never replaces a newer position, replaces a manual location only
+     * once it has expired or GPS has moved far enough from it, and a lower-priority provider waits until
+     * the position from a higher-priority provider is older than the fallback window.
+     * @param {Object} currentTrailer - Current trailer data (camelCase)
+     * @param {Object} update - { source, providerId, latitude, longitude, occurredAtUTC }
+     * @param {Object} rules - Tenant rules from locationRulesManager.getRules, null for manual always wins
+     * @returns {Object} { allowed, reason } - why the update was skipped, or why GPS replaced a manual location
+     */
+    shouldUpdateLocation(currentTrailer, { source, providerId, latitude, longitude, occurredAtUTC }, rules) {
+        const currentSource = currentTrailer.locationSource || 'gps';
+        const currentTime = Date.parse(currentTrailer.locationUpdatedAt);
+        const newTime = Date.parse(occurredAtUTC);
+        const comparable = !isNaN(currentTime) && !isNaN(newTime);
+
+        // Manual can override GPS, and users can always update their manual entry
+        if (source === 'manual') {
+            return { allowed: true };
         }
-        
-        // Manual can override manual (user is updating their manual entry)
-        if (currentSource === 'manual' && newSource === 'manual') {
-            return true;
+
+        if (comparable && newTime <= currentTime) {
+            return {
+                allowed: false,
+                reason: currentSource === 'manual' ? 'older than the manual location' : 'older than the current location'
+            };
         }
-        
-        return false;
+
+        if (currentSource === 'manual') {
+            if (rules?.manualExpiryHours > 0 && Date.now() - currentTime >= rules.manualExpiryHours * TIME_CONSTANTS.HOUR) {
+                return { allowed: true, reason: `manual location expired after ${rules.manualExpiryHours}h` };
+            }
+
+            const hasPositions = [currentTrailer.lastLatitude, currentTrailer.lastLongitude, latitude, longitude]
+                .every(value => value !== null && value !== undefined && !isNaN(parseFloat(value)));
+            if (rules?.gpsOverrideMiles > 0 && hasPositions) {
+                const miles = calculateDistance(
+                    parseFloat(currentTrailer.lastLatitude), parseFloat(currentTrailer.lastLongitude),
+                    parseFloat(latitude), parseFloat(longitude)
+                ) / KM_PER_MILE;
+                if (miles > rules.gpsOverrideMiles) {
+                    return { allowed: true, reason: `GPS ${miles.toFixed(1)} mi from the manual location` };
+                }
+            }
+
+            return { allowed: false, reason: 'manual location in effect' };
+        }
+
+        // Both GPS - unlisted providers rank after every listed one
+        const currentProviderId = currentTrailer.locationProviderId;
+        if (rules && providerId && currentProviderId && providerId !== currentProviderId) {
+            const rank = (id) => {
+                const index = rules.providerPriority.indexOf(id);
+                return index === -1 ? Infinity : index;
+            };
+            const heldFor = comparable ? newTime - currentTime : Infinity;
+            if (rank(providerId) > rank(currentProviderId) && heldFor < rules.priorityFallbackMinutes * TIME_CONSTANTS.MINUTE) {
+                return { allowed: false, reason: 'a higher-priority provider reported recently' };
+            }
+        }
+
+        return { allowed: true };
     }
 }
 
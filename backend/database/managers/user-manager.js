@@ -388,6 +388,20 @@ class UserManager extends BaseManager {
         return createPaginatedResponse(users, normalizedPagination, totalCount);
     }
 
+    /**
+     * Get the active owners and admins of a tenant (recipients of tenant-wide alerts)
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Array>} Users (camelCase)
+     */
+    async getTenantAdmins(tenantId) {
+        return this.execute(`
+            SELECT u.id, u.email, u.first_name, u.last_name, u.organization_role
+            FROM users u
+            WHERE u.tenant_id = ? AND u.is_active = 1 AND u.organization_role IN (?, ?)
+            ORDER BY u.created_at ASC
+        `, [tenantId, USER_ROLES.OWNER, USER_ROLES.ADMIN], { camelCase: true });
+    }
+
     /**
      * Get users by tenant with pagination
      * @param {string} tenantId - Tenant ID
@@ -0,0 +1,333 @@
+/**
+ * Work Order Manager
+ * Stores maintenance work orders, their part and labor line items and the alerts linked to them
+ */
+
+const { generateId, getCurrentTimestamp } = require('../utils/db-helpers');
+const { LOCATION_TYPES, WORK_ORDER_LINE_TYPES } = require('../../utils/constants');
+const BaseManager = require('./baseManager');
+
+const WORK_ORDER_COLUMNS = `
+    w.id, w.number, w.trailer_id, t.unit_number, w.title, w.description, w.status,
+    w.vendor_location_id, v.name AS vendor_name, v.address AS vendor_address,
+    w.source_inspection_id, w.service_types, w.started_at, w.completed_at, w.completed_by,
+    w.created_by, w.created_at, w.updated_at,
+    COALESCE((SELECT SUM(li.quantity * li.unit_cost) FROM work_order_line_items li
+              WHERE li.work_order_id = w.id AND li.line_type = '${WORK_ORDER_LINE_TYPES.PART}'), 0) AS parts_total,
+    COALESCE((SELECT SUM(li.quantity * li.unit_cost) FROM work_order_line_items li
+              WHERE li.work_order_id = w.id AND li.line_type = '${WORK_ORDER_LINE_TYPES.LABOR}'), 0) AS labor_total
+`;
+
+const WORK_ORDER_JOINS = `
+    FROM work_orders w
+    JOIN persistent_trailers t ON t.id = w.trailer_id
+    LEFT JOIN trailer_custom_locations v ON v.id = w.vendor_location_id
+`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert a row to a work order, parsing its service types and adding its total cost
+ * @param {Object} row - work_orders row with totals (camelCase)
+ * @returns {Object|null} Work order
+ */
+function toWorkOrder(row) {
+    if (!row) {
+        return null;
+    }
+
+    let serviceTypes = [];
+    try {
+        serviceTypes = row.serviceTypes ? JSON.parse(row.serviceTypes) : [];
+    } catch (error) {
+        console.error(`Invalid service types on work order ${row.id}:`, error);
+    }
+
+    return {
+        ...row,
+        serviceTypes,
+        partsTotal: round(row.partsTotal),
+        laborTotal: round(row.laborTotal),
+        totalCost: round(row.partsTotal + row.laborTotal)
+    };
+}
+
+class WorkOrderManager extends BaseManager {
+    constructor(db) {
+        super(db);
+    }
+
+    /**
+     * Get a tenant's work orders, newest first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} filters - { trailerId, status, vendorLocationId }
+     * @returns {Promise<Array>} Work orders (camelCase) with their vendor and cost totals
+     */
+    async getWorkOrders(tenantId, { trailerId, status, vendorLocationId } = {}) {
+        const conditions = ['w.tenant_id = ?'];
+        const params = [tenantId];
+        if (trailerId) {
+            conditions.push('w.trailer_id = ?');
+            params.push(trailerId);
+        }
+        if (status) {
+            conditions.push('w.status = ?');
+            params.push(status);
+        }
+        if (vendorLocationId) {
+            conditions.push('w.vendor_location_id = ?');
+            params.push(vendorLocationId);
+        }
+
+        const rows = await this.execute(`
+            SELECT ${WORK_ORDER_COLUMNS}
+            ${WORK_ORDER_JOINS}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY w.number DESC
+        `, params, { camelCase: true });
+
+        return rows.map(toWorkOrder);
+    }
+
+    /**
+     * Get one of a tenant's work orders with its line items and linked alerts
+     * @param {string} workOrderId - Work order ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Work order (camelCase) with lineItems and alerts
+     */
+    async getWorkOrder(workOrderId, tenantId) {
+        const workOrder = toWorkOrder(await this.execute(`
+            SELECT ${WORK_ORDER_COLUMNS}
+            ${WORK_ORDER_JOINS}
+            WHERE w.id = ? AND w.tenant_id = ?
+        `, [workOrderId, tenantId], { camelCase: true, first: true }));
+        if (!workOrder) {
+            return null;
+        }
+
+        const [lineItems, alerts] = await Promise.all([
+            this.getLineItems(workOrderId),
+            this.getLinkedAlerts(workOrderId)
+        ]);
+
+        return { ...workOrder, lineItems, alerts };
+    }
+
+    /**
+     * Open a work order, numbered after the tenant's last one
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} workOrder - { trailerId, title, description, vendorLocationId, sourceInspectionId, serviceTypes, createdBy }
+     * @returns {Promise<string>} Work order ID
+     */
+    async createWorkOrder(tenantId, workOrder) {
+        const id = generateId('work_order');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO work_orders (
+                id, tenant_id, number, trailer_id, title, description, status, vendor_location_id,
+                source_inspection_id, service_types, created_by, created_at, updated_at
+            )
+            SELECT ?, ?, COALESCE(MAX(number), 0) + 1, ?, ?, ?, 'open', ?, ?, ?, ?, ?, ?
+            FROM work_orders WHERE tenant_id = ?
+        `, [
+            id, tenantId, workOrder.trailerId, workOrder.title, workOrder.description || null,
+            workOrder.vendorLocationId || null, workOrder.sourceInspectionId || null,
+            JSON.stringify(workOrder.serviceTypes || []), workOrder.createdBy || null, now, now, tenantId
+        ]);
+
+        return id;
+    }
+
+    /**
+     * Update a work order's details or status
+     * @param {string} workOrderId - Work order ID
+     * @param {Object} updates - Any of { title, description, vendorLocationId, serviceTypes, status, startedAt, completedAt, completedBy }
+     * @returns {Promise<boolean>} True when updated
+     */
+    async updateWorkOrder(workOrderId, updates) {
+        const columns = {
+            title: 'title',
+            description: 'description',
+            vendorLocationId: 'vendor_location_id',
+            serviceTypes: 'service_types',
+            status: 'status',
+            startedAt: 'started_at',
+            completedAt: 'completed_at',
+            completedBy: 'completed_by'
+        };
+
+        const assignments = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (updates[key] !== undefined) {
+                assignments.push(`${column} = ?`);
+                params.push(key === 'serviceTypes' ? JSON.stringify(updates[key] || []) : updates[key] || null);
+            }
+        }
+
+        const result = await this.executeSingle(
+            `UPDATE work_orders SET ${[...assignments, 'updated_at = ?'].join(', ')} WHERE id = ?`,
+            [...params, getCurrentTimestamp(), workOrderId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Delete a work order and its line items, unlinking its alerts
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteWorkOrder(workOrderId, tenantId) {
+        await this.executeSingle('UPDATE maintenance_alerts SET work_order_id = NULL WHERE work_order_id = ?', [workOrderId]);
+        await this.executeSingle('DELETE FROM work_order_line_items WHERE work_order_id = ?', [workOrderId]);
+        const result = await this.executeSingle('DELETE FROM work_orders WHERE id = ? AND tenant_id = ?', [workOrderId, tenantId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Get a work order's line items in the order they were added
+     * @param {string} workOrderId - Work order ID
+     * @returns {Promise<Array>} Line items (camelCase) with their total
+     */
+    async getLineItems(workOrderId) {
+        const rows = await this.execute(`
+            SELECT id, work_order_id, line_type, description, part_number, quantity, unit_cost, created_at, updated_at
+            FROM work_order_line_items
+            WHERE work_order_id = ?
+            ORDER BY created_at, id
+        `, [workOrderId], { camelCase: true });
+
+        return rows.map(row => ({ ...row, total: round(row.quantity * row.unitCost) }));
+    }
+
+    /**
+     * Add a part or labor line to a work order
+     * @param {string} workOrderId - Work order ID
+     * @param {Object} item - { lineType, description, partNumber, quantity, unitCost }
+     * @returns {Promise<string>} Line item ID
+     */
+    async addLineItem(workOrderId, item) {
+        const id = generateId('wo_line');
+        const now = getCurrentTimestamp();
+
+        await this.executeSingle(`
+            INSERT INTO work_order_line_items (
+                id, work_order_id, line_type, description, part_number, quantity, unit_cost, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, workOrderId, item.lineType, item.description,
+            item.lineType === WORK_ORDER_LINE_TYPES.PART ? item.partNumber || null : null,
+            item.quantity, item.unitCost, now, now
+        ]);
+
+        return id;
+    }
+
+    /**
+     * Replace a work order's line item
+     * @returns {Promise<boolean>} True when updated
+     */
+    async updateLineItem(workOrderId, lineItemId, item) {
+        const result = await this.executeSingle(`
+            UPDATE work_order_line_items
+            SET line_type = ?, description = ?, part_number = ?, quantity = ?, unit_cost = ?, updated_at = ?
+            WHERE id = ? AND work_order_id = ?
+        `, [
+            item.lineType, item.description,
+            item.lineType === WORK_ORDER_LINE_TYPES.PART ? item.partNumber || null : null,
+            item.quantity, item.unitCost, getCurrentTimestamp(), lineItemId, workOrderId
+        ]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Delete a work order's line item
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteLineItem(workOrderId, lineItemId) {
+        const result = await this.executeSingle(
+            'DELETE FROM work_order_line_items WHERE id = ? AND work_order_id = ?',
+            [lineItemId, workOrderId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Get the alerts linked to a work order, oldest first
+     * @param {string} workOrderId - Work order ID
+     * @returns {Promise<Array>} Alerts (camelCase)
+     */
+    async getLinkedAlerts(workOrderId) {
+        const rows = await this.execute(`
+            SELECT id, type, severity, title, description, due_date, is_resolved, resolution_notes, resolved_at, created_at
+            FROM maintenance_alerts
+            WHERE work_order_id = ?
+            ORDER BY created_at, id
+        `, [workOrderId], { camelCase: true });
+
+        return rows.map(row => ({ ...row, isResolved: Boolean(row.isResolved) }));
+    }
+
+    /**
+     * Link a trailer's open alerts to a work order. Alerts already on another work order are moved to this one.
+     * @param {string} workOrderId - Work order ID
+     * @param {string} trailerId - Trailer the alerts must belong to
+     * @param {Array<string>} alertIds - Alert IDs
+     * @returns {Promise<number>} Alerts linked
+     */
+    async linkAlerts(workOrderId, trailerId, alertIds) {
+        if (!alertIds || alertIds.length === 0) {
+            return 0;
+        }
+
+        const result = await this.executeSingle(`
+            UPDATE maintenance_alerts SET work_order_id = ?, updated_at = ?
+            WHERE trailer_id = ? AND COALESCE(is_resolved, 0) = 0
+              AND id IN (${alertIds.map(() => '?').join(', ')})
+        `, [workOrderId, getCurrentTimestamp(), trailerId, ...alertIds]);
+        return result.changes;
+    }
+
+    /**
+     * Unlink an alert from a work order, leaving it open
+     * @returns {Promise<boolean>} True when unlinked
+     */
+    async unlinkAlert(workOrderId, alertId) {
+        const result = await this.executeSingle(
+            'UPDATE maintenance_alerts SET work_order_id = NULL, updated_at = ? WHERE id = ? AND work_order_id = ?',
+            [getCurrentTimestamp(), alertId, workOrderId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Get one of a tenant's maintenance locations, the vendors and shops work orders are assigned to
+     * @param {string} locationId - trailer_custom_locations ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} { id, name, address }
+     */
+    async getVendor(locationId, tenantId) {
+        return this.execute(`
+            SELECT id, name, address
+            FROM trailer_custom_locations
+            WHERE id = ? AND tenant_id = ? AND type = ?
+        `, [locationId, tenantId, LOCATION_TYPES.MAINTENANCE], { first: true });
+    }
+
+    /**
+     * Get an inspection recorded on a tenant's trailer, the source of a defect work order
+     * @param {string} inspectionId - Inspection ID
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object|null>} Inspection (camelCase)
+     */
+    async getTenantInspection(inspectionId, tenantId) {
+        return this.execute(`
+            SELECT i.id, i.trailer_id, i.inspection_type, i.inspection_date, i.inspector, i.status, i.notes
+            FROM trailer_inspections i
+            JOIN persistent_trailers t ON t.id = i.trailer_id
+            WHERE i.id = ? AND t.tenant_id = ?
+        `, [inspectionId, tenantId], { camelCase: true, first: true });
+    }
+}
+
+module.exports = WorkOrderManager;
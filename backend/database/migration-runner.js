@@ -0,0 +1,383 @@
+/**
+ * Migration Runner
+ * Applies and rolls back the numbered migrations in database/migrations and records them
+ * in the schema_migrations table.
+ *
+ * Migration files are named NNN-description.js and export:
+ *   description - One line summary
+ *   up(migration) - Apply the change
+ *   down(migration) - Revert the change
+ * Both receive a MigrationContext. Each migration runs in its own transaction; a dry run
+ * executes the pending migrations inside a single transaction and rolls it back.
+ */
+
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const {
+    executeQuery,
+    executeSingleQuery,
+    beginTransaction,
+    commitTransaction,
+    rollbackTransaction
+} = require('./utils/db-helpers');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// SQLite only accepts constant defaults in ALTER TABLE ADD COLUMN
+const NON_CONSTANT_DEFAULT_PATTERN = /^(CURRENT_TIMESTAMP|CURRENT_DATE|CURRENT_TIME)$|\(/i;
+
+/**
+ * Helpers passed to migration up/down functions
+ */
+class MigrationContext {
+    constructor(db) {
+        this.db = db;
+        this.statements = [];
+    }
+
+    /**
+     * Execute a statement, recording it for dry-run output
+     */
+    async run(sql, params = []) {
+        this.statements.push(sql.replace(/\s+/g, ' ').trim());
+        return executeSingleQuery(this.db, sql, params);
+    }
+
+    async all(sql, params = []) {
+        return executeQuery(this.db, sql, params);
+    }
+
+    async hasTable(table) {
+        const rows = await this.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+        return rows.length > 0;
+    }
+
+    async getColumns(table) {
+        return this.all(`PRAGMA table_info(${table})`);
+    }
+
+    async hasColumn(table, column) {
+        const columns = await this.getColumns(table);
+        return columns.some(existing => existing.name === column);
+    }
+
+    /**
+     * Add a column unless the database already has it (databases that drifted ahead of the code)
+     */
+    async addColumn(table, column, definition) {
+        if (await this.hasColumn(table, column)) {
+            return false;
+        }
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    }
+
+    /**
+     * Drop a column if it exists
+     */
+    async dropColumn(table, column) {
+        if (!(await this.hasColumn(table, column))) {
+            return false;
+        }
+        await this.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        return true;
+    }
+
+    /**
+     * Bring existing tables up to their CREATE TABLE definitions by adding missing columns.
+     * CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so databases created by
+     * older code can be missing columns the definitions have.
+     * @param {Array<string>} statements - Schema statements, only CREATE TABLE ones are used
+     */
+    async addMissingColumns(statements) {
+        const reference = await getReferenceColumns(
+            statements.filter(sql => /^\s*CREATE TABLE/i.test(sql))
+        );
+
+        for (const [table, columns] of reference) {
+            const existing = new Set((await this.getColumns(table)).map(column => column.name));
+
+            for (const column of columns) {
+                if (existing.has(column.name)) {
+                    continue;
+                }
+
+                const constantDefault = column.dflt_value !== null &&
+                    !NON_CONSTANT_DEFAULT_PATTERN.test(column.dflt_value);
+                let definition = column.type;
+                if (constantDefault) {
+                    definition += ` DEFAULT ${column.dflt_value}`;
+                    if (column.notnull) {
+                        definition += ' NOT NULL';
+                    }
+                }
+
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${definition}`);
+                if (column.dflt_value !== null && !constantDefault) {
+                    await this.run(`UPDATE ${table} SET ${column.name} = ${column.dflt_value}`);
+                }
+                logger.warn(`Adding column ${table}.${column.name} missing from existing table`);
+            }
+        }
+    }
+}
+
+/**
+ * Build the columns of each table by running the statements against an empty in-memory database
+ * @param {Array<string>} statements - CREATE TABLE statements
+ * @returns {Promise<Map<string, Array>>} Table name to PRAGMA table_info rows
+ */
+async function getReferenceColumns(statements) {
+    const memoryDb = new sqlite3.Database(':memory:');
+
+    try {
+        for (const sql of statements) {
+            await executeSingleQuery(memoryDb, sql);
+        }
+
+        const tables = await executeQuery(memoryDb,
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+        );
+        const reference = new Map();
+        for (const { name } of tables) {
+            reference.set(name, await executeQuery(memoryDb, `PRAGMA table_info(${name})`));
+        }
+        return reference;
+    } finally {
+        await new Promise(resolve => memoryDb.close(() => resolve()));
+    }
+}
+
+/**
+ * Load migration files in version order
+ * @returns {Array<Object>} Migrations { version, name, description, up, down }
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await executeSingleQuery(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        duration_ms INTEGER
+    )`);
+}
+
+async function getAppliedMigrations(db) {
+    return executeQuery(db, 'SELECT version, name, applied_at, duration_ms FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Get applied, pending and unknown (applied but no longer on disk) migrations
+ */
+async function getMigrationStatus(db) {
+    await ensureMigrationsTable(db);
+
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+        latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        applied: applied.map(row => ({
+            version: row.version,
+            name: row.name,
+            appliedAt: row.applied_at,
+            durationMs: row.duration_ms
+        })),
+        pending: migrations
+            .filter(migration => !appliedVersions.has(migration.version))
+            .map(({ version, name, description }) => ({ version, name, description })),
+        unknown: applied.filter(row => !knownVersions.has(row.version)).map(row => row.version)
+    };
+}
+
+/**
+ * Run one direction of a set of migrations
+ * @param {Object} db - Database connection
+ * @param {Array<Object>} migrations - Migrations in the order to run them
+ * @param {string} direction - 'up' or 'down'
+ * @param {boolean} dryRun - Roll everything back afterwards
+ * @returns {Promise<Array>} { version, name, statements, durationMs } per migration
+ */
+async function executeMigrations(db, migrations, direction, dryRun) {
+    const results = [];
+
+    if (dryRun) {
+        await beginTransaction(db);
+    }
+
+    try {
+        for (const migration of migrations) {
+            const context = new MigrationContext(db);
+            const startTime = Date.now();
+
+            if (!dryRun) {
+                await beginTransaction(db);
+            }
+
+            try {
+                await migration[direction](context);
+
+                if (direction === 'up') {
+                    await executeSingleQuery(db,
+                        'INSERT INTO schema_migrations (version, name, duration_ms) VALUES (?, ?, ?)',
+                        [migration.version, migration.name, Date.now() - startTime]
+                    );
+                } else {
+                    await executeSingleQuery(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                }
+
+                if (!dryRun) {
+                    await commitTransaction(db);
+                }
+            } catch (error) {
+                if (!dryRun) {
+                    await rollbackTransaction(db);
+                }
+                error.message = `Migration ${migration.version}-${migration.name} ${direction} failed: ${error.message}`;
+                throw error;
+            }
+
+            results.push({
+                version: migration.version,
+                name: migration.name,
+                statements: context.statements,
+                durationMs: Date.now() - startTime
+            });
+
+            if (!dryRun) {
+                logger.info(`Migration ${migration.version}-${migration.name} ${direction === 'up' ? 'applied' : 'rolled back'}`);
+            }
+        }
+    } finally {
+        if (dryRun) {
+            await rollbackTransaction(db);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Apply all pending migrations
+ * @param {Object} db - Database connection
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Array>} Applied (or, in a dry run, would-be applied) migrations
+ */
+async function runMigrations(db, { dryRun = false } = {}) {
+    await ensureMigrationsTable(db);
+
+    const appliedVersions = new Set((await getAppliedMigrations(db)).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+    if (pending.length === 0) {
+        return [];
+    }
+
+    return executeMigrations(db, pending, 'up', dryRun);
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} db - Database connection
+ * @param {Object} options - { steps = 1, to, dryRun }; `to` rolls back every migration above that version
+ * @returns {Promise<Array>} Rolled back migrations
+ */
+async function rollbackMigrations(db, { steps = 1, to, dryRun = false } = {}) {
+    await ensureMigrationsTable(db);
+
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await getAppliedMigrations(db)).reverse();
+    const targets = to !== undefined
+        ? applied.filter(row => row.version > to)
+        : applied.slice(0, steps);
+
+    const missing = targets.filter(row => !migrations.has(row.version));
+    if (missing.length > 0) {
+        throw new Error(`Cannot roll back migrations without a file: ${missing.map(row => row.version).join(', ')}`);
+    }
+
+    return executeMigrations(db, targets.map(row => migrations.get(row.version)), 'down', dryRun);
+}
+
+/**
+ * Compare the database against the schema the migrations produce on an empty database
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object>} { missingTables, missingColumns, extraColumns }
+ */
+async function getSchemaDrift(db) {
+    const memoryDb = new sqlite3.Database(':memory:');
+    const expected = new Map();
+
+    try {
+        const context = new MigrationContext(memoryDb);
+        for (const migration of loadMigrations()) {
+            await migration.up(context);
+        }
+
+        const tables = await executeQuery(memoryDb,
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+        );
+        for (const { name } of tables) {
+            expected.set(name, (await executeQuery(memoryDb, `PRAGMA table_info(${name})`)).map(column => column.name));
+        }
+    } finally {
+        await new Promise(resolve => memoryDb.close(() => resolve()));
+    }
+
+    const drift = { missingTables: [], missingColumns: [], extraColumns: [] };
+    for (const [table, columns] of expected) {
+        const actual = (await executeQuery(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+        if (actual.length === 0) {
+            drift.missingTables.push(table);
+            continue;
+        }
+        columns.filter(column => !actual.includes(column))
+            .forEach(column => drift.missingColumns.push(`${table}.${column}`));
+        actual.filter(column => !columns.includes(column))
+            .forEach(column => drift.extraColumns.push(`${table}.${column}`));
+    }
+
+    return drift;
+}
+
+module.exports = {
+    MigrationContext,
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations,
+    rollbackMigrations,
+    getSchemaDrift
+};
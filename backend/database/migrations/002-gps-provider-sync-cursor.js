@@ -0,0 +1,17 @@
+/**
+ * Migration 002 - Delta sync state for polled GPS providers
+ */
+
+module.exports = {
+    description: 'Add sync cursor and last full sync time to GPS providers',
+
+    async up(migration) {
+        await migration.addColumn('gps_providers', 'sync_cursor', 'TEXT');
+        await migration.addColumn('gps_providers', 'last_full_sync', 'DATETIME');
+    },
+
+    async down(migration) {
+        await migration.dropColumn('gps_providers', 'last_full_sync');
+        await migration.dropColumn('gps_providers', 'sync_cursor');
+    }
+};
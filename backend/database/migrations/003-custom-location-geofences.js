@@ -0,0 +1,19 @@
+/**
+ * Migration 003 - Circle and polygon geofences on custom locations
+ */
+
+module.exports = {
+    description: 'Add geofence shape columns to custom locations',
+
+    async up(migration) {
+        await migration.addColumn('trailer_custom_locations', 'geofence_type', 'TEXT');
+        await migration.addColumn('trailer_custom_locations', 'geofence_radius_m', 'REAL');
+        await migration.addColumn('trailer_custom_locations', 'geofence_polygon', 'TEXT');
+    },
+
+    async down(migration) {
+        await migration.dropColumn('trailer_custom_locations', 'geofence_polygon');
+        await migration.dropColumn('trailer_custom_locations', 'geofence_radius_m');
+        await migration.dropColumn('trailer_custom_locations', 'geofence_type');
+    }
+};
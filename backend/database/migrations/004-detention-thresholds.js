@@ -0,0 +1,17 @@
+/**
+ * Migration 004 - Detention thresholds per location and per customer
+ */
+
+module.exports = {
+    description: 'Add detention thresholds to custom locations and custom companies',
+
+    async up(migration) {
+        await migration.addColumn('trailer_custom_locations', 'detention_threshold_minutes', 'INTEGER');
+        await migration.addColumn('trailer_custom_companies', 'detention_threshold_minutes', 'INTEGER');
+    },
+
+    async down(migration) {
+        await migration.dropColumn('trailer_custom_companies', 'detention_threshold_minutes');
+        await migration.dropColumn('trailer_custom_locations', 'detention_threshold_minutes');
+    }
+};
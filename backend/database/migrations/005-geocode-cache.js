@@ -0,0 +1,29 @@
+/**
+ * Migration 005 - Persistent reverse geocoding cache
+ */
+
+module.exports = {
+    description: 'Create geocode cache table',
+
+    async up(migration) {
+        // Reverse geocoding results keyed by rounded coordinates
+        await migration.run(`CREATE TABLE IF NOT EXISTS geocode_cache (
+            cache_key TEXT PRIMARY KEY,
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            formatted_address TEXT NOT NULL,
+            place_id TEXT,
+            components TEXT,
+            source TEXT NOT NULL,
+            hit_count INTEGER DEFAULT 0,
+            last_hit_at DATETIME,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_geocode_cache_expires_at ON geocode_cache(expires_at)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS geocode_cache');
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Migration 006 - Persisted sync schedules and job run history
+ */
+
+module.exports = {
+    description: 'Create sync schedule and job run tables',
+
+    async up(migration) {
+        // One row per tenant and job type, plus optional per-provider location refresh overrides
+        await migration.run(`CREATE TABLE IF NOT EXISTS sync_schedules (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            provider_id TEXT,
+            job_type TEXT NOT NULL,
+            interval_minutes INTEGER NOT NULL,
+            quiet_hours_start TEXT,
+            quiet_hours_end TEXT,
+            timezone TEXT NOT NULL DEFAULT 'UTC',
+            is_enabled BOOLEAN NOT NULL DEFAULT 1,
+            next_run_at DATETIME NOT NULL,
+            last_run_at DATETIME,
+            last_status TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE CASCADE
+        )`);
+        await migration.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_schedules_scope
+            ON sync_schedules(tenant_id, COALESCE(provider_id, ''), job_type)`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_sync_schedules_next_run ON sync_schedules(is_enabled, next_run_at)');
+
+        await migration.run(`CREATE TABLE IF NOT EXISTS sync_job_runs (
+            id TEXT PRIMARY KEY,
+            schedule_id TEXT,
+            tenant_id TEXT NOT NULL,
+            provider_id TEXT,
+            job_type TEXT NOT NULL,
+            trigger_type TEXT NOT NULL,
+            status TEXT NOT NULL,
+            scheduled_for DATETIME,
+            started_at DATETIME NOT NULL,
+            finished_at DATETIME,
+            duration_ms INTEGER,
+            providers_processed INTEGER DEFAULT 0,
+            trailers_processed INTEGER DEFAULT 0,
+            locations_updated INTEGER DEFAULT 0,
+            error_message TEXT,
+            FOREIGN KEY (schedule_id) REFERENCES sync_schedules(id) ON DELETE SET NULL
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_sync_job_runs_tenant_started ON sync_job_runs(tenant_id, started_at)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_sync_job_runs_schedule_started ON sync_job_runs(schedule_id, started_at)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS sync_job_runs');
+        await migration.run('DROP TABLE IF EXISTS sync_schedules');
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 007 - GPS provider health tracking and circuit breaker
+ */
+
+module.exports = {
+    description: 'Add provider health state and a log of provider fetch attempts',
+
+    async up(migration) {
+        await migration.addColumn('gps_providers', 'health_status', "TEXT DEFAULT 'unknown'");
+        await migration.addColumn('gps_providers', 'consecutive_failures', 'INTEGER DEFAULT 0');
+        await migration.addColumn('gps_providers', 'consecutive_auth_failures', 'INTEGER DEFAULT 0');
+        await migration.addColumn('gps_providers', 'last_success_at', 'DATETIME');
+        await migration.addColumn('gps_providers', 'last_failure_at', 'DATETIME');
+        await migration.addColumn('gps_providers', 'circuit_state', "TEXT DEFAULT 'closed'");
+        await migration.addColumn('gps_providers', 'circuit_opened_at', 'DATETIME');
+
+        // One row per fetch from a provider (refresh, sync or connection test)
+        await migration.run(`CREATE TABLE IF NOT EXISTS provider_health_checks (
+            id TEXT PRIMARY KEY,
+            provider_id TEXT NOT NULL,
+            tenant_id TEXT NOT NULL,
+            trigger_type TEXT NOT NULL,
+            success BOOLEAN NOT NULL,
+            latency_ms INTEGER,
+            error_type TEXT,
+            error_message TEXT,
+            records_count INTEGER,
+            checked_at DATETIME NOT NULL,
+            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_provider_health_checks_provider ON provider_health_checks(provider_id, checked_at)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS provider_health_checks');
+        await migration.dropColumn('gps_providers', 'circuit_opened_at');
+        await migration.dropColumn('gps_providers', 'circuit_state');
+        await migration.dropColumn('gps_providers', 'last_failure_at');
+        await migration.dropColumn('gps_providers', 'last_success_at');
+        await migration.dropColumn('gps_providers', 'consecutive_auth_failures');
+        await migration.dropColumn('gps_providers', 'consecutive_failures');
+        await migration.dropColumn('gps_providers', 'health_status');
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 008 - Complete sync/refresh run records with per-trailer issues
+ */
+
+module.exports = {
+    description: 'Add trailer counts and job run link to system_refresh_log and a table of per-trailer issues',
+
+    async up(migration) {
+        await migration.addColumn('system_refresh_log', 'trailers_created', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'trailers_skipped', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'trailers_failed', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'job_run_id', 'TEXT');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_refresh_log_provider_created ON system_refresh_log(provider_id, created_at)');
+
+        // Trailers a run did not update, and why (skipped, unmatched, failed or disconnected)
+        await migration.run(`CREATE TABLE IF NOT EXISTS system_refresh_log_items (
+            id TEXT PRIMARY KEY,
+            log_id TEXT NOT NULL,
+            trailer_id TEXT,
+            device_id TEXT,
+            outcome TEXT NOT NULL,
+            message TEXT,
+            FOREIGN KEY (log_id) REFERENCES system_refresh_log(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_refresh_log_items_log ON system_refresh_log_items(log_id)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_refresh_log_items_trailer ON system_refresh_log_items(trailer_id)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_refresh_log_items_device ON system_refresh_log_items(device_id)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS system_refresh_log_items');
+        await migration.run('DROP INDEX IF EXISTS idx_refresh_log_provider_created');
+        await migration.dropColumn('system_refresh_log', 'job_run_id');
+        await migration.dropColumn('system_refresh_log', 'trailers_failed');
+        await migration.dropColumn('system_refresh_log', 'trailers_skipped');
+        await migration.dropColumn('system_refresh_log', 'trailers_created');
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 009 - Trailer reconciliation for units a provider stops reporting
+ */
+
+module.exports = {
+    description: 'Add last ping and archive time to trailers, reconciliation thresholds to providers and reconciliation counts to the refresh log',
+
+    async up(migration) {
+        // Latest report time of the unit itself, which keeps ticking while a parked trailer's location stays put
+        await migration.addColumn('persistent_trailers', 'last_ping_at', 'DATETIME');
+        await migration.addColumn('persistent_trailers', 'archived_at', 'DATETIME');
+        await migration.run(`UPDATE persistent_trailers SET last_ping_at = last_gps_update
+            WHERE last_ping_at IS NULL AND provider_id IS NOT NULL`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_trailers_provider_archived ON persistent_trailers(provider_id, archived_at)');
+
+        // NULL thresholds fall back to the RECONCILIATION defaults
+        await migration.addColumn('gps_providers', 'stale_after_hours', 'INTEGER');
+        await migration.addColumn('gps_providers', 'disconnect_after_hours', 'INTEGER');
+        await migration.addColumn('gps_providers', 'archive_after_days', 'INTEGER');
+
+        await migration.addColumn('system_refresh_log', 'trailers_stale', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'trailers_disconnected', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'trailers_archived', 'INTEGER DEFAULT 0');
+        await migration.addColumn('system_refresh_log', 'trailers_reconnected', 'INTEGER DEFAULT 0');
+    },
+
+    async down(migration) {
+        await migration.dropColumn('system_refresh_log', 'trailers_reconnected');
+        await migration.dropColumn('system_refresh_log', 'trailers_archived');
+        await migration.dropColumn('system_refresh_log', 'trailers_disconnected');
+        await migration.dropColumn('system_refresh_log', 'trailers_stale');
+        await migration.dropColumn('gps_providers', 'archive_after_days');
+        await migration.dropColumn('gps_providers', 'disconnect_after_hours');
+        await migration.dropColumn('gps_providers', 'stale_after_hours');
+        await migration.run('DROP INDEX IF EXISTS idx_trailers_provider_archived');
+        await migration.dropColumn('persistent_trailers', 'archived_at');
+        await migration.dropColumn('persistent_trailers', 'last_ping_at');
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Migration 010 - Trailer identity across providers
+ */
+
+module.exports = {
+    description: 'Add provider device links, trailer merges and the identity review queue',
+
+    async up(migration) {
+        // Each provider device reports for exactly one trailer; a trailer can carry devices from several providers
+        await migration.run(`CREATE TABLE IF NOT EXISTS trailer_device_links (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            trailer_id TEXT NOT NULL,
+            provider_id TEXT NOT NULL,
+            device_id TEXT NOT NULL,
+            match_rule TEXT NOT NULL,
+            first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (provider_id, device_id),
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE,
+            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_device_links_trailer ON trailer_device_links(trailer_id)');
+
+        // A merged trailer stays in place so the merge can be undone, hidden behind the trailer it was merged into
+        await migration.addColumn('persistent_trailers', 'merged_into_id', 'TEXT');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_trailers_merged_into ON persistent_trailers(merged_into_id)');
+
+        // moved_records maps each table to the row IDs moved to the target, filled_fields the blanks filled from the source
+        await migration.run(`CREATE TABLE IF NOT EXISTS trailer_merges (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            target_trailer_id TEXT NOT NULL,
+            source_trailer_id TEXT NOT NULL,
+            moved_records TEXT NOT NULL,
+            filled_fields TEXT NOT NULL,
+            source_archived_at DATETIME,
+            merged_by TEXT,
+            merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            unmerged_by TEXT,
+            unmerged_at DATETIME,
+            FOREIGN KEY (target_trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE,
+            FOREIGN KEY (source_trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_trailer_merges_tenant ON trailer_merges(tenant_id, merged_at)');
+
+        // Devices that could belong to more than one trailer wait here instead of creating a duplicate
+        await migration.run(`CREATE TABLE IF NOT EXISTS trailer_identity_reviews (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            provider_id TEXT NOT NULL,
+            device_id TEXT NOT NULL,
+            unit_number TEXT,
+            vin TEXT,
+            plate TEXT,
+            device_data TEXT NOT NULL,
+            candidate_ids TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            resolved_trailer_id TEXT,
+            resolved_by TEXT,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (provider_id, device_id),
+            FOREIGN KEY (provider_id) REFERENCES gps_providers(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_identity_reviews_tenant_status ON trailer_identity_reviews(tenant_id, status)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS trailer_identity_reviews');
+        await migration.run('DROP TABLE IF EXISTS trailer_merges');
+        await migration.run('DROP INDEX IF EXISTS idx_trailers_merged_into');
+        await migration.dropColumn('persistent_trailers', 'merged_into_id');
+        await migration.run('DROP TABLE IF EXISTS trailer_device_links');
+    }
+};
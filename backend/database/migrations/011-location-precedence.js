@@ -0,0 +1,32 @@
+/**
+ * Migration 011 - Per-tenant location source precedence
+ */
+
+module.exports = {
+    description: 'Create location precedence rules and record which provider set each trailer location',
+
+    async up(migration) {
+        // One row per tenant - NULL columns fall back to the LOCATION_PRECEDENCE defaults
+        await migration.run(`CREATE TABLE IF NOT EXISTS location_precedence_rules (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL UNIQUE,
+            manual_expiry_hours INTEGER,
+            gps_override_miles REAL,
+            provider_priority TEXT NOT NULL DEFAULT '[]',
+            priority_fallback_minutes INTEGER,
+            updated_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Provider whose position is the current GPS location, compared against the provider priority
+        await migration.addColumn('persistent_trailers', 'location_provider_id', 'TEXT');
+        await migration.run(`UPDATE persistent_trailers SET location_provider_id = provider_id
+            WHERE location_provider_id IS NULL AND location_source = 'gps'`);
+    },
+
+    async down(migration) {
+        await migration.dropColumn('persistent_trailers', 'location_provider_id');
+        await migration.run('DROP TABLE IF EXISTS location_precedence_rules');
+    }
+};
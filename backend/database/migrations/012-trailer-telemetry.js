@@ -0,0 +1,30 @@
+/**
+ * Migration 012 - Trailer sensor telemetry time series
+ */
+
+module.exports = {
+    description: 'Create the trailer telemetry time series for door, cargo, reefer and battery readings',
+
+    async up(migration) {
+        // One row per reading; numeric metrics use value, text metrics such as the reefer run mode use text_value
+        await migration.run(`CREATE TABLE IF NOT EXISTS trailer_telemetry (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT,
+            trailer_id TEXT NOT NULL,
+            provider_id TEXT,
+            metric TEXT NOT NULL,
+            value REAL,
+            text_value TEXT,
+            recorded_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
+        )`);
+        await migration.run(`CREATE INDEX IF NOT EXISTS idx_trailer_telemetry_trailer_metric
+            ON trailer_telemetry(trailer_id, metric, recorded_at)`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_trailer_telemetry_recorded ON trailer_telemetry(recorded_at)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS trailer_telemetry');
+    }
+};
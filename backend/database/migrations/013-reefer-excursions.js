@@ -0,0 +1,60 @@
+/**
+ * Migration 013 - Reefer temperature ranges and excursions
+ */
+
+module.exports = {
+    description: 'Create reefer temperature ranges per trailer or load, and the excursions recorded against them',
+
+    async up(migration) {
+        // A range without a load reference covers the trailer; one with a load reference and a time window
+        // takes precedence while the load is on board
+        await migration.run(`CREATE TABLE IF NOT EXISTS reefer_temperature_ranges (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            trailer_id TEXT NOT NULL,
+            load_reference TEXT,
+            metric TEXT NOT NULL DEFAULT 'reefer_return_air_c',
+            min_temp_c REAL NOT NULL,
+            max_temp_c REAL NOT NULL,
+            alert_after_minutes INTEGER NOT NULL,
+            starts_at DATETIME,
+            ends_at DATETIME,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_reefer_ranges_trailer ON reefer_temperature_ranges(trailer_id)');
+
+        // The range is copied onto each excursion so the evidence still holds after the range changes
+        await migration.run(`CREATE TABLE IF NOT EXISTS reefer_excursions (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            trailer_id TEXT NOT NULL,
+            range_id TEXT,
+            load_reference TEXT,
+            metric TEXT NOT NULL,
+            min_temp_c REAL NOT NULL,
+            max_temp_c REAL NOT NULL,
+            started_at DATETIME NOT NULL,
+            last_reading_at DATETIME NOT NULL,
+            ended_at DATETIME,
+            peak_temp_c REAL NOT NULL,
+            readings_count INTEGER NOT NULL DEFAULT 1,
+            severity TEXT,
+            alert_id TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE,
+            FOREIGN KEY (range_id) REFERENCES reefer_temperature_ranges(id) ON DELETE SET NULL
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_reefer_excursions_trailer ON reefer_excursions(trailer_id, status)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_reefer_excursions_tenant ON reefer_excursions(tenant_id, started_at)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP TABLE IF EXISTS reefer_excursions');
+        await migration.run('DROP TABLE IF EXISTS reefer_temperature_ranges');
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 014 - GPS device reporting interval
+ */
+
+module.exports = {
+    description: 'Add the running average reporting interval of each trailer tracker',
+
+    async up(migration) {
+        // Updated on every newer ping, see TrailerManager.recordPing
+        await migration.addColumn('persistent_trailers', 'ping_interval_minutes', 'REAL');
+    },
+
+    async down(migration) {
+        await migration.dropColumn('persistent_trailers', 'ping_interval_minutes');
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration 015 - Tenant inspection type catalog
+ */
+
+module.exports = {
+    description: 'Create the per-tenant inspection type catalog and add a body type to trailers',
+
+    async up(migration) {
+        // One of TRAILER_TYPES, NULL when not set
+        await migration.addColumn('persistent_trailers', 'trailer_type', 'TEXT');
+        await migration.run(`UPDATE persistent_trailers SET trailer_type = 'reefer'
+            WHERE trailer_type IS NULL
+              AND id IN (SELECT DISTINCT trailer_id FROM trailer_telemetry WHERE metric LIKE 'reefer_%')`);
+
+        // Codes match trailer_inspections.inspection_type. trailer_types is a JSON array, NULL applies to every trailer.
+        // The built-in types are created on first use, see InspectionTypeManager.ensureBuiltInTypes
+        await migration.run(`CREATE TABLE IF NOT EXISTS inspection_types (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            code TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            interval_days INTEGER NOT NULL,
+            alert_threshold_days INTEGER NOT NULL,
+            trailer_types TEXT,
+            is_built_in BOOLEAN DEFAULT 0,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(tenant_id, code)
+        )`);
+        await migration.run(`CREATE INDEX IF NOT EXISTS idx_trailer_inspections_trailer_type
+            ON trailer_inspections(trailer_id, inspection_type, inspection_date)`);
+    },
+
+    async down(migration) {
+        await migration.run('DROP INDEX IF EXISTS idx_trailer_inspections_trailer_type');
+        await migration.run('DROP TABLE IF EXISTS inspection_types');
+        await migration.dropColumn('persistent_trailers', 'trailer_type');
+    }
+};
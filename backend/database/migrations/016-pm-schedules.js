@@ -0,0 +1,64 @@
+/**
+ * Migration 016 - Mileage and engine-hour preventive maintenance schedules
+ */
+
+module.exports = {
+    description: 'Add trailer meters and create preventive maintenance schedules and service records',
+
+    async up(migration) {
+        // gps_miles adds up the distance between GPS positions. odometer_miles is the latest provider-reported
+        // or serviced odometer reading and odometer_gps_miles the gps_miles at that reading, so the current
+        // odometer is odometer_miles + gps_miles - odometer_gps_miles.
+        await migration.addColumn('persistent_trailers', 'gps_miles', 'REAL DEFAULT 0');
+        await migration.addColumn('persistent_trailers', 'odometer_miles', 'REAL');
+        await migration.addColumn('persistent_trailers', 'odometer_gps_miles', 'REAL');
+        await migration.addColumn('persistent_trailers', 'odometer_recorded_at', 'DATETIME');
+        await migration.addColumn('persistent_trailers', 'engine_hours', 'REAL');
+        await migration.addColumn('persistent_trailers', 'engine_hours_recorded_at', 'DATETIME');
+
+        // meter is one of PM_METERS; interval_value and due_soon_threshold are in its unit.
+        // tasks and trailer_types are JSON arrays, NULL trailer_types applies to every trailer.
+        await migration.run(`CREATE TABLE IF NOT EXISTS pm_schedules (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            code TEXT NOT NULL,
+            name TEXT NOT NULL,
+            meter TEXT NOT NULL,
+            interval_value REAL NOT NULL,
+            due_soon_threshold REAL NOT NULL,
+            tasks TEXT,
+            trailer_types TEXT,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(tenant_id, code)
+        )`);
+
+        // meter_reading is the schedule's meter when the service was done; tasks lists the tasks completed
+        await migration.run(`CREATE TABLE IF NOT EXISTS pm_service_records (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            schedule_id TEXT NOT NULL,
+            trailer_id TEXT NOT NULL,
+            meter_reading REAL NOT NULL,
+            performed_at DATETIME NOT NULL,
+            tasks TEXT,
+            notes TEXT,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (schedule_id) REFERENCES pm_schedules(id) ON DELETE CASCADE,
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE
+        )`);
+        await migration.run(`CREATE INDEX IF NOT EXISTS idx_pm_service_records_trailer
+            ON pm_service_records(trailer_id, schedule_id, performed_at)`);
+    },
+
+    async down(migration) {
+        await migration.run('DROP INDEX IF EXISTS idx_pm_service_records_trailer');
+        await migration.run('DROP TABLE IF EXISTS pm_service_records');
+        await migration.run('DROP TABLE IF EXISTS pm_schedules');
+        for (const column of ['engine_hours_recorded_at', 'engine_hours', 'odometer_recorded_at', 'odometer_gps_miles', 'odometer_miles', 'gps_miles']) {
+            await migration.dropColumn('persistent_trailers', column);
+        }
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration 017 - Maintenance work orders
+ */
+
+module.exports = {
+    description: 'Create work orders with part and labor line items and link maintenance alerts to them',
+
+    async up(migration) {
+        // number counts up per tenant. status is one of WORK_ORDER_STATUS. vendor_location_id is a
+        // trailer_custom_locations row of type maintenance. source_inspection_id is the inspection whose
+        // defect the work order repairs. service_types is a JSON array of the maintenance alert rule types
+        // it services (e.g. annual_inspection, tire_status, pm_tire_rotation), whose dates completion updates.
+        await migration.run(`CREATE TABLE IF NOT EXISTS work_orders (
+            id TEXT PRIMARY KEY,
+            tenant_id TEXT NOT NULL,
+            number INTEGER NOT NULL,
+            trailer_id TEXT NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            vendor_location_id TEXT,
+            source_inspection_id TEXT,
+            service_types TEXT,
+            started_at DATETIME,
+            completed_at DATETIME,
+            completed_by TEXT,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(tenant_id, number),
+            FOREIGN KEY (trailer_id) REFERENCES persistent_trailers(id) ON DELETE CASCADE,
+            FOREIGN KEY (vendor_location_id) REFERENCES trailer_custom_locations(id) ON DELETE SET NULL
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_work_orders_trailer ON work_orders(trailer_id, status)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_work_orders_tenant_status ON work_orders(tenant_id, status)');
+
+        // line_type is one of WORK_ORDER_LINE_TYPES: quantity is units for a part and hours for labor,
+        // unit_cost the part price or hourly rate
+        await migration.run(`CREATE TABLE IF NOT EXISTS work_order_line_items (
+            id TEXT PRIMARY KEY,
+            work_order_id TEXT NOT NULL,
+            line_type TEXT NOT NULL,
+            description TEXT NOT NULL,
+            part_number TEXT,
+            quantity REAL NOT NULL,
+            unit_cost REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (work_order_id) REFERENCES work_orders(id) ON DELETE CASCADE
+        )`);
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_work_order_line_items_order ON work_order_line_items(work_order_id)');
+
+        // An alert is worked on by at most one work order and resolved when it is completed
+        await migration.addColumn('maintenance_alerts', 'work_order_id', 'TEXT');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_maintenance_alerts_work_order ON maintenance_alerts(work_order_id)');
+    },
+
+    async down(migration) {
+        await migration.run('DROP INDEX IF EXISTS idx_maintenance_alerts_work_order');
+        await migration.dropColumn('maintenance_alerts', 'work_order_id');
+        await migration.run('DROP INDEX IF EXISTS idx_work_order_line_items_order');
+        await migration.run('DROP TABLE IF EXISTS work_order_line_items');
+        await migration.run('DROP INDEX IF EXISTS idx_work_orders_tenant_status');
+        await migration.run('DROP INDEX IF EXISTS idx_work_orders_trailer');
+        await migration.run('DROP TABLE IF EXISTS work_orders');
+    }
+};
@@ -101,6 +101,47 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @param {Array<Object>} polygon - Vertices as { lat, lng }, in order
+ * @returns {boolean} True if the point is inside the polygon
+ */
+function isPointInPolygon(lat, lng, polygon) {
+    if (!Array.isArray(polygon) || polygon.length < 3) return false;
+
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const { lat: latI, lng: lngI } = polygon[i];
+        const { lat: latJ, lng: lngJ } = polygon[j];
+        const crosses = (latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Check whether a point lies inside a custom location's geofence
+ * @param {Object} location - Custom location with geofenceType, lat/lng, geofenceRadiusM and geofencePolygon
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @returns {boolean} True if the point is inside the geofence
+ */
+function isInsideGeofence(location, lat, lng) {
+    if (!location || !isValidCoordinates(lat, lng)) return false;
+
+    if (location.geofenceType === 'circle') {
+        const distanceMeters = calculateDistance(location.lat, location.lng, lat, lng) * 1000;
+        return distanceMeters <= location.geofenceRadiusM;
+    }
+    if (location.geofenceType === 'polygon') {
+        return isPointInPolygon(lat, lng, location.geofencePolygon);
+    }
+    return false;
+}
+
 /**
  * Format address components into a standardized string
  * @param {Object} address - Address object with components
@@ -340,6 +381,8 @@ function convertTrailerDataForDB(trailerData) {
 module.exports = {
     extractCityStateFromString,
     calculateDistance,
+    isPointInPolygon,
+    isInsideGeofence,
     formatAddress,
     isValidCoordinates,
     generateRandomString,
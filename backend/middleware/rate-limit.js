@@ -3,14 +3,16 @@ const { ENCRYPTION_CONFIG } = require('../utils/security-config');
 
 /**
  * Factory to create standardized rate limiters
+ * Requests are counted per client IP unless a keyGenerator(req) picks another key
  */
-function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later' }) {
+function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later', keyGenerator }) {
     return rateLimit({
         windowMs,
         max,
         standardHeaders: true,
         legacyHeaders: false,
-        message: { success: false, error: message }
+        message: { success: false, error: message },
+        ...(keyGenerator && { keyGenerator })
     });
 }
 
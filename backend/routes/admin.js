@@ -1,10 +1,14 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/error-handling');
-const { userManager, companyManager, trailerCustomCompanyManager, statsManager, gpsProviderManager, trailerManager } = require('../database/database-manager');
+const { userManager, companyManager, trailerCustomCompanyManager, statsManager, gpsProviderManager, trailerManager, syncScheduleManager } = require('../database/database-manager');
 const { getDatabaseConnection } = require('../database/database-initializer');
 const { COMPANY_TYPES, USER_ROLES } = require('../utils/constants');
 const cacheService = require('../services/cache-service');
+const geocodingService = require('../services/geocoding');
+const backupService = require('../services/backup-service');
+const jobScheduler = require('../services/job-scheduler');
+const providerSync = require('../services/provider-sync');
 const rateLimiter = require('../services/rate-limiter');
 const logger = require('../utils/logger');
 const encryptionUtil = require('../utils/encryption');
@@ -787,6 +791,28 @@ router.delete('/tenants/:tenantId', authenticateToken, requireSuperAdmin, async
             });
         }
         
+        // Snapshot the database first so a mistaken deletion can be restored
+        if (backupService.isBusy()) {
+            return res.status(409).json({
+                success: false,
+                error: 'A database backup or restore is running, please try again shortly'
+            });
+        }
+        
+        let backup;
+        try {
+            backup = await backupService.createBackup({
+                trigger: 'pre-cleanup',
+                note: `Before deleting tenant ${tenantId}`
+            });
+        } catch (error) {
+            logger.error('Pre-deletion backup failed, tenant not deleted', { tenantId, error: error.message });
+            return res.status(500).json({
+                success: false,
+                error: 'Could not back up the database, tenant was not deleted'
+            });
+        }
+        
         // Use comprehensive tenant deletion method
         try {
             const deletionResult = await statsManager.deleteTenant(tenantId);
@@ -801,7 +827,8 @@ router.delete('/tenants/:tenantId', authenticateToken, requireSuperAdmin, async
                 message: `Tenant ${tenantId} and all associated data deleted successfully`,
                 data: {
                     tenantId,
-                    deletedData: deletionResult.deletedData
+                    deletedData: deletionResult.deletedData,
+                    backupId: backup.id
                 }
             });
         } catch (error) {
@@ -1063,16 +1090,191 @@ router.post('/reset-rate-limits', authenticateToken, requireSuperAdmin, async (r
 router.get('/cache-stats', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
     const cacheStats = cacheService.getStats();
     const rateLimitStats = rateLimiter.getStats();
+    const geocodeStats = await geocodingService.getCacheStats();
     
     res.json({
         success: true,
         data: {
             cache: cacheStats,
-            rateLimiter: rateLimitStats
+            rateLimiter: rateLimitStats,
+            geocode: geocodeStats
         }
     });
 }));
 
+// Resolve uncached trailer and location positions into the geocode cache
+// Runs in the background because backends are rate limited; progress is logged and visible in /cache-stats
+router.post('/geocode-cache/warm', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const limit = req.body?.limit !== undefined ? parseInt(req.body.limit, 10) : undefined;
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 10000)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Limit must be between 1 and 10000'
+        });
+    }
+    
+    geocodingService.warmCache({ limit }).catch(error => {
+        logger.error('Geocode cache warm-up failed:', error);
+    });
+    
+    res.status(202).json({
+        success: true,
+        message: 'Geocode cache warm-up started'
+    });
+}));
+
+// List every tenant's sync schedules with the scheduler state
+router.get('/schedules', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const schedules = await syncScheduleManager.getAllSchedules();
+    
+    res.json({
+        success: true,
+        data: {
+            schedules: schedules.map(schedule => ({ ...schedule, isRunning: jobScheduler.isRunning(schedule.id) })),
+            status: jobScheduler.getStatus(),
+            providerSync: providerSync.getStats()
+        }
+    });
+}));
+
+// Job run history across tenants, filterable by tenantId, scheduleId, providerId, jobType, status, from and to
+router.get('/schedules/runs', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const filterNames = ['tenantId', 'scheduleId', 'providerId', 'jobType', 'status', 'from', 'to', 'limit', 'offset', 'page'];
+    const filters = Object.fromEntries(filterNames.filter(name => req.query[name] !== undefined).map(name => [name, req.query[name]]));
+    
+    if ((filters.from && isNaN(Date.parse(filters.from))) || (filters.to && isNaN(Date.parse(filters.to)))) {
+        return res.status(400).json({
+            success: false,
+            error: 'from and to must be ISO timestamps'
+        });
+    }
+    
+    const result = await syncScheduleManager.getRuns(filters);
+    
+    res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+    });
+}));
+
+// List database snapshots with schedule and retention settings
+router.get('/backups', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            backups: backupService.listBackups(),
+            status: backupService.getStatus()
+        }
+    });
+}));
+
+// Take a database snapshot now
+router.post('/backups', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const note = req.body?.note;
+    
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Note must be a string of at most 200 characters'
+        });
+    }
+    
+    if (backupService.isBusy()) {
+        return res.status(409).json({
+            success: false,
+            error: 'A database backup or restore is already running'
+        });
+    }
+    
+    logger.info('Admin creating database backup', { adminEmail: req.user.email });
+    const backup = await backupService.createBackup({ trigger: 'manual', note: note || null });
+    
+    res.status(201).json({
+        success: true,
+        data: backup
+    });
+}));
+
+// Download a database snapshot
+router.get('/backups/:backupId/download', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const backup = backupService.getBackup(req.params.backupId);
+    
+    if (!backup) {
+        return res.status(404).json({
+            success: false,
+            error: 'Backup not found'
+        });
+    }
+    
+    logger.info('Admin downloading database backup', { backupId: backup.id, adminEmail: req.user.email });
+    res.set('X-Backup-SHA256', backup.sha256);
+    res.download(backupService.getBackupPath(backup.id), `${backup.id}.db`);
+}));
+
+// Check a snapshot against its recorded checksum and SQLite's integrity check
+router.post('/backups/:backupId/verify', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    if (!backupService.getBackup(req.params.backupId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Backup not found'
+        });
+    }
+    
+    const verification = await backupService.verifyBackup(req.params.backupId);
+    
+    res.json({
+        success: true,
+        data: verification
+    });
+}));
+
+// Restore the database from a snapshot. The current state is snapshotted first.
+// Requires { confirm: <backupId> } in the body
+router.post('/backups/:backupId/restore', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
+    const { backupId } = req.params;
+    
+    if (!backupService.getBackup(backupId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Backup not found'
+        });
+    }
+    
+    if (req.body?.confirm !== backupId) {
+        return res.status(400).json({
+            success: false,
+            error: 'Confirm the restore by sending the backup ID as "confirm"'
+        });
+    }
+    
+    if (backupService.isBusy()) {
+        return res.status(409).json({
+            success: false,
+            error: 'A database backup or restore is already running'
+        });
+    }
+    
+    logger.warn('Admin restoring database backup', { backupId, adminEmail: req.user.email });
+    
+    try {
+        const result = await backupService.restoreBackup(backupId);
+        
+        res.json({
+            success: true,
+            message: `Database restored from ${backupId}`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Database restore failed', { backupId, error: error.message });
+        res.status(500).json({
+            success: false,
+            error: `Failed to restore backup: ${error.message}`
+        });
+    }
+}));
+
 // Clear cache for a specific tenant
 router.post('/clear-cache/:tenantId', adminRateLimiter, authenticateToken, requireSuperAdmin, asyncHandler(async (req, res) => {
     const { tenantId } = req.params;
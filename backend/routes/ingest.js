@@ -0,0 +1,104 @@
+const express = require('express');
+const { gpsProviderManager } = require('../database/database-manager');
+const { asyncHandler } = require('../middleware/error-handling');
+const { createRateLimiter } = require('../middleware/rate-limit');
+const providerRegistry = require('../services/gps-providers');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Requests are counted per client IP until their signature is checked, so unsigned requests cannot use up
+// a provider's limit. The IP limit is looser, since several providers may push from behind one NAT.
+const clientRateLimiter = createRateLimiter({
+    windowMs: 60 * 1000,
+    max: 600,
+    message: 'Too many ingestion requests, please slow down'
+});
+
+// Devices and middleware may batch, but a single provider should not flood us. Counted per provider once
+// the signature is verified, so one provider pushing from many IPs is still limited.
+const providerRateLimiter = createRateLimiter({
+    windowMs: 60 * 1000,
+    max: 120,
+    message: 'Too many ingestion requests, please slow down',
+    keyGenerator: (req) => `provider:${req.params.providerId}`
+});
+
+/**
+ * Check a push request comes from an active push provider with a valid HMAC signature, and attach the
+ * provider and its service to the request
+ */
+const verifyPushRequest = asyncHandler(async (req, res, next) => {
+    const { providerId } = req.params;
+
+    const provider = await gpsProviderManager.getProviderById(providerId);
+    const providerService = provider && providerRegistry.isRegistered(provider.type)
+        ? providerRegistry.getProvider(provider.type)
+        : null;
+
+    // Same response for unknown and non-push providers to avoid leaking provider IDs
+    if (!providerService || !providerService.constructor.pushOnly || provider.is_active === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'Ingestion endpoint not found'
+        });
+    }
+
+    const credentials = await gpsProviderManager.getProviderCredentials(providerId);
+    const verification = providerService.verifySignature(
+        credentials?.signingSecret,
+        req.get('X-Fleet-Timestamp'),
+        req.rawBody,
+        req.get('X-Fleet-Signature')
+    );
+
+    if (!verification.valid) {
+        logger.warn('Rejected push ingestion request', { providerId, reason: verification.error, ip: req.ip });
+        return res.status(401).json({
+            success: false,
+            error: verification.error
+        });
+    }
+
+    req.pushProvider = { provider, providerService };
+    next();
+});
+
+// Receive positions pushed to a generic push provider
+// Authenticated by the provider's HMAC signature instead of a user token - see
+// services/gps-providers/generic-push-service.js for the request format.
+router.post('/:providerId', clientRateLimiter, verifyPushRequest, providerRateLimiter, asyncHandler(async (req, res) => {
+    const { providerId } = req.params;
+    const { provider, providerService } = req.pushProvider;
+
+    const { error } = providerService.constructor.payloadSchema.validate(req.body, { allowUnknown: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid payload',
+            details: error.details.map(d => d.message)
+        });
+    }
+
+    const { trailers, rejected } = providerService.processTrailerData(req.body.positions);
+
+    const RefreshService = require('../services/auto-refresh');
+    const result = trailers.length > 0
+        ? await RefreshService.ingestPushedPositions(provider, trailers)
+        : { created: 0, updated: 0, skipped: 0 };
+
+    logger.info('Push ingestion processed', { providerId, accepted: trailers.length, rejected: rejected.length, ...result });
+
+    res.status(202).json({
+        success: true,
+        data: {
+            accepted: trailers.length,
+            created: result.created,
+            updated: result.updated,
+            skipped: result.skipped,
+            rejected
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const Joi = require('joi');
+const { validateTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { asyncHandler } = require('../middleware/error-handling');
+const { locationRulesManager, gpsProviderManager } = require('../database/database-manager');
+
+const router = require('express').Router();
+
+// 0 turns the manual expiry and distance checks off
+const locationRulesSchema = Joi.object({
+    manualExpiryHours: Joi.number().integer().min(0).max(24 * 365).required(),
+    gpsOverrideMiles: Joi.number().min(0).max(1000).required(),
+    providerPriority: Joi.array().items(Joi.string()).unique().required(),
+    priorityFallbackMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).required()
+});
+
+// Get the tenant's location precedence rules
+router.get('/', validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        const rules = await locationRulesManager.getRules(req.user.tenantId);
+
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error fetching location rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch location rules'
+        });
+    }
+}));
+
+// Replace the tenant's location precedence rules
+router.put('/', validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = locationRulesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        for (const providerId of value.providerPriority) {
+            const provider = await gpsProviderManager.getProviderById(providerId);
+            if (!provider || provider.tenant_id !== req.user.tenantId) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Provider ${providerId} not found`
+                });
+            }
+        }
+
+        const rules = await locationRulesManager.saveRules(req.user.tenantId, value, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Location rules saved',
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error saving location rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save location rules'
+        });
+    }
+}));
+
+module.exports = router;
@@ -1,16 +1,67 @@
 const express = require('express');
+const Joi = require('joi');
 const { authenticateToken, validateTenant } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { 
     maintenanceManager, 
     companyManager, 
     trailerManager, 
-    maintenancePreferencesManager 
+    maintenancePreferencesManager,
+    inspectionTypeManager,
+    pmScheduleManager
 } = require('../database/database-manager');
 const MaintenanceService = require('../services/maintenance');
+const { TRAILER_TYPES, UNSCHEDULED_INSPECTION_TYPES, PM_METERS } = require('../utils/constants');
 
 const router = express.Router();
 
+// Intervals and thresholds in days; no trailer types applies the type to every trailer
+const inspectionTypeFields = {
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(500).allow(null, ''),
+    intervalDays: Joi.number().integer().min(1).max(3650).required(),
+    alertThresholdDays: Joi.number().integer().min(0).max(365).required(),
+    trailerTypes: Joi.array().items(Joi.string().valid(...TRAILER_TYPES)).unique().allow(null),
+    isActive: Joi.boolean().default(true)
+};
+
+const createInspectionTypeSchema = Joi.object({
+    code: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]*$/).max(50)
+        .invalid(...UNSCHEDULED_INSPECTION_TYPES).required()
+        .messages({ 'string.pattern.base': 'Code may only contain lowercase letters, digits and underscores' }),
+    ...inspectionTypeFields
+});
+
+const updateInspectionTypeSchema = Joi.object(inspectionTypeFields);
+
+// Intervals and thresholds in the schedule's meter, miles or engine hours
+const pmScheduleFields = {
+    name: Joi.string().trim().min(1).max(100).required(),
+    intervalValue: Joi.number().positive().max(1000000).required(),
+    dueSoonThreshold: Joi.number().min(0).max(1000000).required(),
+    tasks: Joi.array().items(Joi.string().trim().min(1).max(200)).max(50).default([]),
+    trailerTypes: Joi.array().items(Joi.string().valid(...TRAILER_TYPES)).unique().allow(null),
+    isActive: Joi.boolean().default(true)
+};
+
+const createPmScheduleSchema = Joi.object({
+    code: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]*$/).max(50).required()
+        .messages({ 'string.pattern.base': 'Code may only contain lowercase letters, digits and underscores' }),
+    meter: Joi.string().valid(...Object.values(PM_METERS)).required(),
+    ...pmScheduleFields
+});
+
+const updatePmScheduleSchema = Joi.object(pmScheduleFields);
+
+// Meter reading defaults to the trailer's current reading; tasks default to the schedule's tasks
+const pmServiceSchema = Joi.object({
+    scheduleId: Joi.string().required(),
+    meterReading: Joi.number().min(0).allow(null),
+    performedAt: Joi.date().iso().max('now').allow(null),
+    tasks: Joi.array().items(Joi.string().trim().min(1).max(200)).max(50).allow(null),
+    notes: Joi.string().trim().max(1000).allow(null, '')
+});
+
 // ============================================================================
 // INSPECTION MANAGEMENT
 // ============================================================================
@@ -114,8 +165,9 @@ router.post('/inspections', authenticateToken, validateTenant, requirePermission
             });
         }
         
-        // Validate inspection type
-        const validTypes = ['annual', 'midtrip', 'pre_trip', 'post_trip'];
+        // Validate inspection type against the tenant's catalog
+        const inspectionTypes = await inspectionTypeManager.getTypes(req.user.tenantId);
+        const validTypes = [...inspectionTypes.map(type => type.code), ...UNSCHEDULED_INSPECTION_TYPES];
         if (!validTypes.includes(inspectionData.inspection_type)) {
             return res.status(400).json({
                 success: false,
@@ -132,6 +184,9 @@ router.post('/inspections', authenticateToken, validateTenant, requirePermission
             }
         );
         
+        // Resolve the alert the inspection clears
+        await MaintenanceService.refreshTrailerAlerts(inspectionData.trailer_id, req.user.tenantId);
+        
         res.json({
             success: true,
             message: 'Inspection created successfully',
@@ -163,6 +218,7 @@ router.put('/inspections/:id', authenticateToken, validateTenant, requirePermiss
         
         // Update the inspection
         await maintenanceManager.updateInspection(id, updates);
+        await MaintenanceService.refreshTrailerAlerts(existingInspection.trailer_id, req.user.tenantId);
         
         res.json({
             success: true,
@@ -193,6 +249,7 @@ router.delete('/inspections/:id', authenticateToken, validateTenant, requirePerm
         
         // Delete the inspection
         await maintenanceManager.deleteInspection(id);
+        await MaintenanceService.refreshTrailerAlerts(existingInspection.trailer_id, req.user.tenantId);
         
         res.json({
             success: true,
@@ -438,25 +495,13 @@ router.post('/check-alerts', authenticateToken, validateTenant, async (req, res)
             });
         }
         
-        // Get all trailers for the company
-        const trailers = await trailerManager.getAllTrailersForCompany(targetCompanyId, { limit: 100 });
-        let totalAlerts = 0;
-        
-        // Check maintenance for each trailer
-        for (const trailer of trailers) {
-            try {
-                const alertCount = await maintenanceManager.checkAndCreateAlerts(trailer.id);
-                totalAlerts += alertCount || 0;
-            } catch (error) {
-                console.error(`Error checking maintenance for trailer ${trailer.id}:`, error);
-            }
-        }
+        const result = await MaintenanceService.checkTenantAlerts(req.user.tenantId, { companyId: targetCompanyId });
         
         res.json({
             success: true,
-            message: `Maintenance alert check completed. Created ${totalAlerts} new alerts.`,
-            totalAlerts,
-            trailersChecked: trailers.length
+            message: `Maintenance alert check completed. Created ${result.alertsCreated} new alerts and resolved ${result.alertsResolved}.`,
+            totalAlerts: result.alertsCreated,
+            ...result
         });
     } catch (error) {
         console.error('Error checking maintenance alerts:', error);
@@ -472,21 +517,20 @@ router.post('/check-trailer-alerts/:trailerId', authenticateToken, validateTenan
     try {
         const { trailerId } = req.params;
         
-        if (!trailerId) {
-            return res.status(400).json({
+        const result = await MaintenanceService.checkTenantAlerts(req.user.tenantId, { trailerId });
+        if (result.trailersChecked === 0) {
+            return res.status(404).json({
                 success: false,
-                error: 'Trailer ID is required'
+                error: 'Trailer not found or access denied'
             });
         }
         
-        // Check and create maintenance alerts for the specific trailer
-        const alertCount = await maintenanceManager.checkAndCreateAlerts(trailerId);
-        
         res.json({
             success: true,
-            message: `Maintenance alert check completed for trailer ${trailerId}. Created ${alertCount || 0} new alerts.`,
-            totalAlerts: alertCount || 0,
-            trailerId
+            message: `Maintenance alert check completed for trailer ${trailerId}. Created ${result.alertsCreated} new alerts and resolved ${result.alertsResolved}.`,
+            totalAlerts: result.alertsCreated,
+            trailerId,
+            ...result
         });
     } catch (error) {
         console.error('Error checking maintenance alerts for trailer:', error);
@@ -831,6 +875,7 @@ router.post('/preferences', authenticateToken, validateTenant, async (req, res)
         }
         
         const result = await maintenancePreferencesManager.savePreferences(tenant_id, preferences);
+        await inspectionTypeManager.syncBuiltInTypes(tenant_id, preferences);
         
         res.json({
             success: true,
@@ -917,6 +962,7 @@ router.put('/preferences', authenticateToken, validateTenant, requirePermission(
         }
         
         const result = await maintenancePreferencesManager.savePreferences(tenant_id, dbPreferences);
+        await inspectionTypeManager.syncBuiltInTypes(tenant_id, dbPreferences);
         
         res.json({
             success: true,
@@ -951,6 +997,7 @@ router.put('/trailers/:trailerId/maintenance-dates', authenticateToken, validate
             updateData, 
             tenant_id
         );
+        await MaintenanceService.refreshTrailerAlerts(trailerId, tenant_id);
         
         res.json({
             success: true,
@@ -1051,4 +1098,414 @@ router.get('/trailers/:trailerId/history', authenticateToken, validateTenant, as
     }
 });
 
+// ============================================================================
+// INSPECTION TYPE CATALOG
+// ============================================================================
+
+// Get the tenant's inspection types
+router.get('/inspection-types', authenticateToken, validateTenant, requirePermission('maintenance_settings_view'), async (req, res) => {
+    try {
+        const inspectionTypes = await inspectionTypeManager.getTypes(req.user.tenantId, {
+            activeOnly: req.query.activeOnly === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: inspectionTypes
+        });
+    } catch (error) {
+        console.error('Error fetching inspection types:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch inspection types: ' + error.message
+        });
+    }
+});
+
+// Add an inspection type to the catalog
+router.post('/inspection-types', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const { error, value } = createInspectionTypeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        await inspectionTypeManager.ensureBuiltInTypes(req.user.tenantId);
+        if (await inspectionTypeManager.getTypeByCode(req.user.tenantId, value.code)) {
+            return res.status(409).json({
+                success: false,
+                error: `An inspection type with code '${value.code}' already exists`
+            });
+        }
+
+        const inspectionType = await inspectionTypeManager.createType(req.user.tenantId, value);
+
+        res.status(201).json({
+            success: true,
+            message: 'Inspection type created successfully',
+            data: inspectionType
+        });
+    } catch (error) {
+        console.error('Error creating inspection type:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create inspection type: ' + error.message
+        });
+    }
+});
+
+// Update an inspection type; a built-in type's interval and threshold are saved to the maintenance preferences too
+router.put('/inspection-types/:id', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const { error, value } = updateInspectionTypeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const existing = await inspectionTypeManager.getType(req.params.id, req.user.tenantId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Inspection type not found'
+            });
+        }
+
+        const inspectionType = await inspectionTypeManager.updateType(req.params.id, req.user.tenantId, value);
+
+        if (existing.isBuiltIn) {
+            const preferences = await maintenancePreferencesManager.getPreferences(req.user.tenantId);
+            await maintenancePreferencesManager.savePreferences(req.user.tenantId, {
+                ...preferences,
+                [`${existing.code}_inspection_interval`]: value.intervalDays,
+                [`${existing.code}_alert_threshold`]: value.alertThresholdDays
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Inspection type updated successfully',
+            data: inspectionType
+        });
+    } catch (error) {
+        console.error('Error updating inspection type:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update inspection type: ' + error.message
+        });
+    }
+});
+
+// Delete an inspection type; built-in types can only be deactivated
+router.delete('/inspection-types/:id', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const existing = await inspectionTypeManager.getType(req.params.id, req.user.tenantId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Inspection type not found'
+            });
+        }
+
+        if (existing.isBuiltIn) {
+            return res.status(400).json({
+                success: false,
+                error: 'Built-in inspection types can be deactivated but not deleted'
+            });
+        }
+
+        await inspectionTypeManager.deleteType(req.params.id, req.user.tenantId);
+
+        res.json({
+            success: true,
+            message: 'Inspection type deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting inspection type:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete inspection type: ' + error.message
+        });
+    }
+});
+
+// Get when a trailer is next due for each inspection type that applies to it
+router.get('/trailers/:trailerId/inspections-due', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const trailer = await trailerManager.getTrailerById(req.params.trailerId);
+        if (!trailer || trailer.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const inspectionsDue = await MaintenanceService.getTrailerInspectionsDue(trailer, req.user.tenantId);
+
+        res.json({
+            success: true,
+            data: inspectionsDue
+        });
+    } catch (error) {
+        console.error('Error fetching trailer inspections due:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch inspections due: ' + error.message
+        });
+    }
+});
+
+// Get a trailer's open alerts, oldest first, with the work order each is linked to
+router.get('/trailers/:trailerId/alerts', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const trailer = await trailerManager.getTrailerById(req.params.trailerId);
+        if (!trailer || trailer.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const alerts = await maintenanceManager.getOpenTrailerAlerts(req.user.tenantId, { trailerId: trailer.id });
+
+        res.json({
+            success: true,
+            data: alerts
+        });
+    } catch (error) {
+        console.error('Error fetching trailer alerts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trailer alerts: ' + error.message
+        });
+    }
+});
+
+// ============================================================================
+// PREVENTIVE MAINTENANCE SCHEDULES
+// ============================================================================
+
+// Get the tenant's PM schedules
+router.get('/pm-schedules', authenticateToken, validateTenant, requirePermission('maintenance_settings_view'), async (req, res) => {
+    try {
+        const schedules = await pmScheduleManager.getSchedules(req.user.tenantId, {
+            activeOnly: req.query.activeOnly === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: schedules
+        });
+    } catch (error) {
+        console.error('Error fetching PM schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch PM schedules: ' + error.message
+        });
+    }
+});
+
+// Add a PM schedule
+router.post('/pm-schedules', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const { error, value } = createPmScheduleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (await pmScheduleManager.getScheduleByCode(req.user.tenantId, value.code)) {
+            return res.status(409).json({
+                success: false,
+                error: `A PM schedule with code '${value.code}' already exists`
+            });
+        }
+
+        const schedule = await pmScheduleManager.createSchedule(req.user.tenantId, value);
+
+        res.status(201).json({
+            success: true,
+            message: 'PM schedule created successfully',
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error creating PM schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create PM schedule: ' + error.message
+        });
+    }
+});
+
+// Update a PM schedule; its code and meter stay as created
+router.put('/pm-schedules/:id', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const { error, value } = updatePmScheduleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const schedule = await pmScheduleManager.updateSchedule(req.params.id, req.user.tenantId, value);
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                error: 'PM schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'PM schedule updated successfully',
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error updating PM schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update PM schedule: ' + error.message
+        });
+    }
+});
+
+// Delete a PM schedule and the services recorded against it
+router.delete('/pm-schedules/:id', authenticateToken, validateTenant, requirePermission('maintenance_settings_edit'), async (req, res) => {
+    try {
+        const deleted = await pmScheduleManager.deleteSchedule(req.params.id, req.user.tenantId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'PM schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'PM schedule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting PM schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete PM schedule: ' + error.message
+        });
+    }
+});
+
+// Get a trailer's meters and where it stands on each PM schedule that applies to it
+router.get('/trailers/:trailerId/pm-due', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const trailer = await trailerManager.getTrailerById(req.params.trailerId);
+        if (!trailer || trailer.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const pmDue = await MaintenanceService.getTrailerPmDue(trailer, req.user.tenantId);
+
+        res.json({
+            success: true,
+            meters: MaintenanceService.getTrailerMeters(trailer),
+            data: pmDue
+        });
+    } catch (error) {
+        console.error('Error fetching trailer PM due:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch PM due: ' + error.message
+        });
+    }
+});
+
+// Get the PM services recorded on a trailer, newest first
+router.get('/trailers/:trailerId/pm-services', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const trailer = await trailerManager.getTrailerById(req.params.trailerId);
+        if (!trailer || trailer.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const services = await pmScheduleManager.getServiceRecords(trailer.id, { scheduleId: req.query.scheduleId });
+
+        res.json({
+            success: true,
+            data: services
+        });
+    } catch (error) {
+        console.error('Error fetching PM services:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch PM services: ' + error.message
+        });
+    }
+});
+
+// Record a PM service on a trailer, restarting the schedule's interval from its meter reading
+router.post('/trailers/:trailerId/pm-services', authenticateToken, validateTenant, requirePermission('fleet_edit'), async (req, res) => {
+    try {
+        const { error, value } = pmServiceSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const trailer = await trailerManager.getTrailerById(req.params.trailerId);
+        if (!trailer || trailer.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const schedule = await pmScheduleManager.getSchedule(value.scheduleId, req.user.tenantId);
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                error: 'PM schedule not found'
+            });
+        }
+
+        if ((value.meterReading ?? null) === null && MaintenanceService.getPmMeterReading(schedule, trailer) === null) {
+            return res.status(400).json({
+                success: false,
+                error: `The trailer has no ${schedule.meter === PM_METERS.ENGINE_HOURS ? 'engine hours' : 'mileage'} reading yet, enter the meter reading`
+            });
+        }
+
+        const service = await MaintenanceService.recordPmService(trailer, schedule, req.user.tenantId, {
+            ...value,
+            performedAt: value.performedAt ? value.performedAt.toISOString() : null,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'PM service recorded successfully',
+            data: service
+        });
+    } catch (error) {
+        console.error('Error recording PM service:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record PM service: ' + error.message
+        });
+    }
+});
+
 module.exports = router; 
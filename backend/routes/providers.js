@@ -1,9 +1,13 @@
 const express = require('express');
 const { authenticateToken, validateTenant } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
-const { gpsProviderManager, companyManager } = require('../database/database-manager');
+const { gpsProviderManager, companyManager, providerHealthManager } = require('../database/database-manager');
 const Joi = require('joi');
 const { testGPSProviderConnection } = require('../services/gps-testing');
+const providerRegistry = require('../services/gps-providers');
+const providerSync = require('../services/provider-sync');
+const providerHealth = require('../services/provider-health');
+const trailerReconciliation = require('../services/trailer-reconciliation');
 const { asyncHandler } = require('../middleware/error-handling');
 const logger = require('../utils/logger');
 
@@ -12,6 +16,43 @@ const { isAssetActive } = require('../services/gps-testing');
 
 const router = express.Router();
 
+// Trailer reconciliation thresholds - null falls back to the default, archiveAfterDays 0 never archives
+const reconciliationSchema = {
+    staleAfterHours: Joi.number().integer().min(1).max(720).allow(null),
+    disconnectAfterHours: Joi.number().integer().min(1).max(8760).allow(null),
+    archiveAfterDays: Joi.number().integer().min(0).max(3650).allow(null)
+};
+
+/**
+ * Map reconciliation thresholds from a request body to provider columns, leaving out absent ones
+ * @param {Object} body - Request body
+ * @returns {Object} { stale_after_hours, disconnect_after_hours, archive_after_days }
+ */
+function getThresholdColumns({ staleAfterHours, disconnectAfterHours, archiveAfterDays }) {
+    const columns = {
+        stale_after_hours: staleAfterHours,
+        disconnect_after_hours: disconnectAfterHours,
+        archive_after_days: archiveAfterDays
+    };
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Check that a provider's effective thresholds escalate stale -> disconnected -> archived
+ * @param {Object} provider - Provider columns after the change
+ * @returns {string|null} Error message
+ */
+function getThresholdError(provider) {
+    const { staleAfterHours, disconnectAfterHours, archiveAfterDays } = trailerReconciliation.getThresholds(provider);
+    if (staleAfterHours >= disconnectAfterHours) {
+        return 'The stale threshold must be shorter than the disconnect threshold';
+    }
+    if (archiveAfterDays > 0 && archiveAfterDays * 24 <= disconnectAfterHours) {
+        return 'The archive threshold must be longer than the disconnect threshold';
+    }
+    return null;
+}
+
 // Get all GPS providers for the tenant
 router.get('/', authenticateToken, validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
     try {       
@@ -51,6 +92,14 @@ router.get('/', authenticateToken, validateTenant, requirePermission('providers_
     }
 }));
 
+// Get registered GPS provider types and their credential fields
+router.get('/types', authenticateToken, validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: providerRegistry.describeProviders()
+    });
+}));
+
 // Get all GPS providers for a company
 router.get('/:companyId', authenticateToken, validateTenant, requirePermission('org_view'), asyncHandler(async (req, res) => {
     try {
@@ -86,40 +135,24 @@ router.post('/:companyId', authenticateToken, validateTenant, requirePermission(
         // Validate provider payload and credentials by type
         const baseSchema = Joi.object({
             name: Joi.string().min(2).max(100).required(),
-            type: Joi.string().valid('samsara','skybitz','spireon').required(),
+            type: Joi.string().lowercase().valid(...providerRegistry.getRegisteredTypes()).required(),
             description: Joi.string().allow('', null),
-            credentials: Joi.object().required()
+            credentials: Joi.object().required(),
+            ...reconciliationSchema
         });
         const { error: baseErr } = baseSchema.validate(req.body, { abortEarly: false });
         if (baseErr) {
             return res.status(400).json({ success: false, error: 'Validation failed', details: baseErr.details.map(d => d.message) });
         }
 
-        const type = req.body.type.toLowerCase();
-        let credSchema;
-        if (type === 'samsara') {
-            credSchema = Joi.object({
-                apiToken: Joi.string().min(10).required(),
-                apiUrl: Joi.string().uri().required(),
-                providerName: Joi.string().allow('', null)
-            });
-        } else if (type === 'skybitz') {
-            credSchema = Joi.object({
-                username: Joi.string().required(),
-                password: Joi.string().required(),
-                baseURL: Joi.string().uri().optional(),
-                providerName: Joi.string().allow('', null)
-            });
-        } else if (type === 'spireon') {
-            credSchema = Joi.object({
-                apiKey: Joi.string().required(),
-                username: Joi.string().required(),
-                password: Joi.string().required(),
-                nspireId: Joi.alternatives(Joi.string(), Joi.number()).required(),
-                baseURL: Joi.string().uri().optional(),
-                providerName: Joi.string().allow('', null)
-            });
+        const thresholds = getThresholdColumns(req.body);
+        const thresholdError = getThresholdError(thresholds);
+        if (thresholdError) {
+            return res.status(400).json({ success: false, error: thresholdError });
         }
+
+        const type = req.body.type.toLowerCase();
+        const credSchema = providerRegistry.getProvider(type).constructor.credentialSchema;
         const { error: credErr } = credSchema.validate(req.body.credentials, { abortEarly: false });
         if (credErr) {
             return res.status(400).json({ success: false, error: 'Invalid credentials', details: credErr.details.map(d => d.message) });
@@ -149,7 +182,7 @@ router.post('/:companyId', authenticateToken, validateTenant, requirePermission(
             });
         }
         
-        const result = await gpsProviderManager.addProvider(companyId, { ...req.body, tenant_id: req.user.tenantId });
+        const result = await gpsProviderManager.addProvider(companyId, { ...req.body, ...thresholds, type, tenant_id: req.user.tenantId });
         
         // Get the newly created provider to return
         const newProvider = await gpsProviderManager.getProviderById(result.id);
@@ -201,8 +234,28 @@ router.put('/:id', authenticateToken, validateTenant, requirePermission('org_edi
             logger.warn('No credentials provided for update, skipping credential update');
         }
 
+        const { error: thresholdSchemaError } = Joi.object(reconciliationSchema).unknown(true).validate(req.body);
+        if (thresholdSchemaError) {
+            return res.status(400).json({
+                success: false,
+                error: thresholdSchemaError.details[0].message
+            });
+        }
+
+        const thresholds = getThresholdColumns(req.body);
+        if (Object.keys(thresholds).length > 0) {
+            const existingProvider = await gpsProviderManager.getProviderById(id);
+            const thresholdError = getThresholdError({ ...existingProvider, ...thresholds });
+            if (thresholdError) {
+                return res.status(400).json({
+                    success: false,
+                    error: thresholdError
+                });
+            }
+        }
+
         const result = await gpsProviderManager.updateProvider(id, req.user.id, {
-            name: name.trim(), type, credentials
+            name: name.trim(), type, credentials, ...thresholds
         });
 
         if (result.changes === 0) {
@@ -212,6 +265,9 @@ router.put('/:id', authenticateToken, validateTenant, requirePermission('org_edi
             });
         }
 
+        // New credentials get a fresh attempt instead of waiting out a failure backoff or an open circuit
+        providerSync.reset(id);
+        await providerHealth.resetCircuit(id);
         logger.info('GPS provider updated', { name, userEmail: req.user.email });
 
         res.json({
@@ -264,6 +320,83 @@ router.delete('/:id', authenticateToken, validateTenant, requirePermission('org_
     }
 }));
 
+// Get ingestion endpoint and signing secret for a push provider
+router.get('/:id/push-config', authenticateToken, validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    const provider = await gpsProviderManager.getProviderForUser(req.params.id, req.user.id);
+    
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            error: 'GPS provider not found'
+        });
+    }
+
+    if (!providerRegistry.isRegistered(provider.type) || !providerRegistry.getProvider(provider.type).constructor.pushOnly) {
+        return res.status(400).json({
+            success: false,
+            error: 'Provider does not accept pushed data'
+        });
+    }
+
+    const credentials = await gpsProviderManager.getProviderCredentials(provider.id);
+    
+    res.json({
+        success: true,
+        data: {
+            endpoint: `/api/ingest/${provider.id}`,
+            signingSecret: credentials?.signingSecret || null,
+            timestampHeader: 'X-Fleet-Timestamp',
+            signatureHeader: 'X-Fleet-Signature'
+        }
+    });
+}));
+
+// Get a provider's health: current state, metrics over the last day, hourly timeline and recent fetches
+router.get('/:id/health', authenticateToken, validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const state = await providerHealthManager.getHealthState(id);
+
+        if (!state || state.tenantId !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'GPS provider not found'
+            });
+        }
+
+        const [metrics, timeline, checks, circuit] = await Promise.all([
+            providerHealthManager.getMetrics(id),
+            providerHealthManager.getTimeline(id),
+            providerHealthManager.getChecks(id, req.query.limit ? { limit: req.query.limit } : {}),
+            providerHealth.getCircuit(id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                providerId: id,
+                name: state.name,
+                healthStatus: state.healthStatus,
+                consecutiveFailures: state.consecutiveFailures,
+                consecutiveAuthFailures: state.consecutiveAuthFailures,
+                lastSuccessAt: state.lastSuccessAt,
+                lastFailureAt: state.lastFailureAt,
+                lastError: state.errorMessage,
+                circuit: { state: state.circuitState, openedAt: state.circuitOpenedAt, ...circuit },
+                metrics,
+                timeline,
+                recentChecks: checks.data
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching provider health', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch provider health'
+        });
+    }
+}));
+
 // Test GPS provider connection
 router.post('/:id/test', authenticateToken, validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
     try {
@@ -282,6 +415,7 @@ router.post('/:id/test', authenticateToken, validateTenant, requirePermission('o
 
         // Test connection based on provider type
         let testResult = { success: false, error: 'Unknown provider type', trailerCount: 0 };
+        const testStartTime = Date.now();
         
         try {
             logger.debug('Provider data from database', { 
@@ -314,6 +448,14 @@ router.post('/:id/test', authenticateToken, validateTenant, requirePermission('o
         const trailerCount = testResult.success ? testResult.trailerCount : null;
         
         await gpsProviderManager.updateProviderStatus(id, newStatus, errorMessage, trailerCount);
+
+        // A successful test closes the circuit breaker
+        const healthCheck = { triggerType: 'test', latencyMs: Date.now() - testStartTime };
+        if (testResult.success) {
+            await providerHealth.recordSuccess(provider, { ...healthCheck, recordsCount: trailerCount });
+        } else {
+            await providerHealth.recordFailure(provider, new Error(errorMessage || 'Connection test failed'), healthCheck);
+        }
         
         logger.info('Provider test result', { 
         providerName: provider.name, 
@@ -385,7 +527,7 @@ router.post('/:id/sync', authenticateToken, validateTenant, asyncHandler(async (
         const syncResult = await RefreshService.syncProvider(id, {
             ...provider,
             credentials: credentials
-        });
+        }, { triggerType: 'manual', userId: req.user.id });
 
         if (!syncResult.success) {
             return res.status(400).json({
@@ -475,7 +617,8 @@ router.post('/:id/sync', authenticateToken, validateTenant, asyncHandler(async (
                             last_sync: new Date().toISOString(),
                             gps_status: mappedGpsStatus,
                             gps_enabled: true,
-                            status: 'available'
+                            status: 'available',
+                            provider_id: id
                         };
                         
                         const updateResult = await trailerManager.updateTrailer(existingTrailer.id, updateData);
@@ -533,7 +676,8 @@ router.post('/:id/sync', authenticateToken, validateTenant, asyncHandler(async (
             data: {
                 createdCount: createdCount,
                 updatedCount: updatedCount,
-                activeAssets: activeAssets
+                activeAssets: activeAssets,
+                reconciliation: syncResult.reconciliation || null
             }
         });
     } catch (error) {
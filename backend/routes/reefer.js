@@ -0,0 +1,226 @@
+const Joi = require('joi');
+const { validateTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { asyncHandler } = require('../middleware/error-handling');
+const { reeferExcursionManager, telemetryManager, trailerManager } = require('../database/database-manager');
+const { REEFER_EXCURSION, REEFER_EXCURSION_STATUS } = require('../utils/constants');
+
+const router = require('express').Router();
+
+// Temperatures in °C; a load range needs its time window
+const rangeSchema = Joi.object({
+    trailerId: Joi.string().required(),
+    loadReference: Joi.string().trim().max(100).allow(null, ''),
+    metric: Joi.string().valid(...REEFER_EXCURSION.METRICS).default(REEFER_EXCURSION.METRICS[0]),
+    minTempC: Joi.number().min(-50).max(50).required(),
+    maxTempC: Joi.number().min(-50).max(50).greater(Joi.ref('minTempC')).required(),
+    alertAfterMinutes: Joi.number().integer().min(0).max(24 * 60).default(REEFER_EXCURSION.DEFAULT_ALERT_AFTER_MINUTES),
+    startsAt: Joi.date().iso().allow(null).when('loadReference', { is: Joi.string().min(1).required(), then: Joi.required() }),
+    endsAt: Joi.date().iso().allow(null).when('startsAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('startsAt')) })
+});
+
+const rangesQuerySchema = Joi.object({
+    trailerId: Joi.string()
+});
+
+const excursionsQuerySchema = Joi.object({
+    trailerId: Joi.string(),
+    status: Joi.string().valid(...Object.values(REEFER_EXCURSION_STATUS)),
+    alertedOnly: Joi.boolean(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
+/**
+ * Validate a range body and check its trailer belongs to the tenant
+ * @returns {Promise<Object>} { value } or { status, error } for the response
+ */
+const validateRange = async (body, tenantId) => {
+    const { error, value } = rangeSchema.validate(body);
+    if (error) {
+        return { status: 400, error: error.details[0].message };
+    }
+
+    const trailer = await trailerManager.getTrailerById(value.trailerId);
+    if (!trailer || trailer.tenantId !== tenantId) {
+        return { status: 400, error: 'Trailer not found' };
+    }
+
+    return { value };
+};
+
+// Get the tenant's reefer temperature ranges
+router.get('/ranges', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = rangesQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const ranges = await reeferExcursionManager.getRanges(req.user.tenantId, value);
+
+        res.json({
+            success: true,
+            data: ranges
+        });
+    } catch (error) {
+        console.error('Error fetching reefer ranges:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reefer ranges'
+        });
+    }
+}));
+
+// Create a temperature range for a trailer or a load
+router.post('/ranges', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const validation = await validateRange(req.body, req.user.tenantId);
+        if (validation.error) {
+            return res.status(validation.status).json({
+                success: false,
+                error: validation.error
+            });
+        }
+
+        const range = await reeferExcursionManager.createRange(req.user.tenantId, validation.value, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Reefer range created',
+            data: range
+        });
+    } catch (error) {
+        console.error('Error creating reefer range:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create reefer range'
+        });
+    }
+}));
+
+// Replace a temperature range
+router.put('/ranges/:rangeId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const validation = await validateRange(req.body, req.user.tenantId);
+        if (validation.error) {
+            return res.status(validation.status).json({
+                success: false,
+                error: validation.error
+            });
+        }
+
+        const range = await reeferExcursionManager.updateRange(req.params.rangeId, req.user.tenantId, validation.value);
+        if (!range) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reefer range not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reefer range updated',
+            data: range
+        });
+    } catch (error) {
+        console.error('Error updating reefer range:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update reefer range'
+        });
+    }
+}));
+
+// Delete a temperature range; excursions recorded against it are kept
+router.delete('/ranges/:rangeId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const deleted = await reeferExcursionManager.deleteRange(req.params.rangeId, req.user.tenantId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reefer range not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reefer range deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting reefer range:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete reefer range'
+        });
+    }
+}));
+
+// Get the tenant's temperature excursions
+router.get('/excursions', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = excursionsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await reeferExcursionManager.getExcursions(req.user.tenantId, value);
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching reefer excursions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reefer excursions'
+        });
+    }
+}));
+
+// Get an excursion with every reading of its temperature while it lasted, as claim evidence
+router.get('/excursions/:excursionId', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const excursion = await reeferExcursionManager.getExcursion(req.params.excursionId, req.user.tenantId);
+        if (!excursion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reefer excursion not found'
+            });
+        }
+
+        const readings = await telemetryManager.getTelemetry(excursion.trailerId, {
+            metric: excursion.metric,
+            from: excursion.startedAt,
+            to: excursion.endedAt || excursion.lastReadingAt,
+            limit: 5000
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...excursion,
+                readings: readings.data
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching reefer excursion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reefer excursion'
+        });
+    }
+}));
+
+module.exports = router;
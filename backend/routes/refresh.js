@@ -1,7 +1,69 @@
+const Joi = require('joi');
 const RefreshService = require('../services/auto-refresh');
+const jobScheduler = require('../services/job-scheduler');
+const gpsProviderService = require('../services/gps-provider-service');
+const { validateTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { asyncHandler } = require('../middleware/error-handling');
+const { syncScheduleManager, gpsProviderManager, refreshLogManager } = require('../database/database-manager');
+const {
+    SYNC_JOB_TYPES, SYNC_JOB_STATUS, SYNC_SCHEDULER, REFRESH_OPERATIONS, REFRESH_LOG_STATUS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
 
 const router = require('express').Router();
 
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Quiet hours are set as a pair; null clears them
+const scheduleSettingsSchema = Joi.object({
+    intervalMinutes: Joi.number().integer()
+        .min(SYNC_SCHEDULER.MIN_INTERVAL_MINUTES)
+        .max(SYNC_SCHEDULER.MAX_INTERVAL_MINUTES),
+    quietHoursStart: Joi.string().pattern(TIME_OF_DAY_PATTERN).allow(null),
+    quietHoursEnd: Joi.string().pattern(TIME_OF_DAY_PATTERN).allow(null),
+    timezone: Joi.string().max(64).custom((value, helpers) => (
+        isValidTimezone(value) ? value : helpers.message('timezone must be an IANA timezone such as America/Chicago')
+    )),
+    isEnabled: Joi.boolean()
+}).and('quietHoursStart', 'quietHoursEnd');
+
+const runsQuerySchema = Joi.object({
+    scheduleId: Joi.string(),
+    providerId: Joi.string(),
+    jobType: Joi.string().valid(...Object.values(SYNC_JOB_TYPES)),
+    status: Joi.string().valid(...Object.values(SYNC_JOB_STATUS)),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
+const historyQuerySchema = Joi.object({
+    providerId: Joi.string(),
+    operationType: Joi.string().valid(...Object.values(REFRESH_OPERATIONS)),
+    triggerType: Joi.string().max(32),
+    status: Joi.string().valid(...Object.values(REFRESH_LOG_STATUS)),
+    trailerId: Joi.string(),
+    deviceId: Joi.string(),
+    jobRunId: Joi.string(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
 // Manual refresh endpoint
 router.post('/manual', async (req, res) => {
     try {
@@ -35,4 +97,243 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Get the tenant's sync schedules (tenant-level jobs and provider overrides)
+router.get('/schedules', validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        await syncScheduleManager.ensureTenantSchedules();
+        const schedules = await syncScheduleManager.getTenantSchedules(req.user.tenantId);
+
+        res.json({
+            success: true,
+            data: schedules.map(schedule => ({ ...schedule, isRunning: jobScheduler.isRunning(schedule.id) }))
+        });
+    } catch (error) {
+        console.error('Error fetching sync schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch sync schedules'
+        });
+    }
+}));
+
+// Get the tenant's job run history
+router.get('/schedules/runs', validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = runsQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await syncScheduleManager.getRuns({ ...value, tenantId: req.user.tenantId });
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching sync job runs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch sync job runs'
+        });
+    }
+}));
+
+// Create or update a provider's own location refresh schedule
+router.put('/schedules/providers/:providerId', validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = scheduleSettingsSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const provider = await gpsProviderManager.getProviderById(req.params.providerId);
+        if (!provider || provider.tenant_id !== req.user.tenantId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Provider not found'
+            });
+        }
+
+        if (gpsProviderService.isPushProvider(provider.type)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Push providers deliver positions as they happen and cannot be scheduled'
+            });
+        }
+
+        const existing = await syncScheduleManager.findSchedule(req.user.tenantId, provider.id, SYNC_JOB_TYPES.LOCATION_REFRESH);
+        if (existing) {
+            const schedule = await syncScheduleManager.updateSchedule(existing.id, req.user.tenantId, value);
+            return res.json({ success: true, data: schedule });
+        }
+
+        const schedule = await syncScheduleManager.createSchedule(req.user.tenantId, provider.id, SYNC_JOB_TYPES.LOCATION_REFRESH, {
+            intervalMinutes: SYNC_SCHEDULER.DEFAULT_INTERVAL_MINUTES[SYNC_JOB_TYPES.LOCATION_REFRESH],
+            ...value
+        });
+
+        res.status(201).json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error saving provider sync schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save provider sync schedule'
+        });
+    }
+}));
+
+// Update a schedule's interval, quiet hours, timezone or enabled flag
+router.put('/schedules/:scheduleId', validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = scheduleSettingsSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const schedule = await syncScheduleManager.updateSchedule(req.params.scheduleId, req.user.tenantId, value);
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Error updating sync schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update sync schedule'
+        });
+    }
+}));
+
+// Remove a provider override; the provider goes back to the tenant schedule
+router.delete('/schedules/:scheduleId', validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    try {
+        const deleted = await syncScheduleManager.deleteProviderSchedule(req.params.scheduleId, req.user.tenantId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Provider schedule not found (tenant schedules can be disabled but not deleted)'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Provider schedule removed'
+        });
+    } catch (error) {
+        console.error('Error deleting sync schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete sync schedule'
+        });
+    }
+}));
+
+// Run a schedule's job now; the run is recorded in the history with trigger "manual"
+router.post('/schedules/:scheduleId/run', validateTenant, requirePermission('org_edit'), asyncHandler(async (req, res) => {
+    try {
+        const schedule = await syncScheduleManager.getSchedule(req.params.scheduleId, req.user.tenantId);
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Schedule not found'
+            });
+        }
+
+        if (jobScheduler.isRunning(schedule.id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This job is already running'
+            });
+        }
+
+        jobScheduler.runSchedule(schedule, 'manual').catch(error => {
+            logger.error(`Manual run of schedule ${schedule.id} failed:`, error);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Job started'
+        });
+    } catch (error) {
+        console.error('Error starting scheduled job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start job'
+        });
+    }
+}));
+
+// Get the tenant's sync and location refresh history, one record per provider run
+router.get('/history', validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = historyQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await refreshLogManager.getHistory({ ...value, tenantId: req.user.tenantId });
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching refresh history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refresh history'
+        });
+    }
+}));
+
+// Get one run with the trailers it did not update and why
+router.get('/history/:logId', validateTenant, requirePermission('providers_view'), asyncHandler(async (req, res) => {
+    try {
+        const run = await refreshLogManager.getRun(req.params.logId, req.user.tenantId);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Refresh run not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        console.error('Error fetching refresh run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refresh run'
+        });
+    }
+}));
+
 module.exports = router; 
@@ -1,11 +1,34 @@
 const express = require('express');
+const Joi = require('joi');
 const { authenticateToken, validateTenant } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { statsManager, companyManager } = require('../database/database-manager');
 const { asyncHandler } = require('../middleware/error-handling');
+const MaintenanceCostService = require('../services/maintenance-costs');
 
 const router = express.Router();
 
+// Periods are whole months, YYYY-MM, at most ten years
+const month = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).message('Months must be YYYY-MM');
+const maintenanceCostsQuerySchema = Joi.object({
+    companyId: Joi.string(),
+    trailerId: Joi.string(),
+    from: month,
+    to: month
+}).custom((value, helpers) => {
+    const period = MaintenanceCostService.getPeriod(value);
+    if (period.from > period.to) {
+        return helpers.message('from must not be after to');
+    }
+    return period.months.length > 120 ? helpers.message('The period can be at most 120 months') : value;
+});
+
+const ledgerQuerySchema = maintenanceCostsQuerySchema.keys({
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
 // Get statistics
 router.get('/', authenticateToken, validateTenant, requirePermission('analytics_view'), asyncHandler(async (req, res) => {
     const { companyId } = req.query;
@@ -36,4 +59,44 @@ router.get('/', authenticateToken, validateTenant, requirePermission('analytics_
     }
 }));
 
+// Get maintenance costs from completed work orders: totals, monthly rollups, and per company and per trailer
+// costs with cost per mile and per day
+router.get('/maintenance-costs', authenticateToken, validateTenant, requirePermission('analytics_view'), asyncHandler(async (req, res) => {
+    const { error, value } = maintenanceCostsQuerySchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const report = await MaintenanceCostService.getReport(req.user.tenantId, value);
+
+    res.json({
+        success: true,
+        data: report
+    });
+}));
+
+// Get the maintenance cost ledger: each completed work order in the period with its cost, newest first
+router.get('/maintenance-costs/ledger', authenticateToken, validateTenant, requirePermission('analytics_view'), asyncHandler(async (req, res) => {
+    const { error, value } = ledgerQuerySchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const { from, to, ...options } = value;
+    const { start, end } = MaintenanceCostService.getPeriod({ from, to });
+    const result = await statsManager.getMaintenanceCostLedger(req.user.tenantId, { ...options, start, end });
+
+    res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+    });
+}));
+
 module.exports = router; 
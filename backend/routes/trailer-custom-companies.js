@@ -1,9 +1,16 @@
 const express = require('express');
+const Joi = require('joi');
 const { authenticateToken, validateTenant } = require('../middleware/auth');
 const { trailerCustomCompanyManager } = require('../database/database-manager');
 
 const router = express.Router();
 
+const updateCustomCompanySchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    // Detention threshold applied at locations without their own; null falls back to the default
+    detention_threshold_minutes: Joi.number().integer().min(1).max(43200).allow(null)
+}).min(1);
+
 // Get all custom companies for the authenticated user
 router.get('/', authenticateToken, validateTenant, async (req, res) => {
     try {
@@ -45,6 +52,44 @@ router.post('/', authenticateToken, validateTenant, async (req, res) => {
     }
 });
 
+// Update a custom company (name and detention threshold)
+router.put('/:id', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = updateCustomCompanySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        // Verify ownership
+        const customCompany = await trailerCustomCompanyManager.verifyCustomCompanyOwnership(id, req.user.tenantId);
+        if (!customCompany) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom company not found or access denied'
+            });
+        }
+
+        await trailerCustomCompanyManager.updateCustomCompany(id, req.user.tenantId, value);
+        const company = await trailerCustomCompanyManager.getCustomCompanyById(id, req.user.tenantId);
+
+        res.json({
+            success: true,
+            data: company
+        });
+    } catch (error) {
+        console.error('Error updating custom company:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update custom company'
+        });
+    }
+});
+
 // Delete a custom company
 router.delete('/:id', authenticateToken, validateTenant, async (req, res) => {
     try {
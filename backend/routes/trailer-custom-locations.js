@@ -1,10 +1,97 @@
 const express = require('express');
 const { authenticateToken, validateTenant } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
-const { trailerCustomLocationManager, companyManager, trailerCustomCompanyManager } = require('../database/database-manager');
+const Joi = require('joi');
+const { trailerCustomLocationManager, companyManager, trailerCustomCompanyManager, geofenceManager } = require('../database/database-manager');
+const { GEOFENCE_TYPES, GEOFENCE_EVENT_TYPES } = require('../utils/constants');
 
 const router = express.Router();
 
+// Geofence fields accepted on create/update; a circle is centered on the location's lat/lng
+const locationSettingsSchema = Joi.object({
+    geofence_type: Joi.string().valid(...Object.values(GEOFENCE_TYPES)).allow(null),
+    geofence_radius_m: Joi.number().min(10).max(50000).allow(null)
+        .when('geofence_type', { is: GEOFENCE_TYPES.CIRCLE, then: Joi.required().invalid(null) }),
+    geofence_polygon: Joi.array().items(Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+    })).min(3).max(200).allow(null)
+        .when('geofence_type', { is: GEOFENCE_TYPES.POLYGON, then: Joi.required().invalid(null) }),
+    detention_threshold_minutes: Joi.number().integer().min(1).max(43200).allow(null)
+}).unknown(true);
+
+const geofenceEventsQuerySchema = Joi.object({
+    trailerId: Joi.string(),
+    eventType: Joi.string().valid(...Object.values(GEOFENCE_EVENT_TYPES)),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
+// Get arrival/departure events for all geofences in the tenant
+router.get('/geofence-events', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { error, value } = geofenceEventsQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await geofenceManager.getEvents(req.user.tenantId, value);
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching geofence events:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch geofence events' 
+        });
+    }
+});
+
+// Get arrival/departure events for one custom location
+router.get('/:id/geofence-events', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { error, value } = geofenceEventsQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const location = await trailerCustomLocationManager.getLocationById(req.params.id, req.user.id);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Location not found or access denied'
+            });
+        }
+
+        const result = await geofenceManager.getEvents(req.user.tenantId, { ...value, locationId: location.id });
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching geofence events:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch geofence events' 
+        });
+    }
+});
+
 // Get all custom locations for the authenticated user
 router.get('/', authenticateToken, validateTenant, requirePermission('fleet_view'), async (req, res) => {
     try {
@@ -66,6 +153,14 @@ router.post('/', authenticateToken, validateTenant, requirePermission('fleet_cre
             });
         }
         
+        const { error: settingsError } = locationSettingsSchema.validate(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                error: settingsError.details[0].message
+            });
+        }
+        
         const locationData = {
             ...req.body,
             company_id: activeCompany.id
@@ -119,6 +214,19 @@ router.put('/:id', authenticateToken, validateTenant, requirePermission('fleet_e
             });
         }
         
+        const { error: settingsError } = locationSettingsSchema.validate({
+            geofence_type: location.geofenceType,
+            geofence_radius_m: location.geofenceRadiusM,
+            geofence_polygon: location.geofencePolygon,
+            ...req.body
+        });
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                error: settingsError.details[0].message
+            });
+        }
+        
         const updatedLocation = await trailerCustomLocationManager.updateLocation(id, req.user.id, req.body);
         
         if (updatedLocation) {
@@ -0,0 +1,308 @@
+const Joi = require('joi');
+const trailerIdentity = require('../services/trailer-identity');
+const { validateTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { asyncHandler } = require('../middleware/error-handling');
+const { trailerIdentityManager, gpsProviderManager } = require('../database/database-manager');
+const { IDENTITY_REVIEW_STATUS } = require('../utils/constants');
+
+const router = require('express').Router();
+
+const reviewsQuerySchema = Joi.object({
+    status: Joi.string().valid(...Object.values(IDENTITY_REVIEW_STATUS)),
+    providerId: Joi.string(),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
+const linkReviewSchema = Joi.object({
+    trailerId: Joi.string().required()
+});
+
+const mergeSchema = Joi.object({
+    targetTrailerId: Joi.string().required(),
+    sourceTrailerId: Joi.string().required()
+});
+
+const mergesQuerySchema = Joi.object({
+    trailerId: Joi.string(),
+    limit: Joi.number().integer().min(1),
+    offset: Joi.number().integer().min(0),
+    page: Joi.number().integer().min(1)
+});
+
+/**
+ * Get a review that is still waiting for a decision
+ * @returns {Promise<Object>} { review } or { status, error } for the response
+ */
+const getPendingReview = async (reviewId, tenantId) => {
+    const review = await trailerIdentityManager.getReview(reviewId, tenantId);
+    if (!review) {
+        return { status: 404, error: 'Identity review not found' };
+    }
+    if (review.status !== IDENTITY_REVIEW_STATUS.PENDING) {
+        return { status: 409, error: `This review was already resolved (${review.status})` };
+    }
+    return { review };
+};
+
+// Get devices waiting for a decision on which trailer they report for, with their candidate trailers
+router.get('/reviews', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = reviewsQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await trailerIdentityManager.getReviews({
+            status: IDENTITY_REVIEW_STATUS.PENDING,
+            ...value,
+            tenantId: req.user.tenantId
+        });
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching identity reviews:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch identity reviews'
+        });
+    }
+}));
+
+// Link a reviewed device to an existing trailer
+router.post('/reviews/:reviewId/link', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = linkReviewSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const { review, status, error: reviewError } = await getPendingReview(req.params.reviewId, req.user.tenantId);
+        if (!review) {
+            return res.status(status).json({
+                success: false,
+                error: reviewError
+            });
+        }
+
+        const [trailer] = await trailerIdentityManager.getCandidates(req.user.tenantId, [value.trailerId]);
+        if (!trailer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        await trailerIdentity.linkReview(review, trailer, req.user.id);
+
+        res.json({
+            success: true,
+            message: `Device ${review.deviceId} linked to ${trailer.unitNumber}`,
+            data: { trailerId: trailer.id }
+        });
+    } catch (error) {
+        console.error('Error linking reviewed device:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to link device'
+        });
+    }
+}));
+
+// Create a new trailer for a reviewed device
+router.post('/reviews/:reviewId/create', validateTenant, requirePermission('fleet_create'), asyncHandler(async (req, res) => {
+    try {
+        const { review, status, error: reviewError } = await getPendingReview(req.params.reviewId, req.user.tenantId);
+        if (!review) {
+            return res.status(status).json({
+                success: false,
+                error: reviewError
+            });
+        }
+
+        const provider = await gpsProviderManager.getProviderById(review.providerId);
+        const trailerId = await trailerIdentity.createFromReview(review, provider, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: `Trailer created for device ${review.deviceId}`,
+            data: { trailerId }
+        });
+    } catch (error) {
+        console.error('Error creating trailer from review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create trailer'
+        });
+    }
+}));
+
+// Dismiss a reviewed device - syncs skip it from now on
+router.post('/reviews/:reviewId/dismiss', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { review, status, error: reviewError } = await getPendingReview(req.params.reviewId, req.user.tenantId);
+        if (!review) {
+            return res.status(status).json({
+                success: false,
+                error: reviewError
+            });
+        }
+
+        await trailerIdentity.dismissReview(review, req.user.id);
+
+        res.json({
+            success: true,
+            message: `Device ${review.deviceId} dismissed`
+        });
+    } catch (error) {
+        console.error('Error dismissing reviewed device:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to dismiss device'
+        });
+    }
+}));
+
+// Get the provider devices linked to a trailer and the merges it took part in
+router.get('/trailers/:trailerId', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const trailer = await trailerIdentityManager.getTrailerRow(req.params.trailerId, req.user.tenantId);
+        if (!trailer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trailer not found'
+            });
+        }
+
+        const [links, merges] = await Promise.all([
+            trailerIdentityManager.getTrailerLinks(trailer.id),
+            trailerIdentityManager.getMerges({ tenantId: req.user.tenantId, trailerId: trailer.id })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                trailerId: trailer.id,
+                mergedIntoId: trailer.merged_into_id,
+                links,
+                merges: merges.data
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching trailer identity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trailer identity'
+        });
+    }
+}));
+
+// Get the tenant's trailer merges, newest first
+router.get('/merges', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = mergesQuerySchema.validate(req.query, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await trailerIdentityManager.getMerges({ ...value, tenantId: req.user.tenantId });
+
+        res.json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching trailer merges:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trailer merges'
+        });
+    }
+}));
+
+// Merge a duplicate trailer into the one that remains, keeping its devices, history, inspections and notes
+router.post('/merges', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const { error, value } = mergeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const [target, source] = await Promise.all([
+            trailerIdentityManager.getTrailerRow(value.targetTrailerId, req.user.tenantId),
+            trailerIdentityManager.getTrailerRow(value.sourceTrailerId, req.user.tenantId)
+        ]);
+
+        const mergeError = trailerIdentity.getMergeError(target, source);
+        if (mergeError) {
+            return res.status(!target || !source ? 404 : 400).json({
+                success: false,
+                error: mergeError
+            });
+        }
+
+        const mergeId = await trailerIdentity.mergeTrailers(target, source, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: `${source.unit_number} merged into ${target.unit_number}`,
+            data: await trailerIdentityManager.getMerge(mergeId, req.user.tenantId)
+        });
+    } catch (error) {
+        console.error('Error merging trailers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge trailers'
+        });
+    }
+}));
+
+// Undo a merge, returning the merged trailer's devices and records to it
+router.post('/merges/:mergeId/unmerge', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    try {
+        const merge = await trailerIdentityManager.getMerge(req.params.mergeId, req.user.tenantId);
+        const target = merge && await trailerIdentityManager.getTrailerRow(merge.targetTrailerId, req.user.tenantId);
+
+        const unmergeError = trailerIdentity.getUnmergeError(merge, target);
+        if (unmergeError) {
+            return res.status(merge ? 409 : 404).json({
+                success: false,
+                error: unmergeError
+            });
+        }
+
+        await trailerIdentity.unmergeTrailers(merge, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Merge undone'
+        });
+    } catch (error) {
+        console.error('Error undoing trailer merge:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to undo merge'
+        });
+    }
+}));
+
+module.exports = router;
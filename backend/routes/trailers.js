@@ -5,11 +5,16 @@ const {
     trailerManager, 
     companyManager, 
     userManager,
-    trailerCustomCompanyManager
+    trailerCustomCompanyManager,
+    geofenceManager,
+    telemetryManager
 } = require('../database/database-manager');
 const { executeQueryCamelCase } = require('../database/utils/db-helpers');
 const { convertTrailerDataForDB, objectKeysToSnakeCase } = require('../database/utils/database-utilities');
 const logger = require('../utils/logger');
+const deviceHealth = require('../services/device-health');
+const MaintenanceService = require('../services/maintenance');
+const { LOCATION_TYPES, TELEMETRY_METRICS, TRAILER_TYPES } = require('../utils/constants');
 const { asyncHandler } = require('../middleware/error-handling');
 
 const router = express.Router();
@@ -17,6 +22,31 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
+/**
+ * Load a trailer the user's tenant can access
+ * @returns {Promise<Object>} { trailer } or { status, error } when the trailer is missing or not accessible
+ */
+async function getAccessibleTrailer(trailerId, userId) {
+    const user = await userManager.getUserProfile(userId);
+    if (!user || !user.tenantId) {
+        return { status: 400, error: 'User tenant not found' };
+    }
+
+    const trailer = await trailerManager.getTrailerById(trailerId);
+    if (!trailer) {
+        return { status: 404, error: 'Trailer not found' };
+    }
+
+    const hasAccess = trailer.companyId && trailer.companyId.startsWith('trailer_custom_comp_')
+        ? await trailerCustomCompanyManager.verifyCustomCompanyOwnership(trailer.companyId, user.tenantId)
+        : await companyManager.verifyCompanyOwnership(trailer.companyId, userId, user.tenantId);
+    if (!hasAccess) {
+        return { status: 403, error: 'Access denied to trailer' };
+    }
+
+    return { trailer };
+}
+
 /**
  * Shared trailer creation logic
  */
@@ -221,6 +251,7 @@ router.get('/', requirePermission('fleet_view'), asyncHandler(async (req, res) =
         const filters = {
             status: req.query.status,
             search: req.query.search,
+            includeArchived: req.query.includeArchived,
             limit: req.query.limit ? parseInt(req.query.limit) : 1000
         };
         
@@ -268,6 +299,106 @@ router.get('/', requirePermission('fleet_view'), asyncHandler(async (req, res) =
 
 
 
+// Get dwell time and detention for trailers at geofenced custom locations
+router.get('/dwell', requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { status = 'current', customCompanyId, locationType, locationId, trailerId, from, to, detentionOnly, limit, offset, page } = req.query;
+
+        if (!['current', 'completed'].includes(status)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "Status must be 'current' or 'completed'" 
+            });
+        }
+
+        if (locationType && !Object.values(LOCATION_TYPES).includes(locationType)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Invalid location type' 
+            });
+        }
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Invalid '${name}' date` 
+                });
+            }
+        }
+
+        if (from && to && new Date(from) > new Date(to)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "'from' must be before 'to'" 
+            });
+        }
+
+        if (customCompanyId) {
+            const customCompany = await trailerCustomCompanyManager.verifyCustomCompanyOwnership(customCompanyId, req.user.tenantId);
+            if (!customCompany) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Custom company not found or access denied' 
+                });
+            }
+        }
+
+        const dwell = await geofenceManager.getDwell(req.user.tenantId, {
+            status,
+            customCompanyId,
+            locationType,
+            locationId,
+            trailerId,
+            from,
+            to,
+            detentionOnly: detentionOnly === 'true',
+            limit,
+            offset,
+            page
+        });
+
+        res.json({
+            success: true,
+            data: dwell.data,
+            pagination: dwell.pagination,
+            summary: dwell.summary
+        });
+
+    } catch (error) {
+        logger.error('Error fetching trailer dwell:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch dwell: ' + error.message 
+        });
+    }
+});
+
+// Get the health of the trailers' GPS trackers; needsAttention=true lists only trackers with issues
+router.get('/device-health', requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { needsAttention, trailerId } = req.query;
+
+        const health = await deviceHealth.getDeviceHealth(req.user.tenantId, {
+            needsAttention: needsAttention === 'true',
+            trailerId
+        });
+
+        res.json({
+            success: true,
+            data: health.data,
+            summary: health.summary
+        });
+
+    } catch (error) {
+        logger.error('Error fetching device health:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch device health: ' + error.message 
+        });
+    }
+});
+
 // Get a specific trailer by ID
 router.get('/:trailerId', requirePermission('fleet_view'), async (req, res) => {
     try {
@@ -423,6 +554,16 @@ router.put('/:trailerId', requirePermission('fleet_edit'), async (req, res) => {
             }
         });
         
+        if (dbUpdateData.trailer_type !== undefined) {
+            dbUpdateData.trailer_type = dbUpdateData.trailer_type || null;
+            if (dbUpdateData.trailer_type && !TRAILER_TYPES.includes(dbUpdateData.trailer_type)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Trailer type must be one of: ${TRAILER_TYPES.join(', ')}` 
+                });
+            }
+        }
+
         // Validate trailer data including duplicate unit number check (if unit_number is being updated)
         if (dbUpdateData.unit_number) {
             const validation = await trailerManager.validateTrailerData(
@@ -441,6 +582,7 @@ router.put('/:trailerId', requirePermission('fleet_edit'), async (req, res) => {
         
         // Update the trailer
         const updatedTrailer = await trailerManager.updateTrailerInfo(trailerId, dbUpdateData);
+        await MaintenanceService.refreshTrailerAlerts(trailerId, user.tenantId);
         
         logger.info('Updated trailer', { trailerId });
         
@@ -590,12 +732,44 @@ router.get('/:trailerId/location-history', requirePermission('fleet_view'), asyn
             }
         }
         
-        // Get location history (implementation depends on your data structure)
-        const locationHistory = await trailerManager.getTrailerLocationHistory(trailerId);
+        const { from, to, source, limit, offset, page } = req.query;
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Invalid '${name}' date` 
+                });
+            }
+        }
+
+        if (from && to && new Date(from) > new Date(to)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "'from' must be before 'to'" 
+            });
+        }
+
+        if (source && !['gps', 'manual'].includes(source)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "Source must be 'gps' or 'manual'" 
+            });
+        }
+        
+        const locationHistory = await trailerManager.getTrailerLocationHistory(trailerId, {
+            from,
+            to,
+            source,
+            limit,
+            offset,
+            page
+        });
         
         res.json({
             success: true,
-            data: locationHistory
+            data: locationHistory.data,
+            pagination: locationHistory.pagination
         });
         
     } catch (error) {
@@ -607,6 +781,86 @@ router.get('/:trailerId/location-history', requirePermission('fleet_view'), asyn
     }
 });
 
+// Get trailer sensor readings (door, cargo, reefer, battery)
+router.get('/:trailerId/telemetry', requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { trailerId } = req.params;
+        const access = await getAccessibleTrailer(trailerId, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ 
+                success: false, 
+                error: access.error 
+            });
+        }
+
+        const { metric, from, to, limit, offset, page } = req.query;
+
+        if (metric && !Object.values(TELEMETRY_METRICS).includes(metric)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Metric must be one of: ${Object.values(TELEMETRY_METRICS).join(', ')}` 
+            });
+        }
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Invalid '${name}' date` 
+                });
+            }
+        }
+
+        if (from && to && new Date(from) > new Date(to)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "'from' must be before 'to'" 
+            });
+        }
+
+        const telemetry = await telemetryManager.getTelemetry(trailerId, { metric, from, to, limit, offset, page });
+
+        res.json({
+            success: true,
+            data: telemetry.data,
+            pagination: telemetry.pagination
+        });
+    } catch (error) {
+        logger.error('Error fetching trailer telemetry:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch telemetry: ' + error.message 
+        });
+    }
+});
+
+// Get the latest reading of each sensor a trailer reports
+router.get('/:trailerId/telemetry/latest', requirePermission('fleet_view'), async (req, res) => {
+    try {
+        const { trailerId } = req.params;
+        const access = await getAccessibleTrailer(trailerId, req.user.id);
+        if (access.error) {
+            return res.status(access.status).json({ 
+                success: false, 
+                error: access.error 
+            });
+        }
+
+        const readings = await telemetryManager.getLatestTelemetry(trailerId);
+
+        res.json({
+            success: true,
+            data: readings
+        });
+    } catch (error) {
+        logger.error('Error fetching latest trailer telemetry:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch telemetry: ' + error.message 
+        });
+    }
+});
+
 // Update trailer location
 router.put('/:trailerId/location', requirePermission('fleet_edit'), async (req, res) => {
     try {
@@ -0,0 +1,362 @@
+const Joi = require('joi');
+const { validateTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { asyncHandler } = require('../middleware/error-handling');
+const { workOrderManager } = require('../database/database-manager');
+const WorkOrderService = require('../services/work-orders');
+const { WORK_ORDER_STATUS, WORK_ORDER_LINE_TYPES } = require('../utils/constants');
+
+const router = require('express').Router();
+
+// Maintenance alert rule types, e.g. annual_inspection, tire_status, pm_oil_change
+const serviceTypesSchema = Joi.array().items(Joi.string().trim().max(60)).unique();
+
+const workOrdersQuerySchema = Joi.object({
+    trailerId: Joi.string(),
+    status: Joi.string().valid(...Object.values(WORK_ORDER_STATUS)),
+    vendorLocationId: Joi.string()
+});
+
+// Without a title, one is taken from the linked alerts or the source inspection
+const createWorkOrderSchema = Joi.object({
+    trailerId: Joi.string().required(),
+    title: Joi.string().trim().max(200).allow(null, ''),
+    description: Joi.string().trim().max(2000).allow(null, ''),
+    vendorLocationId: Joi.string().allow(null, ''),
+    sourceInspectionId: Joi.string().allow(null, ''),
+    alertIds: Joi.array().items(Joi.string()).unique().default([]),
+    serviceTypes: serviceTypesSchema
+});
+
+const updateWorkOrderSchema = Joi.object({
+    title: Joi.string().trim().max(200),
+    description: Joi.string().trim().max(2000).allow(null, ''),
+    vendorLocationId: Joi.string().allow(null, ''),
+    serviceTypes: serviceTypesSchema
+}).min(1);
+
+const statusSchema = Joi.object({
+    status: Joi.string().valid(...Object.values(WORK_ORDER_STATUS)).required(),
+    completedAt: Joi.date().iso().max('now').allow(null)
+});
+
+const linkAlertsSchema = Joi.object({
+    alertIds: Joi.array().items(Joi.string()).unique().min(1).required()
+});
+
+// quantity is units for a part and hours for labor; unit_cost the part price or hourly rate
+const lineItemSchema = Joi.object({
+    lineType: Joi.string().valid(...Object.values(WORK_ORDER_LINE_TYPES)).required(),
+    description: Joi.string().trim().max(200).required(),
+    partNumber: Joi.string().trim().max(100).allow(null, ''),
+    quantity: Joi.number().positive().max(100000).required(),
+    unitCost: Joi.number().min(0).max(1000000).required()
+});
+
+/**
+ * Get one of the tenant's work orders, optionally only while it can still be changed
+ * @returns {Promise<Object>} { workOrder } or { status, error } for the response
+ */
+const findWorkOrder = async (workOrderId, tenantId, { editable = false } = {}) => {
+    const workOrder = await workOrderManager.getWorkOrder(workOrderId, tenantId);
+    if (!workOrder) {
+        return { status: 404, error: 'Work order not found' };
+    }
+    if (editable && workOrder.status === WORK_ORDER_STATUS.COMPLETED) {
+        return { status: 400, error: 'Completed work orders cannot be changed' };
+    }
+
+    return { workOrder };
+};
+
+// Get the tenant's work orders, newest first
+router.get('/', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    const { error, value } = workOrdersQuerySchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const workOrders = await workOrderManager.getWorkOrders(req.user.tenantId, value);
+
+    res.json({
+        success: true,
+        data: workOrders
+    });
+}));
+
+// Get a work order with its line items and linked alerts
+router.get('/:workOrderId', validateTenant, requirePermission('fleet_view'), asyncHandler(async (req, res) => {
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    res.json({
+        success: true,
+        data: found.workOrder
+    });
+}));
+
+// Open a work order from a trailer's alerts, an inspection defect or a description of the work
+router.post('/', validateTenant, requirePermission('fleet_create'), asyncHandler(async (req, res) => {
+    const { error, value } = createWorkOrderSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const result = await WorkOrderService.createWorkOrder(req.user.tenantId, value, req.user.id);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `Work order #${result.workOrder.number} opened`,
+        data: result.workOrder
+    });
+}));
+
+// Change a work order's details, vendor or service types
+router.put('/:workOrderId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const { error, value } = updateWorkOrderSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const result = await WorkOrderService.updateWorkOrder(found.workOrder, req.user.tenantId, value);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Work order updated',
+        data: result.workOrder
+    });
+}));
+
+// Move a work order to in progress, back to open, or to completed, which closes its alerts and records its services
+router.patch('/:workOrderId/status', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const { error, value } = statusSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId);
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const result = await WorkOrderService.setStatus(found.workOrder, req.user.tenantId, value.status, {
+        completedAt: value.completedAt ? value.completedAt.toISOString() : null,
+        userId: req.user.id
+    });
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Work order #${result.workOrder.number} ${result.workOrder.status.replace('_', ' ')}`,
+        data: result.workOrder,
+        completion: result.completion || null
+    });
+}));
+
+// Delete a work order that is not completed; its alerts stay open
+router.delete('/:workOrderId', validateTenant, requirePermission('fleet_delete'), asyncHandler(async (req, res) => {
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    await workOrderManager.deleteWorkOrder(found.workOrder.id, req.user.tenantId);
+
+    res.json({
+        success: true,
+        message: 'Work order deleted'
+    });
+}));
+
+// Link more of the trailer's open alerts to a work order
+router.post('/:workOrderId/alerts', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const { error, value } = linkAlertsSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const result = await WorkOrderService.linkAlerts(found.workOrder, req.user.tenantId, value.alertIds);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Alerts linked',
+        data: result.workOrder
+    });
+}));
+
+// Unlink an alert from a work order, leaving it open
+router.delete('/:workOrderId/alerts/:alertId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const result = await WorkOrderService.unlinkAlert(found.workOrder, req.user.tenantId, req.params.alertId);
+    if (result.error) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Alert unlinked',
+        data: result.workOrder
+    });
+}));
+
+// Add a part or labor line to a work order
+router.post('/:workOrderId/line-items', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const { error, value } = lineItemSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    await workOrderManager.addLineItem(found.workOrder.id, value);
+
+    res.status(201).json({
+        success: true,
+        message: 'Line item added',
+        data: await workOrderManager.getWorkOrder(found.workOrder.id, req.user.tenantId)
+    });
+}));
+
+// Replace a work order's line item
+router.put('/:workOrderId/line-items/:lineItemId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const { error, value } = lineItemSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+    }
+
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const updated = await workOrderManager.updateLineItem(found.workOrder.id, req.params.lineItemId, value);
+    if (!updated) {
+        return res.status(404).json({
+            success: false,
+            error: 'Line item not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Line item updated',
+        data: await workOrderManager.getWorkOrder(found.workOrder.id, req.user.tenantId)
+    });
+}));
+
+// Delete a work order's line item
+router.delete('/:workOrderId/line-items/:lineItemId', validateTenant, requirePermission('fleet_edit'), asyncHandler(async (req, res) => {
+    const found = await findWorkOrder(req.params.workOrderId, req.user.tenantId, { editable: true });
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const deleted = await workOrderManager.deleteLineItem(found.workOrder.id, req.params.lineItemId);
+    if (!deleted) {
+        return res.status(404).json({
+            success: false,
+            error: 'Line item not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Line item deleted',
+        data: await workOrderManager.getWorkOrder(found.workOrder.id, req.user.tenantId)
+    });
+}));
+
+module.exports = router;
@@ -1,80 +1,66 @@
 /**
  * Cleanup Duplicate Trailers Script
- * Removes duplicate trailers based on external_id and keeps the most recent one
+ * Finds trailers sharing a unit number within a tenant and merges each group into the trailer that reported
+ * most recently. Merges keep every device, history entry, inspection and note and can be undone from the
+ * Trailer Identity settings. Trailers with different VINs are reported and left alone.
+ *
+ * Usage: npm run trailers:dedupe [-- --merge]
+ * Without --merge the script only lists what it would merge.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Database path
-const DB_PATH = path.join(__dirname, '../database/db/fleet_management.db');
+const { initializeDatabase, closeDatabaseConnection } = require('../database/database-initializer');
 
 async function cleanupDuplicates() {
-    const db = new sqlite3.Database(DB_PATH);
-    
-    console.log('🔍 Starting duplicate trailer cleanup...');
-    
+    const apply = process.argv.includes('--merge');
+
+    console.log(`🔍 Looking for duplicate trailers${apply ? '' : ' (dry run - pass --merge to merge them)'}...`);
+
     try {
-        // Find duplicates based on unit_number
-        const duplicates = await new Promise((resolve, reject) => {
-            db.all(`
-                SELECT unit_number, COUNT(*) as count, GROUP_CONCAT(id) as ids
-                FROM persistent_trailers 
-                WHERE unit_number IS NOT NULL 
-                GROUP BY unit_number 
-                HAVING COUNT(*) > 1
-            `, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-        
-        console.log(`📊 Found ${duplicates.length} groups of duplicate trailers`);
-        
-        let totalDeleted = 0;
-        
-        for (const duplicate of duplicates) {
-            const ids = duplicate.ids.split(',');
-            console.log(`\n🔧 Processing duplicates for unit_number: ${duplicate.unit_number} (${duplicate.count} trailers)`);
-            
-            // Keep the most recent trailer (highest ID or most recent updated_at)
-            const keepId = ids[ids.length - 1]; // Keep the last one for now
-            
-            // Delete the others
-            const deleteIds = ids.slice(0, -1);
-            
-            for (const deleteId of deleteIds) {
-                await new Promise((resolve, reject) => {
-                    db.run('DELETE FROM persistent_trailers WHERE id = ?', [deleteId], function(err) {
-                        if (err) reject(err);
-                        else {
-                            console.log(`  🗑️ Deleted trailer: ${deleteId}`);
-                            totalDeleted++;
-                            resolve();
-                        }
-                    });
-                });
+        await initializeDatabase();
+        const { trailerIdentityManager } = require('../database/database-manager');
+        const trailerIdentity = require('../services/trailer-identity');
+
+        const groups = await trailerIdentityManager.getDuplicateUnitGroups();
+        console.log(`📊 Found ${groups.length} groups of duplicate trailers`);
+
+        let merged = 0;
+        let conflicts = 0;
+
+        for (const group of groups) {
+            // Keep the trailer that reported last, or the oldest when none has reported
+            const [keep, ...duplicates] = [...group.trailers].sort((a, b) =>
+                (b.lastPingAt || '').localeCompare(a.lastPingAt || '') || a.createdAt.localeCompare(b.createdAt)
+            );
+            console.log(`\n🔧 Unit ${group.unitNumber} (tenant ${group.tenantId}): keeping ${keep.id}`);
+
+            for (const duplicate of duplicates) {
+                const target = await trailerIdentityManager.getTrailerRow(keep.id, group.tenantId);
+                const source = await trailerIdentityManager.getTrailerRow(duplicate.id, group.tenantId);
+
+                const mergeError = trailerIdentity.getMergeError(target, source);
+                if (mergeError) {
+                    console.log(`  ⚠️  Not merging ${duplicate.id}: ${mergeError}`);
+                    conflicts++;
+                    continue;
+                }
+
+                if (apply) {
+                    await trailerIdentity.mergeTrailers(target, source, null);
+                    console.log(`  🔗 Merged ${duplicate.id} into ${keep.id}`);
+                } else {
+                    console.log(`  🔗 Would merge ${duplicate.id} (${duplicate.providerName || 'no provider'}) into ${keep.id}`);
+                }
+                merged++;
             }
         }
-        
-        console.log(`\n✅ Cleanup complete! Deleted ${totalDeleted} duplicate trailers`);
-        
-        // Show final count
-        const finalCount = await new Promise((resolve, reject) => {
-            db.get('SELECT COUNT(*) as count FROM persistent_trailers', (err, row) => {
-                if (err) reject(err);
-                else resolve(row.count);
-            });
-        });
-        
-        console.log(`📊 Final trailer count: ${finalCount}`);
-        
+
+        console.log(`\n✅ ${apply ? 'Merged' : 'Would merge'} ${merged} duplicate trailers, ${conflicts} left for review`);
     } catch (error) {
         console.error('❌ Error during cleanup:', error);
+        process.exitCode = 1;
     } finally {
-        db.close();
+        await closeDatabaseConnection();
     }
 }
 
-// Run the cleanup
-cleanupDuplicates().catch(console.error);
+cleanupDuplicates();
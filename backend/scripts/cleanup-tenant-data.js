@@ -1,13 +1,49 @@
 /**
  * Cleanup Tenant Data Script
- * Removes all data associated with a specific tenant
+ * Removes all data associated with a specific tenant.
+ * A database snapshot is taken first; restore it from the admin backups API if needed.
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { DB_PATH, closeDatabaseConnection } = require('../database/database-initializer');
+const backupService = require('../services/backup-service');
 
-// Database path
-const DB_PATH = path.join(__dirname, '../database/db/fleet_management.db');
+// Tenant records that hang off trailers, providers, schedules and work orders, children before parents.
+// Tables without a tenant_id are reached through their parent.
+const RELATED_TABLES = [
+    { table: 'work_order_line_items', label: 'work order line items', where: 'work_order_id IN (SELECT id FROM work_orders WHERE tenant_id = ?)' },
+    { table: 'work_orders', label: 'work orders' },
+    { table: 'pm_service_records', label: 'PM service records' },
+    { table: 'pm_schedules', label: 'PM schedules' },
+    { table: 'inspection_types', label: 'inspection types' },
+    { table: 'reefer_excursions', label: 'reefer excursions' },
+    { table: 'reefer_temperature_ranges', label: 'reefer temperature ranges' },
+    { table: 'trailer_telemetry', label: 'telemetry readings' },
+    { table: 'geofence_events', label: 'geofence events' },
+    { table: 'trailer_location_history', label: 'location history points' },
+    { table: 'trailer_merges', label: 'trailer merges' },
+    { table: 'trailer_identity_reviews', label: 'identity reviews' },
+    { table: 'trailer_device_links', label: 'device links' },
+    { table: 'location_precedence_rules', label: 'location precedence rules' },
+    { table: 'system_refresh_log_items', label: 'refresh log items', where: 'log_id IN (SELECT id FROM system_refresh_log WHERE tenant_id = ?)' },
+    { table: 'system_refresh_log', label: 'refresh log entries' },
+    { table: 'sync_job_runs', label: 'sync job runs' },
+    { table: 'sync_schedules', label: 'sync schedules' },
+    { table: 'provider_health_checks', label: 'provider health checks' }
+];
+
+/**
+ * Run a DELETE statement
+ * @returns {Promise<number>} Rows deleted
+ */
+function deleteRows(db, query, params) {
+    return new Promise((resolve, reject) => {
+        db.run(query, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
 
 async function cleanupTenantData(tenantId) {
     if (!tenantId) {
@@ -16,6 +52,20 @@ async function cleanupTenantData(tenantId) {
         return;
     }
 
+    try {
+        const backup = await backupService.createBackup({
+            trigger: 'pre-cleanup',
+            note: `Before cleaning up tenant ${tenantId}`
+        });
+        console.log(`💾 Database backed up as ${backup.id}`);
+    } catch (error) {
+        console.error('❌ Could not back up the database, nothing was deleted:', error.message);
+        process.exitCode = 1;
+        return;
+    } finally {
+        await closeDatabaseConnection();
+    }
+
     const db = new sqlite3.Database(DB_PATH);
     
     console.log(`🔍 Starting tenant data cleanup for: ${tenantId}`);
@@ -35,6 +85,14 @@ async function cleanupTenantData(tenantId) {
             console.log(`✅ Found tenant: ${tenantId}`);
         }
         
+        // Delete the records that reference the tenant's trailers, providers and schedules first
+        const relatedResults = [];
+        for (const { table, label, where = 'tenant_id = ?' } of RELATED_TABLES) {
+            const changes = await deleteRows(db, `DELETE FROM ${table} WHERE ${where}`, [tenantId]);
+            relatedResults.push({ label, changes });
+            console.log(`🧹 Deleted ${changes} ${label}`);
+        }
+        
         // 1. Delete system notes for this tenant
         const notesResult = await new Promise((resolve, reject) => {
             db.run('DELETE FROM system_notes WHERE tenant_id = ?', [tenantId], function(err) {
@@ -145,6 +203,9 @@ async function cleanupTenantData(tenantId) {
         
         console.log(`\n✅ Tenant cleanup complete for: ${tenantId}`);
         console.log(`📊 Summary:`);
+        for (const { label, changes } of relatedResults) {
+            console.log(`  - ${label.charAt(0).toUpperCase()}${label.slice(1)}: ${changes}`);
+        }
         console.log(`  - System notes: ${notesResult}`);
         console.log(`  - Maintenance alerts: ${alertsResult}`);
         console.log(`  - Tire records: ${tireResult}`);
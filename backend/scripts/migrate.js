@@ -0,0 +1,99 @@
+/**
+ * Database Migration Script
+ * Applies, rolls back and reports the migrations in database/migrations
+ *
+ * Usage:
+ *   npm run migrate                          Apply pending migrations
+ *   npm run migrate -- --dry-run             Show the statements pending migrations would run, then roll back
+ *   npm run migrate -- status                List applied and pending migrations and schema drift
+ *   npm run migrate -- down [--steps=1]      Roll back the newest migrations
+ *   npm run migrate -- down --to=3           Roll back every migration above version 3
+ */
+
+const { getDatabaseConnection, closeDatabaseConnection, DB_PATH } = require('../database/database-initializer');
+const {
+    getMigrationStatus,
+    runMigrations,
+    rollbackMigrations,
+    getSchemaDrift
+} = require('../database/migration-runner');
+
+function getOption(name) {
+    const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split('=')[1], 10) : undefined;
+}
+
+function printResults(results, verb, dryRun) {
+    if (results.length === 0) {
+        console.log(`✅ Nothing to ${verb}`);
+        return;
+    }
+
+    for (const result of results) {
+        console.log(`${dryRun ? '🔎' : '✅'} ${result.version}-${result.name} (${result.durationMs}ms)`);
+        if (dryRun) {
+            result.statements.forEach(sql => console.log(`     ${sql.length > 120 ? `${sql.slice(0, 117)}...` : sql}`));
+        }
+    }
+
+    if (dryRun) {
+        console.log(`ℹ️  Dry run - ${results.length} migration(s) rolled back, nothing was changed`);
+    }
+}
+
+async function printStatus(db) {
+    const status = await getMigrationStatus(db);
+    const drift = await getSchemaDrift(db);
+
+    console.log(`📊 Schema version ${status.currentVersion} of ${status.latestVersion}`);
+    status.applied.forEach(migration => console.log(`   ✅ ${migration.version}-${migration.name} (applied ${migration.appliedAt})`));
+    status.pending.forEach(migration => console.log(`   ⏳ ${migration.version}-${migration.name} - ${migration.description}`));
+    if (status.unknown.length > 0) {
+        console.log(`⚠️  Applied migrations with no file: ${status.unknown.join(', ')}`);
+    }
+
+    if (drift.missingTables.length + drift.missingColumns.length + drift.extraColumns.length === 0) {
+        console.log('✅ No schema drift');
+        return;
+    }
+    if (drift.missingTables.length > 0) {
+        console.log(`⚠️  Missing tables: ${drift.missingTables.join(', ')}`);
+    }
+    if (drift.missingColumns.length > 0) {
+        console.log(`⚠️  Missing columns: ${drift.missingColumns.join(', ')}`);
+    }
+    if (drift.extraColumns.length > 0) {
+        console.log(`ℹ️  Columns not defined by any migration: ${drift.extraColumns.join(', ')}`);
+    }
+}
+
+async function migrate() {
+    const command = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'up';
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`🗄️  Database: ${DB_PATH}`);
+
+    try {
+        const db = getDatabaseConnection();
+
+        if (command === 'up') {
+            printResults(await runMigrations(db, { dryRun }), 'apply', dryRun);
+        } else if (command === 'down') {
+            const to = getOption('to');
+            const steps = getOption('steps') || 1;
+            printResults(await rollbackMigrations(db, { steps, to, dryRun }), 'roll back', dryRun);
+        } else if (command === 'status') {
+            await printStatus(db);
+        } else {
+            console.error(`❌ Unknown command: ${command} (expected up, down or status)`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeDatabaseConnection();
+    }
+}
+
+migrate();
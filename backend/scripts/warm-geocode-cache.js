@@ -0,0 +1,34 @@
+/**
+ * Warm Geocode Cache Script
+ * Resolves trailer and custom location positions that are not in the geocode cache yet
+ *
+ * Usage: npm run geocode:warm [-- --limit=1000]
+ */
+
+const { initializeDatabase, closeDatabaseConnection } = require('../database/database-initializer');
+const geocodingService = require('../services/geocoding');
+
+async function warmGeocodeCache() {
+    const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+    const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined;
+
+    console.log('🗺️  Starting geocode cache warm-up...');
+
+    try {
+        await initializeDatabase();
+        const result = await geocodingService.warmCache({ limit });
+
+        console.log(`✅ Purged ${result.purged} expired entries`);
+        console.log(`✅ Resolved ${result.resolved} of ${result.candidates} uncached positions (${result.failed} failed)`);
+        if (result.remaining > 0) {
+            console.log(`ℹ️  ${result.remaining} positions remaining - run again to continue`);
+        }
+    } catch (error) {
+        console.error('❌ Geocode cache warm-up failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await closeDatabaseConnection();
+    }
+}
+
+warmGeocodeCache();
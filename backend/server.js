@@ -8,8 +8,9 @@ const path = require('path');
 const { initializeDatabase, checkDatabaseStatus } = require('./database/database-initializer');
 
 // Import services
-const RefreshService = require('./services/auto-refresh');
+const jobScheduler = require('./services/job-scheduler');
 const sseService = require('./services/sse-service');
+const backupService = require('./services/backup-service');
 
 // Import middleware
 const { authenticateToken, optionalAuth } = require('./middleware/auth');
@@ -27,7 +28,6 @@ const {
 
 // Import utilities
 const { 
-    GPS_PROVIDER_TYPES, 
     LOCATION_TYPES, 
     TRAILER_STATUSES,
     NOTE_CATEGORIES,
@@ -67,7 +67,12 @@ app.use((req, res, next) => {
 
 // Middleware
 app.use(cors(CORS_CONFIG));
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body so signed push ingestion requests can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Serve static files from frontend build directory
 app.use(express.static(path.join(__dirname, '..', 'frontend', 'dist')));
@@ -101,7 +106,7 @@ app.get('/api/auto-refresh/stream', (req, res) => {
         });
         
         // Proceed with SSE stream registration
-        sseService.registerClient(user.id, res);
+        sseService.registerClient(user.id, res, user.tenantId);
     });
 });
 
@@ -125,7 +130,7 @@ app.get('/api/health', (req, res) => {
             encryption: true,
             authentication: true,
             persistentTrailers: true,
-            gpsProviders: ['spireon', 'skybitz', 'samsara'],
+            gpsProviders: require('./services/gps-providers').getRegisteredTypes(),
             modularArchitecture: true
         }
     });
@@ -159,6 +164,11 @@ const maintenanceRoutes = require('./routes/maintenance');
 const geocodingRoutes = require('./routes/geocoding');
 const adminRoutes = require('./routes/admin');
 const tokenManagementRoutes = require('./routes/token-management');
+const ingestRoutes = require('./routes/ingest');
+const trailerIdentityRoutes = require('./routes/trailer-identity');
+const locationRulesRoutes = require('./routes/location-rules');
+const reeferRoutes = require('./routes/reefer');
+const workOrdersRoutes = require('./routes/work-orders');
 
 // Register routes
 logger.info('Registering API routes');
@@ -171,12 +181,17 @@ app.use('/api/notes', authenticateToken, systemNotesRoutes);
 app.use('/api/stats', authenticateToken, statsRoutes);
 app.use('/api/refresh', authenticateToken, refreshRoutes);
 app.use('/api/trailer-custom-companies', authenticateToken, trailerCustomCompaniesRoutes);
+app.use('/api/trailer-identity', authenticateToken, trailerIdentityRoutes);
+app.use('/api/location-rules', authenticateToken, locationRulesRoutes);
+app.use('/api/reefer', authenticateToken, reeferRoutes);
+app.use('/api/work-orders', authenticateToken, workOrdersRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/user', usersRoutes); // For profile routes at /api/user/profile
 app.use('/api/maintenance', authenticateToken, maintenanceRoutes);
 app.use('/api/geocode', authenticateToken, geocodingRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/tokens', tokenManagementRoutes);
+app.use('/api/ingest', ingestRoutes); // Signed push provider ingestion (no user token)
 logger.info('All API routes registered successfully');
 
 // Add a test route to verify server is working
@@ -222,12 +237,18 @@ app.use(notFoundHandler);
 // SERVER STARTUP
 // ============================================================================
 
-function startAutoRefreshSystem() {
+function startJobScheduler() {
+    jobScheduler.start().catch(error => {
+        logger.error('Failed to start job scheduler:', error);
+        // Don't let service startup errors crash the server
+    });
+}
+
+function startBackupSchedule() {
     try {
-        RefreshService.startAutoRefreshSystem();
+        backupService.start();
     } catch (error) {
-        logger.error('Failed to start auto-refresh system:', error);
-        // Don't let service startup errors crash the server
+        logger.error('Failed to start database backup schedule:', error);
     }
 }
 
@@ -246,7 +267,8 @@ async function startServer() {
         // Routes are already registered at the top level
         
         // Start services with error handling
-        startAutoRefreshSystem();
+        startJobScheduler();
+        startBackupSchedule();
         
                 // Check database status
         const dbStatus = await checkDatabaseStatus();
@@ -1,18 +1,30 @@
-const { userManager, companyManager, gpsProviderManager, trailerManager } = require('../database/database-manager');
+const { userManager, companyManager, gpsProviderManager, trailerManager, refreshLogManager } = require('../database/database-manager');
 const gpsProviderService = require('./gps-provider-service');
 const sseService = require('./sse-service');
-const rateLimiter = require('./rate-limiter');
+const providerHealth = require('./provider-health');
+const trailerReconciliation = require('./trailer-reconciliation');
+const trailerIdentity = require('./trailer-identity');
+const trailerTelemetry = require('./trailer-telemetry');
 const cacheService = require('./cache-service');
-const { CACHE_KEYS, RATE_LIMITING } = require('../utils/constants');
+const {
+    CACHE_KEYS, GPS_STATUS, REFRESH_INTERVALS, REFRESH_OPERATIONS, REFRESH_LOG_STATUS, REFRESH_ITEM_OUTCOMES
+} = require('../utils/constants');
 const logger = require('../utils/logger');
 
+// Trailer fields a sync only overwrites with a reported value
+const IDENTITY_FIELDS = ['vin', 'plate', 'make', 'model', 'year'];
+
 /**
  * Consolidated Refresh Service
  * Handles 3 distinct operations:
  * 1. TEST - Test provider credentials (no data creation)
  * 2. SYNC - Create/update trailers from GPS data
  * 3. REFRESH - Update trailer locations only
- * 4. AUTO-REFRESH - Background location updates
+ * 4. PUSH INGESTION - Positions delivered by push providers
+ *
+ * Background refreshes are run by the job scheduler (services/job-scheduler.js).
+ * Every sync and location refresh is recorded in system_refresh_log (see recordRun) and ends by
+ * reconciling the provider's trailers against their last ping (services/trailer-reconciliation.js).
  */
 class RefreshService {
     static refreshInProgress = new Set();
@@ -59,11 +71,25 @@ class RefreshService {
      * Sync provider and create/update trailers in database
      * @param {string} providerId - Provider ID
      * @param {Object} provider - Provider object
+     * @param {Object} context - Run context for the refresh log: { triggerType, userId, jobRunId }
      * @returns {Promise<Object>} Sync result
      */
-    static async syncProvider(providerId, provider) {
+    static async syncProvider(providerId, provider, context = {}) {
         logger.info('Syncing provider', { name: provider.name, type: provider.type });
         
+        // Push providers deliver positions through the ingestion endpoint - nothing to pull
+        if (gpsProviderService.isPushProvider(provider.type)) {
+            return {
+                success: true,
+                trailerCount: 0,
+                created: 0,
+                updated: 0,
+                message: 'Push providers receive positions through their ingestion endpoint'
+            };
+        }
+        
+        const startedAt = new Date();
+        
         try {
                 logger.debug('Provider details', { 
         companyId: provider.company_id, 
@@ -72,12 +98,32 @@ class RefreshService {
         keys: Object.keys(provider)
     });
             
-            // Fetch GPS data from provider
-            const trailers = await gpsProviderService.fetchGPSDataFromProvider(provider, provider.company_id);
+            // Fetch the whole fleet - trailers missing from it age into stale and disconnected through reconciliation
+            const fetchResult = await providerHealth.track(
+                provider,
+                'sync',
+                () => gpsProviderService.fetchGPSDataFromProvider(provider, provider.company_id),
+                result => result.trailers.length
+            );
+            const trailers = fetchResult.trailers;
             
             if (trailers && trailers.length > 0) {
                 // Store trailers in database (create/update)
-                const { created, updated } = await this.storeTrailersInDatabase(trailers, provider.company_id);
+                const { created, updated, skipped, failed, items } = await this.storeTrailersInDatabase(trailers, provider);
+                await this.saveSyncCursor(provider, fetchResult);
+                const reconciliation = await this.reconcileTrailers(provider);
+                await this.recordRun(provider, context, {
+                    operationType: REFRESH_OPERATIONS.SYNC,
+                    status: failed > 0 ? REFRESH_LOG_STATUS.PARTIAL : REFRESH_LOG_STATUS.SUCCESS,
+                    startedAt,
+                    trailersProcessed: trailers.length,
+                    trailersCreated: created,
+                    trailersUpdated: updated,
+                    trailersSkipped: skipped,
+                    trailersFailed: failed,
+                    ...this.getReconciliationCounts(reconciliation),
+                    items: [...items, ...reconciliation.items]
+                });
                 
                 // Update provider status
                 await gpsProviderManager.updateProviderStatus(providerId, 'connected', null, trailers.length);
@@ -93,28 +139,78 @@ class RefreshService {
                     trailerCount: trailers.length,
                     created,
                     updated,
+                    reconciliation: this.getReconciliationReport(reconciliation),
                     message: `Successfully synced ${trailers.length} trailers`
                 };
             } else {
                 // Update provider status to disconnected since no data was returned
                 await gpsProviderManager.updateProviderStatus(providerId, 'disconnected', 'No trailers found', 0);
                 logger.warn('No trailers found for provider', { name: provider.name });
+                const reconciliation = await this.reconcileTrailers(provider);
+                await this.recordRun(provider, context, {
+                    operationType: REFRESH_OPERATIONS.SYNC,
+                    status: REFRESH_LOG_STATUS.SUCCESS,
+                    startedAt,
+                    errorMessage: 'No trailers found',
+                    ...this.getReconciliationCounts(reconciliation),
+                    items: reconciliation.items
+                });
                 
                 return {
                     success: true,
                     trailerCount: 0,
                     created: 0,
                     updated: 0,
+                    reconciliation: this.getReconciliationReport(reconciliation),
                     message: 'No trailers found'
                 };
             }
         } catch (error) {
             logger.error(`Provider sync error for ${provider.name}:`, error);
             await gpsProviderManager.updateProviderStatus(providerId, 'disconnected', error.message, 0);
+            await this.recordRun(provider, context, {
+                operationType: REFRESH_OPERATIONS.SYNC,
+                status: REFRESH_LOG_STATUS.FAILED,
+                startedAt,
+                errorMessage: error.message
+            });
             throw error;
         }
     }
 
+    /**
+     * Get the cursor for a delta fetch, or null when a full sync is due
+     * A full sync runs when the provider has no cursor or the last one is older than REFRESH_INTERVALS.GPS_FULL_SYNC.
+     * @param {Object} provider - Provider object
+     * @returns {Promise<string|null>} Sync cursor
+     */
+    static async getSyncCursor(provider) {
+        if (!gpsProviderService.getProvider(provider.type).constructor.supportsDeltaSync) {
+            return null;
+        }
+
+        const { syncCursor, lastFullSync } = await gpsProviderManager.getSyncState(provider.id);
+        if (!syncCursor || !lastFullSync) {
+            return null;
+        }
+
+        const sinceFullSync = Date.now() - new Date(lastFullSync).getTime();
+        return isNaN(sinceFullSync) || sinceFullSync > REFRESH_INTERVALS.GPS_FULL_SYNC ? null : syncCursor;
+    }
+
+    /**
+     * Persist the cursor returned by a provider fetch for the next delta fetch
+     * @param {Object} provider - Provider object
+     * @param {Object} fetchResult - { cursor, fullSync } from the provider fetch
+     */
+    static async saveSyncCursor(provider, fetchResult) {
+        try {
+            await gpsProviderManager.updateSyncState(provider.id, fetchResult.cursor, fetchResult.fullSync);
+        } catch (error) {
+            logger.error(`Error saving sync cursor for provider ${provider.name}:`, error);
+        }
+    }
+
     // ============================================================================
     // 3. REFRESH OPERATION - Update trailer locations only
     // ============================================================================
@@ -171,6 +267,71 @@ class RefreshService {
         }
     }
 
+    /**
+     * Fetch and store the latest locations of one provider (no trailer creation/updates)
+     * Uses a delta fetch when the provider supports it. Callers go through the provider sync
+     * service, which shares fetches and applies concurrency limits, backoff and the circuit breaker.
+     * Every fetch is recorded by the provider health service, and every run in the refresh log.
+     * @param {Object} provider - Provider row with encrypted credentials
+     * @param {Object} context - Run context for the refresh log: { triggerType, userId, jobRunId }
+     * @returns {Promise<Object>} { trailersProcessed, locationsUpdated }
+     */
+    static async refreshProviderLocations(provider, context = {}) {
+        const startedAt = new Date();
+        let fetchResult;
+
+        try {
+            const cursor = await this.getSyncCursor(provider);
+            fetchResult = await providerHealth.track(
+                provider,
+                'refresh',
+                () => gpsProviderService.fetchLocationDataFromProvider(provider, provider.company_id, cursor),
+                result => result.locations.length
+            );
+        } catch (error) {
+            await this.recordRun(provider, context, {
+                operationType: REFRESH_OPERATIONS.REFRESH,
+                status: REFRESH_LOG_STATUS.FAILED,
+                startedAt,
+                errorMessage: error.message
+            });
+            throw error;
+        }
+
+        const locationData = fetchResult.locations;
+        await this.saveSyncCursor(provider, fetchResult);
+        
+        if (!locationData || locationData.length === 0) {
+            logger.debug(`No location data found for provider: ${provider.name}`);
+            const reconciliation = await this.reconcileTrailers(provider);
+            await this.recordRun(provider, context, {
+                operationType: REFRESH_OPERATIONS.REFRESH,
+                status: REFRESH_LOG_STATUS.SUCCESS,
+                startedAt,
+                ...this.getReconciliationCounts(reconciliation),
+                items: reconciliation.items
+            });
+            return { trailersProcessed: 0, locationsUpdated: 0 };
+        }
+        
+        const { updated, skipped, failed, items } = await this.updateTrailerLocationsInDatabase(locationData, provider);
+        console.log(`✅ Updated ${updated} locations for ${locationData.length} trailers from ${provider.name}`);
+        const reconciliation = await this.reconcileTrailers(provider);
+        await this.recordRun(provider, context, {
+            operationType: REFRESH_OPERATIONS.REFRESH,
+            status: failed > 0 ? REFRESH_LOG_STATUS.PARTIAL : REFRESH_LOG_STATUS.SUCCESS,
+            startedAt,
+            trailersProcessed: locationData.length,
+            trailersUpdated: updated,
+            trailersSkipped: skipped,
+            trailersFailed: failed,
+            ...this.getReconciliationCounts(reconciliation),
+            items: [...items, ...reconciliation.items]
+        });
+        
+        return { trailersProcessed: locationData.length, locationsUpdated: updated };
+    }
+
     /**
      * Update trailer locations only (no trailer creation/updates)
      * @param {string} userId - User ID
@@ -199,31 +360,15 @@ class RefreshService {
                 user.tenantId
             );
 
-            let totalTrailersUpdated = 0;
-            let totalLocationsUpdated = 0;
-
-            // Update locations for each provider
-            for (const provider of allProviders.data) {
-                try {
-                    await new Promise(resolve => setTimeout(resolve, RATE_LIMITING.BETWEEN_PROVIDERS));
-                    
-                    // Fetch only location data (no trailer creation/updates)
-                    const locationData = await gpsProviderService.fetchLocationDataFromProvider(provider, provider.company_id);
-                    
-                    if (locationData && locationData.length > 0) {
-                        // Update only trailer locations
-                        const { updated } = await this.updateTrailerLocationsInDatabase(locationData, provider.company_id);
-                        totalTrailersUpdated += locationData.length;
-                        totalLocationsUpdated += updated;
-                        
-                        console.log(`✅ Updated ${updated} locations for ${locationData.length} trailers from ${provider.name}`);
-                    } else {
-                        logger.debug(`No location data found for provider: ${provider.name}`);
-                    }
-                } catch (error) {
-                    logger.error(`Error updating locations for provider ${provider.name}:`, error);
-                }
-            }
+            // Providers shared with other users or a running scheduled job are fetched once
+            const providerSync = require('./provider-sync');
+            const summary = await providerSync.refreshProviders(
+                allProviders.data.filter(provider => !gpsProviderService.isPushProvider(provider.type)),
+                { triggerType, userId }
+            );
+            summary.failures.forEach(failure => logger.error(`Error updating locations for provider ${failure}`));
+            const totalTrailersUpdated = summary.trailersProcessed;
+            const totalLocationsUpdated = summary.locationsUpdated;
 
             const duration = Date.now() - startTime;
 
@@ -255,84 +400,137 @@ class RefreshService {
     }
 
     // ============================================================================
-    // 4. AUTO-REFRESH SYSTEM - Background location updates every hour
+    // 4. PUSH INGESTION - Positions delivered by push providers
     // ============================================================================
 
     /**
-     * Start the auto-refresh system (location updates every hour)
+     * Store positions pushed to a generic push provider
+     * Known trailers get a GPS location update, unknown devices are created under the provider's company and
+     * devices that could be one of several trailers are queued for identity review.
+     * @param {Object} provider - Provider row from database
+     * @param {Array} trailers - Standardized trailer data from the provider service
+     * @returns {Promise<Object>} Counts of created, updated and skipped trailers
      */
-    static startAutoRefreshSystem() {
-        logger.info('Starting auto-refresh system (location updates every hour)');
-        
-        // Location updates every hour
-        setInterval(async () => {
-            try {
-                await this.runScheduledLocationUpdates();
-            } catch (error) {
-                logger.error('Scheduled location update error:', error);
-            }
-        }, 60 * 60 * 1000); // 1 hour
-        
-        // Maintenance alerts every 24 hours
-        setInterval(async () => {
+    static async ingestPushedPositions(provider, trailers) {
+        let created = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        for (const trailer of trailers) {
             try {
-                await this.runScheduledMaintenance();
+                const match = await trailerIdentity.matchDevice(provider, trailer);
+
+                if (match.trailerId) {
+                    const result = await trailerManager.applyLocationUpdate(match.trailerId, {
+                        latitude: trailer.last_latitude,
+                        longitude: trailer.last_longitude,
+                        address: trailer.address,
+                        source: 'gps',
+                        providerId: provider.id,
+                        occurredAtUTC: new Date(trailer.lastUpdate).toISOString()
+                    });
+
+                    await trailerManager.recordPing(match.trailerId, provider.id, trailer.lastUpdate);
+                    await trailerManager.markTrailerAsConnected(match.trailerId);
+                    await this.recordTelemetry(match.trailerId, provider, trailer, trailer.lastUpdate);
+
+                    if (result.skipped) {
+                        skipped++;
+                    } else {
+                        updated++;
+                    }
+                } else if (match.dismissed) {
+                    skipped++;
+                } else if (match.review) {
+                    await trailerIdentity.queueReview(provider, trailer, match.review);
+                    skipped++;
+                } else {
+                    const { id: trailerId } = await trailerManager.createTrailer({
+                        ...trailer,
+                        latitude: trailer.last_latitude,
+                        longitude: trailer.last_longitude,
+                        tenant_id: provider.tenant_id,
+                        provider_id: provider.id,
+                        gps_enabled: true,
+                        gps_status: GPS_STATUS.CONNECTED
+                    }, provider.company_id);
+                    await trailerIdentity.linkCreatedTrailer(provider, trailer, trailerId);
+                    await this.recordTelemetry(trailerId, provider, trailer, trailer.lastUpdate);
+                    created++;
+                }
             } catch (error) {
-                logger.error('Scheduled maintenance error:', error);
+                skipped++;
+                logger.error(`Error ingesting pushed position for device ${trailer.deviceId}:`, error);
             }
-        }, 24 * 60 * 60 * 1000); // 24 hours
-        
-        logger.info('Auto-refresh system started (locations: 1h, maintenance: 24h)');
+        }
+
+        await gpsProviderManager.updateProviderStatus(provider.id, 'connected', null, null);
+
+        return { created, updated, skipped };
     }
 
+    // ============================================================================
+    // UTILITY METHODS
+    // ============================================================================
+
     /**
-     * Run scheduled location updates
+     * Reconcile a provider's trailers against their last ping. Reconciliation failures never fail the run.
+     * @param {Object} provider - Provider row
+     * @returns {Promise<Object>} Reconciliation report { stale, disconnected, archived, reconnected, items }
      */
-    static async runScheduledLocationUpdates() {
-        logger.debug('Running scheduled location updates');
-        
-        const users = await userManager.getAllActiveUsers({ limit: 100 });
-        const tenantGroups = this.groupUsersByTenant(users.data);
-        
-        for (const [tenantId, tenantUsers] of tenantGroups) {
-            try {
-                await this.processTenantLocationUpdates(tenantId, tenantUsers, 'scheduled_location_update');
-            } catch (error) {
-                logger.error(`Tenant location update error for ${tenantId}:`, error);
-            }
+    static async reconcileTrailers(provider) {
+        try {
+            return await trailerReconciliation.reconcileProvider(provider);
+        } catch (error) {
+            logger.error(`Failed to reconcile trailers for provider ${provider.name}:`, error);
+            return { stale: 0, disconnected: 0, archived: 0, reconnected: 0, items: [] };
         }
     }
 
     /**
-     * Process location updates for a tenant with rate limiting
+     * Map a reconciliation report to refresh log counts
+     * @param {Object} reconciliation - Reconciliation report
+     * @returns {Object} Trailer counts for recordRun
      */
-    static async processTenantLocationUpdates(tenantId, users, triggerType) {
-        logger.debug(`Processing location updates for tenant ${tenantId} with ${users.length} users`);
-        
-        for (const user of users) {
-            try {
-                if (!rateLimiter.isAllowed(tenantId, 'location_update', 10, 60000)) {
-                    logger.debug(`Rate limit reached for tenant ${tenantId}, skipping user ${user.id}`);
-                    continue;
-                }
-                
-                await rateLimiter.queueOperation(
-                    tenantId,
-                    'location_update',
-                    () => this.updateTrailerLocations(user.id, triggerType),
-                    { maxOperations: 1, windowMs: 6000, priority: 1 }
-                );
-                
-                await new Promise(resolve => setTimeout(resolve, RATE_LIMITING.BETWEEN_USERS));
-            } catch (error) {
-                console.error(`Tenant location update error for user ${user.id}:`, error.message);
-            }
-        }
+    static getReconciliationCounts({ stale, disconnected, archived, reconnected }) {
+        return {
+            trailersStale: stale,
+            trailersDisconnected: disconnected,
+            trailersArchived: archived,
+            trailersReconnected: reconnected
+        };
     }
 
-    // ============================================================================
-    // UTILITY METHODS
-    // ============================================================================
+    /**
+     * Get the reconciliation report returned to sync callers
+     * @param {Object} reconciliation - Reconciliation report
+     * @returns {Object} { stale, disconnected, archived, reconnected }
+     */
+    static getReconciliationReport({ stale, disconnected, archived, reconnected }) {
+        return { stale, disconnected, archived, reconnected };
+    }
+
+    /**
+     * Record a sync or refresh run in the refresh log. Logging failures never fail the run.
+     * @param {Object} provider - Provider row
+     * @param {Object} context - { triggerType, userId, jobRunId }
+     * @param {Object} run - { operationType, status, startedAt, errorMessage, trailer counts, items }
+     */
+    static async recordRun(provider, context, run) {
+        try {
+            await refreshLogManager.logRun({
+                tenantId: provider.tenant_id,
+                providerId: provider.id,
+                userId: context.userId,
+                triggerType: context.triggerType || 'manual',
+                jobRunId: context.jobRunId,
+                durationMs: run.startedAt ? Date.now() - run.startedAt.getTime() : null,
+                ...run
+            });
+        } catch (error) {
+            logger.error(`Failed to record ${run.operationType} run for provider ${provider.name}:`, error);
+        }
+    }
 
     /**
      * Get refresh status for a user
@@ -349,260 +547,181 @@ class RefreshService {
 
     /**
      * Store trailers in database (for sync operation)
+     * Each device is matched to its trailer by the identity rules (services/trailer-identity.js). Devices that
+     * could be one of several trailers are queued for review and skipped until a reviewer resolves them.
+     * Every stored trailer records a ping; trailers the provider no longer reports are left to reconciliation.
+     * @param {Array} trailers - Standardized trailer data from the provider
+     * @param {Object} provider - Provider row
+     * @returns {Promise<Object>} { created, updated, skipped, failed, items } where items lists the trailers that were not stored
      */
-    static async storeTrailersInDatabase(trailers, providerCompanyId) {
+    static async storeTrailersInDatabase(trailers, provider) {
         let created = 0;
         let updated = 0;
-
-        const existingTrailers = await trailerManager.getAllTrailersForCompany(providerCompanyId, { limit: 1000 });
-        const processedTrailerIds = new Set();
+        let skipped = 0;
+        let failed = 0;
+        const items = [];
 
         for (const trailer of trailers) {
+            const deviceId = trailerIdentity.getDeviceId(trailer);
+
             try {
-                // Try multiple lookup strategies to find existing trailer
-                let existingTrailer = null;
-                
-                // First try by the new external_id format (skybitz_{mtsn})
-                if (trailer.id) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(trailer.id, providerCompanyId);
-                }
-                
-                // If not found, try by originalId (unit number from GPS)
-                if (!existingTrailer && trailer.originalId) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(trailer.originalId, providerCompanyId);
-                }
-                
-                // If not found, try by VIN
-                if (!existingTrailer && trailer.vin) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(trailer.vin, providerCompanyId);
-                }
-                
-                // If still not found, try looking up by the unit number that would be created
-                if (!existingTrailer && trailer.unit_number) {
-                    // Get the tenant ID from the provider company
-                    const provider = await gpsProviderManager.getProviderById(providerCompanyId);
-                    if (provider && provider.tenant_id) {
-                        existingTrailer = await trailerManager.checkUnitNumberExistsInTenant(trailer.unit_number, provider.tenant_id);
+                const match = await trailerIdentity.matchDevice(provider, trailer);
+
+                if (trailer.telemetryOnly) {
+                    // Sensor readings without a position only go to a known trailer; trailers are created from positions
+                    if (match.trailerId) {
+                        await this.recordTelemetry(match.trailerId, provider, trailer, trailer.lastUpdate);
+                        updated++;
+                    } else {
+                        skipped++;
+                        items.push({ deviceId, outcome: REFRESH_ITEM_OUTCOMES.SKIPPED, message: 'Sensor readings without a position' });
                     }
-                }
-                
-                if (existingTrailer) {
-                    await trailerManager.updateTrailer(existingTrailer.id, trailer);
-                    
+                } else if (match.trailerId) {
+                    await this.updateSyncedTrailer(match.trailerId, trailer, match.primary);
+                    await this.recordTelemetry(match.trailerId, provider, trailer, trailer.lastUpdate);
                     updated++;
-                    processedTrailerIds.add(existingTrailer.id);
+                } else if (match.dismissed) {
+                    skipped++;
+                    items.push({ deviceId, outcome: REFRESH_ITEM_OUTCOMES.SKIPPED, message: 'Dismissed in identity review' });
+                } else if (match.review) {
+                    await trailerIdentity.queueReview(provider, trailer, match.review);
+                    skipped++;
+                    items.push({
+                        deviceId,
+                        outcome: REFRESH_ITEM_OUTCOMES.UNMATCHED,
+                        message: `Waiting for identity review - ${match.review.reason}`
+                    });
                 } else {
-                    // Before creating, double-check if a trailer with this unit number already exists
-                    if (trailer.unit_number) {
-                        const provider = await gpsProviderManager.getProviderById(providerCompanyId);
-                        if (provider && provider.tenant_id) {
-                            const duplicateCheck = await trailerManager.checkUnitNumberExistsInTenant(trailer.unit_number, provider.tenant_id);
-                            if (duplicateCheck) {
-                                await trailerManager.updateTrailer(duplicateCheck.id, trailer);
-                                
-                                updated++;
-                                processedTrailerIds.add(duplicateCheck.id);
-                                continue;
-                            }
-                        }
-                    }
-                    
-                    const createResult = await trailerManager.createTrailer(trailer, providerCompanyId);
-                    
+                    const { id: trailerId } = await trailerManager.createTrailer(
+                        { ...trailer, gps_status: GPS_STATUS.CONNECTED },
+                        provider.company_id
+                    );
+                    await trailerIdentity.linkCreatedTrailer(provider, trailer, trailerId);
+                    await this.recordTelemetry(trailerId, provider, trailer, trailer.lastUpdate);
                     created++;
                 }
             } catch (error) {
-                // Handle unique constraint violations specifically
-                if (error.message && error.message.includes('UNIQUE constraint failed: persistent_trailers.tenant_id, external_id')) {
-                    logger.debug(`Unique constraint violation for external_id: ${trailer.id}, attempting to find and update existing trailer`);
-                    
-                    try {
-                        // Get the tenant ID from the provider company
-                        const provider = await gpsProviderManager.getProviderById(providerCompanyId);
-                        if (provider && provider.tenant_id) {
-                                                    // Try to find the existing trailer by external ID
-                        const existingTrailer = await trailerManager.getTrailerByDeviceId(trailer.id, providerCompanyId);
-                        if (existingTrailer) {
-                            await trailerManager.updateTrailer(existingTrailer.id, trailer);
-                            
-                            updated++;
-                            processedTrailerIds.add(existingTrailer.id);
-                        } else {
-                            logger.error(`Could not find existing trailer with external_id ${trailer.id} despite constraint violation`);
-                        }
-                        }
-                    } catch (updateError) {
-                        logger.error(`Error updating existing trailer after constraint violation:`, updateError);
-                    }
-                } else {
-                    logger.error(`Error storing trailer ${trailer.id}:`, error);
-                }
+                logger.error(`Error storing trailer ${deviceId}:`, error);
+                failed++;
+                items.push({ deviceId, outcome: REFRESH_ITEM_OUTCOMES.FAILED, message: error.message });
             }
         }
 
-        // Mark trailers not in this sync as disconnected
-        for (const existingTrailer of existingTrailers.data) {
-            if (!processedTrailerIds.has(existingTrailer.id)) {
-                try {
-                    await trailerManager.markTrailerAsDisconnected(existingTrailer.id);
-                } catch (error) {
-                    logger.error(`Error marking trailer ${existingTrailer.id} as disconnected:`, error);
-                }
-            }
-        }
+        return { created, updated, skipped, failed, items };
+    }
+
+    /**
+     * Store the door, cargo, reefer and battery readings reported with a position
+     * @param {string} trailerId - Trailer the device reports for
+     * @param {Object} provider - Provider row
+     * @param {Object} data - Standardized trailer or location data
+     * @param {Date|string} reportedAt - Time of the position, used for sensors without their own time
+     */
+    static async recordTelemetry(trailerId, provider, data, reportedAt) {
+        const fallbackTime = reportedAt ? new Date(reportedAt).toISOString() : null;
+        await trailerTelemetry.recordTelemetry({ id: trailerId, tenantId: provider.tenant_id }, provider.id, data, fallbackTime);
+    }
 
-        return { created, updated };
+    /**
+     * Update a trailer from sync data and record the provider's ping
+     * Only the device the trailer was created for renames it. A device that does not report a VIN, plate or
+     * model keeps the one on record, which may come from another provider.
+     * @param {string} trailerId - Trailer ID
+     * @param {Object} trailer - Standardized trailer data from the provider
+     * @param {boolean} primary - Whether the trailer was created for this device
+     */
+    static async updateSyncedTrailer(trailerId, trailer, primary) {
+        const reported = Object.fromEntries(
+            Object.entries(trailer).filter(([field, value]) => !IDENTITY_FIELDS.includes(field) || (value !== null && value !== ''))
+        );
+        if (!primary) {
+            delete reported.unit_number;
+        }
+        await trailerManager.updateTrailer(trailerId, reported);
+        await trailerManager.recordPing(trailerId, trailer.provider_id, trailer.lastUpdate);
     }
 
     /**
      * Update trailer locations only (for refresh operation)
+     * Locations are matched to trailers by the identity rules but never create trailers or review entries -
+     * that is left to the next sync. Every matched trailer records a ping, whether or not its location changed.
+     * @param {Array} locationData - Location data from the provider
+     * @param {Object} provider - Provider row
+     * @returns {Promise<Object>} { updated, skipped, failed, items } where items lists the locations that
+     *   did not update a trailer and why
      */
-    static async updateTrailerLocationsInDatabase(locationData, providerCompanyId) {
+    static async updateTrailerLocationsInDatabase(locationData, provider) {
         let updated = 0;
+        let skipped = 0;
+        let failed = 0;
+        const items = [];
 
         for (const location of locationData) {
             try {
-                // Try multiple lookup strategies
-                let existingTrailer = null;
-                
-                // First try by originalId (unit number from GPS)
-                if (location.originalId) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(location.originalId, providerCompanyId);
-                }
-                
-                // Then try by VIN
-                if (!existingTrailer && location.vin) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(location.vin, providerCompanyId);
-                }
+                const match = await trailerIdentity.matchDevice(provider, location);
                 
-                // Finally try by the full ID (as fallback)
-                if (!existingTrailer) {
-                    existingTrailer = await trailerManager.getTrailerByDeviceId(location.id, providerCompanyId);
-                }
-                
-                if (existingTrailer) {
+                if (match.trailerId && location.telemetryOnly) {
+                    // Sensor readings without a new position
+                    await this.recordTelemetry(match.trailerId, provider, location, location.timestamp);
+                    updated++;
+                } else if (match.trailerId) {
                     // Update location data using unified function with GPS source
                     const locationUpdate = {
                         latitude: location.latitude,
                         longitude: location.longitude,
                         address: location.address,
                         source: 'gps',
+                        providerId: provider.id,
                         occurredAtUTC: location.timestamp || new Date().toISOString()
                     };
                     
-                    const result = await trailerManager.applyLocationUpdate(existingTrailer.id, locationUpdate);
+                    const result = await trailerManager.applyLocationUpdate(match.trailerId, locationUpdate);
+                    await trailerManager.recordPing(match.trailerId, provider.id, location.timestamp);
+                    await this.recordTelemetry(match.trailerId, provider, location, location.timestamp);
                     
                     if (!result.skipped) {
                         updated++;
+                    } else {
+                        skipped++;
+                        items.push({
+                            trailerId: match.trailerId,
+                            deviceId: location.id,
+                            outcome: REFRESH_ITEM_OUTCOMES.SKIPPED,
+                            message: result.message
+                        });
                     }
+                } else {
+                    skipped++;
+                    items.push({
+                        deviceId: location.id,
+                        outcome: REFRESH_ITEM_OUTCOMES.UNMATCHED,
+                        message: this.getUnmatchedMessage(match)
+                    });
                 }
             } catch (error) {
                 logger.error(`Error updating location for trailer ${location.id}:`, error);
+                failed++;
+                items.push({ deviceId: location.id, outcome: REFRESH_ITEM_OUTCOMES.FAILED, message: error.message });
             }
         }
 
-        return { updated };
-    }
-
-    /**
-     * Run scheduled maintenance updates
-     */
-    static async runScheduledMaintenance() {
-        logger.debug('Running scheduled maintenance updates');
-        
-        const users = await userManager.getAllActiveUsers({ limit: 100 });
-        const tenantGroups = this.groupUsersByTenant(users.data);
-        
-        for (const [tenantId, tenantUsers] of tenantGroups) {
-            try {
-                await this.processTenantMaintenance(tenantId, tenantUsers);
-            } catch (error) {
-                logger.error(`Tenant maintenance error for ${tenantId}:`, error);
-            }
-        }
-    }
-
-    /**
-     * Process maintenance for a tenant with rate limiting
-     */
-    static async processTenantMaintenance(tenantId, users) {
-        logger.debug(`Processing maintenance for tenant ${tenantId} with ${users.length} users`);
-        
-        for (const user of users) {
-            try {
-                if (!rateLimiter.isAllowed(tenantId, 'maintenance', 10, 60000)) {
-                    logger.debug(`Rate limit reached for tenant ${tenantId}, skipping user ${user.id}`);
-                    continue;
-                }
-                
-                await rateLimiter.queueOperation(
-                    tenantId,
-                    'maintenance',
-                    () => this.updateMaintenanceAlerts(user.id),
-                    { maxOperations: 1, windowMs: 6000, priority: 2 }
-                );
-                
-                await new Promise(resolve => setTimeout(resolve, RATE_LIMITING.BETWEEN_USERS));
-            } catch (error) {
-                logger.error(`Tenant maintenance error for user ${user.id}:`, error.message);
-            }
-        }
+        return { updated, skipped, failed, items };
     }
 
     /**
-     * Update maintenance alerts for a user
+     * Explain why a refreshed location matched no trailer
+     * @param {Object} match - Unmatched result of trailerIdentity.matchDevice
+     * @returns {string} Refresh log message
      */
-    static async updateMaintenanceAlerts(userId) {
-        try {
-            logger.debug(`Updating maintenance alerts for user: ${userId}`);
-            
-            const user = await userManager.getUserProfile(userId);
-            const companies = await cacheService.cached(
-                CACHE_KEYS.COMPANY_DATA,
-                () => companyManager.getUserCompanies(userId, user.tenantId, null, null, { limit: 100 }),
-                user.tenantId
-            );
-            
-            const { maintenanceManager } = require('../database/database-manager');
-            
-            for (const company of companies.data) {
-                try {
-                    const trailers = await trailerManager.getAllTrailersForCompany(company.id, { limit: 1000 });
-                    
-                    for (const trailer of trailers.data) {
-                        try {
-                            await maintenanceManager.checkAndCreateAlerts(trailer.id);
-                        } catch (error) {
-                            logger.error(`Error checking maintenance for trailer ${trailer.id}:`, error);
-                        }
-                    }
-                } catch (error) {
-                    logger.error(`Error updating maintenance for company ${company.id}:`, error);
-                }
-            }
-            
-            logger.debug(`Maintenance alerts updated for user: ${userId}`);
-        } catch (error) {
-            logger.error(`Error updating maintenance alerts for user: ${userId}`, error);
+    static getUnmatchedMessage(match) {
+        if (match.dismissed) {
+            return 'Dismissed in identity review';
         }
-    }
-
-    /**
-     * Group users by tenant
-     */
-    static groupUsersByTenant(users) {
-        const tenantGroups = new Map();
-        for (const user of users) {
-            const tenantId = user.tenantId || 'default';
-            if (!tenantGroups.has(tenantId)) {
-                tenantGroups.set(tenantId, []);
-            }
-            tenantGroups.get(tenantId).push(user);
+        if (match.review) {
+            return `Waiting for identity review - ${match.review.reason}`;
         }
-        return tenantGroups;
+        return 'No trailer matches this device - run a sync to create it';
     }
-
-
 }
 
 module.exports = RefreshService; 
@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { getDatabaseConnection, DB_PATH } = require('../database/database-initializer');
+const { runMigrations } = require('../database/migration-runner');
+const { DATABASE_BACKUP, TIME_CONSTANTS } = require('../utils/constants');
+const cacheService = require('./cache-service');
+const logger = require('../utils/logger');
+
+const BACKUP_ID_PATTERN = /^fleet_management-\d{8}T\d{9}Z$/;
+
+/**
+ * Database backup service
+ * Takes consistent snapshots of the live SQLite database with SQLite's online backup API
+ * (writers are not blocked while pages are copied), verifies them and restores them in place.
+ *
+ * Each snapshot is a <id>.db file with a <id>.json sidecar holding its SHA-256 checksum,
+ * size, schema version and what triggered it. Snapshots live in DB_BACKUP_DIR
+ * (default: backups/ next to the database file).
+ */
+class BackupService {
+    constructor() {
+        this.busy = false;
+        this.timer = null;
+        this.nextRunAt = null;
+        this.lastRun = null;
+    }
+
+    get backupDir() {
+        return process.env.DB_BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups');
+    }
+
+    isBusy() {
+        return this.busy;
+    }
+
+    /**
+     * Start scheduled backups. Takes a snapshot shortly after startup when the newest
+     * scheduled snapshot is older than the interval.
+     */
+    start() {
+        if (this.timer || DATABASE_BACKUP.INTERVAL <= 0) {
+            return;
+        }
+
+        const latest = this.listBackups().find(backup => backup.trigger === 'scheduled');
+        const age = latest ? Date.now() - new Date(latest.createdAt).getTime() : Infinity;
+        const firstDelay = age >= DATABASE_BACKUP.INTERVAL
+            ? TIME_CONSTANTS.MINUTE
+            : DATABASE_BACKUP.INTERVAL - age;
+
+        const schedule = delay => {
+            this.nextRunAt = new Date(Date.now() + delay).toISOString();
+            this.timer = setTimeout(async () => {
+                await this.runScheduledBackup();
+                schedule(DATABASE_BACKUP.INTERVAL);
+            }, delay);
+            this.timer.unref();
+        };
+
+        schedule(firstDelay);
+        logger.info(`Database backups scheduled every ${DATABASE_BACKUP.INTERVAL / TIME_CONSTANTS.HOUR}h, next at ${this.nextRunAt}`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.nextRunAt = null;
+        }
+    }
+
+    async runScheduledBackup() {
+        if (this.busy) {
+            logger.warn('Skipping scheduled database backup - another backup or restore is running');
+            return;
+        }
+
+        try {
+            const backup = await this.createBackup({ trigger: 'scheduled' });
+            this.lastRun = { at: backup.createdAt, success: true, backupId: backup.id };
+        } catch (error) {
+            logger.error('Scheduled database backup failed:', error);
+            this.lastRun = { at: new Date().toISOString(), success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Schedule, retention and storage details
+     */
+    getStatus() {
+        return {
+            directory: this.backupDir,
+            busy: this.busy,
+            schedule: {
+                enabled: DATABASE_BACKUP.INTERVAL > 0,
+                intervalHours: DATABASE_BACKUP.INTERVAL / TIME_CONSTANTS.HOUR,
+                nextRunAt: this.nextRunAt,
+                lastRun: this.lastRun
+            },
+            retention: {
+                keepLast: DATABASE_BACKUP.KEEP_LAST,
+                keepDaily: DATABASE_BACKUP.KEEP_DAILY,
+                keepWeekly: DATABASE_BACKUP.KEEP_WEEKLY
+            }
+        };
+    }
+
+    /**
+     * Run a backup or restore, refusing to start while another one is running
+     */
+    async exclusive(operation) {
+        if (this.busy) {
+            throw new Error('Another backup or restore is already running');
+        }
+
+        this.busy = true;
+        try {
+            return await operation();
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Take a snapshot of the live database
+     * @param {Object} options - { trigger: 'scheduled' | 'manual' | 'pre-restore' | 'pre-cleanup', note }
+     * @returns {Promise<Object>} Snapshot metadata
+     */
+    async createBackup({ trigger = 'manual', note = null } = {}) {
+        return this.exclusive(() => this.writeBackup(trigger, note));
+    }
+
+    async writeBackup(trigger, note) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+
+        const createdAt = new Date();
+        const id = `fleet_management-${createdAt.toISOString().replace(/[-:.]/g, '')}`;
+        const filePath = this.getBackupPath(id);
+        const partialPath = `${filePath}.partial`;
+        const startTime = Date.now();
+
+        try {
+            const pageCount = await this.copyDatabase(getDatabaseConnection(), partialPath, true);
+            await this.detachFromWal(partialPath);
+            const { integrity, schemaVersion } = await this.inspectSnapshot(partialPath);
+            if (integrity !== 'ok') {
+                throw new Error(`Snapshot failed integrity check: ${integrity}`);
+            }
+
+            const metadata = {
+                id,
+                createdAt: createdAt.toISOString(),
+                trigger,
+                note,
+                sizeBytes: fs.statSync(partialPath).size,
+                pageCount,
+                schemaVersion,
+                sha256: await this.hashFile(partialPath),
+                durationMs: Date.now() - startTime
+            };
+
+            fs.renameSync(partialPath, filePath);
+            fs.writeFileSync(this.getMetadataPath(id), JSON.stringify(metadata, null, 2));
+            logger.info(`Database backup ${id} created (${trigger}, ${metadata.sizeBytes} bytes)`);
+
+            this.applyRetention();
+            return metadata;
+        } catch (error) {
+            for (const file of [partialPath, `${partialPath}-wal`, `${partialPath}-shm`]) {
+                fs.rmSync(file, { force: true });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Copy pages between the live database and a file with the online backup API
+     * @param {Object} db - Live database connection
+     * @param {string} filename - Snapshot file
+     * @param {boolean} filenameIsDest - true to copy into the file, false to copy the file into the database
+     * @returns {Promise<number>} Pages copied
+     */
+    copyDatabase(db, filename, filenameIsDest) {
+        return new Promise((resolve, reject) => {
+            const backup = db.backup(filename, 'main', 'main', filenameIsDest, (initError) => {
+                if (initError) {
+                    reject(initError);
+                    return;
+                }
+
+                const step = () => {
+                    backup.step(DATABASE_BACKUP.PAGES_PER_STEP, (stepError) => {
+                        if (stepError || backup.failed) {
+                            backup.finish(() => reject(stepError || new Error('Database backup failed')));
+                        } else if (backup.completed) {
+                            const pageCount = backup.pageCount;
+                            backup.finish(() => resolve(pageCount));
+                        } else {
+                            setImmediate(step);
+                        }
+                    });
+                };
+                step();
+            });
+        });
+    }
+
+    /**
+     * Switch a snapshot to rollback journal mode. Snapshots inherit WAL mode from the live
+     * database, which would leave -wal/-shm files next to them whenever they are opened.
+     * @param {string} filename - Snapshot file
+     */
+    async detachFromWal(filename) {
+        const snapshot = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(filename, err => err ? reject(err) : resolve(db));
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                snapshot.run('PRAGMA journal_mode = DELETE', err => err ? reject(err) : resolve());
+            });
+        } finally {
+            await new Promise(resolve => snapshot.close(() => resolve()));
+        }
+    }
+
+    /**
+     * Run SQLite's integrity check on a snapshot and read its migration version
+     * @param {string} filename - Snapshot file
+     * @returns {Promise<Object>} { integrity, schemaVersion }
+     */
+    async inspectSnapshot(filename) {
+        const snapshot = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(filename, sqlite3.OPEN_READONLY, err => err ? reject(err) : resolve(db));
+        });
+        const get = sql => new Promise((resolve, reject) => {
+            snapshot.get(sql, (err, row) => err ? reject(err) : resolve(row));
+        });
+
+        try {
+            const { integrity_check: integrity } = await get('PRAGMA integrity_check');
+            const version = await get('SELECT MAX(version) AS version FROM schema_migrations').catch(() => null);
+            return { integrity, schemaVersion: version ? version.version : null };
+        } finally {
+            await new Promise(resolve => snapshot.close(() => resolve()));
+        }
+    }
+
+    hashFile(filename) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filename)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    getBackupPath(id) {
+        return path.join(this.backupDir, `${id}.db`);
+    }
+
+    getMetadataPath(id) {
+        return path.join(this.backupDir, `${id}.json`);
+    }
+
+    /**
+     * List snapshots, newest first
+     * @returns {Array<Object>} Snapshot metadata
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    const metadata = JSON.parse(fs.readFileSync(path.join(this.backupDir, file), 'utf8'));
+                    return BACKUP_ID_PATTERN.test(metadata.id) && fs.existsSync(this.getBackupPath(metadata.id))
+                        ? metadata
+                        : null;
+                } catch (error) {
+                    logger.warn(`Ignoring unreadable backup metadata ${file}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a snapshot by ID
+     * @param {string} id - Snapshot ID
+     * @returns {Object|null} Snapshot metadata
+     */
+    getBackup(id) {
+        if (!BACKUP_ID_PATTERN.test(id)) {
+            return null;
+        }
+        return this.listBackups().find(backup => backup.id === id) || null;
+    }
+
+    /**
+     * Check a snapshot against its recorded checksum and run the integrity check
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} { valid, checksumMatches, integrity }
+     */
+    async verifyBackup(id) {
+        const backup = this.getBackup(id);
+        if (!backup) {
+            throw new Error('Backup not found');
+        }
+
+        const filePath = this.getBackupPath(id);
+        const checksumMatches = await this.hashFile(filePath) === backup.sha256;
+        const { integrity } = checksumMatches ? await this.inspectSnapshot(filePath) : { integrity: null };
+
+        return {
+            valid: checksumMatches && integrity === 'ok',
+            checksumMatches,
+            integrity
+        };
+    }
+
+    /**
+     * Replace the live database contents with a snapshot. The current contents are saved
+     * as a pre-restore snapshot first, and migrations newer than the snapshot are re-applied.
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} { restored, preRestoreBackup, migrationsApplied }
+     */
+    async restoreBackup(id) {
+        return this.exclusive(async () => {
+            const verification = await this.verifyBackup(id);
+            if (!verification.valid) {
+                throw new Error(verification.checksumMatches
+                    ? `Backup failed integrity check: ${verification.integrity}`
+                    : 'Backup checksum does not match - the file is corrupt or was modified');
+            }
+
+            const restored = this.getBackup(id);
+            const preRestoreBackup = await this.writeBackup('pre-restore', `Before restoring ${id}`);
+
+            const db = getDatabaseConnection();
+            await this.copyDatabase(db, this.getBackupPath(id), false);
+            const migrationsApplied = await runMigrations(db);
+            cacheService.clear();
+
+            logger.warn(`Database restored from backup ${id} (previous state saved as ${preRestoreBackup.id})`);
+            return {
+                restored,
+                preRestoreBackup,
+                migrationsApplied: migrationsApplied.map(migration => migration.version)
+            };
+        });
+    }
+
+    /**
+     * Delete snapshots outside the retention rules: the newest KEEP_LAST, plus the newest
+     * snapshot of each of the last KEEP_DAILY days and KEEP_WEEKLY weeks that have one
+     * @returns {Array<string>} Deleted snapshot IDs
+     */
+    applyRetention() {
+        const backups = this.listBackups();
+        const keep = new Set(backups.slice(0, DATABASE_BACKUP.KEEP_LAST).map(backup => backup.id));
+
+        const keepNewestPerPeriod = (getPeriod, periods) => {
+            const seen = new Set();
+            for (const backup of backups) {
+                const period = getPeriod(new Date(backup.createdAt));
+                if (!seen.has(period)) {
+                    if (seen.size >= periods) {
+                        break;
+                    }
+                    seen.add(period);
+                    keep.add(backup.id);
+                }
+            }
+        };
+
+        keepNewestPerPeriod(date => date.toISOString().slice(0, 10), DATABASE_BACKUP.KEEP_DAILY);
+        // Weeks start on Monday (UTC)
+        keepNewestPerPeriod(date => {
+            const monday = new Date(date);
+            monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return monday.toISOString().slice(0, 10);
+        }, DATABASE_BACKUP.KEEP_WEEKLY);
+
+        const deleted = backups.filter(backup => !keep.has(backup.id)).map(backup => backup.id);
+        for (const id of deleted) {
+            fs.rmSync(this.getBackupPath(id), { force: true });
+            fs.rmSync(this.getMetadataPath(id), { force: true });
+        }
+
+        if (deleted.length > 0) {
+            logger.info(`Removed ${deleted.length} database backup(s) outside the retention window`);
+        }
+        return deleted;
+    }
+}
+
+module.exports = new BackupService();
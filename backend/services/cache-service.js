@@ -183,10 +183,10 @@ class CacheService {
      * Start periodic cleanup of expired entries
      */
     startCleanupInterval() {
-        // Clean up expired entries every 5 minutes
+        // Clean up expired entries every 5 minutes - without keeping scripts that use the cache alive
         setInterval(() => {
             this.cleanupExpired();
-        }, 5 * 60 * 1000);
+        }, 5 * 60 * 1000).unref();
     }
 
     /**
@@ -0,0 +1,171 @@
+const { deviceHealthManager, maintenanceManager } = require('../database/database-manager');
+const { DEVICE_HEALTH, DEVICE_HEALTH_STATUS, DEVICE_HEALTH_ISSUES, MAINTENANCE_SEVERITY } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const ISSUE_TITLES = {
+    [DEVICE_HEALTH_ISSUES.LOW_BATTERY]: 'Tracker battery low',
+    [DEVICE_HEALTH_ISSUES.NOT_REPORTING]: 'Tracker not reporting',
+    [DEVICE_HEALTH_ISSUES.SLOW_REPORTING]: 'Tracker reporting slowly'
+};
+
+const STATUS_ORDER = [
+    DEVICE_HEALTH_STATUS.CRITICAL,
+    DEVICE_HEALTH_STATUS.WARNING,
+    DEVICE_HEALTH_STATUS.UNKNOWN,
+    DEVICE_HEALTH_STATUS.HEALTHY
+];
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+const formatHours = (minutes) => (minutes < 120 ? `${Math.round(minutes)} minutes` : `${(minutes / 60).toFixed(1)} hours`);
+
+/**
+ * Device Health Service
+ * Derives the health of each trailer's GPS tracker from its sync data: the time since its last ping
+ * against the provider's stale and disconnect thresholds, its running average reporting interval and
+ * its latest battery voltage reading. Each issue found is raised as a device_* maintenance alert, one
+ * open alert per trailer and issue, which is resolved once the issue clears.
+ */
+class DeviceHealthService {
+    /**
+     * Assess one tracker
+     * @param {Object} device - Row from DeviceHealthManager.getDevices
+     * @returns {Object} Device health with status and issues [{ type, severity, message }]
+     */
+    assess(device) {
+        const issues = [];
+
+        if (device.minutesSincePing !== null) {
+            const hoursSincePing = device.minutesSincePing / 60;
+            if (hoursSincePing >= device.staleAfterHours) {
+                issues.push({
+                    type: DEVICE_HEALTH_ISSUES.NOT_REPORTING,
+                    severity: hoursSincePing >= device.disconnectAfterHours ? MAINTENANCE_SEVERITY.CRITICAL : MAINTENANCE_SEVERITY.WARNING,
+                    message: `No ping for ${formatHours(device.minutesSincePing)}, last at ${device.lastPingAt}`
+                });
+            } else if (device.pingIntervalMinutes !== null && device.pingIntervalMinutes / 60 > DEVICE_HEALTH.SLOW_REPORTING_HOURS) {
+                issues.push({
+                    type: DEVICE_HEALTH_ISSUES.SLOW_REPORTING,
+                    severity: MAINTENANCE_SEVERITY.WARNING,
+                    message: `Reporting every ${formatHours(device.pingIntervalMinutes)} on average`
+                });
+            }
+        }
+
+        if (device.batteryVoltage !== null && device.batteryVoltage < DEVICE_HEALTH.LOW_BATTERY_VOLTS) {
+            issues.push({
+                type: DEVICE_HEALTH_ISSUES.LOW_BATTERY,
+                severity: device.batteryVoltage < DEVICE_HEALTH.CRITICAL_BATTERY_VOLTS ? MAINTENANCE_SEVERITY.CRITICAL : MAINTENANCE_SEVERITY.WARNING,
+                message: `Battery at ${device.batteryVoltage.toFixed(2)} V on ${device.batteryRecordedAt}`
+            });
+        }
+
+        let status = device.lastPingAt ? DEVICE_HEALTH_STATUS.HEALTHY : DEVICE_HEALTH_STATUS.UNKNOWN;
+        if (issues.length > 0) {
+            status = issues.some(issue => issue.severity === MAINTENANCE_SEVERITY.CRITICAL)
+                ? DEVICE_HEALTH_STATUS.CRITICAL
+                : DEVICE_HEALTH_STATUS.WARNING;
+        }
+
+        return {
+            trailerId: device.trailerId,
+            unitNumber: device.unitNumber,
+            companyId: device.companyId,
+            providerId: device.providerId,
+            providerName: device.providerName,
+            gpsStatus: device.gpsStatus,
+            lastPingAt: device.lastPingAt,
+            minutesSincePing: round(device.minutesSincePing),
+            pingIntervalMinutes: round(device.pingIntervalMinutes),
+            batteryVoltage: round(device.batteryVoltage, 2),
+            batteryRecordedAt: device.batteryRecordedAt,
+            status,
+            issues
+        };
+    }
+
+    /**
+     * Get the health of a tenant's trackers, the worst first
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { needsAttention: only trackers with issues, trailerId }
+     * @returns {Promise<Object>} { data, summary } where summary counts the trackers by status
+     */
+    async getDeviceHealth(tenantId, { needsAttention = false, trailerId } = {}) {
+        const devices = (await deviceHealthManager.getDevices(tenantId, { trailerId })).map(device => this.assess(device));
+
+        const summary = { total: devices.length };
+        for (const status of Object.values(DEVICE_HEALTH_STATUS)) {
+            summary[status] = devices.filter(device => device.status === status).length;
+        }
+
+        const data = devices
+            .filter(device => !needsAttention || device.issues.length > 0)
+            .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+                || (b.minutesSincePing || 0) - (a.minutesSincePing || 0));
+
+        return { data, summary };
+    }
+
+    /**
+     * Raise, update and resolve the device_* maintenance alerts of a tenant's trackers
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise<Object>} { devicesChecked, alertsCreated, alertsResolved }
+     */
+    async checkTenantAlerts(tenantId) {
+        const [{ data: devices }, openAlerts] = await Promise.all([
+            this.getDeviceHealth(tenantId),
+            deviceHealthManager.getOpenDeviceAlerts(tenantId)
+        ]);
+
+        const alertsByKey = new Map(openAlerts.map(alert => [`${alert.trailerId}:${alert.type}`, alert]));
+        let alertsCreated = 0;
+        let alertsResolved = 0;
+
+        for (const device of devices) {
+            for (const issue of device.issues) {
+                const type = DEVICE_HEALTH.ALERT_TYPE_PREFIX + issue.type;
+                const key = `${device.trailerId}:${type}`;
+                const existing = alertsByKey.get(key);
+                alertsByKey.delete(key);
+
+                try {
+                    if (!existing) {
+                        await maintenanceManager.createMaintenanceAlert(device.trailerId, {
+                            type,
+                            severity: issue.severity,
+                            title: `${ISSUE_TITLES[issue.type]} - ${device.unitNumber}`,
+                            description: issue.message
+                        });
+                        alertsCreated++;
+                    } else if (existing.severity !== issue.severity) {
+                        await maintenanceManager.updateMaintenanceAlert(existing.id, {
+                            severity: issue.severity,
+                            description: issue.message
+                        });
+                    }
+                } catch (error) {
+                    logger.error(`Failed to raise ${type} alert for trailer ${device.trailerId}:`, error);
+                }
+            }
+        }
+
+        // Alerts left over are for issues that cleared or trackers no longer monitored
+        const devicesById = new Map(devices.map(device => [device.trailerId, device]));
+        for (const alert of alertsByKey.values()) {
+            const device = devicesById.get(alert.trailerId);
+            const message = device
+                ? `Cleared, last ping ${device.lastPingAt}${device.batteryVoltage !== null ? `, battery ${device.batteryVoltage.toFixed(2)} V` : ''}`
+                : 'Tracker no longer monitored';
+            try {
+                await maintenanceManager.resolveMaintenanceAlert(alert.id, message);
+                alertsResolved++;
+            } catch (error) {
+                logger.error(`Failed to resolve device alert ${alert.id}:`, error);
+            }
+        }
+
+        return { devicesChecked: devices.length, alertsCreated, alertsResolved };
+    }
+}
+
+module.exports = new DeviceHealthService();
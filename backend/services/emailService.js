@@ -21,6 +21,42 @@ class EmailService {
         return this.sendEmail(userEmail, subject, html, text);
     }
 
+    /**
+     * Send a GPS provider health alert to a tenant admin
+     * @param {string} userEmail - Recipient
+     * @param {string} userName - Recipient first name
+     * @param {Object} alert - { title, message, providerName, detail }
+     */
+    async sendProviderAlertEmail(userEmail, userName, alert) {
+        const subject = `${alert.title} - FleetTracker`;
+        const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <h2>Hello ${userName},</h2>
+    <p>${alert.message}</p>
+    ${alert.detail ? `<p style="background: #f1f5f9; padding: 10px; border-radius: 4px;">${alert.detail}</p>` : ''}
+    <p>You can review the provider's health history under Settings &rarr; GPS Providers.</p>
+    <p>Best regards,<br>The FleetTracker Team</p>
+</body>
+</html>
+        `;
+        const text = `
+${alert.title}
+
+Hello ${userName},
+
+${alert.message}
+${alert.detail ? `\n${alert.detail}\n` : ''}
+You can review the provider's health history under Settings > GPS Providers.
+
+Best regards,
+The FleetTracker Team
+        `;
+
+        return this.sendEmail(userEmail, subject, html, text);
+    }
+
     /**
      * Send email (currently logs to console)
      */
@@ -0,0 +1,138 @@
+// Registered geocoder instances keyed by backend type
+const registeredGeocoders = new Map();
+
+/**
+ * Base Geocoder
+ * Abstract base class for reverse/forward geocoding backends
+ *
+ * Subclasses describe themselves through static fields and call
+ * BaseGeocoder.register() when their module is loaded:
+ *   - type: key used in GEOCODER_BACKENDS
+ *   - displayName: label used in logs
+ *
+ * Results use the Google Geocoding shape so callers can format any backend the same way:
+ *   reverseGeocode -> { formatted_address, place_id, components: [{ long_name, short_name, types }] }
+ *   geocodeAddress -> { lat, lng, formatted_address, place_id }
+ */
+class BaseGeocoder {
+    static type = null;
+    static displayName = null;
+
+    constructor() {
+        // Set when the backend reports a quota/rate limit so the chain skips it for a while
+        this.unavailableUntil = 0;
+    }
+
+    /**
+     * Register a geocoder class so it can be resolved by type
+     * @param {Function} GeocoderClass - Subclass of BaseGeocoder
+     * @returns {BaseGeocoder} Registered geocoder instance
+     */
+    static register(GeocoderClass) {
+        if (!(GeocoderClass.prototype instanceof BaseGeocoder)) {
+            throw new Error('Geocoders must extend BaseGeocoder');
+        }
+
+        const type = GeocoderClass.type && GeocoderClass.type.toLowerCase();
+        if (!type) {
+            throw new Error(`Geocoder ${GeocoderClass.name} must define a static type`);
+        }
+        if (registeredGeocoders.has(type)) {
+            throw new Error(`Geocoder type already registered: ${type}`);
+        }
+
+        const instance = new GeocoderClass();
+        registeredGeocoders.set(type, instance);
+        return instance;
+    }
+
+    /**
+     * Get a registered geocoder instance by type
+     * @param {string} geocoderType - Geocoder type
+     * @returns {BaseGeocoder} Geocoder instance
+     */
+    static getGeocoder(geocoderType) {
+        const geocoder = geocoderType ? registeredGeocoders.get(geocoderType.toLowerCase()) : null;
+        if (!geocoder) {
+            throw new Error(`Unsupported geocoder type: ${geocoderType}`);
+        }
+        return geocoder;
+    }
+
+    /**
+     * Check whether a geocoder type is registered
+     * @param {string} geocoderType - Geocoder type
+     * @returns {boolean} True if registered
+     */
+    static isRegistered(geocoderType) {
+        return !!geocoderType && registeredGeocoders.has(geocoderType.toLowerCase());
+    }
+
+    /**
+     * Get all registered geocoder types
+     * @returns {Array<string>} Geocoder types
+     */
+    static getRegisteredTypes() {
+        return Array.from(registeredGeocoders.keys());
+    }
+
+    /**
+     * Whether the backend is configured (API key, dataset, ...)
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Whether the backend can be used right now
+     * @returns {boolean} True if configured and not cooling down after a quota error
+     */
+    isAvailable() {
+        return this.isConfigured() && Date.now() >= this.unavailableUntil;
+    }
+
+    /**
+     * Skip this backend for a while, e.g. after a quota or rate limit error
+     * @param {number} durationMs - How long to skip the backend
+     */
+    markUnavailable(durationMs) {
+        this.unavailableUntil = Date.now() + durationMs;
+    }
+
+    /**
+     * Convert coordinates to an address
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Promise<Object>} { formatted_address, place_id, components }
+     */
+    async reverseGeocode(lat, lng) {
+        throw new Error(`${this.constructor.displayName} does not support reverse geocoding`);
+    }
+
+    /**
+     * Convert an address to coordinates
+     * @param {string} address - Address to geocode
+     * @returns {Promise<Object>} { lat, lng, formatted_address, place_id }
+     */
+    async geocodeAddress(address) {
+        throw new Error(`${this.constructor.displayName} does not support address geocoding`);
+    }
+
+    /**
+     * Build a Google-style address component
+     * @param {string} longName - Full name
+     * @param {string} shortName - Abbreviated name
+     * @param {Array<string>} types - Component types (locality, administrative_area_level_1, ...)
+     * @returns {Object} Address component
+     */
+    createComponent(longName, shortName, types) {
+        return {
+            long_name: longName,
+            short_name: shortName || longName,
+            types
+        };
+    }
+}
+
+module.exports = BaseGeocoder;
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const BaseGeocoder = require('./base-geocoder');
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const REQUEST_TIMEOUT_MS = 10000;
+// Skip Google for this long after OVER_QUERY_LIMIT so the rest of the chain takes over
+const QUOTA_COOLDOWN_MS = 15 * 60 * 1000;
+
+/**
+ * Google Geocoding API backend
+ * Requires GOOGLE_MAPS_API_KEY
+ */
+class GoogleGeocoder extends BaseGeocoder {
+    static type = 'google';
+    static displayName = 'Google Geocoding';
+
+    get apiKey() {
+        return process.env.GOOGLE_MAPS_API_KEY;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Call the Geocoding API and return the first result
+     * @param {Object} params - Query parameters (address or latlng)
+     * @returns {Promise<Object>} First Google result
+     */
+    async request(params) {
+        let response;
+        try {
+            response = await axios.get(GEOCODE_URL, {
+                params: { ...params, key: this.apiKey },
+                timeout: REQUEST_TIMEOUT_MS
+            });
+        } catch (error) {
+            if (error.response) {
+                throw new Error(`Google Maps API error: ${error.response.status} - ${error.response.statusText}`);
+            }
+            throw error;
+        }
+
+        const { status, results } = response.data;
+        if (status === 'OK' && results.length > 0) {
+            return results[0];
+        } else if (status === 'ZERO_RESULTS') {
+            throw new Error('No results found');
+        } else if (status === 'REQUEST_DENIED') {
+            throw new Error('Google Maps API request denied. Please check your API key.');
+        } else if (status === 'OVER_QUERY_LIMIT') {
+            this.markUnavailable(QUOTA_COOLDOWN_MS);
+            throw new Error('Google Maps API quota exceeded. Please try again later.');
+        }
+        throw new Error(`Geocoding failed: ${status}`);
+    }
+
+    async reverseGeocode(lat, lng) {
+        const result = await this.request({ latlng: `${lat},${lng}` });
+
+        return {
+            formatted_address: result.formatted_address,
+            place_id: result.place_id,
+            components: result.address_components
+        };
+    }
+
+    async geocodeAddress(address) {
+        const result = await this.request({ address });
+        const location = result.geometry.location;
+
+        return {
+            lat: location.lat,
+            lng: location.lng,
+            formatted_address: result.formatted_address,
+            place_id: result.place_id
+        };
+    }
+}
+
+BaseGeocoder.register(GoogleGeocoder);
+
+module.exports = GoogleGeocoder;
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const BaseGeocoder = require('./base-geocoder');
+
+/**
+ * Geocoder Registry
+ * Loads every *-geocoder.js module in this directory; each one registers itself
+ * with BaseGeocoder.register(), so adding a backend only requires dropping a
+ * new geocoder file here.
+ */
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('-geocoder.js') && file !== 'base-geocoder.js')
+    .sort()
+    .forEach(file => require(path.join(__dirname, file)));
+
+module.exports = BaseGeocoder;
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const BaseGeocoder = require('./base-geocoder');
+
+const DEFAULT_URL = 'https://nominatim.openstreetmap.org';
+const REQUEST_TIMEOUT_MS = 10000;
+const RATE_LIMIT_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * Nominatim-compatible geocoding backend (OpenStreetMap, self-hosted Nominatim, LocationIQ, ...)
+ *
+ * Configuration:
+ *   NOMINATIM_URL - Base URL of the server (default: public OpenStreetMap instance)
+ *   NOMINATIM_EMAIL - Contact email sent with requests, as the public usage policy asks
+ *   NOMINATIM_MIN_INTERVAL_MS - Minimum delay between requests (default 1000, the public server limit)
+ */
+class NominatimGeocoder extends BaseGeocoder {
+    static type = 'nominatim';
+    static displayName = 'Nominatim';
+
+    constructor() {
+        super();
+        // Requests are chained so they never run faster than the configured interval
+        this.queue = Promise.resolve();
+        this.lastRequestAt = 0;
+    }
+
+    get baseUrl() {
+        return (process.env.NOMINATIM_URL || DEFAULT_URL).replace(/\/+$/, '');
+    }
+
+    get minIntervalMs() {
+        const interval = parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS, 10);
+        return isNaN(interval) ? 1000 : interval;
+    }
+
+    /**
+     * Call a Nominatim endpoint, waiting for the rate limit interval first
+     * @param {string} path - Endpoint path (/reverse or /search)
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object|Array>} Response body
+     */
+    request(path, params) {
+        const run = async () => {
+            const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            this.lastRequestAt = Date.now();
+
+            try {
+                const response = await axios.get(`${this.baseUrl}${path}`, {
+                    params: {
+                        ...params,
+                        format: 'jsonv2',
+                        ...(process.env.NOMINATIM_EMAIL && { email: process.env.NOMINATIM_EMAIL })
+                    },
+                    headers: { 'User-Agent': 'TrailerGPS Fleet Management' },
+                    timeout: REQUEST_TIMEOUT_MS
+                });
+                return response.data;
+            } catch (error) {
+                if (error.response?.status === 429) {
+                    this.markUnavailable(RATE_LIMIT_COOLDOWN_MS);
+                    throw new Error('Nominatim rate limit exceeded');
+                }
+                if (error.response) {
+                    throw new Error(`Nominatim error: ${error.response.status} - ${error.response.statusText}`);
+                }
+                throw error;
+            }
+        };
+
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async reverseGeocode(lat, lng) {
+        const data = await this.request('/reverse', { lat, lon: lng, addressdetails: 1 });
+
+        if (!data || data.error || !data.display_name) {
+            throw new Error(data?.error || 'No results found');
+        }
+
+        return {
+            formatted_address: this.formatAddress(data.address) || data.display_name,
+            place_id: data.place_id ? `osm:${data.osm_type || 'place'}:${data.osm_id || data.place_id}` : null,
+            components: this.toComponents(data.address || {})
+        };
+    }
+
+    async geocodeAddress(address) {
+        const results = await this.request('/search', { q: address, limit: 1 });
+
+        if (!Array.isArray(results) || results.length === 0) {
+            throw new Error('No results found');
+        }
+
+        const result = results[0];
+        return {
+            lat: parseFloat(result.lat),
+            lng: parseFloat(result.lon),
+            formatted_address: result.display_name,
+            place_id: result.osm_id ? `osm:${result.osm_type}:${result.osm_id}` : null
+        };
+    }
+
+    /**
+     * Get the state/province code from Nominatim's ISO3166-2 field (e.g. US-IL -> IL)
+     * @param {Object} address - Nominatim address details
+     * @returns {string|null} Region code
+     */
+    getRegionCode(address) {
+        const iso = address['ISO3166-2-lvl4'] || address['ISO3166-2-lvl3'];
+        return iso ? iso.split('-').pop() : null;
+    }
+
+    /**
+     * Build a US-style "street, city, ST postcode, country" line from address details
+     * @param {Object} address - Nominatim address details
+     * @returns {string|null} Formatted address
+     */
+    formatAddress(address) {
+        if (!address) {
+            return null;
+        }
+
+        const city = address.city || address.town || address.village || address.hamlet || address.county;
+        const street = [address.house_number, address.road].filter(Boolean).join(' ');
+        const region = [this.getRegionCode(address) || address.state, address.postcode].filter(Boolean).join(' ');
+        const parts = [street, city, region, address.country_code ? address.country_code.toUpperCase() : address.country]
+            .filter(Boolean);
+
+        return parts.length >= 2 ? parts.join(', ') : null;
+    }
+
+    /**
+     * Convert Nominatim address details into Google-style address components
+     * @param {Object} address - Nominatim address details
+     * @returns {Array<Object>} Address components
+     */
+    toComponents(address) {
+        const components = [];
+        const city = address.city || address.town || address.village || address.hamlet;
+
+        if (address.house_number) components.push(this.createComponent(address.house_number, null, ['street_number']));
+        if (address.road) components.push(this.createComponent(address.road, null, ['route']));
+        if (city) components.push(this.createComponent(city, null, ['locality', 'political']));
+        if (address.state) {
+            components.push(this.createComponent(address.state, this.getRegionCode(address), ['administrative_area_level_1', 'political']));
+        }
+        if (address.postcode) components.push(this.createComponent(address.postcode, null, ['postal_code']));
+        if (address.country) {
+            components.push(this.createComponent(address.country, address.country_code?.toUpperCase(), ['country', 'political']));
+        }
+
+        return components;
+    }
+}
+
+BaseGeocoder.register(NominatimGeocoder);
+
+module.exports = NominatimGeocoder;
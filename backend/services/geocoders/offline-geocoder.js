@@ -0,0 +1,162 @@
+const path = require('path');
+const BaseGeocoder = require('./base-geocoder');
+const { calculateDistance } = require('../../database/utils/database-utilities');
+
+const DATASET_PATH = path.join(__dirname, 'data', 'places-us-ca.json');
+// Within this distance the position is reported as the place itself, beyond it as "N km NE of place"
+const NEAR_PLACE_KM = 15;
+// Positions further than this from every bundled place (offshore, outside US/Canada) are not resolved
+const DEFAULT_MAX_DISTANCE_KM = 250;
+
+const COUNTRIES = {
+    US: 'USA',
+    CA: 'Canada'
+};
+
+const REGION_NAMES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+    ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Offline gazetteer backend
+ * Resolves coordinates to the nearest city/state from the bundled US/Canada places dataset
+ * (services/geocoders/data/places-us-ca.json). Never calls out to the network, so it keeps
+ * addresses readable when paid backends are out of quota or in air-gapped environments.
+ *
+ * Configuration:
+ *   OFFLINE_GEOCODER_MAX_KM - Maximum distance to the nearest place (default 250)
+ */
+class OfflineGeocoder extends BaseGeocoder {
+    static type = 'offline';
+    static displayName = 'Offline Gazetteer';
+
+    constructor() {
+        super();
+        this.places = null;
+    }
+
+    get maxDistanceKm() {
+        return parseFloat(process.env.OFFLINE_GEOCODER_MAX_KM) || DEFAULT_MAX_DISTANCE_KM;
+    }
+
+    /**
+     * Load the bundled dataset on first use
+     * @returns {Array<Object>} Places { name, region, country, lat, lng }
+     */
+    getPlaces() {
+        if (!this.places) {
+            const dataset = require(DATASET_PATH);
+            this.places = dataset.places.map(row =>
+                Object.fromEntries(dataset.fields.map((field, index) => [field, row[index]]))
+            );
+        }
+        return this.places;
+    }
+
+    /**
+     * Find the closest bundled place to a position
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} { place, distanceKm } or null when the dataset is empty
+     */
+    findNearestPlace(lat, lng) {
+        let nearest = null;
+
+        for (const place of this.getPlaces()) {
+            // Cheap latitude check before the full distance calculation (1 degree ~ 111 km)
+            if (nearest && Math.abs(place.lat - lat) * 111 > nearest.distanceKm) {
+                continue;
+            }
+
+            const distanceKm = calculateDistance(lat, lng, place.lat, place.lng);
+            if (!nearest || distanceKm < nearest.distanceKm) {
+                nearest = { place, distanceKm };
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Compass direction from a place to a position
+     * @param {Object} place - Origin place
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {string} Compass point (N, NE, ...)
+     */
+    getDirection(place, lat, lng) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLng = toRadians(lng - place.lng);
+        const y = Math.sin(dLng) * Math.cos(toRadians(lat));
+        const x = Math.cos(toRadians(place.lat)) * Math.sin(toRadians(lat)) -
+            Math.sin(toRadians(place.lat)) * Math.cos(toRadians(lat)) * Math.cos(dLng);
+        const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+        return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+    }
+
+    async reverseGeocode(lat, lng) {
+        const nearest = this.findNearestPlace(lat, lng);
+        if (!nearest || nearest.distanceKm > this.maxDistanceKm) {
+            throw new Error('No bundled place near these coordinates');
+        }
+
+        const { place, distanceKm } = nearest;
+        const placeName = `${place.name}, ${place.region}, ${COUNTRIES[place.country] || place.country}`;
+        const formattedAddress = distanceKm <= NEAR_PLACE_KM
+            ? placeName
+            : `${Math.round(distanceKm)} km ${this.getDirection(place, lat, lng)} of ${placeName}`;
+
+        return {
+            formatted_address: formattedAddress,
+            place_id: null,
+            components: [
+                this.createComponent(place.name, null, ['locality', 'political']),
+                this.createComponent(REGION_NAMES[place.region] || place.region, place.region, ['administrative_area_level_1', 'political']),
+                this.createComponent(COUNTRIES[place.country] || place.country, place.country, ['country', 'political'])
+            ]
+        };
+    }
+
+    /**
+     * Resolve "City, ST" style addresses to the bundled place coordinates
+     * @param {string} address - Address containing a bundled city name
+     * @returns {Promise<Object>} { lat, lng, formatted_address, place_id }
+     */
+    async geocodeAddress(address) {
+        const parts = address.split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+        const regionCodes = parts.map(part => part.split(/\s+/)[0].toUpperCase());
+
+        const matches = this.getPlaces().filter(place => parts.includes(place.name.toLowerCase()));
+        const match = matches.find(place => regionCodes.includes(place.region)) ||
+            (matches.length === 1 ? matches[0] : null);
+
+        if (!match) {
+            throw new Error('No bundled place matches this address');
+        }
+
+        return {
+            lat: match.lat,
+            lng: match.lng,
+            formatted_address: `${match.name}, ${match.region}, ${COUNTRIES[match.country] || match.country}`,
+            place_id: null
+        };
+    }
+}
+
+BaseGeocoder.register(OfflineGeocoder);
+
+module.exports = OfflineGeocoder;
@@ -1,76 +1,88 @@
-const SpireonService = require('./gps-providers/spireon-service');
-const SkyBitzService = require('./gps-providers/skybitz-service');
-const SamsaraService = require('./gps-providers/samsara-service');
+const providerRegistry = require('./gps-providers');
 
 /**
  * GPS Provider Service Factory
- * Routes GPS data fetching to the appropriate provider service
+ * Routes GPS data fetching to the appropriate provider service.
+ * Provider services register themselves in ./gps-providers.
  */
 class GPSProviderService {
-    constructor() {
-        this.providers = {
-            'spireon': new SpireonService(),
-            'skybitz': new SkyBitzService(),
-            'samsara': new SamsaraService()
-        };
-    }
-
     /**
      * Get GPS provider service by type
-     * @param {string} providerType - Provider type (spireon, skybitz, samsara)
+     * @param {string} providerType - Registered provider type (e.g. spireon, skybitz, samsara, generic_push)
      * @returns {BaseGPSProvider} Provider service instance
      */
     getProvider(providerType) {
-        const provider = this.providers[providerType.toLowerCase()];
-        if (!provider) {
-            throw new Error(`Unsupported GPS provider type: ${providerType}`);
+        return providerRegistry.getProvider(providerType);
+    }
+
+    /**
+     * Check whether a provider type only receives pushed data (never polled)
+     * @param {string} providerType - Provider type
+     * @returns {boolean} True for push-only providers
+     */
+    isPushProvider(providerType) {
+        return providerRegistry.isRegistered(providerType) &&
+            this.getProvider(providerType).constructor.pushOnly === true;
+    }
+
+    /**
+     * Decrypt the stored credentials of a provider
+     * @param {Object} provider - Provider configuration from database
+     * @returns {Object|null} Credentials with providerName added, or null if they cannot be decrypted
+     */
+    getCredentials(provider) {
+        // Import centralized encryption utility
+        const EncryptionUtil = require('../utils/encryption');
+        const decryptedString = EncryptionUtil.decrypt(provider.credentials_encrypted);
+        let credentials;
+        try {
+            credentials = JSON.parse(decryptedString);
+        } catch (parseError) {
+            console.error('Failed to parse decrypted credentials:', parseError);
+            throw new Error('Invalid credentials format');
+        }
+        
+        if (!credentials) {
+            console.error(`❌ Failed to decrypt credentials for provider: ${provider.name}`);
+            return null;
         }
-        return provider;
+        
+        // Add provider name to credentials for logging
+        credentials.providerName = provider.name;
+        return credentials;
     }
 
     /**
      * Fetch GPS data from provider
      * @param {Object} provider - Provider configuration from database
      * @param {string} providerCompanyId - Company ID for the provider
-     * @returns {Promise<Array>} Array of trailer data
+     * @param {string|null} cursor - Sync cursor for a delta fetch, or null for the whole fleet
+     * @returns {Promise<Object>} { trailers, cursor, fullSync }
+     * @throws {Error} When the credentials cannot be decrypted or the provider request fails
      */
-    async fetchGPSDataFromProvider(provider, providerCompanyId) {
+    async fetchGPSDataFromProvider(provider, providerCompanyId, cursor = null) {
         try {
-            // Import centralized encryption utility
-            const EncryptionUtil = require('../utils/encryption');
-            const decryptedString = EncryptionUtil.decrypt(provider.credentials_encrypted);
-            let credentials;
-            try {
-                credentials = JSON.parse(decryptedString);
-            } catch (parseError) {
-                console.error('Failed to parse decrypted credentials:', parseError);
-                throw new Error('Invalid credentials format');
-            }
-            
+            const credentials = this.getCredentials(provider);
             if (!credentials) {
-                console.error(`❌ Failed to decrypt credentials for provider: ${provider.name}`);
-                return [];
+                throw new Error('Failed to decrypt provider credentials');
             }
             
-            // Add provider name to credentials for logging
-            credentials.providerName = provider.name;
-            
             const providerService = this.getProvider(provider.type);
-            const trailers = await providerService.fetchData(credentials);
+            const result = await providerService.fetchChanges(credentials, cursor);
             
             // Add company_id, provider_id, and tenant_id to all trailers
-            const trailersWithCompany = trailers.map(trailer => ({
+            const trailersWithCompany = result.trailers.map(trailer => ({
                 ...trailer,
                 company_id: providerCompanyId,
                 provider_id: provider.id,
                 tenant_id: provider.tenant_id || provider.tenantId
             }));
             
-            return trailersWithCompany;
+            return { ...result, trailers: trailersWithCompany };
             
         } catch (error) {
-            console.error(`❌ Error fetching GPS data from ${provider.name}:`, error);
-            return [];
+            console.error(`❌ Error fetching GPS data from ${provider.name}:`, error.message);
+            throw error;
         }
     }
 
@@ -78,51 +90,50 @@ class GPSProviderService {
      * Fetch location data only from provider (for refresh operations)
      * @param {Object} provider - Provider configuration from database
      * @param {string} providerCompanyId - Company ID for the provider
-     * @returns {Promise<Array>} Array of location data only
+     * @param {string|null} cursor - Sync cursor for a delta fetch, or null for the whole fleet
+     * @returns {Promise<Object>} { locations, cursor, fullSync }
+     * @throws {Error} When the credentials cannot be decrypted or the provider request fails
      */
-    async fetchLocationDataFromProvider(provider, providerCompanyId) {
+    async fetchLocationDataFromProvider(provider, providerCompanyId, cursor = null) {
         try {
-            console.log(`📍 Fetching location data for provider: ${provider.name}`);
-            
-            // Import centralized encryption utility
-            const EncryptionUtil = require('../utils/encryption');
-            const decryptedString = EncryptionUtil.decrypt(provider.credentials_encrypted);
-            let credentials;
-            try {
-                credentials = JSON.parse(decryptedString);
-            } catch (parseError) {
-                console.error('Failed to parse decrypted credentials:', parseError);
-                throw new Error('Invalid credentials format');
-            }
+            console.log(`📍 Fetching location data for provider: ${provider.name}${cursor ? ' (delta)' : ''}`);
             
+            const credentials = this.getCredentials(provider);
             if (!credentials) {
-                console.error(`❌ Failed to decrypt credentials for provider: ${provider.name}`);
-                return [];
+                throw new Error('Failed to decrypt provider credentials');
             }
             
-            // Add provider name to credentials for logging
-            credentials.providerName = provider.name;
-            
             const providerService = this.getProvider(provider.type);
-            const trailers = await providerService.fetchData(credentials);
+            const result = await providerService.fetchChanges(credentials, cursor);
             
-            // Extract only location data
-            const locationData = trailers.map(trailer => ({
+            // Extract location data plus the identifiers trailer identity matching uses
+            const locations = result.trailers.map(trailer => ({
                 id: trailer.id,
+                deviceId: trailer.deviceId,
                 originalId: trailer.originalId || trailer.deviceId,
+                unit_number: trailer.unit_number,
                 vin: trailer.vin,
+                plate: trailer.plate,
                 latitude: trailer.last_latitude,
                 longitude: trailer.last_longitude,
                 address: trailer.address,
-                lastGpsUpdate: trailer.lastGpsUpdate,
+                timestamp: trailer.lastUpdate ? new Date(trailer.lastUpdate).toISOString() : null,
+                speed: trailer.speed ?? null,
+                heading: trailer.heading ?? null,
+                reefer: trailer.reefer || null,
+                door: trailer.door || null,
+                cargo: trailer.cargo || null,
+                battery: trailer.battery || null,
+                meters: trailer.meters || null,
+                telemetryOnly: trailer.telemetryOnly || false,
                 company_id: providerCompanyId
             }));
             
-            return locationData;
+            return { locations, cursor: result.cursor, fullSync: result.fullSync };
             
         } catch (error) {
-            console.error(`❌ Error fetching location data from ${provider.name}:`, error);
-            return [];
+            console.error(`❌ Error fetching location data from ${provider.name}:`, error.message);
+            throw error;
         }
     }
 
@@ -135,24 +146,7 @@ class GPSProviderService {
     async testConnection(providerType, credentials) {
         try {
             const providerService = this.getProvider(providerType);
-            
-            // Validate credentials first
-            if (!providerService.validateCredentials(credentials)) {
-                return {
-                    success: false,
-                    error: 'Invalid credentials'
-                };
-            }
-            
-            // Test the connection by fetching data
-            const trailers = await providerService.fetchData(credentials);
-            
-            return {
-                success: true,
-                trailerCount: trailers.length,
-                message: `Successfully connected to ${providerType}. Found ${trailers.length} trailers.`
-            };
-            
+            return await providerService.testConnection(credentials);
         } catch (error) {
             return {
                 success: false,
@@ -185,7 +179,7 @@ class GPSProviderService {
      * @returns {Array} Array of supported provider types
      */
     getSupportedProviders() {
-        return Object.keys(this.providers);
+        return providerRegistry.getRegisteredTypes();
     }
 }
 
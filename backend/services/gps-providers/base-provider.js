@@ -1,12 +1,119 @@
+const Joi = require('joi');
+
+// Registered provider instances keyed by provider type
+const registeredProviders = new Map();
+
 /**
  * Base GPS Provider Service
  * Abstract base class for all GPS provider integrations
+ *
+ * Subclasses describe themselves through static fields and call
+ * BaseGPSProvider.register() when their module is loaded:
+ *   - type: key stored in gps_providers.type
+ *   - displayName: label shown in the UI
+ *   - credentialSchema: Joi schema used to validate credentials on create/update
+ *   - pushOnly: true if the provider delivers data to us instead of being polled
+ *   - supportsDeltaSync: true if fetchChanges() can return only positions changed since a cursor
  */
 class BaseGPSProvider {
+    static type = null;
+    static displayName = null;
+    static credentialSchema = Joi.object().unknown(true);
+    static pushOnly = false;
+    static supportsDeltaSync = false;
+
     constructor(providerName) {
         this.providerName = providerName;
     }
 
+    /**
+     * Register a provider class so it can be resolved by type
+     * @param {Function} ProviderClass - Subclass of BaseGPSProvider
+     * @returns {BaseGPSProvider} Registered provider instance
+     */
+    static register(ProviderClass) {
+        if (!(ProviderClass.prototype instanceof BaseGPSProvider)) {
+            throw new Error('GPS providers must extend BaseGPSProvider');
+        }
+
+        const type = ProviderClass.type && ProviderClass.type.toLowerCase();
+        if (!type) {
+            throw new Error(`GPS provider ${ProviderClass.name} must define a static type`);
+        }
+        if (registeredProviders.has(type)) {
+            throw new Error(`GPS provider type already registered: ${type}`);
+        }
+
+        const instance = new ProviderClass();
+        registeredProviders.set(type, instance);
+        return instance;
+    }
+
+    /**
+     * Get a registered provider instance by type
+     * @param {string} providerType - Provider type
+     * @returns {BaseGPSProvider} Provider service instance
+     */
+    static getProvider(providerType) {
+        const provider = providerType ? registeredProviders.get(providerType.toLowerCase()) : null;
+        if (!provider) {
+            throw new Error(`Unsupported GPS provider type: ${providerType}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Check whether a provider type is registered
+     * @param {string} providerType - Provider type
+     * @returns {boolean} True if registered
+     */
+    static isRegistered(providerType) {
+        return !!providerType && registeredProviders.has(providerType.toLowerCase());
+    }
+
+    /**
+     * Get all registered provider types
+     * @returns {Array<string>} Provider types
+     */
+    static getRegisteredTypes() {
+        return Array.from(registeredProviders.keys());
+    }
+
+    /**
+     * Describe registered providers for clients (type, label and credential fields)
+     * @returns {Array<Object>} Provider descriptions
+     */
+    static describeProviders() {
+        return Array.from(registeredProviders.values()).map(provider => {
+            const ProviderClass = provider.constructor;
+            const schema = ProviderClass.credentialSchema.describe();
+            const credentialFields = Object.entries(schema.keys || {})
+                .filter(([name]) => name !== 'providerName')
+                .map(([name, field]) => ({
+                    name,
+                    required: field.flags?.presence === 'required'
+                }));
+
+            return {
+                type: ProviderClass.type,
+                displayName: ProviderClass.displayName || ProviderClass.type,
+                pushOnly: ProviderClass.pushOnly,
+                credentialFields
+            };
+        });
+    }
+
+    /**
+     * Prepare credentials before they are encrypted and stored
+     * Providers that generate secrets server-side override this.
+     * @param {Object} credentials - Credentials submitted by the user
+     * @param {Object|null} existingCredentials - Currently stored credentials (on update)
+     * @returns {Object} Credentials to store
+     */
+    static prepareCredentials(credentials = {}, existingCredentials = null) {
+        return credentials;
+    }
+
     /**
      * Fetch GPS data from the provider
      * @param {Object} credentials - Provider-specific credentials
@@ -16,6 +123,21 @@ class BaseGPSProvider {
         throw new Error('fetchData method must be implemented by subclass');
     }
 
+    /**
+     * Fetch positions changed since a sync cursor
+     * Providers without delta support always return the full fleet and no cursor.
+     * @param {Object} credentials - Provider-specific credentials
+     * @param {string|null} cursor - Cursor returned by the previous fetch, or null for a full sync
+     * @returns {Promise<Object>} { trailers, cursor, fullSync }
+     */
+    async fetchChanges(credentials, cursor = null) {
+        return {
+            trailers: await this.fetchData(credentials),
+            cursor: null,
+            fullSync: true
+        };
+    }
+
     /**
      * Process raw GPS data into standardized format
      * @param {Array} rawData - Raw data from provider
@@ -43,6 +165,35 @@ class BaseGPSProvider {
         throw new Error('getStatus method must be implemented by subclass');
     }
 
+    /**
+     * Test provider credentials without storing any data
+     * @param {Object} credentials - Provider credentials
+     * @returns {Promise<Object>} Test result ({ success, trailerCount, assets, message } or { success, error })
+     */
+    async testConnection(credentials) {
+        try {
+            if (!this.validateCredentials(credentials)) {
+                return {
+                    success: false,
+                    error: 'Invalid credentials'
+                };
+            }
+
+            const trailers = await this.fetchData(credentials);
+
+            return {
+                success: true,
+                trailerCount: trailers.length,
+                message: `Successfully connected to ${this.providerName}. Found ${trailers.length} trailers.`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Clean unit number by removing "TRAILER" prefix
      * @param {string} unitNumber - Raw unit number
@@ -58,6 +209,10 @@ class BaseGPSProvider {
 
     /**
      * Standard trailer data format
+     * Optional sensor fields: speed (km/h), heading (degrees),
+     * reefer { ambientTempC, setPointC, returnAirTempC, supplyAirTempC, powerStatus, recordedAt },
+     * door { closed, recordedAt }, cargo { loaded, recordedAt }, battery { voltage, recordedAt } and
+     * meters { odometerMiles, engineHours, recordedAt }.
      * @param {Object} data - Raw trailer data
      * @returns {Object} Standardized trailer object
      */
@@ -83,11 +238,46 @@ class BaseGPSProvider {
             address: data.address || null,
             last_address: data.last_address || data.address || null,
             lastUpdate: data.lastUpdate || new Date(),
+            speed: data.speed ?? null,
+            heading: data.heading ?? null,
+            reefer: data.reefer || null,
+            door: data.door || null,
+            cargo: data.cargo || null,
+            battery: data.battery || null,
+            meters: data.meters || null,
             manual_location_override: data.manual_location_override || false,
             company_id: data.company_id || null
         };
     }
 
+    /**
+     * Parse a numeric sensor value
+     * @param {*} value - Raw value
+     * @returns {number|null} Number, or null when the value is missing or not numeric
+     */
+    parseNumber(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Convert a temperature to °C
+     * @param {*} value - Raw temperature
+     * @param {string} unit - 'C' or 'F' (anything starting with F is Fahrenheit)
+     * @returns {number|null} Temperature in °C rounded to 0.01, or null when missing
+     */
+    toCelsius(value, unit = 'C') {
+        const temperature = this.parseNumber(value);
+        if (temperature === null) {
+            return null;
+        }
+        const celsius = /^f/i.test(unit || '') ? (temperature - 32) * 5 / 9 : temperature;
+        return Math.round(celsius * 100) / 100;
+    }
+
     /**
      * Filter trailers with valid GPS coordinates
      * @param {Array} trailers - Array of trailer data
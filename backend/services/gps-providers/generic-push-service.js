@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const BaseGPSProvider = require('./base-provider');
+const logger = require('../../utils/logger');
+
+// Reject signed requests older/newer than this to limit replay
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const MAX_POSITIONS_PER_REQUEST = 1000;
+
+/**
+ * Generic Push GPS Provider Service
+ * Accepts positions POSTed by telematics units or middleware instead of polling a vendor API
+ *
+ * Endpoint: POST /api/ingest/:providerId
+ *
+ * Headers:
+ *   Content-Type: application/json
+ *   X-Fleet-Timestamp: Unix time in milliseconds when the request was signed
+ *   X-Fleet-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the provider signing secret>
+ *
+ * Body:
+ *   {
+ *     "positions": [
+ *       {
+ *         "deviceId": "5312",                        // required - unit number / device serial
+ *         "latitude": 41.8781,                        // required
+ *         "longitude": -87.6298,                      // required
+ *         "timestamp": "2026-03-01T14:05:00Z",        // required - ISO 8601 time of the fix
+ *         "vin": "1JJV532D4KL123456",                 // optional
+ *         "unitNumber": "5312",                       // optional - defaults to deviceId
+ *         "address": "Chicago, IL",                   // optional - geocoded when omitted
+ *         "speed": 0,                                 // optional - km/h
+ *         "heading": 270,                             // optional - degrees
+ *         "odometerMiles": 182340.5,                  // optional - odometer/hubometer reading, miles
+ *         "engineHours": 10412.3,                     // optional - reefer engine hours
+ *         "make": "Wabash", "model": "DuraPlate", "year": 2020, "plate": "P123456"  // optional
+ *       }
+ *     ]
+ *   }
+ *
+ * Responds 202 with { accepted, created, updated, skipped, rejected } counts.
+ */
+class GenericPushService extends BaseGPSProvider {
+    static type = 'generic_push';
+    static displayName = 'Generic Push (Webhook)';
+    static pushOnly = true;
+    static credentialSchema = Joi.object({
+        signingSecret: Joi.string().min(32).optional(),
+        rotateSecret: Joi.boolean().optional(),
+        providerName: Joi.string().allow('', null)
+    });
+
+    static positionSchema = Joi.object({
+        deviceId: Joi.alternatives(Joi.string().max(100), Joi.number()).required(),
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+        timestamp: Joi.date().iso().required(),
+        vin: Joi.string().max(17).allow('', null),
+        unitNumber: Joi.string().max(50).allow('', null),
+        address: Joi.string().max(255).allow('', null),
+        speed: Joi.number().min(0).allow(null),
+        heading: Joi.number().min(0).max(360).allow(null),
+        odometerMiles: Joi.number().min(0).allow(null),
+        engineHours: Joi.number().min(0).allow(null),
+        make: Joi.string().max(50).allow('', null),
+        model: Joi.string().max(50).allow('', null),
+        year: Joi.number().integer().min(1900).max(2100).allow(null),
+        plate: Joi.string().max(20).allow('', null)
+    }).unknown(true);
+
+    static payloadSchema = Joi.object({
+        positions: Joi.array().min(1).max(MAX_POSITIONS_PER_REQUEST).required()
+    });
+
+    constructor() {
+        super('Generic Push');
+    }
+
+    /**
+     * Keep the existing signing secret unless a rotation is requested, generating one if missing
+     * @param {Object} credentials - Credentials submitted by the user
+     * @param {Object|null} existingCredentials - Currently stored credentials (on update)
+     * @returns {Object} Credentials to store
+     */
+    static prepareCredentials(credentials = {}, existingCredentials = null) {
+        const { rotateSecret, ...rest } = credentials || {};
+        const signingSecret = rotateSecret
+            ? null
+            : rest.signingSecret || existingCredentials?.signingSecret;
+
+        return {
+            ...rest,
+            signingSecret: signingSecret || crypto.randomBytes(32).toString('hex')
+        };
+    }
+
+    /**
+     * Validate generic push credentials
+     * @param {Object} credentials - Push provider credentials
+     * @returns {boolean} True if valid
+     */
+    validateCredentials(credentials) {
+        return !!(credentials && credentials.signingSecret);
+    }
+
+    /**
+     * Push providers are never polled - positions arrive through the ingestion endpoint
+     * @returns {Promise<Array>} Always empty
+     */
+    async fetchData(credentials) {
+        return [];
+    }
+
+    /**
+     * Verify the HMAC signature of an ingestion request
+     * @param {string} signingSecret - Provider signing secret
+     * @param {string} timestamp - X-Fleet-Timestamp header value
+     * @param {Buffer|string} rawBody - Raw request body
+     * @param {string} signature - X-Fleet-Signature header value
+     * @returns {Object} { valid, error }
+     */
+    verifySignature(signingSecret, timestamp, rawBody, signature) {
+        if (!signingSecret) {
+            return { valid: false, error: 'Provider has no signing secret configured' };
+        }
+        if (!timestamp || !signature || !rawBody) {
+            return { valid: false, error: 'Missing signature headers' };
+        }
+
+        const sentAt = parseInt(timestamp, 10);
+        if (isNaN(sentAt) || Math.abs(Date.now() - sentAt) > SIGNATURE_TOLERANCE_MS) {
+            return { valid: false, error: 'Request timestamp outside allowed window' };
+        }
+
+        const expected = `sha256=${this.sign(signingSecret, timestamp, rawBody)}`;
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature));
+
+        if (expectedBuffer.length !== signatureBuffer.length ||
+            !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+            return { valid: false, error: 'Invalid signature' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Compute the hex HMAC-SHA256 signature for a payload
+     * @param {string} signingSecret - Provider signing secret
+     * @param {string} timestamp - Timestamp used in the signature
+     * @param {Buffer|string} rawBody - Raw request body
+     * @returns {string} Hex digest
+     */
+    sign(signingSecret, timestamp, rawBody) {
+        return crypto
+            .createHmac('sha256', signingSecret)
+            .update(`${timestamp}.`)
+            .update(rawBody)
+            .digest('hex');
+    }
+
+    /**
+     * Test generic push credentials (nothing to call - the vendor pushes to us)
+     * @param {Object} credentials - Push provider credentials
+     * @returns {Promise<Object>} Test result
+     */
+    async testConnection(credentials) {
+        if (!this.validateCredentials(credentials)) {
+            return {
+                success: false,
+                error: 'Signing secret is missing - edit the provider to generate one'
+            };
+        }
+
+        return {
+            success: true,
+            trailerCount: 0,
+            message: 'Push provider is ready to receive positions at its ingestion endpoint.'
+        };
+    }
+
+    /**
+     * Validate pushed positions and convert them into standardized trailer data
+     * @param {Array} positions - Positions from the request body
+     * @returns {Object} { trailers, rejected } where rejected lists { index, error }
+     */
+    processTrailerData(positions) {
+        const trailers = [];
+        const rejected = [];
+
+        positions.forEach((position, index) => {
+            const { error, value } = GenericPushService.positionSchema.validate(position, { convert: true });
+            if (error) {
+                rejected.push({ index, error: error.details.map(d => d.message).join(', ') });
+                return;
+            }
+
+            const deviceId = String(value.deviceId).trim();
+            const odometerMiles = value.odometerMiles ?? null;
+            const engineHours = value.engineHours ?? null;
+            trailers.push(this.createStandardTrailer({
+                id: deviceId,
+                originalId: value.unitNumber || deviceId,
+                deviceId,
+                latitude: value.latitude,
+                longitude: value.longitude,
+                address: value.address || null,
+                lastUpdate: value.timestamp,
+                vin: value.vin || null,
+                make: value.make || null,
+                model: value.model || null,
+                year: value.year || null,
+                plate: value.plate || null,
+                speed: value.speed ?? null,
+                heading: value.heading ?? null,
+                meters: odometerMiles !== null || engineHours !== null ? { odometerMiles, engineHours } : null
+            }));
+        });
+
+        if (rejected.length > 0) {
+            logger.debug(`Generic push: rejected ${rejected.length} of ${positions.length} positions`);
+        }
+
+        return { trailers, rejected };
+    }
+
+    /**
+     * Get generic push provider status
+     * @param {Object} credentials - Push provider credentials
+     * @returns {Promise<Object>} Provider status
+     */
+    async getStatus(credentials) {
+        return {
+            status: this.validateCredentials(credentials) ? 'connected' : 'disconnected',
+            trailerCount: 0,
+            lastSync: null
+        };
+    }
+}
+
+BaseGPSProvider.register(GenericPushService);
+
+module.exports = GenericPushService;
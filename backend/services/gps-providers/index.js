@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const BaseGPSProvider = require('./base-provider');
+
+/**
+ * GPS Provider Registry
+ * Loads every *-service.js module in this directory; each one registers itself
+ * with BaseGPSProvider.register(), so adding a provider only requires dropping
+ * a new service file here.
+ */
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('-service.js'))
+    .sort()
+    .forEach(file => require(path.join(__dirname, file)));
+
+module.exports = BaseGPSProvider;
@@ -1,13 +1,40 @@
 const axios = require('axios');
+const Joi = require('joi');
 const BaseGPSProvider = require('./base-provider');
 const logger = require('../../utils/logger');
 const geocodingService = require('../geocoding');
 
+const DEFAULT_API_URL = 'https://api.samsara.com';
+const PAGE_LIMIT = 512;
+// Safety net against a cursor that never terminates
+const MAX_PAGES = 200;
+const MAX_STAT_TYPES_PER_REQUEST = 3;
+const TRAILER_STAT_TYPES = [
+    'gps',
+    'reeferAmbientAirTemperatureMilliC',
+    'reeferSetPointTemperatureMilliCZone1',
+    'reeferReturnAirTemperatureMilliCZone1',
+    'reeferSupplyAirTemperatureMilliCZone1',
+    'reeferRunMode',
+    'reeferDoorStateZone1'
+];
+const KM_PER_MILE = 1.609344;
+const MOVING_SPEED_KMH = 5;
+
 /**
  * Samsara GPS Provider Service
  * Handles integration with Samsara GPS tracking platform
  */
 class SamsaraService extends BaseGPSProvider {
+    static type = 'samsara';
+    static displayName = 'Samsara';
+    static supportsDeltaSync = true;
+    static credentialSchema = Joi.object({
+        apiToken: Joi.string().min(10).required(),
+        apiUrl: Joi.string().uri().required(),
+        providerName: Joi.string().allow('', null)
+    });
+
     constructor() {
         super('Samsara');
     }
@@ -18,49 +45,138 @@ class SamsaraService extends BaseGPSProvider {
      * @returns {boolean} True if valid
      */
     validateCredentials(credentials) {
-        const { apiToken, apiUrl } = credentials;
+        const { apiToken, apiUrl } = credentials || {};
         return !!(apiToken && apiUrl);
     }
 
+    /**
+     * Create an axios client for the Samsara API
+     * @param {Object} credentials - Samsara credentials
+     * @returns {Object} Axios instance
+     */
+    createClient(credentials) {
+        const { apiToken, apiUrl } = credentials;
+        return axios.create({
+            baseURL: (apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+            headers: {
+                'Authorization': `Bearer ${apiToken}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            timeout: 30000
+        });
+    }
+
+    /**
+     * Walk every page of a cursor-paginated Samsara endpoint
+     * @param {Object} client - Axios instance
+     * @param {string} path - Endpoint path
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} { data, endCursor } with all records and the last cursor returned
+     */
+    async fetchAllPages(client, path, params = {}) {
+        const records = [];
+        let after = params.after;
+        let endCursor = after || null;
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const response = await client.get(path, { params: { ...params, after } });
+            const body = response.data || {};
+            records.push(...(body.data || []));
+
+            const pagination = body.pagination || {};
+            if (pagination.endCursor) {
+                endCursor = pagination.endCursor;
+            }
+            if (!pagination.hasNextPage || !pagination.endCursor) {
+                return { data: records, endCursor };
+            }
+            after = pagination.endCursor;
+        }
+
+        logger.warn(`⚠️ Samsara ${path}: stopped after ${MAX_PAGES} pages`);
+        return { data: records, endCursor };
+    }
+
+    /**
+     * Fetch trailer stats (GPS, reefer and door sensors) from the stats feed, keyed by trailer ID
+     * Without a cursor the feed returns the latest value for every trailer; with one it returns
+     * only values reported since. Samsara caps the number of stat types per request, so types
+     * are requested in chunks, each with its own feed cursor.
+     * @param {Object} client - Axios instance
+     * @param {Object} cursors - Feed cursors keyed by comma-joined stat types
+     * @returns {Promise<Object>} { statsById, cursors }
+     */
+    async fetchTrailerStats(client, cursors = {}) {
+        const statsById = new Map();
+        const nextCursors = {};
+
+        for (let i = 0; i < TRAILER_STAT_TYPES.length; i += MAX_STAT_TYPES_PER_REQUEST) {
+            const types = TRAILER_STAT_TYPES.slice(i, i + MAX_STAT_TYPES_PER_REQUEST).join(',');
+            const { data, endCursor } = await this.fetchAllPages(client, '/beta/fleet/trailers/stats/feed', {
+                types,
+                after: cursors[types]
+            });
+
+            nextCursors[types] = endCursor;
+            for (const stat of data) {
+                statsById.set(stat.id, { ...(statsById.get(stat.id) || {}), ...stat });
+            }
+        }
+
+        return { statsById, cursors: nextCursors };
+    }
+
     /**
      * Fetch GPS data from Samsara
      * @param {Object} credentials - Samsara credentials
      * @returns {Promise<Array>} Array of trailer data
      */
     async fetchData(credentials) {
+        const { trailers } = await this.fetchChanges(credentials, null);
+        return trailers;
+    }
+
+    /**
+     * Fetch trailers whose stats changed since the cursor (all trailers when cursor is null)
+     * @param {Object} credentials - Samsara credentials
+     * @param {string|null} cursor - JSON-encoded feed cursors from the previous fetch
+     * @returns {Promise<Object>} { trailers, cursor, fullSync }
+     */
+    async fetchChanges(credentials, cursor = null) {
         try {
             logger.info(`📡 Fetching Samsara data for ${credentials.providerName || 'Samsara'}...`);
-            logger.debug(`🔑 Credentials check:`, {
-                hasApiToken: !!credentials.apiToken,
-                hasApiUrl: !!credentials.apiUrl,
-                apiUrl: credentials.apiUrl || 'https://api.samsara.com'
-            });
             
             if (!this.validateCredentials(credentials)) {
                 throw new Error('Missing Samsara credentials: apiToken and apiUrl required');
             }
             
-            const { apiToken, apiUrl } = credentials;
-            const baseURL = apiUrl || 'https://api.samsara.com';
-            
-            logger.info(`🌐 Making request to: ${baseURL}/fleet/vehicles`);
-            logger.debug(`🔑 Using API token: ${apiToken.substring(0, 8)}...`);
-            
-            const response = await axios.get(`${baseURL}/fleet/vehicles`, {
-                headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                timeout: 30000
-            });
+            const client = this.createClient(credentials);
+            let cursors = null;
+            if (cursor) {
+                try {
+                    cursors = JSON.parse(cursor);
+                } catch (error) {
+                    logger.warn('⚠️ Ignoring unreadable Samsara sync cursor, running a full sync');
+                }
+            }
+            const fullSync = !cursors;
+
+            const { statsById, cursors: nextCursors } = await this.fetchTrailerStats(client, cursors || {});
 
-            logger.info(`📥 Response status: ${response.status}`);
-            logger.info(`📥 Vehicles found: ${response.data?.data?.length || 0}`);
+            // Trailer metadata (plate, VIN) only changes rarely, so it is refreshed on full syncs;
+            // the feed itself carries each trailer's id and name.
+            const trailers = fullSync
+                ? (await this.fetchAllPages(client, '/fleet/trailers', { limit: PAGE_LIMIT })).data
+                : Array.from(statsById.values(), stat => ({ id: stat.id, name: stat.name }));
 
-            const vehicles = response.data.data || [];
-            const processedTrailers = await this.processTrailerData(vehicles, credentials.providerName || 'Samsara');
-            return processedTrailers;
+            logger.info(`📥 Samsara ${fullSync ? 'full' : 'delta'} sync: ${trailers.length} trailers, ${statsById.size} with stats`);
+
+            return {
+                trailers: await this.processTrailerData(trailers, statsById),
+                cursor: JSON.stringify(nextCursors),
+                fullSync
+            };
             
         } catch (error) {
             logger.error(`❌ Samsara data fetch failed for ${credentials.providerName || 'Samsara'}:`, error.message);
@@ -69,78 +185,179 @@ class SamsaraService extends BaseGPSProvider {
     }
 
     /**
-     * Process raw Samsara data into standardized format
-     * @param {Array} vehicles - Raw vehicle data from Samsara
-     * @param {string} providerName - Provider name
+     * Get the most recent point of a Samsara stat (snapshot objects or feed arrays)
+     * @param {Object|Array} stat - Stat value from the API
+     * @returns {Object|null} Latest { time, value, ... } point
+     */
+    latestStat(stat) {
+        if (!stat) return null;
+        if (Array.isArray(stat)) {
+            return stat.length > 0 ? stat[stat.length - 1] : null;
+        }
+        return stat;
+    }
+
+    /**
+     * Map Samsara reefer stats into the standard reefer shape
+     * @param {Object} stats - Merged trailer stats
+     * @returns {Object|null} Standard reefer data or null if the trailer reports none
+     */
+    mapReeferStats(stats) {
+        const milliCToC = (stat) => {
+            const point = this.latestStat(stat);
+            return point && point.value !== undefined && point.value !== null
+                ? Math.round(point.value / 10) / 100
+                : null;
+        };
+
+        const points = [
+            stats.reeferAmbientAirTemperatureMilliC,
+            stats.reeferSetPointTemperatureMilliCZone1,
+            stats.reeferReturnAirTemperatureMilliCZone1,
+            stats.reeferSupplyAirTemperatureMilliCZone1,
+            stats.reeferRunMode
+        ].map(stat => this.latestStat(stat)).filter(Boolean);
+
+        if (points.length === 0) {
+            return null;
+        }
+
+        const recordedAt = points
+            .map(point => point.time)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        return {
+            ambientTempC: milliCToC(stats.reeferAmbientAirTemperatureMilliC),
+            setPointC: milliCToC(stats.reeferSetPointTemperatureMilliCZone1),
+            returnAirTempC: milliCToC(stats.reeferReturnAirTemperatureMilliCZone1),
+            supplyAirTempC: milliCToC(stats.reeferSupplyAirTemperatureMilliCZone1),
+            powerStatus: this.latestStat(stats.reeferRunMode)?.value || null,
+            recordedAt
+        };
+    }
+
+    /**
+     * Map Samsara door state into the standard door shape
+     * @param {Object} stats - Merged trailer stats
+     * @returns {Object|null} Standard door data or null if the trailer reports none
+     */
+    mapDoorStats(stats) {
+        const point = this.latestStat(stats.reeferDoorStateZone1);
+        if (!point || point.value === undefined || point.value === null) {
+            return null;
+        }
+
+        return {
+            closed: String(point.value).toLowerCase() === 'closed',
+            recordedAt: point.time || null
+        };
+    }
+
+    /**
+     * Process raw Samsara data into standardized format. A trailer whose stats carry reefer or door
+     * readings but no GPS point, as in a delta with only sensor changes, is returned as telemetryOnly
+     * with no position.
+     * @param {Array} samsaraTrailers - Trailers from /fleet/trailers
+     * @param {Map} statsById - Trailer ID -> stats from the trailer stats feed
      * @returns {Array} Standardized trailer data
      */
-    async processTrailerData(vehicles, providerName) {
+    async processTrailerData(samsaraTrailers, statsById = new Map()) {
         const trailers = [];
+        const telemetryOnly = [];
 
-        for (const vehicle of vehicles) {
+        for (const samsaraTrailer of samsaraTrailers) {
             try {
-                // Only process trailers (you might need to adjust this logic based on Samsara's data structure)
-                if (vehicle.vehicleType === 'trailer' || vehicle.name?.toLowerCase().includes('trailer')) {
-                    
-                    // Geocode coordinates for address
-                    let address = 'Location unavailable';
-                    let lastAddress = 'Location unavailable';
-                    
-                    if (vehicle.location?.latitude && vehicle.location?.longitude) {
-                        const latNum = parseFloat(vehicle.location.latitude);
-                        const lngNum = parseFloat(vehicle.location.longitude);
-                        
-                        if (!isNaN(latNum) && !isNaN(lngNum) && 
-                            latNum >= -90 && latNum <= 90 && 
-                            lngNum >= -180 && lngNum <= 180) {
-                            
-                            try {
-                                const reverseAddress = await geocodingService.getStandardizedAddress(latNum, lngNum);
-                                address = reverseAddress && reverseAddress !== 'Location unavailable' 
-                                    ? reverseAddress 
-                                    : `${latNum}, ${lngNum}`;
-                                lastAddress = address;
-                            } catch (error) {
-                                address = `${latNum}, ${lngNum}`;
-                                lastAddress = address;
-                            }
-                        }
+                const stats = statsById.get(samsaraTrailer.id) || {};
+                const gps = this.latestStat(stats.gps);
+                
+                if (!gps) {
+                    const reefer = this.mapReeferStats(stats);
+                    const door = this.mapDoorStats(stats);
+                    if (reefer || door) {
+                        const recordedAt = [reefer?.recordedAt, door?.recordedAt].filter(Boolean).sort().pop();
+                        telemetryOnly.push({
+                            ...this.createStandardTrailer({
+                                id: samsaraTrailer.id,
+                                originalId: samsaraTrailer.name || samsaraTrailer.id,
+                                deviceId: samsaraTrailer.id,
+                                vin: samsaraTrailer.vin || null,
+                                plate: samsaraTrailer.licensePlate || null,
+                                lastUpdate: recordedAt ? new Date(recordedAt) : new Date(),
+                                reefer,
+                                door
+                            }),
+                            last_latitude: null,
+                            last_longitude: null,
+                            telemetryOnly: true
+                        });
+                    }
+                    continue;
+                }
+
+                const latNum = parseFloat(gps.latitude);
+                const lngNum = parseFloat(gps.longitude);
+                
+                // Prefer Samsara's own reverse geocode; fall back to ours
+                let address = gps.reverseGeo?.formattedLocation || null;
+                if (!address && !isNaN(latNum) && !isNaN(lngNum) && 
+                    latNum >= -90 && latNum <= 90 && 
+                    lngNum >= -180 && lngNum <= 180) {
+                    try {
+                        const reverseAddress = await geocodingService.getStandardizedAddress(latNum, lngNum);
+                        address = reverseAddress && reverseAddress !== 'Location unavailable' 
+                            ? reverseAddress 
+                            : `${latNum}, ${lngNum}`;
+                    } catch (error) {
+                        address = `${latNum}, ${lngNum}`;
                     }
-                    
-                    // Clean unit number by removing "Trailer" text
-                    const rawUnitNumber = vehicle.id || vehicle.name;
-                    const cleanedUnitNumber = this.cleanUnitNumber(rawUnitNumber);
-                    
-                    const trailer = this.createStandardTrailer({
-                         id: `samsara_${vehicle.id || vehicle.name || Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                         provider_id: 'Samsara',
-                         originalId: vehicle.id || vehicle.name,
-                         deviceId: vehicle.id || vehicle.name,
-                         unit_number: cleanedUnitNumber, // Use cleaned unit number
-                         make: vehicle.make || null,
-                         model: vehicle.model || null,
-                         year: vehicle.year ? parseInt(vehicle.year) : null,
-                         vin: vehicle.vin || null,
-                         plate: vehicle.licensePlate || vehicle.plate || null,
-                         status: 'available',
-                         gps_status: 'connected',
-                         latitude: vehicle.location?.latitude ? parseFloat(vehicle.location.latitude) : null,
-                         longitude: vehicle.location?.longitude ? parseFloat(vehicle.location.longitude) : null,
-                         address: address,
-                         lastUpdate: vehicle.lastLocation?.timestamp ? new Date(vehicle.lastLocation.timestamp) : new Date(),
-                         last_address: lastAddress,
-                         manual_location_override: false,
-                         company_id: null // Will be set by caller
-                     });
-                    
-                    trailers.push(trailer);
                 }
+
+                const speedKmh = gps.speedMilesPerHour !== undefined && gps.speedMilesPerHour !== null
+                    ? Math.round(gps.speedMilesPerHour * KM_PER_MILE * 10) / 10
+                    : null;
+
+                const trailer = this.createStandardTrailer({
+                    id: samsaraTrailer.id,
+                    originalId: samsaraTrailer.name || samsaraTrailer.id,
+                    deviceId: samsaraTrailer.id,
+                    make: samsaraTrailer.make || null,
+                    model: samsaraTrailer.model || null,
+                    year: samsaraTrailer.year ? parseInt(samsaraTrailer.year) : null,
+                    vin: samsaraTrailer.vin || null,
+                    plate: samsaraTrailer.licensePlate || null,
+                    status: speedKmh !== null && speedKmh > MOVING_SPEED_KMH ? this.mapStatus('Moving') : this.mapStatus('Stopped'),
+                    latitude: latNum,
+                    longitude: lngNum,
+                    address: address || 'Location unavailable',
+                    last_address: address || 'Location unavailable',
+                    lastUpdate: gps.time ? new Date(gps.time) : new Date(),
+                    speed: speedKmh,
+                    heading: gps.headingDegrees ?? null,
+                    reefer: this.mapReeferStats(stats),
+                    door: this.mapDoorStats(stats),
+                    manual_location_override: false,
+                    company_id: null // Will be set by caller
+                });
+                
+                trailers.push(trailer);
             } catch (error) {
-                logger.error(`❌ Error processing Samsara vehicle ${vehicle.id}:`, error);
+                logger.error(`❌ Error processing Samsara trailer ${samsaraTrailer.id}:`, error);
             }
         }
         
-        return this.filterValidTrailers(trailers);
+        return [...this.filterValidTrailers(trailers), ...telemetryOnly];
+    }
+
+    /**
+     * Test Samsara credentials without storing any data
+     * @param {Object} credentials - Samsara credentials
+     * @returns {Promise<Object>} Test result
+     */
+    async testConnection(credentials) {
+        const { testSamsaraConnection } = require('../gps-testing');
+        return testSamsaraConnection(credentials);
     }
 
     /**
@@ -166,4 +383,6 @@ class SamsaraService extends BaseGPSProvider {
     }
 }
 
-module.exports = SamsaraService; 
\ No newline at end of file
+BaseGPSProvider.register(SamsaraService);
+
+module.exports = SamsaraService;
@@ -1,3 +1,4 @@
+const Joi = require('joi');
 const BaseGPSProvider = require('./base-provider');
 const axios = require('axios');
 const xml2js = require('xml2js');
@@ -5,11 +6,25 @@ const { extractCityStateFromString } = require('../../database/utils/database-ut
 const logger = require('../../utils/logger');
 const geocodingService = require('../geocoding');
 
+// SkyBitz limits time-range queries; older cursors fall back to a full query
+const MAX_DELTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DELTA_OVERLAP_MS = 2 * 60 * 1000;
+
 /**
  * SkyBitz GPS Provider Service
  * Handles integration with SkyBitz GPS tracking platform
  */
 class SkyBitzService extends BaseGPSProvider {
+    static type = 'skybitz';
+    static displayName = 'SkyBitz';
+    static supportsDeltaSync = true;
+    static credentialSchema = Joi.object({
+        username: Joi.string().required(),
+        password: Joi.string().required(),
+        baseURL: Joi.string().uri().optional(),
+        providerName: Joi.string().allow('', null)
+    });
+
     constructor() {
         super('SkyBitz');
     }
@@ -30,6 +45,46 @@ class SkyBitzService extends BaseGPSProvider {
      * @returns {Promise<Array>} Array of trailer data
      */
     async fetchData(credentials) {
+        const { trailers } = await this.fetchChanges(credentials, null);
+        return trailers;
+    }
+
+    /**
+     * Format a date as a SkyBitz query time (UTC, yyyy/MM/dd-HH:mm:ss)
+     * @param {Date} date - Date to format
+     * @returns {string} SkyBitz time string
+     */
+    formatQueryTime(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}-` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    }
+
+    /**
+     * Keep only the newest position per device from a time-range query
+     * @param {Array} glsData - Raw GLS records
+     * @returns {Array} One GLS record per device
+     */
+    latestPositionPerDevice(glsData) {
+        const latest = new Map();
+        for (const gls of glsData) {
+            const key = gls.mtsn || gls.asset?.assetid;
+            const current = latest.get(key);
+            if (!current || new Date(gls.time) > new Date(current.time)) {
+                latest.set(key, gls);
+            }
+        }
+        return Array.from(latest.values());
+    }
+
+    /**
+     * Fetch positions reported since the cursor (latest position of every asset when cursor is null)
+     * A cursor older than the maximum query window falls back to a full query.
+     * @param {Object} credentials - SkyBitz credentials
+     * @param {string|null} cursor - ISO end time of the previous query window
+     * @returns {Promise<Object>} { trailers, cursor, fullSync }
+     */
+    async fetchChanges(credentials, cursor = null) {
         try {
             logger.info(`📡 Fetching SkyBitz data for ${credentials.providerName || 'SkyBitz'}...`);
             logger.info(`🔑 Credentials check:`, {
@@ -45,12 +100,21 @@ class SkyBitzService extends BaseGPSProvider {
             const { username, password } = credentials;
             const baseURL = credentials.baseURL || 'https://xml.skybitz.com:9443';
 
+            const queryEnd = new Date();
+            const since = cursor && !isNaN(Date.parse(cursor)) ? new Date(cursor) : null;
+            const fullSync = !since || queryEnd - since > MAX_DELTA_WINDOW_MS;
+
             const params = new URLSearchParams({
                 customer: username,
                 password: password,
                 assetid: 'ALL',
                 version: '2.67'
             });
+            if (!fullSync) {
+                // Overlap the previous window slightly to pick up positions that arrived late
+                params.set('from', this.formatQueryTime(new Date(since.getTime() - DELTA_OVERLAP_MS)));
+                params.set('to', this.formatQueryTime(queryEnd));
+            }
             
             const url = `${baseURL}/QueryPositions?${params.toString()}`;
             logger.info(`🌐 Making request to: ${url.replace(password, '***')}`);
@@ -81,7 +145,7 @@ class SkyBitzService extends BaseGPSProvider {
 
             if (!result.skybitz || !result.skybitz.gls) {
                 logger.info(`✅ SkyBitz data fetch successful: 0 trailers found`);
-                return [];
+                return { trailers: [], cursor: queryEnd.toISOString(), fullSync };
             }
 
             const glsData = Array.isArray(result.skybitz.gls) 
@@ -90,10 +154,11 @@ class SkyBitzService extends BaseGPSProvider {
             
             logger.info(`📊 Raw GLS data count: ${glsData.length}`);
             
-            const trailers = await this.processTrailerData(glsData, credentials.providerName || 'SkyBitz');
+            const positions = fullSync ? glsData : this.latestPositionPerDevice(glsData);
+            const trailers = await this.processTrailerData(positions, credentials.providerName || 'SkyBitz');
             
-            logger.info(`✅ SkyBitz data fetch successful: ${trailers.length} trailers found`);
-            return trailers;
+            logger.info(`✅ SkyBitz ${fullSync ? 'full' : 'delta'} fetch successful: ${trailers.length} trailers found`);
+            return { trailers, cursor: queryEnd.toISOString(), fullSync };
             
         } catch (error) {
             logger.error(`❌ SkyBitz data fetch failed for ${credentials.providerName || 'SkyBitz'}:`, error.message);
@@ -102,6 +167,41 @@ class SkyBitzService extends BaseGPSProvider {
         }
     }
 
+    /**
+     * Map the GLS sensor fields into the standard door, cargo, reefer and battery shapes.
+     * Door and cargo states come from the <sensor> entries (<sensortype>, <sensorstate>), the tracker
+     * battery from <batteryvoltage> and reefer readings from the <reefer> block, in °F unless <tempunit> is C.
+     * @param {Object} gls - Raw GLS record
+     * @returns {Object} { door, cargo, reefer, battery }, each null when the unit does not report it
+     */
+    mapTelemetry(gls) {
+        const recordedAt = gls.time ? new Date(gls.time).toISOString() : null;
+        const sensors = [].concat(gls.sensor || []);
+        const sensorState = (type) => {
+            const sensor = sensors.find(entry => String(entry.sensortype || '').toLowerCase().includes(type));
+            return sensor?.sensorstate ? String(sensor.sensorstate).toLowerCase() : null;
+        };
+
+        const doorState = sensorState('door');
+        const cargoState = sensorState('cargo');
+        const voltage = this.parseNumber(gls.batteryvoltage);
+        const reefer = gls.reefer && typeof gls.reefer === 'object' ? gls.reefer : null;
+
+        return {
+            door: doorState ? { closed: doorState.includes('closed'), recordedAt } : null,
+            cargo: cargoState ? { loaded: /loaded|full/.test(cargoState), recordedAt } : null,
+            battery: voltage !== null ? { voltage, recordedAt } : null,
+            reefer: reefer ? {
+                ambientTempC: this.toCelsius(reefer.ambienttemp, reefer.tempunit || 'F'),
+                setPointC: this.toCelsius(reefer.setpoint, reefer.tempunit || 'F'),
+                returnAirTempC: this.toCelsius(reefer.returnairtemp, reefer.tempunit || 'F'),
+                supplyAirTempC: this.toCelsius(reefer.supplyairtemp, reefer.tempunit || 'F'),
+                powerStatus: reefer.unitmode || null,
+                recordedAt
+            } : null
+        };
+    }
+
     /**
      * Process raw SkyBitz data into standardized format
      * @param {Array} glsData - Raw GLS data from SkyBitz
@@ -184,6 +284,7 @@ class SkyBitzService extends BaseGPSProvider {
                      address: fullAddress, // Always use full address (formatted string)
                      lastUpdate: gls.time ? new Date(gls.time) : new Date(),
                      last_address: fullAddress, // Always use full address (formatted string)
+                     ...this.mapTelemetry(gls),
                      manual_location_override: false,
                      company_id: null // Will be set by caller
                  });
@@ -222,6 +323,16 @@ class SkyBitzService extends BaseGPSProvider {
     return this.filterValidTrailers(allTrailers);
     }
 
+    /**
+     * Test SkyBitz credentials without storing any data
+     * @param {Object} credentials - SkyBitz credentials
+     * @returns {Promise<Object>} Test result
+     */
+    async testConnection(credentials) {
+        const { testSkyBitzConnection } = require('../gps-testing');
+        return testSkyBitzConnection(credentials);
+    }
+
     /**
      * Get SkyBitz provider status
      * @param {Object} credentials - SkyBitz credentials
@@ -245,4 +356,6 @@ class SkyBitzService extends BaseGPSProvider {
     }
 }
 
-module.exports = SkyBitzService; 
\ No newline at end of file
+BaseGPSProvider.register(SkyBitzService);
+
+module.exports = SkyBitzService;
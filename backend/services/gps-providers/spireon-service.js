@@ -1,4 +1,5 @@
 const axios = require('axios');
+const Joi = require('joi');
 const BaseGPSProvider = require('./base-provider');
 const logger = require('../../utils/logger');
 const geocodingService = require('../geocoding');
@@ -8,6 +9,18 @@ const geocodingService = require('../geocoding');
  * Handles integration with Spireon GPS tracking platform
  */
 class SpireonService extends BaseGPSProvider {
+    static type = 'spireon';
+    static displayName = 'Spireon';
+    static supportsDeltaSync = true;
+    static credentialSchema = Joi.object({
+        apiKey: Joi.string().required(),
+        username: Joi.string().required(),
+        password: Joi.string().required(),
+        nspireId: Joi.alternatives(Joi.string(), Joi.number()).required(),
+        baseURL: Joi.string().uri().optional(),
+        providerName: Joi.string().allow('', null)
+    });
+
     constructor() {
         super('Spireon');
     }
@@ -28,6 +41,23 @@ class SpireonService extends BaseGPSProvider {
      * @returns {Promise<Array>} Array of trailer data
      */
     async fetchData(credentials) {
+        try {
+            const { trailers } = await this.fetchChanges(credentials, null);
+            return trailers;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Fetch assets that reported a location since the cursor (all assets when cursor is null)
+     * NSpire is asked for assets updated since the cursor, and results are filtered locally
+     * as well so only changed assets are geocoded.
+     * @param {Object} credentials - Spireon credentials
+     * @param {string|null} cursor - ISO time of the newest location seen by the previous fetch
+     * @returns {Promise<Object>} { trailers, cursor, fullSync }
+     */
+    async fetchChanges(credentials, cursor = null) {
         try {
             logger.info(`📡 Fetching Spireon data for ${credentials.providerName || 'Spireon'}...`);
             logger.debug(`🔑 Credentials check:`, {
@@ -44,10 +74,11 @@ class SpireonService extends BaseGPSProvider {
             
             const { apiKey, username, password, nspireId } = credentials;
             const baseURL = credentials.baseURL || 'https://services.spireon.com/v0/rest';
+            const since = cursor && !isNaN(Date.parse(cursor)) ? new Date(cursor) : null;
             
             const basicAuth = Buffer.from(`${username}:${password}`).toString('base64');
             
-            logger.info(`🌐 Making request to: ${baseURL}/assets`);
+            logger.info(`🌐 Making request to: ${baseURL}/assets${since ? ` (updated since ${since.toISOString()})` : ''}`);
             logger.debug(`🔑 Using API key: ${apiKey.substring(0, 8)}...`);
             
             const response = await axios.get(`${baseURL}/assets`, {
@@ -57,6 +88,7 @@ class SpireonService extends BaseGPSProvider {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
+                params: since ? { updatedSince: since.toISOString() } : undefined,
                 timeout: 30000
             });
 
@@ -64,8 +96,23 @@ class SpireonService extends BaseGPSProvider {
             logger.info(`📥 Assets found: ${response.data?.content?.length || response.data?.length || 0}`);
 
             const assets = response.data.content || response.data || [];
-            const processedTrailers = await this.processTrailerData(assets, credentials.providerName || 'Spireon');
-            return processedTrailers;
+            const reportedAt = (asset) => new Date(asset.locationLastReported || asset.lastUpdated || 0);
+            const changedAssets = since
+                ? assets.filter(asset => reportedAt(asset) > since)
+                : assets;
+
+            // Advance the cursor to the newest report seen so clock skew never skips positions
+            const newest = assets.reduce((latest, asset) => {
+                const time = reportedAt(asset);
+                return !isNaN(time) && time > latest ? time : latest;
+            }, since || new Date(0));
+
+            const processedTrailers = await this.processTrailerData(changedAssets, credentials.providerName || 'Spireon');
+            return {
+                trailers: processedTrailers,
+                cursor: newest.getTime() > 0 ? newest.toISOString() : null,
+                fullSync: !since
+            };
             
         } catch (error) {
             logger.error(`❌ Error fetching Spireon data:`, error.message);
@@ -73,10 +120,44 @@ class SpireonService extends BaseGPSProvider {
                 logger.error(`❌ Response status: ${error.response.status}`);
                 logger.error(`❌ Response data:`, error.response.data);
             }
-            return [];
+            throw error;
         }
     }
 
+    /**
+     * Map the asset's sensor fields into the standard door, cargo, reefer, battery and meters shapes.
+     * Reads doorStatus (OPEN/CLOSED), cargoStatus (LOADED/EMPTY), batteryVoltage, odometer (miles), the
+     * reefer block, whose temperatures are in °F unless reefer.temperatureUnit is C, and the reefer's engineHours.
+     * @param {Object} asset - Raw Spireon asset
+     * @returns {Object} { door, cargo, reefer, battery, meters }, each null when the asset does not report it
+     */
+    mapTelemetry(asset) {
+        const reportedAt = asset.sensorsLastReported || asset.locationLastReported || asset.lastUpdated;
+        const recordedAt = reportedAt ? new Date(reportedAt).toISOString() : null;
+        const doorStatus = asset.doorStatus ? String(asset.doorStatus).toUpperCase() : null;
+        const cargoStatus = asset.cargoStatus ? String(asset.cargoStatus).toUpperCase() : null;
+        const voltage = this.parseNumber(asset.batteryVoltage ?? asset.battery?.voltage);
+        const reefer = asset.reefer && typeof asset.reefer === 'object' ? asset.reefer : null;
+        const unit = reefer?.temperatureUnit || 'F';
+        const odometerMiles = this.parseNumber(asset.odometer);
+        const engineHours = this.parseNumber(reefer?.engineHours ?? asset.engineHours);
+
+        return {
+            door: doorStatus ? { closed: doorStatus === 'CLOSED', recordedAt } : null,
+            cargo: cargoStatus ? { loaded: cargoStatus === 'LOADED', recordedAt } : null,
+            battery: voltage !== null ? { voltage, recordedAt } : null,
+            reefer: reefer ? {
+                ambientTempC: this.toCelsius(reefer.ambientTemp, unit),
+                setPointC: this.toCelsius(reefer.setPoint, unit),
+                returnAirTempC: this.toCelsius(reefer.returnAirTemp, unit),
+                supplyAirTempC: this.toCelsius(reefer.supplyAirTemp, unit),
+                powerStatus: reefer.mode || null,
+                recordedAt
+            } : null,
+            meters: odometerMiles !== null || engineHours !== null ? { odometerMiles, engineHours, recordedAt } : null
+        };
+    }
+
     /**
      * Process raw Spireon data into standardized format
      * @param {Array} assets - Raw asset data from Spireon
@@ -131,15 +212,25 @@ class SpireonService extends BaseGPSProvider {
                 year: asset.year,
                 vin: asset.vin,
                 plate: asset.plate || asset.licensePlate || asset.registration || null,
-                odometer: asset.odometer,
                 address: fullAddress, // Always use full address (formatted string)
-                last_address: fullAddress // Always use full address (formatted string)
+                last_address: fullAddress, // Always use full address (formatted string)
+                ...this.mapTelemetry(asset)
             });
         }));
         
         return this.filterValidTrailers(processedTrailers);
     }
 
+    /**
+     * Test Spireon credentials without storing any data
+     * @param {Object} credentials - Spireon credentials
+     * @returns {Promise<Object>} Test result
+     */
+    async testConnection(credentials) {
+        const { testSpireonConnection } = require('../gps-testing');
+        return testSpireonConnection(credentials);
+    }
+
     /**
      * Get Spireon provider status
      * @param {Object} credentials - Spireon credentials
@@ -163,4 +254,6 @@ class SpireonService extends BaseGPSProvider {
     }
 }
 
-module.exports = SpireonService; 
\ No newline at end of file
+BaseGPSProvider.register(SpireonService);
+
+module.exports = SpireonService;
@@ -296,50 +296,34 @@ async function testSamsaraConnection(credentials) {
             throw new Error(`Missing required Samsara credentials: ${missing.join(', ')}`);
         }
 
-        // Test the connection by fetching vehicles/assets
-        const response = await axios.get(`${apiUrl}/fleet/vehicles`, {
-            headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            timeout: 15000
-        });
-
-        const vehicles = response.data.data || [];
-        const trailers = vehicles.filter(vehicle => 
-            vehicle.vehicleType === 'trailer' || 
-            vehicle.name.toLowerCase().includes('trailer')
-        );
-        const trailerCount = trailers.length;
-        
+        // Test the connection by paging through every trailer and its latest GPS stat
+        const samsara = require('./gps-providers').getProvider('samsara');
+        const client = samsara.createClient(credentials);
+        const [{ data: trailers }, { data: gpsStats }] = await Promise.all([
+            samsara.fetchAllPages(client, '/fleet/trailers', { limit: 512 }),
+            samsara.fetchAllPages(client, '/beta/fleet/trailers/stats', { types: 'gps', limit: 512 })
+        ]);
+        const gpsById = new Map(gpsStats.map(stat => [stat.id, samsara.latestStat(stat.gps)]));
 
-        
         // Transform Samsara trailers to consistent format and filter out inactive units
         const assets = trailers
-            .filter(vehicle => {
-                const isActive = isAssetActive(vehicle);
-                
-
-                
-                return isActive;
-            })
-            .map(vehicle => {
-                const location = vehicle.location || vehicle.gpsLocation || {};
+            .filter(trailer => isAssetActive(trailer))
+            .map(trailer => {
+                const gps = gpsById.get(trailer.id) || {};
                 return {
-                    id: vehicle.id || vehicle.assetId,
-                    name: vehicle.name || vehicle.assetName || vehicle.id,
-                    status: vehicle.status || 'active',
+                    id: trailer.id,
+                    name: trailer.name || trailer.id,
+                    status: trailer.status || 'active',
                     location: {
-                        latitude: location.latitude || location.lat || null,
-                        longitude: location.longitude || location.lng || null,
-                        address: location.address || location.formattedAddress || null,
-                        timestamp: location.timestamp || location.lastUpdate || new Date().toISOString()
+                        latitude: gps.latitude ?? null,
+                        longitude: gps.longitude ?? null,
+                        address: gps.reverseGeo?.formattedLocation || null,
+                        timestamp: gps.time || null
                     }
                 };
             });
         
-        logger.info(`✅ Samsara test successful: ${vehicles.length} vehicles found, ${trailers.length} total trailers`);
+        logger.info(`✅ Samsara test successful: ${trailers.length} total trailers`);
         const filteredOutCount = trailers.length - assets.length;
         logger.info(`✅ Samsara filtered: ${assets.length} active trailers (${filteredOutCount} inactive trailers filtered out)`);
         
@@ -380,21 +364,17 @@ async function testSamsaraConnection(credentials) {
 
 /**
  * Test GPS provider connection based on provider type
+ * Dispatches to the test routine of the registered provider service.
  */
 async function testGPSProviderConnection(providerType, credentials) {
-    switch (providerType) {
-        case 'spireon':
-            return await testSpireonConnection(credentials);
-        case 'skybitz':
-            return await testSkyBitzConnection(credentials);
-        case 'samsara':
-            return await testSamsaraConnection(credentials);
-        default:
-            return {
-                success: false,
-                error: `Unsupported provider type: ${providerType}`
-            };
+    const providerRegistry = require('./gps-providers');
+    if (!providerRegistry.isRegistered(providerType)) {
+        return {
+            success: false,
+            error: `Unsupported provider type: ${providerType}`
+        };
     }
+    return await providerRegistry.getProvider(providerType).testConnection(credentials);
 }
 
 module.exports = {
@@ -0,0 +1,304 @@
+const {
+    syncScheduleManager, gpsProviderManager, providerHealthManager, refreshLogManager, telemetryManager
+} = require('../database/database-manager');
+const providerSync = require('./provider-sync');
+const gpsProviderService = require('./gps-provider-service');
+const trailerReconciliation = require('./trailer-reconciliation');
+const deviceHealth = require('./device-health');
+const MaintenanceService = require('./maintenance');
+const { SYNC_JOB_TYPES, SYNC_JOB_STATUS, SYNC_SCHEDULER, TIME_CONSTANTS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after midnight of a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes
+ */
+function getLocalMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+    return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Persisted background job scheduler
+ * Runs location refreshes and maintenance checks from sync_schedules: one schedule per tenant
+ * and job type, with optional per-provider location refresh overrides. Each schedule has its
+ * own interval and quiet hours, and every run is recorded in sync_job_runs.
+ *
+ * Runs missed while the server was down are caught up once on the first tick after startup.
+ * Due schedules run side by side; provider fetches are shared and limited by the provider sync service.
+ */
+class JobScheduler {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+        this.startedAt = null;
+        this.lastTickAt = null;
+        this.lastPurgeAt = 0;
+        this.runningSchedules = new Set();
+    }
+
+    /**
+     * Start the scheduler
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.startedAt = new Date().toISOString();
+
+        const interrupted = await syncScheduleManager.markInterruptedRuns();
+        if (interrupted > 0) {
+            logger.warn(`Marked ${interrupted} job run(s) interrupted by the last shutdown`);
+        }
+
+        this.timer = setInterval(() => this.tick(), SYNC_SCHEDULER.TICK_INTERVAL);
+        this.timer.unref();
+        setTimeout(() => this.tick(), 5 * TIME_CONSTANTS.SECOND).unref();
+
+        logger.info('Job scheduler started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            startedAt: this.startedAt,
+            lastTickAt: this.lastTickAt,
+            runningSchedules: Array.from(this.runningSchedules)
+        };
+    }
+
+    isRunning(scheduleId) {
+        return this.runningSchedules.has(scheduleId);
+    }
+
+    /**
+     * Run every due schedule. Ticks never overlap; a tick that finds the previous one
+     * still running does nothing.
+     */
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+
+        this.ticking = true;
+        this.lastTickAt = new Date().toISOString();
+
+        try {
+            const created = await syncScheduleManager.ensureTenantSchedules();
+            if (created > 0) {
+                logger.info(`Created ${created} default sync schedule(s) for new tenants`);
+            }
+
+            const dueSchedules = await syncScheduleManager.getDueSchedules(this.lastTickAt);
+            await Promise.all(dueSchedules.map(schedule => this.runDueSchedule(schedule).catch(error => {
+                logger.error(`Error running schedule ${schedule.id}:`, error);
+            })));
+
+            if (Date.now() - this.lastPurgeAt > TIME_CONSTANTS.HOUR) {
+                this.lastPurgeAt = Date.now();
+                await syncScheduleManager.purgeOldRuns();
+                await providerHealthManager.purgeOldChecks();
+                await refreshLogManager.purgeOldLogs();
+                await telemetryManager.purgeOldTelemetry();
+                await this.reconcilePushProviders();
+            }
+        } catch (error) {
+            logger.error('Job scheduler tick failed:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Reconcile the trailers of push providers, which have no sync or refresh runs to reconcile after
+     */
+    async reconcilePushProviders() {
+        const providers = (await gpsProviderManager.getAllActiveProviders())
+            .filter(provider => gpsProviderService.isPushProvider(provider.type));
+
+        for (const provider of providers) {
+            try {
+                await trailerReconciliation.reconcileProvider(provider);
+            } catch (error) {
+                logger.error(`Failed to reconcile trailers for push provider ${provider.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Minutes until a schedule's quiet hours end, or 0 when it is outside quiet hours.
+     * Quiet hours may wrap past midnight (22:00-06:00).
+     * @param {Object} schedule - Schedule with quietHoursStart, quietHoursEnd, timezone
+     * @param {Date} date - Moment to check
+     * @returns {number} Minutes
+     */
+    getQuietMinutesRemaining(schedule, date) {
+        if (!schedule.quietHoursStart || !schedule.quietHoursEnd) {
+            return 0;
+        }
+
+        const start = toMinutes(schedule.quietHoursStart);
+        const end = toMinutes(schedule.quietHoursEnd);
+        const now = getLocalMinutes(date, schedule.timezone);
+        const inQuietHours = start < end
+            ? now >= start && now < end
+            : start > end && (now >= start || now < end);
+
+        return inQuietHours ? (end - now + 1440) % 1440 : 0;
+    }
+
+    /**
+     * Run a due schedule, or push it to the end of its quiet hours
+     * @param {Object} schedule - Schedule (camelCase)
+     */
+    async runDueSchedule(schedule) {
+        const quietMinutes = this.getQuietMinutesRemaining(schedule, new Date());
+        if (quietMinutes > 0) {
+            const resumeAt = new Date(Date.now() + quietMinutes * TIME_CONSTANTS.MINUTE).toISOString();
+            await syncScheduleManager.deferSchedule(schedule.id, resumeAt);
+            logger.debug(`Deferred ${schedule.jobType} for tenant ${schedule.tenantId} until quiet hours end at ${resumeAt}`);
+            return;
+        }
+
+        // Schedules that came due before this process started were missed while it was down
+        const triggerType = schedule.nextRunAt < this.startedAt ? 'catch_up' : 'scheduled';
+        await this.runSchedule(schedule, triggerType);
+    }
+
+    /**
+     * Run a schedule's job now, record the run and set the next run one interval later
+     * @param {Object} schedule - Schedule (camelCase)
+     * @param {string} triggerType - 'scheduled', 'catch_up' or 'manual'
+     * @returns {Promise<Object|null>} Run result, null when the schedule is already running
+     */
+    async runSchedule(schedule, triggerType) {
+        if (this.runningSchedules.has(schedule.id)) {
+            return null;
+        }
+
+        this.runningSchedules.add(schedule.id);
+        const startTime = Date.now();
+
+        try {
+            const runId = await syncScheduleManager.startRun({
+                scheduleId: schedule.id,
+                tenantId: schedule.tenantId,
+                providerId: schedule.providerId,
+                jobType: schedule.jobType,
+                triggerType,
+                scheduledFor: triggerType === 'manual' ? null : schedule.nextRunAt
+            });
+
+            let result;
+            try {
+                result = schedule.jobType === SYNC_JOB_TYPES.MAINTENANCE
+                    ? await this.runMaintenanceJob(schedule)
+                    : await this.runLocationRefreshJob(schedule, { triggerType, jobRunId: runId });
+            } catch (error) {
+                logger.error(`${schedule.jobType} job failed for tenant ${schedule.tenantId}:`, error);
+                result = { status: SYNC_JOB_STATUS.FAILED, errorMessage: error.message };
+            }
+
+            result.durationMs = Date.now() - startTime;
+            await syncScheduleManager.finishRun(runId, result);
+            await syncScheduleManager.completeScheduleRun(schedule.id, {
+                lastRunAt: new Date(startTime).toISOString(),
+                lastStatus: result.status,
+                nextRunAt: new Date(Date.now() + schedule.intervalMinutes * TIME_CONSTANTS.MINUTE).toISOString()
+            });
+
+            return { runId, ...result };
+        } finally {
+            this.runningSchedules.delete(schedule.id);
+        }
+    }
+
+    /**
+     * Get the providers a location refresh schedule covers: its provider for an override,
+     * otherwise every polled provider in the tenant without its own schedule
+     * @param {Object} schedule - Schedule (camelCase)
+     * @returns {Promise<Array>} Provider rows
+     */
+    async getScheduleProviders(schedule) {
+        if (schedule.providerId) {
+            const provider = await gpsProviderManager.getProviderById(schedule.providerId);
+            return provider && provider.tenant_id === schedule.tenantId ? [provider] : [];
+        }
+
+        const [providers, overridden] = await Promise.all([
+            gpsProviderManager.getAllTenantProviders(schedule.tenantId),
+            syncScheduleManager.getOverriddenProviderIds(schedule.tenantId, schedule.jobType)
+        ]);
+
+        return providers.filter(provider =>
+            !overridden.has(provider.id) && !gpsProviderService.isPushProvider(provider.type)
+        );
+    }
+
+    /**
+     * Refresh the locations of a schedule's providers
+     * @param {Object} schedule - Schedule (camelCase)
+     * @param {Object} context - { triggerType, jobRunId } for the per-provider refresh log
+     * @returns {Promise<Object>} Run result
+     */
+    async runLocationRefreshJob(schedule, context) {
+        const providers = await this.getScheduleProviders(schedule);
+        const summary = await providerSync.refreshProviders(providers, context);
+
+        let status = SYNC_JOB_STATUS.SUCCESS;
+        if (summary.failures.length > 0 && summary.failures.length === providers.length) {
+            status = SYNC_JOB_STATUS.FAILED;
+        } else if (summary.failures.length > 0 || summary.skipped.length > 0) {
+            status = SYNC_JOB_STATUS.PARTIAL;
+        }
+
+        const problems = [...summary.failures, ...summary.skipped];
+
+        return {
+            status,
+            providersProcessed: summary.providersProcessed,
+            trailersProcessed: summary.trailersProcessed,
+            locationsUpdated: summary.locationsUpdated,
+            errorMessage: problems.length > 0 ? problems.join('; ') : null
+        };
+    }
+
+    async runMaintenanceJob(schedule) {
+        const { trailersChecked } = await MaintenanceService.checkTenantAlerts(schedule.tenantId);
+        await deviceHealth.checkTenantAlerts(schedule.tenantId);
+
+        return {
+            status: SYNC_JOB_STATUS.SUCCESS,
+            trailersProcessed: trailersChecked
+        };
+    }
+}
+
+module.exports = new JobScheduler();
@@ -24,7 +24,7 @@ class JWTSecurityService {
         this.refreshSecret = process.env.JWT_REFRESH_SECRET || this.secret + '-refresh';
         
         // Clean up expired tokens every hour
-        setInterval(() => this.cleanupExpiredTokens(), 60 * 60 * 1000);
+        setInterval(() => this.cleanupExpiredTokens(), 60 * 60 * 1000).unref();
     }
 
     /**
@@ -0,0 +1,155 @@
+const { statsManager } = require('../database/database-manager');
+const { TIME_CONSTANTS } = require('../utils/constants');
+const MaintenanceService = require('./maintenance');
+
+// Months reported when no period is given, ending with the current month
+const DEFAULT_MONTHS = 12;
+
+const roundCost = (value) => Math.round(value * 100) / 100;
+
+// Costs per mile are often fractions of a cent
+const roundRate = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Shift a YYYY-MM month by a number of months
+ * @returns {string} YYYY-MM
+ */
+const addMonths = (month, count) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Work out cost per mile and per day from a lifetime cost, null without miles or days to spread it over
+ */
+const costRates = (cost, miles, days) => ({
+    costPerMile: miles > 0 ? roundRate(cost / miles) : null,
+    costPerDay: days > 0 ? roundCost(cost / days) : null
+});
+
+/**
+ * Maintenance Cost Service
+ * Reports what maintenance costs, from the parts and labor on completed work orders, each dated by its
+ * completion. Costs are summed per trailer, per company and per month within a period of months, leaving out
+ * archived trailers and trailers merged into another. Cost per mile and per day spread each trailer's lifetime
+ * cost over its current miles (see MaintenanceService.getTrailerMeters) and the days since it was added, the
+ * basis for deciding when to retire it.
+ */
+class MaintenanceCostService {
+    /**
+     * Resolve a reporting period of whole months
+     * @param {Object} options - { from, to } YYYY-MM months; to defaults to the current month, from to 12 months up to it
+     * @returns {Object} { from, to, start, end, months } with start and end as ISO dates, end exclusive
+     */
+    getPeriod({ from, to } = {}) {
+        const toMonth = to || new Date().toISOString().slice(0, 7);
+        const fromMonth = from || addMonths(toMonth, 1 - DEFAULT_MONTHS);
+
+        const months = [];
+        for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) {
+            months.push(month);
+        }
+
+        return {
+            from: fromMonth,
+            to: toMonth,
+            start: `${fromMonth}-01`,
+            end: `${addMonths(toMonth, 1)}-01`,
+            months
+        };
+    }
+
+    /**
+     * Build the maintenance cost report of a tenant's trailers
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} options - { companyId, trailerId, from, to }, see getPeriod
+     * @returns {Promise<Object>} { period, totals, monthly, companies, trailers }. Trailers without a completed
+     *   work order are counted in the totals but not listed.
+     */
+    async getReport(tenantId, { companyId, trailerId, from, to } = {}) {
+        const period = this.getPeriod({ from, to });
+        const filters = { companyId, trailerId };
+
+        const [trailerRows, monthlyRows] = await Promise.all([
+            statsManager.getTrailerMaintenanceCosts(tenantId, filters, period),
+            statsManager.getMonthlyMaintenanceCosts(tenantId, filters, period)
+        ]);
+
+        const now = Date.now();
+        const trailers = trailerRows.map(row => {
+            const miles = MaintenanceService.getTrailerMeters(row).miles || 0;
+            const days = row.createdAt ? Math.max(1, Math.ceil((now - new Date(row.createdAt).getTime()) / TIME_CONSTANTS.DAY)) : 0;
+            return {
+                trailerId: row.trailerId,
+                unitNumber: row.unitNumber,
+                companyId: row.companyId,
+                companyName: row.companyName,
+                workOrders: row.workOrders,
+                partsCost: roundCost(row.partsCost),
+                laborCost: roundCost(row.laborCost),
+                totalCost: roundCost(row.partsCost + row.laborCost),
+                lifetimeWorkOrders: row.lifetimeWorkOrders,
+                lifetimeCost: roundCost(row.lifetimeCost),
+                miles,
+                daysInService: days,
+                ...costRates(row.lifetimeCost, miles, days)
+            };
+        });
+
+        const companies = new Map();
+        const totals = { trailers: 0, workOrders: 0, partsCost: 0, laborCost: 0, lifetimeCost: 0, miles: 0, trailerDays: 0 };
+        for (const trailer of trailers) {
+            if (!companies.has(trailer.companyId)) {
+                companies.set(trailer.companyId, {
+                    companyId: trailer.companyId,
+                    companyName: trailer.companyName,
+                    trailers: 0, workOrders: 0, partsCost: 0, laborCost: 0, lifetimeCost: 0, miles: 0, trailerDays: 0
+                });
+            }
+            for (const group of [totals, companies.get(trailer.companyId)]) {
+                group.trailers++;
+                group.workOrders += trailer.workOrders;
+                group.partsCost += trailer.partsCost;
+                group.laborCost += trailer.laborCost;
+                group.lifetimeCost += trailer.lifetimeCost;
+                group.miles += trailer.miles;
+                group.trailerDays += trailer.daysInService;
+            }
+        }
+
+        const summarize = (group) => ({
+            ...group,
+            partsCost: roundCost(group.partsCost),
+            laborCost: roundCost(group.laborCost),
+            totalCost: roundCost(group.partsCost + group.laborCost),
+            lifetimeCost: roundCost(group.lifetimeCost),
+            miles: Math.round(group.miles),
+            ...costRates(group.lifetimeCost, group.miles, group.trailerDays)
+        });
+
+        const monthlyByMonth = new Map(monthlyRows.map(row => [row.month, row]));
+        const monthly = period.months.map(month => {
+            const row = monthlyByMonth.get(month);
+            const partsCost = row ? roundCost(row.partsCost) : 0;
+            const laborCost = row ? roundCost(row.laborCost) : 0;
+            return {
+                month,
+                workOrders: row ? row.workOrders : 0,
+                partsCost,
+                laborCost,
+                totalCost: roundCost(partsCost + laborCost)
+            };
+        });
+
+        return {
+            period: { from: period.from, to: period.to },
+            totals: summarize(totals),
+            monthly,
+            companies: [...companies.values()].map(summarize).sort((a, b) => b.totalCost - a.totalCost),
+            trailers: trailers.filter(trailer => trailer.lifetimeWorkOrders > 0)
+        };
+    }
+}
+
+module.exports = new MaintenanceCostService();
@@ -1,5 +1,6 @@
-const { maintenanceManager, trailerManager, maintenancePreferencesManager } = require('../database/database-manager');
-const { TIME_CONSTANTS } = require('../utils/constants');
+const { maintenanceManager, trailerManager, inspectionTypeManager, pmScheduleManager } = require('../database/database-manager');
+const { snakeToCamelCase } = require('../database/utils/database-utilities');
+const { TIME_CONSTANTS, INSPECTION_DUE_STATUS, MAINTENANCE_SEVERITY, MAINTENANCE_ALERT_TYPES, PM_METERS } = require('../utils/constants');
 
 /**
  * Maintenance service for handling maintenance calculations and alerts
@@ -28,87 +29,491 @@ class MaintenanceService {
     }
 
     /**
-     * Calculate maintenance alerts for trailers based on inspection dates
+     * Read a trailer field given in snake_case, whether the trailer row is snake_case or camelCase
      */
-    static async calculateTrailerMaintenanceAlerts(trailerData, tenant_id) {
-        const alerts = [];
+    static getTrailerField(trailerData, field) {
+        return trailerData[field] ?? trailerData[snakeToCamelCase(field)] ?? null;
+    }
+
+    /**
+     * Check whether an inspection type applies to a trailer's body type. A type without
+     * trailer types applies to every trailer; one with trailer types skips trailers with no type set.
+     */
+    static isInspectionTypeApplicable(inspectionType, trailerType) {
+        return !inspectionType.trailerTypes || inspectionType.trailerTypes.includes(trailerType);
+    }
+
+    /**
+     * Work out when a trailer is next due for an inspection type. The latest inspection recorded
+     * for the type wins; its expiry date, or its date plus the type's interval, is the due date.
+     * Built-in types also read the trailer's last_<code>_inspection and next_<code>_inspection_due columns.
+     * @param {Object} inspectionType - Inspection type (camelCase)
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @param {Array} records - Trailer inspections [{ type, date, expiry_date }]
+     * @param {Date} now - Reference time
+     * @returns {Object} { code, name, lastInspectionDate, nextDueDate, daysUntilDue, status }
+     */
+    static calculateInspectionDue(inspectionType, trailerData, records = [], now = new Date()) {
+        const addInterval = (date) => new Date(new Date(date).getTime() + inspectionType.intervalDays * TIME_CONSTANTS.DAY)
+            .toISOString().split('T')[0];
+
+        const record = records
+            .filter(r => r.type === inspectionType.code && r.date)
+            .sort((a, b) => String(b.date).localeCompare(String(a.date)))[0];
+
+        let lastInspectionDate = null;
+        let nextDueDate = null;
+        if (inspectionType.isBuiltIn) {
+            lastInspectionDate = this.getTrailerField(trailerData, `last_${inspectionType.code}_inspection`);
+            nextDueDate = this.getTrailerField(trailerData, `next_${inspectionType.code}_inspection_due`);
+        }
+
+        if (record && (!lastInspectionDate || String(record.date) >= String(lastInspectionDate))) {
+            lastInspectionDate = record.date;
+            nextDueDate = record.expiry_date || addInterval(record.date);
+        } else if (lastInspectionDate && !nextDueDate) {
+            nextDueDate = addInterval(lastInspectionDate);
+        }
+
+        let daysUntilDue = null;
+        let status = INSPECTION_DUE_STATUS.NOT_RECORDED;
+        if (nextDueDate) {
+            daysUntilDue = Math.ceil((new Date(nextDueDate) - now) / TIME_CONSTANTS.DAY);
+            if (daysUntilDue < 0) {
+                status = INSPECTION_DUE_STATUS.OVERDUE;
+            } else if (daysUntilDue <= inspectionType.alertThresholdDays) {
+                status = INSPECTION_DUE_STATUS.DUE_SOON;
+            } else {
+                status = INSPECTION_DUE_STATUS.OK;
+            }
+        }
+
+        return {
+            inspectionTypeId: inspectionType.id,
+            code: inspectionType.code,
+            name: inspectionType.name,
+            intervalDays: inspectionType.intervalDays,
+            alertThresholdDays: inspectionType.alertThresholdDays,
+            lastInspectionDate,
+            nextDueDate,
+            daysUntilDue,
+            status
+        };
+    }
+
+    /**
+     * Work out when a trailer is next due for each active inspection type that applies to it
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase; inspections are read
+     *   from its inspections array when present, otherwise from the context or the database
+     * @param {string} tenant_id - Tenant ID
+     * @param {Object|null} context - See loadAlertContext, the types and this trailer's records are loaded when not given
+     * @returns {Promise<Array>} Due dates, see calculateInspectionDue
+     */
+    static async getTrailerInspectionsDue(trailerData, tenant_id, context = null) {
+        const inspectionTypes = context
+            ? context.inspectionTypes
+            : await inspectionTypeManager.getTypes(tenant_id, { activeOnly: true });
+        const trailerType = this.getTrailerField(trailerData, 'trailer_type');
+
+        let records = Array.isArray(trailerData.inspections) ? trailerData.inspections : null;
+        if (!records && context) {
+            records = context.inspectionRecords.get(trailerData.id) || [];
+        }
+        if (!records) {
+            records = trailerData.id ? await inspectionTypeManager.getTrailerInspectionRecords(trailerData.id) : [];
+        }
+
         const now = new Date();
+        return inspectionTypes
+            .filter(inspectionType => this.isInspectionTypeApplicable(inspectionType, trailerType))
+            .map(inspectionType => this.calculateInspectionDue(inspectionType, trailerData, records, now));
+    }
+
+    /**
+     * Read a trailer's current meters. Miles are the last provider odometer reading plus the GPS miles
+     * travelled since it, or the GPS miles alone for trailers whose provider reports no odometer.
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @returns {Object} { miles, engineHours }, null when not known
+     */
+    static getTrailerMeters(trailerData) {
+        const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+        const gpsMiles = this.getTrailerField(trailerData, 'gps_miles');
+        const odometerMiles = this.getTrailerField(trailerData, 'odometer_miles');
+
+        let miles = gpsMiles;
+        if (odometerMiles !== null) {
+            miles = odometerMiles + (gpsMiles || 0) - (this.getTrailerField(trailerData, 'odometer_gps_miles') || 0);
+        }
+
+        return {
+            miles: round(miles),
+            engineHours: round(this.getTrailerField(trailerData, 'engine_hours'))
+        };
+    }
+
+    /**
+     * Work out when a trailer is next due under a PM schedule: the meter reading of the latest service
+     * recorded plus the schedule's interval. Until a first service is recorded the baseline is a reading
+     * of 0, so a trailer already past the interval is overdue. The schedule is not_recorded only when the
+     * trailer has no reading for the schedule's meter.
+     * @param {Object} schedule - PM schedule (camelCase)
+     * @param {Object} meters - { miles, engineHours }, see getTrailerMeters
+     * @param {Object|null} lastService - Latest service record for the schedule (camelCase)
+     * @returns {Object} { scheduleId, code, name, meter, ..., nextDueReading, remaining, status }
+     */
+    static calculatePmDue(schedule, meters, lastService = null) {
+        const currentReading = schedule.meter === PM_METERS.ENGINE_HOURS ? meters.engineHours : meters.miles;
+        const lastServiceReading = lastService ? lastService.meterReading : null;
+
+        let nextDueReading = null;
+        let remaining = null;
+        let status = INSPECTION_DUE_STATUS.NOT_RECORDED;
+        if (currentReading !== null) {
+            nextDueReading = (lastServiceReading ?? 0) + schedule.intervalValue;
+            remaining = Math.round((nextDueReading - currentReading) * 10) / 10;
+            if (remaining < 0) {
+                status = INSPECTION_DUE_STATUS.OVERDUE;
+            } else if (remaining <= schedule.dueSoonThreshold) {
+                status = INSPECTION_DUE_STATUS.DUE_SOON;
+            } else {
+                status = INSPECTION_DUE_STATUS.OK;
+            }
+        }
+
+        return {
+            scheduleId: schedule.id,
+            code: schedule.code,
+            name: schedule.name,
+            meter: schedule.meter,
+            intervalValue: schedule.intervalValue,
+            dueSoonThreshold: schedule.dueSoonThreshold,
+            tasks: schedule.tasks,
+            currentReading,
+            lastServiceReading,
+            lastServicedAt: lastService ? lastService.performedAt : null,
+            nextDueReading,
+            remaining,
+            status
+        };
+    }
+
+    /**
+     * Work out where a trailer stands on each active PM schedule that applies to it
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @param {string} tenant_id - Tenant ID
+     * @param {Object|null} context - See loadAlertContext, loaded for this trailer when not given
+     * @returns {Promise<Array>} Due readings, see calculatePmDue
+     */
+    static async getTrailerPmDue(trailerData, tenant_id, context = null) {
+        const { pmSchedules, lastServices } = context || await this.loadAlertContext(tenant_id, [trailerData.id]);
+        const schedules = pmSchedules
+            .filter(schedule => this.isInspectionTypeApplicable(schedule, this.getTrailerField(trailerData, 'trailer_type')));
+        if (schedules.length === 0) {
+            return [];
+        }
+
+        const trailerServices = lastServices.get(trailerData.id) || new Map();
+        const meters = this.getTrailerMeters(trailerData);
+        return schedules.map(schedule => this.calculatePmDue(schedule, meters, trailerServices.get(schedule.id)));
+    }
 
+    /**
+     * Read a trailer's current value of a PM schedule's meter
+     * @returns {number|null} Miles or engine hours, null when not known
+     */
+    static getPmMeterReading(schedule, trailerData) {
+        const meters = this.getTrailerMeters(trailerData);
+        return schedule.meter === PM_METERS.ENGINE_HOURS ? meters.engineHours : meters.miles;
+    }
+
+    /**
+     * Record a service done under a PM schedule and re-check the trailer's alerts. Without a meter reading
+     * the trailer's current reading is used; one entered with the service is also taken as the trailer's
+     * odometer or engine hours at that time.
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @param {Object} schedule - PM schedule (camelCase)
+     * @param {string} tenant_id - Tenant ID
+     * @param {Object} service - { meterReading, performedAt, tasks, notes, createdBy }
+     * @returns {Promise<Object>} Created service record
+     */
+    static async recordPmService(trailerData, schedule, tenant_id, service) {
+        const performedAt = service.performedAt || new Date().toISOString();
+        let meterReading = service.meterReading ?? null;
+        if (meterReading === null) {
+            meterReading = this.getPmMeterReading(schedule, trailerData);
+            if (meterReading === null) {
+                throw new Error(`Trailer ${trailerData.id} has no ${schedule.meter} reading`);
+            }
+        } else {
+            await trailerManager.recordMeterReadings(trailerData.id, {
+                [schedule.meter === PM_METERS.ENGINE_HOURS ? 'engineHours' : 'odometerMiles']: meterReading,
+                recordedAt: performedAt
+            });
+        }
+
+        const record = await pmScheduleManager.recordService(tenant_id, {
+            scheduleId: schedule.id,
+            trailerId: trailerData.id,
+            meterReading,
+            performedAt,
+            tasks: service.tasks ?? schedule.tasks,
+            notes: service.notes,
+            createdBy: service.createdBy
+        });
+
+        await this.refreshTrailerAlerts(trailerData.id, tenant_id);
+        return record;
+    }
+
+    /**
+     * Load what the maintenance alert rules need once for a batch of trailers: the tenant's active inspection
+     * types and PM schedules, the inspections recorded on the trailers and the latest service under each
+     * schedule on them
+     * @param {string} tenant_id - Tenant ID
+     * @param {Array<string>} trailerIds - IDs of the trailers to be checked
+     * @returns {Promise<Object>} { inspectionTypes, pmSchedules, inspectionRecords: Map of trailer ID to records,
+     *   lastServices: Map of trailer ID to Map of schedule ID to record }
+     */
+    static async loadAlertContext(tenant_id, trailerIds = []) {
+        const ids = trailerIds.filter(Boolean);
+        const [inspectionTypes, pmSchedules, records, services] = await Promise.all([
+            inspectionTypeManager.getTypes(tenant_id, { activeOnly: true }),
+            pmScheduleManager.getSchedules(tenant_id, { activeOnly: true }),
+            inspectionTypeManager.getInspectionRecordsForTrailers(ids),
+            pmScheduleManager.getLastServices(ids)
+        ]);
+
+        const inspectionRecords = new Map();
+        for (const { trailer_id: trailerId, ...record } of records) {
+            if (!inspectionRecords.has(trailerId)) {
+                inspectionRecords.set(trailerId, []);
+            }
+            inspectionRecords.get(trailerId).push(record);
+        }
+
+        const lastServices = new Map();
+        for (const record of services) {
+            if (!lastServices.has(record.trailerId)) {
+                lastServices.set(record.trailerId, new Map());
+            }
+            lastServices.get(record.trailerId).set(record.scheduleId, record);
+        }
+
+        return { inspectionTypes, pmSchedules, inspectionRecords, lastServices };
+    }
+
+    /**
+     * Evaluate the maintenance alert rules for a trailer: every active inspection type and PM schedule that
+     * applies to it and is overdue (critical) or within its threshold (warning), and tires in poor (critical)
+     * or fair (warning) condition. This is the one rule set behind the trailer page, the alert check
+     * endpoints and the scheduled maintenance job.
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @param {string} tenant_id - Tenant ID
+     * @param {Object|null} context - See loadAlertContext, loaded when not given
+     * @returns {Promise<Array>} Alerts [{ type, severity, title, message, due_date }]
+     */
+    static async calculateTrailerMaintenanceAlerts(trailerData, tenant_id, context = null) {
         // Validate tenant_id is provided
         if (!tenant_id) {
             throw new Error('Tenant ID is required for maintenance alert calculation');
         }
 
-        // Get user preferences for alert thresholds
-        const preferences = await maintenancePreferencesManager.getPreferences(tenant_id);
+        if (!context) {
+            context = await this.loadAlertContext(tenant_id, [trailerData.id]);
+        }
+        const inspectionsDue = await this.getTrailerInspectionsDue(trailerData, tenant_id, context);
+        const alerts = [];
 
-        // Annual inspection alerts
-        if (trailerData.next_annual_inspection_due) {
-            const dueDate = new Date(trailerData.next_annual_inspection_due);
-            const daysUntilDue = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-            
-            if (daysUntilDue < 0) {
+        for (const due of inspectionsDue) {
+            const type = due.code + MAINTENANCE_ALERT_TYPES.INSPECTION_SUFFIX;
+            if (due.status === INSPECTION_DUE_STATUS.OVERDUE) {
                 alerts.push({
-                    severity: 'critical',
-                    message: `Annual inspection overdue by ${Math.abs(daysUntilDue)} days`,
-                    type: 'annual_inspection',
-                    due_date: trailerData.next_annual_inspection_due
+                    type,
+                    severity: MAINTENANCE_SEVERITY.CRITICAL,
+                    title: `${due.name} Overdue`,
+                    message: `${due.name} overdue by ${Math.abs(due.daysUntilDue)} days`,
+                    due_date: due.nextDueDate
                 });
-            } else if (daysUntilDue <= preferences.annual_alert_threshold) {
+            } else if (due.status === INSPECTION_DUE_STATUS.DUE_SOON) {
                 alerts.push({
-                    severity: 'warning',
-                    message: `Annual inspection due in ${daysUntilDue} days`,
-                    type: 'annual_inspection',
-                    due_date: trailerData.next_annual_inspection_due
+                    type,
+                    severity: MAINTENANCE_SEVERITY.WARNING,
+                    title: `${due.name} Due Soon`,
+                    message: `${due.name} due in ${due.daysUntilDue} days`,
+                    due_date: due.nextDueDate
                 });
             }
         }
 
-        // Midtrip inspection alerts
-        if (trailerData.next_midtrip_inspection_due) {
-            const dueDate = new Date(trailerData.next_midtrip_inspection_due);
-            const daysUntilDue = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-            
-            if (daysUntilDue < 0) {
+        const pmDue = trailerData.id ? await this.getTrailerPmDue(trailerData, tenant_id, context) : [];
+        for (const due of pmDue) {
+            const unit = due.meter === PM_METERS.ENGINE_HOURS ? 'engine hours' : 'mi';
+            const tasks = due.tasks.length > 0 ? ` (${due.tasks.join(', ')})` : '';
+            const type = MAINTENANCE_ALERT_TYPES.PM_PREFIX + due.code;
+            if (due.status === INSPECTION_DUE_STATUS.OVERDUE) {
                 alerts.push({
-                    severity: 'critical',
-                    message: `Midtrip inspection overdue by ${Math.abs(daysUntilDue)} days`,
-                    type: 'midtrip_inspection',
-                    due_date: trailerData.next_midtrip_inspection_due
+                    type,
+                    severity: MAINTENANCE_SEVERITY.CRITICAL,
+                    title: `${due.name} Overdue`,
+                    message: `${due.name} overdue by ${Math.abs(due.remaining).toLocaleString('en-US')} ${unit}${tasks}`,
+                    due_date: null
                 });
-            } else if (daysUntilDue <= preferences.midtrip_alert_threshold) {
+            } else if (due.status === INSPECTION_DUE_STATUS.DUE_SOON) {
                 alerts.push({
-                    severity: 'warning',
-                    message: `Midtrip inspection due in ${daysUntilDue} days`,
-                    type: 'midtrip_inspection',
-                    due_date: trailerData.next_midtrip_inspection_due
+                    type,
+                    severity: MAINTENANCE_SEVERITY.WARNING,
+                    title: `${due.name} Due Soon`,
+                    message: `${due.name} due in ${due.remaining.toLocaleString('en-US')} ${unit}${tasks}`,
+                    due_date: null
                 });
             }
         }
 
-        // Brake inspection alerts
-        if (trailerData.next_brake_inspection_due) {
-            const dueDate = new Date(trailerData.next_brake_inspection_due);
-            const daysUntilDue = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-            
-            if (daysUntilDue < 0) {
-                alerts.push({
-                    severity: 'critical',
-                    message: `Brake inspection overdue by ${Math.abs(daysUntilDue)} days`,
-                    type: 'brake_inspection',
-                    due_date: trailerData.next_brake_inspection_due
+        const tireStatus = this.getTrailerField(trailerData, 'tire_status');
+        if (tireStatus === 'poor') {
+            alerts.push({
+                type: MAINTENANCE_ALERT_TYPES.TIRE_STATUS,
+                severity: MAINTENANCE_SEVERITY.CRITICAL,
+                title: 'Tire Status Alert',
+                message: 'Tires need immediate attention',
+                due_date: null
+            });
+        } else if (tireStatus === 'fair') {
+            alerts.push({
+                type: MAINTENANCE_ALERT_TYPES.TIRE_STATUS,
+                severity: MAINTENANCE_SEVERITY.WARNING,
+                title: 'Tire Status Warning',
+                message: 'Tires should be inspected soon',
+                due_date: null
+            });
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Check whether an alert type is raised by the maintenance alert rules, and so kept in step with them
+     */
+    static isRuleAlertType(type) {
+        return type === MAINTENANCE_ALERT_TYPES.TIRE_STATUS
+            || String(type).endsWith(MAINTENANCE_ALERT_TYPES.INSPECTION_SUFFIX)
+            || String(type).startsWith(MAINTENANCE_ALERT_TYPES.PM_PREFIX);
+    }
+
+    /**
+     * Bring a trailer's stored alerts in line with its alert rules. Each rule keeps one open alert, which is
+     * updated as its severity or due date changes; open alerts of rules that no longer fire, e.g. once the
+     * inspection is recorded, are resolved, as are duplicates of the same rule.
+     * @param {Object} trailerData - Trailer row, snake_case or camelCase
+     * @param {string} tenant_id - Tenant ID
+     * @param {Array} openAlerts - The trailer's unresolved alerts (snake_case), oldest first
+     * @param {Object|null} context - See loadAlertContext, loaded when not given
+     * @returns {Promise<Object>} { alertsCreated, alertsUpdated, alertsResolved }
+     */
+    static async syncTrailerAlerts(trailerData, tenant_id, openAlerts = [], context = null) {
+        const alerts = await this.calculateTrailerMaintenanceAlerts(trailerData, tenant_id, context);
+        const result = { alertsCreated: 0, alertsUpdated: 0, alertsResolved: 0 };
+
+        // Keep the oldest open alert of each rule
+        const openByType = new Map();
+        for (const alert of openAlerts.filter(openAlert => this.isRuleAlertType(openAlert.type))) {
+            if (openByType.has(alert.type)) {
+                await maintenanceManager.resolveMaintenanceAlert(alert.id, 'Duplicate of an open alert');
+                result.alertsResolved++;
+            } else {
+                openByType.set(alert.type, alert);
+            }
+        }
+
+        for (const alert of alerts) {
+            const existing = openByType.get(alert.type);
+            openByType.delete(alert.type);
+
+            if (!existing) {
+                await maintenanceManager.createMaintenanceAlert(trailerData.id, {
+                    type: alert.type,
+                    severity: alert.severity,
+                    title: alert.title,
+                    description: alert.message,
+                    due_date: alert.due_date
                 });
-            } else if (daysUntilDue <= preferences.brake_alert_threshold) {
-                alerts.push({
-                    severity: 'warning',
-                    message: `Brake inspection due in ${daysUntilDue} days`,
-                    type: 'brake_inspection',
-                    due_date: trailerData.next_brake_inspection_due
+                result.alertsCreated++;
+            } else if (existing.severity !== alert.severity || existing.title !== alert.title
+                || existing.description !== alert.message || (existing.due_date || null) !== alert.due_date) {
+                await maintenanceManager.updateMaintenanceAlert(existing.id, {
+                    severity: alert.severity,
+                    title: alert.title,
+                    description: alert.message,
+                    due_date: alert.due_date
                 });
+                result.alertsUpdated++;
             }
         }
 
-        return alerts;
+        for (const alert of openByType.values()) {
+            let resolution = 'Inspection no longer due';
+            if (alert.type === MAINTENANCE_ALERT_TYPES.TIRE_STATUS) {
+                resolution = 'Tire status no longer needs attention';
+            } else if (alert.type.startsWith(MAINTENANCE_ALERT_TYPES.PM_PREFIX)) {
+                resolution = 'Preventive maintenance no longer due';
+            }
+            await maintenanceManager.resolveMaintenanceAlert(alert.id, resolution);
+            result.alertsResolved++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Sync the stored maintenance alerts of a tenant's active trailers with the alert rules
+     * @param {string} tenant_id - Tenant ID
+     * @param {Object} filters - { companyId, trailerId } to check only some trailers
+     * @returns {Promise<Object>} { trailersChecked, alertsCreated, alertsUpdated, alertsResolved }
+     */
+    static async checkTenantAlerts(tenant_id, { companyId, trailerId } = {}) {
+        const [trailers, openAlerts] = await Promise.all([
+            maintenanceManager.getTrailersForAlertCheck(tenant_id, { companyId, trailerId }),
+            maintenanceManager.getOpenTrailerAlerts(tenant_id, { companyId, trailerId })
+        ]);
+        const context = await this.loadAlertContext(tenant_id, trailers.map(trailer => trailer.id));
+
+        const openAlertsByTrailer = new Map();
+        for (const alert of openAlerts) {
+            if (!openAlertsByTrailer.has(alert.trailer_id)) {
+                openAlertsByTrailer.set(alert.trailer_id, []);
+            }
+            openAlertsByTrailer.get(alert.trailer_id).push(alert);
+        }
+
+        const totals = { trailersChecked: trailers.length, alertsCreated: 0, alertsUpdated: 0, alertsResolved: 0 };
+        for (const trailer of trailers) {
+            try {
+                const result = await this.syncTrailerAlerts(trailer, tenant_id, openAlertsByTrailer.get(trailer.id), context);
+                totals.alertsCreated += result.alertsCreated;
+                totals.alertsUpdated += result.alertsUpdated;
+                totals.alertsResolved += result.alertsResolved;
+            } catch (error) {
+                console.error(`Error checking maintenance alerts for trailer ${trailer.id}:`, error);
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Re-check one trailer's alerts after its inspections or dates change. Errors are logged rather than
+     * thrown, so they do not fail the change that was saved.
+     * @param {string} trailerId - Trailer ID
+     * @param {string} tenant_id - Tenant ID
+     * @returns {Promise<Object|null>} See checkTenantAlerts, null on error
+     */
+    static async refreshTrailerAlerts(trailerId, tenant_id) {
+        try {
+            return await this.checkTenantAlerts(tenant_id, { trailerId });
+        } catch (error) {
+            console.error(`Error refreshing maintenance alerts for trailer ${trailerId}:`, error);
+            return null;
+        }
     }
 
     /**
@@ -165,6 +570,25 @@ class MaintenanceService {
 
 
 
+    /**
+     * Get the active built-in inspection types with the trailer columns holding their dates
+     * @param {string} tenant_id - Tenant ID
+     * @returns {Promise<Array>} [{ code, name, lastField, nextField, intervalDays }]
+     */
+    static async getTrailerDateFieldTypes(tenant_id) {
+        const inspectionTypes = await inspectionTypeManager.getTypes(tenant_id, { activeOnly: true });
+
+        return inspectionTypes
+            .filter(inspectionType => inspectionType.isBuiltIn)
+            .map(inspectionType => ({
+                code: inspectionType.code,
+                name: inspectionType.name,
+                lastField: `last_${inspectionType.code}_inspection`,
+                nextField: `next_${inspectionType.code}_inspection_due`,
+                intervalDays: inspectionType.intervalDays
+            }));
+    }
+
     /**
      * Intelligently calculate and update maintenance dates based on user preferences and manual entries
      * @param {string} trailerId - Trailer ID
@@ -181,18 +605,18 @@ class MaintenanceService {
                 throw new Error('Trailer not found');
             }
 
-            // Get maintenance preferences
-            let preferences = null;
+            // Get the active built-in inspection types, whose dates are kept on the trailer
+            let maintenanceTypes = null;
             try {
-                preferences = await maintenancePreferencesManager.getPreferences(tenant_id);
+                maintenanceTypes = await this.getTrailerDateFieldTypes(tenant_id);
             } catch (error) {
-                console.warn('Could not load maintenance preferences:', error.message);
-                // If no preferences, don't do automatic calculations
+                console.warn('Could not load inspection types:', error.message);
+                // Without inspection types, don't do automatic calculations
                 return {
                     success: true,
                     updatedData: updateData,
                     calculatedDates: {},
-                    message: 'No maintenance preferences found. Manual entry required.'
+                    message: 'No inspection types found. Manual entry required.'
                 };
             }
 
@@ -205,32 +629,11 @@ class MaintenanceService {
             const calculatedDates = {};
             const calculationLog = [];
 
-            // Check each maintenance type
-            const maintenanceTypes = [
-                {
-                    lastField: 'last_annual_inspection',
-                    nextField: 'next_annual_inspection_due',
-                    intervalField: 'annual_inspection_interval',
-                    name: 'Annual Inspection'
-                },
-                {
-                    lastField: 'last_midtrip_inspection',
-                    nextField: 'next_midtrip_inspection_due',
-                    intervalField: 'midtrip_inspection_interval',
-                    name: 'Midtrip Inspection'
-                },
-                {
-                    lastField: 'last_brake_inspection',
-                    nextField: 'next_brake_inspection_due',
-                    intervalField: 'brake_inspection_interval',
-                    name: 'Brake Inspection'
-                }
-            ];
-
+            // Check each maintenance type with date columns on the trailer
             for (const maintenanceType of maintenanceTypes) {
                 const lastDate = mergedData[maintenanceType.lastField];
                 const nextDate = mergedData[maintenanceType.nextField];
-                const interval = preferences[maintenanceType.intervalField];
+                const interval = maintenanceType.intervalDays;
 
                 // Case 1: Both last and next dates are provided
                 if (lastDate && nextDate) {
@@ -272,11 +675,9 @@ class MaintenanceService {
                 updatedData: finalUpdateData,
                 calculatedDates: calculatedDates,
                 calculationLog: calculationLog,
-                preferencesUsed: preferences ? {
-                    annual_interval: preferences.annual_inspection_interval,
-                    midtrip_interval: preferences.midtrip_inspection_interval,
-                    brake_interval: preferences.brake_inspection_interval
-                } : null
+                preferencesUsed: Object.fromEntries(
+                    maintenanceTypes.map(maintenanceType => [`${maintenanceType.code}_interval`, maintenanceType.intervalDays])
+                )
             };
         } catch (error) {
             console.error('Error in intelligent date calculation:', error);
@@ -293,17 +694,17 @@ class MaintenanceService {
      */
     static async previewIntelligentDateCalculation(trailerData, updateData, tenant_id) {
         try {
-            // Get maintenance preferences
-            let preferences = null;
+            // Get the active built-in inspection types, whose dates are kept on the trailer
+            let maintenanceTypes = null;
             try {
-                preferences = await maintenancePreferencesManager.getPreferences(tenant_id);
+                maintenanceTypes = await this.getTrailerDateFieldTypes(tenant_id);
             } catch (error) {
-                console.warn('Could not load maintenance preferences:', error.message);
+                console.warn('Could not load inspection types:', error.message);
                 return {
                     success: true,
                     calculatedDates: {},
-                    message: 'No maintenance preferences found. Manual entry required.',
-                    calculationLog: ['No preferences available for automatic calculation']
+                    message: 'No inspection types found. Manual entry required.',
+                    calculationLog: ['No inspection types available for automatic calculation']
                 };
             }
 
@@ -316,32 +717,11 @@ class MaintenanceService {
             const calculatedDates = {};
             const calculationLog = [];
 
-            // Check each maintenance type
-            const maintenanceTypes = [
-                {
-                    lastField: 'last_annual_inspection',
-                    nextField: 'next_annual_inspection_due',
-                    intervalField: 'annual_inspection_interval',
-                    name: 'Annual Inspection'
-                },
-                {
-                    lastField: 'last_midtrip_inspection',
-                    nextField: 'next_midtrip_inspection_due',
-                    intervalField: 'midtrip_inspection_interval',
-                    name: 'Midtrip Inspection'
-                },
-                {
-                    lastField: 'last_brake_inspection',
-                    nextField: 'next_brake_inspection_due',
-                    intervalField: 'brake_inspection_interval',
-                    name: 'Brake Inspection'
-                }
-            ];
-
+            // Check each maintenance type with date columns on the trailer
             for (const maintenanceType of maintenanceTypes) {
                 const lastDate = mergedData[maintenanceType.lastField];
                 const nextDate = mergedData[maintenanceType.nextField];
-                const interval = preferences[maintenanceType.intervalField];
+                const interval = maintenanceType.intervalDays;
 
                 // Case 1: Both last and next dates are provided
                 if (lastDate && nextDate) {
@@ -373,11 +753,9 @@ class MaintenanceService {
                 success: true,
                 calculatedDates: calculatedDates,
                 calculationLog: calculationLog,
-                preferencesUsed: preferences ? {
-                    annual_interval: preferences.annual_inspection_interval,
-                    midtrip_interval: preferences.midtrip_inspection_interval,
-                    brake_interval: preferences.brake_inspection_interval
-                } : null
+                preferencesUsed: Object.fromEntries(
+                    maintenanceTypes.map(maintenanceType => [`${maintenanceType.code}_interval`, maintenanceType.intervalDays])
+                )
             };
         } catch (error) {
             console.error('Error in preview intelligent date calculation:', error);
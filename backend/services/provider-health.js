@@ -0,0 +1,235 @@
+const { providerHealthManager, userManager } = require('../database/database-manager');
+const emailService = require('./emailService');
+const sseService = require('./sse-service');
+const {
+    PROVIDER_HEALTH,
+    PROVIDER_HEALTH_STATUS,
+    PROVIDER_ERROR_TYPES,
+    CIRCUIT_STATES
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const AUTH_ERROR_PATTERN = /status code 40[13]|unauthori|forbidden|invalid.*(key|token|credential)|authenticat|missing .*credentials|decrypt/i;
+const NETWORK_ERROR_CODES = new Set(['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN']);
+const TIMEOUT_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+
+/**
+ * Provider Health Service
+ * Records every fetch from a GPS provider and derives the provider's health from it:
+ * - a success marks the provider healthy and closes its circuit
+ * - PROVIDER_HEALTH.DOWN_THRESHOLD failures in a row mark it down
+ * - PROVIDER_HEALTH.AUTH_FAILURE_THRESHOLD authentication failures in a row open the circuit,
+ *   which pauses polling; one trial fetch is let through every PROVIDER_HEALTH.CIRCUIT_RETRY_AFTER
+ * Tenant admins are emailed and notified over SSE when a provider goes down, its credentials
+ * stop working, or it recovers.
+ */
+class ProviderHealthService {
+    /**
+     * Classify a fetch error
+     * @param {Error} error - Error thrown by the provider
+     * @returns {string} One of PROVIDER_ERROR_TYPES
+     */
+    classifyError(error) {
+        const status = error.response?.status;
+        if (status === 401 || status === 403) {
+            return PROVIDER_ERROR_TYPES.AUTH;
+        }
+        if (status === 429) {
+            return PROVIDER_ERROR_TYPES.RATE_LIMIT;
+        }
+        if (status >= 500) {
+            return PROVIDER_ERROR_TYPES.PROVIDER;
+        }
+        if (TIMEOUT_ERROR_CODES.has(error.code)) {
+            return PROVIDER_ERROR_TYPES.TIMEOUT;
+        }
+        if (NETWORK_ERROR_CODES.has(error.code)) {
+            return PROVIDER_ERROR_TYPES.NETWORK;
+        }
+        if (AUTH_ERROR_PATTERN.test(error.message || '')) {
+            return PROVIDER_ERROR_TYPES.AUTH;
+        }
+        return PROVIDER_ERROR_TYPES.PROVIDER;
+    }
+
+    /**
+     * Get a provider's circuit breaker
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Object>} { open, retryAt } - open is false once a trial fetch is due
+     */
+    async getCircuit(providerId) {
+        const state = await providerHealthManager.getHealthState(providerId);
+        if (!state || state.circuitState !== CIRCUIT_STATES.OPEN) {
+            return { open: false, retryAt: null };
+        }
+
+        const retryAt = new Date(state.circuitOpenedAt).getTime() + PROVIDER_HEALTH.CIRCUIT_RETRY_AFTER;
+        return { open: retryAt > Date.now(), retryAt: new Date(retryAt).toISOString() };
+    }
+
+    /**
+     * Close a provider's circuit (after its credentials change)
+     * @param {string} providerId - Provider ID
+     */
+    async resetCircuit(providerId) {
+        await providerHealthManager.updateHealthState(providerId, {
+            consecutiveAuthFailures: 0,
+            circuitState: CIRCUIT_STATES.CLOSED,
+            circuitOpenedAt: null
+        });
+    }
+
+    /**
+     * Record a successful fetch
+     * @param {Object} provider - Provider row
+     * @param {Object} check - { triggerType, latencyMs, recordsCount }
+     */
+    async recordSuccess(provider, check) {
+        try {
+            const previous = await providerHealthManager.getHealthState(provider.id);
+            await providerHealthManager.recordCheck(provider, { ...check, success: true });
+            await providerHealthManager.updateHealthState(provider.id, {
+                healthStatus: PROVIDER_HEALTH_STATUS.HEALTHY,
+                consecutiveFailures: 0,
+                consecutiveAuthFailures: 0,
+                lastSuccessAt: new Date().toISOString(),
+                circuitState: CIRCUIT_STATES.CLOSED,
+                circuitOpenedAt: null
+            });
+
+            if (previous && [PROVIDER_HEALTH_STATUS.DOWN, PROVIDER_HEALTH_STATUS.AUTH_FAILED].includes(previous.healthStatus)) {
+                await this.notifyAdmins(provider, 'recovered');
+            }
+        } catch (error) {
+            // Health tracking must never fail the fetch itself
+            logger.error(`Failed to record health check for provider ${provider.name}:`, error);
+        }
+    }
+
+    /**
+     * Record a failed fetch and update the provider's health and circuit breaker
+     * @param {Object} provider - Provider row
+     * @param {Error} error - Error thrown by the fetch
+     * @param {Object} check - { triggerType, latencyMs }
+     * @returns {Promise<string|null>} Error type, null when the failure could not be recorded
+     */
+    async recordFailure(provider, error, check) {
+        try {
+            const errorType = this.classifyError(error);
+            const previous = await providerHealthManager.getHealthState(provider.id) || {};
+            const consecutiveFailures = (previous.consecutiveFailures || 0) + 1;
+            const consecutiveAuthFailures = errorType === PROVIDER_ERROR_TYPES.AUTH
+                ? (previous.consecutiveAuthFailures || 0) + 1
+                : 0;
+
+            await providerHealthManager.recordCheck(provider, {
+                ...check,
+                success: false,
+                errorType,
+                errorMessage: error.message
+            });
+
+            const now = new Date().toISOString();
+            const state = { consecutiveFailures, consecutiveAuthFailures, lastFailureAt: now };
+            let event = null;
+
+            if (consecutiveAuthFailures >= PROVIDER_HEALTH.AUTH_FAILURE_THRESHOLD) {
+                // A failed trial fetch restarts the wait before the next one
+                state.healthStatus = PROVIDER_HEALTH_STATUS.AUTH_FAILED;
+                state.circuitState = CIRCUIT_STATES.OPEN;
+                state.circuitOpenedAt = now;
+                if (previous.healthStatus !== PROVIDER_HEALTH_STATUS.AUTH_FAILED) {
+                    event = 'credentials_expired';
+                }
+            } else if (consecutiveFailures >= PROVIDER_HEALTH.DOWN_THRESHOLD) {
+                state.healthStatus = PROVIDER_HEALTH_STATUS.DOWN;
+                if (![PROVIDER_HEALTH_STATUS.DOWN, PROVIDER_HEALTH_STATUS.AUTH_FAILED].includes(previous.healthStatus)) {
+                    event = 'down';
+                }
+            } else {
+                state.healthStatus = PROVIDER_HEALTH_STATUS.DEGRADED;
+            }
+
+            await providerHealthManager.updateHealthState(provider.id, state);
+
+            if (event) {
+                logger.warn(`Provider ${provider.name} is ${state.healthStatus} after ${consecutiveFailures} failure(s): ${error.message}`);
+                await this.notifyAdmins(provider, event, error.message);
+            }
+
+            return errorType;
+        } catch (recordError) {
+            logger.error(`Failed to record health check for provider ${provider.name}:`, recordError);
+            return null;
+        }
+    }
+
+    /**
+     * Run a fetch and record its outcome
+     * @param {Object} provider - Provider row
+     * @param {string} triggerType - 'refresh', 'sync' or 'test'
+     * @param {Function} fetch - Async function performing the fetch
+     * @param {Function} countRecords - Gets the number of records from the fetch result
+     * @returns {Promise<*>} Fetch result. Rejects with the fetch error.
+     */
+    async track(provider, triggerType, fetch, countRecords = () => null) {
+        const startTime = Date.now();
+
+        try {
+            const result = await fetch();
+            await this.recordSuccess(provider, {
+                triggerType,
+                latencyMs: Date.now() - startTime,
+                recordsCount: countRecords(result)
+            });
+            return result;
+        } catch (error) {
+            await this.recordFailure(provider, error, { triggerType, latencyMs: Date.now() - startTime });
+            throw error;
+        }
+    }
+
+    /**
+     * Email and notify the provider's tenant admins
+     * @param {Object} provider - Provider row
+     * @param {string} event - 'down', 'credentials_expired' or 'recovered'
+     * @param {string|null} detail - Last error message
+     */
+    async notifyAdmins(provider, event, detail = null) {
+        const alerts = {
+            down: {
+                title: `GPS provider ${provider.name} is down`,
+                message: `The last ${PROVIDER_HEALTH.DOWN_THRESHOLD} attempts to fetch locations from ${provider.name} failed. Trailer locations from this provider are not being updated.`
+            },
+            credentials_expired: {
+                title: `GPS provider ${provider.name} credentials rejected`,
+                message: `${provider.name} rejected its credentials ${PROVIDER_HEALTH.AUTH_FAILURE_THRESHOLD} times in a row. Polling is paused until the credentials are updated.`
+            },
+            recovered: {
+                title: `GPS provider ${provider.name} recovered`,
+                message: `Locations from ${provider.name} are being fetched again.`
+            }
+        };
+        const alert = { ...alerts[event], providerName: provider.name, detail };
+
+        const admins = await userManager.getTenantAdmins(provider.tenant_id);
+        for (const admin of admins) {
+            sseService.notifyClient(admin.id, {
+                type: 'provider_alert',
+                event,
+                providerId: provider.id,
+                providerName: provider.name,
+                message: alert.message,
+                timestamp: new Date().toISOString()
+            });
+
+            try {
+                await emailService.sendProviderAlertEmail(admin.email, admin.firstName || admin.email, alert);
+            } catch (error) {
+                logger.error(`Failed to email provider alert to ${admin.email}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = new ProviderHealthService();
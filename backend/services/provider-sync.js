@@ -0,0 +1,187 @@
+const RefreshService = require('./auto-refresh');
+const sseService = require('./sse-service');
+const providerHealth = require('./provider-health');
+const { PROVIDER_SYNC, REFRESH_OPERATIONS, REFRESH_LOG_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Provider Sync Service
+ * Refreshes locations per gps_providers row instead of per user. Scheduled jobs and manual
+ * refreshes of any number of users share one fetch per provider:
+ * - a provider being refreshed is not fetched again; callers wait for the running refresh
+ * - a refresh finished within PROVIDER_SYNC.REUSE_WINDOW is reused
+ * - at most PROVIDER_SYNC.MAX_CONCURRENT providers are fetched at once
+ * - a provider that failed is skipped until its backoff expires
+ * - a provider whose circuit breaker is open (rejected credentials) is skipped until a trial fetch is due
+ * Results are sent to every connected user of the provider's tenant. A shared refresh is recorded
+ * in the refresh log once, under the trigger of the caller that started it; skips are recorded too.
+ */
+class ProviderSyncService {
+    constructor() {
+        this.inFlight = new Map();
+        this.lastResults = new Map();
+        this.failures = new Map();
+        this.activeSlots = 0;
+        this.waitingForSlot = [];
+    }
+
+    async acquireSlot() {
+        if (this.activeSlots < PROVIDER_SYNC.MAX_CONCURRENT) {
+            this.activeSlots++;
+            return;
+        }
+        // The slot is handed over by releaseSlot without decrementing
+        await new Promise(resolve => this.waitingForSlot.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waitingForSlot.shift();
+        if (next) {
+            next();
+        } else {
+            this.activeSlots--;
+        }
+    }
+
+    /**
+     * Get a provider's backoff, or null when it may be refreshed
+     * @param {string} providerId - Provider ID
+     * @returns {Object|null} { failures, retryAt, lastError }
+     */
+    getBackoff(providerId) {
+        const failure = this.failures.get(providerId);
+        return failure && failure.retryAt > Date.now() ? failure : null;
+    }
+
+    /**
+     * Refresh one provider's locations, sharing a running or recent refresh
+     * @param {Object} provider - Provider row with encrypted credentials
+     * @param {Object} context - Run context for the refresh log: { triggerType, userId, jobRunId }
+     * @returns {Promise<Object>} { trailersProcessed, locationsUpdated }, plus reused: true for a shared
+     *   result or skipped: true with reason ('backoff' or 'circuit_open') and retryAt. Rejects when the fetch fails.
+     */
+    refreshProvider(provider, context = {}) {
+        const running = this.inFlight.get(provider.id);
+        if (running) {
+            return running.then(result => ({ ...result, reused: true }));
+        }
+
+        const recent = this.lastResults.get(provider.id);
+        if (recent && Date.now() - recent.finishedAt < PROVIDER_SYNC.REUSE_WINDOW) {
+            return Promise.resolve({ ...recent.result, reused: true });
+        }
+
+        const backoff = this.getBackoff(provider.id);
+        if (backoff) {
+            return this.skip(provider, context, 'backoff', new Date(backoff.retryAt).toISOString());
+        }
+
+        const refresh = this.runRefresh(provider, context).finally(() => this.inFlight.delete(provider.id));
+        this.inFlight.set(provider.id, refresh);
+        return refresh;
+    }
+
+    /**
+     * Skip a provider's refresh and record the skip in the refresh log
+     * @returns {Promise<Object>} Skipped result
+     */
+    async skip(provider, context, reason, retryAt) {
+        const message = reason === 'circuit_open' ? 'credentials rejected, paused' : 'backing off';
+        await RefreshService.recordRun(provider, context, {
+            operationType: REFRESH_OPERATIONS.REFRESH,
+            status: REFRESH_LOG_STATUS.SKIPPED,
+            errorMessage: `Provider ${message} until ${retryAt}`
+        });
+
+        return { trailersProcessed: 0, locationsUpdated: 0, skipped: true, reason, retryAt };
+    }
+
+    async runRefresh(provider, context) {
+        const circuit = await providerHealth.getCircuit(provider.id);
+        if (circuit.open) {
+            return this.skip(provider, context, 'circuit_open', circuit.retryAt);
+        }
+
+        await this.acquireSlot();
+
+        try {
+            const result = await RefreshService.refreshProviderLocations(provider, context);
+            this.failures.delete(provider.id);
+            this.lastResults.set(provider.id, { finishedAt: Date.now(), result });
+
+            if (result.locationsUpdated > 0) {
+                sseService.notifyTenant(provider.tenant_id, {
+                    type: 'locations_updated',
+                    providerId: provider.id,
+                    providerName: provider.name,
+                    stats: result,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            return result;
+        } catch (error) {
+            const failures = (this.failures.get(provider.id)?.failures || 0) + 1;
+            const delay = Math.min(PROVIDER_SYNC.BACKOFF_BASE * 2 ** (failures - 1), PROVIDER_SYNC.BACKOFF_MAX);
+            this.failures.set(provider.id, { failures, retryAt: Date.now() + delay, lastError: error.message });
+            logger.warn(`Provider ${provider.name} failed ${failures} time(s) in a row, retrying in ${Math.round(delay / 1000)}s`);
+            throw error;
+        } finally {
+            this.releaseSlot();
+        }
+    }
+
+    /**
+     * Refresh several providers, up to PROVIDER_SYNC.MAX_CONCURRENT at a time
+     * @param {Array} providers - Provider rows
+     * @param {Object} context - Run context for the refresh log: { triggerType, userId, jobRunId }
+     * @returns {Promise<Object>} { providersProcessed, trailersProcessed, locationsUpdated, skipped, failures }
+     *   where skipped and failures are "name: reason" strings
+     */
+    async refreshProviders(providers, context = {}) {
+        const results = await Promise.allSettled(providers.map(provider => this.refreshProvider(provider, context)));
+        const summary = { providersProcessed: providers.length, trailersProcessed: 0, locationsUpdated: 0, skipped: [], failures: [] };
+
+        results.forEach((outcome, index) => {
+            const provider = providers[index];
+            if (outcome.status === 'rejected') {
+                summary.failures.push(`${provider.name}: ${outcome.reason.message}`);
+            } else if (outcome.value.skipped) {
+                const reason = outcome.value.reason === 'circuit_open' ? 'credentials rejected, paused' : 'backing off';
+                summary.skipped.push(`${provider.name}: ${reason} until ${outcome.value.retryAt}`);
+            } else {
+                summary.trailersProcessed += outcome.value.trailersProcessed;
+                summary.locationsUpdated += outcome.value.locationsUpdated;
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Forget a provider's backoff and last result (after its credentials change)
+     * @param {string} providerId - Provider ID
+     */
+    reset(providerId) {
+        this.failures.delete(providerId);
+        this.lastResults.delete(providerId);
+    }
+
+    getStats() {
+        return {
+            maxConcurrent: PROVIDER_SYNC.MAX_CONCURRENT,
+            activeRefreshes: this.inFlight.size,
+            queuedRefreshes: this.waitingForSlot.length,
+            backingOff: Array.from(this.failures.entries())
+                .filter(([, failure]) => failure.retryAt > Date.now())
+                .map(([providerId, failure]) => ({
+                    providerId,
+                    failures: failure.failures,
+                    retryAt: new Date(failure.retryAt).toISOString(),
+                    lastError: failure.lastError
+                }))
+        };
+    }
+}
+
+module.exports = new ProviderSyncService();
@@ -0,0 +1,185 @@
+const { reeferExcursionManager, maintenanceManager } = require('../database/database-manager');
+const sseService = require('./sse-service');
+const { REEFER_EXCURSION, REEFER_EXCURSION_STATUS, MAINTENANCE_SEVERITY, TIME_CONSTANTS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const METRIC_LABELS = {
+    reefer_return_air_c: 'Return air',
+    reefer_supply_air_c: 'Supply air'
+};
+
+// °C outside a range, 0 when inside it
+const deviation = (value, range) => {
+    if (value < range.minTempC) return range.minTempC - value;
+    if (value > range.maxTempC) return value - range.maxTempC;
+    return 0;
+};
+
+const formatTemp = (celsius) => `${celsius.toFixed(1)} °C (${(celsius * 9 / 5 + 32).toFixed(1)} °F)`;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / TIME_CONSTANTS.MINUTE);
+
+/**
+ * Reefer Excursion Service
+ * Checks each new reefer temperature reading against the trailer's active range (a load's range while
+ * it is on board, otherwise the trailer's). The first reading outside the range opens an excursion.
+ * Once it has stayed out of range for the range's alert_after_minutes, a reefer_excursion maintenance
+ * alert is raised - critical when the temperature is REEFER_EXCURSION.CRITICAL_DEVIATION_C or more outside.
+ * The first reading back in range closes the excursion and resolves its alert. The tenant is notified
+ * over SSE when an alert is raised, escalated and resolved.
+ */
+class ReeferExcursionService {
+    /**
+     * Check newly stored readings of a trailer
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Array} readings - [{ metric, value, recordedAt }] as stored in trailer_telemetry
+     */
+    async evaluateReadings(trailer, readings) {
+        const temperatures = readings
+            .filter(reading => REEFER_EXCURSION.METRICS.includes(reading.metric) && reading.value !== null)
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+        for (const reading of temperatures) {
+            await this.evaluateReading(trailer, reading);
+        }
+    }
+
+    /**
+     * Check one reading, opening, extending or closing the trailer's excursion
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Object} reading - { metric, value, recordedAt }
+     */
+    async evaluateReading(trailer, reading) {
+        let excursion = await reeferExcursionManager.getOpenExcursion(trailer.id);
+        if (excursion && reading.recordedAt < excursion.lastReadingAt) {
+            return;
+        }
+
+        const range = await reeferExcursionManager.getActiveRange(trailer.id, reading.recordedAt);
+
+        // The load was delivered or the range removed while out of range
+        if (excursion && (!range || range.id !== excursion.rangeId)) {
+            await this.closeExcursion(trailer, excursion, excursion.lastReadingAt, false);
+            excursion = null;
+        }
+
+        if (!range || reading.metric !== range.metric) {
+            return;
+        }
+
+        if (deviation(reading.value, range) === 0) {
+            if (excursion) {
+                await this.closeExcursion(trailer, excursion, reading.recordedAt);
+            }
+            return;
+        }
+
+        if (!excursion) {
+            excursion = await reeferExcursionManager.createExcursion(trailer, range, reading);
+        } else {
+            const updates = {
+                lastReadingAt: reading.recordedAt,
+                readingsCount: excursion.readingsCount + 1
+            };
+            if (deviation(reading.value, range) > deviation(excursion.peakTempC, range)) {
+                updates.peakTempC = reading.value;
+            }
+            await reeferExcursionManager.updateExcursion(excursion.id, updates);
+            excursion = { ...excursion, ...updates };
+        }
+
+        await this.raiseAlert(trailer, excursion, range);
+    }
+
+    /**
+     * Raise or escalate the excursion's alert once it has lasted the range's alert_after_minutes
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Object} excursion - Open excursion (camelCase)
+     * @param {Object} range - Active range (camelCase)
+     */
+    async raiseAlert(trailer, excursion, range) {
+        const minutesOut = minutesBetween(excursion.startedAt, excursion.lastReadingAt);
+        if (minutesOut < range.alertAfterMinutes) {
+            return;
+        }
+
+        const severity = deviation(excursion.peakTempC, range) >= REEFER_EXCURSION.CRITICAL_DEVIATION_C
+            ? MAINTENANCE_SEVERITY.CRITICAL
+            : MAINTENANCE_SEVERITY.WARNING;
+        if (excursion.alertId && (excursion.severity === severity || severity === MAINTENANCE_SEVERITY.WARNING)) {
+            return;
+        }
+
+        const label = METRIC_LABELS[excursion.metric] || excursion.metric;
+        const title = `Reefer temperature excursion - ${range.unitNumber}`;
+        const description = `${label} temperature outside ${formatTemp(range.minTempC)} to ${formatTemp(range.maxTempC)} `
+            + `for ${minutesOut} minutes, peak ${formatTemp(excursion.peakTempC)}`
+            + `${excursion.loadReference ? ` (load ${excursion.loadReference})` : ''}`;
+
+        let alertId = excursion.alertId;
+        if (alertId) {
+            await maintenanceManager.updateMaintenanceAlert(alertId, { severity, description });
+        } else {
+            ({ id: alertId } = await maintenanceManager.createMaintenanceAlert(trailer.id, {
+                alert_type: REEFER_EXCURSION.ALERT_TYPE,
+                severity,
+                title,
+                description
+            }));
+        }
+        await reeferExcursionManager.updateExcursion(excursion.id, { severity, alertId });
+
+        this.notify(trailer, excursion, excursion.alertId ? 'escalated' : 'started', { severity, alertId, message: description });
+        logger.warn(`${title}: ${description}`);
+    }
+
+    /**
+     * Close an excursion and resolve its alert
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Object} excursion - Open excursion (camelCase)
+     * @param {string} endedAt - Time the temperature was back in range, or of the last reading out of range
+     * @param {boolean} backInRange - False when the range ended before the temperature recovered
+     */
+    async closeExcursion(trailer, excursion, endedAt, backInRange = true) {
+        await reeferExcursionManager.updateExcursion(excursion.id, {
+            endedAt,
+            status: REEFER_EXCURSION_STATUS.CLOSED
+        });
+
+        if (!excursion.alertId) {
+            return;
+        }
+
+        const message = `${backInRange ? 'Back in range' : 'Range ended, last reading out of range'} at ${endedAt} `
+            + `after ${minutesBetween(excursion.startedAt, endedAt)} minutes, peak ${formatTemp(excursion.peakTempC)}`;
+        try {
+            await maintenanceManager.resolveMaintenanceAlert(excursion.alertId, message);
+        } catch (error) {
+            logger.error(`Failed to resolve reefer excursion alert ${excursion.alertId}:`, error);
+        }
+        this.notify(trailer, excursion, 'ended', { severity: excursion.severity, alertId: excursion.alertId, message });
+    }
+
+    /**
+     * Notify the trailer's tenant of an excursion alert
+     * @param {Object} trailer - { id, tenantId }
+     * @param {Object} excursion - Excursion (camelCase)
+     * @param {string} event - 'started', 'escalated' or 'ended'
+     * @param {Object} details - { severity, alertId, message }
+     */
+    notify(trailer, excursion, event, { severity, alertId, message }) {
+        sseService.notifyTenant(trailer.tenantId, {
+            type: 'reefer_excursion',
+            event,
+            excursionId: excursion.id,
+            alertId,
+            trailerId: trailer.id,
+            unitNumber: excursion.unitNumber,
+            severity,
+            message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new ReeferExcursionService();
@@ -5,15 +5,18 @@
 class SSEService {
     constructor() {
         this.activeConnections = new Map();
+        this.clientTenants = new Map();
     }
 
     /**
      * Register a client for SSE notifications
      * @param {string} userId - User ID
      * @param {Object} response - Express response object
+     * @param {string} tenantId - User's tenant, for tenant-wide notifications
      */
-    registerClient(userId, response) {
+    registerClient(userId, response, tenantId = null) {
         this.activeConnections.set(userId, response);
+        this.clientTenants.set(userId, tenantId);
         console.log(`📡 SSE client registered: ${userId}`);
         
         // Route sets SSE headers after auth. Do not set headers here to avoid duplicates.
@@ -42,6 +45,7 @@ class SSEService {
      */
     removeClient(userId) {
         this.activeConnections.delete(userId);
+        this.clientTenants.delete(userId);
         console.log(`📡 SSE client disconnected: ${userId}`);
     }
 
@@ -72,6 +76,19 @@ class SSEService {
         }
     }
 
+    /**
+     * Notify every connected client of a tenant
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} data - Data to send
+     */
+    notifyTenant(tenantId, data) {
+        for (const [userId, clientTenantId] of this.clientTenants.entries()) {
+            if (clientTenantId === tenantId) {
+                this.notifyClient(userId, data);
+            }
+        }
+    }
+
     /**
      * Get connection status for a user
      * @param {string} userId - User ID
@@ -111,6 +128,7 @@ class SSEService {
             }
         }
         this.activeConnections.clear();
+        this.clientTenants.clear();
         console.log('📡 All SSE connections cleaned up');
     }
 }
@@ -0,0 +1,346 @@
+const { trailerManager, trailerIdentityManager } = require('../database/database-manager');
+const cacheService = require('./cache-service');
+const { IDENTITY_MATCH_RULES, IDENTITY_REVIEW_STATUS, GPS_STATUS, CACHE_KEYS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Links of the device a trailer was created for - the device that names the trailer
+const PRIMARY_RULES = [IDENTITY_MATCH_RULES.CREATED, IDENTITY_MATCH_RULES.EXTERNAL_ID];
+
+/**
+ * Trailer Identity Service
+ * Resolves which trailer a provider device reports for, so a physical trailer keeps one record when it
+ * carries devices from several providers or moves from one provider to another. Rules, in order:
+ * 1. the device's existing link
+ * 2. the trailer this provider created for the device before links existed (external ID)
+ * 3. the only trailer with the device's VIN
+ * 4. the only trailer with the device's plate and unit number
+ * 5. the only trailer with the device's unit number, while no provider tracks it
+ * A device that could be one of several trailers, or whose unit number belongs to a trailer with a different
+ * VIN or another device, is queued for review instead of creating a duplicate.
+ */
+class TrailerIdentityService {
+    /**
+     * Normalize an identifier for comparison
+     * @param {*} value - VIN, plate or unit number
+     * @returns {string|null} Upper case without spaces or dashes, null when blank
+     */
+    normalize(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return String(value).toUpperCase().replace(/[\s-]/g, '') || null;
+    }
+
+    /**
+     * Get the provider's stable ID for a device
+     * @param {Object} device - Standardized trailer or location data from the provider
+     * @returns {string} Device ID
+     */
+    getDeviceId(device) {
+        return String(device.id || device.deviceId);
+    }
+
+    /**
+     * Match a device to a trailer, linking the device when a rule other than its link matched
+     * @param {Object} provider - Provider row
+     * @param {Object} device - Standardized trailer or location data from the provider
+     * @returns {Promise<Object>} { trailerId, rule, primary } when matched, where primary marks the device the
+     *   trailer was created for. Otherwise trailerId is null, with review { candidateIds, reason } when the device
+     *   is ambiguous, or dismissed when a reviewer dismissed it.
+     */
+    async matchDevice(provider, device) {
+        const deviceId = this.getDeviceId(device);
+
+        const link = await trailerIdentityManager.getDeviceLink(provider.id, deviceId);
+        if (link) {
+            await trailerIdentityManager.touchDeviceLink(link.id);
+            return { trailerId: link.trailerId, rule: IDENTITY_MATCH_RULES.DEVICE, primary: PRIMARY_RULES.includes(link.matchRule) };
+        }
+
+        const review = await trailerIdentityManager.getDeviceReview(provider.id, deviceId);
+        if (review && review.status === IDENTITY_REVIEW_STATUS.DISMISSED) {
+            return { trailerId: null, dismissed: true };
+        }
+
+        const match = await this.findTrailer(provider, device);
+        if (match.trailerId) {
+            await trailerIdentityManager.linkDevice({
+                tenantId: provider.tenant_id,
+                trailerId: match.trailerId,
+                providerId: provider.id,
+                deviceId,
+                matchRule: match.rule
+            });
+
+            // Whatever made the device ambiguous is gone, e.g. the duplicate was merged
+            if (review && review.status === IDENTITY_REVIEW_STATUS.PENDING) {
+                await trailerIdentityManager.resolveReview(review.id, IDENTITY_REVIEW_STATUS.LINKED, match.trailerId, null);
+            }
+        }
+
+        return match;
+    }
+
+    /**
+     * Apply the identity rules after the device link
+     * @param {Object} provider - Provider row
+     * @param {Object} device - Standardized trailer or location data from the provider
+     * @returns {Promise<Object>} Match as returned by matchDevice
+     */
+    async findTrailer(provider, device) {
+        const tenantId = provider.tenant_id;
+
+        const externalIds = [...new Set([device.id, device.deviceId, device.originalId].filter(Boolean).map(String))];
+        const byExternalId = await trailerIdentityManager.findByExternalId(tenantId, provider.id, externalIds);
+        const legacy = externalIds.map(id => byExternalId.find(trailer => trailer.externalId === id)).find(Boolean);
+        if (legacy) {
+            return { trailerId: legacy.id, rule: IDENTITY_MATCH_RULES.EXTERNAL_ID, primary: true };
+        }
+
+        const vin = this.normalize(device.vin);
+        if (vin) {
+            const byVin = await trailerIdentityManager.findByIdentifier(tenantId, 'vin', vin);
+            if (byVin.length === 1) {
+                return { trailerId: byVin[0].id, rule: IDENTITY_MATCH_RULES.VIN };
+            }
+            if (byVin.length > 1) {
+                return this.toReview(byVin, `${byVin.length} trailers share VIN ${device.vin}`);
+            }
+        }
+
+        const unitNumber = device.unit_number || device.originalId;
+        const unit = this.normalize(unitNumber);
+        if (!unit) {
+            return { trailerId: null };
+        }
+
+        const byUnit = await trailerIdentityManager.findByIdentifier(tenantId, 'unit_number', unit);
+        if (byUnit.length === 0) {
+            return { trailerId: null };
+        }
+
+        // No trailer has the device's VIN, so a unit with a VIN is a different trailer reusing the number
+        const conflicting = vin ? byUnit.filter(trailer => this.normalize(trailer.vin)) : [];
+        const plate = this.normalize(device.plate);
+        if (plate) {
+            const byPlate = byUnit.filter(trailer => this.normalize(trailer.plate) === plate && !conflicting.includes(trailer));
+            if (byPlate.length === 1) {
+                return { trailerId: byPlate[0].id, rule: IDENTITY_MATCH_RULES.PLATE_UNIT };
+            }
+        }
+
+        if (byUnit.length > 1) {
+            return this.toReview(byUnit, `${byUnit.length} trailers share unit ${unitNumber}`);
+        }
+
+        const [trailer] = byUnit;
+        if (conflicting.length > 0) {
+            return this.toReview(byUnit, `Unit ${unitNumber} exists with a different VIN`);
+        }
+        if (trailer.providerId || trailer.deviceCount > 0) {
+            return this.toReview(byUnit, `Unit ${unitNumber} is already tracked by ${trailer.providerName || 'another device'}`);
+        }
+
+        return { trailerId: trailer.id, rule: IDENTITY_MATCH_RULES.UNIT };
+    }
+
+    /**
+     * Build an ambiguous match
+     * @param {Array} candidates - Candidate trailers
+     * @param {string} reason - Why the device needs review
+     * @returns {Object} Match with review details
+     */
+    toReview(candidates, reason) {
+        return { trailerId: null, review: { candidateIds: candidates.map(trailer => trailer.id), reason } };
+    }
+
+    /**
+     * Queue an ambiguous device for review
+     * @param {Object} provider - Provider row
+     * @param {Object} device - Standardized trailer data from the provider
+     * @param {Object} review - { candidateIds, reason } from matchDevice
+     */
+    async queueReview(provider, device, review) {
+        await trailerIdentityManager.queueReview({
+            tenantId: provider.tenant_id,
+            providerId: provider.id,
+            deviceId: this.getDeviceId(device),
+            device,
+            candidateIds: review.candidateIds,
+            reason: review.reason
+        });
+        logger.info(`Queued device ${this.getDeviceId(device)} of ${provider.name} for identity review: ${review.reason}`);
+    }
+
+    /**
+     * Link a device to the trailer just created for it
+     * @param {Object} provider - Provider row
+     * @param {Object} device - Standardized trailer data from the provider
+     * @param {string} trailerId - Created trailer ID
+     */
+    async linkCreatedTrailer(provider, device, trailerId) {
+        await trailerIdentityManager.linkDevice({
+            tenantId: provider.tenant_id,
+            trailerId,
+            providerId: provider.id,
+            deviceId: this.getDeviceId(device),
+            matchRule: IDENTITY_MATCH_RULES.CREATED
+        });
+    }
+
+    // ============================================================================
+    // REVIEW RESOLUTION
+    // ============================================================================
+
+    /**
+     * Link a reviewed device to an existing trailer and apply its last reported position
+     * @param {Object} review - Review from trailerIdentityManager.getReview
+     * @param {Object} trailer - Chosen trailer
+     * @param {string} userId - Reviewer
+     */
+    async linkReview(review, trailer, userId) {
+        await trailerIdentityManager.linkDevice({
+            tenantId: review.tenantId,
+            trailerId: trailer.id,
+            providerId: review.providerId,
+            deviceId: review.deviceId,
+            matchRule: IDENTITY_MATCH_RULES.REVIEW
+        });
+
+        const { device } = review;
+        await trailerManager.applyLocationUpdate(trailer.id, {
+            latitude: device.last_latitude,
+            longitude: device.last_longitude,
+            address: device.address,
+            source: 'gps',
+            providerId: review.providerId,
+            occurredAtUTC: new Date(device.lastUpdate).toISOString()
+        });
+        await trailerManager.recordPing(trailer.id, review.providerId, device.lastUpdate);
+
+        await trailerIdentityManager.resolveReview(review.id, IDENTITY_REVIEW_STATUS.LINKED, trailer.id, userId);
+        this.invalidateTrailerList(trailer.companyId);
+    }
+
+    /**
+     * Create a new trailer for a reviewed device
+     * @param {Object} review - Review from trailerIdentityManager.getReview
+     * @param {Object} provider - The review's provider row
+     * @param {string} userId - Reviewer
+     * @returns {Promise<string>} Created trailer ID
+     */
+    async createFromReview(review, provider, userId) {
+        const { device } = review;
+        const { id: trailerId } = await trailerManager.createTrailer({
+            ...device,
+            latitude: device.last_latitude,
+            longitude: device.last_longitude,
+            tenant_id: provider.tenant_id,
+            provider_id: provider.id,
+            gps_enabled: true,
+            gps_status: GPS_STATUS.CONNECTED
+        }, provider.company_id);
+
+        await this.linkCreatedTrailer(provider, device, trailerId);
+        await trailerIdentityManager.resolveReview(review.id, IDENTITY_REVIEW_STATUS.CREATED, trailerId, userId);
+        this.invalidateTrailerList(provider.company_id);
+        return trailerId;
+    }
+
+    /**
+     * Dismiss a reviewed device - syncs skip it from now on
+     * @param {Object} review - Review from trailerIdentityManager.getReview
+     * @param {string} userId - Reviewer
+     */
+    async dismissReview(review, userId) {
+        await trailerIdentityManager.resolveReview(review.id, IDENTITY_REVIEW_STATUS.DISMISSED, null, userId);
+    }
+
+    // ============================================================================
+    // MERGES
+    // ============================================================================
+
+    /**
+     * Check that two trailers can be merged
+     * @param {Object|null} target - Target trailer row
+     * @param {Object|null} source - Source trailer row
+     * @returns {string|null} Error message, null when the merge is allowed
+     */
+    getMergeError(target, source) {
+        if (!target || !source) {
+            return 'Trailer not found';
+        }
+        if (target.id === source.id) {
+            return 'A trailer cannot be merged into itself';
+        }
+        if (target.merged_into_id || source.merged_into_id) {
+            return 'Merged trailers cannot be merged again - unmerge them first';
+        }
+
+        const targetVin = this.normalize(target.vin);
+        const sourceVin = this.normalize(source.vin);
+        if (targetVin && sourceVin && targetVin !== sourceVin) {
+            return `The trailers have different VINs (${target.vin} and ${source.vin})`;
+        }
+        return null;
+    }
+
+    /**
+     * Merge a duplicate trailer into the one that remains
+     * @param {Object} target - Target trailer row
+     * @param {Object} source - Source trailer row, checked with getMergeError
+     * @param {string} userId - User performing the merge
+     * @returns {Promise<string>} Merge ID
+     */
+    async mergeTrailers(target, source, userId) {
+        const mergeId = await trailerIdentityManager.mergeTrailers(target, source, userId);
+        logger.info(`Merged trailer ${source.unit_number} (${source.id}) into ${target.unit_number} (${target.id})`);
+
+        this.invalidateTrailerList(target.company_id);
+        this.invalidateTrailerList(source.company_id);
+        return mergeId;
+    }
+
+    /**
+     * Check that a merge can be undone
+     * @param {Object|null} merge - Merge from trailerIdentityManager.getMerge
+     * @param {Object|null} target - The merge's target trailer row
+     * @returns {string|null} Error message, null when the unmerge is allowed
+     */
+    getUnmergeError(merge, target) {
+        if (!merge) {
+            return 'Merge not found';
+        }
+        if (merge.unmergedAt) {
+            return 'This merge was already undone';
+        }
+        if (target && target.merged_into_id) {
+            return `${target.unit_number} was merged again since - undo that merge first`;
+        }
+        return null;
+    }
+
+    /**
+     * Undo a merge, returning the source trailer's records to it
+     * @param {Object} merge - Merge from trailerIdentityManager.getMerge, checked with getUnmergeError
+     * @param {string} userId - User undoing the merge
+     */
+    async unmergeTrailers(merge, userId) {
+        await trailerIdentityManager.unmergeTrailers(merge, userId);
+        logger.info(`Unmerged trailer ${merge.sourceTrailerId} from ${merge.targetTrailerId}`);
+
+        const source = await trailerIdentityManager.getTrailerRow(merge.sourceTrailerId, merge.tenantId);
+        const target = await trailerIdentityManager.getTrailerRow(merge.targetTrailerId, merge.tenantId);
+        [source, target].filter(Boolean).forEach(trailer => this.invalidateTrailerList(trailer.company_id));
+    }
+
+    /**
+     * Drop a company's cached trailer list
+     * @param {string} companyId - Company ID
+     */
+    invalidateTrailerList(companyId) {
+        cacheService.delete(`${CACHE_KEYS.TRAILER_LIST}:${companyId}`);
+    }
+}
+
+module.exports = new TrailerIdentityService();
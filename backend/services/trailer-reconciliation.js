@@ -0,0 +1,101 @@
+const { trailerManager } = require('../database/database-manager');
+const cacheService = require('./cache-service');
+const { GPS_STATUS, RECONCILIATION, REFRESH_ITEM_OUTCOMES, CACHE_KEYS } = require('../utils/constants');
+
+/**
+ * Trailer Reconciliation Service
+ * Derives each trailer's GPS status from how long ago its provider last reported it:
+ * - connected until the provider's stale threshold
+ * - stale until its disconnect threshold
+ * - disconnected after that, and archived once the optional archive threshold passes
+ * A trailer that reports again is restored by trailerManager.recordPing and reconnected here.
+ */
+class TrailerReconciliationService {
+    /**
+     * Get a provider's thresholds, falling back to the RECONCILIATION defaults
+     * @param {Object} provider - Provider row
+     * @returns {Object} { staleAfterHours, disconnectAfterHours, archiveAfterDays } - archiveAfterDays 0 never archives
+     */
+    getThresholds(provider) {
+        return {
+            staleAfterHours: provider.stale_after_hours ?? RECONCILIATION.DEFAULT_STALE_AFTER_HOURS,
+            disconnectAfterHours: provider.disconnect_after_hours ?? RECONCILIATION.DEFAULT_DISCONNECT_AFTER_HOURS,
+            archiveAfterDays: provider.archive_after_days ?? RECONCILIATION.DEFAULT_ARCHIVE_AFTER_DAYS
+        };
+    }
+
+    /**
+     * Reconcile a provider's trailers against their last ping
+     * @param {Object} provider - Provider row
+     * @returns {Promise<Object>} Report { stale, disconnected, archived, reconnected, items } counting the trailers
+     *   that changed status; items lists the ones that went stale, disconnected or archived
+     */
+    async reconcileProvider(provider) {
+        const { staleAfterHours, disconnectAfterHours, archiveAfterDays } = this.getThresholds(provider);
+        const trailers = await trailerManager.getTrailersForReconciliation(provider.id);
+
+        const changes = { stale: [], disconnected: [], archived: [], reconnected: [] };
+        const items = [];
+
+        for (const trailer of trailers) {
+            const hours = trailer.hoursSincePing;
+            const silence = `No ping for ${this.formatSilence(hours)}`;
+
+            if (archiveAfterDays > 0 && hours >= archiveAfterDays * 24) {
+                changes.archived.push(trailer.id);
+                items.push(this.toItem(trailer, REFRESH_ITEM_OUTCOMES.ARCHIVED, `${silence} - archived`));
+            } else if (hours >= disconnectAfterHours) {
+                if (trailer.gpsStatus !== GPS_STATUS.DISCONNECTED) {
+                    changes.disconnected.push(trailer.id);
+                    items.push(this.toItem(trailer, REFRESH_ITEM_OUTCOMES.DISCONNECTED, silence));
+                }
+            } else if (hours >= staleAfterHours) {
+                if (trailer.gpsStatus !== GPS_STATUS.STALE) {
+                    changes.stale.push(trailer.id);
+                    items.push(this.toItem(trailer, REFRESH_ITEM_OUTCOMES.STALE, silence));
+                }
+            } else if (trailer.gpsStatus !== GPS_STATUS.CONNECTED) {
+                changes.reconnected.push(trailer.id);
+            }
+        }
+
+        await trailerManager.setReconciledStatus(changes.stale, GPS_STATUS.STALE);
+        await trailerManager.setReconciledStatus(changes.disconnected, GPS_STATUS.DISCONNECTED);
+        await trailerManager.setReconciledStatus(changes.archived, GPS_STATUS.DISCONNECTED, true);
+        await trailerManager.setReconciledStatus(changes.reconnected, GPS_STATUS.CONNECTED);
+
+        if (Object.values(changes).some(ids => ids.length > 0)) {
+            cacheService.delete(`${CACHE_KEYS.TRAILER_LIST}:${provider.company_id}`);
+        }
+
+        return {
+            stale: changes.stale.length,
+            disconnected: changes.disconnected.length,
+            archived: changes.archived.length,
+            reconnected: changes.reconnected.length,
+            items
+        };
+    }
+
+    /**
+     * Build a refresh log item for a reconciled trailer
+     * @param {Object} trailer - Trailer from getTrailersForReconciliation
+     * @param {string} outcome - One of REFRESH_ITEM_OUTCOMES
+     * @param {string} message - Reason
+     * @returns {Object} Refresh log item
+     */
+    toItem(trailer, outcome, message) {
+        return { trailerId: trailer.id, deviceId: trailer.externalId, outcome, message };
+    }
+
+    /**
+     * Format hours without a ping for a reconciliation message
+     * @param {number} hours - Hours since the last ping
+     * @returns {string} e.g. "7 h" or "3 days"
+     */
+    formatSilence(hours) {
+        return hours < 48 ? `${Math.floor(hours)} h` : `${Math.floor(hours / 24)} days`;
+    }
+}
+
+module.exports = new TrailerReconciliationService();
@@ -0,0 +1,98 @@
+const { telemetryManager, trailerManager } = require('../database/database-manager');
+const reeferExcursions = require('./reefer-excursions');
+const { TELEMETRY_METRICS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Trailer Telemetry Service
+ * Turns the standard sensor fields a provider reports with a position (door, cargo, reefer, battery and
+ * meters, see BaseGPSProvider.createStandardTrailer) into time series readings in trailer_telemetry.
+ */
+class TrailerTelemetryService {
+    /**
+     * Convert standard sensor fields into readings
+     * @param {Object} data - Standardized trailer or location data
+     * @param {string} fallbackTime - Time of readings whose sensor block has no recordedAt, usually the position time
+     * @returns {Array} [{ metric, value, textValue, recordedAt }]
+     */
+    getReadings(data, fallbackTime) {
+        const readings = [];
+        const add = (block, metric, value, textValue = null) => {
+            if ((value === null || value === undefined) && !textValue) {
+                return;
+            }
+            const time = Date.parse(block.recordedAt || fallbackTime);
+            if (isNaN(time)) {
+                return;
+            }
+            readings.push({ metric, value: value ?? null, textValue, recordedAt: new Date(time).toISOString() });
+        };
+
+        const { door, cargo, reefer, battery, meters } = data;
+        if (door && typeof door.closed === 'boolean') {
+            add(door, TELEMETRY_METRICS.DOOR_OPEN, door.closed ? 0 : 1);
+        }
+        if (cargo && typeof cargo.loaded === 'boolean') {
+            add(cargo, TELEMETRY_METRICS.CARGO_LOADED, cargo.loaded ? 1 : 0);
+        }
+        if (reefer) {
+            add(reefer, TELEMETRY_METRICS.REEFER_SET_POINT, reefer.setPointC);
+            add(reefer, TELEMETRY_METRICS.REEFER_RETURN_AIR, reefer.returnAirTempC);
+            add(reefer, TELEMETRY_METRICS.REEFER_SUPPLY_AIR, reefer.supplyAirTempC);
+            add(reefer, TELEMETRY_METRICS.REEFER_AMBIENT, reefer.ambientTempC);
+            add(reefer, TELEMETRY_METRICS.REEFER_RUN_MODE, null, reefer.powerStatus || null);
+        }
+        if (battery) {
+            add(battery, TELEMETRY_METRICS.BATTERY_VOLTAGE, battery.voltage);
+        }
+        if (meters) {
+            add(meters, TELEMETRY_METRICS.ODOMETER_MILES, meters.odometerMiles);
+            add(meters, TELEMETRY_METRICS.ENGINE_HOURS, meters.engineHours);
+        }
+
+        return readings;
+    }
+
+    /**
+     * Store the sensor readings reported with a position, check new reefer temperatures against the
+     * trailer's range and move its odometer and engine hours forward. Failures are logged, never thrown,
+     * so telemetry cannot hold up the location update.
+     * @param {Object} trailer - { id, tenantId }
+     * @param {string} providerId - Reporting provider
+     * @param {Object} data - Standardized trailer or location data
+     * @param {string} fallbackTime - Time of the position
+     * @returns {Promise<number>} Number of readings stored
+     */
+    async recordTelemetry(trailer, providerId, data, fallbackTime) {
+        try {
+            const readings = this.getReadings(data, fallbackTime);
+            if (readings.length === 0) {
+                return 0;
+            }
+            const stored = await telemetryManager.recordReadings(trailer, providerId, readings);
+            await reeferExcursions.evaluateReadings(trailer, stored);
+            await this.recordMeterReadings(trailer, stored);
+            return stored.length;
+        } catch (error) {
+            logger.error(`Failed to record telemetry for trailer ${trailer.id}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Carry new odometer and engine hour readings over to the trailer's meters
+     * @param {Object} trailer - { id }
+     * @param {Array} readings - Readings just stored
+     */
+    async recordMeterReadings(trailer, readings) {
+        for (const reading of readings) {
+            if (reading.metric === TELEMETRY_METRICS.ODOMETER_MILES) {
+                await trailerManager.recordMeterReadings(trailer.id, { odometerMiles: reading.value, recordedAt: reading.recordedAt });
+            } else if (reading.metric === TELEMETRY_METRICS.ENGINE_HOURS) {
+                await trailerManager.recordMeterReadings(trailer.id, { engineHours: reading.value, recordedAt: reading.recordedAt });
+            }
+        }
+    }
+}
+
+module.exports = new TrailerTelemetryService();
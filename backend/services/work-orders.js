@@ -0,0 +1,349 @@
+const {
+    workOrderManager, maintenanceManager, trailerManager, inspectionTypeManager, pmScheduleManager
+} = require('../database/database-manager');
+const { MAINTENANCE_ALERT_TYPES, WORK_ORDER_STATUS } = require('../utils/constants');
+const MaintenanceService = require('./maintenance');
+const logger = require('../utils/logger');
+
+// Status changes a work order can make; completed is final
+const STATUS_TRANSITIONS = {
+    [WORK_ORDER_STATUS.OPEN]: [WORK_ORDER_STATUS.IN_PROGRESS, WORK_ORDER_STATUS.COMPLETED],
+    [WORK_ORDER_STATUS.IN_PROGRESS]: [WORK_ORDER_STATUS.OPEN, WORK_ORDER_STATUS.COMPLETED],
+    [WORK_ORDER_STATUS.COMPLETED]: []
+};
+
+/**
+ * Work Order Service
+ * Opens work orders against a trailer's maintenance alerts or an inspection's defects, assigns them to a
+ * vendor (a custom location of type maintenance) and completes them. A work order lists the alert rule
+ * types it services: completing it resolves its linked alerts and records each service on the trailer,
+ * setting the inspection, tire service or PM service dates the alert rules are evaluated from.
+ */
+class WorkOrderService {
+    /**
+     * Check the service types a work order lists are alert rules the tenant has
+     * @param {string} tenantId - Tenant ID
+     * @param {Array<string>} serviceTypes - Alert rule types, e.g. annual_inspection, tire_status, pm_oil_change
+     * @returns {Promise<string|null>} Error message, null when valid
+     */
+    async checkServiceTypes(tenantId, serviceTypes = []) {
+        if (serviceTypes.length === 0) {
+            return null;
+        }
+
+        const [inspectionTypes, schedules] = await Promise.all([
+            inspectionTypeManager.getTypes(tenantId),
+            pmScheduleManager.getSchedules(tenantId)
+        ]);
+        const known = new Set([
+            MAINTENANCE_ALERT_TYPES.TIRE_STATUS,
+            ...inspectionTypes.map(type => type.code + MAINTENANCE_ALERT_TYPES.INSPECTION_SUFFIX),
+            ...schedules.map(schedule => MAINTENANCE_ALERT_TYPES.PM_PREFIX + schedule.code)
+        ]);
+
+        const unknown = serviceTypes.find(type => !known.has(type));
+        return unknown ? `Unknown service type: ${unknown}` : null;
+    }
+
+    /**
+     * Check a vendor is one of the tenant's maintenance locations
+     * @returns {Promise<string|null>} Error message, null when valid or not set
+     */
+    async checkVendor(tenantId, vendorLocationId) {
+        if (!vendorLocationId) {
+            return null;
+        }
+        const vendor = await workOrderManager.getVendor(vendorLocationId, tenantId);
+        return vendor ? null : 'Vendor not found, choose a maintenance location';
+    }
+
+    /**
+     * Check alerts are open alerts on the trailer
+     * @param {string} tenantId - Tenant ID
+     * @param {string} trailerId - Trailer ID
+     * @param {Array<string>} alertIds - Alert IDs
+     * @returns {Promise<Object>} { alerts } or { error }
+     */
+    async getOpenAlerts(tenantId, trailerId, alertIds = []) {
+        if (alertIds.length === 0) {
+            return { alerts: [] };
+        }
+
+        const openAlerts = await maintenanceManager.getOpenTrailerAlerts(tenantId, { trailerId });
+        const alerts = alertIds.map(id => openAlerts.find(alert => alert.id === id));
+        if (alerts.includes(undefined)) {
+            return { error: 'Alerts must be open alerts on the work order\'s trailer' };
+        }
+
+        return { alerts };
+    }
+
+    /**
+     * Open a work order on a trailer. Created from alerts, it services their rule types unless service types
+     * are given; created from an inspection, its title and description default to the inspection's defect.
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} input - { trailerId, title, description, vendorLocationId, sourceInspectionId, alertIds, serviceTypes }
+     * @param {string} userId - User opening it
+     * @returns {Promise<Object>} { workOrder } or { status, error } for the response
+     */
+    async createWorkOrder(tenantId, input, userId) {
+        const trailer = await trailerManager.getTrailerById(input.trailerId);
+        if (!trailer || trailer.tenantId !== tenantId) {
+            return { status: 400, error: 'Trailer not found' };
+        }
+
+        const vendorError = await this.checkVendor(tenantId, input.vendorLocationId);
+        if (vendorError) {
+            return { status: 400, error: vendorError };
+        }
+
+        const { alerts, error: alertError } = await this.getOpenAlerts(tenantId, trailer.id, input.alertIds);
+        if (alertError) {
+            return { status: 400, error: alertError };
+        }
+
+        let inspection = null;
+        if (input.sourceInspectionId) {
+            inspection = await workOrderManager.getTenantInspection(input.sourceInspectionId, tenantId);
+            if (!inspection || inspection.trailerId !== trailer.id) {
+                return { status: 400, error: 'Inspection not found on the work order\'s trailer' };
+            }
+        }
+
+        const serviceTypes = input.serviceTypes
+            || [...new Set(alerts.map(alert => alert.type).filter(type => MaintenanceService.isRuleAlertType(type)))];
+        const serviceTypeError = await this.checkServiceTypes(tenantId, serviceTypes);
+        if (serviceTypeError) {
+            return { status: 400, error: serviceTypeError };
+        }
+
+        let title = input.title;
+        let description = input.description;
+        if (inspection) {
+            title = title || `Repair ${inspection.inspectionType.replace(/_/g, ' ')} inspection defect`;
+            description = description || inspection.notes;
+        } else if (!title && alerts.length > 0) {
+            title = alerts.length === 1 ? alerts[0].title : `${alerts[0].title} and ${alerts.length - 1} more`;
+        }
+        if (!title) {
+            return { status: 400, error: 'Title is required without alerts or an inspection to work from' };
+        }
+
+        const workOrderId = await workOrderManager.createWorkOrder(tenantId, {
+            trailerId: trailer.id,
+            title,
+            description,
+            vendorLocationId: input.vendorLocationId,
+            sourceInspectionId: inspection ? inspection.id : null,
+            serviceTypes,
+            createdBy: userId
+        });
+        await workOrderManager.linkAlerts(workOrderId, trailer.id, alerts.map(alert => alert.id));
+
+        return { workOrder: await workOrderManager.getWorkOrder(workOrderId, tenantId) };
+    }
+
+    /**
+     * Change a work order's details, vendor or service types
+     * @param {Object} workOrder - Work order (camelCase), not completed
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} input - Any of { title, description, vendorLocationId, serviceTypes }
+     * @returns {Promise<Object>} { workOrder } or { status, error } for the response
+     */
+    async updateWorkOrder(workOrder, tenantId, input) {
+        const vendorError = await this.checkVendor(tenantId, input.vendorLocationId);
+        if (vendorError) {
+            return { status: 400, error: vendorError };
+        }
+
+        const serviceTypeError = await this.checkServiceTypes(tenantId, input.serviceTypes);
+        if (serviceTypeError) {
+            return { status: 400, error: serviceTypeError };
+        }
+
+        await workOrderManager.updateWorkOrder(workOrder.id, input);
+        return { workOrder: await workOrderManager.getWorkOrder(workOrder.id, tenantId) };
+    }
+
+    /**
+     * Link more of the trailer's open alerts to a work order, adding their rule types to its service types
+     * @returns {Promise<Object>} { workOrder } or { status, error } for the response
+     */
+    async linkAlerts(workOrder, tenantId, alertIds) {
+        const { alerts, error } = await this.getOpenAlerts(tenantId, workOrder.trailerId, alertIds);
+        if (error) {
+            return { status: 400, error };
+        }
+
+        await workOrderManager.linkAlerts(workOrder.id, workOrder.trailerId, alerts.map(alert => alert.id));
+
+        const serviceTypes = [...new Set([
+            ...workOrder.serviceTypes,
+            ...alerts.map(alert => alert.type).filter(type => MaintenanceService.isRuleAlertType(type))
+        ])];
+        if (serviceTypes.length !== workOrder.serviceTypes.length) {
+            await workOrderManager.updateWorkOrder(workOrder.id, { serviceTypes });
+        }
+
+        return { workOrder: await workOrderManager.getWorkOrder(workOrder.id, tenantId) };
+    }
+
+    /**
+     * Unlink an alert from a work order, leaving it open. Its rule type is no longer serviced unless another
+     * linked alert has it.
+     * @returns {Promise<Object>} { workOrder } or { status, error } for the response
+     */
+    async unlinkAlert(workOrder, tenantId, alertId) {
+        const alert = workOrder.alerts.find(item => item.id === alertId);
+        if (!alert) {
+            return { status: 404, error: 'Alert not linked to the work order' };
+        }
+
+        await workOrderManager.unlinkAlert(workOrder.id, alertId);
+
+        const stillLinked = workOrder.alerts.some(item => item.id !== alertId && item.type === alert.type);
+        if (!stillLinked && workOrder.serviceTypes.includes(alert.type)) {
+            await workOrderManager.updateWorkOrder(workOrder.id, {
+                serviceTypes: workOrder.serviceTypes.filter(type => type !== alert.type)
+            });
+        }
+
+        return { workOrder: await workOrderManager.getWorkOrder(workOrder.id, tenantId) };
+    }
+
+    /**
+     * Move a work order to a new status. Starting it stamps its start time; completing it closes it for good.
+     * @param {Object} workOrder - Work order (camelCase)
+     * @param {string} tenantId - Tenant ID
+     * @param {string} status - WORK_ORDER_STATUS value
+     * @param {Object} options - { completedAt, userId }
+     * @returns {Promise<Object>} { workOrder, completion } or { status, error } for the response
+     */
+    async setStatus(workOrder, tenantId, status, { completedAt, userId } = {}) {
+        if (status === workOrder.status) {
+            return { workOrder };
+        }
+        if (!STATUS_TRANSITIONS[workOrder.status].includes(status)) {
+            return { status: 400, error: `A work order cannot move from ${workOrder.status} to ${status}` };
+        }
+
+        if (status !== WORK_ORDER_STATUS.COMPLETED) {
+            await workOrderManager.updateWorkOrder(workOrder.id, {
+                status,
+                startedAt: status === WORK_ORDER_STATUS.IN_PROGRESS ? workOrder.startedAt || new Date().toISOString() : undefined
+            });
+            return { workOrder: await workOrderManager.getWorkOrder(workOrder.id, tenantId) };
+        }
+
+        const completion = await this.completeWorkOrder(workOrder, tenantId, completedAt || new Date().toISOString(), userId);
+        return { workOrder: await workOrderManager.getWorkOrder(workOrder.id, tenantId), completion };
+    }
+
+    /**
+     * Complete a work order: resolve its linked alerts and record each service type on the trailer. Inspection
+     * types are recorded as inspections by the vendor, built-in ones also setting the trailer's last and next
+     * inspection dates; tire_status sets the last tire service and tires back to good; PM schedules record a
+     * service at the trailer's current reading, and are skipped while the trailer has none.
+     * @param {Object} workOrder - Work order (camelCase)
+     * @param {string} tenantId - Tenant ID
+     * @param {string} completedAt - ISO completion time
+     * @param {string} userId - User completing it
+     * @returns {Promise<Object|null>} { alertsResolved, servicesRecorded, servicesSkipped }, null when it was
+     *   completed in the meantime
+     */
+    async completeWorkOrder(workOrder, tenantId, completedAt, userId) {
+        const servicesRecorded = [];
+        const servicesSkipped = [];
+        let openAlerts = [];
+
+        // One transaction, so a failure part way leaves the work order open with its alerts and services as they were
+        const completed = await workOrderManager.transact(async () => {
+            // Read again inside the transaction, so a completion that ran since the work order was loaded is not repeated
+            workOrder = await workOrderManager.getWorkOrder(workOrder.id, tenantId);
+            if (!workOrder || workOrder.status === WORK_ORDER_STATUS.COMPLETED) {
+                return false;
+            }
+
+            const resolution = `Completed on work order #${workOrder.number}: ${workOrder.title}`;
+            openAlerts = workOrder.alerts.filter(alert => !alert.isResolved);
+            for (const alert of openAlerts) {
+                await maintenanceManager.resolveMaintenanceAlert(alert.id, resolution);
+            }
+
+            const serviceDate = completedAt.split('T')[0];
+            const inspector = workOrder.vendorName || null;
+            const notes = `Work order #${workOrder.number}: ${workOrder.title}`;
+
+            const [inspectionTypes, trailer] = await Promise.all([
+                inspectionTypeManager.getTypes(tenantId),
+                trailerManager.getTrailerById(workOrder.trailerId)
+            ]);
+
+            for (const type of workOrder.serviceTypes) {
+                if (type === MAINTENANCE_ALERT_TYPES.TIRE_STATUS) {
+                    await trailerManager.updateTrailerInfo(workOrder.trailerId, {
+                        tire_status: 'good',
+                        last_tire_service: serviceDate
+                    });
+                    servicesRecorded.push(type);
+                } else if (type.startsWith(MAINTENANCE_ALERT_TYPES.PM_PREFIX)) {
+                    const schedule = await pmScheduleManager.getScheduleByCode(tenantId, type.slice(MAINTENANCE_ALERT_TYPES.PM_PREFIX.length));
+                    if (!schedule || MaintenanceService.getPmMeterReading(schedule, trailer) === null) {
+                        servicesSkipped.push({ type, reason: schedule ? 'No meter reading on the trailer' : 'PM schedule not found' });
+                        continue;
+                    }
+                    await MaintenanceService.recordPmService(trailer, schedule, tenantId, {
+                        performedAt: completedAt,
+                        notes,
+                        createdBy: userId
+                    });
+                    servicesRecorded.push(type);
+                } else {
+                    const code = type.slice(0, -MAINTENANCE_ALERT_TYPES.INSPECTION_SUFFIX.length);
+                    const inspectionType = inspectionTypes.find(item => item.code === code);
+                    if (!inspectionType) {
+                        servicesSkipped.push({ type, reason: 'Inspection type not found' });
+                        continue;
+                    }
+                    await maintenanceManager.createInspection(workOrder.trailerId, {
+                        inspection_type: code,
+                        inspection_date: serviceDate,
+                        inspector,
+                        notes,
+                        created_by: userId
+                    });
+                    if (inspectionType.isBuiltIn) {
+                        // A cleared next due date is worked out again from the new last date
+                        await MaintenanceService.intelligentDateCalculation(workOrder.trailerId, {
+                            [`last_${code}_inspection`]: serviceDate,
+                            [`next_${code}_inspection_due`]: null
+                        }, tenantId);
+                    }
+                    servicesRecorded.push(type);
+                }
+            }
+
+            // The status is written last, once everything it stands for is done
+            await workOrderManager.updateWorkOrder(workOrder.id, {
+                status: WORK_ORDER_STATUS.COMPLETED,
+                startedAt: workOrder.startedAt || completedAt,
+                completedAt,
+                completedBy: userId
+            });
+            return true;
+        });
+        if (!completed) {
+            return null;
+        }
+
+        for (const skipped of servicesSkipped) {
+            logger.warn('Work order service not recorded', { workOrderId: workOrder.id, ...skipped });
+        }
+
+        await MaintenanceService.refreshTrailerAlerts(workOrder.trailerId, tenantId);
+
+        return { alertsResolved: openAlerts.length, servicesRecorded, servicesSkipped };
+    }
+}
+
+module.exports = new WorkOrderService();
@@ -0,0 +1,78 @@
+/**
+ * Generic Push Provider Tests
+ * Registry lookup, credential preparation and request signature verification
+ */
+
+const providerRegistry = require('../services/gps-providers');
+
+describe('Generic Push Provider', () => {
+    const provider = providerRegistry.getProvider('generic_push');
+    const GenericPushService = provider.constructor;
+    const secret = 'a'.repeat(64);
+    const body = JSON.stringify({ positions: [{ deviceId: '5312', latitude: 41.87, longitude: -87.62, timestamp: '2026-03-01T14:05:00Z' }] });
+
+    describe('Registry', () => {
+        test('should register built-in and push provider types', () => {
+            expect(providerRegistry.getRegisteredTypes()).toEqual(
+                expect.arrayContaining(['spireon', 'skybitz', 'samsara', 'generic_push'])
+            );
+            expect(GenericPushService.pushOnly).toBe(true);
+        });
+
+        test('should reject unknown provider types', () => {
+            expect(providerRegistry.isRegistered('unknown')).toBe(false);
+            expect(() => providerRegistry.getProvider('unknown')).toThrow('Unsupported GPS provider type');
+        });
+    });
+
+    describe('Credentials', () => {
+        test('should generate a signing secret when none exists', () => {
+            const credentials = GenericPushService.prepareCredentials({});
+            expect(credentials.signingSecret).toHaveLength(64);
+        });
+
+        test('should keep the existing secret unless rotation is requested', () => {
+            expect(GenericPushService.prepareCredentials({}, { signingSecret: secret }).signingSecret).toBe(secret);
+            expect(GenericPushService.prepareCredentials({ rotateSecret: true }, { signingSecret: secret }).signingSecret).not.toBe(secret);
+        });
+    });
+
+    describe('Signature Verification', () => {
+        test('should accept a correctly signed request', () => {
+            const timestamp = String(Date.now());
+            const signature = `sha256=${provider.sign(secret, timestamp, body)}`;
+
+            expect(provider.verifySignature(secret, timestamp, Buffer.from(body), signature).valid).toBe(true);
+        });
+
+        test('should reject a tampered body', () => {
+            const timestamp = String(Date.now());
+            const signature = `sha256=${provider.sign(secret, timestamp, body)}`;
+
+            const result = provider.verifySignature(secret, timestamp, Buffer.from(body.replace('5312', '9999')), signature);
+            expect(result.valid).toBe(false);
+            expect(result.error).toBe('Invalid signature');
+        });
+
+        test('should reject stale timestamps', () => {
+            const timestamp = String(Date.now() - 10 * 60 * 1000);
+            const signature = `sha256=${provider.sign(secret, timestamp, body)}`;
+
+            const result = provider.verifySignature(secret, timestamp, Buffer.from(body), signature);
+            expect(result.valid).toBe(false);
+        });
+    });
+
+    describe('Payload Processing', () => {
+        test('should convert valid positions and report invalid ones', () => {
+            const { trailers, rejected } = provider.processTrailerData([
+                { deviceId: '5312', latitude: 41.87, longitude: -87.62, timestamp: '2026-03-01T14:05:00Z', heading: 90 },
+                { deviceId: '5313', latitude: 141, longitude: -87.62, timestamp: '2026-03-01T14:05:00Z' }
+            ]);
+
+            expect(trailers).toHaveLength(1);
+            expect(trailers[0]).toMatchObject({ deviceId: '5312', last_latitude: 41.87, last_longitude: -87.62, heading: 90 });
+            expect(rejected).toEqual([expect.objectContaining({ index: 1 })]);
+        });
+    });
+});
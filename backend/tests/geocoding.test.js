@@ -0,0 +1,80 @@
+/**
+ * Geocoding Tests
+ * Backend chain selection and the offline gazetteer
+ */
+
+const geocoderRegistry = require('../services/geocoders');
+const geocodingService = require('../services/geocoding');
+
+describe('Geocoding', () => {
+    const offline = geocoderRegistry.getGeocoder('offline');
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        // Exercise the backends directly, without the persistent cache
+        process.env.GEOCODE_CACHE_ENABLED = 'false';
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    describe('Offline Gazetteer', () => {
+        test('should resolve coordinates inside a city to that city', async () => {
+            const result = await offline.reverseGeocode(41.8781, -87.6298);
+
+            expect(result.formatted_address).toBe('Chicago, IL, USA');
+            expect(geocodingService.extractSimpleAddress(result.components, null)).toBe('Chicago, IL');
+        });
+
+        test('should describe positions away from a city by distance and direction', async () => {
+            const result = await offline.reverseGeocode(39.9, -101.5);
+
+            expect(result.formatted_address).toMatch(/^\d+ km [NESW]{1,2} of .+, (KS|NE|CO), USA$/);
+        });
+
+        test('should resolve Canadian provinces', async () => {
+            const result = await offline.reverseGeocode(43.65, -79.38);
+
+            expect(result.formatted_address).toBe('Toronto, ON, Canada');
+        });
+
+        test('should not resolve positions far from every bundled place', async () => {
+            await expect(offline.reverseGeocode(30, -40)).rejects.toThrow('No bundled place');
+        });
+
+        test('should geocode city and state addresses', async () => {
+            const result = await offline.geocodeAddress('Springfield, MO');
+
+            expect(result).toMatchObject({ lat: 37.21, lng: -93.29 });
+        });
+    });
+
+    describe('Backend Chain', () => {
+        test('should skip unconfigured backends', async () => {
+            delete process.env.GOOGLE_MAPS_API_KEY;
+            process.env.GEOCODER_BACKENDS = 'google,offline';
+
+            const result = await geocodingService.reverseGeocode(32.7767, -96.797);
+
+            expect(result.source).toBe('offline');
+            expect(result.formatted_address).toBe('Dallas, TX, USA');
+        });
+
+        test('should skip backends cooling down after a quota error', async () => {
+            process.env.GEOCODER_BACKENDS = 'offline';
+            offline.markUnavailable(60 * 1000);
+
+            const result = await geocodingService.reverseGeocode(32.7767, -96.797);
+
+            expect(result.source).toBe('fallback');
+            offline.markUnavailable(0);
+        });
+
+        test('should ignore unknown backend types', () => {
+            process.env.GEOCODER_BACKENDS = 'unknown,offline';
+
+            expect(geocodingService.getBackends().map(backend => backend.constructor.type)).toEqual(['offline']);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Geofence Tests
+ * Arrival and departure transitions and dwell/detention thresholds
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow, createTestTrailer } = require('./helpers/test-database');
+const { geofenceManager } = require('../database/database-manager');
+
+const TENANT = 'tenant_geofence';
+const HOUR = 60 * 60 * 1000;
+
+// A 500 m circle in downtown Chicago
+const yard = {
+    id: 'location_yard',
+    name: 'Chicago Yard',
+    type: 'yard',
+    lat: 41.8781,
+    lng: -87.6298,
+    tenant_id: TENANT,
+    created_by: 'test_user',
+    geofence_type: 'circle',
+    geofence_radius_m: 500
+};
+const inside = { latitude: 41.8785, longitude: -87.6295 };
+const outside = { latitude: 41.9500, longitude: -87.6298 };
+
+describe('Geofences', () => {
+    let trailer;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+        await insertRow('trailer_custom_locations', yard);
+        trailer = await createTestTrailer({ id: 'trailer_geofence', tenant_id: TENANT, company_id: 'company_geofence' });
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    describe('Arrivals and Departures', () => {
+        test('should record an arrival when a trailer enters a geofence', async () => {
+            const events = await geofenceManager.evaluatePosition(trailer, { ...inside, occurredAt: '2026-03-01T08:00:00Z' });
+
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({ eventType: 'arrival', locationId: yard.id, occurredAt: '2026-03-01T08:00:00.000Z' });
+        });
+
+        test('should not record another arrival while the trailer stays inside', async () => {
+            const events = await geofenceManager.evaluatePosition(trailer, { ...inside, occurredAt: '2026-03-01T09:00:00Z' });
+
+            expect(events).toHaveLength(0);
+            expect(await geofenceManager.getOpenArrivals(trailer.id)).toHaveLength(1);
+        });
+
+        test('should record a departure with the dwell since arrival when the trailer leaves', async () => {
+            const [arrival] = await geofenceManager.getOpenArrivals(trailer.id);
+            const events = await geofenceManager.evaluatePosition(trailer, { ...outside, occurredAt: '2026-03-01T10:30:00Z' });
+
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({ eventType: 'departure', arrivalEventId: arrival.id, dwellSeconds: 2.5 * 60 * 60 });
+            expect(await geofenceManager.getOpenArrivals(trailer.id)).toHaveLength(0);
+        });
+
+        test('should not record anything for a position outside every geofence', async () => {
+            const events = await geofenceManager.evaluatePosition(trailer, { ...outside, occurredAt: '2026-03-01T11:00:00Z' });
+
+            expect(events).toHaveLength(0);
+        });
+
+        test('should ignore trailers without a tenant', async () => {
+            const events = await geofenceManager.evaluatePosition({ id: trailer.id }, { ...inside, occurredAt: '2026-03-01T12:00:00Z' });
+
+            expect(events).toHaveLength(0);
+        });
+    });
+
+    describe('Dwell and Detention', () => {
+        const arriveHoursAgo = async (trailerRow, hours) => {
+            await geofenceManager.evaluatePosition(trailerRow, { ...inside, occurredAt: new Date(Date.now() - hours * HOUR).toISOString() });
+        };
+
+        test('should report a completed visit with the dwell of its departure', async () => {
+            const result = await geofenceManager.getDwell(TENANT, { status: 'completed', trailerId: trailer.id });
+
+            expect(result.data).toHaveLength(1);
+            expect(result.data[0]).toMatchObject({ dwellMinutes: 150, thresholdMinutes: 120, thresholdSource: 'default', inDetention: true, detentionMinutes: 30 });
+        });
+
+        test('should hold a current visit within the default threshold out of detention', async () => {
+            await arriveHoursAgo(trailer, 1);
+            const result = await geofenceManager.getDwell(TENANT, { trailerId: trailer.id });
+
+            expect(result.data).toHaveLength(1);
+            expect(result.data[0]).toMatchObject({ inDetention: false, detentionMinutes: 0 });
+            expect(result.summary).toMatchObject({ status: 'current', visits: 1, inDetention: 0 });
+        });
+
+        test('should put a current visit past the threshold in detention', async () => {
+            const late = await createTestTrailer({ id: 'trailer_late', tenant_id: TENANT, company_id: 'company_geofence' });
+            await arriveHoursAgo(late, 3);
+
+            const result = await geofenceManager.getDwell(TENANT, { detentionOnly: true });
+
+            expect(result.data.map(visit => visit.trailerId)).toEqual([late.id]);
+            expect(result.data[0].detentionMinutes).toBeGreaterThanOrEqual(59);
+            expect(result.summary.inDetention).toBe(1);
+        });
+
+        test('should take a customer threshold over the default', async () => {
+            await insertRow('trailer_custom_companies', {
+                id: 'customer_patient', name: 'Patient Customer', tenant_id: TENANT, created_by_user_id: 'test_user', detention_threshold_minutes: 240
+            });
+            const customerTrailer = await createTestTrailer({ id: 'trailer_customer', tenant_id: TENANT, company_id: 'customer_patient' });
+            await arriveHoursAgo(customerTrailer, 3);
+
+            const [visit] = (await geofenceManager.getDwell(TENANT, { trailerId: 'trailer_customer' })).data;
+
+            expect(visit).toMatchObject({ thresholdMinutes: 240, thresholdSource: 'customer', inDetention: false });
+        });
+
+        test('should take the location threshold over the customer and default', async () => {
+            await geofenceManager.executeSingle('UPDATE trailer_custom_locations SET detention_threshold_minutes = 30 WHERE id = ?', [yard.id]);
+
+            const result = await geofenceManager.getDwell(TENANT, { detentionOnly: true });
+
+            expect(result.data.every(visit => visit.thresholdSource === 'location' && visit.thresholdMinutes === 30)).toBe(true);
+            expect(result.data.map(visit => visit.trailerId).sort()).toEqual([trailer.id, 'trailer_customer', 'trailer_late'].sort());
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Test Database
+ * Runs the migrations on a throwaway SQLite database, so manager and service tests work against the real schema.
+ * Require this before anything that opens the database. Foreign keys are off so tests only seed the rows they use.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fleet-test-'));
+process.env.RAILWAY_PERSISTENT_DIR = DB_DIR;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+process.env.GEOCODER_BACKENDS = 'offline';
+
+const { initializeDatabase, closeDatabaseConnection } = require('../../database/database-initializer');
+const { trailerManager } = require('../../database/database-manager');
+
+/**
+ * Create the schema
+ */
+async function setupTestDatabase() {
+    await initializeDatabase();
+    await trailerManager.executeSingle('PRAGMA foreign_keys = OFF');
+}
+
+/**
+ * Close the database and remove its files
+ */
+async function teardownTestDatabase() {
+    await closeDatabaseConnection();
+    fs.rmSync(DB_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Insert a row
+ * @param {string} table - Table name
+ * @param {Object} row - Column values
+ */
+async function insertRow(table, row) {
+    const columns = Object.keys(row);
+    await trailerManager.executeSingle(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        Object.values(row)
+    );
+}
+
+/**
+ * Insert a company and a trailer in it
+ * @param {Object} trailer - persistent_trailers columns, with id, tenant_id and company_id required
+ * @returns {Promise<Object>} The trailer row (camelCase)
+ */
+async function createTestTrailer(trailer) {
+    const company = await trailerManager.execute('SELECT id FROM companies WHERE id = ?', [trailer.company_id], { first: true });
+    if (!company) {
+        await insertRow('companies', { id: trailer.company_id, name: trailer.company_id, tenant_id: trailer.tenant_id, user_id: 'test_user' });
+    }
+    await insertRow('persistent_trailers', { unit_number: trailer.id, ...trailer });
+    return trailerManager.getTrailerById(trailer.id);
+}
+
+module.exports = {
+    setupTestDatabase,
+    teardownTestDatabase,
+    insertRow,
+    createTestTrailer
+};
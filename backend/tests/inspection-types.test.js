@@ -0,0 +1,51 @@
+/**
+ * Inspection Type Tests
+ * Seeding a tenant's built-in inspection types, including after their rows have been removed
+ */
+
+const { setupTestDatabase, teardownTestDatabase } = require('./helpers/test-database');
+const { inspectionTypeManager } = require('../database/database-manager');
+const { BUILT_IN_INSPECTION_TYPES } = require('../utils/constants');
+
+const TENANT = 'tenant_inspection_types';
+
+describe('Inspection Types', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    const getBuiltInCodes = async () => (await inspectionTypeManager.getTypes(TENANT))
+        .filter(type => type.isBuiltIn)
+        .map(type => type.code)
+        .sort();
+    const builtInCodes = BUILT_IN_INSPECTION_TYPES.map(type => type.code).sort();
+
+    describe('Built-in Types', () => {
+        test('should create the built-in types once however often they are listed', async () => {
+            await getBuiltInCodes();
+
+            expect(await getBuiltInCodes()).toEqual(builtInCodes);
+        });
+
+        test('should create them again after the tenant\'s rows are removed', async () => {
+            await inspectionTypeManager.executeSingle('DELETE FROM inspection_types WHERE tenant_id = ?', [TENANT]);
+
+            expect(await getBuiltInCodes()).toEqual(builtInCodes);
+        });
+
+        test('should create them again after a transaction that seeded them rolls back', async () => {
+            await inspectionTypeManager.executeSingle('DELETE FROM inspection_types WHERE tenant_id = ?', [TENANT]);
+
+            await expect(inspectionTypeManager.transact(async () => {
+                await inspectionTypeManager.ensureBuiltInTypes(TENANT);
+                throw new Error('Step failed');
+            })).rejects.toThrow('Step failed');
+
+            expect(await getBuiltInCodes()).toEqual(builtInCodes);
+        });
+    });
+});
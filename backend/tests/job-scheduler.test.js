@@ -0,0 +1,125 @@
+/**
+ * Job Scheduler Tests
+ * Quiet hours, including windows that wrap past midnight, catching up runs missed while the server was down,
+ * and which providers a location refresh schedule covers
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow } = require('./helpers/test-database');
+const { syncScheduleManager } = require('../database/database-manager');
+const jobScheduler = require('../services/job-scheduler');
+const { SYNC_JOB_TYPES } = require('../utils/constants');
+
+const TENANT = 'tenant_scheduler';
+const MINUTE = 60 * 1000;
+
+describe('Job Scheduler', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    describe('Quiet Hours', () => {
+        const overnight = { quietHoursStart: '22:00', quietHoursEnd: '06:00', timezone: 'UTC' };
+        const at = (time) => new Date(`2026-03-01T${time}:00Z`);
+
+        test('should count down to the end of quiet hours that wrap past midnight', () => {
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('22:00'))).toBe(480);
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('23:30'))).toBe(390);
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('00:00'))).toBe(360);
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('05:59'))).toBe(1);
+        });
+
+        test('should be outside quiet hours that wrap past midnight during the day', () => {
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('06:00'))).toBe(0);
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('12:00'))).toBe(0);
+            expect(jobScheduler.getQuietMinutesRemaining(overnight, at('21:59'))).toBe(0);
+        });
+
+        test('should read quiet hours in the schedule timezone', () => {
+            const chicago = { ...overnight, timezone: 'America/Chicago' };
+
+            // 04:30 UTC is 22:30 in Chicago (CST), 03:00 UTC is 21:00
+            expect(jobScheduler.getQuietMinutesRemaining(chicago, at('04:30'))).toBe(450);
+            expect(jobScheduler.getQuietMinutesRemaining(chicago, at('03:00'))).toBe(0);
+        });
+
+        test('should handle quiet hours within a day', () => {
+            const office = { quietHoursStart: '09:00', quietHoursEnd: '17:00', timezone: 'UTC' };
+
+            expect(jobScheduler.getQuietMinutesRemaining(office, at('08:59'))).toBe(0);
+            expect(jobScheduler.getQuietMinutesRemaining(office, at('09:00'))).toBe(480);
+            expect(jobScheduler.getQuietMinutesRemaining(office, at('17:00'))).toBe(0);
+        });
+
+        test('should never be quiet without both ends set', () => {
+            expect(jobScheduler.getQuietMinutesRemaining({ quietHoursStart: '22:00', timezone: 'UTC' }, at('23:00'))).toBe(0);
+            expect(jobScheduler.getQuietMinutesRemaining({ timezone: 'UTC' }, at('23:00'))).toBe(0);
+        });
+
+        test('should defer a due schedule to the end of its quiet hours instead of running it', async () => {
+            // Quiet from an hour ago to an hour from now, wrapping past midnight when now is close to it
+            const time = (offset) => new Date(Date.now() + offset).toISOString().slice(11, 16);
+            const schedule = await syncScheduleManager.createSchedule('tenant_quiet', null, SYNC_JOB_TYPES.MAINTENANCE, {
+                intervalMinutes: 60, quietHoursStart: time(-60 * MINUTE), quietHoursEnd: time(60 * MINUTE)
+            });
+
+            await jobScheduler.runDueSchedule(schedule);
+
+            const deferred = await syncScheduleManager.getSchedule(schedule.id, 'tenant_quiet');
+            expect(Math.abs(Date.parse(deferred.nextRunAt) - (Date.now() + 60 * MINUTE))).toBeLessThan(2 * MINUTE);
+            expect((await syncScheduleManager.getRuns({ scheduleId: schedule.id })).data).toHaveLength(0);
+        });
+    });
+
+    describe('Catch-up', () => {
+        test('should run a schedule missed during downtime once, then wait a full interval', async () => {
+            const schedule = await syncScheduleManager.createSchedule(TENANT, null, SYNC_JOB_TYPES.MAINTENANCE, { intervalMinutes: 60 });
+            // Three days of hourly runs missed before this process started
+            await syncScheduleManager.deferSchedule(schedule.id, new Date(Date.now() - 3 * 24 * 60 * MINUTE).toISOString());
+            jobScheduler.startedAt = new Date().toISOString();
+
+            await jobScheduler.tick();
+            await jobScheduler.tick();
+
+            const runs = (await syncScheduleManager.getRuns({ scheduleId: schedule.id })).data;
+            expect(runs).toHaveLength(1);
+            expect(runs[0]).toMatchObject({ triggerType: 'catch_up', status: 'success' });
+
+            const next = await syncScheduleManager.getSchedule(schedule.id, TENANT);
+            expect(Math.abs(Date.parse(next.nextRunAt) - (Date.now() + 60 * MINUTE))).toBeLessThan(2 * MINUTE);
+        });
+
+        test('should mark a schedule that comes due after startup as scheduled', async () => {
+            const schedule = await syncScheduleManager.createSchedule('tenant_live', null, SYNC_JOB_TYPES.MAINTENANCE, { intervalMinutes: 60 });
+            jobScheduler.startedAt = new Date(Date.now() - 120 * MINUTE).toISOString();
+            await syncScheduleManager.deferSchedule(schedule.id, new Date(Date.now() - MINUTE).toISOString());
+
+            await jobScheduler.tick();
+
+            const runs = (await syncScheduleManager.getRuns({ scheduleId: schedule.id })).data;
+            expect(runs).toHaveLength(1);
+            expect(runs[0].triggerType).toBe('scheduled');
+        });
+    });
+
+    describe('Schedule Providers', () => {
+        test('should cover every polled provider in the tenant without its own schedule, however many there are', async () => {
+            const tenant = 'tenant_providers';
+            for (let i = 0; i < 510; i++) {
+                await insertRow('gps_providers', { id: `provider_${i}`, name: `Provider ${i}`, type: 'samsara', company_id: 'company_providers', tenant_id: tenant });
+            }
+            await insertRow('gps_providers', { id: 'provider_push', name: 'Push', type: 'generic_push', company_id: 'company_providers', tenant_id: tenant });
+            await syncScheduleManager.createSchedule(tenant, 'provider_0', SYNC_JOB_TYPES.LOCATION_REFRESH, { intervalMinutes: 60 });
+
+            const providers = await jobScheduler.getScheduleProviders({ tenantId: tenant, providerId: null, jobType: SYNC_JOB_TYPES.LOCATION_REFRESH });
+
+            expect(providers).toHaveLength(509);
+            expect(providers.map(provider => provider.id)).not.toContain('provider_0');
+            expect(providers.map(provider => provider.id)).not.toContain('provider_push');
+            expect(providers[0].credentials_encrypted).toBeDefined();
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Location Precedence Tests
+ * Which of a manual location and GPS positions from several providers a trailer keeps
+ */
+
+const TrailerManager = require('../database/managers/trailer-manager');
+
+describe('Location Precedence', () => {
+    // shouldUpdateLocation only compares the trailer with the update and never queries
+    const trailerManager = new TrailerManager({});
+    const HOUR = 60 * 60 * 1000;
+    const MINUTE = 60 * 1000;
+    const at = (offset) => new Date(Date.now() + offset).toISOString();
+
+    const rules = {
+        manualExpiryHours: 24,
+        gpsOverrideMiles: 10,
+        providerPriority: ['provider_primary', 'provider_backup'],
+        priorityFallbackMinutes: 30
+    };
+
+    // Chicago, and positions about 1 and 20 miles north of it
+    const chicago = { lastLatitude: 41.8781, lastLongitude: -87.6298 };
+    const nearby = { latitude: 41.8926, longitude: -87.6298 };
+    const farAway = { latitude: 42.1681, longitude: -87.6298 };
+
+    const gpsTrailer = (providerId, updatedAt) => ({
+        ...chicago, locationSource: 'gps', locationProviderId: providerId, locationUpdatedAt: updatedAt
+    });
+    const manualTrailer = (updatedAt) => ({ ...chicago, locationSource: 'manual', locationUpdatedAt: updatedAt });
+    const gpsUpdate = (providerId, occurredAtUTC, position = nearby) => ({ source: 'gps', providerId, occurredAtUTC, ...position });
+
+    describe('Manual Locations', () => {
+        test('should always apply a manual location, even one older than the current position', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_primary', at(0)),
+                { source: 'manual', occurredAtUTC: at(-HOUR), ...nearby },
+                rules
+            );
+
+            expect(result).toEqual({ allowed: true });
+        });
+
+        test('should keep a manual location against newer GPS when the tenant has no rules', () => {
+            const result = trailerManager.shouldUpdateLocation(manualTrailer(at(-48 * HOUR)), gpsUpdate('provider_primary', at(0), farAway), null);
+
+            expect(result).toEqual({ allowed: false, reason: 'manual location in effect' });
+        });
+
+        test('should keep a manual location against nearby GPS before it expires', () => {
+            const result = trailerManager.shouldUpdateLocation(manualTrailer(at(-23 * HOUR)), gpsUpdate('provider_primary', at(0)), rules);
+
+            expect(result).toEqual({ allowed: false, reason: 'manual location in effect' });
+        });
+
+        test('should let GPS replace a manual location once it expires', () => {
+            const result = trailerManager.shouldUpdateLocation(manualTrailer(at(-25 * HOUR)), gpsUpdate('provider_primary', at(0)), rules);
+
+            expect(result).toEqual({ allowed: true, reason: 'manual location expired after 24h' });
+        });
+
+        test('should let GPS replace a manual location when it is farther away than the override distance', () => {
+            const result = trailerManager.shouldUpdateLocation(manualTrailer(at(-HOUR)), gpsUpdate('provider_primary', at(0), farAway), rules);
+
+            expect(result.allowed).toBe(true);
+            expect(result.reason).toMatch(/^GPS 20\.\d mi from the manual location$/);
+        });
+
+        test('should skip GPS older than the manual location', () => {
+            const result = trailerManager.shouldUpdateLocation(manualTrailer(at(-HOUR)), gpsUpdate('provider_primary', at(-2 * HOUR), farAway), rules);
+
+            expect(result).toEqual({ allowed: false, reason: 'older than the manual location' });
+        });
+    });
+
+    describe('Stale GPS', () => {
+        test('should skip a GPS position older than the current one', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_primary', at(-HOUR)),
+                gpsUpdate('provider_primary', at(-2 * HOUR)),
+                rules
+            );
+
+            expect(result).toEqual({ allowed: false, reason: 'older than the current location' });
+        });
+
+        test('should skip a GPS position from the same moment as the current one', () => {
+            const time = at(-HOUR);
+
+            expect(trailerManager.shouldUpdateLocation(gpsTrailer('provider_primary', time), gpsUpdate('provider_primary', time), rules).allowed).toBe(false);
+        });
+
+        test('should apply GPS when either time is missing', () => {
+            const result = trailerManager.shouldUpdateLocation(gpsTrailer('provider_primary', null), gpsUpdate('provider_primary', at(-HOUR)), rules);
+
+            expect(result).toEqual({ allowed: true });
+        });
+    });
+
+    describe('Provider Priority', () => {
+        test('should hold a higher-priority position against a lower-priority provider within the fallback window', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_primary', at(-20 * MINUTE)),
+                gpsUpdate('provider_backup', at(-10 * MINUTE)),
+                rules
+            );
+
+            expect(result).toEqual({ allowed: false, reason: 'a higher-priority provider reported recently' });
+        });
+
+        test('should fall back to a lower-priority provider once the fallback window has passed', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_primary', at(-2 * HOUR)),
+                gpsUpdate('provider_backup', at(-HOUR)),
+                rules
+            );
+
+            expect(result).toEqual({ allowed: true });
+        });
+
+        test('should let a higher-priority provider replace a lower-priority one at once', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_backup', at(-2 * MINUTE)),
+                gpsUpdate('provider_primary', at(-MINUTE)),
+                rules
+            );
+
+            expect(result).toEqual({ allowed: true });
+        });
+
+        test('should rank unlisted providers after every listed one', () => {
+            const held = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_backup', at(-2 * MINUTE)),
+                gpsUpdate('provider_unlisted', at(-MINUTE)),
+                rules
+            );
+            const replaced = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_unlisted', at(-2 * MINUTE)),
+                gpsUpdate('provider_backup', at(-MINUTE)),
+                rules
+            );
+
+            expect(held.allowed).toBe(false);
+            expect(replaced.allowed).toBe(true);
+        });
+
+        test('should always apply newer positions from the same provider', () => {
+            const result = trailerManager.shouldUpdateLocation(
+                gpsTrailer('provider_backup', at(-2 * MINUTE)),
+                gpsUpdate('provider_backup', at(-MINUTE)),
+                rules
+            );
+
+            expect(result).toEqual({ allowed: true });
+        });
+    });
+});
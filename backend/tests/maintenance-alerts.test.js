@@ -0,0 +1,140 @@
+/**
+ * Maintenance Alert Tests
+ * Keeping a trailer's stored alerts in step with the alert rules: one open alert per rule, resolved once
+ * the rule stops firing, and alerts raised outside the rules left alone
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow, createTestTrailer } = require('./helpers/test-database');
+const { maintenanceManager, inspectionTypeManager } = require('../database/database-manager');
+const MaintenanceService = require('../services/maintenance');
+
+const TENANT = 'tenant_alerts';
+const COMPANY = 'company_alerts';
+
+describe('Maintenance Alerts', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    const getAlerts = (trailerId) => maintenanceManager.execute(
+        'SELECT id, type, severity, is_resolved, resolution_notes FROM maintenance_alerts WHERE trailer_id = ? ORDER BY created_at, id',
+        [trailerId]
+    );
+    const checkTrailer = (trailerId) => MaintenanceService.checkTenantAlerts(TENANT, { trailerId });
+    const setTireStatus = (trailerId, tireStatus) => maintenanceManager.executeSingle(
+        'UPDATE persistent_trailers SET tire_status = ? WHERE id = ?',
+        [tireStatus, trailerId]
+    );
+
+    describe('Repeated Evaluation', () => {
+        test('should raise one alert per rule however often the trailer is checked', async () => {
+            await createTestTrailer({ id: 'trailer_repeat', tenant_id: TENANT, company_id: COMPANY, tire_status: 'poor' });
+
+            expect(await checkTrailer('trailer_repeat')).toMatchObject({ alertsCreated: 1, alertsUpdated: 0, alertsResolved: 0 });
+            expect(await checkTrailer('trailer_repeat')).toMatchObject({ alertsCreated: 0, alertsUpdated: 0, alertsResolved: 0 });
+
+            const alerts = await getAlerts('trailer_repeat');
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ type: 'tire_status', severity: 'critical', is_resolved: 0 });
+        });
+
+        test('should update the open alert when its severity changes instead of raising another', async () => {
+            await setTireStatus('trailer_repeat', 'fair');
+
+            expect(await checkTrailer('trailer_repeat')).toMatchObject({ alertsCreated: 0, alertsUpdated: 1, alertsResolved: 0 });
+
+            const alerts = await getAlerts('trailer_repeat');
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ severity: 'warning', is_resolved: 0 });
+        });
+
+        test('should keep the oldest open alert of a rule and resolve its duplicates', async () => {
+            await createTestTrailer({ id: 'trailer_duplicate', tenant_id: TENANT, company_id: COMPANY, tire_status: 'poor' });
+            for (const id of ['alert_duplicate_1', 'alert_duplicate_2']) {
+                await insertRow('maintenance_alerts', {
+                    id, trailer_id: 'trailer_duplicate', type: 'tire_status', severity: 'critical',
+                    title: 'Tire Status Alert', description: 'Tires need immediate attention', created_at: '2026-03-01T00:00:00.000Z'
+                });
+            }
+
+            expect(await checkTrailer('trailer_duplicate')).toMatchObject({ alertsCreated: 0, alertsResolved: 1 });
+
+            const alerts = await getAlerts('trailer_duplicate');
+            expect(alerts.map(alert => [alert.id, alert.is_resolved])).toEqual([['alert_duplicate_1', 0], ['alert_duplicate_2', 1]]);
+            expect(alerts[1].resolution_notes).toBe('Duplicate of an open alert');
+        });
+    });
+
+    describe('Auto-resolve', () => {
+        test('should resolve the open alert once the rule no longer fires', async () => {
+            await setTireStatus('trailer_repeat', 'good');
+
+            expect(await checkTrailer('trailer_repeat')).toMatchObject({ alertsCreated: 0, alertsResolved: 1 });
+
+            const alerts = await getAlerts('trailer_repeat');
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ is_resolved: 1, resolution_notes: 'Tire status no longer needs attention' });
+        });
+
+        test('should resolve an overdue inspection alert once the inspection is recorded', async () => {
+            await createTestTrailer({ id: 'trailer_inspection', tenant_id: TENANT, company_id: COMPANY, next_annual_inspection_due: '2020-01-01' });
+            await checkTrailer('trailer_inspection');
+            expect((await getAlerts('trailer_inspection')).map(alert => alert.type)).toEqual(['annual_inspection']);
+
+            const today = new Date().toISOString().split('T')[0];
+            await maintenanceManager.executeSingle(
+                'UPDATE persistent_trailers SET last_annual_inspection = ?, next_annual_inspection_due = NULL WHERE id = ?',
+                [today, 'trailer_inspection']
+            );
+
+            expect(await checkTrailer('trailer_inspection')).toMatchObject({ alertsResolved: 1 });
+            expect((await getAlerts('trailer_inspection'))[0]).toMatchObject({ is_resolved: 1, resolution_notes: 'Inspection no longer due' });
+        });
+    });
+
+    describe('Tenant Check', () => {
+        test('should read the inspections of all checked trailers in one query', async () => {
+            const company = 'company_alerts_batch';
+            await createTestTrailer({ id: 'trailer_batch_overdue', tenant_id: TENANT, company_id: company });
+            await createTestTrailer({ id: 'trailer_batch_current', tenant_id: TENANT, company_id: company });
+            await insertRow('trailer_inspections', {
+                id: 'inspection_batch_overdue', trailer_id: 'trailer_batch_overdue', inspection_type: 'annual', inspection_date: '2020-01-01'
+            });
+            await insertRow('trailer_inspections', {
+                id: 'inspection_batch_current', trailer_id: 'trailer_batch_current', inspection_type: 'annual',
+                inspection_date: new Date().toISOString().split('T')[0]
+            });
+            const perTrailer = jest.spyOn(inspectionTypeManager, 'getTrailerInspectionRecords');
+            const batch = jest.spyOn(inspectionTypeManager, 'getInspectionRecordsForTrailers');
+
+            expect(await MaintenanceService.checkTenantAlerts(TENANT, { companyId: company })).toMatchObject({ trailersChecked: 2, alertsCreated: 1 });
+
+            expect(perTrailer).not.toHaveBeenCalled();
+            expect(batch).toHaveBeenCalledTimes(1);
+            expect((await getAlerts('trailer_batch_overdue')).map(alert => alert.type)).toEqual(['annual_inspection']);
+            expect(await getAlerts('trailer_batch_current')).toHaveLength(0);
+            perTrailer.mockRestore();
+            batch.mockRestore();
+        });
+    });
+
+    describe('Other Alert Types', () => {
+        test('should leave open alerts that no rule raises', async () => {
+            await createTestTrailer({ id: 'trailer_manual', tenant_id: TENANT, company_id: COMPANY });
+            for (const id of ['alert_manual_1', 'alert_manual_2']) {
+                await insertRow('maintenance_alerts', {
+                    id, trailer_id: 'trailer_manual', type: 'door_damage', severity: 'warning', title: 'Door damage', description: 'Reported by driver'
+                });
+            }
+
+            expect(await checkTrailer('trailer_manual')).toMatchObject({ alertsCreated: 0, alertsUpdated: 0, alertsResolved: 0 });
+
+            const alerts = await getAlerts('trailer_manual');
+            expect(alerts.map(alert => [alert.id, alert.is_resolved])).toEqual([['alert_manual_1', 0], ['alert_manual_2', 0]]);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Maintenance Cost Tests
+ * Per-trailer and per-month costs from completed work orders, which trailers are counted, and the
+ * period the cost endpoints accept
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow, createTestTrailer } = require('./helpers/test-database');
+const MaintenanceCostService = require('../services/maintenance-costs');
+const statsRouter = require('../routes/stats');
+
+const TENANT = 'tenant_costs';
+const COMPANY = 'company_costs';
+const PERIOD = { from: '2026-01', to: '2026-03' };
+
+/**
+ * Call a GET route of the stats router past its auth middleware
+ * @returns {Promise<Object>} { status, body }
+ */
+const callRoute = (path, query) => new Promise((resolve, reject) => {
+    const layer = statsRouter.stack.find(item => item.route && item.route.path === path && item.route.methods.get);
+    const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        }
+    };
+    handler({ query, user: { tenantId: TENANT } }, res, reject);
+});
+
+describe('Maintenance Costs', () => {
+    let number = 0;
+    const addWorkOrder = async (trailerId, { status = 'completed', completedAt, lines }) => {
+        const id = `work_order_${++number}`;
+        await insertRow('work_orders', {
+            id, tenant_id: TENANT, number, trailer_id: trailerId, title: `Work order ${number}`, status, completed_at: completedAt || null
+        });
+        for (const [index, [lineType, quantity, unitCost]] of lines.entries()) {
+            await insertRow('work_order_line_items', {
+                id: `${id}_line_${index}`, work_order_id: id, line_type: lineType, description: lineType, quantity, unit_cost: unitCost
+            });
+        }
+    };
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+
+        await createTestTrailer({ id: 'trailer_costs_a', tenant_id: TENANT, company_id: COMPANY, odometer_miles: 10000 });
+        await addWorkOrder('trailer_costs_a', { completedAt: '2026-01-15T10:00:00.000Z', lines: [['part', 2, 50], ['labor', 1.5, 80]] });
+        await addWorkOrder('trailer_costs_a', { completedAt: '2026-03-02T10:00:00.000Z', lines: [['part', 1, 40], ['labor', 1, 60]] });
+        await addWorkOrder('trailer_costs_a', { completedAt: '2025-06-01T10:00:00.000Z', lines: [['part', 1, 500]] });
+        await addWorkOrder('trailer_costs_a', { status: 'in_progress', lines: [['part', 1, 999]] });
+
+        await createTestTrailer({ id: 'trailer_costs_b', tenant_id: TENANT, company_id: COMPANY });
+        await addWorkOrder('trailer_costs_b', { completedAt: '2026-03-20T10:00:00.000Z', lines: [['labor', 2, 100]] });
+
+        await createTestTrailer({ id: 'trailer_costs_idle', tenant_id: TENANT, company_id: COMPANY });
+
+        await createTestTrailer({ id: 'trailer_costs_merged', tenant_id: TENANT, company_id: COMPANY, merged_into_id: 'trailer_costs_a' });
+        await addWorkOrder('trailer_costs_merged', { completedAt: '2026-02-10T10:00:00.000Z', lines: [['part', 1, 300]] });
+
+        await createTestTrailer({ id: 'trailer_costs_archived', tenant_id: TENANT, company_id: COMPANY, archived_at: '2026-02-20T00:00:00.000Z' });
+        await addWorkOrder('trailer_costs_archived', { completedAt: '2026-02-11T10:00:00.000Z', lines: [['part', 1, 400]] });
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    describe('Report', () => {
+        test('should total each trailer\'s completed work orders within the period and over its lifetime', async () => {
+            const report = await MaintenanceCostService.getReport(TENANT, PERIOD);
+
+            expect(report.trailers.map(trailer => trailer.trailerId)).toEqual(['trailer_costs_a', 'trailer_costs_b']);
+            expect(report.trailers[0]).toMatchObject({
+                workOrders: 2, partsCost: 140, laborCost: 180, totalCost: 320, lifetimeWorkOrders: 3, lifetimeCost: 820,
+                miles: 10000, costPerMile: 0.082
+            });
+            expect(report.trailers[1]).toMatchObject({
+                workOrders: 1, partsCost: 0, laborCost: 200, totalCost: 200, lifetimeWorkOrders: 1, lifetimeCost: 200, costPerMile: null
+            });
+        });
+
+        test('should total each month of the period, including months without work orders', async () => {
+            const report = await MaintenanceCostService.getReport(TENANT, PERIOD);
+
+            expect(report.period).toEqual(PERIOD);
+            expect(report.monthly).toEqual([
+                { month: '2026-01', workOrders: 1, partsCost: 100, laborCost: 120, totalCost: 220 },
+                { month: '2026-02', workOrders: 0, partsCost: 0, laborCost: 0, totalCost: 0 },
+                { month: '2026-03', workOrders: 2, partsCost: 40, laborCost: 260, totalCost: 300 }
+            ]);
+        });
+
+        test('should count trailers without a completed work order in the totals without listing them', async () => {
+            const report = await MaintenanceCostService.getReport(TENANT, PERIOD);
+
+            expect(report.trailers.map(trailer => trailer.trailerId)).not.toContain('trailer_costs_idle');
+            expect(report.totals).toMatchObject({ trailers: 3, workOrders: 3, partsCost: 140, laborCost: 380, totalCost: 520, lifetimeCost: 1020 });
+            expect(report.companies).toEqual([expect.objectContaining({ companyId: COMPANY, trailers: 3, totalCost: 520 })]);
+        });
+
+        test('should report nothing for a trailer with no completed work orders', async () => {
+            const report = await MaintenanceCostService.getReport(TENANT, { ...PERIOD, trailerId: 'trailer_costs_idle' });
+
+            expect(report.trailers).toEqual([]);
+            expect(report.totals).toMatchObject({ trailers: 1, workOrders: 0, totalCost: 0, lifetimeCost: 0, costPerMile: null });
+            expect(report.monthly.every(month => month.totalCost === 0)).toBe(true);
+        });
+
+        test('should leave out archived trailers and trailers merged into another', async () => {
+            for (const trailerId of ['trailer_costs_merged', 'trailer_costs_archived']) {
+                const report = await MaintenanceCostService.getReport(TENANT, { ...PERIOD, trailerId });
+
+                expect(report.trailers).toEqual([]);
+                expect(report.totals.trailers).toBe(0);
+                expect(report.monthly[1].workOrders).toBe(0);
+            }
+        });
+    });
+
+    describe('Endpoints', () => {
+        test('should return the report for a valid period', async () => {
+            const { status, body } = await callRoute('/maintenance-costs', PERIOD);
+
+            expect(status).toBe(200);
+            expect(body.data.totals.totalCost).toBe(520);
+        });
+
+        test('should list the period\'s completed work orders in the ledger, newest first', async () => {
+            const { status, body } = await callRoute('/maintenance-costs/ledger', PERIOD);
+
+            expect(status).toBe(200);
+            expect(body.data.map(entry => [entry.trailerId, entry.totalCost])).toEqual([
+                ['trailer_costs_b', 200], ['trailer_costs_a', 100], ['trailer_costs_a', 220]
+            ]);
+            expect(body.pagination.totalCount).toBe(3);
+        });
+
+        test('should reject months that are not YYYY-MM', async () => {
+            const { status, body } = await callRoute('/maintenance-costs', { from: '2026-1' });
+
+            expect(status).toBe(400);
+            expect(body.error).toBe('Months must be YYYY-MM');
+        });
+
+        test('should reject a period that starts after it ends', async () => {
+            const { status, body } = await callRoute('/maintenance-costs/ledger', { from: '2026-04', to: '2026-03' });
+
+            expect(status).toBe(400);
+            expect(body.error).toBe('from must not be after to');
+        });
+
+        test('should reject a period longer than 120 months', async () => {
+            const { status, body } = await callRoute('/maintenance-costs', { from: '2010-01', to: '2026-03' });
+
+            expect(status).toBe(400);
+            expect(body.error).toBe('The period can be at most 120 months');
+        });
+    });
+});
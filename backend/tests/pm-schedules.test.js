@@ -0,0 +1,54 @@
+/**
+ * PM Schedule Tests
+ * When a trailer is next due under a mileage or engine-hour schedule, with and without a service recorded
+ */
+
+const MaintenanceService = require('../services/maintenance');
+const { INSPECTION_DUE_STATUS, PM_METERS } = require('../utils/constants');
+
+describe('PM Schedules', () => {
+    const schedule = {
+        id: 'pm_schedule_a', code: 'pm_a', name: 'PM A', meter: PM_METERS.MILES, intervalValue: 25000, dueSoonThreshold: 2000, tasks: []
+    };
+    const hoursSchedule = { ...schedule, id: 'pm_schedule_reefer', meter: PM_METERS.ENGINE_HOURS, intervalValue: 1500, dueSoonThreshold: 100 };
+
+    describe('Without a Service Recorded', () => {
+        test('should count from a reading of 0, so a high-mileage trailer is overdue', () => {
+            const due = MaintenanceService.calculatePmDue(schedule, { miles: 130000, engineHours: null });
+
+            expect(due).toMatchObject({
+                lastServiceReading: null, lastServicedAt: null, nextDueReading: 25000, remaining: -105000, status: INSPECTION_DUE_STATUS.OVERDUE
+            });
+        });
+
+        test('should be due soon within the threshold of the first interval', () => {
+            const due = MaintenanceService.calculatePmDue(hoursSchedule, { miles: 130000, engineHours: 1450 });
+
+            expect(due).toMatchObject({ currentReading: 1450, nextDueReading: 1500, remaining: 50, status: INSPECTION_DUE_STATUS.DUE_SOON });
+        });
+
+        test('should be ok before the first interval', () => {
+            const due = MaintenanceService.calculatePmDue(schedule, { miles: 4000, engineHours: null });
+
+            expect(due).toMatchObject({ nextDueReading: 25000, remaining: 21000, status: INSPECTION_DUE_STATUS.OK });
+        });
+
+        test('should be not recorded while the trailer has no reading for the meter', () => {
+            const due = MaintenanceService.calculatePmDue(hoursSchedule, { miles: 130000, engineHours: null });
+
+            expect(due).toMatchObject({ nextDueReading: null, remaining: null, status: INSPECTION_DUE_STATUS.NOT_RECORDED });
+        });
+    });
+
+    describe('After a Service', () => {
+        test('should be next due one interval after the reading of the latest service', () => {
+            const lastService = { meterReading: 120000, performedAt: '2026-03-01T00:00:00.000Z' };
+
+            const due = MaintenanceService.calculatePmDue(schedule, { miles: 130000, engineHours: null }, lastService);
+
+            expect(due).toMatchObject({
+                lastServiceReading: 120000, lastServicedAt: '2026-03-01T00:00:00.000Z', nextDueReading: 145000, remaining: 15000, status: INSPECTION_DUE_STATUS.OK
+            });
+        });
+    });
+});
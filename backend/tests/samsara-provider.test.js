@@ -0,0 +1,47 @@
+/**
+ * Samsara Provider Tests
+ * Mapping trailer stats, including deltas with sensor readings but no new GPS point
+ */
+
+const providerRegistry = require('../services/gps-providers');
+
+describe('Samsara Provider', () => {
+    const provider = providerRegistry.getProvider('samsara');
+    const reeferStats = {
+        reeferAmbientAirTemperatureMilliC: [{ time: '2026-03-01T14:00:00Z', value: 21500 }],
+        reeferSetPointTemperatureMilliCZone1: [{ time: '2026-03-01T14:05:00Z', value: -18000 }]
+    };
+
+    test('should map a trailer with a GPS point and its sensor readings', async () => {
+        const statsById = new Map([['212014918', {
+            gps: [{ time: '2026-03-01T14:05:00Z', latitude: 41.87, longitude: -87.62, reverseGeo: { formattedLocation: 'Chicago, IL' } }],
+            ...reeferStats
+        }]]);
+
+        const [trailer] = await provider.processTrailerData([{ id: '212014918', name: 'T-100' }], statsById);
+
+        expect(trailer).toMatchObject({ unit_number: 'T-100', last_latitude: 41.87, last_longitude: -87.62, address: 'Chicago, IL' });
+        expect(trailer.reefer).toMatchObject({ ambientTempC: 21.5, setPointC: -18 });
+        expect(trailer.telemetryOnly).toBeUndefined();
+    });
+
+    test('should return sensor readings without a GPS point as telemetry only', async () => {
+        const statsById = new Map([['212014918', {
+            ...reeferStats,
+            reeferDoorStateZone1: [{ time: '2026-03-01T14:10:00Z', value: 'open' }]
+        }]]);
+
+        const [trailer] = await provider.processTrailerData([{ id: '212014918', name: 'T-100' }], statsById);
+
+        expect(trailer).toMatchObject({ unit_number: 'T-100', deviceId: '212014918', last_latitude: null, last_longitude: null, telemetryOnly: true });
+        expect(trailer.reefer).toMatchObject({ ambientTempC: 21.5, setPointC: -18, recordedAt: '2026-03-01T14:05:00Z' });
+        expect(trailer.door).toEqual({ closed: false, recordedAt: '2026-03-01T14:10:00Z' });
+        expect(trailer.lastUpdate).toEqual(new Date('2026-03-01T14:10:00Z'));
+    });
+
+    test('should skip trailers with neither a GPS point nor sensor readings', async () => {
+        const trailers = await provider.processTrailerData([{ id: '212014918', name: 'T-100' }], new Map([['212014918', {}]]));
+
+        expect(trailers).toHaveLength(0);
+    });
+});
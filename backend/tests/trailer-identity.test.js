@@ -0,0 +1,169 @@
+/**
+ * Trailer Identity Tests
+ * Device matching, the review queue for ambiguous devices and the merge/unmerge round trip
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow, createTestTrailer } = require('./helpers/test-database');
+const { trailerIdentityManager } = require('../database/database-manager');
+const trailerIdentity = require('../services/trailer-identity');
+
+const TENANT = 'tenant_identity';
+const COMPANY = 'company_identity';
+const provider = { id: 'provider_identity', tenant_id: TENANT, name: 'Test Provider' };
+
+describe('Trailer Identity', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    describe('Device Matching', () => {
+        test('should link a device to the only trailer with its VIN and match it by the link afterwards', async () => {
+            await createTestTrailer({ id: 'trailer_vin', tenant_id: TENANT, company_id: COMPANY, unit_number: 'V-1', vin: '1UYVS2530AU123456' });
+            const device = { id: 'device_vin', unit_number: 'V1', vin: '1uyvs2530au123456' };
+
+            expect(await trailerIdentity.matchDevice(provider, device)).toMatchObject({ trailerId: 'trailer_vin', rule: 'vin' });
+            expect(await trailerIdentity.matchDevice(provider, device)).toMatchObject({ trailerId: 'trailer_vin', rule: 'device', primary: false });
+        });
+
+        test('should match a unit number without case, spaces or dashes while no provider tracks it', async () => {
+            await createTestTrailer({ id: 'trailer_unit', tenant_id: TENANT, company_id: COMPANY, unit_number: 'U-200' });
+
+            expect(await trailerIdentity.matchDevice(provider, { id: 'device_unit', unit_number: 'u 200' }))
+                .toMatchObject({ trailerId: 'trailer_unit', rule: 'unit' });
+        });
+    });
+
+    describe('Review Queue', () => {
+        const device = { id: 'device_shared', unit_number: 'S-300', last_latitude: 41.88, last_longitude: -87.63, lastUpdate: '2026-03-01T08:00:00Z' };
+
+        beforeAll(async () => {
+            await createTestTrailer({ id: 'trailer_shared_a', tenant_id: TENANT, company_id: COMPANY, unit_number: 'S-300' });
+            await createTestTrailer({ id: 'trailer_shared_b', tenant_id: TENANT, company_id: COMPANY, unit_number: 'S300' });
+        });
+
+        test('should return candidates instead of a trailer when several trailers share the unit number', async () => {
+            const match = await trailerIdentity.matchDevice(provider, device);
+
+            expect(match.trailerId).toBeNull();
+            expect(match.review.candidateIds.sort()).toEqual(['trailer_shared_a', 'trailer_shared_b']);
+            expect(match.review.reason).toBe('2 trailers share unit S-300');
+        });
+
+        test('should queue an ambiguous device once, refreshing it while pending', async () => {
+            const match = await trailerIdentity.matchDevice(provider, device);
+            await trailerIdentity.queueReview(provider, device, match.review);
+            await trailerIdentity.queueReview(provider, { ...device, lastUpdate: '2026-03-01T09:00:00Z' }, match.review);
+
+            const reviews = await trailerIdentityManager.getReviews({ tenantId: TENANT, status: 'pending' });
+            expect(reviews.data).toHaveLength(1);
+            expect(reviews.data[0].device.lastUpdate).toBe('2026-03-01T09:00:00Z');
+            expect(reviews.data[0].candidates.map(candidate => candidate.id).sort()).toEqual(['trailer_shared_a', 'trailer_shared_b']);
+        });
+
+        test('should queue a unit number that exists with a different VIN', async () => {
+            await createTestTrailer({ id: 'trailer_other_vin', tenant_id: TENANT, company_id: COMPANY, unit_number: 'R-400', vin: '1JJV532D8KL000001' });
+
+            const match = await trailerIdentity.matchDevice(provider, { id: 'device_other_vin', unit_number: 'R-400', vin: '1JJV532D8KL000002' });
+
+            expect(match.trailerId).toBeNull();
+            expect(match.review).toEqual({ candidateIds: ['trailer_other_vin'], reason: 'Unit R-400 exists with a different VIN' });
+        });
+
+        test('should skip a dismissed device from then on', async () => {
+            const review = await trailerIdentityManager.getDeviceReview(provider.id, device.id);
+            await trailerIdentity.dismissReview(review, 'test_user');
+
+            expect(await trailerIdentity.matchDevice(provider, device)).toEqual({ trailerId: null, dismissed: true });
+        });
+    });
+
+    describe('Merge and Unmerge', () => {
+        let target;
+        let source;
+
+        beforeAll(async () => {
+            await createTestTrailer({
+                id: 'trailer_target', tenant_id: TENANT, company_id: COMPANY, unit_number: 'M-500', plate: 'P500', last_ping_at: '2026-03-01T08:00:00.000Z'
+            });
+            await createTestTrailer({
+                id: 'trailer_source', tenant_id: TENANT, company_id: COMPANY, unit_number: 'M500', plate: 'P999', vin: '1GRAA0621KB000003',
+                make: 'Great Dane', archived_at: '2026-02-01T00:00:00.000Z', last_ping_at: '2026-03-02T08:00:00.000Z'
+            });
+
+            await insertRow('trailer_location_history', { id: 'history_target', trailer_id: 'trailer_target', tenant_id: TENANT, recorded_at: '2026-03-01T08:00:00.000Z' });
+            await insertRow('trailer_location_history', { id: 'history_source', trailer_id: 'trailer_source', tenant_id: TENANT, recorded_at: '2026-03-02T08:00:00.000Z' });
+            await insertRow('maintenance_alerts', {
+                id: 'alert_source', trailer_id: 'trailer_source', type: 'annual_inspection', severity: 'high', title: 'Annual inspection due', description: 'Due'
+            });
+            await insertRow('system_notes', {
+                id: 'note_source', content: 'Door seal', entity_type: 'trailer', entity_id: 'trailer_source', trailer_id: 'trailer_source', tenant_id: TENANT, created_by: 'test_user'
+            });
+            await trailerIdentityManager.linkDevice({ tenantId: TENANT, trailerId: 'trailer_source', providerId: provider.id, deviceId: 'device_source', matchRule: 'created' });
+
+            target = await trailerIdentityManager.getTrailerRow('trailer_target', TENANT);
+            source = await trailerIdentityManager.getTrailerRow('trailer_source', TENANT);
+        });
+
+        const ownerOf = async (table, id, column = 'trailer_id') =>
+            (await trailerIdentityManager.execute(`SELECT ${column} AS owner FROM ${table} WHERE id = ?`, [id], { first: true })).owner;
+
+        test('should refuse trailers with different VINs', () => {
+            expect(trailerIdentity.getMergeError({ ...target, vin: '1GRAA0621KB000004' }, source))
+                .toBe('The trailers have different VINs (1GRAA0621KB000004 and 1GRAA0621KB000003)');
+            expect(trailerIdentity.getMergeError(target, target)).toBe('A trailer cannot be merged into itself');
+        });
+
+        test('should move the source records to the target, fill blank fields and archive the source', async () => {
+            const mergeId = await trailerIdentity.mergeTrailers(target, source, 'test_user');
+
+            expect(await ownerOf('trailer_location_history', 'history_source')).toBe('trailer_target');
+            expect(await ownerOf('maintenance_alerts', 'alert_source')).toBe('trailer_target');
+            expect(await ownerOf('system_notes', 'note_source', 'entity_id')).toBe('trailer_target');
+            expect((await trailerIdentityManager.getDeviceLink(provider.id, 'device_source')).trailerId).toBe('trailer_target');
+
+            const merged = await trailerIdentityManager.getTrailerRow('trailer_target', TENANT);
+            expect(merged).toMatchObject({ vin: '1GRAA0621KB000003', make: 'Great Dane', plate: 'P500', last_ping_at: '2026-03-02T08:00:00.000Z' });
+
+            const archived = await trailerIdentityManager.getTrailerRow('trailer_source', TENANT);
+            expect(archived.merged_into_id).toBe('trailer_target');
+
+            const merge = await trailerIdentityManager.getMerge(mergeId, TENANT);
+            expect(merge.filledFields).toEqual({ vin: '1GRAA0621KB000003', make: 'Great Dane' });
+            expect(merge.sourceArchivedAt).toBe('2026-02-01T00:00:00.000Z');
+        });
+
+        test('should refuse to merge a merged trailer again', async () => {
+            const merged = await trailerIdentityManager.getTrailerRow('trailer_source', TENANT);
+
+            expect(trailerIdentity.getMergeError(target, merged)).toBe('Merged trailers cannot be merged again - unmerge them first');
+        });
+
+        test('should put everything back on unmerge', async () => {
+            const [{ id: mergeId }] = (await trailerIdentityManager.getMerges({ tenantId: TENANT, trailerId: 'trailer_source' })).data;
+            const merge = await trailerIdentityManager.getMerge(mergeId, TENANT);
+            expect(trailerIdentity.getUnmergeError(merge, await trailerIdentityManager.getTrailerRow('trailer_target', TENANT))).toBeNull();
+
+            await trailerIdentity.unmergeTrailers(merge, 'test_user');
+
+            expect(await ownerOf('trailer_location_history', 'history_source')).toBe('trailer_source');
+            expect(await ownerOf('trailer_location_history', 'history_target')).toBe('trailer_target');
+            expect(await ownerOf('maintenance_alerts', 'alert_source')).toBe('trailer_source');
+            expect(await ownerOf('system_notes', 'note_source', 'entity_id')).toBe('trailer_source');
+            expect(await ownerOf('system_notes', 'note_source')).toBe('trailer_source');
+            expect((await trailerIdentityManager.getDeviceLink(provider.id, 'device_source')).trailerId).toBe('trailer_source');
+
+            const restoredTarget = await trailerIdentityManager.getTrailerRow('trailer_target', TENANT);
+            expect(restoredTarget).toMatchObject({ vin: null, make: null, plate: 'P500' });
+
+            const restoredSource = await trailerIdentityManager.getTrailerRow('trailer_source', TENANT);
+            expect(restoredSource).toMatchObject({ merged_into_id: null, archived_at: '2026-02-01T00:00:00.000Z', vin: '1GRAA0621KB000003' });
+
+            const undone = await trailerIdentityManager.getMerge(mergeId, TENANT);
+            expect(trailerIdentity.getUnmergeError(undone, restoredTarget)).toBe('This merge was already undone');
+        });
+    });
+});
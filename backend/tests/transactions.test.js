@@ -0,0 +1,72 @@
+/**
+ * Transaction Tests
+ * Managers share one connection: a transaction nested in another runs as a savepoint of it, while queries
+ * from other requests wait until it has finished instead of landing in it
+ */
+
+const { setupTestDatabase, teardownTestDatabase, insertRow } = require('./helpers/test-database');
+const { trailerManager, maintenanceManager } = require('../database/database-manager');
+
+const addNote = (id) => insertRow('system_notes', { id, tenant_id: 'tenant_transactions', content: id, created_by: 'test_user' });
+const getNotes = async () => (await trailerManager.execute(
+    'SELECT id FROM system_notes WHERE tenant_id = ? ORDER BY id', ['tenant_transactions']
+)).map(row => row.id);
+
+describe('Transactions', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    beforeEach(async () => {
+        await trailerManager.executeSingle('DELETE FROM system_notes WHERE tenant_id = ?', ['tenant_transactions']);
+    });
+
+    test('should keep a write from another request out of a transaction that rolls back', async () => {
+        let release;
+        const paused = new Promise(resolve => { release = resolve; });
+        const failing = trailerManager.transact(async () => {
+            await addNote('note_in_transaction');
+            await paused;
+            throw new Error('Step failed');
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const other = addNote('note_other_request');
+        release();
+
+        await expect(failing).rejects.toThrow('Step failed');
+        await other;
+        expect(await getNotes()).toEqual(['note_other_request']);
+    });
+
+    test('should roll back a nested transaction on its own and commit the outer one', async () => {
+        await trailerManager.transact(async () => {
+            await addNote('note_outer');
+            await expect(maintenanceManager.transact(async () => {
+                await addNote('note_nested');
+                throw new Error('Nested step failed');
+            })).rejects.toThrow('Nested step failed');
+        });
+
+        expect(await getNotes()).toEqual(['note_outer']);
+    });
+
+    test('should run transactions from different requests one after the other', async () => {
+        const order = [];
+        const run = (name) => trailerManager.transact(async () => {
+            order.push(`${name} start`);
+            await addNote(`note_${name}`);
+            await new Promise(resolve => setImmediate(resolve));
+            order.push(`${name} end`);
+        });
+
+        await Promise.all([run('first'), run('second')]);
+
+        expect(order).toEqual(['first start', 'first end', 'second start', 'second end']);
+        expect(await getNotes()).toEqual(['note_first', 'note_second']);
+    });
+});
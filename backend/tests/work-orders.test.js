@@ -0,0 +1,105 @@
+/**
+ * Work Order Tests
+ * Completing a work order: the services it records, rolling all of it back when a step fails, and
+ * completing it only once when two requests complete it together
+ */
+
+const { setupTestDatabase, teardownTestDatabase, createTestTrailer } = require('./helpers/test-database');
+const { workOrderManager, maintenanceManager, pmScheduleManager } = require('../database/database-manager');
+const MaintenanceService = require('../services/maintenance');
+const WorkOrderService = require('../services/work-orders');
+const { PM_METERS, WORK_ORDER_STATUS } = require('../utils/constants');
+
+const TENANT = 'tenant_work_orders';
+const COMPANY = 'company_work_orders';
+
+describe('Work Orders', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+        await pmScheduleManager.createSchedule(TENANT, {
+            code: 'oil', name: 'Oil Change', meter: PM_METERS.MILES, intervalValue: 25000, dueSoonThreshold: 2000, tasks: []
+        });
+    });
+
+    afterAll(async () => {
+        await teardownTestDatabase();
+    });
+
+    // A trailer overdue for its annual inspection, tire service and oil change, with a work order for all three alerts
+    const createWorkOrder = async (trailerId) => {
+        await createTestTrailer({
+            id: trailerId, tenant_id: TENANT, company_id: COMPANY, tire_status: 'poor', odometer_miles: 130000,
+            next_annual_inspection_due: '2020-01-01'
+        });
+        await MaintenanceService.checkTenantAlerts(TENANT, { trailerId });
+        const alerts = await getOpenAlerts(trailerId);
+
+        const workOrderId = await workOrderManager.createWorkOrder(TENANT, {
+            trailerId, title: 'Annual service', serviceTypes: alerts.map(alert => alert.type)
+        });
+        await workOrderManager.linkAlerts(workOrderId, trailerId, alerts.map(alert => alert.id));
+        return workOrderManager.getWorkOrder(workOrderId, TENANT);
+    };
+    const getOpenAlerts = (trailerId) => maintenanceManager.execute(
+        'SELECT id, type FROM maintenance_alerts WHERE trailer_id = ? AND COALESCE(is_resolved, 0) = 0 ORDER BY type',
+        [trailerId]
+    );
+    const getServices = async (trailerId) => ({
+        inspections: await maintenanceManager.execute('SELECT inspection_type FROM trailer_inspections WHERE trailer_id = ?', [trailerId]),
+        pmServices: await maintenanceManager.execute('SELECT meter_reading FROM pm_service_records WHERE trailer_id = ?', [trailerId]),
+        trailer: await maintenanceManager.execute(
+            'SELECT tire_status, last_tire_service, last_annual_inspection FROM persistent_trailers WHERE id = ?',
+            [trailerId], { first: true }
+        )
+    });
+    const complete = (workOrder) => WorkOrderService.setStatus(workOrder, TENANT, WORK_ORDER_STATUS.COMPLETED, {
+        completedAt: '2026-03-01T12:00:00.000Z', userId: 'user_mechanic'
+    });
+
+    describe('Completion', () => {
+        test('should resolve the linked alerts and record each service', async () => {
+            const workOrder = await createWorkOrder('trailer_complete');
+            expect(workOrder.serviceTypes).toEqual(['annual_inspection', 'pm_oil', 'tire_status']);
+
+            const result = await complete(workOrder);
+
+            expect(result.workOrder).toMatchObject({ status: WORK_ORDER_STATUS.COMPLETED, completedBy: 'user_mechanic' });
+            expect(result.completion).toMatchObject({ alertsResolved: 3, servicesSkipped: [] });
+            expect(result.completion.servicesRecorded.sort()).toEqual(['annual_inspection', 'pm_oil', 'tire_status']);
+            expect(await getOpenAlerts('trailer_complete')).toHaveLength(0);
+            expect(await getServices('trailer_complete')).toEqual({
+                inspections: [{ inspection_type: 'annual' }],
+                pmServices: [{ meter_reading: 130000 }],
+                trailer: { tire_status: 'good', last_tire_service: '2026-03-01', last_annual_inspection: '2026-03-01' }
+            });
+        });
+
+        test('should roll back the alerts, services and status when a step fails part way', async () => {
+            const workOrder = await createWorkOrder('trailer_rollback');
+            const recordPmService = jest.spyOn(MaintenanceService, 'recordPmService').mockRejectedValueOnce(new Error('PM step failed'));
+
+            await expect(complete(workOrder)).rejects.toThrow('PM step failed');
+            recordPmService.mockRestore();
+
+            expect((await getOpenAlerts('trailer_rollback')).map(alert => alert.type)).toEqual(['annual_inspection', 'pm_oil', 'tire_status']);
+            expect(await getServices('trailer_rollback')).toEqual({
+                inspections: [],
+                pmServices: [],
+                trailer: { tire_status: 'poor', last_tire_service: null, last_annual_inspection: null }
+            });
+            expect((await workOrderManager.getWorkOrder(workOrder.id, TENANT)).status).toBe(WORK_ORDER_STATUS.OPEN);
+        });
+
+        test('should record the services once when two requests complete the work order together', async () => {
+            const workOrder = await createWorkOrder('trailer_concurrent');
+
+            const results = await Promise.all([complete(workOrder), complete(workOrder)]);
+
+            expect(results.map(result => result.workOrder.status)).toEqual([WORK_ORDER_STATUS.COMPLETED, WORK_ORDER_STATUS.COMPLETED]);
+            expect(results.filter(result => result.completion)).toHaveLength(1);
+            const services = await getServices('trailer_concurrent');
+            expect(services.inspections).toHaveLength(1);
+            expect(services.pmServices).toHaveLength(1);
+        });
+    });
+});
@@ -2,12 +2,7 @@
  * Application constants
  */
 
-// GPS Provider Types
-const GPS_PROVIDER_TYPES = {
-    SPIREON: 'spireon',
-    SKYBITZ: 'skybitz',
-    SAMSARA: 'samsara'
-};
+// GPS provider types are registered by the services in services/gps-providers
 
 // Company Types
 const COMPANY_TYPES = {
@@ -32,6 +27,24 @@ const LOCATION_TYPES = {
     CUSTOM: 'custom'
 };
 
+// Geofence shapes that can be attached to a custom location
+const GEOFENCE_TYPES = {
+    CIRCLE: 'circle',
+    POLYGON: 'polygon'
+};
+
+// Geofence event types
+const GEOFENCE_EVENT_TYPES = {
+    ARRIVAL: 'arrival',
+    DEPARTURE: 'departure'
+};
+
+// Detention defaults - locations and customers can override the threshold
+const DETENTION = {
+    // Minutes a trailer may dwell at a site before detention starts (DEFAULT_DETENTION_THRESHOLD_MINUTES, default 120)
+    DEFAULT_THRESHOLD_MINUTES: parseInt(process.env.DEFAULT_DETENTION_THRESHOLD_MINUTES, 10) || 120
+};
+
 // Trailer Status
 const TRAILER_STATUS = {
     AVAILABLE: 'available',
@@ -43,6 +56,7 @@ const TRAILER_STATUS = {
 // GPS Status
 const GPS_STATUS = {
     CONNECTED: 'connected',
+    STALE: 'stale',
     DISCONNECTED: 'disconnected',
     UNKNOWN: 'unknown'
 };
@@ -63,6 +77,60 @@ const MAINTENANCE_SEVERITY = {
     CRITICAL: 'critical'
 };
 
+// Alert types raised by the maintenance alert rules; inspection alerts are `<inspection type code>_inspection`
+// and preventive maintenance alerts `pm_<schedule code>`
+const MAINTENANCE_ALERT_TYPES = {
+    INSPECTION_SUFFIX: '_inspection',
+    PM_PREFIX: 'pm_',
+    TIRE_STATUS: 'tire_status'
+};
+
+// What a preventive maintenance schedule's interval is counted in
+const PM_METERS = {
+    MILES: 'miles',
+    ENGINE_HOURS: 'engine_hours'
+};
+
+const PM_SCHEDULES = {
+    // GPS distance implying a faster average speed is a position jump, not miles travelled (PM_MAX_GPS_SPEED_MPH, default 85)
+    MAX_GPS_SPEED_MPH: parseFloat(process.env.PM_MAX_GPS_SPEED_MPH) || 85
+};
+
+// Work orders move from open to in progress to completed; completed work orders cannot change
+const WORK_ORDER_STATUS = {
+    OPEN: 'open',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+};
+
+// Parts are priced per unit, labor per hour
+const WORK_ORDER_LINE_TYPES = {
+    PART: 'part',
+    LABOR: 'labor'
+};
+
+// Trailer body types an inspection type can be limited to
+const TRAILER_TYPES = ['dry_van', 'reefer', 'flatbed', 'step_deck', 'tanker', 'chassis', 'other'];
+
+// Inspection types every tenant's catalog starts with. Their intervals and thresholds (days) are kept
+// in step with maintenance_preferences, and their dates with the last_<code>_inspection and
+// next_<code>_inspection_due trailer columns.
+const BUILT_IN_INSPECTION_TYPES = [
+    { code: 'annual', name: 'Annual Inspection', intervalDays: 365, alertThresholdDays: 30 },
+    { code: 'midtrip', name: 'Midtrip Inspection', intervalDays: 7, alertThresholdDays: 14 },
+    { code: 'brake', name: 'Brake Inspection', intervalDays: 90, alertThresholdDays: 14 }
+];
+
+// Inspection records that are not scheduled and so have no catalog type
+const UNSCHEDULED_INSPECTION_TYPES = ['pre_trip', 'post_trip'];
+
+const INSPECTION_DUE_STATUS = {
+    OK: 'ok',
+    DUE_SOON: 'due_soon',
+    OVERDUE: 'overdue',
+    NOT_RECORDED: 'not_recorded'
+};
+
 // User Roles
 const USER_ROLES = {
     SYSTEM_ADMIN: 'systemAdmin',  // System-level administrator (renamed from SUPER_ADMIN)
@@ -131,6 +199,239 @@ const TIME_CONSTANTS = {
 const REFRESH_INTERVALS = {
     GPS_SYNC_AND_CONNECTION: 20 * TIME_CONSTANTS.MINUTE, // 20 minutes
     MAINTENANCE_ALERTS: TIME_CONSTANTS.HOUR, // 1 hour
+    // Delta-capable providers re-download the whole fleet this often (GPS_FULL_SYNC_INTERVAL_HOURS, default 24)
+    GPS_FULL_SYNC: (parseFloat(process.env.GPS_FULL_SYNC_INTERVAL_HOURS) || 24) * TIME_CONSTANTS.HOUR,
+};
+
+// Scheduled background jobs
+const SYNC_JOB_TYPES = {
+    LOCATION_REFRESH: 'location_refresh',
+    MAINTENANCE: 'maintenance'
+};
+
+const SYNC_JOB_STATUS = {
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    PARTIAL: 'partial',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted'
+};
+
+const SYNC_SCHEDULER = {
+    // How often the scheduler looks for due jobs
+    TICK_INTERVAL: TIME_CONSTANTS.MINUTE,
+    // Default frequency for new tenant schedules (SYNC_DEFAULT_INTERVAL_MINUTES, default 60)
+    DEFAULT_INTERVAL_MINUTES: {
+        [SYNC_JOB_TYPES.LOCATION_REFRESH]: parseInt(process.env.SYNC_DEFAULT_INTERVAL_MINUTES, 10) || 60,
+        [SYNC_JOB_TYPES.MAINTENANCE]: 24 * 60
+    },
+    MIN_INTERVAL_MINUTES: 5,
+    MAX_INTERVAL_MINUTES: 7 * 24 * 60,
+    // Job run history older than this is deleted
+    RUN_HISTORY_RETENTION: 30 * TIME_CONSTANTS.DAY
+};
+
+// Provider location refreshes shared by scheduled jobs and manual refreshes
+const PROVIDER_SYNC = {
+    // Providers polled at the same time across all tenants (SYNC_MAX_CONCURRENT_PROVIDERS, default 3)
+    MAX_CONCURRENT: parseInt(process.env.SYNC_MAX_CONCURRENT_PROVIDERS, 10) || 3,
+    // A refresh finished this recently is reused instead of polling the provider again
+    REUSE_WINDOW: 2 * TIME_CONSTANTS.MINUTE,
+    // Retry delay after a failed refresh, doubled per consecutive failure up to BACKOFF_MAX
+    BACKOFF_BASE: TIME_CONSTANTS.MINUTE,
+    BACKOFF_MAX: TIME_CONSTANTS.HOUR
+};
+
+const PROVIDER_HEALTH_STATUS = {
+    UNKNOWN: 'unknown',
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    DOWN: 'down',
+    AUTH_FAILED: 'auth_failed'
+};
+
+const PROVIDER_ERROR_TYPES = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    PROVIDER: 'provider'
+};
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open'
+};
+
+const PROVIDER_HEALTH = {
+    // Consecutive failures after which a provider is reported down
+    DOWN_THRESHOLD: 3,
+    // Consecutive authentication failures that open the circuit and pause polling
+    AUTH_FAILURE_THRESHOLD: 3,
+    // An open circuit lets one trial fetch through after this long
+    CIRCUIT_RETRY_AFTER: 6 * TIME_CONSTANTS.HOUR,
+    // Window for success rates and latency percentiles
+    METRICS_WINDOW: TIME_CONSTANTS.DAY,
+    // Fetch attempts older than this are deleted
+    CHECK_RETENTION: 30 * TIME_CONSTANTS.DAY
+};
+
+// Sync and location refresh run records (system_refresh_log)
+const REFRESH_OPERATIONS = {
+    SYNC: 'sync',
+    REFRESH: 'refresh'
+};
+
+const REFRESH_LOG_STATUS = {
+    SUCCESS: 'success',
+    PARTIAL: 'partial',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+// Why a trailer was not updated by a run, or how reconciliation changed it
+const REFRESH_ITEM_OUTCOMES = {
+    SKIPPED: 'skipped',
+    UNMATCHED: 'unmatched',
+    FAILED: 'failed',
+    STALE: 'stale',
+    DISCONNECTED: 'disconnected',
+    ARCHIVED: 'archived'
+};
+
+const REFRESH_LOG = {
+    // Per-trailer issues stored per run; the counts always cover every trailer
+    MAX_ITEMS_PER_RUN: 500,
+    // Run records older than this are deleted
+    RETENTION: 30 * TIME_CONSTANTS.DAY
+};
+
+// Trailer reconciliation defaults - providers can override each threshold
+const RECONCILIATION = {
+    // Hours without a ping before a trailer is marked stale (TRAILER_STALE_AFTER_HOURS, default 6)
+    DEFAULT_STALE_AFTER_HOURS: parseInt(process.env.TRAILER_STALE_AFTER_HOURS, 10) || 6,
+    // Hours without a ping before a trailer is marked disconnected (TRAILER_DISCONNECT_AFTER_HOURS, default 48)
+    DEFAULT_DISCONNECT_AFTER_HOURS: parseInt(process.env.TRAILER_DISCONNECT_AFTER_HOURS, 10) || 48,
+    // Days without a ping before a trailer is archived, 0 never archives (TRAILER_ARCHIVE_AFTER_DAYS, default 0)
+    DEFAULT_ARCHIVE_AFTER_DAYS: parseInt(process.env.TRAILER_ARCHIVE_AFTER_DAYS, 10) || 0
+};
+
+// Which location source wins on a trailer - tenants override these under Settings → GPS Providers
+const LOCATION_PRECEDENCE = {
+    // Hours before a manual location gives way to newer GPS, 0 never expires (MANUAL_LOCATION_EXPIRY_HOURS, default 0)
+    DEFAULT_MANUAL_EXPIRY_HOURS: parseInt(process.env.MANUAL_LOCATION_EXPIRY_HOURS, 10) || 0,
+    // Miles newer GPS must be from a manual location to replace it early, 0 disables (MANUAL_LOCATION_OVERRIDE_MILES, default 0)
+    DEFAULT_GPS_OVERRIDE_MILES: parseFloat(process.env.MANUAL_LOCATION_OVERRIDE_MILES) || 0,
+    // Minutes a higher-priority provider's position holds before a lower-priority provider may replace it
+    DEFAULT_PRIORITY_FALLBACK_MINUTES: 60
+};
+
+// Trailer sensor readings stored in trailer_telemetry - door and cargo are 1/0, temperatures in °C
+const TELEMETRY_METRICS = {
+    DOOR_OPEN: 'door_open',
+    CARGO_LOADED: 'cargo_loaded',
+    REEFER_SET_POINT: 'reefer_set_point_c',
+    REEFER_RETURN_AIR: 'reefer_return_air_c',
+    REEFER_SUPPLY_AIR: 'reefer_supply_air_c',
+    REEFER_AMBIENT: 'reefer_ambient_c',
+    REEFER_RUN_MODE: 'reefer_run_mode',
+    BATTERY_VOLTAGE: 'battery_voltage',
+    ODOMETER_MILES: 'odometer_miles',
+    ENGINE_HOURS: 'engine_hours'
+};
+
+const TELEMETRY = {
+    // Readings older than this are deleted (TELEMETRY_RETENTION_DAYS, default 90)
+    RETENTION: (parseInt(process.env.TELEMETRY_RETENTION_DAYS, 10) || 90) * TIME_CONSTANTS.DAY
+};
+
+// Reefer temperature excursions - a temperature outside a trailer's or load's range
+const REEFER_EXCURSION = {
+    // Alert type written to maintenance_alerts
+    ALERT_TYPE: 'reefer_excursion',
+    // Temperatures a range can be checked against
+    METRICS: [TELEMETRY_METRICS.REEFER_RETURN_AIR, TELEMETRY_METRICS.REEFER_SUPPLY_AIR],
+    // Minutes out of range before an alert is raised (REEFER_EXCURSION_ALERT_MINUTES, default 30)
+    DEFAULT_ALERT_AFTER_MINUTES: parseInt(process.env.REEFER_EXCURSION_ALERT_MINUTES, 10) || 30,
+    // °C outside the range at which an alert becomes critical (REEFER_EXCURSION_CRITICAL_C, default 5)
+    CRITICAL_DEVIATION_C: parseFloat(process.env.REEFER_EXCURSION_CRITICAL_C) || 5
+};
+
+const REEFER_EXCURSION_STATUS = {
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+// GPS device health - see services/device-health.js
+const DEVICE_HEALTH = {
+    // Battery volts below which a tracker needs attention (DEVICE_LOW_BATTERY_VOLTS, default 3.6)
+    LOW_BATTERY_VOLTS: parseFloat(process.env.DEVICE_LOW_BATTERY_VOLTS) || 3.6,
+    // Battery volts below which a tracker is critical (DEVICE_CRITICAL_BATTERY_VOLTS, default 3.4)
+    CRITICAL_BATTERY_VOLTS: parseFloat(process.env.DEVICE_CRITICAL_BATTERY_VOLTS) || 3.4,
+    // Average hours between pings above which a tracker reports too slowly (DEVICE_SLOW_REPORTING_HOURS, default 4)
+    SLOW_REPORTING_HOURS: parseFloat(process.env.DEVICE_SLOW_REPORTING_HOURS) || 4,
+    // Weight of the newest gap in the running average of the reporting interval
+    PING_INTERVAL_WEIGHT: 0.2,
+    // Prefix of the maintenance alert types raised for device issues
+    ALERT_TYPE_PREFIX: 'device_'
+};
+
+const DEVICE_HEALTH_STATUS = {
+    HEALTHY: 'healthy',
+    WARNING: 'warning',
+    CRITICAL: 'critical',
+    UNKNOWN: 'unknown'
+};
+
+// Each issue is raised as a maintenance alert of type DEVICE_HEALTH.ALERT_TYPE_PREFIX + issue
+const DEVICE_HEALTH_ISSUES = {
+    LOW_BATTERY: 'low_battery',
+    NOT_REPORTING: 'not_reporting',
+    SLOW_REPORTING: 'slow_reporting'
+};
+
+// How a provider device was matched to a trailer - see services/trailer-identity.js
+const IDENTITY_MATCH_RULES = {
+    DEVICE: 'device',
+    EXTERNAL_ID: 'external_id',
+    VIN: 'vin',
+    PLATE_UNIT: 'plate_unit',
+    UNIT: 'unit',
+    REVIEW: 'review',
+    CREATED: 'created'
+};
+
+const IDENTITY_REVIEW_STATUS = {
+    PENDING: 'pending',
+    LINKED: 'linked',
+    CREATED: 'created',
+    DISMISSED: 'dismissed'
+};
+
+// Persistent reverse geocoding cache
+const GEOCODE_CACHE = {
+    // Coordinates are rounded to this many decimals for the cache key (4 ~ 11 m) (GEOCODE_CACHE_PRECISION)
+    PRECISION: parseInt(process.env.GEOCODE_CACHE_PRECISION, 10) || 4,
+    // How long a paid backend result is reused (GEOCODE_CACHE_TTL_DAYS, default 90)
+    TTL: (parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || 90) * TIME_CONSTANTS.DAY,
+    // Offline gazetteer results expire sooner so a better backend can replace them
+    OFFLINE_TTL: TIME_CONSTANTS.DAY,
+    // Positions resolved per warm-up run
+    WARM_UP_LIMIT: 500
+};
+
+// Database snapshots
+const DATABASE_BACKUP = {
+    // Hours between scheduled snapshots, 0 disables the schedule (DB_BACKUP_INTERVAL_HOURS, default 6)
+    INTERVAL: (process.env.DB_BACKUP_INTERVAL_HOURS !== undefined
+        ? parseFloat(process.env.DB_BACKUP_INTERVAL_HOURS) || 0
+        : 6) * TIME_CONSTANTS.HOUR,
+    // Retention: newest N snapshots, plus the newest of each day and of each week (DB_BACKUP_KEEP_*)
+    KEEP_LAST: parseInt(process.env.DB_BACKUP_KEEP_LAST, 10) || 8,
+    KEEP_DAILY: parseInt(process.env.DB_BACKUP_KEEP_DAILY, 10) || 7,
+    KEEP_WEEKLY: parseInt(process.env.DB_BACKUP_KEEP_WEEKLY, 10) || 4,
+    // Pages copied per backup step; the source is unlocked between steps so writes are not held up
+    PAGES_PER_STEP: 1000
 };
 
 // Rate Limiting Delays (in milliseconds)
@@ -194,6 +495,7 @@ const CACHE_KEYS = {
     USER_PROFILE: 'user_profile',
     COMPANY_DATA: 'company_data',
     TRAILER_LIST: 'trailer_list',
+    LOCATION_RULES: 'location_rules',
     GPS_PROVIDERS: 'gps_providers',
     MAINTENANCE_ALERTS: 'maintenance_alerts',
     CUSTOM_COMPANIES: 'custom_companies',
@@ -206,6 +508,7 @@ const CACHE_TTL = {
     USER_PROFILE: 300, // 5 minutes
     COMPANY_DATA: 600, // 10 minutes
     TRAILER_LIST: 300, // 5 minutes
+    LOCATION_RULES: 600, // 10 minutes
     GPS_PROVIDERS: 1800, // 30 minutes
     MAINTENANCE_ALERTS: 900, // 15 minutes
     CUSTOM_COMPANIES: 600, // 10 minutes
@@ -214,13 +517,24 @@ const CACHE_TTL = {
 };
 
 module.exports = {
-    GPS_PROVIDER_TYPES,
     COMPANY_TYPES,
     LOCATION_TYPES,
+    GEOFENCE_TYPES,
+    GEOFENCE_EVENT_TYPES,
+    DETENTION,
     TRAILER_STATUS,
     GPS_STATUS,
     NOTE_CATEGORIES,
     MAINTENANCE_SEVERITY,
+    MAINTENANCE_ALERT_TYPES,
+    PM_METERS,
+    PM_SCHEDULES,
+    WORK_ORDER_STATUS,
+    WORK_ORDER_LINE_TYPES,
+    TRAILER_TYPES,
+    BUILT_IN_INSPECTION_TYPES,
+    UNSCHEDULED_INSPECTION_TYPES,
+    INSPECTION_DUE_STATUS,
     USER_ROLES,
     ROLE_HIERARCHY,
     HTTP_STATUS,
@@ -228,6 +542,31 @@ module.exports = {
     DB_CONSTRAINTS,
     TIME_CONSTANTS,
     REFRESH_INTERVALS,
+    SYNC_JOB_TYPES,
+    SYNC_JOB_STATUS,
+    SYNC_SCHEDULER,
+    PROVIDER_SYNC,
+    PROVIDER_HEALTH_STATUS,
+    PROVIDER_ERROR_TYPES,
+    CIRCUIT_STATES,
+    PROVIDER_HEALTH,
+    REFRESH_OPERATIONS,
+    REFRESH_LOG_STATUS,
+    REFRESH_ITEM_OUTCOMES,
+    REFRESH_LOG,
+    RECONCILIATION,
+    LOCATION_PRECEDENCE,
+    TELEMETRY_METRICS,
+    TELEMETRY,
+    REEFER_EXCURSION,
+    REEFER_EXCURSION_STATUS,
+    DEVICE_HEALTH,
+    DEVICE_HEALTH_STATUS,
+    DEVICE_HEALTH_ISSUES,
+    IDENTITY_MATCH_RULES,
+    IDENTITY_REVIEW_STATUS,
+    GEOCODE_CACHE,
+    DATABASE_BACKUP,
     RATE_LIMITING,
     UPLOAD_LIMITS,
     PAGINATION,
@@ -175,6 +175,16 @@ function getDefaultPaginationForType(queryType) {
     const defaults = {
         users: { limit: 50, maxLimit: 500 },
         trailers: { limit: 1000, maxLimit: 5000 },
+        locationHistory: { limit: 500, maxLimit: 5000 },
+        geofenceEvents: { limit: 100, maxLimit: 1000 },
+        dwell: { limit: 200, maxLimit: 2000 },
+        syncJobRuns: { limit: 100, maxLimit: 1000 },
+        providerHealthChecks: { limit: 50, maxLimit: 500 },
+        refreshLog: { limit: 50, maxLimit: 500 },
+        identityReviews: { limit: 50, maxLimit: 500 },
+        trailerMerges: { limit: 50, maxLimit: 500 },
+        telemetry: { limit: 500, maxLimit: 5000 },
+        reeferExcursions: { limit: 50, maxLimit: 500 },
         companies: { limit: 50, maxLimit: 500 },
         providers: { limit: 50, maxLimit: 500 },
         maintenance: { limit: 100, maxLimit: 1000 },
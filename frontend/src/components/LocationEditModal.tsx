@@ -7,9 +7,10 @@ import { Textarea } from './ui/textarea';
 import { Badge } from './ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Checkbox } from './ui/checkbox';
-import { MapPin, X, Save, RotateCcw, Palette, Tag, Building2, Globe, Search, Home, Wrench, Truck, Anchor, Star, Fuel, Store, Factory, Warehouse, Building } from 'lucide-react';
+import { MapPin, X, Save, RotateCcw, Palette, Tag, Building2, Globe, Search, Home, Wrench, Truck, Anchor, Star, Fuel, Store, Factory, Warehouse, Building, LogIn, LogOut } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { trailerAPI, geocodingAPI, trailerCustomLocationAPI } from '@/lib/api';
+import type { GeofenceEvent, GeofencePoint, GeofenceType } from '@/types';
 
 interface LocationEditModalProps {
   isOpen: boolean;
@@ -33,6 +34,10 @@ interface CustomLocationData {
   color: string;
   icon_name: string;
   is_shared: boolean;
+  geofence_type: GeofenceType | 'none';
+  geofence_radius_m: number | null;
+  geofence_polygon: string; // one "lat, lng" vertex per line
+  detention_threshold_minutes: number | null;
 }
 
 const LOCATION_TYPES = [
@@ -62,6 +67,30 @@ const ICON_OPTIONS = [
   { value: 'star', label: 'Star', icon: Star }
 ];
 
+const GEOFENCE_OPTIONS = [
+  { value: 'none', label: 'No geofence' },
+  { value: 'circle', label: 'Circle (radius around coordinates)' },
+  { value: 'polygon', label: 'Polygon (list of vertices)' }
+];
+
+const formatPolygon = (polygon?: GeofencePoint[] | null) =>
+  (polygon || []).map(point => `${point.lat}, ${point.lng}`).join('\n');
+
+const parsePolygon = (text: string): GeofencePoint[] | null => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const points = lines.map(line => {
+    const [lat, lng] = line.split(',').map(part => parseFloat(part));
+    return { lat, lng };
+  });
+  return points.every(point => !isNaN(point.lat) && !isNaN(point.lng)) ? points : null;
+};
+
+const formatDwell = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
 const COLOR_OPTIONS = [
   { value: '#3b82f6', label: 'Blue' },
   { value: '#ef4444', label: 'Red' },
@@ -96,8 +125,13 @@ const LocationEditModal: React.FC<LocationEditModalProps> = ({
     longitude: null,
     color: '#3b82f6',
     icon_name: 'map-pin',
-    is_shared: false
+    is_shared: false,
+    geofence_type: 'none',
+    geofence_radius_m: null,
+    geofence_polygon: '',
+    detention_threshold_minutes: null
   });
+  const [geofenceEvents, setGeofenceEvents] = useState<GeofenceEvent[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isGeocoding, setIsGeocoding] = useState(false);
 
@@ -117,8 +151,19 @@ const LocationEditModal: React.FC<LocationEditModalProps> = ({
           longitude: trailer.longitude || trailer.lng || null,
           color: trailer.color || '#3b82f6',
           icon_name: trailer.iconName || trailer.icon_name || 'map-pin',
-          is_shared: trailer.is_shared || false
+          is_shared: trailer.is_shared || false,
+          geofence_type: trailer.geofenceType || 'none',
+          geofence_radius_m: trailer.geofenceRadiusM ?? null,
+          geofence_polygon: formatPolygon(trailer.geofencePolygon),
+          detention_threshold_minutes: trailer.detentionThresholdMinutes ?? null
         });
+
+        setGeofenceEvents([]);
+        if (trailer.geofenceType) {
+          trailerCustomLocationAPI.getLocationGeofenceEvents(trailer.id, { limit: 10 })
+            .then(response => setGeofenceEvents(response.data.data || []))
+            .catch(() => setGeofenceEvents([]));
+        }
       } else {
         // Trailer location
         setLocationData({
@@ -198,6 +243,27 @@ const LocationEditModal: React.FC<LocationEditModalProps> = ({
       return;
     }
 
+    const geofenceType = customLocationData.geofence_type === 'none' ? null : customLocationData.geofence_type;
+    const geofencePolygon = geofenceType === 'polygon' ? parsePolygon(customLocationData.geofence_polygon) : null;
+
+    if (geofenceType === 'circle' && !customLocationData.geofence_radius_m) {
+      toast({
+        title: "Validation Error",
+        description: "Geofence radius is required for a circle geofence",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (geofenceType === 'polygon' && (!geofencePolygon || geofencePolygon.length < 3)) {
+      toast({
+        title: "Validation Error",
+        description: "A polygon geofence needs at least 3 vertices, one \"lat, lng\" pair per line",
+        variant: "destructive",
+      });
+      return;
+    }
+
     try {
       setIsLoading(true);
       const response = await trailerCustomLocationAPI.updateCustomLocation(trailer.id, {
@@ -208,7 +274,11 @@ const LocationEditModal: React.FC<LocationEditModalProps> = ({
         lng: customLocationData.longitude,
         color: customLocationData.color,
         icon_name: customLocationData.icon_name,
-        is_shared: customLocationData.is_shared
+        is_shared: customLocationData.is_shared,
+        geofence_type: geofenceType,
+        geofence_radius_m: geofenceType === 'circle' ? customLocationData.geofence_radius_m : null,
+        geofence_polygon: geofencePolygon,
+        detention_threshold_minutes: customLocationData.detention_threshold_minutes
       });
       
       if (response.data.success) {
@@ -486,6 +556,111 @@ const LocationEditModal: React.FC<LocationEditModalProps> = ({
         </div>
       </div>
 
+      {/* Geofence */}
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="geofence_type" className="text-sm font-semibold text-gray-700">Geofence</Label>
+            <Select
+              value={customLocationData.geofence_type}
+              onValueChange={(value) => setCustomLocationData(prev => ({
+                ...prev,
+                geofence_type: value as GeofenceType | 'none'
+              }))}
+            >
+              <SelectTrigger className="h-10 border-gray-300 focus:border-primary focus:ring-primary">
+                <SelectValue placeholder="Select geofence" />
+              </SelectTrigger>
+              <SelectContent>
+                {GEOFENCE_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {customLocationData.geofence_type === 'circle' && (
+            <div className="space-y-2">
+              <Label htmlFor="geofence_radius_m" className="text-sm font-semibold text-gray-700">Radius (meters) *</Label>
+              <Input
+                id="geofence_radius_m"
+                type="number"
+                min={10}
+                max={50000}
+                placeholder="e.g., 250"
+                value={customLocationData.geofence_radius_m ?? ''}
+                onChange={(e) => setCustomLocationData(prev => ({
+                  ...prev,
+                  geofence_radius_m: e.target.value ? parseFloat(e.target.value) : null
+                }))}
+                className="h-10 border-gray-300 focus:border-primary focus:ring-primary"
+              />
+            </div>
+          )}
+        </div>
+        {customLocationData.geofence_type === 'polygon' && (
+          <div className="space-y-2">
+            <Label htmlFor="geofence_polygon" className="text-sm font-semibold text-gray-700">Vertices *</Label>
+            <Textarea
+              id="geofence_polygon"
+              rows={4}
+              placeholder={"41.8781, -87.6298\n41.8790, -87.6270\n41.8765, -87.6262"}
+              value={customLocationData.geofence_polygon}
+              onChange={(e) => setCustomLocationData(prev => ({
+                ...prev,
+                geofence_polygon: e.target.value
+              }))}
+              className="font-mono text-sm border-gray-300 focus:border-primary focus:ring-primary"
+            />
+            <p className="text-xs text-gray-500">One "latitude, longitude" pair per line, in order around the area.</p>
+          </div>
+        )}
+        {customLocationData.geofence_type !== 'none' && (
+          <div className="space-y-2">
+            <Label htmlFor="detention_threshold_minutes" className="text-sm font-semibold text-gray-700">Detention After (minutes)</Label>
+            <Input
+              id="detention_threshold_minutes"
+              type="number"
+              min={1}
+              max={43200}
+              placeholder="Customer or default threshold"
+              value={customLocationData.detention_threshold_minutes ?? ''}
+              onChange={(e) => setCustomLocationData(prev => ({
+                ...prev,
+                detention_threshold_minutes: e.target.value ? parseInt(e.target.value, 10) : null
+              }))}
+              className="h-10 border-gray-300 focus:border-primary focus:ring-primary"
+            />
+            <p className="text-xs text-gray-500">Leave empty to use the customer's threshold, or the system default.</p>
+          </div>
+        )}
+        {geofenceEvents.length > 0 && (
+          <div className="space-y-2">
+            <Label className="text-sm font-semibold text-gray-700">Recent Activity</Label>
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+              {geofenceEvents.map((event) => (
+                <div key={event.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    {event.eventType === 'arrival'
+                      ? <LogIn className="w-4 h-4 text-green-600" />
+                      : <LogOut className="w-4 h-4 text-orange-600" />}
+                    <span className="font-medium">{event.unitNumber || event.trailerId}</span>
+                    <span className="text-gray-500">{event.eventType === 'arrival' ? 'arrived' : 'departed'}</span>
+                    {event.eventType === 'departure' && event.dwellSeconds != null && (
+                      <Badge variant="secondary" className="text-xs">
+                        {formatDwell(event.dwellSeconds)} on site
+                      </Badge>
+                    )}
+                  </div>
+                  <span className="text-xs text-gray-500">{new Date(event.occurredAt).toLocaleString()}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Appearance */}
       <div className="space-y-4">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from './ui/dialog';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, ChartLegend, ChartLegendContent, type ChartConfig } from './ui/chart';
+import { ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { trailerAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/utils';
+import type { MaintenanceCostLedgerEntry, MaintenanceCostReport } from '@/types';
+
+interface MaintenanceCostsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  companies: Array<{ id: string; name: string }>;
+}
+
+const LEDGER_PAGE_SIZE = 10;
+
+const costChartConfig = {
+  partsCost: { label: 'Parts', color: 'hsl(217 91% 60%)' },
+  laborCost: { label: 'Labor', color: 'hsl(38 92% 50%)' },
+} satisfies ChartConfig;
+
+// Months as YYYY-MM, the same as the month inputs
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const monthsBefore = (month: string, count: number) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1 - count, 1)).toISOString().slice(0, 7);
+};
+
+const formatMonth = (month: string) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+};
+
+// Costs per mile are often fractions of a cent
+const formatRate = (value: number | null) => value === null
+  ? '—'
+  : value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 3 });
+
+const MaintenanceCostsModal: React.FC<MaintenanceCostsModalProps> = ({ isOpen, onClose, companies }) => {
+  const { toast } = useToast();
+  const [from, setFrom] = useState(() => monthsBefore(currentMonth(), 11));
+  const [to, setTo] = useState(currentMonth);
+  const [companyId, setCompanyId] = useState('');
+  const [report, setReport] = useState<MaintenanceCostReport | null>(null);
+  const [ledger, setLedger] = useState<MaintenanceCostLedgerEntry[]>([]);
+  const [ledgerPage, setLedgerPage] = useState(1);
+  const [ledgerPages, setLedgerPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const loadCosts = useCallback(async () => {
+    if (!from || !to || from > to) return;
+    try {
+      setLoading(true);
+      const params = { from, to, companyId: companyId || undefined };
+      const [reportResponse, ledgerResponse] = await Promise.all([
+        trailerAPI.getMaintenanceCosts(params),
+        trailerAPI.getMaintenanceCostLedger({ ...params, limit: LEDGER_PAGE_SIZE, page: ledgerPage }),
+      ]);
+      setReport(reportResponse.data.data);
+      setLedger(ledgerResponse.data.data || []);
+      setLedgerPages(ledgerResponse.data.pagination?.totalPages || 1);
+    } catch (error: unknown) {
+      const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+        || (error instanceof Error ? error.message : 'Failed to load maintenance costs');
+      toast({ title: "Error", description: errorMessage, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, companyId, ledgerPage, toast]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadCosts();
+    }
+  }, [isOpen, loadCosts]);
+
+  // A new period or company starts the ledger over
+  const changeFilter = (setter: (value: string) => void) => (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    setter(e.target.value);
+    setLedgerPage(1);
+  };
+
+  // Highest cost per mile first, the trailers to look at for retirement
+  const trailersByRate = report
+    ? [...report.trailers].sort((a, b) => (b.costPerMile ?? -1) - (a.costPerMile ?? -1)).slice(0, 10)
+    : [];
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Maintenance Costs</DialogTitle>
+          <DialogDescription>
+            Parts and labor on completed work orders. Cost per mile and per day spread each trailer's lifetime cost over its miles and days in service.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <Label htmlFor="cost-from" className="text-xs">From</Label>
+            <Input id="cost-from" type="month" value={from} max={to} onChange={changeFilter(setFrom)} className="h-8 w-40" />
+          </div>
+          <div>
+            <Label htmlFor="cost-to" className="text-xs">To</Label>
+            <Input id="cost-to" type="month" value={to} min={from} onChange={changeFilter(setTo)} className="h-8 w-40" />
+          </div>
+          <div>
+            <Label htmlFor="cost-company" className="text-xs">Company</Label>
+            <select
+              id="cost-company"
+              value={companyId}
+              onChange={changeFilter(setCompanyId)}
+              className="block h-8 text-sm border border-border rounded px-2 bg-background text-foreground"
+            >
+              <option value="">All Companies</option>
+              {companies.map(company => (
+                <option key={company.id} value={company.id}>{company.name}</option>
+              ))}
+            </select>
+          </div>
+          <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={loadCosts} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+
+        {report && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <Card>
+                <CardContent className="p-3">
+                  <div className="text-xs text-muted-foreground">Period cost</div>
+                  <div className="text-lg font-bold">{formatCurrency(report.totals.totalCost)}</div>
+                  <div className="text-xs text-muted-foreground">{report.totals.workOrders} work orders</div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-3">
+                  <div className="text-xs text-muted-foreground">Lifetime cost</div>
+                  <div className="text-lg font-bold">{formatCurrency(report.totals.lifetimeCost)}</div>
+                  <div className="text-xs text-muted-foreground">{report.totals.trailers} trailers</div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-3">
+                  <div className="text-xs text-muted-foreground">Cost per mile</div>
+                  <div className="text-lg font-bold">{formatRate(report.totals.costPerMile)}</div>
+                  <div className="text-xs text-muted-foreground">{report.totals.miles.toLocaleString()} miles</div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-3">
+                  <div className="text-xs text-muted-foreground">Cost per trailer day</div>
+                  <div className="text-lg font-bold">{formatRate(report.totals.costPerDay)}</div>
+                  <div className="text-xs text-muted-foreground">{report.totals.trailerDays.toLocaleString()} trailer days</div>
+                </CardContent>
+              </Card>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <Card>
+                <CardHeader className="p-3 pb-0">
+                  <CardTitle className="text-sm">Monthly Costs</CardTitle>
+                </CardHeader>
+                <CardContent className="p-3">
+                  <ChartContainer config={costChartConfig} className="h-56 w-full aspect-auto">
+                    <BarChart data={report.monthly}>
+                      <CartesianGrid vertical={false} />
+                      <XAxis dataKey="month" tickFormatter={formatMonth} tickLine={false} axisLine={false} />
+                      <YAxis tickFormatter={(value: number) => `$${value.toLocaleString()}`} tickLine={false} axisLine={false} width={60} />
+                      <ChartTooltip content={<ChartTooltipContent labelFormatter={(month: string) => formatMonth(month)} />} />
+                      <ChartLegend content={<ChartLegendContent />} />
+                      <Bar dataKey="partsCost" stackId="cost" fill="var(--color-partsCost)" />
+                      <Bar dataKey="laborCost" stackId="cost" fill="var(--color-laborCost)" radius={[4, 4, 0, 0]} />
+                    </BarChart>
+                  </ChartContainer>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader className="p-3 pb-0">
+                  <CardTitle className="text-sm">Costs by Company</CardTitle>
+                </CardHeader>
+                <CardContent className="p-3">
+                  {report.companies.some(company => company.totalCost > 0) ? (
+                    <ChartContainer config={costChartConfig} className="h-56 w-full aspect-auto">
+                      <BarChart data={report.companies} layout="vertical">
+                        <CartesianGrid horizontal={false} />
+                        <XAxis type="number" tickFormatter={(value: number) => `$${value.toLocaleString()}`} tickLine={false} axisLine={false} />
+                        <YAxis type="category" dataKey="companyName" tickLine={false} axisLine={false} width={100} />
+                        <ChartTooltip content={<ChartTooltipContent />} />
+                        <ChartLegend content={<ChartLegendContent />} />
+                        <Bar dataKey="partsCost" stackId="cost" fill="var(--color-partsCost)" />
+                        <Bar dataKey="laborCost" stackId="cost" fill="var(--color-laborCost)" radius={[0, 4, 4, 0]} />
+                      </BarChart>
+                    </ChartContainer>
+                  ) : (
+                    <p className="h-56 flex items-center justify-center text-sm text-muted-foreground">No completed work orders in this period</p>
+                  )}
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card>
+              <CardHeader className="p-3 pb-0">
+                <CardTitle className="text-sm">Highest Cost per Mile</CardTitle>
+              </CardHeader>
+              <CardContent className="p-3">
+                {trailersByRate.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No trailers with completed work orders</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-muted-foreground">
+                        <th className="py-1">Trailer</th>
+                        <th className="py-1">Company</th>
+                        <th className="py-1 text-right">Period</th>
+                        <th className="py-1 text-right">Lifetime</th>
+                        <th className="py-1 text-right">Miles</th>
+                        <th className="py-1 text-right">Per Mile</th>
+                        <th className="py-1 text-right">Per Day</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {trailersByRate.map(trailer => (
+                        <tr key={trailer.trailerId} className="border-t border-border">
+                          <td className="py-1 font-medium">{trailer.unitNumber}</td>
+                          <td className="py-1">{trailer.companyName || '—'}</td>
+                          <td className="py-1 text-right">{formatCurrency(trailer.totalCost)}</td>
+                          <td className="py-1 text-right">{formatCurrency(trailer.lifetimeCost)}</td>
+                          <td className="py-1 text-right">{trailer.miles.toLocaleString()}</td>
+                          <td className="py-1 text-right">{formatRate(trailer.costPerMile)}</td>
+                          <td className="py-1 text-right">{formatRate(trailer.costPerDay)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader className="p-3 pb-0 flex flex-row items-center justify-between space-y-0">
+                <CardTitle className="text-sm">Cost Ledger</CardTitle>
+                <div className="flex items-center gap-1 text-xs text-muted-foreground">
+                  <Button variant="ghost" size="sm" className="h-6 w-6 p-0" disabled={ledgerPage <= 1 || loading} onClick={() => setLedgerPage(page => page - 1)}>
+                    <ChevronLeft className="w-4 h-4" />
+                  </Button>
+                  <span>{ledgerPage} / {ledgerPages}</span>
+                  <Button variant="ghost" size="sm" className="h-6 w-6 p-0" disabled={ledgerPage >= ledgerPages || loading} onClick={() => setLedgerPage(page => page + 1)}>
+                    <ChevronRight className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent className="p-3">
+                {ledger.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No completed work orders in this period</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-muted-foreground">
+                        <th className="py-1">Completed</th>
+                        <th className="py-1">Work Order</th>
+                        <th className="py-1">Trailer</th>
+                        <th className="py-1">Vendor</th>
+                        <th className="py-1 text-right">Parts</th>
+                        <th className="py-1 text-right">Labor</th>
+                        <th className="py-1 text-right">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledger.map(entry => (
+                        <tr key={entry.workOrderId} className="border-t border-border">
+                          <td className="py-1">{new Date(entry.completedAt).toLocaleDateString()}</td>
+                          <td className="py-1">#{entry.number} {entry.title}</td>
+                          <td className="py-1">{entry.unitNumber}</td>
+                          <td className="py-1">{entry.vendorName || '—'}</td>
+                          <td className="py-1 text-right">{formatCurrency(entry.partsCost)}</td>
+                          <td className="py-1 text-right">{formatCurrency(entry.laborCost)}</td>
+                          <td className="py-1 text-right font-medium">{formatCurrency(entry.totalCost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MaintenanceCostsModal;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Checkbox } from './ui/checkbox';
+import { useToast } from '@/hooks/use-toast';
+import { maintenanceAPI } from '@/lib/api';
+import type { PmDue } from '@/types';
+
+interface PmServiceModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  trailerId: string;
+  // Schedule the service is recorded under
+  due: PmDue | null;
+  onServiceRecorded: () => void;
+}
+
+const PmServiceModal: React.FC<PmServiceModalProps> = ({ isOpen, onClose, trailerId, due, onServiceRecorded }) => {
+  const { toast } = useToast();
+  const [meterReading, setMeterReading] = useState('');
+  const [performedOn, setPerformedOn] = useState('');
+  const [tasks, setTasks] = useState<string[]>([]);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && due) {
+      setMeterReading(due.currentReading !== null ? String(due.currentReading) : '');
+      setPerformedOn(new Date().toISOString().split('T')[0]);
+      setTasks(due.tasks);
+      setNotes('');
+    }
+  }, [isOpen, due]);
+
+  if (!due) return null;
+
+  const unit = due.meter === 'engine_hours' ? 'engine hours' : 'miles';
+  const today = new Date().toISOString().split('T')[0];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      // A service dated today keeps the current time so it is not older than today's meter readings
+      const performedAt = performedOn === today ? new Date().toISOString() : new Date(`${performedOn}T12:00:00`).toISOString();
+      await maintenanceAPI.recordPmService(trailerId, {
+        scheduleId: due.scheduleId,
+        // Left at the current reading, the server takes the trailer's reading at the time of saving
+        meterReading: meterReading !== '' && parseFloat(meterReading) !== due.currentReading ? parseFloat(meterReading) : null,
+        performedAt,
+        tasks,
+        notes: notes.trim() || null
+      });
+      toast({ title: "Success", description: `${due.name} recorded` });
+      onServiceRecorded();
+      onClose();
+    } catch (error: unknown) {
+      const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+        || (error instanceof Error ? error.message : 'Failed to record service');
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Record {due.name}</DialogTitle>
+          <DialogDescription>
+            The next service is due {due.intervalValue.toLocaleString()} {unit} after this one.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="pm-service-date">Performed on</Label>
+              <Input
+                id="pm-service-date"
+                type="date"
+                max={today}
+                value={performedOn}
+                onChange={(e) => setPerformedOn(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="pm-service-reading">Reading ({unit})</Label>
+              <Input
+                id="pm-service-reading"
+                type="number"
+                min="0"
+                value={meterReading}
+                onChange={(e) => setMeterReading(e.target.value)}
+              />
+            </div>
+          </div>
+          {due.tasks.length > 0 && (
+            <div className="space-y-2">
+              <Label>Tasks done</Label>
+              {due.tasks.map((task, index) => (
+                <div key={task} className="flex items-center gap-2">
+                  <Checkbox
+                    id={`pm-service-task-${index}`}
+                    checked={tasks.includes(task)}
+                    onCheckedChange={(checked) => setTasks(checked ? [...tasks, task] : tasks.filter(item => item !== task))}
+                  />
+                  <Label htmlFor={`pm-service-task-${index}`} className="text-sm font-normal">{task}</Label>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="pm-service-notes">Notes</Label>
+            <Textarea
+              id="pm-service-notes"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSave} disabled={saving || !performedOn || (meterReading === '' && due.currentReading === null)}>
+            {saving ? 'Saving...' : 'Record Service'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PmServiceModal;
@@ -19,13 +19,20 @@ import {
   Navigation,
   Gauge,
   Settings,
-  ExternalLink
+  ExternalLink,
+  Thermometer,
+  ClipboardCheck,
+  ClipboardList,
+  Cog
 } from 'lucide-react';
-import { formatDateInTimezone, formatDateOnlyInTimezone } from '@/lib/utils';
+import { formatCurrency, formatDateInTimezone, formatDateOnlyInTimezone } from '@/lib/utils';
 import LocationEditModal from './LocationEditModal';
 import TrailerEditModal from '@/pages/trailers/components/TrailerEditModal';
 import NotesModal from './NotesModal';
-import { maintenanceAPI } from '@/lib/api';
+import PmServiceModal from './PmServiceModal';
+import WorkOrderModal from './WorkOrderModal';
+import { maintenanceAPI, trailerAPI, workOrderAPI } from '@/lib/api';
+import { InspectionDue, InspectionDueStatus, PmDue, TelemetryMetric, TelemetryReading, TrailerMeters, WORK_ORDER_STATUSES, WorkOrder } from '@/types';
 
 // Helper function to format addresses consistently
 const formatAddress = (address: string | null | undefined): string => {
@@ -51,6 +58,51 @@ const formatAddress = (address: string | null | undefined): string => {
   return address;
 };
 
+const TELEMETRY_LABELS: Record<TelemetryMetric, string> = {
+  door_open: 'Door',
+  cargo_loaded: 'Cargo',
+  reefer_set_point_c: 'Reefer Set Point',
+  reefer_return_air_c: 'Reefer Return Air',
+  reefer_supply_air_c: 'Reefer Supply Air',
+  reefer_ambient_c: 'Ambient Temperature',
+  reefer_run_mode: 'Reefer Mode',
+  battery_voltage: 'Battery',
+  odometer_miles: 'Odometer',
+  engine_hours: 'Engine Hours'
+};
+
+const INSPECTION_STATUS_LABELS: Record<InspectionDueStatus, string> = {
+  ok: 'OK',
+  due_soon: 'Due soon',
+  overdue: 'Overdue',
+  not_recorded: 'Not recorded'
+};
+
+// Reading of a PM schedule's meter, e.g. 1,250 mi or 40 h
+const formatPmReading = (value: number, meter: PmDue['meter']): string =>
+  `${Math.round(value).toLocaleString()} ${meter === 'engine_hours' ? 'h' : 'mi'}`;
+
+// Display value of a sensor reading, temperatures in both units
+const formatTelemetryValue = (reading: TelemetryReading): string => {
+  if (reading.value === null) {
+    return reading.textValue || '-';
+  }
+  switch (reading.metric) {
+    case 'door_open':
+      return reading.value ? 'Open' : 'Closed';
+    case 'cargo_loaded':
+      return reading.value ? 'Loaded' : 'Empty';
+    case 'battery_voltage':
+      return `${reading.value.toFixed(1)} V`;
+    case 'odometer_miles':
+      return `${Math.round(reading.value).toLocaleString()} mi`;
+    case 'engine_hours':
+      return `${reading.value.toLocaleString()} h`;
+    default:
+      return `${reading.value.toFixed(1)} °C / ${(reading.value * 9 / 5 + 32).toFixed(1)} °F`;
+  }
+};
+
 interface Trailer {
   id: string;
   unitNumber?: string;
@@ -130,6 +182,15 @@ const VehicleInfoModal: React.FC<VehicleInfoModalProps> = ({
     brake_alert_threshold: number;
     enable_maintenance_alerts: boolean;
   } | null>(null);
+  const [telemetry, setTelemetry] = useState<TelemetryReading[]>([]);
+  const [inspectionsDue, setInspectionsDue] = useState<InspectionDue[]>([]);
+  const [pmDue, setPmDue] = useState<PmDue[]>([]);
+  const [meters, setMeters] = useState<TrailerMeters | null>(null);
+  const [pmServiceDue, setPmServiceDue] = useState<PmDue | null>(null);
+  const [pmRefreshKey, setPmRefreshKey] = useState(0);
+  const [workOrders, setWorkOrders] = useState<WorkOrder[]>([]);
+  // Work order shown in the work order modal, null for a new one
+  const [workOrderModal, setWorkOrderModal] = useState<{ workOrderId: string | null } | null>(null);
 
   const handleLocationUpdated = () => {
     if (onTrailerUpdated) {
@@ -162,6 +223,91 @@ const VehicleInfoModal: React.FC<VehicleInfoModalProps> = ({
     }
   }, [isOpen]);
 
+  // Load the latest sensor readings
+  const trailerId = trailer?.id;
+  useEffect(() => {
+    const loadTelemetry = async (id: string) => {
+      try {
+        const response = await trailerAPI.getLatestTelemetry(id);
+        setTelemetry(response.data && response.data.success ? response.data.data : []);
+      } catch (error) {
+        // Sensors are optional, hide the card when they cannot be loaded
+        setTelemetry([]);
+      }
+    };
+
+    if (isOpen && trailerId) {
+      loadTelemetry(trailerId);
+    } else {
+      setTelemetry([]);
+    }
+  }, [isOpen, trailerId]);
+
+  // Load when each of the tenant's inspection types is next due on this trailer
+  useEffect(() => {
+    const loadInspectionsDue = async (id: string) => {
+      try {
+        const response = await maintenanceAPI.getInspectionsDue(id);
+        setInspectionsDue(response.data && response.data.success ? response.data.data : []);
+      } catch (error) {
+        setInspectionsDue([]);
+      }
+    };
+
+    if (isOpen && trailerId) {
+      loadInspectionsDue(trailerId);
+    } else {
+      setInspectionsDue([]);
+    }
+  }, [isOpen, trailerId]);
+
+  // Load the trailer's meters and where it stands on each PM schedule
+  useEffect(() => {
+    const loadPmDue = async (id: string) => {
+      try {
+        const response = await maintenanceAPI.getPmDue(id);
+        const loaded = response.data && response.data.success;
+        setPmDue(loaded ? response.data.data : []);
+        setMeters(loaded ? response.data.meters : null);
+      } catch (error) {
+        setPmDue([]);
+        setMeters(null);
+      }
+    };
+
+    if (isOpen && trailerId) {
+      loadPmDue(trailerId);
+    } else {
+      setPmDue([]);
+      setMeters(null);
+    }
+  }, [isOpen, trailerId, pmRefreshKey]);
+
+  // Load the trailer's work orders; completing one also records services, so they reload with PM due
+  useEffect(() => {
+    const loadWorkOrders = async (id: string) => {
+      try {
+        const response = await workOrderAPI.getWorkOrders({ trailerId: id });
+        setWorkOrders(response.data && response.data.success ? response.data.data : []);
+      } catch (error) {
+        setWorkOrders([]);
+      }
+    };
+
+    if (isOpen && trailerId) {
+      loadWorkOrders(trailerId);
+    } else {
+      setWorkOrders([]);
+    }
+  }, [isOpen, trailerId, pmRefreshKey]);
+
+  const handleMaintenanceRecorded = () => {
+    setPmRefreshKey(key => key + 1);
+    if (onTrailerUpdated) {
+      onTrailerUpdated();
+    }
+  };
+
   const handleTrailerUpdated = () => {
     if (onTrailerUpdated) {
       onTrailerUpdated();
@@ -253,6 +399,11 @@ const VehicleInfoModal: React.FC<VehicleInfoModalProps> = ({
         className: 'bg-green-100 dark:bg-green-900/20 text-green-800 dark:text-green-400 border-green-200 dark:border-green-800',
         text: 'Connected'
       },
+      stale: {
+        icon: <Clock className="h-4 w-4" />,
+        className: 'bg-yellow-100 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-400 border-yellow-200 dark:border-yellow-800',
+        text: 'Stale'
+      },
       disconnected: {
         icon: <AlertTriangle className="h-4 w-4" />,
         className: 'bg-red-100 dark:bg-red-900/20 text-red-800 dark:text-red-400 border-red-200 dark:border-red-800',
@@ -585,6 +736,154 @@ const VehicleInfoModal: React.FC<VehicleInfoModalProps> = ({
                 </CardContent>
               </Card>
 
+              {/* Inspections Due */}
+              {inspectionsDue.length > 0 && (
+                <Card>
+                  <CardHeader className="pb-3">
+                    <CardTitle className="flex items-center gap-2 text-base">
+                      <ClipboardCheck className="h-4 w-4" />
+                      Inspections Due
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="grid grid-cols-1 gap-3 text-sm">
+                      {inspectionsDue.map(inspection => (
+                        <div key={inspection.code} className="flex justify-between gap-4">
+                          <span className="font-medium text-muted-foreground">{inspection.name}:</span>
+                          <span className="text-right">
+                            {inspection.nextDueDate ? formatDate(inspection.nextDueDate) : 'Not recorded'}
+                            {inspection.status !== 'ok' && inspection.status !== 'not_recorded' && (
+                              <Badge variant={inspection.status === 'overdue' ? 'destructive' : 'outline'} className="ml-2 text-xs">
+                                {INSPECTION_STATUS_LABELS[inspection.status]}
+                              </Badge>
+                            )}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
+              {/* Preventive Maintenance */}
+              {pmDue.length > 0 && (
+                <Card>
+                  <CardHeader className="pb-3">
+                    <CardTitle className="flex items-center gap-2 text-base">
+                      <Cog className="h-4 w-4" />
+                      Preventive Maintenance
+                    </CardTitle>
+                    {meters && (
+                      <p className="text-xs text-muted-foreground">
+                        {meters.miles !== null ? formatPmReading(meters.miles, 'miles') : 'No mileage yet'}
+                        {meters.engineHours !== null && ` · ${formatPmReading(meters.engineHours, 'engine_hours')}`}
+                      </p>
+                    )}
+                  </CardHeader>
+                  <CardContent>
+                    <div className="grid grid-cols-1 gap-3 text-sm">
+                      {pmDue.map(due => (
+                        <div key={due.code} className="flex justify-between gap-4">
+                          <span className="font-medium text-muted-foreground">
+                            {due.name}:
+                            {due.tasks.length > 0 && (
+                              <span className="block text-xs font-normal">{due.tasks.join(', ')}</span>
+                            )}
+                          </span>
+                          <span className="text-right">
+                            {due.nextDueReading !== null ? `Due at ${formatPmReading(due.nextDueReading, due.meter)}` : 'Not recorded'}
+                            {due.status !== 'ok' && due.status !== 'not_recorded' && (
+                              <Badge variant={due.status === 'overdue' ? 'destructive' : 'outline'} className="ml-2 text-xs">
+                                {INSPECTION_STATUS_LABELS[due.status]}
+                              </Badge>
+                            )}
+                            {due.remaining !== null && (
+                              <span className="block text-xs text-muted-foreground">
+                                {due.remaining < 0
+                                  ? `${formatPmReading(-due.remaining, due.meter)} over`
+                                  : `${formatPmReading(due.remaining, due.meter)} to go`}
+                              </span>
+                            )}
+                            <Button variant="link" size="sm" className="h-auto p-0 text-xs" onClick={() => setPmServiceDue(due)}>
+                              Record service
+                            </Button>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
+              {/* Work Orders */}
+              <Card>
+                <CardHeader className="pb-3">
+                  <CardTitle className="flex items-center justify-between gap-2 text-base">
+                    <span className="flex items-center gap-2">
+                      <ClipboardList className="h-4 w-4" />
+                      Work Orders
+                    </span>
+                    <Button variant="outline" size="sm" onClick={() => setWorkOrderModal({ workOrderId: null })}>
+                      New
+                    </Button>
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {workOrders.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No work orders yet.</p>
+                  ) : (
+                    <div className="grid grid-cols-1 gap-3 text-sm">
+                      {workOrders.map(workOrder => (
+                        <button
+                          key={workOrder.id}
+                          type="button"
+                          className="flex justify-between gap-4 text-left hover:bg-muted/50 rounded -mx-1 px-1"
+                          onClick={() => setWorkOrderModal({ workOrderId: workOrder.id })}
+                        >
+                          <span className="font-medium">
+                            #{workOrder.number} {workOrder.title}
+                            {workOrder.vendorName && (
+                              <span className="block text-xs font-normal text-muted-foreground">{workOrder.vendorName}</span>
+                            )}
+                          </span>
+                          <span className="text-right">
+                            <Badge variant={workOrder.status === 'completed' ? 'secondary' : 'outline'} className="text-xs">
+                              {WORK_ORDER_STATUSES.find(status => status.value === workOrder.status)?.label}
+                            </Badge>
+                            <span className="block text-xs text-muted-foreground">{formatCurrency(workOrder.totalCost)}</span>
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
+              {/* Sensors */}
+              {telemetry.length > 0 && (
+                <Card>
+                  <CardHeader className="pb-3">
+                    <CardTitle className="flex items-center gap-2 text-base">
+                      <Thermometer className="h-4 w-4" />
+                      Sensors
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="grid grid-cols-1 gap-3 text-sm">
+                      {telemetry.map(reading => (
+                        <div key={reading.metric} className="flex justify-between gap-4">
+                          <span className="font-medium text-muted-foreground">{TELEMETRY_LABELS[reading.metric] || reading.metric}:</span>
+                          <span className="text-right">
+                            {formatTelemetryValue(reading)}
+                            <span className="block text-xs text-muted-foreground">{formatDateTime(reading.recordedAt)}</span>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
               {/* Maintenance Alerts */}
               {maintenanceAlerts.length > 0 && (
                 <Card>
@@ -650,6 +949,24 @@ const VehicleInfoModal: React.FC<VehicleInfoModalProps> = ({
         trailerName={normalizedTrailer.unitNumber}
         onNoteChange={onTrailerUpdated}
       />
+
+      {/* Record PM Service Modal */}
+      <PmServiceModal
+        isOpen={pmServiceDue !== null}
+        onClose={() => setPmServiceDue(null)}
+        trailerId={normalizedTrailer.id}
+        due={pmServiceDue}
+        onServiceRecorded={handleMaintenanceRecorded}
+      />
+
+      {/* Work Order Modal */}
+      <WorkOrderModal
+        isOpen={workOrderModal !== null}
+        onClose={() => setWorkOrderModal(null)}
+        trailerId={normalizedTrailer.id}
+        workOrderId={workOrderModal ? workOrderModal.workOrderId : null}
+        onWorkOrderChanged={handleMaintenanceRecorded}
+      />
     </Dialog>
   );
 };
@@ -0,0 +1,518 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from './ui/dialog';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Checkbox } from './ui/checkbox';
+import { Separator } from './ui/separator';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Trash2, X } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { maintenanceAPI, trailerCustomLocationAPI, workOrderAPI } from '@/lib/api';
+import { formatCurrency } from '@/lib/utils';
+import { WORK_ORDER_STATUSES } from '@/types';
+import type { CustomLocation, TrailerOpenAlert, WorkOrder, WorkOrderLineItemInput, WorkOrderLineType, WorkOrderStatus } from '@/types';
+
+const LINE_TYPE_LABELS: Record<WorkOrderLineType, string> = {
+  part: 'Part',
+  labor: 'Labor'
+};
+
+// Radix selects cannot hold an empty value
+const NO_SELECTION = 'none';
+
+interface TrailerInspection {
+  id: string;
+  inspection_type: string;
+  inspection_date: string;
+  status: string;
+  notes: string | null;
+}
+
+interface WorkOrderModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  trailerId: string;
+  // Work order to show, null to open a new one
+  workOrderId: string | null;
+  onWorkOrderChanged: () => void;
+}
+
+const emptyLineItem = (): WorkOrderLineItemInput => ({ lineType: 'part', description: '', partNumber: '', quantity: 1, unitCost: 0 });
+
+const WorkOrderModal: React.FC<WorkOrderModalProps> = ({ isOpen, onClose, trailerId, workOrderId, onWorkOrderChanged }) => {
+  const { toast } = useToast();
+  const [workOrder, setWorkOrder] = useState<WorkOrder | null>(null);
+  const [vendors, setVendors] = useState<CustomLocation[]>([]);
+  const [openAlerts, setOpenAlerts] = useState<TrailerOpenAlert[]>([]);
+  const [inspections, setInspections] = useState<TrailerInspection[]>([]);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [vendorLocationId, setVendorLocationId] = useState(NO_SELECTION);
+  const [sourceInspectionId, setSourceInspectionId] = useState(NO_SELECTION);
+  const [alertIds, setAlertIds] = useState<string[]>([]);
+  const [lineItem, setLineItem] = useState<WorkOrderLineItemInput>(emptyLineItem());
+  const [completedOn, setCompletedOn] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const showError = (error: unknown, fallback: string) => {
+    const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+      || (error instanceof Error ? error.message : fallback);
+    toast({
+      title: "Error",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  };
+
+  const applyWorkOrder = (loaded: WorkOrder | null) => {
+    setWorkOrder(loaded);
+    setTitle(loaded ? loaded.title : '');
+    setDescription(loaded?.description || '');
+    setVendorLocationId(loaded?.vendorLocationId || NO_SELECTION);
+  };
+
+  // Load the work order with the vendors, open alerts and inspections it can be linked to
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [locationsResponse, alertsResponse, inspectionsResponse, workOrderResponse] = await Promise.all([
+          trailerCustomLocationAPI.getCustomLocations(),
+          maintenanceAPI.getTrailerAlerts(trailerId),
+          maintenanceAPI.getInspections({ trailerId }),
+          workOrderId ? workOrderAPI.getWorkOrder(workOrderId) : Promise.resolve(null)
+        ]);
+        const locations: CustomLocation[] = locationsResponse.data?.data || [];
+        const loaded: WorkOrder | null = workOrderResponse ? workOrderResponse.data.data : null;
+        setVendors(locations.filter(location => location.type === 'maintenance'));
+        setOpenAlerts(alertsResponse.data?.data || []);
+        setInspections((inspectionsResponse.data as unknown as { data?: TrailerInspection[] })?.data || []);
+        setWorkOrder(loaded);
+        setTitle(loaded ? loaded.title : '');
+        setDescription(loaded?.description || '');
+        setVendorLocationId(loaded?.vendorLocationId || NO_SELECTION);
+      } catch (error) {
+        toast({
+          title: "Error",
+          description: 'Failed to load work order',
+          variant: "destructive",
+        });
+      }
+    };
+
+    if (isOpen) {
+      setWorkOrder(null);
+      setSourceInspectionId(NO_SELECTION);
+      setAlertIds([]);
+      setLineItem(emptyLineItem());
+      setCompletedOn(new Date().toISOString().split('T')[0]);
+      load();
+    }
+  }, [isOpen, trailerId, workOrderId, toast]);
+
+  // Runs a change that returns the updated work order
+  const save = async (change: () => Promise<{ data: { data: WorkOrder; message?: string } }>, fallback: string) => {
+    try {
+      setSaving(true);
+      const response = await change();
+      applyWorkOrder(response.data.data);
+      if (response.data.message) {
+        toast({ title: "Success", description: response.data.message });
+      }
+      onWorkOrderChanged();
+      return true;
+    } catch (error) {
+      showError(error, fallback);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = () => save(() => workOrderAPI.createWorkOrder({
+    trailerId,
+    title: title.trim() || null,
+    description: description.trim() || null,
+    vendorLocationId: vendorLocationId === NO_SELECTION ? null : vendorLocationId,
+    sourceInspectionId: sourceInspectionId === NO_SELECTION ? null : sourceInspectionId,
+    alertIds
+  }), 'Failed to create work order');
+
+  const handleUpdate = (current: WorkOrder) => save(() => workOrderAPI.updateWorkOrder(current.id, {
+    title: title.trim(),
+    description: description.trim() || null,
+    vendorLocationId: vendorLocationId === NO_SELECTION ? null : vendorLocationId
+  }), 'Failed to update work order');
+
+  const handleStatus = async (current: WorkOrder, status: WorkOrderStatus) => {
+    const today = new Date().toISOString().split('T')[0];
+    // Completed today keeps the current time so it is not older than today's meter readings
+    const completedAt = completedOn === today ? new Date().toISOString() : new Date(`${completedOn}T12:00:00`).toISOString();
+    const saved = await save(() => workOrderAPI.setStatus(current.id, {
+      status,
+      completedAt: status === 'completed' ? completedAt : null
+    }), 'Failed to change work order status');
+    if (saved && status === 'completed') {
+      const response = await maintenanceAPI.getTrailerAlerts(trailerId);
+      setOpenAlerts(response.data?.data || []);
+    }
+  };
+
+  const handleDelete = async (current: WorkOrder) => {
+    if (!confirm(`Delete work order #${current.number}? Its alerts stay open.`)) {
+      return;
+    }
+    try {
+      setSaving(true);
+      await workOrderAPI.deleteWorkOrder(current.id);
+      toast({ title: "Success", description: `Work order #${current.number} deleted` });
+      onWorkOrderChanged();
+      onClose();
+    } catch (error) {
+      showError(error, 'Failed to delete work order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddLineItem = async (current: WorkOrder) => {
+    const saved = await save(() => workOrderAPI.addLineItem(current.id, {
+      ...lineItem,
+      description: lineItem.description.trim(),
+      partNumber: lineItem.lineType === 'part' ? lineItem.partNumber?.trim() || null : null
+    }), 'Failed to add line item');
+    if (saved) {
+      setLineItem(emptyLineItem());
+    }
+  };
+
+  const toggleAlert = (alertId: string, checked: boolean) => {
+    setAlertIds(checked ? [...alertIds, alertId] : alertIds.filter(id => id !== alertId));
+  };
+
+  const isCompleted = workOrder?.status === 'completed';
+  const linkedAlertIds = new Set((workOrder?.alerts || []).map(alert => alert.id));
+  // Alerts not yet on any work order
+  const unlinkedAlerts = openAlerts.filter(alert => !alert.work_order_id && !linkedAlertIds.has(alert.id));
+
+  const vendorSelect = (
+    <div className="space-y-2">
+      <Label htmlFor="work-order-vendor">Vendor / shop</Label>
+      <Select value={vendorLocationId} onValueChange={setVendorLocationId} disabled={isCompleted}>
+        <SelectTrigger id="work-order-vendor">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NO_SELECTION}>Not assigned</SelectItem>
+          {vendors.map(vendor => (
+            <SelectItem key={vendor.id} value={vendor.id}>{vendor.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {vendors.length === 0 && (
+        <p className="text-xs text-muted-foreground">Add a custom location of type Maintenance to assign a vendor.</p>
+      )}
+    </div>
+  );
+
+  const alertCheckboxes = unlinkedAlerts.length > 0 && (
+    <div className="space-y-2">
+      <Label>{workOrder ? 'Link open alerts' : 'Open alerts to work on'}</Label>
+      {unlinkedAlerts.map(alert => (
+        <div key={alert.id} className="flex items-center gap-2">
+          <Checkbox
+            id={`work-order-alert-${alert.id}`}
+            checked={alertIds.includes(alert.id)}
+            onCheckedChange={(checked) => toggleAlert(alert.id, checked === true)}
+          />
+          <Label htmlFor={`work-order-alert-${alert.id}`} className="text-sm font-normal">
+            {alert.title}
+            {alert.description && <span className="block text-xs text-muted-foreground">{alert.description}</span>}
+          </Label>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {workOrder ? `Work Order #${workOrder.number}` : 'New Work Order'}
+            {workOrder && (
+              <Badge variant={workOrder.status === 'completed' ? 'secondary' : 'outline'}>
+                {WORK_ORDER_STATUSES.find(status => status.value === workOrder.status)?.label}
+              </Badge>
+            )}
+          </DialogTitle>
+          <DialogDescription>
+            {workOrder
+              ? 'Completing the work order resolves its alerts and records its services on the trailer.'
+              : 'Open a work order from the trailer\'s alerts or an inspection defect.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="work-order-title">Title</Label>
+            <Input
+              id="work-order-title"
+              value={title}
+              placeholder={workOrder ? undefined : 'Taken from the alerts or inspection when left empty'}
+              disabled={isCompleted}
+              onChange={(e) => setTitle(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="work-order-description">Description</Label>
+            <Textarea
+              id="work-order-description"
+              rows={2}
+              value={description}
+              disabled={isCompleted}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </div>
+          {vendorSelect}
+
+          {!workOrder && inspections.length > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="work-order-inspection">Inspection defect</Label>
+              <Select value={sourceInspectionId} onValueChange={setSourceInspectionId}>
+                <SelectTrigger id="work-order-inspection">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_SELECTION}>None</SelectItem>
+                  {inspections.map(inspection => (
+                    <SelectItem key={inspection.id} value={inspection.id}>
+                      {inspection.inspection_type.replace(/_/g, ' ')} on {inspection.inspection_date}
+                      {inspection.notes ? ` - ${inspection.notes}` : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {!workOrder && alertCheckboxes}
+
+          {workOrder && (
+            <>
+              {!isCompleted && (
+                <div className="flex justify-end">
+                  <Button variant="outline" size="sm" onClick={() => handleUpdate(workOrder)} disabled={saving || !title.trim()}>
+                    Save Details
+                  </Button>
+                </div>
+              )}
+
+              <Separator />
+
+              <div className="space-y-2">
+                <Label>Alerts</Label>
+                {(workOrder.alerts || []).length === 0 && (
+                  <p className="text-sm text-muted-foreground">No alerts linked.</p>
+                )}
+                {(workOrder.alerts || []).map(alert => (
+                  <div key={alert.id} className="flex items-start justify-between gap-2 text-sm">
+                    <span>
+                      {alert.title}
+                      {alert.isResolved && <Badge variant="secondary" className="ml-2 text-xs">Resolved</Badge>}
+                    </span>
+                    {!isCompleted && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        aria-label="Unlink alert"
+                        disabled={saving}
+                        onClick={() => save(() => workOrderAPI.unlinkAlert(workOrder.id, alert.id), 'Failed to unlink alert')}
+                      >
+                        <X className="h-3 w-3" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                {workOrder.serviceTypes.length > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    Services recorded on completion: {workOrder.serviceTypes.map(type => type.replace(/_/g, ' ')).join(', ')}
+                  </p>
+                )}
+                {!isCompleted && alertCheckboxes}
+                {!isCompleted && alertIds.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={saving}
+                    onClick={async () => {
+                      if (await save(() => workOrderAPI.linkAlerts(workOrder.id, alertIds), 'Failed to link alerts')) {
+                        setAlertIds([]);
+                      }
+                    }}
+                  >
+                    Link {alertIds.length} alert{alertIds.length === 1 ? '' : 's'}
+                  </Button>
+                )}
+              </div>
+
+              <Separator />
+
+              <div className="space-y-2">
+                <Label>Parts and labor</Label>
+                {(workOrder.lineItems || []).map(item => (
+                  <div key={item.id} className="flex items-center justify-between gap-2 text-sm">
+                    <span>
+                      <Badge variant="outline" className="mr-2 text-xs">{LINE_TYPE_LABELS[item.lineType]}</Badge>
+                      {item.description}
+                      {item.partNumber && <span className="text-muted-foreground"> ({item.partNumber})</span>}
+                      <span className="block text-xs text-muted-foreground">
+                        {item.quantity} {item.lineType === 'labor' ? 'hr' : '×'} @ {formatCurrency(item.unitCost)}
+                      </span>
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {formatCurrency(item.total)}
+                      {!isCompleted && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-6 w-6 p-0"
+                          aria-label="Delete line item"
+                          disabled={saving}
+                          onClick={() => save(() => workOrderAPI.deleteLineItem(workOrder.id, item.id), 'Failed to delete line item')}
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </Button>
+                      )}
+                    </span>
+                  </div>
+                ))}
+                {!isCompleted && (
+                  <div className="grid grid-cols-12 gap-2 items-end">
+                    <div className="col-span-3">
+                      <Select value={lineItem.lineType} onValueChange={(value) => setLineItem({ ...lineItem, lineType: value as WorkOrderLineType })}>
+                        <SelectTrigger aria-label="Line type">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {(Object.entries(LINE_TYPE_LABELS) as [WorkOrderLineType, string][]).map(([type, label]) => (
+                            <SelectItem key={type} value={type}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <Input
+                      className="col-span-4"
+                      placeholder="Description"
+                      value={lineItem.description}
+                      onChange={(e) => setLineItem({ ...lineItem, description: e.target.value })}
+                    />
+                    <Input
+                      className="col-span-2"
+                      placeholder={lineItem.lineType === 'labor' ? 'Hours' : 'Qty'}
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={lineItem.quantity}
+                      onChange={(e) => setLineItem({ ...lineItem, quantity: parseFloat(e.target.value) || 0 })}
+                    />
+                    <Input
+                      className="col-span-3"
+                      placeholder={lineItem.lineType === 'labor' ? 'Rate' : 'Unit cost'}
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={lineItem.unitCost}
+                      onChange={(e) => setLineItem({ ...lineItem, unitCost: parseFloat(e.target.value) || 0 })}
+                    />
+                    {lineItem.lineType === 'part' && (
+                      <Input
+                        className="col-span-6"
+                        placeholder="Part number"
+                        value={lineItem.partNumber || ''}
+                        onChange={(e) => setLineItem({ ...lineItem, partNumber: e.target.value })}
+                      />
+                    )}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="col-span-3"
+                      disabled={saving || !lineItem.description.trim() || lineItem.quantity <= 0}
+                      onClick={() => handleAddLineItem(workOrder)}
+                    >
+                      Add Line
+                    </Button>
+                  </div>
+                )}
+                <div className="text-sm text-right space-y-1 pt-2">
+                  <div className="text-muted-foreground">Parts {formatCurrency(workOrder.partsTotal)} · Labor {formatCurrency(workOrder.laborTotal)}</div>
+                  <div className="font-medium">Total {formatCurrency(workOrder.totalCost)}</div>
+                </div>
+              </div>
+
+              {isCompleted && workOrder.completedAt && (
+                <p className="text-sm text-muted-foreground">
+                  Completed {new Date(workOrder.completedAt).toLocaleDateString()}
+                  {workOrder.vendorName && ` by ${workOrder.vendorName}`}
+                </p>
+              )}
+
+              {!isCompleted && (
+                <>
+                  <Separator />
+                  <div className="flex items-end gap-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="work-order-completed-on">Completed on</Label>
+                      <Input
+                        id="work-order-completed-on"
+                        type="date"
+                        max={new Date().toISOString().split('T')[0]}
+                        value={completedOn}
+                        onChange={(e) => setCompletedOn(e.target.value)}
+                      />
+                    </div>
+                    <Button onClick={() => handleStatus(workOrder, 'completed')} disabled={saving || !completedOn}>
+                      Complete
+                    </Button>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <DialogFooter className="gap-2">
+          {workOrder && !isCompleted && (
+            <Button variant="destructive" className="sm:mr-auto" onClick={() => handleDelete(workOrder)} disabled={saving}>
+              Delete
+            </Button>
+          )}
+          {workOrder?.status === 'open' && (
+            <Button variant="outline" onClick={() => handleStatus(workOrder, 'in_progress')} disabled={saving}>
+              Start Work
+            </Button>
+          )}
+          {workOrder?.status === 'in_progress' && (
+            <Button variant="outline" onClick={() => handleStatus(workOrder, 'open')} disabled={saving}>
+              Back to Open
+            </Button>
+          )}
+          <Button variant="outline" onClick={onClose}>Close</Button>
+          {!workOrder && (
+            <Button
+              onClick={handleCreate}
+              disabled={saving || (!title.trim() && alertIds.length === 0 && sourceInspectionId === NO_SELECTION)}
+            >
+              {saving ? 'Saving...' : 'Open Work Order'}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WorkOrderModal;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import type { GeofencePoint, GeofenceType, IdentityReviewStatus, InspectionTypeInput, LocationRulesInput, MaintenanceCostParams, PmMeter, PmScheduleInput, PmServiceInput, ReconciliationThresholds, ReeferExcursionStatus, ReeferRangeInput, TelemetryMetric, WorkOrderCreateInput, WorkOrderInput, WorkOrderLineItemInput, WorkOrderStatus } from '@/types';
 
 // Use relative URL in production, localhost in development
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 
@@ -84,6 +85,7 @@ export interface TrailerParams {
   status?: string;
   companyId?: string;
   gpsStatus?: string;
+  includeArchived?: boolean;
 }
 
 export interface MaintenanceParams {
@@ -94,6 +96,28 @@ export interface MaintenanceParams {
   endDate?: string;
 }
 
+export interface GeofenceEventParams {
+  trailerId?: string;
+  eventType?: 'arrival' | 'departure';
+  from?: string;
+  to?: string;
+  limit?: number;
+  page?: number;
+}
+
+export interface DwellParams {
+  status?: 'current' | 'completed';
+  customCompanyId?: string;
+  locationType?: string;
+  locationId?: string;
+  trailerId?: string;
+  from?: string;
+  to?: string;
+  detentionOnly?: boolean;
+  limit?: number;
+  page?: number;
+}
+
 export interface NoteFilters {
   trailerId?: string;
   category?: string;
@@ -258,19 +282,43 @@ export const trailerAPI = {
   updateTrailer: (trailerId: string, data: Partial<TrailerData>) => api.put<TrailerData>(`/api/trailers/${trailerId}`, data),
   deleteTrailer: (trailerId: string) => api.delete(`/api/trailers/${trailerId}`),
   getStats: () => api.get('/api/stats'),
+  getMaintenanceCosts: (params?: MaintenanceCostParams) => api.get('/api/stats/maintenance-costs', { params }),
+  getMaintenanceCostLedger: (params?: MaintenanceCostParams & { limit?: number; page?: number }) => api.get('/api/stats/maintenance-costs/ledger', { params }),
   getMaintenance: (params?: MaintenanceParams) => api.get<MaintenanceInspectionData[]>('/api/maintenance/inspections', { params }),
   updateLocation: (trailerId: string, locationData: any) => api.put(`/api/trailers/${trailerId}/location`, locationData),
+  getLocationHistory: (trailerId: string, params?: { from?: string; to?: string; source?: 'gps' | 'manual'; limit?: number; page?: number }) => api.get(`/api/trailers/${trailerId}/location-history`, { params }),
+  getDwell: (params?: DwellParams) => api.get('/api/trailers/dwell', { params }),
+  getTelemetry: (trailerId: string, params?: { metric?: TelemetryMetric; from?: string; to?: string; limit?: number; page?: number }) => api.get(`/api/trailers/${trailerId}/telemetry`, { params }),
+  getLatestTelemetry: (trailerId: string) => api.get(`/api/trailers/${trailerId}/telemetry/latest`),
+  getDeviceHealth: (params?: { needsAttention?: boolean; trailerId?: string }) => api.get('/api/trailers/device-health', { params }),
 };
 
 export const providerAPI = {
   getProviders: () => api.get('/api/providers'),
-  createProvider: (companyId: string, data: { name: string; type: string; description?: string; credentials: Record<string, string> }) => api.post(`/api/providers/${companyId}`, data),
-  updateProvider: (id: string, data: Partial<{ name: string; type: string; description?: string; credentials: Record<string, string> }>) => api.put(`/api/providers/${id}`, data),
+  createProvider: (companyId: string, data: { name: string; type: string; description?: string; credentials: Record<string, string> } & ReconciliationThresholds) => api.post(`/api/providers/${companyId}`, data),
+  updateProvider: (id: string, data: Partial<{ name: string; type: string; description?: string; credentials: Record<string, string> }> & ReconciliationThresholds) => api.put(`/api/providers/${id}`, data),
   deleteProvider: (id: string, deleteRelatedTrailers?: boolean) => api.delete(`/api/providers/${id}`, { 
     params: { deleteRelatedTrailers: deleteRelatedTrailers ? 'true' : 'false' } 
   }),
   syncProvider: (id: string) => api.post(`/api/providers/${id}/sync`),
   testProvider: (id: string) => api.post(`/api/providers/${id}/test`),
+  getProviderTypes: () => api.get('/api/providers/types'),
+  getPushConfig: (id: string) => api.get(`/api/providers/${id}/push-config`),
+  getProviderHealth: (id: string, params?: { limit?: number }) => api.get(`/api/providers/${id}/health`, { params }),
+};
+
+export const locationRulesAPI = {
+  getRules: () => api.get('/api/location-rules'),
+  saveRules: (data: LocationRulesInput) => api.put('/api/location-rules', data),
+};
+
+export const reeferAPI = {
+  getRanges: (params?: { trailerId?: string }) => api.get('/api/reefer/ranges', { params }),
+  createRange: (data: ReeferRangeInput) => api.post('/api/reefer/ranges', data),
+  updateRange: (rangeId: string, data: ReeferRangeInput) => api.put(`/api/reefer/ranges/${rangeId}`, data),
+  deleteRange: (rangeId: string) => api.delete(`/api/reefer/ranges/${rangeId}`),
+  getExcursions: (params?: { trailerId?: string; status?: ReeferExcursionStatus; alertedOnly?: boolean; from?: string; to?: string; limit?: number; page?: number }) => api.get('/api/reefer/excursions', { params }),
+  getExcursion: (excursionId: string) => api.get(`/api/reefer/excursions/${excursionId}`),
 };
 
 export const trailerCustomLocationAPI = {
@@ -284,6 +332,10 @@ export const trailerCustomLocationAPI = {
     color?: string; 
     icon_name?: string; 
     is_shared?: boolean; 
+    geofence_type?: GeofenceType | null;
+    geofence_radius_m?: number | null;
+    geofence_polygon?: GeofencePoint[] | null;
+    detention_threshold_minutes?: number | null;
   }) => api.post('/api/trailer-custom-locations', data),
   updateCustomLocation: (id: string, data: Partial<{ 
     name?: string; 
@@ -294,9 +346,15 @@ export const trailerCustomLocationAPI = {
     color?: string; 
     icon_name?: string; 
     is_shared?: boolean; 
-    notes?: string 
+    notes?: string;
+    geofence_type?: GeofenceType | null;
+    geofence_radius_m?: number | null;
+    geofence_polygon?: GeofencePoint[] | null;
+    detention_threshold_minutes?: number | null;
   }>) => api.put(`/api/trailer-custom-locations/${id}`, data),
   deleteCustomLocation: (id: string) => api.delete(`/api/trailer-custom-locations/${id}`),
+  getGeofenceEvents: (params?: GeofenceEventParams) => api.get('/api/trailer-custom-locations/geofence-events', { params }),
+  getLocationGeofenceEvents: (id: string, params?: GeofenceEventParams) => api.get(`/api/trailer-custom-locations/${id}/geofence-events`, { params }),
 };
 
 export const systemNotesAPI = {
@@ -311,7 +369,7 @@ export const systemNotesAPI = {
 export const trailerCustomCompaniesAPI = {
   getCustomCompanies: () => api.get<CompanyData[]>('/api/trailer-custom-companies'),
   createCustomCompany: (data: Omit<CompanyData, 'id' | 'createdAt' | 'updatedAt'>) => api.post<CompanyData>('/api/trailer-custom-companies', data),
-  // updateCustomCompany: (id: string, data: Partial<CompanyData>) => api.put<CompanyData>(`/api/trailer-custom-companies/${id}`, data),
+  updateCustomCompany: (id: string, data: { name?: string; detention_threshold_minutes?: number | null }) => api.put(`/api/trailer-custom-companies/${id}`, data),
   deleteCustomCompany: (id: string) => api.delete(`/api/trailer-custom-companies/${id}`),
 };
 
@@ -323,6 +381,33 @@ export const maintenanceAPI = {
   updateInspection: (id: string, data: Partial<MaintenanceInspectionData>) => api.put<MaintenanceInspectionData>(`/api/maintenance/inspections/${id}`, data),
   deleteInspection: (id: string) => api.delete(`/api/maintenance/inspections/${id}`),
   calculateDates: (trailerId: string, options?: any) => api.post(`/api/maintenance/trailers/${trailerId}/calculate-dates`, { options }),
+  getInspectionTypes: (params?: { activeOnly?: boolean }) => api.get('/api/maintenance/inspection-types', { params }),
+  createInspectionType: (data: InspectionTypeInput & { code: string }) => api.post('/api/maintenance/inspection-types', data),
+  updateInspectionType: (id: string, data: InspectionTypeInput) => api.put(`/api/maintenance/inspection-types/${id}`, data),
+  deleteInspectionType: (id: string) => api.delete(`/api/maintenance/inspection-types/${id}`),
+  getInspectionsDue: (trailerId: string) => api.get(`/api/maintenance/trailers/${trailerId}/inspections-due`),
+  getPmSchedules: (params?: { activeOnly?: boolean }) => api.get('/api/maintenance/pm-schedules', { params }),
+  createPmSchedule: (data: PmScheduleInput & { code: string; meter: PmMeter }) => api.post('/api/maintenance/pm-schedules', data),
+  updatePmSchedule: (id: string, data: PmScheduleInput) => api.put(`/api/maintenance/pm-schedules/${id}`, data),
+  deletePmSchedule: (id: string) => api.delete(`/api/maintenance/pm-schedules/${id}`),
+  getPmDue: (trailerId: string) => api.get(`/api/maintenance/trailers/${trailerId}/pm-due`),
+  getPmServices: (trailerId: string, params?: { scheduleId?: string }) => api.get(`/api/maintenance/trailers/${trailerId}/pm-services`, { params }),
+  recordPmService: (trailerId: string, data: PmServiceInput) => api.post(`/api/maintenance/trailers/${trailerId}/pm-services`, data),
+  getTrailerAlerts: (trailerId: string) => api.get(`/api/maintenance/trailers/${trailerId}/alerts`),
+};
+
+export const workOrderAPI = {
+  getWorkOrders: (params?: { trailerId?: string; status?: WorkOrderStatus; vendorLocationId?: string }) => api.get('/api/work-orders', { params }),
+  getWorkOrder: (workOrderId: string) => api.get(`/api/work-orders/${workOrderId}`),
+  createWorkOrder: (data: WorkOrderCreateInput) => api.post('/api/work-orders', data),
+  updateWorkOrder: (workOrderId: string, data: WorkOrderInput) => api.put(`/api/work-orders/${workOrderId}`, data),
+  setStatus: (workOrderId: string, data: { status: WorkOrderStatus; completedAt?: string | null }) => api.patch(`/api/work-orders/${workOrderId}/status`, data),
+  deleteWorkOrder: (workOrderId: string) => api.delete(`/api/work-orders/${workOrderId}`),
+  linkAlerts: (workOrderId: string, alertIds: string[]) => api.post(`/api/work-orders/${workOrderId}/alerts`, { alertIds }),
+  unlinkAlert: (workOrderId: string, alertId: string) => api.delete(`/api/work-orders/${workOrderId}/alerts/${alertId}`),
+  addLineItem: (workOrderId: string, data: WorkOrderLineItemInput) => api.post(`/api/work-orders/${workOrderId}/line-items`, data),
+  updateLineItem: (workOrderId: string, lineItemId: string, data: WorkOrderLineItemInput) => api.put(`/api/work-orders/${workOrderId}/line-items/${lineItemId}`, data),
+  deleteLineItem: (workOrderId: string, lineItemId: string) => api.delete(`/api/work-orders/${workOrderId}/line-items/${lineItemId}`),
 };
 
 export const geocodingAPI = {
@@ -333,6 +418,30 @@ export const geocodingAPI = {
 export const refreshAPI = {
   refreshLocations: () => api.post('/api/refresh/manual'),
   getStatus: () => api.get('/api/refresh/status'),
+  getHistory: (params?: {
+    providerId?: string;
+    operationType?: string;
+    status?: string;
+    triggerType?: string;
+    trailerId?: string;
+    deviceId?: string;
+    from?: string;
+    to?: string;
+    page?: number;
+    limit?: number;
+  }) => api.get('/api/refresh/history', { params }),
+  getHistoryRun: (logId: string) => api.get(`/api/refresh/history/${logId}`),
+};
+
+export const trailerIdentityAPI = {
+  getReviews: (params?: { status?: IdentityReviewStatus; providerId?: string; page?: number; limit?: number }) => api.get('/api/trailer-identity/reviews', { params }),
+  linkReview: (reviewId: string, trailerId: string) => api.post(`/api/trailer-identity/reviews/${reviewId}/link`, { trailerId }),
+  createFromReview: (reviewId: string) => api.post(`/api/trailer-identity/reviews/${reviewId}/create`),
+  dismissReview: (reviewId: string) => api.post(`/api/trailer-identity/reviews/${reviewId}/dismiss`),
+  getTrailerIdentity: (trailerId: string) => api.get(`/api/trailer-identity/trailers/${trailerId}`),
+  getMerges: (params?: { trailerId?: string; page?: number; limit?: number }) => api.get('/api/trailer-identity/merges', { params }),
+  mergeTrailers: (targetTrailerId: string, sourceTrailerId: string) => api.post('/api/trailer-identity/merges', { targetTrailerId, sourceTrailerId }),
+  unmerge: (mergeId: string) => api.post(`/api/trailer-identity/merges/${mergeId}/unmerge`),
 };
 
 export const adminAPI = {
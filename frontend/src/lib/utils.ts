@@ -81,6 +81,15 @@ export function formatDateOnlyInTimezone(
   }, showTimezone);
 }
 
+/**
+ * Format an amount in US dollars
+ * @param value - Amount
+ * @returns Currency string, e.g. $1,234.50
+ */
+export function formatCurrency(value: number): string {
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
 /**
  * Format relative time (e.g., "2h ago") using user's preferred timezone with timezone indicator
  * @param dateString - ISO date string from backend
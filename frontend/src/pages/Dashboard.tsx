@@ -7,7 +7,8 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import Map from '@/components/Map';
 import Navigation from '@/components/Navigation';
-import { RefreshCw, Truck, MapPin, AlertTriangle, CheckCircle, Search, Building2, ChevronDown, Filter, X } from 'lucide-react';
+import MaintenanceCostsModal from '@/components/MaintenanceCostsModal';
+import { RefreshCw, Truck, MapPin, AlertTriangle, CheckCircle, Search, Building2, ChevronDown, Filter, X, DollarSign } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { useGpsSync } from '@/hooks/useGpsSync';
 import { extractCityState } from '@/lib/utils';
@@ -71,6 +72,7 @@ const Dashboard = () => {
   const [showMarketSummary, setShowMarketSummary] = useState(true);
   const [showMarketDropdown, setShowMarketDropdown] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
+  const [showMaintenanceCosts, setShowMaintenanceCosts] = useState(false);
   const [filters, setFilters] = useState({
     status: '',
     company: ''
@@ -434,7 +436,16 @@ const Dashboard = () => {
                   <span className="text-sm font-bold text-warning">{stats.maintenanceAlerts}</span>
                 </div>
                 
-                <div className="border-l border-gray-300 pl-4">
+                <div className="border-l border-gray-300 pl-4 flex items-center space-x-1">
+                  <Button
+                    onClick={() => setShowMaintenanceCosts(true)}
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 w-7 p-0"
+                    title="Maintenance costs"
+                  >
+                    <DollarSign className="w-3 h-3" />
+                  </Button>
                   <Button 
                     onClick={handleRefresh}
                     disabled={refreshing}
@@ -541,6 +552,12 @@ const Dashboard = () => {
 
         
       </div>
+
+      <MaintenanceCostsModal
+        isOpen={showMaintenanceCosts}
+        onClose={() => setShowMaintenanceCosts(false)}
+        companies={companies}
+      />
     </div>
   );
 };
@@ -7,12 +7,19 @@ import { useNavigate } from 'react-router-dom';
 import SettingsLayout from './components/SettingsLayout';
 import CompanySettings from './components/CompanySettings';
 import ProviderSettings from './components/ProviderSettings';
+import LocationRulesSettings from './components/LocationRulesSettings';
+import SyncHistorySettings from './components/SyncHistorySettings';
+import TrailerIdentitySettings from './components/TrailerIdentitySettings';
+import ReeferSettings from './components/ReeferSettings';
 
 import MaintenanceSettings from './components/MaintenanceSettings';
+import InspectionTypesSettings from './components/InspectionTypesSettings';
+import PmScheduleSettings from './components/PmScheduleSettings';
 import PreferencesSettings from './components/PreferencesSettings';
 import { 
   Company, 
   Provider, 
+  InspectionType,
   MaintenancePreferences,
   UserPreferences
 } from '@/types';
@@ -41,6 +48,7 @@ const Settings = () => {
     enable_email_notifications: true,
     enable_push_notifications: true
   });
+  const [inspectionTypesRefreshKey, setInspectionTypesRefreshKey] = useState(0);
 
   const [userPreferences, setUserPreferences] = useState<UserPreferences>({
     timezone: 'America/Chicago',
@@ -163,9 +171,23 @@ const Settings = () => {
 
   const canViewCompanies = hasPermission('companies_view');
   const canViewProviders = hasPermission('providers_view');
+  const canEditLocationRules = hasPermission('org_edit');
+  const canViewTrailerIdentity = hasPermission('fleet_view');
+  const canEditTrailerIdentity = hasPermission('fleet_edit');
   const canViewMaintenanceSettings = hasPermission('maintenance_settings_view');
+  const canEditReeferRanges = hasPermission('fleet_edit');
+  const canEditMaintenanceSettings = hasPermission('maintenance_settings_edit');
   const canViewCompanyPreferences = hasPermission('company_preferences_view');
 
+  // Built-in inspection types share their interval and alert threshold with the maintenance preferences
+  const handleBuiltInInspectionTypeSaved = (type: InspectionType) => {
+    setMaintenancePreferences(prev => ({
+      ...prev,
+      [`${type.code}_inspection_interval`]: type.intervalDays,
+      [`${type.code}_alert_threshold`]: type.alertThresholdDays
+    }));
+  };
+
   // Check if user has access to any settings tab
   const hasAnySettingsAccess = canViewCompanies || canViewProviders || canViewMaintenanceSettings || canViewCompanyPreferences;
 
@@ -217,6 +239,7 @@ const Settings = () => {
         onTabChange={setActiveTab}
         canViewCompanies={canViewCompanies}
         canViewProviders={canViewProviders}
+        canViewTrailerIdentity={canViewTrailerIdentity}
         canViewMaintenanceSettings={canViewMaintenanceSettings}
         canViewCompanyPreferences={canViewCompanyPreferences}
         isDataReady={!loading && !permissionsLoading}
@@ -234,6 +257,7 @@ const Settings = () => {
       onTabChange={setActiveTab}
       canViewCompanies={canViewCompanies}
       canViewProviders={canViewProviders}
+      canViewTrailerIdentity={canViewTrailerIdentity}
       canViewMaintenanceSettings={canViewMaintenanceSettings}
       canViewCompanyPreferences={canViewCompanyPreferences}
       isDataReady={!loading && !permissionsLoading}
@@ -253,11 +277,14 @@ const Settings = () => {
 
       <TabsContent value="providers">
         {canViewProviders ? (
-          <ProviderSettings 
-            providers={providers} 
-            companies={companies} 
-            onRefresh={loadSettingsData} 
-          />
+          <div className="space-y-6">
+            <ProviderSettings 
+              providers={providers} 
+              companies={companies} 
+              onRefresh={loadSettingsData} 
+            />
+            <LocationRulesSettings providers={providers} canEdit={canEditLocationRules} />
+          </div>
         ) : (
           <div className="text-center py-12">
             <p className="text-muted-foreground">You don't have permission to view GPS providers.</p>
@@ -265,12 +292,42 @@ const Settings = () => {
         )}
       </TabsContent>
 
+      <TabsContent value="sync-history">
+        {canViewProviders ? (
+          <SyncHistorySettings providers={providers} />
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-muted-foreground">You don't have permission to view sync history.</p>
+          </div>
+        )}
+      </TabsContent>
+
+      <TabsContent value="trailer-identity">
+        {canViewTrailerIdentity ? (
+          <TrailerIdentitySettings canEdit={canEditTrailerIdentity} />
+        ) : (
+          <div className="text-center py-12">
+            <p className="text-muted-foreground">You don't have permission to view trailer identity.</p>
+          </div>
+        )}
+      </TabsContent>
+
       <TabsContent value="maintenance">
         {canViewMaintenanceSettings ? (
-          <MaintenanceSettings 
-            maintenancePreferences={maintenancePreferences} 
-            onMaintenancePreferencesChange={setMaintenancePreferences} 
-          />
+          <div className="space-y-6">
+            <MaintenanceSettings 
+              maintenancePreferences={maintenancePreferences} 
+              onMaintenancePreferencesChange={setMaintenancePreferences} 
+              onSaved={() => setInspectionTypesRefreshKey(key => key + 1)}
+            />
+            <InspectionTypesSettings
+              canEdit={canEditMaintenanceSettings}
+              refreshKey={inspectionTypesRefreshKey}
+              onBuiltInTypeSaved={handleBuiltInInspectionTypeSaved}
+            />
+            <PmScheduleSettings canEdit={canEditMaintenanceSettings} />
+            <ReeferSettings canEdit={canEditReeferRanges} />
+          </div>
         ) : (
           <div className="text-center py-12">
             <p className="text-muted-foreground">You don't have permission to view maintenance settings.</p>
@@ -0,0 +1,361 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { maintenanceAPI } from '@/lib/api';
+import { InspectionType, TrailerType } from '@/types';
+import { TRAILER_TYPE_LABELS } from '@/pages/trailers/utils/trailerHelpers';
+import TrailerTypeCheckboxes from './ui/TrailerTypeCheckboxes';
+
+interface InspectionTypesSettingsProps {
+  canEdit: boolean;
+  // Changes when maintenance preferences are saved, which also update the built-in types
+  refreshKey?: number;
+  onBuiltInTypeSaved?: (type: InspectionType) => void;
+}
+
+interface InspectionTypeForm {
+  code: string;
+  name: string;
+  intervalDays: string;
+  alertThresholdDays: string;
+  trailerTypes: TrailerType[];
+  isActive: boolean;
+}
+
+const EMPTY_FORM: InspectionTypeForm = {
+  code: '',
+  name: '',
+  intervalDays: '90',
+  alertThresholdDays: '14',
+  trailerTypes: [],
+  isActive: true
+};
+
+const toInput = (form: InspectionTypeForm) => ({
+  name: form.name.trim(),
+  intervalDays: parseInt(form.intervalDays) || 0,
+  alertThresholdDays: parseInt(form.alertThresholdDays) || 0,
+  trailerTypes: form.trailerTypes.length > 0 ? form.trailerTypes : null,
+  isActive: form.isActive
+});
+
+const InspectionTypesSettings: React.FC<InspectionTypesSettingsProps> = ({ canEdit, refreshKey, onBuiltInTypeSaved }) => {
+  const { toast } = useToast();
+  const [types, setTypes] = useState<InspectionType[]>([]);
+  const [form, setForm] = useState<InspectionTypeForm>(EMPTY_FORM);
+  const [editing, setEditing] = useState<InspectionType | null>(null);
+  const [editForm, setEditForm] = useState<InspectionTypeForm>(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const showError = useCallback((error: unknown, fallback: string) => {
+    const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+      || (error instanceof Error ? error.message : fallback);
+    toast({
+      title: "Error",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadTypes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await maintenanceAPI.getInspectionTypes();
+      setTypes(response.data.success ? response.data.data : []);
+    } catch (error: unknown) {
+      showError(error, 'Failed to load inspection types');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadTypes();
+  }, [loadTypes, refreshKey]);
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await maintenanceAPI.createInspectionType({ code: form.code.trim(), ...toInput(form) });
+      toast({ title: "Success", description: response.data.message });
+      setForm(EMPTY_FORM);
+      await loadTypes();
+    } catch (error: unknown) {
+      showError(error, 'Failed to create inspection type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openEdit = (type: InspectionType) => {
+    setEditing(type);
+    setEditForm({
+      code: type.code,
+      name: type.name,
+      intervalDays: String(type.intervalDays),
+      alertThresholdDays: String(type.alertThresholdDays),
+      trailerTypes: type.trailerTypes || [],
+      isActive: type.isActive
+    });
+  };
+
+  const saveType = async (type: InspectionType, input: ReturnType<typeof toInput>) => {
+    const response = await maintenanceAPI.updateInspectionType(type.id, { ...input, description: type.description });
+    if (type.isBuiltIn) {
+      onBuiltInTypeSaved?.(response.data.data);
+    }
+    await loadTypes();
+    return response;
+  };
+
+  const handleUpdate = async () => {
+    if (!editing) return;
+    try {
+      setSaving(true);
+      const response = await saveType(editing, toInput(editForm));
+      toast({ title: "Success", description: response.data.message });
+      setEditing(null);
+    } catch (error: unknown) {
+      showError(error, 'Failed to update inspection type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (type: InspectionType, isActive: boolean) => {
+    try {
+      await saveType(type, {
+        name: type.name,
+        intervalDays: type.intervalDays,
+        alertThresholdDays: type.alertThresholdDays,
+        trailerTypes: type.trailerTypes,
+        isActive
+      });
+    } catch (error: unknown) {
+      showError(error, 'Failed to update inspection type');
+    }
+  };
+
+  const handleDelete = async (type: InspectionType) => {
+    if (!confirm(`Delete the ${type.name} inspection type? Inspections already recorded are kept.`)) return;
+    try {
+      await maintenanceAPI.deleteInspectionType(type.id);
+      await loadTypes();
+    } catch (error: unknown) {
+      showError(error, 'Failed to delete inspection type');
+    }
+  };
+
+  const formatTrailerTypes = (trailerTypes: TrailerType[] | null) =>
+    trailerTypes && trailerTypes.length > 0
+      ? trailerTypes.map(type => TRAILER_TYPE_LABELS[type]).join(', ')
+      : <span className="text-muted-foreground">All trailers</span>;
+
+  const isValid = (item: InspectionTypeForm) => item.name.trim() !== '' && parseInt(item.intervalDays) > 0 && item.alertThresholdDays !== '';
+  const canCreate = form.code.trim() !== '' && isValid(form);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Inspection Types</CardTitle>
+        <CardDescription>
+          Each active type is tracked on the trailers it applies to and raises an alert once its next inspection is within the alert threshold. The annual, midtrip and brake intervals are the maintenance preferences above.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Type</TableHead>
+              <TableHead>Every</TableHead>
+              <TableHead>Alert</TableHead>
+              <TableHead>Applies to</TableHead>
+              <TableHead>Active</TableHead>
+              {canEdit && <TableHead />}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {types.map(type => (
+              <TableRow key={type.id}>
+                <TableCell>
+                  <div className="flex items-center gap-2 font-medium">
+                    {type.name}
+                    {type.isBuiltIn && <Badge variant="secondary" className="text-xs">Built-in</Badge>}
+                  </div>
+                  <div className="text-xs text-muted-foreground">{type.code}</div>
+                </TableCell>
+                <TableCell>{type.intervalDays} days</TableCell>
+                <TableCell>{type.alertThresholdDays} days before</TableCell>
+                <TableCell className="text-sm">{formatTrailerTypes(type.trailerTypes)}</TableCell>
+                <TableCell>
+                  <Switch
+                    checked={type.isActive}
+                    onCheckedChange={(checked) => handleToggleActive(type, checked)}
+                    disabled={!canEdit}
+                  />
+                </TableCell>
+                {canEdit && (
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="sm" onClick={() => openEdit(type)}>
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    {!type.isBuiltIn && (
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(type)}>
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+            {types.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={canEdit ? 6 : 5} className="text-center text-muted-foreground">No inspection types</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+
+        {canEdit && (
+          <>
+            <Separator />
+            <div className="space-y-4">
+              <h3 className="text-lg font-semibold">Add Inspection Type</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="inspection-type-name">Name</Label>
+                  <Input
+                    id="inspection-type-name"
+                    placeholder="e.g. Reefer unit service"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="inspection-type-code">Code</Label>
+                  <Input
+                    id="inspection-type-code"
+                    placeholder="e.g. reefer_service"
+                    value={form.code}
+                    onChange={(e) => setForm({ ...form, code: e.target.value.toLowerCase() })}
+                  />
+                  <p className="text-xs text-muted-foreground">Inspections are recorded against the code, so it cannot be changed later</p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="inspection-type-interval">Interval (days)</Label>
+                  <Input
+                    id="inspection-type-interval"
+                    type="number"
+                    min="1"
+                    value={form.intervalDays}
+                    onChange={(e) => setForm({ ...form, intervalDays: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="inspection-type-threshold">Alert threshold (days)</Label>
+                  <Input
+                    id="inspection-type-threshold"
+                    type="number"
+                    min="0"
+                    value={form.alertThresholdDays}
+                    onChange={(e) => setForm({ ...form, alertThresholdDays: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label>Applies to</Label>
+                <TrailerTypeCheckboxes
+                  idPrefix="inspection-type-new"
+                  selected={form.trailerTypes}
+                  onChange={(trailerTypes) => setForm({ ...form, trailerTypes })}
+                />
+                <p className="text-xs text-muted-foreground">Leave all unchecked to track it on every trailer</p>
+              </div>
+              <div className="flex justify-end">
+                <Button onClick={handleCreate} disabled={!canCreate || saving} className="gap-2">
+                  <Plus className="w-4 h-4" />
+                  {saving ? 'Saving...' : 'Add Type'}
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+
+      <Dialog open={editing !== null} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="sm:max-w-[520px]">
+          {editing && (
+            <>
+              <DialogHeader>
+                <DialogTitle>Edit {editing.name}</DialogTitle>
+                <DialogDescription>
+                  {editing.isBuiltIn
+                    ? 'The interval and alert threshold are also saved as maintenance preferences.'
+                    : `Code ${editing.code}`}
+                </DialogDescription>
+              </DialogHeader>
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="inspection-type-edit-name">Name</Label>
+                  <Input
+                    id="inspection-type-edit-name"
+                    value={editForm.name}
+                    onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="inspection-type-edit-interval">Interval (days)</Label>
+                    <Input
+                      id="inspection-type-edit-interval"
+                      type="number"
+                      min="1"
+                      value={editForm.intervalDays}
+                      onChange={(e) => setEditForm({ ...editForm, intervalDays: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="inspection-type-edit-threshold">Alert threshold (days)</Label>
+                    <Input
+                      id="inspection-type-edit-threshold"
+                      type="number"
+                      min="0"
+                      value={editForm.alertThresholdDays}
+                      onChange={(e) => setEditForm({ ...editForm, alertThresholdDays: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <Label>Applies to</Label>
+                  <TrailerTypeCheckboxes
+                    idPrefix="inspection-type-edit"
+                    selected={editForm.trailerTypes}
+                    onChange={(trailerTypes) => setEditForm({ ...editForm, trailerTypes })}
+                  />
+                </div>
+              </div>
+              <DialogFooter>
+                <Button variant="outline" onClick={() => setEditing(null)}>Cancel</Button>
+                <Button onClick={handleUpdate} disabled={!isValid(editForm) || saving}>
+                  {saving ? 'Saving...' : 'Save'}
+                </Button>
+              </DialogFooter>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default InspectionTypesSettings;
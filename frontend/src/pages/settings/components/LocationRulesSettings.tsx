@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { ArrowUp, ArrowDown, Save } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { locationRulesAPI } from '@/lib/api';
+import { LocationRules, LocationRulesInput, Provider } from '@/types';
+import { orderProvidersByPriority } from '../utils/settingsUtils';
+
+interface LocationRulesSettingsProps {
+  providers: Provider[];
+  canEdit: boolean;
+}
+
+const LocationRulesSettings: React.FC<LocationRulesSettingsProps> = ({ providers, canEdit }) => {
+  const { toast } = useToast();
+  const [rules, setRules] = useState<LocationRulesInput | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await locationRulesAPI.getRules();
+      if (response.data.success) {
+        const { manualExpiryHours, gpsOverrideMiles, providerPriority, priorityFallbackMinutes } = response.data.data as LocationRules;
+        setRules({ manualExpiryHours, gpsOverrideMiles, providerPriority, priorityFallbackMinutes });
+      }
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to load location rules';
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  if (!rules) return null;
+
+  const orderedProviders = orderProvidersByPriority(providers, rules.providerPriority);
+
+  const handleNumberChange = (field: 'manualExpiryHours' | 'gpsOverrideMiles' | 'priorityFallbackMinutes', value: string) => {
+    const parsed = field === 'gpsOverrideMiles' ? parseFloat(value) : parseInt(value);
+    setRules({ ...rules, [field]: isNaN(parsed) ? 0 : parsed });
+  };
+
+  // Saving ranks every provider in the order shown
+  const moveProvider = (index: number, offset: number) => {
+    const order = orderedProviders.map(provider => provider.id);
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    setRules({ ...rules, providerPriority: order });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await locationRulesAPI.saveRules({
+        ...rules,
+        providerPriority: orderedProviders.map(provider => provider.id)
+      });
+      toast({ title: "Location rules saved", description: response.data.message });
+    } catch (error: unknown) {
+      const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+        || (error instanceof Error ? error.message : 'Failed to save location rules');
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Location Rules</CardTitle>
+        <CardDescription>
+          Decide when GPS replaces a manual location and which provider wins when several report the same trailer
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold">Manual Locations</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="manual-expiry-hours">Expire after (hours)</Label>
+              <Input
+                id="manual-expiry-hours"
+                type="number"
+                min="0"
+                value={rules.manualExpiryHours}
+                onChange={(e) => handleNumberChange('manualExpiryHours', e.target.value)}
+                disabled={!canEdit}
+              />
+              <p className="text-xs text-muted-foreground">Newer GPS replaces the manual location after this long. 0 keeps it until GPS moves away.</p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="gps-override-miles">Replace when GPS moves (miles)</Label>
+              <Input
+                id="gps-override-miles"
+                type="number"
+                min="0"
+                step="0.1"
+                value={rules.gpsOverrideMiles}
+                onChange={(e) => handleNumberChange('gpsOverrideMiles', e.target.value)}
+                disabled={!canEdit}
+              />
+              <p className="text-xs text-muted-foreground">Newer GPS this far from the manual location replaces it right away. 0 turns this off.</p>
+            </div>
+          </div>
+        </div>
+
+        <Separator />
+
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold">Provider Priority</h3>
+          {orderedProviders.length > 1 ? (
+            <div className="space-y-2">
+              {orderedProviders.map((provider, index) => (
+                <div key={provider.id} className="flex items-center justify-between rounded-md border px-3 py-2">
+                  <span className="text-sm">
+                    <span className="text-muted-foreground mr-2">{index + 1}.</span>
+                    {provider.name}
+                    <span className="text-xs text-muted-foreground"> ({provider.type})</span>
+                  </span>
+                  {canEdit && (
+                    <div className="flex gap-1">
+                      <Button variant="ghost" size="sm" onClick={() => moveProvider(index, -1)} disabled={index === 0}>
+                        <ArrowUp className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => moveProvider(index, 1)} disabled={index === orderedProviders.length - 1}>
+                        <ArrowDown className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">Provider priority applies once more than one provider reports your trailers.</p>
+          )}
+          <div className="space-y-2 md:w-1/2">
+            <Label htmlFor="priority-fallback-minutes">Fall back after (minutes)</Label>
+            <Input
+              id="priority-fallback-minutes"
+              type="number"
+              min="0"
+              value={rules.priorityFallbackMinutes}
+              onChange={(e) => handleNumberChange('priorityFallbackMinutes', e.target.value)}
+              disabled={!canEdit}
+            />
+            <p className="text-xs text-muted-foreground">A lower provider's newer position is used once the higher provider has not reported for this long.</p>
+          </div>
+        </div>
+
+        {canEdit && (
+          <div className="flex justify-end">
+            <Button onClick={handleSave} disabled={saving} className="gap-2">
+              <Save className="w-4 h-4" />
+              {saving ? 'Saving...' : 'Save Location Rules'}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LocationRulesSettings;
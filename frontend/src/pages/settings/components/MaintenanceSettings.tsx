@@ -12,11 +12,13 @@ import MaintenanceIntervalSection from './ui/MaintenanceIntervalSection';
 interface MaintenanceSettingsProps {
   maintenancePreferences: MaintenancePreferences;
   onMaintenancePreferencesChange: (preferences: MaintenancePreferences) => void;
+  onSaved?: () => void;
 }
 
 const MaintenanceSettings: React.FC<MaintenanceSettingsProps> = ({ 
   maintenancePreferences, 
-  onMaintenancePreferencesChange 
+  onMaintenancePreferencesChange,
+  onSaved
 }) => {
   const { toast } = useToast();
   const [savingMaintenancePreferences, setSavingMaintenancePreferences] = useState(false);
@@ -38,6 +40,7 @@ const MaintenanceSettings: React.FC<MaintenanceSettingsProps> = ({
       
       if (response.data.success) {
         toast({ title: "Maintenance preferences saved", description: "Your maintenance preferences have been updated successfully." });
+        onSaved?.();
       } else {
         throw new Error(response.data.error || 'Failed to save maintenance preferences');
       }
@@ -0,0 +1,404 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { Switch } from '@/components/ui/switch';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { maintenanceAPI } from '@/lib/api';
+import { PmMeter, PmSchedule, TrailerType } from '@/types';
+import { TRAILER_TYPE_LABELS } from '@/pages/trailers/utils/trailerHelpers';
+import TrailerTypeCheckboxes from './ui/TrailerTypeCheckboxes';
+
+const METER_LABELS: Record<PmMeter, string> = {
+  miles: 'Miles',
+  engine_hours: 'Engine hours'
+};
+
+const METER_UNITS: Record<PmMeter, string> = {
+  miles: 'mi',
+  engine_hours: 'h'
+};
+
+interface PmScheduleSettingsProps {
+  canEdit: boolean;
+}
+
+interface PmScheduleForm {
+  code: string;
+  name: string;
+  meter: PmMeter;
+  intervalValue: string;
+  dueSoonThreshold: string;
+  // One task per line
+  tasks: string;
+  trailerTypes: TrailerType[];
+  isActive: boolean;
+}
+
+const EMPTY_FORM: PmScheduleForm = {
+  code: '',
+  name: '',
+  meter: 'miles',
+  intervalValue: '25000',
+  dueSoonThreshold: '1000',
+  tasks: '',
+  trailerTypes: [],
+  isActive: true
+};
+
+const toInput = (form: PmScheduleForm) => ({
+  name: form.name.trim(),
+  intervalValue: parseFloat(form.intervalValue) || 0,
+  dueSoonThreshold: parseFloat(form.dueSoonThreshold) || 0,
+  tasks: form.tasks.split('\n').map(task => task.trim()).filter(Boolean),
+  trailerTypes: form.trailerTypes.length > 0 ? form.trailerTypes : null,
+  isActive: form.isActive
+});
+
+const formatReading = (value: number, meter: PmMeter) => `${value.toLocaleString()} ${METER_UNITS[meter]}`;
+
+const PmScheduleSettings: React.FC<PmScheduleSettingsProps> = ({ canEdit }) => {
+  const { toast } = useToast();
+  const [schedules, setSchedules] = useState<PmSchedule[]>([]);
+  const [form, setForm] = useState<PmScheduleForm>(EMPTY_FORM);
+  const [editing, setEditing] = useState<PmSchedule | null>(null);
+  const [editForm, setEditForm] = useState<PmScheduleForm>(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const showError = useCallback((error: unknown, fallback: string) => {
+    const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+      || (error instanceof Error ? error.message : fallback);
+    toast({
+      title: "Error",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await maintenanceAPI.getPmSchedules();
+      setSchedules(response.data.success ? response.data.data : []);
+    } catch (error: unknown) {
+      showError(error, 'Failed to load PM schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await maintenanceAPI.createPmSchedule({ code: form.code.trim(), meter: form.meter, ...toInput(form) });
+      toast({ title: "Success", description: response.data.message });
+      setForm(EMPTY_FORM);
+      await loadSchedules();
+    } catch (error: unknown) {
+      showError(error, 'Failed to create PM schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openEdit = (schedule: PmSchedule) => {
+    setEditing(schedule);
+    setEditForm({
+      code: schedule.code,
+      name: schedule.name,
+      meter: schedule.meter,
+      intervalValue: String(schedule.intervalValue),
+      dueSoonThreshold: String(schedule.dueSoonThreshold),
+      tasks: schedule.tasks.join('\n'),
+      trailerTypes: schedule.trailerTypes || [],
+      isActive: schedule.isActive
+    });
+  };
+
+  const handleUpdate = async () => {
+    if (!editing) return;
+    try {
+      setSaving(true);
+      const response = await maintenanceAPI.updatePmSchedule(editing.id, toInput(editForm));
+      toast({ title: "Success", description: response.data.message });
+      setEditing(null);
+      await loadSchedules();
+    } catch (error: unknown) {
+      showError(error, 'Failed to update PM schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (schedule: PmSchedule, isActive: boolean) => {
+    try {
+      await maintenanceAPI.updatePmSchedule(schedule.id, {
+        name: schedule.name,
+        intervalValue: schedule.intervalValue,
+        dueSoonThreshold: schedule.dueSoonThreshold,
+        tasks: schedule.tasks,
+        trailerTypes: schedule.trailerTypes,
+        isActive
+      });
+      await loadSchedules();
+    } catch (error: unknown) {
+      showError(error, 'Failed to update PM schedule');
+    }
+  };
+
+  const handleDelete = async (schedule: PmSchedule) => {
+    if (!confirm(`Delete the ${schedule.name} schedule? Services recorded under it are deleted too.`)) return;
+    try {
+      await maintenanceAPI.deletePmSchedule(schedule.id);
+      await loadSchedules();
+    } catch (error: unknown) {
+      showError(error, 'Failed to delete PM schedule');
+    }
+  };
+
+  const formatTrailerTypes = (trailerTypes: TrailerType[] | null) =>
+    trailerTypes && trailerTypes.length > 0
+      ? trailerTypes.map(type => TRAILER_TYPE_LABELS[type]).join(', ')
+      : <span className="text-muted-foreground">All trailers</span>;
+
+  const isValid = (item: PmScheduleForm) => item.name.trim() !== '' && parseFloat(item.intervalValue) > 0 && item.dueSoonThreshold !== '';
+  const canCreate = form.code.trim() !== '' && isValid(form);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Preventive Maintenance Schedules</CardTitle>
+        <CardDescription>
+          Mileage and engine-hour schedules, such as tire rotations and brake adjustments. Each one is due its interval after the last service recorded on a trailer and raises an alert once the trailer is within its due-soon threshold. Miles come from the provider's odometer, or the GPS distance travelled when it reports none.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Schedule</TableHead>
+              <TableHead>Every</TableHead>
+              <TableHead>Due soon</TableHead>
+              <TableHead>Tasks</TableHead>
+              <TableHead>Applies to</TableHead>
+              <TableHead>Active</TableHead>
+              {canEdit && <TableHead />}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {schedules.map(schedule => (
+              <TableRow key={schedule.id}>
+                <TableCell>
+                  <div className="font-medium">{schedule.name}</div>
+                  <div className="text-xs text-muted-foreground">{schedule.code}</div>
+                </TableCell>
+                <TableCell>{formatReading(schedule.intervalValue, schedule.meter)}</TableCell>
+                <TableCell>{formatReading(schedule.dueSoonThreshold, schedule.meter)} before</TableCell>
+                <TableCell className="text-sm">
+                  {schedule.tasks.length > 0 ? schedule.tasks.join(', ') : <span className="text-muted-foreground">—</span>}
+                </TableCell>
+                <TableCell className="text-sm">{formatTrailerTypes(schedule.trailerTypes)}</TableCell>
+                <TableCell>
+                  <Switch
+                    checked={schedule.isActive}
+                    onCheckedChange={(checked) => handleToggleActive(schedule, checked)}
+                    disabled={!canEdit}
+                  />
+                </TableCell>
+                {canEdit && (
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="sm" onClick={() => openEdit(schedule)}>
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => handleDelete(schedule)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+            {schedules.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={canEdit ? 7 : 6} className="text-center text-muted-foreground">No PM schedules</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+
+        {canEdit && (
+          <>
+            <Separator />
+            <div className="space-y-4">
+              <h3 className="text-lg font-semibold">Add PM Schedule</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="pm-schedule-name">Name</Label>
+                  <Input
+                    id="pm-schedule-name"
+                    placeholder="e.g. Tire rotation"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="pm-schedule-code">Code</Label>
+                  <Input
+                    id="pm-schedule-code"
+                    placeholder="e.g. tire_rotation"
+                    value={form.code}
+                    onChange={(e) => setForm({ ...form, code: e.target.value.toLowerCase() })}
+                  />
+                  <p className="text-xs text-muted-foreground">Alerts are raised against the code, so it cannot be changed later</p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="pm-schedule-meter">Meter</Label>
+                  <Select value={form.meter} onValueChange={(value) => setForm({ ...form, meter: value as PmMeter })}>
+                    <SelectTrigger id="pm-schedule-meter">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(Object.entries(METER_LABELS) as [PmMeter, string][]).map(([meter, label]) => (
+                        <SelectItem key={meter} value={meter}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="pm-schedule-interval">Interval ({METER_UNITS[form.meter]})</Label>
+                    <Input
+                      id="pm-schedule-interval"
+                      type="number"
+                      min="1"
+                      value={form.intervalValue}
+                      onChange={(e) => setForm({ ...form, intervalValue: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="pm-schedule-threshold">Due soon ({METER_UNITS[form.meter]})</Label>
+                    <Input
+                      id="pm-schedule-threshold"
+                      type="number"
+                      min="0"
+                      value={form.dueSoonThreshold}
+                      onChange={(e) => setForm({ ...form, dueSoonThreshold: e.target.value })}
+                    />
+                  </div>
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="pm-schedule-tasks">Service tasks</Label>
+                <Textarea
+                  id="pm-schedule-tasks"
+                  placeholder={'One task per line, e.g.\nRotate tires\nCheck tread depth'}
+                  rows={3}
+                  value={form.tasks}
+                  onChange={(e) => setForm({ ...form, tasks: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Applies to</Label>
+                <TrailerTypeCheckboxes
+                  idPrefix="pm-schedule-new"
+                  selected={form.trailerTypes}
+                  onChange={(trailerTypes) => setForm({ ...form, trailerTypes })}
+                />
+                <p className="text-xs text-muted-foreground">Leave all unchecked to track it on every trailer</p>
+              </div>
+              <div className="flex justify-end">
+                <Button onClick={handleCreate} disabled={!canCreate || saving} className="gap-2">
+                  <Plus className="w-4 h-4" />
+                  {saving ? 'Saving...' : 'Add Schedule'}
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+
+      <Dialog open={editing !== null} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="sm:max-w-[520px]">
+          {editing && (
+            <>
+              <DialogHeader>
+                <DialogTitle>Edit {editing.name}</DialogTitle>
+                <DialogDescription>
+                  Code {editing.code}, measured in {METER_LABELS[editing.meter].toLowerCase()}
+                </DialogDescription>
+              </DialogHeader>
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="pm-schedule-edit-name">Name</Label>
+                  <Input
+                    id="pm-schedule-edit-name"
+                    value={editForm.name}
+                    onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="pm-schedule-edit-interval">Interval ({METER_UNITS[editing.meter]})</Label>
+                    <Input
+                      id="pm-schedule-edit-interval"
+                      type="number"
+                      min="1"
+                      value={editForm.intervalValue}
+                      onChange={(e) => setEditForm({ ...editForm, intervalValue: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="pm-schedule-edit-threshold">Due soon ({METER_UNITS[editing.meter]})</Label>
+                    <Input
+                      id="pm-schedule-edit-threshold"
+                      type="number"
+                      min="0"
+                      value={editForm.dueSoonThreshold}
+                      onChange={(e) => setEditForm({ ...editForm, dueSoonThreshold: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="pm-schedule-edit-tasks">Service tasks</Label>
+                  <Textarea
+                    id="pm-schedule-edit-tasks"
+                    rows={3}
+                    value={editForm.tasks}
+                    onChange={(e) => setEditForm({ ...editForm, tasks: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Applies to</Label>
+                  <TrailerTypeCheckboxes
+                    idPrefix="pm-schedule-edit"
+                    selected={editForm.trailerTypes}
+                    onChange={(trailerTypes) => setEditForm({ ...editForm, trailerTypes })}
+                  />
+                </div>
+              </div>
+              <DialogFooter>
+                <Button variant="outline" onClick={() => setEditing(null)}>Cancel</Button>
+                <Button onClick={handleUpdate} disabled={!isValid(editForm) || saving}>
+                  {saving ? 'Saving...' : 'Save'}
+                </Button>
+              </DialogFooter>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default PmScheduleSettings;
@@ -9,13 +9,17 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Textarea } from '@/components/ui/textarea';
 import { Separator } from '@/components/ui/separator';
-import { Plus, Edit, Trash2, Wifi, RefreshCw } from 'lucide-react';
+import { Plus, Edit, Trash2, Wifi, RefreshCw, Webhook, Activity } from 'lucide-react';
 import { formatDateOnlyInTimezone } from '@/lib/utils';
 import { useToast } from '@/hooks/use-toast';
 import { providerAPI } from '@/lib/api';
 import { Company, Provider, EditingProvider, PROVIDER_TYPES } from '@/types';
-import { buildCredentials, validateProviderCredentials, getProviderStatusBadge } from '../utils/settingsUtils';
+import {
+  buildCredentials, buildReconciliationThresholds, formatReconciliationReport, validateProviderCredentials,
+  getProviderStatusBadge, getProviderHealthBadge
+} from '../utils/settingsUtils';
 import ProviderCredentialsForm from './ui/ProviderCredentialsForm';
+import ProviderHealthDialog from './ui/ProviderHealthDialog';
 
 interface ProviderSettingsProps {
   providers: Provider[];
@@ -49,6 +53,13 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
   const [deletingProvider, setDeletingProvider] = useState(false);
   const [syncingProviders, setSyncingProviders] = useState<Set<string>>(new Set());
 
+  // Push provider ingestion details
+  const [pushConfigOpen, setPushConfigOpen] = useState(false);
+  const [pushConfig, setPushConfig] = useState<{ endpoint: string; signingSecret: string | null; timestampHeader: string; signatureHeader: string } | null>(null);
+
+  // Provider health history
+  const [healthProviderId, setHealthProviderId] = useState<string | null>(null);
+
   const handleProviderChange = (field: string, value: string) => {
     setNewProvider(prev => ({ ...prev, [field]: value }));
   };
@@ -139,7 +150,8 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
         name: editingProvider.name,
         type: editingProvider.type,
         description: editingProvider.description,
-        credentials
+        credentials,
+        ...buildReconciliationThresholds(editingProvider)
       });
       
       if (response.data.success) {
@@ -192,7 +204,7 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
       
       const response = await providerAPI.syncProvider(providerId);
       if (response.data.success) {
-        const msg = response.data.message;
+        const msg = [response.data.message, formatReconciliationReport(response.data.data?.reconciliation)].filter(Boolean).join('. ');
         if (response.data.createdCount === 0 && response.data.updatedCount === 0) {
           toast({ 
             title: "Sync completed", 
@@ -225,6 +237,25 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
     }
   };
 
+  const handleShowPushConfig = async (providerId: string) => {
+    try {
+      const response = await providerAPI.getPushConfig(providerId);
+      if (response.data.success) {
+        setPushConfig(response.data.data);
+        setPushConfigOpen(true);
+      } else {
+        throw new Error(response.data.error || 'Failed to load push endpoint');
+      }
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to load push endpoint';
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleDeleteProvider = (provider: Provider) => {
     setProviderToDelete(provider);
     setDeleteRelatedTrailers(false);
@@ -271,7 +302,10 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
       type: provider.type,
       description: provider.description || '',
       company_id: provider.company_id || '',
-      apiKey: '', username: '', password: '', nspireId: '', apiToken: '', apiUrl: ''
+      apiKey: '', username: '', password: '', nspireId: '', apiToken: '', apiUrl: '',
+      staleAfterHours: provider.stale_after_hours?.toString() ?? '',
+      disconnectAfterHours: provider.disconnect_after_hours?.toString() ?? '',
+      archiveAfterDays: provider.archive_after_days?.toString() ?? ''
     });
     setEditProviderOpen(true);
   };
@@ -412,6 +446,7 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
                 <TableHead>Provider</TableHead>
                 <TableHead className="text-center">Type</TableHead>
                 <TableHead className="text-center">Status</TableHead>
+                <TableHead className="text-center">Health</TableHead>
                 <TableHead className="text-center">Company</TableHead>
                 <TableHead className="text-center">Unit Count</TableHead>
                 <TableHead className="text-center">Last Sync</TableHead>
@@ -421,6 +456,7 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
             <TableBody>
               {providers.map((provider) => {
                 const statusConfig = getProviderStatusBadge(provider.status);
+                const healthConfig = getProviderHealthBadge(provider.health_status);
                 return (
                   <TableRow key={provider.id}>
                     <TableCell className="font-medium">{provider.name}</TableCell>
@@ -432,6 +468,13 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
                         {statusConfig.label}
                       </Badge>
                     </TableCell>
+                    <TableCell className="text-center">
+                      {provider.type === 'generic_push' ? '-' : (
+                        <Badge variant="outline" className={healthConfig.className}>
+                          {healthConfig.label}
+                        </Badge>
+                      )}
+                    </TableCell>
                     <TableCell className="text-center">{provider.company_name || '-'}</TableCell>
                     <TableCell className="text-center">{provider.trailer_count || 0}</TableCell>
                     <TableCell className="text-center">
@@ -454,6 +497,28 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
                          >
                            <Wifi className="w-3 h-3" />
                          </Button>
+                         {provider.type !== 'generic_push' && (
+                           <Button
+                             variant="ghost"
+                             size="sm"
+                             onClick={() => setHealthProviderId(provider.id)}
+                             className="h-8 w-8 p-0"
+                             title="Provider Health"
+                           >
+                             <Activity className="w-3 h-3" />
+                           </Button>
+                         )}
+                         {provider.type === 'generic_push' && (
+                           <Button
+                             variant="ghost"
+                             size="sm"
+                             onClick={() => handleShowPushConfig(provider.id)}
+                             className="h-8 w-8 p-0"
+                             title="Push Endpoint"
+                           >
+                             <Webhook className="w-3 h-3" />
+                           </Button>
+                         )}
                          <Button
                            variant="ghost"
                            size="sm"
@@ -570,6 +635,50 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
                   onChange={handleEditingProviderChange}
                 />
               </div>
+
+              <div className="space-y-4">
+                <div>
+                  <h4 className="font-medium">Trailer Reconciliation</h4>
+                  <p className="text-sm text-muted-foreground">
+                    Trailers this provider stops reporting go stale, then disconnected, then archived. Leave a field empty to use the default; 0 days never archives.
+                  </p>
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="edit-provider-stale">Stale after (hours)</Label>
+                    <Input
+                      id="edit-provider-stale"
+                      type="number"
+                      min={1}
+                      value={editingProvider.staleAfterHours || ''}
+                      onChange={(e) => handleEditingProviderChange('staleAfterHours', e.target.value)}
+                      placeholder="Default"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="edit-provider-disconnect">Disconnected after (hours)</Label>
+                    <Input
+                      id="edit-provider-disconnect"
+                      type="number"
+                      min={1}
+                      value={editingProvider.disconnectAfterHours || ''}
+                      onChange={(e) => handleEditingProviderChange('disconnectAfterHours', e.target.value)}
+                      placeholder="Default"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="edit-provider-archive">Archive after (days)</Label>
+                    <Input
+                      id="edit-provider-archive"
+                      type="number"
+                      min={0}
+                      value={editingProvider.archiveAfterDays || ''}
+                      onChange={(e) => handleEditingProviderChange('archiveAfterDays', e.target.value)}
+                      placeholder="Default"
+                    />
+                  </div>
+                </div>
+              </div>
             </div>
           )}
           <DialogFooter>
@@ -590,6 +699,45 @@ const ProviderSettings: React.FC<ProviderSettingsProps> = ({ providers, companie
         </DialogContent>
       </Dialog>
 
+      {/* Push Endpoint Dialog */}
+      <Dialog open={pushConfigOpen} onOpenChange={setPushConfigOpen}>
+        <DialogContent className="sm:max-w-[560px]">
+          <DialogHeader>
+            <DialogTitle>Push Endpoint</DialogTitle>
+            <DialogDescription>
+              Devices POST positions to this endpoint, signed with HMAC-SHA256 of "timestamp.body" using the secret below.
+            </DialogDescription>
+          </DialogHeader>
+          {pushConfig && (
+            <div className="space-y-4 py-4">
+              <div className="space-y-2">
+                <Label htmlFor="push-endpoint">Ingestion URL</Label>
+                <Input id="push-endpoint" readOnly value={`${window.location.origin}${pushConfig.endpoint}`} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="push-secret">Signing Secret</Label>
+                <Input id="push-secret" readOnly value={pushConfig.signingSecret || ''} />
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Send the signing time in <code>{pushConfig.timestampHeader}</code> (Unix ms) and
+                <code> sha256=&lt;hex digest&gt;</code> in <code>{pushConfig.signatureHeader}</code>.
+              </p>
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPushConfigOpen(false)}>
+              Close
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <ProviderHealthDialog
+        providerId={healthProviderId}
+        open={healthProviderId !== null}
+        onOpenChange={(open) => { if (!open) setHealthProviderId(null); }}
+      />
+
       {/* Delete Provider Confirmation Dialog */}
       <Dialog open={deleteProviderOpen} onOpenChange={setDeleteProviderOpen}>
         <DialogContent className="sm:max-w-[500px]">
@@ -0,0 +1,404 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { RefreshCw, Plus, Trash2, FileText } from 'lucide-react';
+import { formatDateInTimezone } from '@/lib/utils';
+import { useToast } from '@/hooks/use-toast';
+import { reeferAPI, trailerAPI, TrailerData } from '@/lib/api';
+import { ReeferExcursion, ReeferExcursionDetail, ReeferMetric, ReeferRange } from '@/types';
+import { TemperatureUnit, formatTemperature, toCelsius } from '../utils/settingsUtils';
+
+interface ReeferSettingsProps {
+  canEdit: boolean;
+}
+
+const METRIC_LABELS: Record<ReeferMetric, string> = {
+  reefer_return_air_c: 'Return air',
+  reefer_supply_air_c: 'Supply air'
+};
+
+const EMPTY_FORM = {
+  trailerId: '',
+  loadReference: '',
+  metric: 'reefer_return_air_c' as ReeferMetric,
+  minTemp: '',
+  maxTemp: '',
+  alertAfterMinutes: '30',
+  startsAt: '',
+  endsAt: ''
+};
+
+const ReeferSettings: React.FC<ReeferSettingsProps> = ({ canEdit }) => {
+  const { toast } = useToast();
+  const userTimezone = localStorage.getItem('userTimezone') || 'America/Chicago';
+
+  const [ranges, setRanges] = useState<ReeferRange[]>([]);
+  const [excursions, setExcursions] = useState<ReeferExcursion[]>([]);
+  const [trailers, setTrailers] = useState<TrailerData[]>([]);
+  const [unit, setUnit] = useState<TemperatureUnit>('F');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [evidence, setEvidence] = useState<ReeferExcursionDetail | null>(null);
+
+  const showError = useCallback((error: unknown, fallback: string) => {
+    const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+      || (error instanceof Error ? error.message : fallback);
+    toast({
+      title: "Error",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadReeferData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rangesResponse, excursionsResponse, trailersResponse] = await Promise.all([
+        reeferAPI.getRanges(),
+        reeferAPI.getExcursions({ alertedOnly: true }),
+        trailerAPI.getTrailers()
+      ]);
+      setRanges(rangesResponse.data.success ? rangesResponse.data.data : []);
+      setExcursions(excursionsResponse.data.success ? excursionsResponse.data.data : []);
+
+      const trailersData = trailersResponse.data as unknown as { success?: boolean; data?: TrailerData[] };
+      setTrailers(trailersData.success ? trailersData.data || [] : []);
+    } catch (error: unknown) {
+      showError(error, 'Failed to load reefer data');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadReeferData();
+  }, [loadReeferData]);
+
+  const formatTime = (time: string | null | undefined) =>
+    time ? formatDateInTimezone(time, userTimezone, {}, false) : '-';
+
+  const handleCreateRange = async () => {
+    try {
+      setSaving(true);
+      const response = await reeferAPI.createRange({
+        trailerId: form.trailerId,
+        loadReference: form.loadReference.trim() || null,
+        metric: form.metric,
+        minTempC: toCelsius(parseFloat(form.minTemp), unit),
+        maxTempC: toCelsius(parseFloat(form.maxTemp), unit),
+        alertAfterMinutes: parseInt(form.alertAfterMinutes) || 0,
+        startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+        endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null
+      });
+      toast({ title: "Success", description: response.data.message });
+      setForm(EMPTY_FORM);
+      await loadReeferData();
+    } catch (error: unknown) {
+      showError(error, 'Failed to create reefer range');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRange = async (range: ReeferRange) => {
+    if (!confirm(`Delete the ${range.loadReference ? `load ${range.loadReference}` : 'standing'} range of ${range.unitNumber}? Excursions already recorded are kept.`)) return;
+    try {
+      await reeferAPI.deleteRange(range.id);
+      await loadReeferData();
+    } catch (error: unknown) {
+      showError(error, 'Failed to delete reefer range');
+    }
+  };
+
+  const openEvidence = async (excursion: ReeferExcursion) => {
+    try {
+      const response = await reeferAPI.getExcursion(excursion.id);
+      setEvidence(response.data.success ? response.data.data : null);
+    } catch (error: unknown) {
+      showError(error, 'Failed to load excursion readings');
+    }
+  };
+
+  const formatRange = (item: { minTempC: number; maxTempC: number }) =>
+    `${formatTemperature(item.minTempC, unit)} to ${formatTemperature(item.maxTempC, unit)}`;
+
+  const canCreate = form.trailerId && form.minTemp !== '' && form.maxTemp !== '' && (!form.loadReference.trim() || form.startsAt);
+
+  return (
+    <div className="space-y-6">
+      {/* Temperature Ranges */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Reefer Temperature Ranges</CardTitle>
+              <CardDescription>
+                An alert is raised when a reefer stays outside its range longer than the alert delay. A load's range replaces the trailer's range while the load is on board.
+              </CardDescription>
+            </div>
+            <div className="flex gap-2">
+              <Select value={unit} onValueChange={(value) => setUnit(value as TemperatureUnit)}>
+                <SelectTrigger className="w-20">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="F">°F</SelectItem>
+                  <SelectItem value="C">°C</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" className="gap-2" onClick={loadReeferData} disabled={loading}>
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Trailer</TableHead>
+                <TableHead>Load</TableHead>
+                <TableHead>Range</TableHead>
+                <TableHead>Alert after</TableHead>
+                <TableHead>Window</TableHead>
+                {canEdit && <TableHead />}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {ranges.map(range => (
+                <TableRow key={range.id}>
+                  <TableCell className="font-medium">{range.unitNumber}</TableCell>
+                  <TableCell>{range.loadReference || <span className="text-muted-foreground">Standing</span>}</TableCell>
+                  <TableCell>
+                    {formatRange(range)}
+                    <div className="text-xs text-muted-foreground">{METRIC_LABELS[range.metric]}</div>
+                  </TableCell>
+                  <TableCell>{range.alertAfterMinutes} min</TableCell>
+                  <TableCell className="text-sm">
+                    {range.startsAt || range.endsAt ? `${formatTime(range.startsAt)} - ${formatTime(range.endsAt)}` : 'Always'}
+                  </TableCell>
+                  {canEdit && (
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="sm" onClick={() => handleDeleteRange(range)}>
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+              {ranges.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={canEdit ? 6 : 5} className="text-center text-muted-foreground">No reefer ranges set</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+
+          {canEdit && (
+            <>
+              <Separator />
+              <div className="space-y-4">
+                <h3 className="text-lg font-semibold">Add Range</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label>Trailer</Label>
+                    <Select value={form.trailerId} onValueChange={(value) => setForm({ ...form, trailerId: value })}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select trailer" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {trailers.map(trailer => (
+                          <SelectItem key={trailer.id} value={trailer.id}>{trailer.unitNumber}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-load-reference">Load reference</Label>
+                    <Input
+                      id="reefer-load-reference"
+                      placeholder="Leave blank for the trailer's standing range"
+                      value={form.loadReference}
+                      onChange={(e) => setForm({ ...form, loadReference: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Sensor</Label>
+                    <Select value={form.metric} onValueChange={(value) => setForm({ ...form, metric: value as ReeferMetric })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(METRIC_LABELS).map(([metric, label]) => (
+                          <SelectItem key={metric} value={metric}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-alert-after">Alert after (minutes)</Label>
+                    <Input
+                      id="reefer-alert-after"
+                      type="number"
+                      min="0"
+                      value={form.alertAfterMinutes}
+                      onChange={(e) => setForm({ ...form, alertAfterMinutes: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-min-temp">Minimum (°{unit})</Label>
+                    <Input
+                      id="reefer-min-temp"
+                      type="number"
+                      step="0.1"
+                      value={form.minTemp}
+                      onChange={(e) => setForm({ ...form, minTemp: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-max-temp">Maximum (°{unit})</Label>
+                    <Input
+                      id="reefer-max-temp"
+                      type="number"
+                      step="0.1"
+                      value={form.maxTemp}
+                      onChange={(e) => setForm({ ...form, maxTemp: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-starts-at">From</Label>
+                    <Input
+                      id="reefer-starts-at"
+                      type="datetime-local"
+                      value={form.startsAt}
+                      onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                    />
+                    <p className="text-xs text-muted-foreground">Required for a load</p>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="reefer-ends-at">Until</Label>
+                    <Input
+                      id="reefer-ends-at"
+                      type="datetime-local"
+                      value={form.endsAt}
+                      onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end">
+                  <Button onClick={handleCreateRange} disabled={!canCreate || saving} className="gap-2">
+                    <Plus className="w-4 h-4" />
+                    {saving ? 'Saving...' : 'Add Range'}
+                  </Button>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Excursions */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Temperature Excursions</CardTitle>
+          <CardDescription>Excursions that raised an alert. Their readings are kept as claim evidence.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Trailer</TableHead>
+                <TableHead>Started</TableHead>
+                <TableHead>Ended</TableHead>
+                <TableHead>Peak</TableHead>
+                <TableHead>Severity</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {excursions.map(excursion => (
+                <TableRow key={excursion.id}>
+                  <TableCell>
+                    <div className="font-medium">{excursion.unitNumber}</div>
+                    {excursion.loadReference && <div className="text-xs text-muted-foreground">Load {excursion.loadReference}</div>}
+                  </TableCell>
+                  <TableCell className="whitespace-nowrap">{formatTime(excursion.startedAt)}</TableCell>
+                  <TableCell className="whitespace-nowrap">
+                    {excursion.status === 'open' ? <Badge variant="destructive">Ongoing</Badge> : formatTime(excursion.endedAt)}
+                  </TableCell>
+                  <TableCell>
+                    {formatTemperature(excursion.peakTempC, unit)}
+                    <div className="text-xs text-muted-foreground">{formatRange(excursion)}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={excursion.severity === 'critical' ? 'destructive' : 'secondary'}>{excursion.severity}</Badge>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="outline" size="sm" className="gap-1" onClick={() => openEvidence(excursion)}>
+                      <FileText className="w-3 h-3" />
+                      Readings
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {excursions.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground">No temperature excursions</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {/* Excursion Readings */}
+      <Dialog open={evidence !== null} onOpenChange={(open) => !open && setEvidence(null)}>
+        <DialogContent className="sm:max-w-[560px] max-h-[85vh] overflow-y-auto">
+          {evidence && (
+            <>
+              <DialogHeader>
+                <DialogTitle>Excursion readings - {evidence.unitNumber}</DialogTitle>
+                <DialogDescription>
+                  {METRIC_LABELS[evidence.metric]} range {formatRange(evidence)}
+                  {evidence.loadReference ? `, load ${evidence.loadReference}` : ''}
+                </DialogDescription>
+              </DialogHeader>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Time</TableHead>
+                    <TableHead className="text-right">Temperature</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {evidence.readings.map(reading => (
+                    <TableRow key={reading.id || reading.recordedAt}>
+                      <TableCell>{formatTime(reading.recordedAt)}</TableCell>
+                      <TableCell className="text-right">{reading.value !== null ? formatTemperature(reading.value, unit) : '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {evidence.readings.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={2} className="text-center text-muted-foreground">No readings stored</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ReeferSettings;
@@ -1,7 +1,7 @@
 import React from 'react';
 import Navigation from '@/components/Navigation';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { Building, Wifi, Wrench, Settings, Database, Palette } from 'lucide-react';
+import { Building, Wifi, Wrench, Settings, Database, Palette, History, Fingerprint } from 'lucide-react';
 
 interface SettingsLayoutProps {
   children: React.ReactNode;
@@ -9,6 +9,7 @@ interface SettingsLayoutProps {
   onTabChange: (value: string) => void;
   canViewCompanies?: boolean;
   canViewProviders?: boolean;
+  canViewTrailerIdentity?: boolean;
   canViewMaintenanceSettings?: boolean;
   canViewCompanyPreferences?: boolean;
   isDataReady?: boolean;
@@ -20,6 +21,7 @@ const SettingsLayout: React.FC<SettingsLayoutProps> = ({
   onTabChange,
   canViewCompanies = true,
   canViewProviders = true,
+  canViewTrailerIdentity = true,
   canViewMaintenanceSettings = true,
   canViewCompanyPreferences = true,
   isDataReady = true
@@ -35,7 +37,7 @@ const SettingsLayout: React.FC<SettingsLayoutProps> = ({
           </div>
 
           <Tabs value={activeTab} onValueChange={onTabChange} className="space-y-6">
-            <TabsList className="grid w-full grid-cols-4">
+            <TabsList className="grid w-full grid-cols-6">
               <TabsTrigger value="company" disabled={!isDataReady || !canViewCompanies} className="gap-2">
                 <Building className="w-4 h-4" />
                 Company {!isDataReady || !canViewCompanies ? '(No Access)' : ''}
@@ -44,6 +46,14 @@ const SettingsLayout: React.FC<SettingsLayoutProps> = ({
                 <Database className="w-4 h-4" />
                 GPS Providers {!isDataReady || !canViewProviders ? '(No Access)' : ''}
               </TabsTrigger>
+              <TabsTrigger value="sync-history" disabled={!isDataReady || !canViewProviders} className="gap-2">
+                <History className="w-4 h-4" />
+                Sync History {!isDataReady || !canViewProviders ? '(No Access)' : ''}
+              </TabsTrigger>
+              <TabsTrigger value="trailer-identity" disabled={!isDataReady || !canViewTrailerIdentity} className="gap-2">
+                <Fingerprint className="w-4 h-4" />
+                Trailer Identity {!isDataReady || !canViewTrailerIdentity ? '(No Access)' : ''}
+              </TabsTrigger>
               <TabsTrigger value="maintenance" disabled={!isDataReady || !canViewMaintenanceSettings} className="gap-2">
                 <Wrench className="w-4 h-4" />
                 Maintenance {!isDataReady || !canViewMaintenanceSettings ? '(No Access)' : ''}
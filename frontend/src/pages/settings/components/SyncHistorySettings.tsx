@@ -0,0 +1,336 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { RefreshCw } from 'lucide-react';
+import { formatDateInTimezone } from '@/lib/utils';
+import { useToast } from '@/hooks/use-toast';
+import { refreshAPI } from '@/lib/api';
+import { Provider, RefreshRun, RefreshRunDetail } from '@/types';
+import { getRefreshStatusBadge } from '../utils/settingsUtils';
+
+interface SyncHistorySettingsProps {
+  providers: Provider[];
+}
+
+const ALL = 'all';
+
+const TRIGGER_LABELS: Record<string, string> = {
+  scheduled: 'Scheduled',
+  catch_up: 'Catch-up',
+  manual: 'Manual',
+  manual_refresh: 'Manual refresh'
+};
+
+const OUTCOME_LABELS: Record<string, string> = {
+  skipped: 'Skipped',
+  unmatched: 'No matching trailer',
+  failed: 'Failed',
+  stale: 'Stale',
+  disconnected: 'Disconnected',
+  archived: 'Archived'
+};
+
+const SyncHistorySettings: React.FC<SyncHistorySettingsProps> = ({ providers }) => {
+  const { toast } = useToast();
+  const userTimezone = localStorage.getItem('userTimezone') || 'America/Chicago';
+
+  const [runs, setRuns] = useState<RefreshRun[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+
+  // Filters
+  const [providerId, setProviderId] = useState(ALL);
+  const [operationType, setOperationType] = useState(ALL);
+  const [status, setStatus] = useState(ALL);
+  const [deviceSearch, setDeviceSearch] = useState('');
+  const [deviceId, setDeviceId] = useState('');
+
+  // Run drill-down
+  const [selectedRun, setSelectedRun] = useState<RefreshRunDetail | null>(null);
+  const [loadingRun, setLoadingRun] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await refreshAPI.getHistory({
+        providerId: providerId === ALL ? undefined : providerId,
+        operationType: operationType === ALL ? undefined : operationType,
+        status: status === ALL ? undefined : status,
+        deviceId: deviceId || undefined,
+        page
+      });
+      if (response.data.success) {
+        setRuns(response.data.data);
+        setTotalPages(Math.max(1, response.data.pagination.totalPages));
+        setTotalCount(response.data.pagination.totalCount);
+      } else {
+        throw new Error(response.data.error || 'Failed to load sync history');
+      }
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to load sync history';
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [providerId, operationType, status, deviceId, page, toast]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // Any filter change starts over at the first page
+  const applyFilter = (setter: (value: string) => void) => (value: string) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handleDeviceSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setDeviceId(deviceSearch.trim());
+    setPage(1);
+  };
+
+  const handleOpenRun = async (run: RefreshRun) => {
+    try {
+      setLoadingRun(true);
+      const response = await refreshAPI.getHistoryRun(run.id);
+      if (response.data.success) {
+        setSelectedRun(response.data.data);
+      } else {
+        throw new Error(response.data.error || 'Failed to load run details');
+      }
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to load run details';
+      toast({
+        title: "Error",
+        description: errorMessage,
+        variant: "destructive",
+      });
+    } finally {
+      setLoadingRun(false);
+    }
+  };
+
+  const formatDuration = (ms: number | null) => {
+    if (ms === null) return '-';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  };
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Sync History</CardTitle>
+              <CardDescription>Every provider sync and location refresh, with the trailers each run did not update</CardDescription>
+            </div>
+            <Button variant="outline" size="sm" className="gap-2" onClick={loadHistory} disabled={loading}>
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+            <Select value={providerId} onValueChange={applyFilter(setProviderId)}>
+              <SelectTrigger>
+                <SelectValue placeholder="Provider" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All providers</SelectItem>
+                {providers.map(provider => (
+                  <SelectItem key={provider.id} value={provider.id}>{provider.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={operationType} onValueChange={applyFilter(setOperationType)}>
+              <SelectTrigger>
+                <SelectValue placeholder="Operation" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>Syncs and refreshes</SelectItem>
+                <SelectItem value="sync">Syncs</SelectItem>
+                <SelectItem value="refresh">Location refreshes</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={status} onValueChange={applyFilter(setStatus)}>
+              <SelectTrigger>
+                <SelectValue placeholder="Status" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>Any status</SelectItem>
+                <SelectItem value="success">Success</SelectItem>
+                <SelectItem value="partial">Partial</SelectItem>
+                <SelectItem value="failed">Failed</SelectItem>
+                <SelectItem value="skipped">Skipped</SelectItem>
+              </SelectContent>
+            </Select>
+            <form onSubmit={handleDeviceSearch}>
+              <Input
+                value={deviceSearch}
+                onChange={(e) => setDeviceSearch(e.target.value)}
+                placeholder="Device ID (press Enter)"
+              />
+            </form>
+          </div>
+
+          {deviceId && (
+            <p className="text-sm text-muted-foreground">
+              Showing runs that did not update device <code>{deviceId}</code>.{' '}
+              <button className="underline" onClick={() => { setDeviceSearch(''); setDeviceId(''); setPage(1); }}>
+                Clear
+              </button>
+            </p>
+          )}
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Started</TableHead>
+                <TableHead>Provider</TableHead>
+                <TableHead>Operation</TableHead>
+                <TableHead>Trigger</TableHead>
+                <TableHead className="text-center">Status</TableHead>
+                <TableHead className="text-center">Processed</TableHead>
+                <TableHead className="text-center">Created</TableHead>
+                <TableHead className="text-center">Updated</TableHead>
+                <TableHead className="text-center">Skipped</TableHead>
+                <TableHead className="text-center">Failed</TableHead>
+                <TableHead className="text-right">Duration</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {runs.map(run => {
+                const statusConfig = getRefreshStatusBadge(run.status);
+                return (
+                  <TableRow key={run.id} className="cursor-pointer" onClick={() => handleOpenRun(run)}>
+                    <TableCell className="whitespace-nowrap">{formatDateInTimezone(run.createdAt, userTimezone, {}, false)}</TableCell>
+                    <TableCell>{run.providerName || '-'}</TableCell>
+                    <TableCell className="capitalize">{run.operationType}</TableCell>
+                    <TableCell>{TRIGGER_LABELS[run.triggerType] || run.triggerType}</TableCell>
+                    <TableCell className="text-center">
+                      <Badge variant="outline" className={statusConfig.className} title={run.trailerMessage || run.errorMessage || ''}>
+                        {statusConfig.label}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-center">{run.trailersProcessed}</TableCell>
+                    <TableCell className="text-center">{run.trailersCreated}</TableCell>
+                    <TableCell className="text-center">{run.trailersUpdated}</TableCell>
+                    <TableCell className="text-center">{run.trailersSkipped}</TableCell>
+                    <TableCell className="text-center">{run.trailersFailed}</TableCell>
+                    <TableCell className="text-right">{formatDuration(run.durationMs)}</TableCell>
+                  </TableRow>
+                );
+              })}
+              {runs.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={11} className="text-center text-muted-foreground">No runs recorded</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-muted-foreground">{totalCount} run(s)</p>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+                Previous
+              </Button>
+              <span className="text-sm">Page {page} of {totalPages}</span>
+              <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages || loading}>
+                Next
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Run Details Dialog */}
+      <Dialog open={selectedRun !== null || loadingRun} onOpenChange={(open) => { if (!open) setSelectedRun(null); }}>
+        <DialogContent className="sm:max-w-[720px] max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>
+              {selectedRun
+                ? `${selectedRun.providerName || 'Provider'} ${selectedRun.operationType} - ${formatDateInTimezone(selectedRun.createdAt, userTimezone)}`
+                : 'Run details'}
+            </DialogTitle>
+            <DialogDescription>Trailers this run did not update or marked stale, disconnected or archived, and why</DialogDescription>
+          </DialogHeader>
+
+          {loadingRun && <p className="text-sm text-muted-foreground py-4">Loading run details...</p>}
+
+          {selectedRun && !loadingRun && (
+            <div className="space-y-4 py-2">
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+                <div><span className="text-muted-foreground">Trigger: </span>{TRIGGER_LABELS[selectedRun.triggerType] || selectedRun.triggerType}</div>
+                <div><span className="text-muted-foreground">Status: </span>{getRefreshStatusBadge(selectedRun.status).label}</div>
+                <div><span className="text-muted-foreground">Duration: </span>{formatDuration(selectedRun.durationMs)}</div>
+                <div><span className="text-muted-foreground">Processed: </span>{selectedRun.trailersProcessed}</div>
+                <div><span className="text-muted-foreground">Created: </span>{selectedRun.trailersCreated}</div>
+                <div><span className="text-muted-foreground">Updated: </span>{selectedRun.trailersUpdated}</div>
+                <div><span className="text-muted-foreground">Stale: </span>{selectedRun.trailersStale}</div>
+                <div><span className="text-muted-foreground">Disconnected: </span>{selectedRun.trailersDisconnected}</div>
+                <div><span className="text-muted-foreground">Archived: </span>{selectedRun.trailersArchived}</div>
+                <div><span className="text-muted-foreground">Reconnected: </span>{selectedRun.trailersReconnected}</div>
+              </div>
+
+              {selectedRun.errorMessage && (
+                <p className="text-sm text-destructive">{selectedRun.errorMessage}</p>
+              )}
+
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Trailer</TableHead>
+                    <TableHead>Device ID</TableHead>
+                    <TableHead>Outcome</TableHead>
+                    <TableHead>Reason</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {selectedRun.items.map(item => (
+                    <TableRow key={item.id}>
+                      <TableCell>{item.unitNumber || '-'}</TableCell>
+                      <TableCell className="font-mono text-xs">{item.deviceId || '-'}</TableCell>
+                      <TableCell>{OUTCOME_LABELS[item.outcome] || item.outcome}</TableCell>
+                      <TableCell className="text-sm">{item.message || '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {selectedRun.items.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={4} className="text-center text-muted-foreground">
+                        {selectedRun.status === 'failed' || selectedRun.status === 'skipped'
+                          ? 'No trailers were fetched in this run'
+                          : 'Every trailer reported in this run was updated'}
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSelectedRun(null)}>
+              Close
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default SyncHistorySettings;
@@ -0,0 +1,316 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { RefreshCw, Link2, Plus, X, Merge, Undo2 } from 'lucide-react';
+import { formatDateInTimezone } from '@/lib/utils';
+import { useToast } from '@/hooks/use-toast';
+import { trailerAPI, trailerIdentityAPI, TrailerData } from '@/lib/api';
+import { IdentityReview, TrailerMerge } from '@/types';
+import { formatMovedRecords } from '../utils/settingsUtils';
+
+interface TrailerIdentitySettingsProps {
+  canEdit: boolean;
+}
+
+const TrailerIdentitySettings: React.FC<TrailerIdentitySettingsProps> = ({ canEdit }) => {
+  const { toast } = useToast();
+  const userTimezone = localStorage.getItem('userTimezone') || 'America/Chicago';
+
+  const [reviews, setReviews] = useState<IdentityReview[]>([]);
+  const [merges, setMerges] = useState<TrailerMerge[]>([]);
+  const [trailers, setTrailers] = useState<TrailerData[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  // Merge form
+  const [targetTrailerId, setTargetTrailerId] = useState('');
+  const [sourceTrailerId, setSourceTrailerId] = useState('');
+
+  const showError = useCallback((error: unknown, fallback: string) => {
+    const errorMessage = (error as { response?: { data?: { error?: string } } })?.response?.data?.error
+      || (error instanceof Error ? error.message : fallback);
+    toast({
+      title: "Error",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  }, [toast]);
+
+  const loadIdentityData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [reviewsResponse, mergesResponse, trailersResponse] = await Promise.all([
+        trailerIdentityAPI.getReviews(),
+        trailerIdentityAPI.getMerges(),
+        trailerAPI.getTrailers()
+      ]);
+      setReviews(reviewsResponse.data.success ? reviewsResponse.data.data : []);
+      setMerges(mergesResponse.data.success ? mergesResponse.data.data : []);
+
+      const trailersData = trailersResponse.data as unknown as { success?: boolean; data?: TrailerData[] };
+      setTrailers(trailersData.success ? trailersData.data || [] : []);
+    } catch (error: unknown) {
+      showError(error, 'Failed to load trailer identity data');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadIdentityData();
+  }, [loadIdentityData]);
+
+  // Run an action against the API, then reload the reviews, merges and trailers
+  const runAction = async (id: string, action: () => Promise<{ data: { message?: string } }>, fallback: string) => {
+    try {
+      setBusyId(id);
+      const response = await action();
+      toast({
+        title: "Success",
+        description: response.data.message,
+      });
+      await loadIdentityData();
+    } catch (error: unknown) {
+      showError(error, fallback);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleMerge = async () => {
+    const target = trailers.find(trailer => trailer.id === targetTrailerId);
+    const source = trailers.find(trailer => trailer.id === sourceTrailerId);
+    if (!target || !source) return;
+    if (!confirm(`Merge ${source.unitNumber} into ${target.unitNumber}? Its devices, history, inspections and notes move to ${target.unitNumber}. The merge can be undone.`)) return;
+
+    await runAction('merge', () => trailerIdentityAPI.mergeTrailers(target.id, source.id), 'Failed to merge trailers');
+    setSourceTrailerId('');
+  };
+
+  const trailerLabel = (trailer: TrailerData) => `${trailer.unitNumber}${trailer.vin ? ` - ${trailer.vin}` : ''}`;
+
+  return (
+    <div className="space-y-6">
+      {/* Review Queue */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Identity Review</CardTitle>
+              <CardDescription>
+                Provider devices that could be one of several trailers. Syncs skip them until you link them to a trailer, create a new trailer or dismiss them.
+              </CardDescription>
+            </div>
+            <Button variant="outline" size="sm" className="gap-2" onClick={loadIdentityData} disabled={loading}>
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Device</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead>Candidates</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {reviews.map(review => (
+                <TableRow key={review.id}>
+                  <TableCell>
+                    <div className="font-medium">{review.unitNumber || review.deviceId}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {review.providerName || 'Provider'} · <span className="font-mono">{review.deviceId}</span>
+                    </div>
+                    {(review.vin || review.plate) && (
+                      <div className="text-xs text-muted-foreground">
+                        {[review.vin && `VIN ${review.vin}`, review.plate && `Plate ${review.plate}`].filter(Boolean).join(' · ')}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm">{review.reason}</TableCell>
+                  <TableCell>
+                    <div className="space-y-1">
+                      {review.candidates.map(candidate => (
+                        <div key={candidate.id} className="flex items-center gap-2">
+                          <span className="text-sm">
+                            {candidate.unitNumber}
+                            <span className="text-xs text-muted-foreground">
+                              {' '}({candidate.providerName || 'no provider'}{candidate.vin ? `, VIN ${candidate.vin}` : ''})
+                            </span>
+                          </span>
+                          {canEdit && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              className="h-7 gap-1"
+                              disabled={busyId !== null}
+                              onClick={() => runAction(review.id, () => trailerIdentityAPI.linkReview(review.id, candidate.id), 'Failed to link device')}
+                            >
+                              <Link2 className="w-3 h-3" />
+                              Link
+                            </Button>
+                          )}
+                        </div>
+                      ))}
+                      {review.candidates.length === 0 && (
+                        <span className="text-sm text-muted-foreground">The candidates were merged or deleted</span>
+                      )}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {canEdit && (
+                      <div className="flex justify-end gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="gap-1"
+                          disabled={busyId !== null}
+                          onClick={() => runAction(review.id, () => trailerIdentityAPI.createFromReview(review.id), 'Failed to create trailer')}
+                        >
+                          <Plus className="w-3 h-3" />
+                          New trailer
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="gap-1"
+                          disabled={busyId !== null}
+                          onClick={() => runAction(review.id, () => trailerIdentityAPI.dismissReview(review.id), 'Failed to dismiss device')}
+                        >
+                          <X className="w-3 h-3" />
+                          Dismiss
+                        </Button>
+                      </div>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {reviews.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={4} className="text-center text-muted-foreground">No devices waiting for review</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {/* Merge Trailers */}
+      {canEdit && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Merge Trailers</CardTitle>
+            <CardDescription>
+              Combine two records of the same physical trailer. The duplicate's provider devices, location history, inspections, tires, alerts and notes move to the trailer you keep.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Trailer to keep</Label>
+                <Select value={targetTrailerId} onValueChange={setTargetTrailerId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select trailer" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {trailers.map(trailer => (
+                      <SelectItem key={trailer.id} value={trailer.id}>{trailerLabel(trailer)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Duplicate to merge into it</Label>
+                <Select value={sourceTrailerId} onValueChange={setSourceTrailerId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select trailer" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {trailers.filter(trailer => trailer.id !== targetTrailerId).map(trailer => (
+                      <SelectItem key={trailer.id} value={trailer.id}>{trailerLabel(trailer)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <Button
+              className="gap-2"
+              onClick={handleMerge}
+              disabled={!targetTrailerId || !sourceTrailerId || targetTrailerId === sourceTrailerId || busyId !== null}
+            >
+              <Merge className="w-4 h-4" />
+              Merge
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Merge History */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Merge History</CardTitle>
+          <CardDescription>Undoing a merge moves the duplicate's records back and restores it</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Merged</TableHead>
+                <TableHead>Kept</TableHead>
+                <TableHead>Merged trailer</TableHead>
+                <TableHead>Moved</TableHead>
+                <TableHead className="text-right">Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {merges.map(merge => (
+                <TableRow key={merge.id}>
+                  <TableCell className="whitespace-nowrap">{formatDateInTimezone(merge.mergedAt, userTimezone, {}, false)}</TableCell>
+                  <TableCell>{merge.targetUnitNumber || '-'}</TableCell>
+                  <TableCell>{merge.sourceUnitNumber || '-'}</TableCell>
+                  <TableCell className="text-sm">{formatMovedRecords(merge.movedCounts)}</TableCell>
+                  <TableCell className="text-right">
+                    {merge.unmergedAt ? (
+                      <Badge variant="outline">Undone {formatDateInTimezone(merge.unmergedAt, userTimezone, {}, false)}</Badge>
+                    ) : canEdit ? (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="gap-1"
+                        disabled={busyId !== null}
+                        onClick={() => {
+                          if (!confirm(`Undo the merge of ${merge.sourceUnitNumber} into ${merge.targetUnitNumber}?`)) return;
+                          runAction(merge.id, () => trailerIdentityAPI.unmerge(merge.id), 'Failed to undo merge');
+                        }}
+                      >
+                        <Undo2 className="w-3 h-3" />
+                        Unmerge
+                      </Button>
+                    ) : (
+                      <Badge variant="outline">Merged</Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {merges.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-muted-foreground">No trailers merged</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default TrailerIdentitySettings;
@@ -1,7 +1,13 @@
 export { default as CompanySettings } from './CompanySettings';
 export { default as ProviderSettings } from './ProviderSettings';
+export { default as LocationRulesSettings } from './LocationRulesSettings';
+export { default as SyncHistorySettings } from './SyncHistorySettings';
+export { default as TrailerIdentitySettings } from './TrailerIdentitySettings';
+export { default as ReeferSettings } from './ReeferSettings';
 export { default as PreferencesSettings } from './PreferencesSettings';
 export { default as MaintenanceSettings } from './MaintenanceSettings';
+export { default as InspectionTypesSettings } from './InspectionTypesSettings';
+export { default as PmScheduleSettings } from './PmScheduleSettings';
 export { default as SettingsLayout } from './SettingsLayout';
 
 // UI Components
@@ -9,3 +15,4 @@ export { default as ColorPicker } from './ui/ColorPicker';
 export { default as ToggleSetting } from './ui/ToggleSetting';
 export { default as ProviderCredentialsForm } from './ui/ProviderCredentialsForm';
 export { default as MaintenanceIntervalSection } from './ui/MaintenanceIntervalSection';
+export { default as TrailerTypeCheckboxes } from './ui/TrailerTypeCheckboxes';
@@ -112,6 +112,15 @@ const ProviderCredentialsForm: React.FC<ProviderCredentialsFormProps> = ({
       return renderSkyBitzFields();
     case 'samsara':
       return renderSamsaraFields();
+    case 'generic_push':
+      return (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-700">
+            No credentials needed. A signing secret is generated when the provider is saved; use the
+            push endpoint button in the provider list to view the ingestion URL and secret.
+          </p>
+        </div>
+      );
     case 'other':
       return (
         <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
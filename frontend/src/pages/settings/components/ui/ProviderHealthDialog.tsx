@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { formatDateInTimezone } from '@/lib/utils';
+import { providerAPI } from '@/lib/api';
+import { ProviderHealth } from '@/types';
+import { getProviderHealthBadge } from '../../utils/settingsUtils';
+
+interface ProviderHealthDialogProps {
+  providerId: string | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const formatLatency = (ms: number | null) => (ms === null ? '-' : `${ms} ms`);
+
+const ProviderHealthDialog: React.FC<ProviderHealthDialogProps> = ({ providerId, open, onOpenChange }) => {
+  const [health, setHealth] = useState<ProviderHealth | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const userTimezone = localStorage.getItem('userTimezone') || 'America/Chicago';
+
+  useEffect(() => {
+    if (!open || !providerId) return;
+
+    const loadHealth = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await providerAPI.getProviderHealth(providerId);
+        if (response.data.success) {
+          setHealth(response.data.data);
+        } else {
+          throw new Error(response.data.error || 'Failed to load provider health');
+        }
+      } catch (err: unknown) {
+        setError(err instanceof Error ? err.message : 'Failed to load provider health');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHealth();
+  }, [open, providerId]);
+
+  const badge = getProviderHealthBadge(health?.healthStatus);
+  const maxHourlyChecks = health
+    ? Math.max(1, ...health.timeline.map(bucket => bucket.successes + bucket.failures))
+    : 1;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[760px] max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Provider Health{health ? ` - ${health.name}` : ''}</DialogTitle>
+          <DialogDescription>Fetch success rate and latency over the last 24 hours</DialogDescription>
+        </DialogHeader>
+
+        {loading && <p className="text-sm text-muted-foreground py-4">Loading health history...</p>}
+        {error && <p className="text-sm text-destructive py-4">{error}</p>}
+
+        {health && !loading && (
+          <div className="space-y-6 py-2">
+            <div className="flex flex-wrap items-center gap-3">
+              <Badge variant="outline" className={badge.className}>{badge.label}</Badge>
+              {health.circuit.open && (
+                <span className="text-sm text-destructive">
+                  Polling paused until {formatDateInTimezone(health.circuit.retryAt as string, userTimezone)} - update the credentials to resume now
+                </span>
+              )}
+              {health.consecutiveFailures > 0 && (
+                <span className="text-sm text-muted-foreground">
+                  {health.consecutiveFailures} failure(s) in a row
+                </span>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              <div>
+                <p className="text-xs text-muted-foreground">Success rate</p>
+                <p className="text-lg font-semibold">
+                  {health.metrics.successRate === null ? '-' : `${health.metrics.successRate}%`}
+                </p>
+                <p className="text-xs text-muted-foreground">{health.metrics.successes}/{health.metrics.checks} fetches</p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Latency p50</p>
+                <p className="text-lg font-semibold">{formatLatency(health.metrics.latencyMs.p50)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Latency p95</p>
+                <p className="text-lg font-semibold">{formatLatency(health.metrics.latencyMs.p95)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-muted-foreground">Latency p99</p>
+                <p className="text-lg font-semibold">{formatLatency(health.metrics.latencyMs.p99)}</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+              <div>
+                <span className="text-muted-foreground">Last success: </span>
+                {health.lastSuccessAt ? formatDateInTimezone(health.lastSuccessAt, userTimezone) : 'Never'}
+              </div>
+              <div>
+                <span className="text-muted-foreground">Last failure: </span>
+                {health.lastFailureAt ? formatDateInTimezone(health.lastFailureAt, userTimezone) : 'Never'}
+              </div>
+              {Object.keys(health.metrics.errorTypes).length > 0 && (
+                <div className="sm:col-span-2">
+                  <span className="text-muted-foreground">Errors: </span>
+                  {Object.entries(health.metrics.errorTypes).map(([type, count]) => `${type} (${count})`).join(', ')}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="font-medium text-sm">Hourly fetches</h4>
+              {health.timeline.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No fetches in the last 24 hours</p>
+              ) : (
+                <div className="flex items-end gap-1 h-24">
+                  {health.timeline.map(bucket => (
+                    <div
+                      key={bucket.hour}
+                      className="flex-1 flex flex-col justify-end h-full"
+                      title={`${formatDateInTimezone(bucket.hour, userTimezone)}: ${bucket.successes} ok, ${bucket.failures} failed, avg ${formatLatency(bucket.avgLatencyMs)}`}
+                    >
+                      <div className="bg-red-400" style={{ height: `${(bucket.failures / maxHourlyChecks) * 100}%` }} />
+                      <div className="bg-green-500" style={{ height: `${(bucket.successes / maxHourlyChecks) * 100}%` }} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="font-medium text-sm">Recent fetches</h4>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Trigger</TableHead>
+                    <TableHead>Result</TableHead>
+                    <TableHead className="text-right">Latency</TableHead>
+                    <TableHead className="text-right">Records</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {health.recentChecks.map(check => (
+                    <TableRow key={check.id}>
+                      <TableCell className="whitespace-nowrap">{formatDateInTimezone(check.checkedAt, userTimezone, {}, false)}</TableCell>
+                      <TableCell>{check.triggerType}</TableCell>
+                      <TableCell>
+                        {check.success
+                          ? <span className="text-green-700">OK</span>
+                          : <span className="text-destructive" title={check.errorMessage || ''}>{check.errorType || 'failed'}</span>}
+                      </TableCell>
+                      <TableCell className="text-right">{formatLatency(check.latencyMs)}</TableCell>
+                      <TableCell className="text-right">{check.recordsCount ?? '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {health.recentChecks.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={5} className="text-center text-muted-foreground">No fetches recorded yet</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ProviderHealthDialog;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { TrailerType } from '@/types';
+import { TRAILER_TYPE_LABELS } from '@/pages/trailers/utils/trailerHelpers';
+
+interface TrailerTypeCheckboxesProps {
+  idPrefix: string;
+  selected: TrailerType[];
+  onChange: (trailerTypes: TrailerType[]) => void;
+}
+
+const TrailerTypeCheckboxes: React.FC<TrailerTypeCheckboxesProps> = ({ idPrefix, selected, onChange }) => (
+  <div className="flex flex-wrap gap-4">
+    {(Object.entries(TRAILER_TYPE_LABELS) as [TrailerType, string][]).map(([type, label]) => (
+      <div key={type} className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-${type}`}
+          checked={selected.includes(type)}
+          onCheckedChange={(checked) => onChange(checked ? [...selected, type] : selected.filter(item => item !== type))}
+        />
+        <Label htmlFor={`${idPrefix}-${type}`} className="text-sm font-normal">{label}</Label>
+      </div>
+    ))}
+  </div>
+);
+
+export default TrailerTypeCheckboxes;
@@ -1,4 +1,4 @@
-import { EditingProvider, MaintenancePreferences } from '@/types';
+import { EditingProvider, MaintenancePreferences, Provider, ReconciliationReport, ReconciliationThresholds } from '@/types';
 
 export const buildCredentials = (providerType: string, provider: EditingProvider) => {
   const filterEmptyValues = (obj: Record<string, any>) => {
@@ -32,6 +32,69 @@ export const buildCredentials = (providerType: string, provider: EditingProvider
   }
 };
 
+// Empty threshold fields send null, which restores the server default
+export const buildReconciliationThresholds = (provider: EditingProvider): ReconciliationThresholds => {
+  const toThreshold = (value?: string) => (value === undefined || value.trim() === '' ? null : Number(value));
+
+  return {
+    staleAfterHours: toThreshold(provider.staleAfterHours),
+    disconnectAfterHours: toThreshold(provider.disconnectAfterHours),
+    archiveAfterDays: toThreshold(provider.archiveAfterDays)
+  };
+};
+
+export const formatReconciliationReport = (report?: ReconciliationReport | null) => {
+  if (!report) return '';
+
+  const parts = [
+    report.stale > 0 && `${report.stale} stale`,
+    report.disconnected > 0 && `${report.disconnected} disconnected`,
+    report.archived > 0 && `${report.archived} archived`,
+    report.reconnected > 0 && `${report.reconnected} reconnected`
+  ].filter(Boolean);
+
+  return parts.length > 0 ? `Trailers: ${parts.join(', ')}.` : '';
+};
+
+const MOVED_RECORD_LABELS: Record<string, string> = {
+  trailer_device_links: 'devices',
+  trailer_location_history: 'location history',
+  trailer_inspections: 'inspections',
+  tire_records: 'tire records',
+  maintenance_alerts: 'alerts',
+  system_notes: 'notes',
+  geofence_events: 'geofence events',
+  trailer_telemetry: 'sensor readings',
+  reefer_temperature_ranges: 'reefer ranges',
+  reefer_excursions: 'reefer excursions'
+};
+
+export const formatMovedRecords = (movedCounts: Record<string, number>) => {
+  const parts = Object.entries(movedCounts).map(([table, count]) => `${count} ${MOVED_RECORD_LABELS[table] || table}`);
+  return parts.length > 0 ? parts.join(', ') : 'No records';
+};
+
+// Providers in location priority order, unranked providers last in their current order
+export const orderProvidersByPriority = (providers: Provider[], providerPriority: string[]) => {
+  const rank = (provider: Provider) => {
+    const index = providerPriority.indexOf(provider.id);
+    return index === -1 ? providerPriority.length : index;
+  };
+  return [...providers].sort((a, b) => rank(a) - rank(b));
+};
+
+// Reefer temperatures are stored in °C and shown in the unit the user picks
+export type TemperatureUnit = 'F' | 'C';
+
+export const toDisplayTemperature = (celsius: number, unit: TemperatureUnit) =>
+  unit === 'F' ? celsius * 9 / 5 + 32 : celsius;
+
+export const toCelsius = (value: number, unit: TemperatureUnit) =>
+  unit === 'F' ? (value - 32) * 5 / 9 : value;
+
+export const formatTemperature = (celsius: number, unit: TemperatureUnit) =>
+  `${toDisplayTemperature(celsius, unit).toFixed(1)} °${unit}`;
+
 export const validateProviderCredentials = (providerType: string, provider: EditingProvider) => {
   const requiredFields: string[] = [];
   switch (providerType) {
@@ -76,3 +139,26 @@ export const getProviderStatusBadge = (status: string) => {
     label: config.label 
   };
 };
+
+export const getProviderHealthBadge = (healthStatus?: string) => {
+  const healthConfig = {
+    healthy: { className: 'bg-green-100 text-green-800', label: 'Healthy' },
+    degraded: { className: 'bg-yellow-100 text-yellow-800', label: 'Degraded' },
+    down: { className: 'bg-red-100 text-red-800', label: 'Down' },
+    auth_failed: { className: 'bg-red-100 text-red-800', label: 'Credentials rejected' },
+    unknown: { className: 'bg-gray-100 text-gray-800', label: 'Unknown' }
+  };
+
+  return healthConfig[(healthStatus || 'unknown') as keyof typeof healthConfig] || healthConfig.unknown;
+};
+
+export const getRefreshStatusBadge = (status: string) => {
+  const refreshStatusConfig = {
+    success: { className: 'bg-green-100 text-green-800', label: 'Success' },
+    partial: { className: 'bg-yellow-100 text-yellow-800', label: 'Partial' },
+    failed: { className: 'bg-red-100 text-red-800', label: 'Failed' },
+    skipped: { className: 'bg-gray-100 text-gray-800', label: 'Skipped' }
+  };
+
+  return refreshStatusConfig[status as keyof typeof refreshStatusConfig] || { className: '', label: status };
+};
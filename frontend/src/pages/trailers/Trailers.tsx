@@ -16,10 +16,13 @@ import {
   TrailerFilters,
   TrailerStats,
   TrailerActions,
-  TrailerMap
+  TrailerMap,
+  TrailerDwell,
+  TrailerDeviceHealth
 } from './components';
 
 import { Trailer, Stats, RecentNote, CustomLocation, TrailerFilterState } from './types';
+import type { DeviceHealth, DeviceHealthSummary } from '@/types';
 
 const Trailers = () => {
   const [trailers, setTrailers] = useState<Trailer[]>([]);
@@ -38,6 +41,8 @@ const Trailers = () => {
   const [filters, setFilters] = useState<TrailerFilterState>({
     status: '',
     company: '',
+    gpsStatus: '',
+    gpsHealth: '',
     maintenance: ''
   });
   const [selectedTrailer, setSelectedTrailer] = useState<Trailer | null>(null);
@@ -57,6 +62,10 @@ const Trailers = () => {
   const [locationCityStates, setLocationCityStates] = useState<Record<string, string>>({});
   const [activeLocationFilter, setActiveLocationFilter] = useState<{ lat: number; lng: number; name: string } | null>(null);
   const [activeStatsFilter, setActiveStatsFilter] = useState<string | null>(null);
+  const [dataVersion, setDataVersion] = useState(0);
+  const [deviceHealth, setDeviceHealth] = useState<DeviceHealth[]>([]);
+  const [deviceHealthSummary, setDeviceHealthSummary] = useState<DeviceHealthSummary | null>(null);
+  const [loadingDeviceHealth, setLoadingDeviceHealth] = useState(false);
   const [maintenancePreferences, setMaintenancePreferences] = useState<{
     annual_alert_threshold: number;
     midtrip_alert_threshold: number;
@@ -382,6 +391,7 @@ const Trailers = () => {
 
       // Load custom locations after trailers are loaded to ensure accurate counts
       await loadCustomLocations(trailerData);
+      setDataVersion(version => version + 1);
 
     } catch (error) {
       console.error('🔄 Frontend - Error loading data:', error);
@@ -395,6 +405,22 @@ const Trailers = () => {
     }
   }, [toast]); // Only depend on toast, not other functions
 
+  // Load tracker health for the devices card and the GPS Health filter
+  const loadDeviceHealth = useCallback(async () => {
+    try {
+      setLoadingDeviceHealth(true);
+      const response = await trailerAPI.getDeviceHealth();
+      if (response.data && response.data.success) {
+        setDeviceHealth(response.data.data || []);
+        setDeviceHealthSummary(response.data.summary || null);
+      }
+    } catch (error) {
+      console.error('Error loading device health:', error);
+    } finally {
+      setLoadingDeviceHealth(false);
+    }
+  }, []);
+
   // Use the shared GPS sync hook (after loadData is defined)
   const { refreshing, handleRefresh } = useGpsSync(loadData);
 
@@ -455,6 +481,24 @@ const Trailers = () => {
 
 
 
+    // Apply GPS health filter; trailers without a provider tracker have no health entry
+    if (filters.gpsHealth) {
+      const healthByTrailer = new Map(deviceHealth.map(device => [device.trailerId, device]));
+      filtered = filtered.filter(trailer => {
+        const health = healthByTrailer.get(trailer.id);
+        switch (filters.gpsHealth) {
+          case 'healthy':
+            return health?.status === 'healthy';
+          case 'needs_attention':
+            return !!health && health.issues.length > 0;
+          case 'no_tracker':
+            return !health;
+          default:
+            return !!health && health.issues.some(issue => issue.type === filters.gpsHealth);
+        }
+      });
+    }
+
     // Apply maintenance filter
     if (filters.maintenance) {
               // console.log('Applying maintenance filter:', filters.maintenance);
@@ -572,7 +616,7 @@ const Trailers = () => {
     }
 
     setFilteredTrailers(filtered);
-  }, [trailers, searchTerm, filters, activeLocationFilter, activeStatsFilter, sortConfig, recentNotes]);
+  }, [trailers, searchTerm, filters, activeLocationFilter, activeStatsFilter, sortConfig, recentNotes, deviceHealth]);
 
   // Helper functions for maintenance filtering
   const hasMaintenanceAlerts = (trailer: Trailer): boolean => {
@@ -659,6 +703,7 @@ const Trailers = () => {
       status: '',
       company: '',
       gpsStatus: '',
+      gpsHealth: '',
       maintenance: ''
     });
     setActiveLocationFilter(null);
@@ -842,7 +887,14 @@ const Trailers = () => {
 
   useEffect(() => {
     applyFiltersAndSorting();
-  }, [trailers, searchTerm, filters, activeLocationFilter, activeStatsFilter, sortConfig, recentNotes]); // Direct dependencies
+  }, [trailers, searchTerm, filters, activeLocationFilter, activeStatsFilter, sortConfig, recentNotes, deviceHealth]); // Direct dependencies
+
+  // Reload tracker health after every trailer load or GPS sync
+  useEffect(() => {
+    if (dataVersion > 0) {
+      loadDeviceHealth();
+    }
+  }, [loadDeviceHealth, dataVersion]);
 
   // Reload custom locations when trailers change
   useEffect(() => {
@@ -925,6 +977,16 @@ const Trailers = () => {
           />
         </div>
 
+        {/* Dwell & Detention */}
+        <div className="mb-8">
+          <TrailerDwell refreshKey={dataVersion} />
+        </div>
+
+        {/* GPS Device Health */}
+        <div className="mb-8">
+          <TrailerDeviceHealth devices={deviceHealth} summary={deviceHealthSummary} loading={loadingDeviceHealth} />
+        </div>
+
         {/* Filters */}
         <div className="mb-8">
           <TrailerFilters
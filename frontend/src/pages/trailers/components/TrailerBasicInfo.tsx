@@ -3,6 +3,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Trailer } from '../types';
+import { TRAILER_TYPE_LABELS } from '../utils/trailerHelpers';
 
 interface TrailerBasicInfoProps {
   formData: Partial<Trailer>;
@@ -12,7 +13,7 @@ interface TrailerBasicInfoProps {
 const TrailerBasicInfo: React.FC<TrailerBasicInfoProps> = ({ formData, onInputChange }) => {
   return (
     <div className="space-y-3">
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
         <div className="space-y-1">
           <Label htmlFor="unit_number" className="text-sm font-medium text-gray-700 dark:text-gray-300">Unit Number *</Label>
           <Input
@@ -43,6 +44,23 @@ const TrailerBasicInfo: React.FC<TrailerBasicInfoProps> = ({ formData, onInputCh
             </SelectContent>
           </Select>
         </div>
+        <div className="space-y-1">
+          <Label htmlFor="trailer_type" className="text-sm font-medium text-gray-700 dark:text-gray-300">Trailer Type</Label>
+          <Select
+            value={formData.trailerType || 'none'}
+            onValueChange={(value) => onInputChange('trailerType', value === 'none' ? null : value)}
+          >
+            <SelectTrigger id="trailer_type" className="h-9 text-sm border-gray-300 dark:border-gray-600 focus:border-primary focus:ring-primary">
+              <SelectValue placeholder="Select type" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">Not set</SelectItem>
+              {Object.entries(TRAILER_TYPE_LABELS).map(([type, label]) => (
+                <SelectItem key={type} value={type}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
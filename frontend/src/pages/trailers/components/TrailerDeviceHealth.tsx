@@ -0,0 +1,116 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { BatteryWarning, CheckCircle } from 'lucide-react';
+import type { DeviceHealth, DeviceHealthIssueType, DeviceHealthSummary } from '@/types';
+
+const ISSUE_LABELS: Record<DeviceHealthIssueType, string> = {
+  low_battery: 'Low battery',
+  not_reporting: 'Not reporting',
+  slow_reporting: 'Slow reporting'
+};
+
+const formatMinutes = (minutes: number | null) => {
+  if (minutes === null) return '—';
+  const rounded = Math.round(minutes);
+  const days = Math.floor(rounded / 1440);
+  const hours = Math.floor((rounded % 1440) / 60);
+  const mins = rounded % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+};
+
+interface TrailerDeviceHealthProps {
+  devices: DeviceHealth[];
+  summary: DeviceHealthSummary | null;
+  loading?: boolean;
+}
+
+const TrailerDeviceHealth: React.FC<TrailerDeviceHealthProps> = ({ devices, summary, loading }) => {
+  const needingAttention = devices.filter(device => device.issues.length > 0);
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="pb-3">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <BatteryWarning className="w-5 h-5" />
+            Devices Needing Attention
+            {loading && (
+              <div className="animate-spin rounded-full h-3 w-3 border-b border-primary"></div>
+            )}
+          </CardTitle>
+          {summary && (
+            <div className="flex items-center gap-2 text-sm">
+              <Badge variant={summary.critical > 0 ? 'destructive' : 'outline'}>{summary.critical} critical</Badge>
+              <Badge variant="outline">{summary.warning} warning</Badge>
+              <Badge variant="outline">{summary.healthy} of {summary.total} healthy</Badge>
+            </div>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-0">
+        {needingAttention.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            <CheckCircle className="w-12 h-12 mx-auto mb-4 text-muted-foreground" />
+            <p>All trackers are reporting</p>
+            <p className="text-sm">Trackers with a low battery or missed pings show up here</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="pl-8">Trailer</TableHead>
+                  <TableHead>Provider</TableHead>
+                  <TableHead>Last Ping</TableHead>
+                  <TableHead className="text-center">Reports Every</TableHead>
+                  <TableHead className="text-center">Battery</TableHead>
+                  <TableHead>Issues</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {needingAttention.map(device => (
+                  <TableRow key={device.trailerId} className={device.status === 'critical' ? 'bg-red-500/5' : ''}>
+                    <TableCell className="pl-8 font-medium text-sm">{device.unitNumber || device.trailerId}</TableCell>
+                    <TableCell className="text-sm">{device.providerName || '—'}</TableCell>
+                    <TableCell className="text-sm">
+                      {device.lastPingAt ? (
+                        <>
+                          <div>{formatMinutes(device.minutesSincePing)} ago</div>
+                          <div className="text-xs text-muted-foreground">{new Date(device.lastPingAt).toLocaleString()}</div>
+                        </>
+                      ) : '—'}
+                    </TableCell>
+                    <TableCell className="text-center text-sm">{formatMinutes(device.pingIntervalMinutes)}</TableCell>
+                    <TableCell className="text-center text-sm">
+                      {device.batteryVoltage !== null ? `${device.batteryVoltage.toFixed(2)} V` : '—'}
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        {device.issues.map(issue => (
+                          <Badge
+                            key={issue.type}
+                            variant={issue.severity === 'critical' ? 'destructive' : 'outline'}
+                            className="text-xs"
+                            title={issue.message}
+                          >
+                            {ISSUE_LABELS[issue.type]}
+                          </Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TrailerDeviceHealth;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Clock, Save } from 'lucide-react';
+import { trailerAPI, trailerCustomCompaniesAPI } from '@/lib/api';
+import { useToast } from '@/hooks/use-toast';
+import type { DwellVisit, DwellSummary } from '@/types';
+
+interface CustomCompanyOption {
+  id: string;
+  name: string;
+  detention_threshold_minutes?: number | null;
+}
+
+const LOCATION_TYPES = [
+  { value: 'general', label: 'General' },
+  { value: 'warehouse', label: 'Warehouse' },
+  { value: 'depot', label: 'Depot' },
+  { value: 'terminal', label: 'Terminal' },
+  { value: 'yard', label: 'Yard' },
+  { value: 'office', label: 'Office' },
+  { value: 'maintenance', label: 'Maintenance' },
+  { value: 'fuel', label: 'Fuel Station' },
+  { value: 'rest', label: 'Rest Area' },
+  { value: 'custom', label: 'Custom' }
+];
+
+const THRESHOLD_SOURCE_LABELS: Record<DwellVisit['thresholdSource'], string> = {
+  location: 'Location',
+  customer: 'Customer',
+  default: 'Default'
+};
+
+const formatMinutes = (minutes: number) => {
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+};
+
+const selectClassName = 'w-full text-sm border border-gray-300 rounded px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+interface TrailerDwellProps {
+  refreshKey?: number;
+}
+
+const TrailerDwell: React.FC<TrailerDwellProps> = ({ refreshKey }) => {
+  const { toast } = useToast();
+  const [visits, setVisits] = useState<DwellVisit[]>([]);
+  const [summary, setSummary] = useState<DwellSummary | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [customCompanies, setCustomCompanies] = useState<CustomCompanyOption[]>([]);
+  const [status, setStatus] = useState<'current' | 'completed'>('current');
+  const [customCompanyId, setCustomCompanyId] = useState('');
+  const [locationType, setLocationType] = useState('');
+  const [detentionOnly, setDetentionOnly] = useState(false);
+  const [customerThreshold, setCustomerThreshold] = useState('');
+  const [savingThreshold, setSavingThreshold] = useState(false);
+
+  const loadCustomCompanies = useCallback(async () => {
+    try {
+      const response = await trailerCustomCompaniesAPI.getCustomCompanies();
+      const body = response.data as unknown as { data?: CustomCompanyOption[] };
+      setCustomCompanies(body.data || []);
+    } catch (error) {
+      console.error('Error loading custom companies:', error);
+    }
+  }, []);
+
+  const loadDwell = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await trailerAPI.getDwell({
+        status,
+        customCompanyId: customCompanyId || undefined,
+        locationType: locationType || undefined,
+        detentionOnly: detentionOnly || undefined
+      });
+      setVisits(response.data.data || []);
+      setSummary(response.data.summary || null);
+    } catch (error) {
+      console.error('Error loading dwell:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load dwell and detention",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, customCompanyId, locationType, detentionOnly, toast]);
+
+  useEffect(() => {
+    loadCustomCompanies();
+  }, [loadCustomCompanies]);
+
+  useEffect(() => {
+    loadDwell();
+  }, [loadDwell, refreshKey]);
+
+  useEffect(() => {
+    const company = customCompanies.find(c => c.id === customCompanyId);
+    setCustomerThreshold(company?.detention_threshold_minutes ? String(company.detention_threshold_minutes) : '');
+  }, [customCompanyId, customCompanies]);
+
+  const handleSaveCustomerThreshold = async () => {
+    if (!customCompanyId) return;
+
+    const minutes = customerThreshold ? parseInt(customerThreshold, 10) : null;
+    if (minutes !== null && (isNaN(minutes) || minutes < 1)) {
+      toast({
+        title: "Validation Error",
+        description: "Detention threshold must be a positive number of minutes",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setSavingThreshold(true);
+      await trailerCustomCompaniesAPI.updateCustomCompany(customCompanyId, { detention_threshold_minutes: minutes });
+      toast({
+        title: "Threshold Updated",
+        description: "Customer detention threshold has been saved",
+      });
+      await loadCustomCompanies();
+      await loadDwell();
+    } catch (error) {
+      console.error('Error saving customer threshold:', error);
+      toast({
+        title: "Error",
+        description: "Failed to save customer threshold",
+        variant: "destructive",
+      });
+    } finally {
+      setSavingThreshold(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="pb-3">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Clock className="w-5 h-5" />
+            Dwell &amp; Detention
+            {loading && (
+              <div className="animate-spin rounded-full h-3 w-3 border-b border-primary"></div>
+            )}
+          </CardTitle>
+          {summary && (
+            <div className="flex items-center gap-2 text-sm">
+              <Badge variant="outline">{summary.visits} {summary.status === 'current' ? 'on site' : 'visits'}</Badge>
+              <Badge variant={summary.inDetention > 0 ? 'destructive' : 'outline'}>
+                {summary.inDetention} in detention
+              </Badge>
+              {summary.detentionMinutes > 0 && (
+                <Badge variant="outline">{formatMinutes(summary.detentionMinutes)} billable</Badge>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 pt-3">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value as 'current' | 'completed')}
+            className={selectClassName}
+          >
+            <option value="current">On Site Now</option>
+            <option value="completed">Completed Visits</option>
+          </select>
+          <select
+            value={customCompanyId}
+            onChange={(e) => setCustomCompanyId(e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All Customers</option>
+            {customCompanies.map(company => (
+              <option key={company.id} value={company.id}>
+                {company.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={locationType}
+            onChange={(e) => setLocationType(e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All Location Types</option>
+            {LOCATION_TYPES.map(type => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={detentionOnly}
+              onChange={(e) => setDetentionOnly(e.target.checked)}
+            />
+            Detention only
+          </label>
+        </div>
+        {customCompanyId && (
+          <div className="flex items-center gap-2 pt-3">
+            <span className="text-sm text-gray-700">Customer detention after</span>
+            <Input
+              type="number"
+              min={1}
+              max={43200}
+              placeholder="Default"
+              value={customerThreshold}
+              onChange={(e) => setCustomerThreshold(e.target.value)}
+              className="h-8 w-28"
+            />
+            <span className="text-sm text-gray-700">minutes</span>
+            <Button size="sm" variant="outline" onClick={handleSaveCustomerThreshold} disabled={savingThreshold}>
+              <Save className="w-4 h-4 mr-1" />
+              Save
+            </Button>
+          </div>
+        )}
+      </CardHeader>
+      <CardContent className="p-0">
+        {visits.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            <Clock className="w-12 h-12 mx-auto mb-4 text-muted-foreground" />
+            <p>No dwell recorded</p>
+            <p className="text-sm">Add a geofence to a custom location to track dwell time</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="pl-8">Trailer</TableHead>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Location</TableHead>
+                  <TableHead>Arrived</TableHead>
+                  {status === 'completed' && <TableHead>Departed</TableHead>}
+                  <TableHead className="text-center">Dwell</TableHead>
+                  <TableHead className="text-center">Threshold</TableHead>
+                  <TableHead className="text-center">Detention</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {visits.map(visit => (
+                  <TableRow key={visit.arrivalEventId} className={visit.inDetention ? 'bg-red-500/5' : ''}>
+                    <TableCell className="pl-8 font-medium text-sm">{visit.unitNumber || visit.trailerId}</TableCell>
+                    <TableCell className="text-sm">{visit.companyName || '—'}</TableCell>
+                    <TableCell className="text-sm">
+                      <div>{visit.locationName}</div>
+                      {visit.locationType && (
+                        <div className="text-xs text-muted-foreground">
+                          {LOCATION_TYPES.find(type => type.value === visit.locationType)?.label || visit.locationType}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">{new Date(visit.arrivedAt).toLocaleString()}</TableCell>
+                    {status === 'completed' && (
+                      <TableCell className="text-sm">{visit.departedAt ? new Date(visit.departedAt).toLocaleString() : '—'}</TableCell>
+                    )}
+                    <TableCell className="text-center text-sm">{formatMinutes(visit.dwellMinutes)}</TableCell>
+                    <TableCell className="text-center text-sm">
+                      {formatMinutes(visit.thresholdMinutes)}
+                      <div className="text-xs text-muted-foreground">{THRESHOLD_SOURCE_LABELS[visit.thresholdSource]}</div>
+                    </TableCell>
+                    <TableCell className="text-center">
+                      {visit.inDetention ? (
+                        <Badge variant="destructive" className="text-xs">{formatMinutes(visit.detentionMinutes)}</Badge>
+                      ) : (
+                        <span className="text-xs text-muted-foreground">—</span>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TrailerDwell;
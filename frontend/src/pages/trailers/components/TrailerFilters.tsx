@@ -29,7 +29,7 @@ const TrailerFilters: React.FC<TrailerFiltersProps> = ({
       {/* Filter Panel */}
       {showFilters && (
         <div className="bg-white border rounded-lg p-3 lg:p-4 shadow-sm">
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 lg:gap-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 lg:gap-4">
             <div>
               <label className="text-sm font-medium text-gray-700 mb-2 block">Status</label>
               <select
@@ -70,11 +70,29 @@ const TrailerFilters: React.FC<TrailerFiltersProps> = ({
               >
                 <option value="">All GPS Statuses</option>
                 <option value="connected">Connected</option>
+                <option value="stale">Stale</option>
                 <option value="disconnected">Disconnected</option>
                 <option value="unknown">Unknown</option>
               </select>
             </div>
             
+            <div>
+              <label className="text-sm font-medium text-gray-700 mb-2 block">GPS Health</label>
+              <select
+                value={filters.gpsHealth}
+                onChange={(e) => onFilterChange('gpsHealth', e.target.value)}
+                className="w-full text-sm border border-gray-300 rounded px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All GPS Health</option>
+                <option value="healthy">Healthy</option>
+                <option value="needs_attention">Needs Attention</option>
+                <option value="low_battery">Low Battery</option>
+                <option value="not_reporting">Not Reporting</option>
+                <option value="slow_reporting">Slow Reporting</option>
+                <option value="no_tracker">No Tracker</option>
+              </select>
+            </div>
+            
             <div>
               <label className="text-sm font-medium text-gray-700 mb-2 block">Maintenance</label>
               <select
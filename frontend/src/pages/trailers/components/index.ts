@@ -3,3 +3,5 @@ export { default as TrailerFilters } from './TrailerFilters';
 export { default as TrailerStats } from './TrailerStats';
 export { default as TrailerActions } from './TrailerActions';
 export { default as TrailerMap } from './TrailerMap';
+export { default as TrailerDwell } from './TrailerDwell';
+export { default as TrailerDeviceHealth } from './TrailerDeviceHealth';
@@ -25,6 +25,7 @@ export const useTrailerForm = (trailer: Trailer | null) => {
         vin: trailer.vin || '',
         plate: trailer.plate || '',
         status: trailer.status || 'available',
+        trailerType: trailer.trailerType || null,
         lastAnnualInspection: trailer.lastAnnualInspection || '',
         nextAnnualInspectionDue: trailer.nextAnnualInspectionDue || '',
         lastMidtripInspection: trailer.lastMidtripInspection || '',
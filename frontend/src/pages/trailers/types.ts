@@ -1,3 +1,5 @@
+import type { TrailerType } from '@/types';
+
 export interface Trailer {
   id: string;
   unitNumber: string;
@@ -7,6 +9,7 @@ export interface Trailer {
   vin?: string;
   plate?: string;
   status: string;
+  trailerType?: TrailerType | null;
   lastGpsUpdate?: string;
   lastSync?: string;
   lastAnnualInspection?: string;
@@ -69,5 +72,7 @@ export interface CustomLocation {
 export interface TrailerFilterState {
   status: string;
   company: string;
+  gpsStatus: string;
+  gpsHealth: string;
   maintenance: string;
 }
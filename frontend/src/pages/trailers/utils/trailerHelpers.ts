@@ -1,3 +1,15 @@
+import type { TrailerType } from '@/types';
+
+export const TRAILER_TYPE_LABELS: Record<TrailerType, string> = {
+  dry_van: 'Dry van',
+  reefer: 'Reefer',
+  flatbed: 'Flatbed',
+  step_deck: 'Step deck',
+  tanker: 'Tanker',
+  chassis: 'Chassis',
+  other: 'Other'
+};
+
 // Helper functions to convert between string dates and Date objects
 export const stringToDate = (dateString: string): Date | undefined => {
   if (!dateString) return undefined;
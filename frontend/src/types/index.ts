@@ -166,6 +166,269 @@ export interface Provider {
   companyId?: string;
   company_name?: string;
   companyName?: string;
+  health_status?: ProviderHealthStatus;
+  consecutive_failures?: number;
+  last_success_at?: string | null;
+  last_failure_at?: string | null;
+  circuit_state?: 'closed' | 'open';
+  circuit_opened_at?: string | null;
+  stale_after_hours?: number | null;
+  disconnect_after_hours?: number | null;
+  archive_after_days?: number | null;
+}
+
+// Per-provider reconciliation thresholds - null uses the server default, archiveAfterDays 0 never archives
+export interface ReconciliationThresholds {
+  staleAfterHours?: number | null;
+  disconnectAfterHours?: number | null;
+  archiveAfterDays?: number | null;
+}
+
+// Tenant rules for which location source wins - 0 turns the manual expiry and distance checks off
+export interface LocationRulesInput {
+  manualExpiryHours: number;
+  gpsOverrideMiles: number;
+  providerPriority: string[];
+  priorityFallbackMinutes: number;
+}
+
+export interface LocationRules extends LocationRulesInput {
+  isDefault: boolean;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+// Sensor metrics stored in a trailer's telemetry time series
+export type TelemetryMetric =
+  | 'door_open'
+  | 'cargo_loaded'
+  | 'reefer_set_point_c'
+  | 'reefer_return_air_c'
+  | 'reefer_supply_air_c'
+  | 'reefer_ambient_c'
+  | 'reefer_run_mode'
+  | 'battery_voltage'
+  | 'odometer_miles'
+  | 'engine_hours';
+
+export interface TelemetryReading {
+  id?: string;
+  metric: TelemetryMetric;
+  value: number | null;
+  textValue: string | null;
+  providerId: string | null;
+  recordedAt: string;
+}
+
+// Reefer temperature ranges and the excursions recorded against them, temperatures in °C
+export type ReeferMetric = 'reefer_return_air_c' | 'reefer_supply_air_c';
+
+export interface ReeferRangeInput {
+  trailerId: string;
+  loadReference?: string | null;
+  metric: ReeferMetric;
+  minTempC: number;
+  maxTempC: number;
+  alertAfterMinutes: number;
+  startsAt?: string | null;
+  endsAt?: string | null;
+}
+
+export interface ReeferRange extends ReeferRangeInput {
+  id: string;
+  unitNumber: string;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ReeferExcursionStatus = 'open' | 'closed';
+
+export interface ReeferExcursion {
+  id: string;
+  trailerId: string;
+  unitNumber: string;
+  rangeId: string | null;
+  loadReference: string | null;
+  metric: ReeferMetric;
+  minTempC: number;
+  maxTempC: number;
+  startedAt: string;
+  lastReadingAt: string;
+  endedAt: string | null;
+  peakTempC: number;
+  readingsCount: number;
+  severity: 'warning' | 'critical' | null;
+  alertId: string | null;
+  status: ReeferExcursionStatus;
+}
+
+export interface ReeferExcursionDetail extends ReeferExcursion {
+  readings: TelemetryReading[];
+}
+
+// Trailers changed by reconciliation after a provider sync
+export interface ReconciliationReport {
+  stale: number;
+  disconnected: number;
+  archived: number;
+  reconnected: number;
+}
+
+export type ProviderHealthStatus = 'unknown' | 'healthy' | 'degraded' | 'down' | 'auth_failed';
+
+export interface ProviderHealthCheck {
+  id: string;
+  triggerType: 'refresh' | 'sync' | 'test';
+  success: boolean;
+  latencyMs: number | null;
+  errorType: string | null;
+  errorMessage: string | null;
+  recordsCount: number | null;
+  checkedAt: string;
+}
+
+export interface ProviderHealth {
+  providerId: string;
+  name: string;
+  healthStatus: ProviderHealthStatus;
+  consecutiveFailures: number;
+  consecutiveAuthFailures: number;
+  lastSuccessAt: string | null;
+  lastFailureAt: string | null;
+  lastError: string | null;
+  circuit: {
+    state: 'closed' | 'open';
+    openedAt: string | null;
+    open: boolean;
+    retryAt: string | null;
+  };
+  metrics: {
+    since: string;
+    checks: number;
+    successes: number;
+    failures: number;
+    successRate: number | null;
+    latencyMs: { p50: number | null; p95: number | null; p99: number | null; max: number | null };
+    errorTypes: Record<string, number>;
+  };
+  timeline: Array<{ hour: string; successes: number; failures: number; avgLatencyMs: number | null }>;
+  recentChecks: ProviderHealthCheck[];
+}
+
+// Sync and location refresh run records
+export type RefreshOperation = 'sync' | 'refresh';
+export type RefreshRunStatus = 'success' | 'partial' | 'failed' | 'skipped';
+export type RefreshItemOutcome = 'skipped' | 'unmatched' | 'failed' | 'stale' | 'disconnected' | 'archived';
+
+export interface RefreshRun {
+  id: string;
+  tenantId: string;
+  userId: string | null;
+  providerId: string | null;
+  providerName: string | null;
+  operationType: RefreshOperation;
+  triggerType: string;
+  status: RefreshRunStatus;
+  trailersProcessed: number;
+  trailersCreated: number;
+  trailersUpdated: number;
+  trailersSkipped: number;
+  trailersFailed: number;
+  trailersStale: number;
+  trailersDisconnected: number;
+  trailersArchived: number;
+  trailersReconnected: number;
+  errorMessage: string | null;
+  durationMs: number | null;
+  jobRunId: string | null;
+  createdAt: string;
+  trailerOutcome?: RefreshItemOutcome;
+  trailerMessage?: string | null;
+}
+
+export interface RefreshRunItem {
+  id: string;
+  trailerId: string | null;
+  unitNumber: string | null;
+  deviceId: string | null;
+  outcome: RefreshItemOutcome;
+  message: string | null;
+}
+
+export interface RefreshRunDetail extends RefreshRun {
+  items: RefreshRunItem[];
+}
+
+// Trailer identity across providers - how a provider device was matched to a trailer
+export type IdentityMatchRule = 'device' | 'external_id' | 'vin' | 'plate_unit' | 'unit' | 'review' | 'created';
+export type IdentityReviewStatus = 'pending' | 'linked' | 'created' | 'dismissed';
+
+export interface IdentityCandidate {
+  id: string;
+  unitNumber: string;
+  vin: string | null;
+  plate: string | null;
+  externalId: string | null;
+  providerId: string | null;
+  providerName: string | null;
+  companyId: string;
+  gpsStatus: string;
+  lastPingAt: string | null;
+  archivedAt: string | null;
+  deviceCount: number;
+}
+
+export interface IdentityReview {
+  id: string;
+  tenantId: string;
+  providerId: string;
+  providerName: string | null;
+  deviceId: string;
+  unitNumber: string | null;
+  vin: string | null;
+  plate: string | null;
+  reason: string;
+  status: IdentityReviewStatus;
+  resolvedTrailerId: string | null;
+  resolvedBy: string | null;
+  resolvedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  candidateIds: string[];
+  candidates: IdentityCandidate[];
+}
+
+export interface TrailerDeviceLink {
+  id: string;
+  providerId: string;
+  providerName: string | null;
+  providerType: string | null;
+  deviceId: string;
+  matchRule: IdentityMatchRule;
+  firstSeenAt: string;
+  lastSeenAt: string;
+}
+
+export interface TrailerMerge {
+  id: string;
+  targetTrailerId: string;
+  targetUnitNumber: string | null;
+  sourceTrailerId: string;
+  sourceUnitNumber: string | null;
+  movedCounts: Record<string, number>;
+  filledFields: Record<string, string | number>;
+  mergedBy: string | null;
+  mergedAt: string;
+  unmergedBy: string | null;
+  unmergedAt: string | null;
+}
+
+export interface TrailerIdentity {
+  trailerId: string;
+  mergedIntoId: string | null;
+  links: TrailerDeviceLink[];
+  merges: TrailerMerge[];
 }
 
 export interface EditingProvider {
@@ -180,6 +443,9 @@ export interface EditingProvider {
   nspireId?: string;
   apiToken?: string;
   apiUrl?: string;
+  staleAfterHours?: string;
+  disconnectAfterHours?: string;
+  archiveAfterDays?: string;
 }
 
 // Tenant Types
@@ -231,8 +497,90 @@ export interface CustomLocation {
   company_id?: string;
   user_id?: string;
   tenant_id?: string;
+  geofenceType?: GeofenceType | null;
+  geofenceRadiusM?: number | null;
+  geofencePolygon?: GeofencePoint[] | null;
+  detentionThresholdMinutes?: number | null;
+}
+
+export type GeofenceType = 'circle' | 'polygon';
+
+export interface GeofencePoint {
+  lat: number;
+  lng: number;
+}
+
+export interface GeofenceEvent {
+  id: string;
+  trailerId: string;
+  unitNumber?: string;
+  locationId: string;
+  locationName?: string;
+  eventType: 'arrival' | 'departure';
+  occurredAt: string;
+  latitude?: number;
+  longitude?: number;
+  arrivalEventId?: string | null;
+  dwellSeconds?: number | null;
+}
+
+// A trailer visit to a geofenced location, open while departedAt is null
+export interface DwellVisit {
+  arrivalEventId: string;
+  departureEventId: string | null;
+  trailerId: string;
+  unitNumber?: string;
+  companyId?: string;
+  companyName?: string;
+  locationId: string;
+  locationName?: string;
+  locationType?: string;
+  arrivedAt: string;
+  departedAt: string | null;
+  dwellSeconds: number;
+  dwellMinutes: number;
+  thresholdMinutes: number;
+  thresholdSource: 'location' | 'customer' | 'default';
+  inDetention: boolean;
+  detentionMinutes: number;
+}
+
+export interface DwellSummary {
+  status: 'current' | 'completed';
+  visits: number;
+  inDetention: number;
+  detentionMinutes: number;
+}
+
+// Health of a trailer's GPS tracker, derived from its pings and battery readings
+export type DeviceHealthStatus = 'healthy' | 'warning' | 'critical' | 'unknown';
+
+export type DeviceHealthIssueType = 'low_battery' | 'not_reporting' | 'slow_reporting';
+
+export interface DeviceHealthIssue {
+  type: DeviceHealthIssueType;
+  severity: 'warning' | 'critical';
+  message: string;
+}
+
+export interface DeviceHealth {
+  trailerId: string;
+  unitNumber: string;
+  companyId?: string;
+  providerId: string;
+  providerName?: string;
+  gpsStatus?: string;
+  lastPingAt: string | null;
+  minutesSincePing: number | null;
+  pingIntervalMinutes: number | null;
+  batteryVoltage: number | null;
+  batteryRecordedAt: string | null;
+  status: DeviceHealthStatus;
+  issues: DeviceHealthIssue[];
 }
 
+export type DeviceHealthSummary = Record<DeviceHealthStatus, number> & { total: number };
+
 // Maintenance Types
 export interface MaintenanceInspection {
   id: string;
@@ -259,6 +607,193 @@ export interface MaintenancePreferences {
   updated_at?: string;
 }
 
+// Trailer body types an inspection type can be limited to
+export type TrailerType = 'dry_van' | 'reefer' | 'flatbed' | 'step_deck' | 'tanker' | 'chassis' | 'other';
+
+// Tenant inspection type catalog; intervals and thresholds in days, no trailer types applies to every trailer
+export interface InspectionTypeInput {
+  name: string;
+  description?: string | null;
+  intervalDays: number;
+  alertThresholdDays: number;
+  trailerTypes: TrailerType[] | null;
+  isActive: boolean;
+}
+
+export interface InspectionType extends InspectionTypeInput {
+  id: string;
+  code: string;
+  isBuiltIn: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type InspectionDueStatus = 'ok' | 'due_soon' | 'overdue' | 'not_recorded';
+
+export interface InspectionDue {
+  inspectionTypeId: string;
+  code: string;
+  name: string;
+  intervalDays: number;
+  alertThresholdDays: number;
+  lastInspectionDate: string | null;
+  nextDueDate: string | null;
+  daysUntilDue: number | null;
+  status: InspectionDueStatus;
+}
+
+// Mileage and engine-hour preventive maintenance schedules; intervals and thresholds in the schedule's meter
+export type PmMeter = 'miles' | 'engine_hours';
+
+export interface PmScheduleInput {
+  name: string;
+  intervalValue: number;
+  dueSoonThreshold: number;
+  tasks: string[];
+  trailerTypes: TrailerType[] | null;
+  isActive: boolean;
+}
+
+export interface PmSchedule extends PmScheduleInput {
+  id: string;
+  code: string;
+  meter: PmMeter;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TrailerMeters {
+  miles: number | null;
+  engineHours: number | null;
+}
+
+export interface PmDue {
+  scheduleId: string;
+  code: string;
+  name: string;
+  meter: PmMeter;
+  intervalValue: number;
+  dueSoonThreshold: number;
+  tasks: string[];
+  currentReading: number | null;
+  lastServiceReading: number | null;
+  lastServicedAt: string | null;
+  nextDueReading: number | null;
+  remaining: number | null;
+  status: InspectionDueStatus;
+}
+
+export interface PmServiceInput {
+  scheduleId: string;
+  meterReading?: number | null;
+  performedAt?: string | null;
+  tasks?: string[] | null;
+  notes?: string | null;
+}
+
+export interface PmServiceRecord {
+  id: string;
+  scheduleId: string;
+  trailerId: string;
+  scheduleName: string;
+  meter: PmMeter;
+  meterReading: number;
+  performedAt: string;
+  tasks: string[];
+  notes: string | null;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+// Work order types
+export type WorkOrderStatus = 'open' | 'in_progress' | 'completed';
+export type WorkOrderLineType = 'part' | 'labor';
+
+export interface WorkOrderLineItemInput {
+  lineType: WorkOrderLineType;
+  description: string;
+  partNumber?: string | null;
+  // Units for a part, hours for labor
+  quantity: number;
+  // Part price or hourly rate
+  unitCost: number;
+}
+
+export interface WorkOrderLineItem extends WorkOrderLineItemInput {
+  id: string;
+  workOrderId: string;
+  partNumber: string | null;
+  total: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WorkOrderAlert {
+  id: string;
+  type: string;
+  severity: string;
+  title: string;
+  description: string | null;
+  dueDate: string | null;
+  isResolved: boolean;
+  resolutionNotes: string | null;
+  resolvedAt: string | null;
+  createdAt: string;
+}
+
+// An open alert on a trailer, as returned by the trailer alerts endpoint
+export interface TrailerOpenAlert {
+  id: string;
+  trailer_id: string;
+  type: string;
+  severity: string;
+  title: string;
+  description: string | null;
+  due_date: string | null;
+  work_order_id: string | null;
+}
+
+export interface WorkOrderInput {
+  title?: string | null;
+  description?: string | null;
+  vendorLocationId?: string | null;
+  // Maintenance alert rule types the work order services, e.g. annual_inspection, tire_status, pm_oil_change
+  serviceTypes?: string[];
+}
+
+export interface WorkOrderCreateInput extends WorkOrderInput {
+  trailerId: string;
+  sourceInspectionId?: string | null;
+  alertIds?: string[];
+}
+
+export interface WorkOrder {
+  id: string;
+  number: number;
+  trailerId: string;
+  unitNumber: string;
+  title: string;
+  description: string | null;
+  status: WorkOrderStatus;
+  vendorLocationId: string | null;
+  vendorName: string | null;
+  vendorAddress: string | null;
+  sourceInspectionId: string | null;
+  serviceTypes: string[];
+  startedAt: string | null;
+  completedAt: string | null;
+  completedBy: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+  partsTotal: number;
+  laborTotal: number;
+  totalCost: number;
+  // Only on a single work order
+  lineItems?: WorkOrderLineItem[];
+  alerts?: WorkOrderAlert[];
+}
+
 // Stats Types
 export interface TrailerStats {
   totalTrailers: number;
@@ -268,6 +803,84 @@ export interface TrailerStats {
   nonCompanyOwned: number;
 }
 
+// Maintenance cost types, from parts and labor on completed work orders
+export interface MaintenanceCostParams {
+  companyId?: string;
+  trailerId?: string;
+  // YYYY-MM months, the last 12 months by default
+  from?: string;
+  to?: string;
+}
+
+export interface MaintenanceCostRates {
+  // Lifetime cost spread over miles and days in service, null when there is nothing to spread it over
+  costPerMile: number | null;
+  costPerDay: number | null;
+}
+
+// Period costs (workOrders, partsCost, laborCost, totalCost) are within the requested months
+export interface MaintenanceCostSummary extends MaintenanceCostRates {
+  trailers: number;
+  workOrders: number;
+  partsCost: number;
+  laborCost: number;
+  totalCost: number;
+  lifetimeCost: number;
+  miles: number;
+  trailerDays: number;
+}
+
+export interface CompanyMaintenanceCost extends MaintenanceCostSummary {
+  companyId: string | null;
+  companyName: string | null;
+}
+
+export interface TrailerMaintenanceCost extends MaintenanceCostRates {
+  trailerId: string;
+  unitNumber: string;
+  companyId: string | null;
+  companyName: string | null;
+  workOrders: number;
+  partsCost: number;
+  laborCost: number;
+  totalCost: number;
+  lifetimeWorkOrders: number;
+  lifetimeCost: number;
+  miles: number;
+  daysInService: number;
+}
+
+export interface MonthlyMaintenanceCost {
+  month: string;
+  workOrders: number;
+  partsCost: number;
+  laborCost: number;
+  totalCost: number;
+}
+
+export interface MaintenanceCostReport {
+  period: { from: string; to: string };
+  totals: MaintenanceCostSummary;
+  monthly: MonthlyMaintenanceCost[];
+  companies: CompanyMaintenanceCost[];
+  trailers: TrailerMaintenanceCost[];
+}
+
+export interface MaintenanceCostLedgerEntry {
+  workOrderId: string;
+  number: number;
+  title: string;
+  completedAt: string;
+  trailerId: string;
+  unitNumber: string;
+  companyId: string | null;
+  companyName: string | null;
+  vendorName: string | null;
+  partsCost: number;
+  laborCost: number;
+  totalCost: number;
+}
+
 export interface AdminOverview {
   totalTenants: number;
   totalUsers: number;
@@ -371,7 +984,8 @@ export const COMPANY_TYPES = [
 export const PROVIDER_TYPES = [
   { value: 'spireon', label: 'Spireon' },
   { value: 'skybitz', label: 'Skybitz' },
-  { value: 'samsara', label: 'Samsara' }
+  { value: 'samsara', label: 'Samsara' },
+  { value: 'generic_push', label: 'Generic Push (Webhook)' }
 ] as const;
 
 export const TIMEZONES = [
@@ -397,10 +1011,17 @@ export const TRAILER_STATUSES = [
 
 export const GPS_STATUSES = [
   { value: 'connected', label: 'Connected' },
+  { value: 'stale', label: 'Stale' },
   { value: 'disconnected', label: 'Disconnected' },
   { value: 'error', label: 'Error' }
 ] as const;
 
+export const WORK_ORDER_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+] as const;
+
 // User Preferences Types
 export interface UserPreferences {
   timezone: string;